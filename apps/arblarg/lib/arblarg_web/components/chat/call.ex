@@ -64,6 +64,72 @@ defmodule ArblargWeb.Components.Chat.Call do
     """
   end
 
+  attr :conversation_id, :integer, required: true
+  attr :occupants, :list, default: []
+  attr :joined, :boolean, default: false
+
+  def group_call_buttons(assigns) do
+    ~H"""
+    <div class="flex items-center gap-1 sm:gap-2">
+      <span
+        :if={@occupants != []}
+        class="badge badge-success badge-xs hidden sm:inline-flex"
+        title={Enum.map_join(@occupants, ", ", & &1.display_name)}
+      >
+        {length(@occupants)} in call
+      </span>
+      <button
+        type="button"
+        phx-click="join_voice_channel"
+        phx-value-conversation_id={@conversation_id}
+        disabled={@joined}
+        class="btn btn-ghost btn-circle btn-sm p-0 min-h-0 h-8 w-8 sm:h-9 sm:w-9 flex-shrink-0"
+        title={if @occupants == [], do: "Start group call", else: "Join group call"}
+      >
+        <svg
+          xmlns="http://www.w3.org/2000/svg"
+          class="h-4 w-4 sm:h-5 sm:w-5"
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor"
+        >
+          <path
+            stroke-linecap="round"
+            stroke-linejoin="round"
+            stroke-width="2"
+            d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z"
+          />
+        </svg>
+      </button>
+
+      <button
+        type="button"
+        phx-click="join_voice_channel"
+        phx-value-conversation_id={@conversation_id}
+        phx-value-video="true"
+        disabled={@joined}
+        class="btn btn-ghost btn-circle btn-sm p-0 min-h-0 h-8 w-8 sm:h-9 sm:w-9 hidden sm:flex flex-shrink-0"
+        title={if @occupants == [], do: "Start group video call", else: "Join with video"}
+      >
+        <svg
+          xmlns="http://www.w3.org/2000/svg"
+          class="h-4 w-4 sm:h-5 sm:w-5"
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor"
+        >
+          <path
+            stroke-linecap="round"
+            stroke-linejoin="round"
+            stroke-width="2"
+            d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z"
+          />
+        </svg>
+      </button>
+    </div>
+    """
+  end
+
   attr :call, :map, required: true
   attr :show, :boolean, default: false
 
@@ -105,16 +171,156 @@ defmodule ArblargWeb.Components.Chat.Call do
     """
   end
 
+  attr :status, :string, default: nil
+  attr :class, :string, default: nil
+
+  def media_encryption_badge(assigns) do
+    ~H"""
+    <span
+      :if={@status}
+      class={[
+        "badge badge-sm gap-1",
+        media_encryption_badge_class(@status),
+        @class
+      ]}
+      title={media_encryption_hint(@status)}
+      data-media-encryption={@status}
+    >
+      <svg
+        xmlns="http://www.w3.org/2000/svg"
+        class="h-3 w-3"
+        fill="none"
+        viewBox="0 0 24 24"
+        stroke="currentColor"
+        aria-hidden="true"
+      >
+        <path
+          stroke-linecap="round"
+          stroke-linejoin="round"
+          stroke-width="2"
+          d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z"
+        />
+      </svg>
+      {media_encryption_label(@status)}
+    </span>
+    """
+  end
+
+  # Once the room falls back, unencrypted media plays; make that stand out
+  # from the brief "waiting" state.
+  defp media_encryption_badge_class("encrypted"), do: "badge-success"
+  defp media_encryption_badge_class("waiting"), do: "badge-ghost"
+  defp media_encryption_badge_class(_status), do: "badge-warning"
+
+  defp media_encryption_label("encrypted"), do: "End-to-end encrypted"
+  defp media_encryption_label("waiting"), do: "Securing call..."
+  defp media_encryption_label("unsupported"), do: "Not end-to-end encrypted on this browser"
+
+  defp media_encryption_label("peer_unsupported"),
+    do: "Not end-to-end encrypted: another browser lacks support"
+
+  defp media_encryption_label(_status), do: "Encrypted in transit only"
+
+  defp media_encryption_hint("encrypted"),
+    do: "Audio and video are encrypted with your encrypted chat keys. Relays cannot see them."
+
+  defp media_encryption_hint("waiting"),
+    do: "Waiting for everyone's end-to-end encryption key."
+
+  defp media_encryption_hint("unsupported"),
+    do: "This browser cannot encrypt call media end to end. Media is encrypted in transit."
+
+  defp media_encryption_hint("peer_unsupported"),
+    do:
+      "Someone in this call uses a browser that cannot encrypt call media end to end, " <>
+        "so media is only encrypted in transit."
+
+  defp media_encryption_hint(_status),
+    do:
+      "Turn on encrypted chat in this conversation and send a message to encrypt calls " <>
+        "end to end. Media is still encrypted in transit."
+
   attr :call, :map, required: true
   attr :show, :boolean, default: false
   attr :audio_enabled, :boolean, default: true
   attr :video_enabled, :boolean, default: true
+  attr :screen_sharing, :boolean, default: false
+  attr :media_encryption, :string, default: nil
+  attr :recording, :boolean, default: false
+  attr :peer_recording, :boolean, default: false
   attr :is_caller, :boolean, default: false
   attr :call_status, :string, default: "connecting"
 
   def active_call_overlay(assigns) do
     ~H"""
     <div :if={@show} id="call-overlay" phx-hook="VideoDisplay" class="fixed inset-0 z-50 bg-base-300">
+      <div id="remote-screen-container" phx-update="ignore">
+        <div
+          id="remote-screen-tile"
+          class="hidden absolute left-1/2 top-1/2 z-10 -translate-x-1/2 -translate-y-1/2 w-[min(90vw,56rem)] h-[min(60vh,32rem)] min-w-64 min-h-36 max-w-[96vw] max-h-[85vh] resize overflow-hidden rounded-lg bg-black shadow-2xl border border-base-300"
+          title="Drag the corner to resize"
+        >
+          <video id="remote-screen" class="h-full w-full object-contain" autoplay playsinline>
+          </video>
+          <span class="badge badge-sm absolute top-2 left-2">Shared screen</span>
+          <button
+            type="button"
+            data-action="screen-fullscreen"
+            class="btn btn-xs absolute top-2 right-2"
+          >
+            Full screen
+          </button>
+        </div>
+      </div>
+      <div class="absolute top-4 left-1/2 z-10 flex -translate-x-1/2 flex-col items-center gap-2">
+        <.media_encryption_badge status={@media_encryption} />
+        <div
+          :if={@recording or @peer_recording}
+          role="status"
+          class="flex items-center gap-2 rounded-full border border-error/40 bg-base-200/90 px-3 py-1 text-xs"
+        >
+          <span class="h-2 w-2 animate-pulse rounded-full bg-error"></span>
+          <span :if={@peer_recording}>
+            The other participant is recording this call. Hang up if you do not consent.
+          </span>
+          <span :if={@recording and not @peer_recording}>
+            You are recording. The other participant has been notified.
+          </span>
+        </div>
+      </div>
+      <div
+        id="call-stats-container"
+        phx-update="ignore"
+        class="absolute bottom-8 left-4 z-10 flex flex-col items-start gap-2"
+      >
+        <dl
+          id="call-stats"
+          class="hidden grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 rounded-lg border border-base-300/70 bg-base-200/90 px-3 py-2 text-xs"
+        >
+          <dt class="opacity-60">Route</dt>
+          <dd data-stat="route" class="font-mono">-</dd>
+          <dt class="opacity-60">Round trip</dt>
+          <dd data-stat="rtt" class="font-mono">-</dd>
+          <dt class="opacity-60">Jitter</dt>
+          <dd data-stat="jitter" class="font-mono">-</dd>
+          <dt class="opacity-60">Packet loss</dt>
+          <dd data-stat="loss" class="font-mono">-</dd>
+          <dt class="opacity-60">Bitrate</dt>
+          <dd data-stat="bitrate" class="font-mono">-</dd>
+          <dt class="opacity-60">Codecs</dt>
+          <dd data-stat="codec" class="font-mono">-</dd>
+          <dt class="opacity-60">Video quality</dt>
+          <dd data-stat="quality" class="font-mono">-</dd>
+        </dl>
+        <button
+          type="button"
+          data-action="toggle-call-stats"
+          class="btn btn-xs btn-ghost bg-base-200/80"
+          title="Show connection statistics"
+        >
+          Stats
+        </button>
+      </div>
       <div :if={@call.call_type == "video"} class="relative h-full w-full">
         <video id="remote-video" class="h-full w-full object-cover" autoplay playsinline></video>
         <div class="absolute top-4 right-4 w-48 h-36 bg-base-200 rounded-lg overflow-hidden shadow-lg">
@@ -282,6 +488,53 @@ defmodule ArblargWeb.Components.Chat.Call do
             </svg>
           </button>
 
+          <button
+            type="button"
+            data-action="share-screen"
+            class={["btn btn-circle", if(@screen_sharing, do: "btn-success", else: "btn-ghost")]}
+            title={if @screen_sharing, do: "Stop sharing screen", else: "Share screen"}
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              class="h-6 w-6"
+              fill="none"
+              viewBox="0 0 24 24"
+              stroke="currentColor"
+            >
+              <path
+                stroke-linecap="round"
+                stroke-linejoin="round"
+                stroke-width="2"
+                d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z"
+              />
+            </svg>
+          </button>
+
+          <button
+            type="button"
+            data-action="toggle-recording"
+            class={["btn btn-circle", if(@recording, do: "btn-error", else: "btn-ghost")]}
+            title={if @recording, do: "Stop recording", else: "Record call"}
+            aria-pressed={to_string(@recording)}
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              class="h-6 w-6"
+              fill="none"
+              viewBox="0 0 24 24"
+              stroke="currentColor"
+            >
+              <circle cx="12" cy="12" r="9" stroke-width="2" />
+              <circle
+                cx="12"
+                cy="12"
+                r="4"
+                fill={if @recording, do: "currentColor", else: "none"}
+                stroke-width="2"
+              />
+            </svg>
+          </button>
+
           <button
             type="button"
             data-action="end-call"
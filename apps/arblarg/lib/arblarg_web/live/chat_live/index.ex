@@ -1844,7 +1844,19 @@ defmodule ArblargWeb.ChatLive.Index do
                 class="input input-bordered w-full"
                 name="query"
               />
+              <p class="mt-1 text-xs opacity-60">
+                Encrypted messages are searched on this device. Try "exact phrase",
+                from:name, after:2026-01-01 or before:2026-01-31.
+              </p>
             </form>
+
+            <div
+              id="message-search-local-results"
+              phx-update="ignore"
+              class="hidden max-h-96 overflow-y-auto space-y-2"
+              data-chat-search-results
+            >
+            </div>
             
     <!-- Search Results -->
             <%= if @search.message_results != [] do %>
@@ -2613,6 +2625,10 @@ defmodule ArblargWeb.ChatLive.Index do
         show={true}
         audio_enabled={@call.audio_enabled}
         video_enabled={@call.video_enabled}
+        screen_sharing={@call.screen_sharing}
+        media_encryption={@call.media_encryption}
+        recording={@call.recording}
+        peer_recording={@call.peer_recording}
         call_status={@call.status}
         is_caller={@call.active_call.caller_id == @current_user.id}
       />
@@ -3362,6 +3378,7 @@ defmodule ArblargWeb.ChatLive.Index do
         push_event(socket, "resume_call", %{
           call_id: call.id,
           call_type: call.call_type,
+          conversation_id: media_conversation_id(call),
           ice_servers: transport["ice_servers"],
           transport: transport,
           user_token: socket.assigns.user_token,
@@ -3381,6 +3398,10 @@ defmodule ArblargWeb.ChatLive.Index do
 
   defp call_initiator?(_call, _current_user_id), do: false
 
+  defp media_conversation_id(%{source: :federated}), do: nil
+  defp media_conversation_id(%{conversation_id: conversation_id}), do: conversation_id
+  defp media_conversation_id(_call), do: nil
+
   defp call_status(%{status: status}) when status in ["initiated", "ringing"], do: "connecting"
   defp call_status(%{status: "active"}), do: "connected"
   defp call_status(%{status: status}) when is_binary(status), do: status
@@ -3573,6 +3594,31 @@ defmodule ArblargWeb.ChatLive.Index do
 
   def safe_chat_image_url(_), do: nil
 
+  # Encrypted attachments are opaque blobs; the browser fetches them through
+  # these URLs and decrypts them with the file keys in the message payload.
+  defp client_encrypted_attachment_urls(%{media_urls: [_ | _] = keys}, conversation) do
+    Map.new(keys, &{&1, Uploads.attachment_url(&1, conversation)})
+  end
+
+  defp client_encrypted_attachment_urls(_message, _conversation), do: %{}
+
+  # Call recordings are sealed under the recorder's vault key; the encrypted
+  # manifest needed to open them rides in the message's media metadata.
+  defp call_recording_metadata(%{media_metadata: %{} = metadata}, media_url) do
+    case metadata[media_url] do
+      %{"call_recording" => true, "manifest" => %{}} = recording -> recording
+      _ -> nil
+    end
+  end
+
+  defp call_recording_metadata(_message, _media_url), do: nil
+
+  # Voicemails left after a missed video call are short videos.
+  defp video_voicemail?(%{audio_mime_type: "video/" <> _subtype, media_urls: [_ | _]}),
+    do: true
+
+  defp video_voicemail?(_message), do: false
+
   defp private_email?(%{client_encrypted_payload: payload}) when is_map(payload), do: true
   defp private_email?(_message), do: false
 
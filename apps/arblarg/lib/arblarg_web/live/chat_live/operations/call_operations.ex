@@ -9,6 +9,13 @@ defmodule ArblargWeb.ChatLive.Operations.CallOperations do
   alias Elektrine.Messaging.Federation
   alias Elektrine.Messaging.Federation.VoiceCalls
 
+  @media_encryption_statuses ~w(encrypted waiting unavailable unsupported peer_unsupported)
+  @recording_errors %{
+    "unsupported" => "Calls with users on other servers can't be recorded",
+    "browser" => "This browser can't record calls",
+    "not_connected" => "Wait for the call to connect before recording"
+  }
+
   def handle_event(
         "initiate_call",
         %{"call_type" => call_type, "conversation_id" => conversation_id_str} = params,
@@ -78,6 +85,54 @@ defmodule ArblargWeb.ChatLive.Operations.CallOperations do
     {:noreply, assign(socket, :call, %{socket.assigns.call | video_enabled: truthy?(enabled)})}
   end
 
+  def handle_event("screen_share_toggled", %{"sharing" => sharing}, socket) do
+    {:noreply, assign(socket, :call, %{socket.assigns.call | screen_sharing: truthy?(sharing)})}
+  end
+
+  def handle_event("media_encryption_changed", %{"status" => status}, socket)
+      when status in @media_encryption_statuses do
+    {:noreply, assign(socket, :call, %{socket.assigns.call | media_encryption: status})}
+  end
+
+  def handle_event("media_encryption_changed", _params, socket) do
+    {:noreply, socket}
+  end
+
+  def handle_event("recording_toggled", %{"recording" => recording}, socket) do
+    {:noreply, assign(socket, :call, %{socket.assigns.call | recording: truthy?(recording)})}
+  end
+
+  # The other participant started or stopped recording; the overlay keeps a
+  # banner up for as long as they record.
+  def handle_event("peer_recording_changed", %{"recording" => recording}, socket) do
+    recording = truthy?(recording)
+    socket = assign(socket, :call, %{socket.assigns.call | peer_recording: recording})
+
+    if recording do
+      {:noreply, notify_info(socket, "The other participant started recording this call")}
+    else
+      {:noreply, notify_info(socket, "The other participant stopped recording")}
+    end
+  end
+
+  def handle_event("call_recording_error", %{"reason" => reason}, socket) do
+    {:noreply, notify_error(socket, Map.get(@recording_errors, reason, "Could not record call"))}
+  end
+
+  # Sent by the call hooks just before call_ended / call_ended_by_user, while
+  # the call is still the active one. Federated sessions are not recorded.
+  def handle_event("call_quality_report", %{"call_id" => call_id} = report, socket) do
+    active_call = socket.assigns.call.active_call
+
+    with {:ok, call_id} <- parse_integer(call_id),
+         %{id: ^call_id} <- active_call,
+         :local <- call_source(active_call) do
+      Calls.record_quality_report(call_id, socket.assigns.current_user.id, report)
+    end
+
+    {:noreply, socket}
+  end
+
   def handle_event("call_error", %{"error" => error}, socket) do
     maybe_fail_active_call(socket)
 
@@ -141,7 +196,11 @@ defmodule ArblargWeb.ChatLive.Operations.CallOperations do
         incoming_call: nil,
         status: nil,
         audio_enabled: true,
-        video_enabled: true
+        video_enabled: true,
+        screen_sharing: false,
+        media_encryption: nil,
+        recording: false,
+        peer_recording: false
     }
   end
 
@@ -173,6 +232,7 @@ defmodule ArblargWeb.ChatLive.Operations.CallOperations do
                  |> push_event("start_call", %{
                    call_id: full_call.id,
                    call_type: full_call.call_type,
+                   conversation_id: media_conversation_id(full_call),
                    ice_servers: transport["ice_servers"],
                    transport: transport,
                    user_token: user_token(socket),
@@ -282,6 +342,7 @@ defmodule ArblargWeb.ChatLive.Operations.CallOperations do
              |> push_event("stop_ringtone", %{})
              |> push_event("answer_call", %{
                call_id: call_id,
+               conversation_id: media_conversation_id(full_call),
                ice_servers: transport["ice_servers"],
                transport: transport,
                user_token: user_token(socket),
@@ -356,6 +417,12 @@ defmodule ArblargWeb.ChatLive.Operations.CallOperations do
   defp call_source(%{source: source}) when not is_nil(source), do: source
   defp call_source(_call), do: :local
 
+  # Media keys come from the conversation's encrypted chat keys, which only
+  # exist for local conversations.
+  defp media_conversation_id(%{source: :federated}), do: nil
+  defp media_conversation_id(%{conversation_id: conversation_id}), do: conversation_id
+  defp media_conversation_id(_call), do: nil
+
   defp maybe_fail_active_call(socket) do
     case socket.assigns.call.active_call do
       %{source: :federated, id: session_id} ->
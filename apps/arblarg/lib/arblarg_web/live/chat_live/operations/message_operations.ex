@@ -135,6 +135,36 @@ defmodule ArblargWeb.ChatLive.Operations.MessageOperations do
     end
   end
 
+  def handle_event("chat_key_backup_get", _params, socket) do
+    case Messaging.get_chat_key_backup(socket.assigns.current_user.id) do
+      nil ->
+        {:reply, %{ok: true, backup: nil}, socket}
+
+      backup ->
+        {:reply,
+         %{
+           ok: true,
+           backup: %{
+             payload: backup.payload,
+             key_count: backup.key_count,
+             updated_at: backup.updated_at
+           }
+         }, socket}
+    end
+  end
+
+  def handle_event("chat_key_backup_put", params, socket) do
+    case Messaging.put_chat_key_backup(socket.assigns.current_user.id, params) do
+      {:ok, backup} -> {:reply, %{ok: true, updated_at: backup.updated_at}, socket}
+      {:error, _changeset} -> {:reply, %{ok: false, error: "invalid_backup"}, socket}
+    end
+  end
+
+  def handle_event("chat_key_backup_delete", _params, socket) do
+    {:ok, _deleted?} = Messaging.delete_chat_key_backup(socket.assigns.current_user.id)
+    {:reply, %{ok: true}, socket}
+  end
+
   def handle_event("chat_typing", _params, socket) do
     {:noreply, broadcast_typing(socket)}
   end
@@ -150,7 +180,8 @@ defmodule ArblargWeb.ChatLive.Operations.MessageOperations do
         attrs = %{
           "encrypted_payload" => Map.get(params, "encrypted_payload"),
           "key_packages" => Map.get(params, "key_packages", []),
-          "search_index" => Map.get(params, "search_index", [])
+          "search_index" => Map.get(params, "search_index", []),
+          "attachment_keys" => Map.get(params, "attachment_keys", [])
         }
 
         case Messaging.create_client_encrypted_chat_text_message(
@@ -160,15 +191,41 @@ defmodule ArblargWeb.ChatLive.Operations.MessageOperations do
                reply_to_id: reply_to_id
              ) do
           {:ok, message} ->
+            if message.media_urls != [] do
+              Storage.update_user_storage(socket.assigns.current_user.id)
+            end
+
             socket = put_sent_message(socket, conversation, message)
             {:reply, %{ok: true}, socket}
 
+          {:error, %Ecto.Changeset{}} ->
+            {:reply, %{ok: false, error: "invalid_encrypted_payload"}, socket}
+
           {:error, reason} ->
             {:reply, %{ok: false, error: to_string(reason)}, socket}
         end
     end
   end
 
+  # Browser-encrypted attachments arrive as opaque ciphertext before the message
+  # that references them; the reply carries the storage key for that message.
+  def handle_event("upload_client_encrypted_attachment", %{"data" => data}, socket)
+      when is_binary(data) do
+    with :ok <- ensure_can_send_current_conversation(socket),
+         {:ok, ciphertext} <- Base.decode64(data),
+         {:ok, metadata} <-
+           Uploads.upload_encrypted_chat_attachment(ciphertext, socket.assigns.current_user.id) do
+      {:reply, %{ok: true, key: metadata.key}, socket}
+    else
+      :error -> {:reply, %{ok: false, error: "invalid_attachment"}, socket}
+      {:error, reason} -> {:reply, %{ok: false, error: attachment_upload_error(reason)}, socket}
+    end
+  end
+
+  def handle_event("upload_client_encrypted_attachment", _params, socket) do
+    {:reply, %{ok: false, error: "invalid_attachment"}, socket}
+  end
+
   def handle_event("send_message", %{"message" => message_content}, socket) do
     trimmed_content = String.trim(message_content)
 
@@ -1063,6 +1120,12 @@ defmodule ArblargWeb.ChatLive.Operations.MessageOperations do
     end
   end
 
+  defp attachment_upload_error(:file_too_large), do: "attachment_too_large"
+  defp attachment_upload_error(:storage_limit_exceeded), do: "storage_limit_exceeded"
+  defp attachment_upload_error({:file_too_large, _message}), do: "attachment_too_large"
+  defp attachment_upload_error(reason) when is_atom(reason), do: to_string(reason)
+  defp attachment_upload_error(_reason), do: "attachment_upload_failed"
+
   defp message_send_error_message(:unauthorized), do: "You cannot send messages in this chat."
 
   defp message_send_error_message(:not_authorized_for_room),
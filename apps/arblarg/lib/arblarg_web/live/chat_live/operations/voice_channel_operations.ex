@@ -1,12 +1,14 @@
 defmodule ArblargWeb.ChatLive.Operations.VoiceChannelOperations do
   @moduledoc """
-  Voice channel operations for the chat LiveView: joining/leaving voice
-  channels, mute toggling, and sidebar occupancy driven by Phoenix Presence
-  on the `voice:<conversation_id>` topics.
-
-  The LiveView only orchestrates: the WebRTC mesh itself lives in the
-  `VoiceChannel` JS hook, which talks to `ElektrineWeb.VoiceChannel` over the
-  user socket (same transport style as 1:1 calls).
+  Voice channel and group call operations for the chat LiveView:
+  joining/leaving voice channels and group conversation calls, mute and
+  camera toggling, and occupancy driven by Phoenix Presence on the
+  `voice:<conversation_id>` topics.
+
+  The LiveView only orchestrates: the media session (mesh or SFU topology)
+  lives in the `VoiceChannel` JS hook, which talks to
+  `ElektrineWeb.VoiceChannel` over the user socket (same transport style as
+  1:1 calls).
   """
 
   import Phoenix.LiveView
@@ -18,8 +20,15 @@ defmodule ArblargWeb.ChatLive.Operations.VoiceChannelOperations do
   alias Elektrine.Messaging.VoiceChannels
   alias ElektrineWeb.Presence
 
-  def handle_event("join_voice_channel", %{"conversation_id" => conversation_id}, socket) do
+  @media_encryption_statuses ~w(encrypted waiting unavailable unsupported peer_unsupported)
+
+  def handle_event(
+        "join_voice_channel",
+        %{"conversation_id" => conversation_id} = params,
+        socket
+      ) do
     user_id = socket.assigns.current_user.id
+    video = params["video"] in [true, "true"]
 
     with {:ok, conversation_id} <- parse_positive_int(conversation_id),
          :ok <-
@@ -32,19 +41,22 @@ defmodule ArblargWeb.ChatLive.Operations.VoiceChannelOperations do
        |> assign(:voice, %{
          socket.assigns.voice
          | joined_id: conversation_id,
-           joined_name: (conversation && conversation.name) || "Voice channel",
-           muted: false
+           joined_name: room_name(conversation),
+           muted: false,
+           video: video
        })
        |> push_event("voice_join", %{
          conversation_id: conversation_id,
          user_id: user_id,
          user_token: user_token(socket),
          ice_servers: transport["ice_servers"],
-         transport: transport
+         transport: transport,
+         video: video,
+         stage: video or match?(%{type: "group"}, conversation)
        })}
     else
       {:error, :channel_full} ->
-        {:noreply, notify_error(socket, "This voice channel is full")}
+        {:noreply, notify_error(socket, "This call is full")}
 
       {:error, :already_joined} ->
         {:noreply, notify_error(socket, "You're already connected to this voice channel")}
@@ -72,6 +84,18 @@ defmodule ArblargWeb.ChatLive.Operations.VoiceChannelOperations do
     {:noreply, push_event(socket, "voice_toggle_mute", %{})}
   end
 
+  def handle_event("toggle_voice_video", _params, socket) do
+    {:noreply, push_event(socket, "voice_toggle_video", %{})}
+  end
+
+  def handle_event("toggle_voice_screen", _params, socket) do
+    {:noreply, push_event(socket, "voice_toggle_screen", %{})}
+  end
+
+  def handle_event("toggle_voice_settings", _params, socket) do
+    {:noreply, push_event(socket, "voice_toggle_settings", %{})}
+  end
+
   # Confirmations and errors reported back by the VoiceChannel JS hook.
 
   def handle_event("voice_joined", _params, socket) do
@@ -89,8 +113,11 @@ defmodule ArblargWeb.ChatLive.Operations.VoiceChannelOperations do
          assign(socket, :voice, %{
            socket.assigns.voice
            | joined_id: conversation_id,
-             joined_name: (conversation && conversation.name) || "Voice channel",
-             muted: params["muted"] == true
+             joined_name: room_name(conversation),
+             muted: params["muted"] == true,
+             video: params["video"] == true,
+             screen_sharing: params["screen_sharing"] == true,
+             media_encryption: media_encryption_status(params["media_encryption"])
          })}
 
       _ ->
@@ -106,6 +133,38 @@ defmodule ArblargWeb.ChatLive.Operations.VoiceChannelOperations do
     {:noreply, assign(socket, :voice, %{socket.assigns.voice | muted: muted == true})}
   end
 
+  def handle_event("voice_video_changed", %{"video" => video}, socket) do
+    {:noreply, assign(socket, :voice, %{socket.assigns.voice | video: video == true})}
+  end
+
+  def handle_event("voice_screen_changed", %{"sharing" => sharing}, socket) do
+    {:noreply,
+     assign(socket, :voice, %{socket.assigns.voice | screen_sharing: sharing == true})}
+  end
+
+  def handle_event("voice_media_encryption_changed", %{"status" => status}, socket) do
+    {:noreply,
+     assign(socket, :voice, %{
+       socket.assigns.voice
+       | media_encryption: media_encryption_status(status)
+     })}
+  end
+
+  # Who the client's audio analysers currently hear, for the speaking rings
+  # in the sidebar occupant list.
+  def handle_event("voice_speaking_changed", %{"user_ids" => user_ids}, socket)
+      when is_list(user_ids) do
+    speaking =
+      user_ids
+      |> Enum.filter(&(is_integer(&1) and &1 > 0))
+      |> Enum.take(VoiceChannels.max_occupants())
+      |> MapSet.new()
+
+    {:noreply, assign(socket, :voice, %{socket.assigns.voice | speaking: speaking})}
+  end
+
+  def handle_event("voice_speaking_changed", _params, socket), do: {:noreply, socket}
+
   def handle_event("voice_error", params, socket) do
     {:noreply,
      socket
@@ -147,14 +206,14 @@ defmodule ArblargWeb.ChatLive.Operations.VoiceChannelOperations do
   def route_info(_info, _socket), do: :unhandled
 
   @doc """
-  Subscribes the LiveView to the presence topics of every voice channel in
-  the conversation list and refreshes occupant snapshots. Call whenever the
-  conversation list is (re)loaded.
+  Subscribes the LiveView to the presence topics of every voice channel and
+  group conversation in the conversation list and refreshes occupant
+  snapshots. Call whenever the conversation list is (re)loaded.
   """
   def sync_voice_channels(socket, conversations) when is_list(conversations) do
     voice_ids =
       conversations
-      |> Enum.filter(&(&1.type == "voice_channel"))
+      |> Enum.filter(&VoiceChannels.call_room_type?(&1.type))
       |> MapSet.new(& &1.id)
 
     subscribed = socket.assigns.voice.subscribed_ids
@@ -181,8 +240,8 @@ defmodule ArblargWeb.ChatLive.Operations.VoiceChannelOperations do
   def sync_voice_channels(socket, _conversations), do: socket
 
   @doc """
-  Occupant maps (user_id, username, display_name, avatar, muted) for one
-  voice channel, ordered by join time.
+  Occupant maps (user_id, username, display_name, avatar, muted, video) for
+  one voice channel or group call, ordered by join time.
   """
   def occupants_for(conversation_id) do
     "voice:#{conversation_id}"
@@ -195,7 +254,8 @@ defmodule ArblargWeb.ChatLive.Operations.VoiceChannelOperations do
         username: Map.get(&1, :username),
         display_name: Map.get(&1, :display_name) || Map.get(&1, :username),
         avatar: Map.get(&1, :avatar),
-        muted: Map.get(&1, :muted, false)
+        muted: Map.get(&1, :muted, false),
+        video: Map.get(&1, :video, false)
       }
     )
   end
@@ -210,13 +270,33 @@ defmodule ArblargWeb.ChatLive.Operations.VoiceChannelOperations do
     Enum.find(socket.assigns.conversation.list, &(&1.id == conversation_id))
   end
 
+  defp room_name(%{type: "group", name: name}) when is_binary(name) and name != "", do: name
+  defp room_name(%{type: "group"}), do: "Group call"
+  defp room_name(%{name: name}) when is_binary(name) and name != "", do: name
+  defp room_name(_conversation), do: "Voice channel"
+
   defp reset_connection(voice_state) do
-    %{voice_state | joined_id: nil, joined_name: nil, muted: false}
+    %{
+      voice_state
+      | joined_id: nil,
+        joined_name: nil,
+        muted: false,
+        video: false,
+        screen_sharing: false,
+        media_encryption: nil,
+        speaking: MapSet.new()
+    }
   end
 
-  defp voice_error_message("channel_full"), do: "This voice channel is full"
+  defp media_encryption_status(status) when status in @media_encryption_statuses, do: status
+  defp media_encryption_status(_status), do: nil
+
+  defp voice_error_message("channel_full"), do: "This call is full"
   defp voice_error_message("already_joined"), do: "You're already connected in another tab"
 
+  defp voice_error_message("sfu_" <> _reason),
+    do: "Could not reach the group call server. Try again later."
+
   defp voice_error_message("unauthorized"),
     do: "You don't have access to this voice channel"
 
@@ -23,8 +23,12 @@ defmodule ArblargWeb.ChatLive.Router do
   @event_handlers %{
     "send_message" => MessageOperations,
     "send_client_encrypted_message" => MessageOperations,
+    "upload_client_encrypted_attachment" => MessageOperations,
     "register_chat_encryption_device" => MessageOperations,
     "chat_e2ee_key" => MessageOperations,
+    "chat_key_backup_get" => MessageOperations,
+    "chat_key_backup_put" => MessageOperations,
+    "chat_key_backup_delete" => MessageOperations,
     "chat_typing" => MessageOperations,
     "update_message" => MessageOperations,
     "stop_typing" => MessageOperations,
@@ -127,6 +131,12 @@ defmodule ArblargWeb.ChatLive.Router do
     "toggle_video" => CallOperations,
     "audio_toggled" => CallOperations,
     "video_toggled" => CallOperations,
+    "screen_share_toggled" => CallOperations,
+    "media_encryption_changed" => CallOperations,
+    "recording_toggled" => CallOperations,
+    "peer_recording_changed" => CallOperations,
+    "call_recording_error" => CallOperations,
+    "call_quality_report" => CallOperations,
     "call_error" => CallOperations,
     "call_started" => CallOperations,
     "remote_stream_ready" => CallOperations,
@@ -138,10 +148,17 @@ defmodule ArblargWeb.ChatLive.Router do
     "join_voice_channel" => VoiceChannelOperations,
     "leave_voice_channel" => VoiceChannelOperations,
     "toggle_voice_mute" => VoiceChannelOperations,
+    "toggle_voice_video" => VoiceChannelOperations,
+    "toggle_voice_screen" => VoiceChannelOperations,
+    "toggle_voice_settings" => VoiceChannelOperations,
     "voice_joined" => VoiceChannelOperations,
     "voice_rejoined" => VoiceChannelOperations,
     "voice_left" => VoiceChannelOperations,
     "voice_mute_changed" => VoiceChannelOperations,
+    "voice_video_changed" => VoiceChannelOperations,
+    "voice_screen_changed" => VoiceChannelOperations,
+    "voice_media_encryption_changed" => VoiceChannelOperations,
+    "voice_speaking_changed" => VoiceChannelOperations,
     "voice_error" => VoiceChannelOperations,
     "close_dropdown" => UIOperations,
     "toggle_mobile_search" => UIOperations,
@@ -47,12 +47,17 @@ defmodule ArblargWeb.ChatLive.State do
 
   defmodule Call do
     @moduledoc """
-    Voice/video call state.
+    Voice/video call state, including whether this user or the other
+    participant is recording the call.
     """
     defstruct active_call: nil,
               incoming_call: nil,
               audio_enabled: true,
               video_enabled: true,
+              screen_sharing: false,
+              media_encryption: nil,
+              recording: false,
+              peer_recording: false,
               status: "connecting"
   end
 
@@ -121,13 +126,19 @@ defmodule ArblargWeb.ChatLive.State do
 
   defmodule Voice do
     @moduledoc """
-    Voice channel state: the channel the user is connected to, local mute
-    state, live occupant lists per voice channel (from presence), and the
-    set of voice presence topics this LiveView is subscribed to.
+    Voice channel and group call state: the room the user is connected to,
+    local mute, camera and screen share state, the media encryption status the
+    client reports, who the client currently hears speaking, live occupant
+    lists per room (from presence), and the set of voice presence topics this
+    LiveView is subscribed to.
     """
     defstruct joined_id: nil,
               joined_name: nil,
               muted: false,
+              video: false,
+              screen_sharing: false,
+              media_encryption: nil,
+              speaking: MapSet.new(),
               occupants: %{},
               subscribed_ids: MapSet.new()
   end
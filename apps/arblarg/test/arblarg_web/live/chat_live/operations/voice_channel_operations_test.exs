@@ -0,0 +1,32 @@
+defmodule ArblargWeb.ChatLive.Operations.VoiceChannelOperationsTest do
+  use ExUnit.Case, async: true
+
+  alias ArblargWeb.ChatLive.Operations.VoiceChannelOperations
+  alias ArblargWeb.ChatLive.State.Voice
+  alias Phoenix.LiveView.Socket
+
+  defp socket(voice) do
+    %Socket{assigns: %{__changed__: %{}, voice: voice}}
+  end
+
+  test "voice_speaking_changed keeps only valid user ids" do
+    assert {:noreply, updated_socket} =
+             VoiceChannelOperations.handle_event(
+               "voice_speaking_changed",
+               %{"user_ids" => [3, "4", -1, 7]},
+               socket(%Voice{joined_id: 1})
+             )
+
+    assert updated_socket.assigns.voice.speaking == MapSet.new([3, 7])
+  end
+
+  test "voice_left clears the speaking set" do
+    voice = %Voice{joined_id: 1, speaking: MapSet.new([3])}
+
+    assert {:noreply, updated_socket} =
+             VoiceChannelOperations.handle_event("voice_left", %{}, socket(voice))
+
+    assert updated_socket.assigns.voice.speaking == MapSet.new()
+    assert updated_socket.assigns.voice.joined_id == nil
+  end
+end
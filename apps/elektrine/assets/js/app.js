@@ -40,6 +40,9 @@ import { initProfileStatic } from "./profile_static"
 import { initENav } from "./e_nav"
 import { initAdminSecurity } from "./admin_security"
 import { initThemeToggle, syncThemeControls } from "./theme"
+import { initOffline } from "./offline"
+import { initAppBadge } from "./app_badge"
+import { initKeymap, showKeymapHelp } from "./keymap"
 
 // Import shared modules
 import { FlashMessageManager } from "./flash_message_manager"
@@ -47,10 +50,10 @@ import {
   showNotification,
   showLoadingNotification,
   showUndoNotification,
-  showConfirmNotification,
-  showKeyboardShortcuts
+  showConfirmNotification
 } from "./notification_system"
-import { insertMarkdownFormat, toggleMarkdownPreview, markdownToHtml } from "./markdown_helpers"
+import { insertMarkdownFormat, toggleMarkdownPreview } from "./markdown_helpers"
+import { renderMarkdown } from "./markdown"
 
 // ============================================================================
 // Global Exports (for inline scripts and non-module code)
@@ -61,10 +64,10 @@ window.showNotification = showNotification
 window.showLoadingNotification = showLoadingNotification
 window.showUndoNotification = showUndoNotification
 window.showConfirmNotification = showConfirmNotification
-window.showKeyboardShortcuts = showKeyboardShortcuts
+window.showKeyboardShortcuts = showKeymapHelp
 window.insertMarkdownFormat = insertMarkdownFormat
 window.toggleMarkdownPreview = toggleMarkdownPreview
-window.markdownToHtml = markdownToHtml
+window.markdownToHtml = (markdown) => renderMarkdown(markdown, { hardBreaks: true })
 
 // ============================================================================
 // LiveSocket Configuration
@@ -589,6 +592,15 @@ window.addEventListener("focus", () => {
 
 window.addEventListener("popstate", syncCursorGlowForRoute)
 
+// Service worker: app shell, saved pages and the offline outbox
+initOffline(liveSocket)
+
+// Unread notification count on the installed app icon
+initAppBadge()
+
+// Keyboard shortcut preferences saved from settings
+initKeymap()
+
 // Expose for debugging
 // >> liveSocket.enableDebug()
 // >> liveSocket.enableLatencySim(1000)
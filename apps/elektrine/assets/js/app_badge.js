@@ -0,0 +1,20 @@
+/**
+ * App badge
+ * Mirrors the unread notification count onto the installed app's icon with
+ * the Badging API. While no tab is open, the service worker sets it from
+ * pushes instead.
+ */
+
+// NotificationHelpers pushes "phx:notification_count_updated", and LiveView
+// adds its own "phx:" prefix when it dispatches the event on window.
+const COUNT_EVENT = "phx:phx:notification_count_updated"
+
+export function initAppBadge() {
+  if (!("setAppBadge" in navigator)) return
+
+  window.addEventListener(COUNT_EVENT, (event) => {
+    const count = Number(event.detail?.count) || 0
+    const update = count > 0 ? navigator.setAppBadge(count) : navigator.clearAppBadge()
+    update.catch(() => {})
+  })
+}
@@ -0,0 +1,310 @@
+/**
+ * End-to-end encrypted call media
+ * Frame-level encryption for 1:1 calls and group calls on top of DTLS-SRTP,
+ * so a TURN relay or an SFU only ever forwards ciphertext. Every participant
+ * encrypts what it sends under a key derived from its own active encrypted
+ * chat key for the conversation, announces that key's uid over signaling,
+ * and decrypts others with the keys its browser already holds (or fetches
+ * like any other encrypted chat key). A participant that cannot get
+ * someone's key withdraws its own announcement, so the whole room falls back
+ * together instead of anyone sending frames a peer cannot open.
+ *
+ * Frames are transformed in a worker, through RTCRtpScriptTransform where
+ * the browser has it and Chrome's createEncodedStreams otherwise. Each
+ * encrypted frame carries a short key id, so receivers pick the key per
+ * frame. Frames without a known key id are dropped unless the room has
+ * fallen back to transport encryption (one of FALLBACK_STATUSES), because
+ * someone joined from a browser without support or without the keys; only
+ * then do unencrypted frames play, and the status says so.
+ *
+ * Status values reported to onStatus:
+ *   "encrypted"         every participant encrypts end to end
+ *   "waiting"           not every participant has announced its key yet
+ *   "unavailable"       no usable conversation key here or for a participant
+ *   "unsupported"       this browser cannot transform encoded frames
+ *   "peer_unsupported"  another participant's browser cannot
+ */
+
+const WORKER_URL = "/assets/workers/call_media_worker.js"
+const KEY_SALT = "elektrine-call-media-v1"
+const KEY_ID_BYTES = 4
+
+// Statuses in which the room has given up on end-to-end encryption and
+// plays unencrypted frames. "waiting" is not one: frames are dropped until
+// the room settles either way.
+const FALLBACK_STATUSES = ["unavailable", "unsupported", "peer_unsupported"]
+
+// Codecs whose packetizers cope with an opaque payload after the header
+// bytes the worker leaves in the clear.
+const FRAME_SAFE_VIDEO_CODECS = ["video/VP8", "video/VP9", "video/AV1"]
+
+let keyProvider = null
+
+/**
+ * Lets the encrypted chat hook hand out conversation keys to calls:
+ * { localKey(conversationId) => { keyUid, rawKeyBytes } | null,
+ *   remoteKey(conversationId, keyUid) => rawKeyBytes }.
+ */
+export function registerMediaKeyProvider(provider) {
+  keyProvider = provider
+}
+
+export function unregisterMediaKeyProvider(provider) {
+  if (keyProvider === provider) keyProvider = null
+}
+
+function scriptTransformSupported() {
+  return typeof window !== "undefined" && "RTCRtpScriptTransform" in window
+}
+
+function encodedStreamsSupported() {
+  return typeof RTCRtpSender !== "undefined" && "createEncodedStreams" in RTCRtpSender.prototype
+}
+
+/**
+ * True when this browser can encrypt call media end to end.
+ */
+export function mediaEncryptionSupported() {
+  return typeof Worker !== "undefined" && Boolean(window.crypto?.subtle) &&
+    (scriptTransformSupported() || encodedStreamsSupported())
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("")
+}
+
+async function deriveMediaKey(conversationId, keyUid, rawKeyBytes) {
+  const encoder = new TextEncoder()
+  const info = encoder.encode(`conversation:${conversationId}:key:${keyUid}`)
+  const material = await crypto.subtle.importKey("raw", rawKeyBytes, "HKDF", false, ["deriveKey"])
+  const key = await crypto.subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt: encoder.encode(KEY_SALT), info },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  )
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", info))
+
+  return { key, keyId: bytesToHex(digest.slice(0, KEY_ID_BYTES)) }
+}
+
+function preferFrameSafeCodecs(transceiver) {
+  if (transceiver.receiver.track?.kind !== "video" || !transceiver.setCodecPreferences) return
+
+  try {
+    const codecs = RTCRtpReceiver.getCapabilities("video")?.codecs || []
+    const rank = (codec) => {
+      const index = FRAME_SAFE_VIDEO_CODECS.indexOf(codec.mimeType)
+      return index === -1 ? FRAME_SAFE_VIDEO_CODECS.length : index
+    }
+
+    transceiver.setCodecPreferences([...codecs].sort((a, b) => rank(a) - rank(b)))
+  } catch (_error) {
+    // Negotiation already fixed the codec list; keep what was agreed.
+  }
+}
+
+export class CallMediaEncryption {
+  constructor({ conversationId, onStatus, onAnnounce }) {
+    this.conversationId = conversationId
+    this.onStatus = onStatus
+    this.onAnnounce = onAnnounce
+    this.supported = mediaEncryptionSupported()
+    this.worker = null
+    this.localKeyUid = null
+    this.localReady = false
+    this.withdrawn = false
+    this.startPromise = null
+    // peer id => { supported, keyUid, keyId, failed }
+    this.peers = new Map()
+    this.loadingKeys = new Set()
+    this.protectedEndpoints = new WeakSet()
+    this.status = null
+    this.closed = false
+  }
+
+  /**
+   * Adds the flag Chrome needs before createEncodedStreams can be used on a
+   * connection's senders and receivers.
+   */
+  peerConnectionConfig(config) {
+    if (this.supported && !scriptTransformSupported()) {
+      return { ...config, encodedInsertableStreams: true }
+    }
+
+    return config
+  }
+
+  ensureWorker() {
+    if (!this.worker && this.supported && !this.closed) {
+      this.worker = new Worker(WORKER_URL)
+      if (this.status) this.postStatus()
+    }
+
+    return this.worker
+  }
+
+  /**
+   * Loads and installs this participant's sending key, then announces it
+   * through onAnnounce.
+   */
+  start() {
+    if (!this.startPromise) {
+      this.startPromise = this.loadLocalKey().catch(() => null).then((keyUid) => {
+        this.localKeyUid = keyUid
+        this.localReady = true
+        this.update()
+        this.announce()
+      })
+    }
+
+    return this.startPromise
+  }
+
+  /**
+   * What to tell the other participants: { supported, key_uid }.
+   */
+  announcement() {
+    return { supported: this.supported, key_uid: this.withdrawn ? null : this.localKeyUid }
+  }
+
+  announce() {
+    if (this.localReady && !this.closed) this.onAnnounce?.(this.announcement())
+  }
+
+  async loadLocalKey() {
+    if (!this.supported || !this.conversationId || !keyProvider) return null
+
+    const local = await keyProvider.localKey(this.conversationId)
+    if (!local || this.closed) return null
+
+    const { key, keyId } = await deriveMediaKey(this.conversationId, local.keyUid, local.rawKeyBytes)
+    this.ensureWorker()?.postMessage({ type: "setLocalKey", key, keyId })
+    return local.keyUid
+  }
+
+  /**
+   * Replaces the set of remote participants: [{ id, supported, keyUid }],
+   * where supported is null until the participant has announced itself.
+   */
+  setPeers(entries) {
+    const next = new Map()
+
+    entries.forEach(({ id, supported, keyUid }) => {
+      const previous = this.peers.get(id)
+      const peer = previous?.keyUid === keyUid ? { ...previous, supported } : { supported, keyUid }
+      next.set(id, peer)
+
+      if (keyUid && !peer.keyId && !peer.failed) this.loadPeerKey(id, keyUid)
+    })
+
+    this.peers = next
+    this.update()
+  }
+
+  async loadPeerKey(peerId, keyUid) {
+    const loadingKey = `${peerId}:${keyUid}`
+    if (this.loadingKeys.has(loadingKey) || !this.supported || !this.conversationId) return
+    this.loadingKeys.add(loadingKey)
+
+    let derived = null
+    try {
+      const rawKeyBytes = keyProvider && await keyProvider.remoteKey(this.conversationId, keyUid)
+      if (rawKeyBytes) derived = await deriveMediaKey(this.conversationId, keyUid, rawKeyBytes)
+    } catch (_error) {
+      // Reported as "unavailable" below.
+    } finally {
+      this.loadingKeys.delete(loadingKey)
+    }
+
+    const peer = this.peers.get(peerId)
+    if (this.closed || peer?.keyUid !== keyUid) return
+
+    if (derived) {
+      this.ensureWorker()?.postMessage({ type: "addKey", key: derived.key, keyId: derived.keyId })
+      peer.keyId = derived.keyId
+    } else {
+      peer.failed = true
+
+      if (this.localKeyUid && !this.withdrawn) {
+        this.withdrawn = true
+        this.announce()
+      }
+    }
+
+    this.update()
+  }
+
+  computeStatus() {
+    const peers = Array.from(this.peers.values())
+
+    if (!this.supported) return "unsupported"
+    if (peers.some((peer) => peer.supported === false)) return "peer_unsupported"
+    if (this.localReady && (!this.localKeyUid || this.withdrawn)) return "unavailable"
+    if (peers.some((peer) => peer.supported && (!peer.keyUid || peer.failed))) return "unavailable"
+    if (!this.localKeyUid || peers.length === 0 || peers.some((peer) => !peer.keyId)) return "waiting"
+
+    return "encrypted"
+  }
+
+  update() {
+    if (this.closed) return
+
+    const status = this.computeStatus()
+    if (status === this.status) return
+
+    this.status = status
+    if (this.worker) this.postStatus()
+    this.onStatus?.(status)
+  }
+
+  postStatus() {
+    this.worker.postMessage({
+      type: "setEnabled",
+      enabled: this.status === "encrypted",
+      fallback: FALLBACK_STATUSES.includes(this.status)
+    })
+  }
+
+  /**
+   * Routes every sender and receiver of the connection through the worker.
+   * Safe to call again after tracks or transceivers were added.
+   */
+  protect(pc) {
+    if (!this.ensureWorker()) return
+
+    pc.getTransceivers().forEach((transceiver) => {
+      preferFrameSafeCodecs(transceiver)
+      this.attach(transceiver.sender, "encrypt")
+      this.attach(transceiver.receiver, "decrypt")
+    })
+  }
+
+  protectReceiver(receiver) {
+    if (this.ensureWorker()) this.attach(receiver, "decrypt")
+  }
+
+  attach(endpoint, direction) {
+    if (this.protectedEndpoints.has(endpoint)) return
+    this.protectedEndpoints.add(endpoint)
+
+    try {
+      if (scriptTransformSupported()) {
+        endpoint.transform = new RTCRtpScriptTransform(this.worker, { direction })
+      } else {
+        const { readable, writable } = endpoint.createEncodedStreams()
+        this.worker.postMessage({ type: "attach", direction, readable, writable }, [readable, writable])
+      }
+    } catch (_error) {
+      // Chrome refuses receivers whose media already started flowing.
+    }
+  }
+
+  close() {
+    this.closed = true
+    this.worker?.terminate()
+    this.worker = null
+    this.peers.clear()
+  }
+}
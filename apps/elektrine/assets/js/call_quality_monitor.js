@@ -0,0 +1,263 @@
+/**
+ * Call quality monitor
+ * Polls RTCPeerConnection.getStats() for a 1:1 call, reports a sample per
+ * interval (round trip time, jitter, packet loss, bitrate, the selected
+ * candidate pair and codecs) and steps the outgoing camera down in bitrate and
+ * resolution while the peer keeps losing packets, back up once loss clears.
+ * stop() returns a summary of the whole call for the server, which is how
+ * admins see calls that only connected through TURN.
+ */
+
+const STATS_INTERVAL_MS = 2000
+
+// Loss the peer reports for what we send, in percent.
+const DOWNGRADE_LOSS_PERCENT = 5
+const UPGRADE_LOSS_PERCENT = 1
+const DOWNGRADE_AFTER_SAMPLES = 3
+const UPGRADE_AFTER_SAMPLES = 10
+
+// Camera sending levels, best first.
+const VIDEO_LEVELS = [
+  { maxBitrate: null, scaleResolutionDownBy: 1 },
+  { maxBitrate: 600000, scaleResolutionDownBy: 1.5 },
+  { maxBitrate: 300000, scaleResolutionDownBy: 2 },
+  { maxBitrate: 150000, scaleResolutionDownBy: 4 }
+]
+
+function round(value, digits = 1) {
+  if (!Number.isFinite(value)) return null
+
+  const factor = 10 ** digits
+  return Math.round(value * factor) / factor
+}
+
+function average(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+}
+
+function maximum(values) {
+  return values.length ? Math.max(...values) : null
+}
+
+function present(values) {
+  return values.filter((value) => Number.isFinite(value))
+}
+
+function selectedCandidatePair(report) {
+  let pair = null
+
+  report.forEach((stat) => {
+    if (stat.type === "transport" && stat.selectedCandidatePairId) {
+      pair = report.get(stat.selectedCandidatePairId) || pair
+    }
+  })
+
+  if (pair) return pair
+
+  // Firefox has no transport stats; it flags the pair itself.
+  report.forEach((stat) => {
+    if (stat.type === "candidate-pair" && stat.state === "succeeded" && (stat.selected || stat.nominated)) {
+      pair = pair || stat
+    }
+  })
+
+  return pair
+}
+
+export class CallQualityMonitor {
+  constructor(peerConnection, { onSample } = {}) {
+    this.peerConnection = peerConnection
+    this.onSample = onSample
+    this.timer = null
+    this.polling = false
+    this.previous = null
+    this.samples = []
+    this.candidate = null
+    this.relayed = false
+    this.codecs = {}
+    this.videoLevel = 0
+    this.lossyStreak = 0
+    this.cleanStreak = 0
+    this.downgrades = 0
+    this.startedAt = null
+  }
+
+  start() {
+    if (this.timer) return
+
+    this.startedAt = Date.now()
+    this.timer = window.setInterval(() => this.poll(), STATS_INTERVAL_MS)
+    this.poll()
+  }
+
+  /**
+   * Stops polling and returns the summary of the call so far.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+
+    this.peerConnection = null
+    return this.summary()
+  }
+
+  async poll() {
+    if (!this.peerConnection || this.polling) return
+    this.polling = true
+
+    try {
+      const report = await this.peerConnection.getStats()
+      if (!this.peerConnection) return
+
+      const sample = this.collect(report)
+      this.samples.push(sample)
+      this.adapt(sample)
+      this.onSample?.({ ...sample, video_level: this.videoLevel })
+    } catch (_error) {
+      // The connection closed between polls.
+    } finally {
+      this.polling = false
+    }
+  }
+
+  collect(report) {
+    const now = Date.now()
+    const totals = { bytesSent: 0, bytesReceived: 0, packetsReceived: 0, packetsLost: 0 }
+    const jitters = []
+    const remoteLoss = []
+    const codecs = {}
+
+    report.forEach((stat) => {
+      if (stat.type === "outbound-rtp") {
+        totals.bytesSent += stat.bytesSent || 0
+        const codec = stat.codecId && report.get(stat.codecId)
+        if (codec?.mimeType) codecs[stat.kind] = codec.mimeType
+      }
+
+      if (stat.type === "inbound-rtp") {
+        totals.bytesReceived += stat.bytesReceived || 0
+        totals.packetsReceived += stat.packetsReceived || 0
+        totals.packetsLost += Math.max(stat.packetsLost || 0, 0)
+        if (Number.isFinite(stat.jitter)) jitters.push(stat.jitter * 1000)
+      }
+
+      if (stat.type === "remote-inbound-rtp" && Number.isFinite(stat.fractionLost)) {
+        remoteLoss.push(stat.fractionLost * 100)
+      }
+    })
+
+    const pair = selectedCandidatePair(report)
+    const local = pair && report.get(pair.localCandidateId)
+    const remote = pair && report.get(pair.remoteCandidateId)
+
+    if (local || remote) {
+      this.candidate = {
+        local: local?.candidateType || null,
+        remote: remote?.candidateType || null,
+        protocol: local?.protocol || null,
+        relayProtocol: local?.relayProtocol || null
+      }
+      this.relayed = this.relayed || local?.candidateType === "relay" || remote?.candidateType === "relay"
+    }
+
+    Object.assign(this.codecs, codecs)
+
+    const previous = this.previous
+    this.previous = { at: now, ...totals }
+
+    const seconds = previous ? (now - previous.at) / 1000 : 0
+    const kbps = (current, before) => (seconds > 0 ? ((current - before) * 8) / 1000 / seconds : null)
+    const received = previous ? totals.packetsReceived - previous.packetsReceived : 0
+    const lost = previous ? totals.packetsLost - previous.packetsLost : 0
+
+    return {
+      rtt_ms: pair && Number.isFinite(pair.currentRoundTripTime) ? pair.currentRoundTripTime * 1000 : null,
+      jitter_ms: maximum(jitters),
+      receive_loss: received + lost > 0 ? (Math.max(lost, 0) / (received + lost)) * 100 : null,
+      send_loss: maximum(remoteLoss),
+      send_kbps: previous ? kbps(totals.bytesSent, previous.bytesSent) : null,
+      receive_kbps: previous ? kbps(totals.bytesReceived, previous.bytesReceived) : null,
+      candidate: this.candidate,
+      codecs: { ...this.codecs }
+    }
+  }
+
+  adapt(sample) {
+    if (!Number.isFinite(sample.send_loss)) return
+
+    if (sample.send_loss >= DOWNGRADE_LOSS_PERCENT) {
+      this.lossyStreak += 1
+      this.cleanStreak = 0
+    } else if (sample.send_loss < UPGRADE_LOSS_PERCENT) {
+      this.cleanStreak += 1
+      this.lossyStreak = 0
+    } else {
+      this.lossyStreak = 0
+      this.cleanStreak = 0
+    }
+
+    if (this.lossyStreak >= DOWNGRADE_AFTER_SAMPLES && this.videoLevel < VIDEO_LEVELS.length - 1) {
+      this.lossyStreak = 0
+      this.downgrades += 1
+      this.setVideoLevel(this.videoLevel + 1)
+    } else if (this.cleanStreak >= UPGRADE_AFTER_SAMPLES && this.videoLevel > 0) {
+      this.cleanStreak = 0
+      this.setVideoLevel(this.videoLevel - 1)
+    }
+  }
+
+  setVideoLevel(level) {
+    this.videoLevel = level
+    const { maxBitrate, scaleResolutionDownBy } = VIDEO_LEVELS[level]
+
+    // The first video sender is the camera; screen shares keep their own limits.
+    const sender = this.peerConnection?.getSenders().find((candidate) => candidate.track?.kind === "video")
+    if (!sender) return
+
+    const parameters = sender.getParameters()
+    if (!parameters.encodings?.length) parameters.encodings = [{}]
+
+    parameters.encodings.forEach((encoding) => {
+      if (maxBitrate) {
+        encoding.maxBitrate = maxBitrate
+      } else {
+        delete encoding.maxBitrate
+      }
+      encoding.scaleResolutionDownBy = scaleResolutionDownBy
+    })
+
+    sender.setParameters(parameters).catch(() => {})
+  }
+
+  /**
+   * Flat summary of the call, or null before the first sample.
+   */
+  summary() {
+    if (this.samples.length === 0) return null
+
+    const values = (key) => present(this.samples.map((sample) => sample[key]))
+
+    return {
+      duration_seconds: Math.round((Date.now() - this.startedAt) / 1000),
+      samples: this.samples.length,
+      relayed: this.relayed,
+      local_candidate: this.candidate?.local || null,
+      remote_candidate: this.candidate?.remote || null,
+      protocol: this.candidate?.protocol || null,
+      relay_protocol: this.candidate?.relayProtocol || null,
+      audio_codec: this.codecs.audio || null,
+      video_codec: this.codecs.video || null,
+      avg_rtt_ms: round(average(values("rtt_ms"))),
+      max_rtt_ms: round(maximum(values("rtt_ms"))),
+      avg_jitter_ms: round(average(values("jitter_ms"))),
+      avg_receive_loss: round(average(values("receive_loss")), 2),
+      max_receive_loss: round(maximum(values("receive_loss")), 2),
+      avg_send_loss: round(average(values("send_loss")), 2),
+      avg_send_kbps: round(average(values("send_kbps"))),
+      avg_receive_kbps: round(average(values("receive_kbps"))),
+      downgrades: this.downgrades
+    }
+  }
+}
@@ -0,0 +1,284 @@
+/**
+ * Call recorder
+ * Records a 1:1 call in the browser with MediaRecorder: both sides' audio is
+ * mixed through Web Audio and, for video calls, the remote camera is drawn
+ * full frame on a canvas with the local camera as a picture-in-picture.
+ * Nothing leaves the browser while recording. sealRecording() encrypts the
+ * finished file under a vault feature key before it is uploaded anywhere, so
+ * the server only stores ciphertext plus an encrypted manifest (the file IV,
+ * type and duration) that the owner's vault can open again.
+ */
+
+import * as vaultSession from "./hooks/vault_session"
+import {
+  base64ToBytes,
+  bytesToBase64,
+  decryptBytes,
+  decryptValue,
+  encryptBytes,
+  encryptValue
+} from "./hooks/vault_crypto"
+
+// Uploads (and request bodies) are capped at 25 MB. Recording stops once the
+// chunks pass this, and the last one-second chunk plus the multipart
+// envelope must still fit under the cap.
+export const MAX_RECORDING_BYTES = 24 * 1024 * 1024
+
+const CANVAS_WIDTH = 1280
+const CANVAS_HEIGHT = 720
+const FRAME_RATE = 30
+const PIP_SCALE = 0.25
+const PIP_MARGIN = 16
+const CHUNK_MS = 1000
+
+const VIDEO_MIME_TYPES = ["video/webm;codecs=vp8,opus", "video/webm", "video/mp4"]
+const AUDIO_MIME_TYPES = ["audio/webm;codecs=opus", "audio/webm", "audio/mp4"]
+
+const FILE_AAD = { purpose: "elektrine-call-recording" }
+const MANIFEST_AAD = { purpose: "elektrine-call-recording-manifest" }
+
+export function recordingSupported() {
+  return typeof MediaRecorder !== "undefined" &&
+    Boolean(window.AudioContext || window.webkitAudioContext) &&
+    typeof HTMLCanvasElement !== "undefined" &&
+    "captureStream" in HTMLCanvasElement.prototype
+}
+
+function pickMimeType(candidates) {
+  return candidates.find((type) => MediaRecorder.isTypeSupported(type)) || ""
+}
+
+function hasVideo(stream) {
+  return Boolean(stream?.getVideoTracks().some((track) => track.readyState === "live"))
+}
+
+function playingVideo(stream) {
+  const video = document.createElement("video")
+  video.muted = true
+  video.playsInline = true
+  video.srcObject = stream
+  video.play().catch(() => {})
+  return video
+}
+
+// Fits a video frame inside a box, keeping its aspect ratio.
+function drawContained(context, video, x, y, width, height) {
+  if (!video.videoWidth || !video.videoHeight) return
+
+  const scale = Math.min(width / video.videoWidth, height / video.videoHeight)
+  const drawWidth = video.videoWidth * scale
+  const drawHeight = video.videoHeight * scale
+  context.drawImage(video, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight)
+}
+
+export class CallRecorder {
+  constructor({ onLimit } = {}) {
+    this.onLimit = onLimit
+    this.audioContext = null
+    this.canvas = null
+    this.videos = null
+    this.timer = null
+    this.recorder = null
+    this.mimeType = ""
+    this.chunks = []
+    this.bytes = 0
+    this.truncated = false
+    this.startedAt = null
+    this.stopPromise = null
+  }
+
+  start(localStream, remoteStream) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext
+    this.audioContext = new AudioContextClass()
+    const destination = this.audioContext.createMediaStreamDestination()
+
+    ;[localStream, remoteStream].forEach((stream) => {
+      const track = stream?.getAudioTracks()[0]
+      if (!track) return
+      this.audioContext.createMediaStreamSource(new MediaStream([track])).connect(destination)
+    })
+
+    const tracks = destination.stream.getAudioTracks()
+    const video = hasVideo(localStream) || hasVideo(remoteStream)
+
+    if (video) {
+      tracks.push(this.startCompositing(localStream, remoteStream))
+    }
+
+    this.mimeType = pickMimeType(video ? VIDEO_MIME_TYPES : AUDIO_MIME_TYPES)
+    this.recorder = new MediaRecorder(new MediaStream(tracks), this.mimeType ? { mimeType: this.mimeType } : {})
+    this.mimeType = this.recorder.mimeType || this.mimeType || (video ? "video/webm" : "audio/webm")
+
+    this.recorder.ondataavailable = (event) => {
+      if (!event.data?.size) return
+
+      this.chunks.push(event.data)
+      this.bytes += event.data.size
+
+      if (this.bytes >= MAX_RECORDING_BYTES && !this.truncated) {
+        this.truncated = true
+        this.onLimit?.()
+      }
+    }
+
+    this.recorder.start(CHUNK_MS)
+    this.startedAt = Date.now()
+  }
+
+  // Background tabs throttle timers to about once a second, so the video
+  // track stutters while the call page is hidden; audio is unaffected.
+  startCompositing(localStream, remoteStream) {
+    this.canvas = document.createElement("canvas")
+    this.canvas.width = CANVAS_WIDTH
+    this.canvas.height = CANVAS_HEIGHT
+    this.videos = { local: playingVideo(localStream), remote: playingVideo(remoteStream) }
+
+    const context = this.canvas.getContext("2d")
+    const pipWidth = CANVAS_WIDTH * PIP_SCALE
+    const pipHeight = CANVAS_HEIGHT * PIP_SCALE
+
+    this.timer = setInterval(() => {
+      context.fillStyle = "#000"
+      context.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT)
+
+      if (hasVideo(remoteStream)) {
+        drawContained(context, this.videos.remote, 0, 0, CANVAS_WIDTH, CANVAS_HEIGHT)
+      }
+
+      if (hasVideo(localStream)) {
+        drawContained(
+          context,
+          this.videos.local,
+          CANVAS_WIDTH - pipWidth - PIP_MARGIN,
+          CANVAS_HEIGHT - pipHeight - PIP_MARGIN,
+          pipWidth,
+          pipHeight
+        )
+      }
+    }, 1000 / FRAME_RATE)
+
+    return this.canvas.captureStream(FRAME_RATE).getVideoTracks()[0]
+  }
+
+  /**
+   * Stops recording. Resolves to { blob, mimeType, duration, truncated },
+   * with duration in seconds. Safe to call more than once.
+   */
+  stop() {
+    if (this.stopPromise) return this.stopPromise
+
+    this.stopPromise = new Promise((resolve) => {
+      const finish = () => {
+        this.release()
+        resolve({
+          blob: new Blob(this.chunks, { type: this.mimeType }),
+          mimeType: this.mimeType,
+          duration: Math.round((Date.now() - this.startedAt) / 1000),
+          truncated: this.truncated
+        })
+      }
+
+      if (!this.recorder || this.recorder.state === "inactive") {
+        finish()
+        return
+      }
+
+      this.recorder.onstop = finish
+      this.recorder.stop()
+    })
+
+    return this.stopPromise
+  }
+
+  release() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+
+    if (this.videos) {
+      Object.values(this.videos).forEach((video) => {
+        video.srcObject = null
+      })
+      this.videos = null
+    }
+
+    this.recorder?.stream.getTracks().forEach((track) => track.stop())
+    this.audioContext?.close().catch(() => {})
+    this.audioContext = null
+    this.canvas = null
+  }
+}
+
+export function recordingFileName(mimeType, date = new Date()) {
+  const stamp = date.toISOString().slice(0, 19).replace(/[:T]/g, "-")
+  const extension = mimeType?.includes("mp4") ? "mp4" : "webm"
+  return `call-recording-${stamp}.${extension}`
+}
+
+/**
+ * Encrypts a finished recording under the vault key for `feature` ("kairo").
+ * Returns { ciphertext: Blob, manifest }, where manifest is a vault value
+ * payload. Throws "vault-locked" while the vault is locked.
+ */
+export async function sealRecording(recording, feature) {
+  const key = await vaultSession.featureKey(feature)
+  const bytes = new Uint8Array(await recording.blob.arrayBuffer())
+  const { iv, ciphertext } = await encryptBytes(bytes, key, FILE_AAD)
+
+  const details = {
+    iv: bytesToBase64(iv),
+    type: recording.mimeType,
+    duration: recording.duration,
+    size: bytes.byteLength,
+    name: recordingFileName(recording.mimeType)
+  }
+
+  return {
+    ciphertext: new Blob([ciphertext], { type: "application/octet-stream" }),
+    manifest: await encryptValue(JSON.stringify(details), key, MANIFEST_AAD)
+  }
+}
+
+/**
+ * Downloads and decrypts a sealed recording. Resolves to
+ * { blob, type, duration, size, name }.
+ */
+export async function openSealedRecording(url, manifest, feature) {
+  const key = await vaultSession.featureKey(feature)
+  const details = JSON.parse(await decryptValue(manifest, key, MANIFEST_AAD))
+
+  const response = await fetch(url, { credentials: "same-origin" })
+  if (!response.ok) throw new Error("download-failed")
+
+  const ciphertext = new Uint8Array(await response.arrayBuffer())
+  const bytes = await decryptBytes(ciphertext, base64ToBytes(details.iv), key, FILE_AAD)
+
+  return { ...details, blob: new Blob([bytes], { type: details.type }) }
+}
+
+/**
+ * Uploads a sealed recording as a Kairo source ("kairo") and resolves to the
+ * server's data payload.
+ */
+export async function uploadSealedRecording(callId, destination, sealed, duration) {
+  const body = new FormData()
+  body.append("destination", destination)
+  body.append("manifest", JSON.stringify(sealed.manifest))
+  body.append("duration", String(duration))
+  body.append("file", sealed.ciphertext, "call-recording.enc")
+
+  const response = await fetch(`/api/chat/calls/${encodeURIComponent(callId)}/recordings`, {
+    method: "POST",
+    body,
+    credentials: "same-origin",
+    headers: {
+      "x-csrf-token": document.querySelector("meta[name='csrf-token']")?.getAttribute("content") || ""
+    }
+  })
+
+  const reply = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(reply?.error ? `Could not save: ${reply.error}.` : "Could not save the recording.")
+
+  return reply.data
+}
@@ -1,16 +1,19 @@
-// Email raw view functions
+// Email raw view functions. The MIME tree, hop timeline and authentication
+// results are rendered by the EmailRawInspector hook, which also fills
+// #raw-email with the original source once it has been fetched.
 export function initEmailRaw() {
   // Handle download original email
   document.addEventListener('click', (e) => {
-    if (e.target.closest('[data-action="download-original"]')) {
+    const downloadButton = e.target.closest('[data-action="download-original"]');
+    if (downloadButton) {
       e.preventDefault();
       const rawContent = document.getElementById('raw-email');
-      if (rawContent) {
+      if (rawContent && rawContent.textContent) {
         const blob = new Blob([rawContent.textContent], { type: 'message/rfc822' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'email.eml';
+        a.download = downloadButton.dataset.filename || 'email.eml';
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -22,7 +25,7 @@ export function initEmailRaw() {
     if (e.target.closest('[data-action="copy-raw-email"]')) {
       e.preventDefault();
       const rawContent = document.getElementById('raw-email');
-      if (rawContent) {
+      if (rawContent && rawContent.textContent) {
         navigator.clipboard.writeText(rawContent.textContent).then(() => {
           const btn = e.target.closest('button');
           const originalText = btn.innerHTML;
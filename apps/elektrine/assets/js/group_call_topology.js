@@ -0,0 +1,792 @@
+/**
+ * Group call media topologies
+ * Pluggable transports for voice channels and group calls. Every topology
+ * takes the same options and exposes the same methods, so the VoiceChannel
+ * hook does not care whether media flows peer to peer or through an SFU:
+ *
+ *   sync(participants)         presence list: { userId, joinedAt, streamId,
+ *                              screenStreamId, video }
+ *   handleSignal(payload)      "signal" pushes from the voice channel (mesh only)
+ *   setAudioTrack(track)       swap the microphone (device or processing change)
+ *   setVideoTrack(track|null)  camera on/off without renegotiation
+ *   setScreenStream(stream|null)  start or stop a screen share (renegotiates)
+ *   setPreferredLayer(userId, "high" | "medium" | "low")
+ *   audioLevels()              Map of userId => last audio level (0..1)
+ *   close()
+ *
+ * Both topologies negotiate one audio and one video transceiver up front, so
+ * turning the camera on later only swaps the sender track. A screen share gets
+ * transceivers of its own, and its tracks reach onTrack with { screen: true }.
+ */
+
+// Total upstream video budget a mesh participant splits across its peers.
+const MESH_VIDEO_BUDGET_BPS = 2_000_000
+const MESH_MIN_VIDEO_BPS = 150_000
+const MESH_MAX_VIDEO_BPS = 1_200_000
+
+// Simulcast layers in the rid naming ion-sfu expects.
+const SIMULCAST_ENCODINGS = [
+  { rid: "f", maxBitrate: 1_200_000 },
+  { rid: "h", scaleResolutionDownBy: 2, maxBitrate: 500_000 },
+  { rid: "q", scaleResolutionDownBy: 4, maxBitrate: 150_000 }
+]
+
+const SFU_REQUEST_TIMEOUT_MS = 10000
+const SFU_PUBLISHER = 0
+const SFU_SUBSCRIBER = 1
+
+const topologies = new Map()
+
+/**
+ * Registers a topology class under a name used in the voice channel join reply.
+ */
+export function registerTopology(name, topologyClass) {
+  topologies.set(name, topologyClass)
+}
+
+/**
+ * Creates a topology instance.
+ *
+ * Options: { userId, conversationId, channel, iceServers, sfu, localStream,
+ * encryption, onTrack(userId, track, { screen }), onPeerLeft(userId),
+ * onError(reason) }. `encryption` is an optional CallMediaEncryption that
+ * every connection's senders and receivers are routed through.
+ */
+export function createTopology(name, options) {
+  const Topology = topologies.get(name)
+  if (!Topology) throw new Error(`Unknown call topology: ${name}`)
+
+  return new Topology(options)
+}
+
+function peerConnection(iceServers, encryption) {
+  const config = { iceServers }
+  return new RTCPeerConnection(encryption ? encryption.peerConnectionConfig(config) : config)
+}
+
+function audioLevelOf(receiver) {
+  try {
+    const [source] = receiver.getSynchronizationSources?.() || []
+    return source?.audioLevel || 0
+  } catch (_error) {
+    return 0
+  }
+}
+
+/**
+ * Full mesh: one RTCPeerConnection per remote participant, signaled over the
+ * voice channel. For each pair, the peer with the greater (joined_at,
+ * user_id) presence tuple initiates the offer, so newcomers offer to
+ * everyone already present and concurrent joins resolve without glare.
+ *
+ * Screen shares renegotiate an established connection from either side, so
+ * later offers follow the perfect negotiation pattern: the side that answered
+ * the first offer is polite and yields when both offer at once.
+ */
+export class MeshTopology {
+  constructor({ userId, channel, iceServers, localStream, encryption, onTrack, onPeerLeft }) {
+    this.userId = userId
+    this.channel = channel
+    this.iceServers = iceServers || []
+    this.localStream = localStream
+    this.encryption = encryption || null
+    this.screenStream = null
+    this.onTrack = onTrack
+    this.onPeerLeft = onPeerLeft
+    this.peers = new Map()
+    this.seen = new Set()
+    this.myJoinedAt = Infinity
+  }
+
+  // True when the remote peer's presence tuple sorts before ours, meaning we
+  // are the newer side of the pair and must initiate the offer.
+  shouldInitiateTo(participant) {
+    if (participant.joinedAt !== this.myJoinedAt) {
+      return participant.joinedAt < this.myJoinedAt
+    }
+
+    return participant.userId < this.userId
+  }
+
+  sync(participants) {
+    const me = participants.find((participant) => participant.userId === this.userId)
+    if (me) this.myJoinedAt = me.joinedAt
+
+    const remote = participants.filter((participant) => participant.userId !== this.userId)
+    const present = new Set(remote.map((participant) => participant.userId))
+
+    // An offer can outrun the presence update announcing its sender, so only
+    // peers that presence has shown before are closed when they disappear.
+    Array.from(this.peers.keys())
+      .filter((peerId) => this.seen.has(peerId) && !present.has(peerId))
+      .forEach((peerId) => this.closePeer(peerId))
+    this.seen = present
+
+    remote
+      .filter((participant) => !this.peers.has(participant.userId))
+      .filter((participant) => this.shouldInitiateTo(participant))
+      .forEach((participant) => this.offerTo(participant.userId))
+
+    this.applyBitrateCap()
+  }
+
+  createPeer(peerId, polite) {
+    const pc = peerConnection(this.iceServers, this.encryption)
+    const peer = {
+      pc,
+      polite,
+      makingOffer: false,
+      pendingCandidates: [],
+      screenTransceivers: [],
+      screenPending: false
+    }
+
+    pc.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.pushSignal(peerId, "ice", event.candidate.toJSON())
+      }
+    }
+
+    // The first two transceivers carry the microphone and camera; anything
+    // negotiated after them belongs to a screen share.
+    pc.ontrack = (event) => {
+      this.encryption?.protectReceiver(event.receiver)
+      const screen = pc.getTransceivers().indexOf(event.transceiver) >= 2
+      this.onTrack(peerId, event.track, { screen })
+    }
+
+    pc.onconnectionstatechange = () => {
+      if (pc.connectionState === "connected") {
+        this.applyBitrateCap()
+      } else if (pc.connectionState === "failed" || pc.connectionState === "closed") {
+        this.closePeer(peerId)
+      }
+    }
+
+    this.peers.set(peerId, peer)
+    return peer
+  }
+
+  localTrack(kind) {
+    return this.localStream.getTracks().find((track) => track.kind === kind) || null
+  }
+
+  async offerTo(peerId) {
+    const peer = this.createPeer(peerId, false)
+
+    try {
+      for (const kind of ["audio", "video"]) {
+        peer.pc.addTransceiver(this.localTrack(kind) || kind, {
+          direction: "sendrecv",
+          streams: [this.localStream]
+        })
+      }
+      await this.attachScreen(peer)
+      this.encryption?.protect(peer.pc)
+
+      await this.sendOffer(peerId, peer)
+    } catch (_error) {
+      this.closePeer(peerId)
+    }
+  }
+
+  async sendOffer(peerId, peer) {
+    peer.makingOffer = true
+
+    try {
+      const offer = await peer.pc.createOffer()
+      await peer.pc.setLocalDescription(offer)
+      this.pushSignal(peerId, "offer", peer.pc.localDescription.toJSON())
+    } finally {
+      peer.makingOffer = false
+    }
+  }
+
+  async renegotiate(peerId) {
+    const peer = this.peers.get(peerId)
+    if (!peer || peer.pc.signalingState === "closed") return
+
+    try {
+      await this.sendOffer(peerId, peer)
+    } catch (_error) {
+      // The next screen share toggle retries.
+    }
+  }
+
+  pushSignal(peerId, kind, payload) {
+    if (this.channel.state === "joined") {
+      this.channel.push("signal", { to: peerId, kind, payload })
+    }
+  }
+
+  async handleSignal({ from, kind, payload }) {
+    if (from === this.userId) return
+
+    try {
+      if (kind === "offer") {
+        await this.handleOffer(from, payload)
+      } else if (kind === "answer") {
+        await this.handleAnswer(from, payload)
+      } else if (kind === "ice") {
+        await this.handleRemoteCandidate(from, payload)
+      }
+    } catch (_error) {
+      // A broken negotiation with one peer should not take the session down.
+    }
+  }
+
+  // On the first offer the answerer attaches its tracks to the transceivers
+  // the offer created instead of adding new ones, so both sides end up with
+  // one of each kind. A share it already had running follows in its own offer.
+  async handleOffer(peerId, sdp) {
+    const peer = this.peers.get(peerId) || this.createPeer(peerId, true)
+    const collision = peer.makingOffer || peer.pc.signalingState !== "stable"
+    if (collision && !peer.polite) return
+
+    const initial = !peer.pc.currentRemoteDescription
+    await peer.pc.setRemoteDescription(new RTCSessionDescription(sdp))
+    this.encryption?.protect(peer.pc)
+    await this.flushCandidates(peer)
+
+    if (initial) {
+      for (const transceiver of peer.pc.getTransceivers().slice(0, 2)) {
+        const kind = transceiver.receiver.track?.kind
+        if (!kind) continue
+
+        transceiver.direction = "sendrecv"
+        await transceiver.sender.replaceTrack(this.localTrack(kind))
+        transceiver.sender.setStreams?.(this.localStream)
+      }
+    }
+
+    const answer = await peer.pc.createAnswer()
+    await peer.pc.setLocalDescription(answer)
+    this.pushSignal(peerId, "answer", peer.pc.localDescription.toJSON())
+
+    if (initial && this.screenStream) peer.screenPending = true
+    await this.flushScreen(peerId, peer)
+  }
+
+  async handleAnswer(peerId, sdp) {
+    const peer = this.peers.get(peerId)
+    if (!peer) return
+
+    await peer.pc.setRemoteDescription(new RTCSessionDescription(sdp))
+    await this.flushCandidates(peer)
+    await this.flushScreen(peerId, peer)
+  }
+
+  async handleRemoteCandidate(peerId, candidate) {
+    const peer = this.peers.get(peerId) || this.createPeer(peerId, true)
+
+    if (peer.pc.remoteDescription) {
+      await peer.pc.addIceCandidate(new RTCIceCandidate(candidate))
+    } else {
+      peer.pendingCandidates.push(candidate)
+    }
+  }
+
+  async flushCandidates(peer) {
+    const pending = peer.pendingCandidates.splice(0)
+
+    for (const candidate of pending) {
+      try {
+        await peer.pc.addIceCandidate(new RTCIceCandidate(candidate))
+      } catch (_error) {
+        // Ignore malformed candidates from a remote peer.
+      }
+    }
+  }
+
+  videoSenders() {
+    return Array.from(this.peers.values()).flatMap(({ pc }) =>
+      pc.getTransceivers()
+        .slice(0, 2)
+        .filter((transceiver) => transceiver.receiver.track?.kind === "video")
+        .map((transceiver) => transceiver.sender)
+    )
+  }
+
+  async setAudioTrack(track) {
+    const senders = Array.from(this.peers.values()).flatMap(({ pc }) =>
+      pc.getTransceivers()
+        .slice(0, 2)
+        .filter((transceiver) => transceiver.receiver.track?.kind === "audio")
+        .map((transceiver) => transceiver.sender)
+    )
+
+    await Promise.all(senders.map((sender) => sender.replaceTrack(track).catch(() => {})))
+  }
+
+  async setVideoTrack(track) {
+    await Promise.all(this.videoSenders().map((sender) => sender.replaceTrack(track).catch(() => {})))
+    this.applyBitrateCap()
+  }
+
+  // Sends the current screen stream on the peer's screen transceivers, reusing
+  // the ones from an earlier share, or parks them when sharing stopped.
+  async attachScreen(peer) {
+    const tracks = this.screenStream?.getTracks() || []
+
+    for (const transceiver of peer.screenTransceivers) {
+      const track = tracks.find((candidate) => candidate.kind === transceiver.receiver.track.kind)
+      await transceiver.sender.replaceTrack(track || null)
+      transceiver.direction = track ? "sendonly" : "inactive"
+      if (track) transceiver.sender.setStreams?.(this.screenStream)
+    }
+
+    const covered = new Set(
+      peer.screenTransceivers.map((transceiver) => transceiver.receiver.track.kind)
+    )
+    tracks
+      .filter((track) => !covered.has(track.kind))
+      .forEach((track) => {
+        peer.screenTransceivers.push(
+          peer.pc.addTransceiver(track, { direction: "sendonly", streams: [this.screenStream] })
+        )
+      })
+  }
+
+  // Share changes wait for the connection's first offer/answer exchange to
+  // finish, then go out in an offer of their own.
+  async flushScreen(peerId, peer) {
+    if (!peer.screenPending || !peer.pc.currentRemoteDescription) return
+    if (peer.pc.signalingState !== "stable") return
+
+    peer.screenPending = false
+    await this.attachScreen(peer)
+    this.encryption?.protect(peer.pc)
+    await this.renegotiate(peerId)
+  }
+
+  async setScreenStream(stream) {
+    this.screenStream = stream
+
+    await Promise.all(Array.from(this.peers.entries()).map(([peerId, peer]) => {
+      peer.screenPending = true
+      return this.flushScreen(peerId, peer)
+    }))
+  }
+
+  // Upstream bandwidth is shared by every peer, so each gets a smaller slice
+  // as the room grows.
+  applyBitrateCap() {
+    const peerCount = Math.max(this.peers.size, 1)
+    const maxBitrate = Math.min(
+      MESH_MAX_VIDEO_BPS,
+      Math.max(MESH_MIN_VIDEO_BPS, Math.floor(MESH_VIDEO_BUDGET_BPS / peerCount))
+    )
+
+    this.videoSenders().forEach((sender) => {
+      const parameters = sender.getParameters()
+      if (!parameters.encodings?.length) return
+
+      parameters.encodings.forEach((encoding) => {
+        encoding.maxBitrate = maxBitrate
+      })
+      sender.setParameters(parameters).catch(() => {})
+    })
+  }
+
+  // Every peer sends a single layer; what arrives is what the sender picked.
+  setPreferredLayer(_userId, _layer) {}
+
+  audioLevels() {
+    const levels = new Map()
+
+    this.peers.forEach(({ pc }, peerId) => {
+      const receiver = pc.getTransceivers()[0]?.receiver
+      if (receiver?.track?.kind === "audio") levels.set(peerId, audioLevelOf(receiver))
+    })
+
+    return levels
+  }
+
+  closePeer(peerId) {
+    const peer = this.peers.get(peerId)
+    if (!peer) return
+
+    this.peers.delete(peerId)
+
+    try {
+      peer.pc.onicecandidate = null
+      peer.pc.ontrack = null
+      peer.pc.onconnectionstatechange = null
+      peer.pc.close()
+    } catch (_error) {
+      // Already closed.
+    }
+
+    this.onPeerLeft(peerId)
+  }
+
+  close() {
+    Array.from(this.peers.keys()).forEach((peerId) => this.closePeer(peerId))
+  }
+}
+
+/**
+ * Selective forwarding through a self-hosted SFU speaking the ion-sfu JSON-RPC
+ * protocol over WebSocket. Each participant publishes one stream (simulcast
+ * video in three layers) on a publisher connection and receives everyone
+ * else on a subscriber connection the SFU offers. Remote streams are matched
+ * to participants by the `stream_id` (or `screen_stream_id` for a screen
+ * share) each client puts in presence.
+ */
+export class SfuTopology {
+  constructor({
+    userId,
+    conversationId,
+    iceServers,
+    sfu,
+    localStream,
+    encryption,
+    onTrack,
+    onPeerLeft,
+    onError
+  }) {
+    this.userId = userId
+    this.conversationId = conversationId
+    this.iceServers = iceServers || []
+    this.sfu = sfu || {}
+    this.localStream = localStream
+    this.encryption = encryption || null
+    this.screenStream = null
+    this.screenTransceivers = []
+    this.onTrack = onTrack
+    this.onPeerLeft = onPeerLeft
+    this.onError = onError
+    this.socket = null
+    this.publisher = null
+    this.subscriber = null
+    this.api = null
+    this.requests = new Map()
+    this.nextRequestId = 1
+    this.pendingCandidates = { [SFU_PUBLISHER]: [], [SFU_SUBSCRIBER]: [] }
+    // stream id => { tracks, userId, screen }
+    this.streams = new Map()
+    this.participants = []
+    this.layers = new Map()
+    this.closed = false
+
+    this.start().catch((error) => this.fail(error?.message || "sfu_join_failed"))
+  }
+
+  fail(reason) {
+    if (this.closed) return
+
+    this.close()
+    this.onError?.(reason)
+  }
+
+  endpointUrl() {
+    const url = new URL(this.sfu.endpoint, window.location.href)
+    if (this.sfu.token) url.searchParams.set("access_token", this.sfu.token)
+    return url.toString()
+  }
+
+  async start() {
+    await this.openSocket()
+
+    this.publisher = peerConnection(this.iceServers, this.encryption)
+    this.subscriber = peerConnection(this.iceServers, this.encryption)
+
+    // ion-sfu answers layer requests on a data channel named after itself.
+    this.publisher.createDataChannel("ion-sfu")
+    this.subscriber.ondatachannel = (event) => {
+      if (event.channel.label === "ion-sfu") {
+        this.api = event.channel
+        this.api.onopen = () => this.sendLayers()
+      }
+    }
+
+    for (const target of [SFU_PUBLISHER, SFU_SUBSCRIBER]) {
+      this.connection(target).onicecandidate = (event) => {
+        if (event.candidate) this.notify("trickle", { target, candidate: event.candidate.toJSON() })
+      }
+    }
+    this.subscriber.ontrack = (event) => this.handleTrack(event)
+
+    const audio = this.localStream.getAudioTracks()[0] || "audio"
+    const video = this.localStream.getVideoTracks()[0] || "video"
+    this.publisher.addTransceiver(audio, { direction: "sendonly", streams: [this.localStream] })
+    this.publisher.addTransceiver(video, {
+      direction: "sendonly",
+      streams: [this.localStream],
+      sendEncodings: SIMULCAST_ENCODINGS
+    })
+    this.encryption?.protect(this.publisher)
+
+    const offer = await this.publisher.createOffer()
+    await this.publisher.setLocalDescription(offer)
+
+    const answer = await this.request("join", {
+      sid: `room:${this.conversationId}`,
+      uid: String(this.userId),
+      offer: this.publisher.localDescription.toJSON()
+    })
+
+    await this.publisher.setRemoteDescription(new RTCSessionDescription(answer))
+    await this.flushCandidates(SFU_PUBLISHER)
+  }
+
+  openSocket() {
+    return new Promise((resolve, reject) => {
+      this.socket = new WebSocket(this.endpointUrl())
+      this.socket.onopen = () => resolve()
+      this.socket.onerror = () => reject(new Error("sfu_unreachable"))
+      this.socket.onclose = () => this.fail("sfu_disconnected")
+      this.socket.onmessage = (event) => this.handleMessage(event.data)
+    })
+  }
+
+  request(method, params) {
+    const id = this.nextRequestId++
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.requests.delete(id)
+        reject(new Error(`sfu_${method}_timeout`))
+      }, SFU_REQUEST_TIMEOUT_MS)
+
+      this.requests.set(id, { resolve, reject, timer })
+      this.socket.send(JSON.stringify({ jsonrpc: "2.0", id, method, params }))
+    })
+  }
+
+  notify(method, params) {
+    if (this.socket?.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ jsonrpc: "2.0", method, params }))
+    }
+  }
+
+  async handleMessage(data) {
+    let message
+    try {
+      message = JSON.parse(data)
+    } catch (_error) {
+      return
+    }
+
+    const pending = message.id && this.requests.get(message.id)
+    if (pending) {
+      this.requests.delete(message.id)
+      clearTimeout(pending.timer)
+      if (message.error) pending.reject(new Error(message.error.message || "sfu_error"))
+      else pending.resolve(message.result)
+      return
+    }
+
+    try {
+      if (message.method === "offer") {
+        await this.subscriber.setRemoteDescription(new RTCSessionDescription(message.params))
+        await this.flushCandidates(SFU_SUBSCRIBER)
+        const answer = await this.subscriber.createAnswer()
+        await this.subscriber.setLocalDescription(answer)
+        this.notify("answer", { desc: this.subscriber.localDescription.toJSON() })
+      } else if (message.method === "trickle") {
+        await this.addCandidate(message.params.target, message.params.candidate)
+      }
+    } catch (_error) {
+      // A bad renegotiation drops the affected streams, not the whole call.
+    }
+  }
+
+  connection(target) {
+    return target === SFU_PUBLISHER ? this.publisher : this.subscriber
+  }
+
+  async addCandidate(target, candidate) {
+    const pc = this.connection(target)
+
+    if (pc?.remoteDescription) {
+      await pc.addIceCandidate(new RTCIceCandidate(candidate))
+    } else {
+      this.pendingCandidates[target].push(candidate)
+    }
+  }
+
+  async flushCandidates(target) {
+    const pending = this.pendingCandidates[target].splice(0)
+
+    for (const candidate of pending) {
+      try {
+        await this.connection(target).addIceCandidate(new RTCIceCandidate(candidate))
+      } catch (_error) {
+        // Ignore candidates for a connection that already moved on.
+      }
+    }
+  }
+
+  handleTrack(event) {
+    this.encryption?.protectReceiver(event.receiver)
+    const stream = event.streams[0]
+    if (!stream) return
+
+    const entry = this.streams.get(stream.id) || { tracks: new Set(), userId: null, screen: false }
+    entry.tracks.add(event.track)
+    this.streams.set(stream.id, entry)
+
+    stream.onremovetrack = () => {
+      if (stream.getTracks().length === 0) this.dropStream(stream.id)
+    }
+
+    this.resolveStreams()
+  }
+
+  // A finished screen share leaves the participant in the call; presence
+  // tells the hook to take its tile down.
+  dropStream(streamId) {
+    const entry = this.streams.get(streamId)
+    this.streams.delete(streamId)
+    if (entry?.userId && !entry.screen) this.onPeerLeft(entry.userId)
+  }
+
+  // Streams can arrive before the owner's presence update names them.
+  resolveStreams() {
+    const owners = new Map()
+    this.participants
+      .filter((participant) => participant.userId !== this.userId)
+      .forEach((participant) => {
+        if (participant.streamId) {
+          owners.set(participant.streamId, { userId: participant.userId, screen: false })
+        }
+        if (participant.screenStreamId) {
+          owners.set(participant.screenStreamId, { userId: participant.userId, screen: true })
+        }
+      })
+
+    this.streams.forEach((entry, streamId) => {
+      const owner = owners.get(streamId)
+      if (!owner || entry.userId === owner.userId) return
+
+      entry.userId = owner.userId
+      entry.screen = owner.screen
+      entry.tracks.forEach((track) => this.onTrack(owner.userId, track, { screen: owner.screen }))
+    })
+  }
+
+  sync(participants) {
+    this.participants = participants
+
+    const present = new Set(participants.map((participant) => participant.userId))
+    this.streams.forEach((entry, streamId) => {
+      if (entry.userId && !present.has(entry.userId)) this.dropStream(streamId)
+    })
+
+    this.resolveStreams()
+  }
+
+  handleSignal() {}
+
+  async setAudioTrack(track) {
+    const transceiver = this.publisher?.getTransceivers()
+      .find((candidate) => candidate.receiver.track?.kind === "audio")
+
+    await transceiver?.sender.replaceTrack(track).catch(() => {})
+  }
+
+  async setVideoTrack(track) {
+    const transceiver = this.publisher?.getTransceivers()
+      .find((candidate) => candidate.receiver.track?.kind === "video")
+
+    await transceiver?.sender.replaceTrack(track).catch(() => {})
+  }
+
+  // The screen goes out as a second, single-layer stream on the publisher;
+  // its transceivers stay around between shares and go inactive in between.
+  async setScreenStream(stream) {
+    this.screenStream = stream
+    if (!this.publisher || this.closed) return
+
+    const tracks = stream?.getTracks() || []
+
+    for (const transceiver of this.screenTransceivers) {
+      const track = tracks.find((candidate) => candidate.kind === transceiver.receiver.track.kind)
+      await transceiver.sender.replaceTrack(track || null)
+      transceiver.direction = track ? "sendonly" : "inactive"
+      if (track) transceiver.sender.setStreams?.(stream)
+    }
+
+    const covered = new Set(this.screenTransceivers.map((transceiver) => transceiver.receiver.track.kind))
+    tracks
+      .filter((track) => !covered.has(track.kind))
+      .forEach((track) => {
+        this.screenTransceivers.push(
+          this.publisher.addTransceiver(track, { direction: "sendonly", streams: [stream] })
+        )
+      })
+    this.encryption?.protect(this.publisher)
+
+    try {
+      const offer = await this.publisher.createOffer()
+      await this.publisher.setLocalDescription(offer)
+      const answer = await this.request("offer", { desc: this.publisher.localDescription.toJSON() })
+      await this.publisher.setRemoteDescription(new RTCSessionDescription(answer))
+    } catch (error) {
+      this.fail(error?.message || "sfu_renegotiation_failed")
+    }
+  }
+
+  setPreferredLayer(userId, layer) {
+    if (this.layers.get(userId) === layer) return
+
+    this.layers.set(userId, layer)
+    this.sendLayers()
+  }
+
+  sendLayers() {
+    if (this.api?.readyState !== "open") return
+
+    this.streams.forEach((entry, streamId) => {
+      const layer = entry.userId && this.layers.get(entry.userId)
+      if (layer) this.api.send(JSON.stringify({ streamId, video: layer, audio: true }))
+    })
+  }
+
+  audioLevels() {
+    const levels = new Map()
+    const owners = new Map()
+
+    this.streams.forEach((entry) => {
+      entry.tracks.forEach((track) => owners.set(track.id, entry.userId))
+    })
+
+    this.subscriber?.getReceivers().forEach((receiver) => {
+      const userId = receiver.track?.kind === "audio" && owners.get(receiver.track.id)
+      if (userId) levels.set(userId, audioLevelOf(receiver))
+    })
+
+    return levels
+  }
+
+  close() {
+    if (this.closed) return
+    this.closed = true
+
+    this.requests.forEach(({ reject, timer }) => {
+      clearTimeout(timer)
+      reject(new Error("sfu_closed"))
+    })
+    this.requests.clear()
+
+    for (const pc of [this.publisher, this.subscriber]) {
+      try {
+        pc?.close()
+      } catch (_error) {
+        // Already closed.
+      }
+    }
+
+    try {
+      this.socket?.close()
+    } catch (_error) {
+      // Socket may never have opened.
+    }
+
+    Array.from(this.streams.keys()).forEach((streamId) => this.dropStream(streamId))
+  }
+}
+
+registerTopology("mesh", MeshTopology)
+registerTopology("sfu", SfuTopology)
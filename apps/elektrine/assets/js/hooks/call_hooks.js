@@ -5,6 +5,9 @@
 import { WebRTCClient } from '../webrtc_client'
 import { Socket } from 'phoenix'
 import { globalRingtone } from '../ringtone_player'
+import { recordingSupported } from '../call_recorder'
+import { offerRecordingSave } from './call_recording_hooks'
+import { offerVoicemail } from './call_voicemail'
 
 function createSocket(userToken) {
   const socket = new Socket("/socket", { params: { token: userToken } })
@@ -57,28 +60,85 @@ function setMediaElementsFromStream(stream) {
   }
 }
 
+// Shows the peer's screen share in its own tile, or hides the tile (null).
+function setRemoteScreen(stream) {
+  const tile = document.getElementById("remote-screen-tile")
+  const videoElement = document.getElementById("remote-screen")
+  if (!tile || !videoElement) {
+    return
+  }
+
+  tile.classList.toggle("hidden", !stream)
+  videoElement.srcObject = stream || null
+  if (stream) {
+    videoElement.play().catch(() => {})
+  }
+}
+
+// Stats samples go out as a window event so the overlay, which re-mounts
+// independently of the hook that owns the client, can pick them up.
+function publishCallStats(sample) {
+  window.dispatchEvent(new CustomEvent("elektrine:call-stats", { detail: sample }))
+}
+
+// Sent before the call_ended/call_ended_by_user event so the LiveView still
+// knows which call the report belongs to.
+function reportCallQuality(hook, client) {
+  const summary = client?.getQualitySummary()
+  if (summary) {
+    hook.pushEvent("call_quality_report", { call_id: client.callId, ...summary })
+  }
+}
+
+// The peer's recording notices drive the overlay banner; a finished local
+// recording is offered for saving, even when it ended because of a hang-up.
+function attachRecordingHandlers(hook, client) {
+  client.onPeerRecording((recording) => {
+    hook.pushEvent("peer_recording_changed", { recording })
+  })
+  client.onRecordingFinished((recording) => {
+    hook.pushEvent("recording_toggled", { recording: false })
+    offerRecordingSave({ callId: client.callId, recording })
+  })
+}
+
+function formatStat(value, unit) {
+  return Number.isFinite(value) ? `${Math.round(value * 10) / 10} ${unit}` : "-"
+}
+
+function candidateRoute(candidate) {
+  if (!candidate) {
+    return "-"
+  }
+
+  const route = `${candidate.local || "?"} / ${candidate.remote || "?"}`
+  const protocol = candidate.relayProtocol || candidate.protocol
+  return protocol ? `${route} (${protocol})` : route
+}
+
 /**
  * Hook for initiating and managing outgoing calls.
  */
 export const CallInitiator = {
   mounted() {
-    this.handleEvent("start_call", ({ call_id, call_type, ice_servers, transport, user_token, user_id }) => {
-      this.startCall(call_id, call_type, ice_servers, transport, user_token, user_id)
+    this.handleEvent("start_call", ({ call_id, call_type, ice_servers, transport, user_token, user_id, conversation_id }) => {
+      this.startCall(call_id, call_type, ice_servers, transport, user_token, user_id, conversation_id)
     })
 
-    this.handleEvent("resume_call", ({ call_id, call_type, ice_servers, transport, user_token, user_id, initiator }) => {
-      this.resumeCall(call_id, call_type, ice_servers, transport, user_token, user_id, initiator)
+    this.handleEvent("resume_call", ({ call_id, call_type, ice_servers, transport, user_token, user_id, initiator, conversation_id }) => {
+      this.resumeCall(call_id, call_type, ice_servers, transport, user_token, user_id, initiator, conversation_id)
     })
   },
 
-  async startCall(callId, callType, iceServers, transport, userToken, userId) {
+  async startCall(callId, callType, iceServers, transport, userToken, userId, conversationId) {
     this.cleanup()
+    this.outgoing = { callType }
 
     try {
       globalRingtone.playOutgoing()
 
       const socket = createSocket(userToken)
-      const client = new WebRTCClient(socket, callId, userId, iceServers, transport)
+      const client = new WebRTCClient(socket, callId, userId, iceServers, transport, conversationId)
 
       this.attachClient(client)
 
@@ -97,12 +157,13 @@ export const CallInitiator = {
     }
   },
 
-  async resumeCall(callId, callType, iceServers, transport, userToken, userId, initiator) {
+  async resumeCall(callId, callType, iceServers, transport, userToken, userId, initiator, conversationId) {
     this.cleanup()
+    this.outgoing = initiator ? { callType } : null
 
     try {
       const socket = createSocket(userToken)
-      const client = new WebRTCClient(socket, callId, userId, iceServers, transport)
+      const client = new WebRTCClient(socket, callId, userId, iceServers, transport, conversationId)
 
       this.attachClient(client)
 
@@ -139,6 +200,16 @@ export const CallInitiator = {
       this.setRemoteStream(stream)
     })
 
+    client.onRemoteScreen(setRemoteScreen)
+    client.onScreenShareEnded(() => {
+      this.pushEvent("screen_share_toggled", { sharing: false })
+    })
+    client.onMediaEncryption((status) => {
+      this.pushEvent("media_encryption_changed", { status })
+    })
+    client.onQualityStats(publishCallStats)
+    attachRecordingHandlers(this, client)
+
     client.onCallEnded((reason) => {
       if (reason !== "rejected") {
         globalRingtone.playEnded()
@@ -146,7 +217,20 @@ export const CallInitiator = {
         globalRingtone.stop()
       }
 
+      reportCallQuality(this, client)
       this.pushEvent("call_ended", { reason })
+
+      // The server marks a call missed once it has rung unanswered for the
+      // ring timeout; the caller can then leave a message in the DM.
+      if (reason === "missed" && this.outgoing && client.conversationId) {
+        offerVoicemail({
+          callId: client.callId,
+          callType: this.outgoing.callType,
+          userId: client.userId,
+          conversationId: client.conversationId
+        })
+      }
+
       this.cleanup()
     })
 
@@ -178,8 +262,8 @@ export const CallInitiator = {
  */
 export const CallReceiver = {
   mounted() {
-    this.handleEvent("answer_call", ({ call_id, ice_servers, transport, user_token, user_id }) => {
-      this.answerCall(call_id, ice_servers, transport, user_token, user_id)
+    this.handleEvent("answer_call", ({ call_id, ice_servers, transport, user_token, user_id, conversation_id }) => {
+      this.answerCall(call_id, ice_servers, transport, user_token, user_id, conversation_id)
     })
 
     this.handleEvent("reject_call", ({ call_id, user_token }) => {
@@ -195,14 +279,14 @@ export const CallReceiver = {
     })
   },
 
-  async answerCall(callId, iceServers, transport, userToken, userId) {
+  async answerCall(callId, iceServers, transport, userToken, userId, conversationId) {
     this.cleanup()
 
     try {
       globalRingtone.stop()
 
       const socket = createSocket(userToken)
-      const client = new WebRTCClient(socket, callId, userId, iceServers, transport)
+      const client = new WebRTCClient(socket, callId, userId, iceServers, transport, conversationId)
 
       this.client = client
       window.activeCallClient = client
@@ -212,6 +296,16 @@ export const CallReceiver = {
         this.setRemoteStream(stream)
       })
 
+      client.onRemoteScreen(setRemoteScreen)
+      client.onScreenShareEnded(() => {
+        this.pushEvent("screen_share_toggled", { sharing: false })
+      })
+      client.onMediaEncryption((status) => {
+        this.pushEvent("media_encryption_changed", { status })
+      })
+      client.onQualityStats(publishCallStats)
+      attachRecordingHandlers(this, client)
+
       client.onCallEnded((reason) => {
         if (reason !== "rejected") {
           globalRingtone.playEnded()
@@ -219,6 +313,7 @@ export const CallReceiver = {
           globalRingtone.stop()
         }
 
+        reportCallQuality(this, client)
         this.pushEvent("call_ended", { reason })
         this.cleanup()
       })
@@ -303,12 +398,49 @@ export const CallControls = {
       }
     }
 
+    this.handleShareScreen = async (e) => {
+      e.preventDefault()
+      const client = window.activeCallClient
+
+      if (client) {
+        if (client.isScreenSharing()) {
+          await client.stopScreenShare()
+        } else {
+          await client.startScreenShare()
+        }
+
+        this.pushEvent("screen_share_toggled", { sharing: client.isScreenSharing() })
+      }
+    }
+
+    this.handleToggleRecording = async (e) => {
+      e.preventDefault()
+      const client = window.activeCallClient
+
+      if (!client) {
+        return
+      }
+
+      if (client.isRecording()) {
+        await client.stopRecording()
+        return
+      }
+
+      try {
+        await client.startRecording()
+        this.pushEvent("recording_toggled", { recording: true })
+      } catch (error) {
+        this.pushEvent("call_recording_error", { reason: error.message })
+      }
+    }
+
     this.handleEndCall = (e) => {
       e.preventDefault()
       const client = window.activeCallClient
 
       if (client) {
         client.endCall()
+        reportCallQuality(this, client)
       }
 
       this.pushEvent("call_ended_by_user", {})
@@ -317,16 +449,41 @@ export const CallControls = {
     this.audioButton = this.el.querySelector('[data-action="toggle-audio"]')
     this.videoButton = this.el.querySelector('[data-action="toggle-video"]')
     this.endButton = this.el.querySelector('[data-action="end-call"]')
+    this.shareButton = this.el.querySelector('[data-action="share-screen"]')
+    this.recordButton = this.el.querySelector('[data-action="toggle-recording"]')
+
+    // Mobile browsers have no getDisplayMedia.
+    if (!navigator.mediaDevices?.getDisplayMedia) {
+      this.shareButton?.classList.add("hidden")
+    }
+
+    if (!recordingSupported()) {
+      this.recordButton?.classList.add("hidden")
+    }
 
     this.audioButton?.addEventListener("click", this.handleToggleAudio)
     this.videoButton?.addEventListener("click", this.handleToggleVideo)
     this.endButton?.addEventListener("click", this.handleEndCall)
+    this.shareButton?.addEventListener("click", this.handleShareScreen)
+    this.recordButton?.addEventListener("click", this.handleToggleRecording)
+  },
+
+  updated() {
+    if (!navigator.mediaDevices?.getDisplayMedia) {
+      this.shareButton?.classList.add("hidden")
+    }
+
+    if (!recordingSupported()) {
+      this.recordButton?.classList.add("hidden")
+    }
   },
 
   destroyed() {
     this.audioButton?.removeEventListener("click", this.handleToggleAudio)
     this.videoButton?.removeEventListener("click", this.handleToggleVideo)
     this.endButton?.removeEventListener("click", this.handleEndCall)
+    this.shareButton?.removeEventListener("click", this.handleShareScreen)
+    this.recordButton?.removeEventListener("click", this.handleToggleRecording)
   }
 }
 
@@ -349,10 +506,59 @@ export const VideoDisplay = {
       remoteVideo.playsInline = true
     }
 
+    this.handleFullscreen = (e) => {
+      if (!e.target.closest('[data-action="screen-fullscreen"]')) {
+        return
+      }
+
+      e.preventDefault()
+      document.getElementById("remote-screen-tile")?.requestFullscreen?.().catch(() => {})
+    }
+    this.el.addEventListener("click", this.handleFullscreen)
+
+    this.statsPanel = this.el.querySelector("#call-stats")
+    this.handleStatsToggle = (e) => {
+      if (!e.target.closest('[data-action="toggle-call-stats"]')) {
+        return
+      }
+
+      e.preventDefault()
+      this.statsPanel?.classList.toggle("hidden")
+    }
+    this.handleStats = (e) => this.renderStats(e.detail)
+    this.el.addEventListener("click", this.handleStatsToggle)
+    window.addEventListener("elektrine:call-stats", this.handleStats)
+
+    // The overlay re-mounts on navigation while the call keeps running.
+    setRemoteScreen(window.activeCallClient?.remoteScreenStream || null)
+
     window.videoDisplay = this.el
   },
 
+  renderStats(sample) {
+    if (!this.statsPanel || !sample) {
+      return
+    }
+
+    const values = {
+      route: candidateRoute(sample.candidate),
+      rtt: formatStat(sample.rtt_ms, "ms"),
+      jitter: formatStat(sample.jitter_ms, "ms"),
+      loss: `${formatStat(sample.receive_loss, "%")} in, ${formatStat(sample.send_loss, "%")} out`,
+      bitrate: `${formatStat(sample.receive_kbps, "kbps")} in, ${formatStat(sample.send_kbps, "kbps")} out`,
+      codec: [sample.codecs?.audio, sample.codecs?.video].filter(Boolean).join(", ") || "-",
+      quality: sample.video_level > 0 ? `Reduced (level ${sample.video_level})` : "Full"
+    }
+
+    this.statsPanel.querySelectorAll("[data-stat]").forEach((element) => {
+      element.textContent = values[element.dataset.stat] || "-"
+    })
+  },
+
   destroyed() {
+    this.el.removeEventListener("click", this.handleFullscreen)
+    this.el.removeEventListener("click", this.handleStatsToggle)
+    window.removeEventListener("elektrine:call-stats", this.handleStats)
     window.videoDisplay = null
   }
 }
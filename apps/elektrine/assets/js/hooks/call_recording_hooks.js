@@ -0,0 +1,208 @@
+/**
+ * Call recording UI: the save dialog offered when a local recording finishes,
+ * and the hook that opens sealed recordings posted to a chat.
+ *
+ * Recordings are only ever uploaded encrypted under the recording user's
+ * vault key (see call_recorder.js), so saving to Kairo needs the vault
+ * unlocked in this tab. They are not posted to the call's conversation, where
+ * nobody but the recorder could open them. Downloading keeps the file on this
+ * device.
+ */
+
+import * as vaultSession from "./vault_session"
+import {
+  openSealedRecording,
+  recordingFileName,
+  sealRecording,
+  uploadSealedRecording
+} from "../call_recorder"
+
+const SAVE_LABELS = {
+  kairo: "Saved to Kairo, encrypted with your vault key."
+}
+
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60)
+  return `${minutes}:${String(seconds % 60).padStart(2, "0")}`
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`
+}
+
+function element(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text) node.textContent = text
+  return node
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = element("a")
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+function saveErrorMessage(error) {
+  if (error?.message === "vault-locked") {
+    return "Unlock your vault (from Kairo or Nerve) in this tab, then try again."
+  }
+
+  return error?.message || "Could not save the recording."
+}
+
+/**
+ * Asks what to do with a finished recording: download it, save it encrypted
+ * to Kairo, or discard it. The dialog lives on
+ * document.body so it survives the call overlay closing at hang-up.
+ */
+export function offerRecordingSave({ callId, recording }) {
+  const dialog = element("dialog", "modal")
+  const box = element("div", "modal-box space-y-3")
+  const details = [formatDuration(recording.duration), formatSize(recording.blob.size)]
+  const actions = element("div", "flex flex-wrap gap-2")
+  const status = element("p", "text-sm text-base-content/70")
+  const closeRow = element("div", "modal-action")
+  const closeButton = element("button", "btn btn-ghost btn-sm", "Discard")
+  let saved = false
+
+  box.append(
+    element("h3", "text-lg font-semibold", "Save call recording"),
+    element("p", "text-sm text-base-content/70", details.join(" · "))
+  )
+
+  if (recording.truncated) {
+    box.append(element("p", "text-sm text-warning", "Recording stopped at the 24 MB size limit."))
+  }
+
+  const destinations = [
+    ["download", "Download"],
+    ["kairo", "Save to Kairo"]
+  ]
+
+  destinations.forEach(([destination, label]) => {
+    const button = element("button", "btn btn-sm", label)
+    button.type = "button"
+    button.dataset.recordingSave = destination
+    actions.append(button)
+  })
+
+  closeButton.type = "button"
+  closeRow.append(closeButton)
+  box.append(actions, status, closeRow)
+  dialog.append(box)
+  document.body.append(dialog)
+
+  const close = () => {
+    dialog.close()
+    dialog.remove()
+  }
+
+  const save = async (button) => {
+    const destination = button.dataset.recordingSave
+
+    if (destination === "download") {
+      downloadBlob(recording.blob, recordingFileName(recording.mimeType))
+      saved = true
+      closeButton.textContent = "Close"
+      return
+    }
+
+    if (!vaultSession.isUnlocked()) {
+      status.textContent = saveErrorMessage(new Error("vault-locked"))
+      return
+    }
+
+    button.disabled = true
+    status.textContent = "Encrypting and uploading..."
+
+    try {
+      const sealed = await sealRecording(recording, destination)
+      await uploadSealedRecording(callId, destination, sealed, recording.duration)
+      status.textContent = SAVE_LABELS[destination]
+      saved = true
+      closeButton.textContent = "Close"
+    } catch (error) {
+      button.disabled = false
+      status.textContent = saveErrorMessage(error)
+    }
+  }
+
+  actions.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-recording-save]")
+    if (button) save(button)
+  })
+
+  closeButton.addEventListener("click", () => {
+    if (saved || window.confirm("Discard this recording? It has not been saved anywhere.")) close()
+  })
+
+  // Escape would drop an unsaved recording without the confirmation above.
+  dialog.addEventListener("cancel", (event) => event.preventDefault())
+  dialog.showModal()
+}
+
+/**
+ * Shows a call recording posted to a chat. Only the user who recorded it can
+ * open it: the file is sealed under their own vault key.
+ */
+export const SealedCallRecording = {
+  mounted() {
+    this.objectUrl = null
+
+    this.handleClick = async (event) => {
+      if (!event.target.closest("[data-recording-open]")) return
+      event.preventDefault()
+      await this.open()
+    }
+
+    this.el.addEventListener("click", this.handleClick)
+  },
+
+  async open() {
+    const status = this.el.querySelector("[data-recording-status]")
+    const player = this.el.querySelector("[data-recording-player]")
+
+    if (!vaultSession.isUnlocked()) {
+      status.textContent = "Unlock your vault in this tab to open this recording."
+      return
+    }
+
+    status.textContent = "Decrypting..."
+
+    try {
+      const manifest = JSON.parse(this.el.dataset.manifest)
+      const recording = await openSealedRecording(this.el.dataset.url, manifest, "chat")
+      this.showRecording(player, recording)
+      status.textContent = ""
+    } catch (_error) {
+      status.textContent = "Could not decrypt this recording."
+    }
+  },
+
+  showRecording(player, recording) {
+    if (this.objectUrl) URL.revokeObjectURL(this.objectUrl)
+    this.objectUrl = URL.createObjectURL(recording.blob)
+
+    const media = element(recording.type.startsWith("audio/") ? "audio" : "video", "w-full rounded-lg")
+    media.controls = true
+    media.src = this.objectUrl
+
+    const link = element("a", "link text-xs", "Download")
+    link.href = this.objectUrl
+    link.download = recording.name
+
+    player.replaceChildren(media, link)
+    player.classList.remove("hidden")
+  },
+
+  destroyed() {
+    this.el.removeEventListener("click", this.handleClick)
+    if (this.objectUrl) URL.revokeObjectURL(this.objectUrl)
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * Call voicemail: when an outgoing call times out unanswered, offer the
+ * caller a short voice (or, for video calls, video) message. It is recorded
+ * with the same pipeline as chat voice messages and posted to the DM as a
+ * playable message.
+ */
+
+import { VoiceNoteRecorder, voiceNotesSupported } from "../voice_note_recorder"
+import { CHAT_E2EE_STORAGE_PREFIX } from "./chat_e2ee_crypto"
+
+// Matches Elektrine.Constants.voicemail_max_seconds/0.
+const VOICEMAIL_MAX_SECONDS = 60
+
+function element(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text) node.textContent = text
+  return node
+}
+
+function button(label, className) {
+  const node = element("button", `btn btn-sm ${className}`, label)
+  node.type = "button"
+  return node
+}
+
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60)
+  return `${minutes}:${String(seconds % 60).padStart(2, "0")}`
+}
+
+function recordingErrorMessage(error) {
+  if (error?.name === "NotAllowedError") {
+    return "Microphone/camera access denied. Allow access in your browser settings to leave a message."
+  }
+
+  return "Could not start recording."
+}
+
+// Voicemail is uploaded as plaintext, so it is not offered in a DM this
+// browser sends end-to-end encrypted messages in (the server refuses it too).
+function encryptedChat(userId, conversationId) {
+  try {
+    const key = `${CHAT_E2EE_STORAGE_PREFIX}:user:${userId}:conversation:${conversationId}:enabled`
+    return localStorage.getItem(key) === "true"
+  } catch (_error) {
+    return false
+  }
+}
+
+async function uploadVoicemail(callId, note) {
+  const extension = note.mimeType.endsWith("mp4") ? "mp4" : "webm"
+  const body = new FormData()
+  body.append("duration", String(note.duration))
+  body.append("file", note.blob, `voicemail.${extension}`)
+
+  const response = await fetch(`/api/chat/calls/${encodeURIComponent(callId)}/voicemail`, {
+    method: "POST",
+    body,
+    credentials: "same-origin",
+    headers: {
+      "x-csrf-token": document.querySelector("meta[name='csrf-token']")?.getAttribute("content") || ""
+    }
+  })
+
+  if (!response.ok) {
+    const reply = await response.json().catch(() => ({}))
+    throw new Error(reply?.error ? `Could not send: ${reply.error}.` : "Could not send the message.")
+  }
+}
+
+/**
+ * Offers to record a message for a call that went unanswered. Video calls
+ * record a video message, falling back to audio when there is no camera.
+ * The dialog lives on document.body so it outlives the call overlay.
+ */
+export function offerVoicemail({ callId, callType, userId, conversationId }) {
+  if (!voiceNotesSupported() || encryptedChat(userId, conversationId)) return
+
+  const video = callType === "video"
+  const dialog = element("dialog", "modal")
+  const box = element("div", "modal-box space-y-3")
+  const preview = element("video", "hidden w-full rounded-lg bg-black")
+  const timer = element("p", "hidden text-sm tabular-nums text-error", "0:00")
+  const status = element("p", "text-sm text-base-content/70")
+  const actions = element("div", "modal-action")
+  const recordButton = button("Record a message", "btn-primary")
+  const sendButton = button("Send", "btn-primary hidden")
+  const closeButton = button("Not now", "btn-ghost")
+  let note = null
+
+  const recorder = new VoiceNoteRecorder({
+    maxSeconds: VOICEMAIL_MAX_SECONDS,
+    onTick: (seconds) => {
+      timer.textContent = `${formatDuration(seconds)} / ${formatDuration(VOICEMAIL_MAX_SECONDS)}`
+    },
+    onLimit: () => send()
+  })
+
+  preview.muted = true
+  preview.playsInline = true
+
+  box.append(
+    element("h3", "text-lg font-semibold", "No answer"),
+    element(
+      "p",
+      "text-sm text-base-content/70",
+      `Leave a ${video ? "video" : "voice"} message of up to ${formatDuration(VOICEMAIL_MAX_SECONDS)}?`
+    ),
+    preview,
+    timer,
+    status
+  )
+  actions.append(closeButton, recordButton, sendButton)
+  box.append(actions)
+  dialog.append(box)
+  document.body.append(dialog)
+
+  const record = async () => {
+    recordButton.disabled = true
+    status.textContent = ""
+
+    try {
+      let stream
+
+      try {
+        stream = await recorder.start({ video })
+      } catch (error) {
+        if (!video || error?.name !== "NotFoundError") throw error
+        stream = await recorder.start({ video: false })
+      }
+
+      if (stream.getVideoTracks().length > 0) {
+        preview.srcObject = stream
+        preview.classList.remove("hidden")
+        preview.play().catch(() => {})
+      }
+
+      recordButton.classList.add("hidden")
+      sendButton.classList.remove("hidden")
+      timer.classList.remove("hidden")
+      closeButton.textContent = "Cancel"
+    } catch (error) {
+      recorder.release()
+      recordButton.disabled = false
+      status.textContent = recordingErrorMessage(error)
+    }
+  }
+
+  const send = async () => {
+    if (!note) {
+      if (!recorder.isRecording()) return
+
+      sendButton.disabled = true
+      preview.classList.add("hidden")
+      timer.classList.add("hidden")
+      note = await recorder.stop()
+      preview.srcObject = null
+
+      if (!note) {
+        status.textContent = "Nothing was recorded."
+        sendButton.classList.add("hidden")
+        closeButton.textContent = "Close"
+        return
+      }
+    }
+
+    sendButton.disabled = true
+    status.textContent = "Sending..."
+
+    try {
+      await uploadVoicemail(callId, note)
+      status.textContent = "Message sent."
+      sendButton.classList.add("hidden")
+      closeButton.textContent = "Close"
+    } catch (error) {
+      status.textContent = error.message
+      sendButton.textContent = "Retry"
+      sendButton.disabled = false
+    }
+  }
+
+  recordButton.addEventListener("click", record)
+  sendButton.addEventListener("click", send)
+  closeButton.addEventListener("click", () => dialog.close())
+
+  // Closing (including Escape) throws away a message still being recorded.
+  dialog.addEventListener("close", () => {
+    recorder.cancel()
+    preview.srcObject = null
+    dialog.remove()
+  })
+
+  dialog.showModal()
+}
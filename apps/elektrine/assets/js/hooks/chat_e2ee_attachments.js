@@ -0,0 +1,481 @@
+// Encrypted chat attachments. Every file, image and voice note gets its own
+// AES-GCM key and is uploaded as an opaque blob. The blob's storage key, the
+// file key and the real name, type, size and thumbnail only exist inside the
+// encrypted message body, so the server never sees what was shared.
+
+import {
+  base64ToBytes,
+  bytesToBase64,
+  importAesKey,
+  parseJson,
+  randomBytes
+} from './chat_e2ee_crypto'
+import { encryptedAttachmentErrorMessage } from './chat_e2ee_messages'
+
+// Payload version 2 carries a JSON body ({text, attachments}) instead of
+// bare message text.
+export const ENCRYPTED_BODY_VERSION = 2
+export const MAX_ENCRYPTED_ATTACHMENTS = 5
+export const MAX_ENCRYPTED_ATTACHMENT_BYTES = 25 * 1024 * 1024
+
+const THUMBNAIL_SIZE = 160
+const MAX_THUMBNAIL_LENGTH = 64 * 1024
+const INLINE_TYPES = {
+  image: /^image\/(jpeg|png|gif|webp|avif)$/,
+  audio: /^audio\/[\w.+-]+$/,
+  video: /^video\/(mp4|webm|ogg)$/
+}
+
+const objectUrls = new Map()
+
+export function encodeMessageBody(text, attachments) {
+  return JSON.stringify({ text, attachments })
+}
+
+export function decodeMessageBody(plaintext, payload) {
+  if (Number(payload?.version) !== ENCRYPTED_BODY_VERSION) {
+    return { text: plaintext, attachments: [] }
+  }
+
+  const body = parseJson(plaintext, null)
+
+  return {
+    text: typeof body?.text === 'string' ? body.text : '',
+    attachments: Array.isArray(body?.attachments) ? body.attachments.filter(validAttachment) : []
+  }
+}
+
+/**
+ * Renders a decrypted message into its placeholder. Message bodies get inline
+ * attachments; previews and search results only get a text summary.
+ */
+export function renderDecryptedMessage(element, plaintext, payload) {
+  const { text, attachments } = decodeMessageBody(plaintext, payload)
+  releaseDetachedAttachments()
+
+  if (!element.dataset.attachmentUrls || element.dataset.chatEncryptedPreview === 'true') {
+    element.textContent = text || attachmentSummary(attachments)
+    return
+  }
+
+  element.textContent = text
+  if (attachments.length === 0) return
+
+  const urls = parseJson(element.dataset.attachmentUrls, {})
+  const list = document.createElement('div')
+  list.className = 'mt-2 space-y-2'
+  attachments.forEach(attachment => {
+    list.append(attachmentElement(attachment, urls[attachment.storage_key]))
+  })
+  element.append(list)
+}
+
+/** Revokes every object URL created for decrypted attachments. */
+export function releaseDecryptedAttachments() {
+  objectUrls.forEach((_element, url) => URL.revokeObjectURL(url))
+  objectUrls.clear()
+}
+
+function releaseDetachedAttachments() {
+  objectUrls.forEach((element, url) => {
+    if (element.isConnected) return
+
+    URL.revokeObjectURL(url)
+    objectUrls.delete(url)
+  })
+}
+
+function validAttachment(attachment) {
+  return (
+    typeof attachment?.storage_key === 'string' &&
+    typeof attachment.file_key === 'string' &&
+    typeof attachment.iv === 'string'
+  )
+}
+
+function attachmentSummary(attachments) {
+  if (attachments.length === 0) return ''
+  if (attachments.length > 1) return `${attachments.length} attachments`
+
+  return attachments[0].voice ? 'Voice message' : `Attachment: ${attachmentName(attachments[0])}`
+}
+
+function attachmentName(attachment) {
+  return typeof attachment.name === 'string' && attachment.name ? attachment.name : 'attachment'
+}
+
+function inlineKind(attachment) {
+  return Object.keys(INLINE_TYPES).find(kind => INLINE_TYPES[kind].test(attachment.type || ''))
+}
+
+function safeThumbnail(attachment) {
+  const thumbnail = attachment.thumbnail
+  if (typeof thumbnail !== 'string' || thumbnail.length > MAX_THUMBNAIL_LENGTH) return null
+
+  return thumbnail.startsWith('data:image/jpeg;base64,') ? thumbnail : null
+}
+
+function formatBytes(size) {
+  if (!Number.isFinite(size) || size < 0) return ''
+  if (size < 1024) return `${size} B`
+  if (size < 1024 * 1024) return `${Math.round(size / 1024)} KB`
+
+  return `${(size / (1024 * 1024)).toFixed(1)} MB`
+}
+
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(Number(seconds) || 0))
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`
+}
+
+function iconElement(name, className = 'w-5 h-5') {
+  const icon = document.createElement('span')
+  icon.className = `${name} ${className} flex-shrink-0`
+  icon.setAttribute('aria-hidden', 'true')
+  return icon
+}
+
+async function decryptAttachment(attachment, url) {
+  if (!url) throw new Error('attachment_unavailable')
+
+  const response = await fetch(url, { credentials: 'same-origin' })
+  if (!response.ok) throw new Error('attachment_unavailable')
+
+  const aesKey = await importAesKey(base64ToBytes(attachment.file_key), ['decrypt'])
+  const plaintext = await window.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(attachment.iv) },
+    aesKey,
+    await response.arrayBuffer()
+  )
+
+  // Anything that is not a known media type is handed out as a download so a
+  // decrypted HTML or SVG file can never render in this origin.
+  const type = inlineKind(attachment) ? attachment.type : 'application/octet-stream'
+  return new Blob([plaintext], { type })
+}
+
+async function attachObjectUrl(element, attachment, url) {
+  const objectUrl = URL.createObjectURL(await decryptAttachment(attachment, url))
+  objectUrls.set(objectUrl, element)
+  return objectUrl
+}
+
+function attachmentElement(attachment, url) {
+  const kind = inlineKind(attachment)
+
+  if (kind === 'image') return imageElement(attachment, url)
+  if (kind === 'audio') return mediaElement('audio', attachment, url)
+  if (kind === 'video') return mediaElement('video', attachment, url)
+
+  return downloadElement(attachment, url)
+}
+
+function imageElement(attachment, url) {
+  const image = document.createElement('img')
+  image.alt = attachmentName(attachment)
+  image.decoding = 'async'
+  image.className = 'max-w-full rounded-lg object-contain bg-base-200 min-h-[100px] max-h-96'
+
+  const thumbnail = safeThumbnail(attachment)
+  if (thumbnail) image.src = thumbnail
+
+  attachObjectUrl(image, attachment, url)
+    .then(objectUrl => {
+      image.src = objectUrl
+    })
+    .catch(() => {
+      image.replaceWith(downloadElement(attachment, url, 'Could not decrypt this image'))
+    })
+
+  return image
+}
+
+function mediaElement(tag, attachment, url) {
+  const wrapper = document.createElement('div')
+  const media = document.createElement(tag)
+  media.controls = true
+  media.preload = 'metadata'
+
+  if (tag === 'audio') {
+    wrapper.className = 'flex items-center gap-3 p-3 bg-base-200 rounded-lg max-w-xs'
+    media.className = 'h-8 flex-1 min-w-0'
+    wrapper.append(iconElement(attachment.voice ? 'hero-microphone' : 'hero-musical-note'), media)
+
+    if (attachment.duration) {
+      const duration = document.createElement('span')
+      duration.className = 'text-xs opacity-60 flex-shrink-0'
+      duration.textContent = formatDuration(attachment.duration)
+      wrapper.append(duration)
+    }
+  } else {
+    media.className = 'max-w-full rounded-lg max-h-96 bg-base-200'
+    wrapper.append(media)
+  }
+
+  attachObjectUrl(media, attachment, url)
+    .then(objectUrl => {
+      media.src = objectUrl
+    })
+    .catch(() => {
+      wrapper.replaceWith(downloadElement(attachment, url, 'Could not decrypt this attachment'))
+    })
+
+  return wrapper
+}
+
+function downloadElement(attachment, url, error = null) {
+  const button = document.createElement('button')
+  button.type = 'button'
+  button.className = 'flex items-center gap-2 p-2 bg-base-200 rounded-lg max-w-xs text-left hover:bg-base-300'
+  button.disabled = Boolean(error)
+
+  const label = document.createElement('span')
+  label.className = 'flex-1 min-w-0'
+  const name = document.createElement('span')
+  name.className = 'block text-sm truncate'
+  name.textContent = attachmentName(attachment)
+  const detail = document.createElement('span')
+  detail.className = 'block text-xs opacity-60'
+  detail.textContent = error || formatBytes(attachment.size)
+  label.append(name, detail)
+  button.append(iconElement('hero-document'), label, iconElement('hero-arrow-down-tray', 'w-4 h-4'))
+
+  button.addEventListener('click', async () => {
+    button.disabled = true
+
+    try {
+      const link = document.createElement('a')
+      link.href = await attachObjectUrl(button, attachment, url)
+      link.download = attachmentName(attachment)
+      link.click()
+      detail.textContent = formatBytes(attachment.size)
+    } catch (_error) {
+      detail.textContent = 'Could not decrypt this attachment'
+    } finally {
+      button.disabled = false
+    }
+  })
+
+  return button
+}
+
+async function imageThumbnail(file) {
+  if (!INLINE_TYPES.image.test(file.type) || typeof window.createImageBitmap !== 'function') {
+    return null
+  }
+
+  try {
+    const bitmap = await window.createImageBitmap(file)
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height))
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale))
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale))
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+    bitmap.close()
+
+    const thumbnail = canvas.toDataURL('image/jpeg', 0.7)
+    return thumbnail.length <= MAX_THUMBNAIL_LENGTH ? thumbnail : null
+  } catch (_error) {
+    return null
+  }
+}
+
+function attachmentError(code) {
+  const error = new Error(code)
+  error.attachment = true
+  return error
+}
+
+/**
+ * Files waiting to be sent with the next encrypted message. Owns the encrypted
+ * composer's file picker and preview list, and takes voice notes from
+ * `VoiceRecorder` while encrypted mode is on.
+ */
+export class EncryptedAttachmentDraft {
+  constructor(root, { enabled, pushEvent, onChange, onError, onVoiceNote }) {
+    this.root = root
+    this.entries = []
+    this.enabled = enabled
+    this.pushEvent = pushEvent
+    this.onChange = onChange
+    this.onError = onError
+    this.onVoiceNote = onVoiceNote
+
+    this.changeHandler = event => this.handleChange(event)
+    this.clickHandler = event => this.handleClick(event)
+    this.voiceNoteHandler = event => this.handleVoiceNote(event)
+
+    root.addEventListener('change', this.changeHandler, true)
+    root.addEventListener('click', this.clickHandler)
+    root.addEventListener('chat:voice-note', this.voiceNoteHandler)
+  }
+
+  destroy() {
+    this.root.removeEventListener('change', this.changeHandler, true)
+    this.root.removeEventListener('click', this.clickHandler)
+    this.root.removeEventListener('chat:voice-note', this.voiceNoteHandler)
+  }
+
+  count() {
+    return this.entries.length
+  }
+
+  clear() {
+    this.entries = []
+    this.render()
+  }
+
+  /** Swaps the LiveView file input for the encrypted picker while encrypted mode is on. */
+  sync(encryptedMode) {
+    const liveFileInputs = this.root.querySelectorAll('input[type="file"]:not([data-chat-e2ee-file-input])')
+    liveFileInputs.forEach(input => {
+      input.disabled = encryptedMode
+    })
+    this.root.querySelectorAll('[data-chat-attach]').forEach(label => {
+      label.classList.toggle('hidden', encryptedMode)
+    })
+    this.root.querySelectorAll('[data-chat-e2ee-attach]').forEach(label => {
+      label.classList.toggle('hidden', !encryptedMode)
+    })
+
+    if (!encryptedMode && this.entries.length > 0) {
+      this.clear()
+    }
+  }
+
+  add(files, extra = {}) {
+    for (const file of files) {
+      if (this.entries.length >= MAX_ENCRYPTED_ATTACHMENTS) {
+        this.onError(encryptedAttachmentErrorMessage('too_many_attachments'))
+        break
+      }
+
+      if (file.size === 0 || file.size > MAX_ENCRYPTED_ATTACHMENT_BYTES) {
+        this.onError(encryptedAttachmentErrorMessage('attachment_too_large', file.name))
+        continue
+      }
+
+      this.entries.push({ file, ...extra })
+    }
+
+    this.render()
+  }
+
+  handleChange(event) {
+    const input = event.target.closest?.('[data-chat-e2ee-file-input]')
+    if (!input || !this.root.contains(input)) return
+
+    // The picker is not a LiveView upload; keep phx-change from seeing it.
+    event.stopPropagation()
+    this.add(Array.from(input.files || []))
+    input.value = ''
+  }
+
+  handleClick(event) {
+    const button = event.target.closest('[data-chat-e2ee-attachment-remove]')
+    if (!button || !this.root.contains(button)) return
+
+    event.preventDefault()
+    this.entries.splice(Number(button.dataset.chatE2eeAttachmentRemove), 1)
+    this.render()
+  }
+
+  handleVoiceNote(event) {
+    if (!this.enabled()) return
+
+    const { blob, duration, mimeType } = event.detail || {}
+    if (!blob) return
+
+    event.preventDefault()
+    const extension = mimeType === 'audio/mp4' ? 'm4a' : 'webm'
+    const file = new File([blob], `voice-message.${extension}`, { type: mimeType || blob.type })
+    this.add([file], { voice: true, duration })
+    this.onVoiceNote()
+  }
+
+  render() {
+    const container = this.root.querySelector('[data-chat-e2ee-attachments]')
+
+    if (container) {
+      container.replaceChildren(...this.entries.map((entry, index) => this.previewElement(entry, index)))
+      container.classList.toggle('hidden', this.entries.length === 0)
+    }
+
+    this.onChange()
+  }
+
+  previewElement({ file, voice }, index) {
+    const row = document.createElement('div')
+    row.className = 'flex items-center gap-2 p-2 bg-base-200 rounded-lg'
+
+    const icon = voice ? 'hero-microphone' : INLINE_TYPES.image.test(file.type) ? 'hero-photo' : 'hero-document'
+    const label = document.createElement('div')
+    label.className = 'flex-1 min-w-0'
+    const name = document.createElement('p')
+    name.className = 'text-sm truncate'
+    name.textContent = voice ? 'Voice message' : file.name
+    const detail = document.createElement('p')
+    detail.className = 'text-xs opacity-60'
+    detail.textContent = `${formatBytes(file.size)} · encrypted before upload`
+    label.append(name, detail)
+
+    const remove = document.createElement('button')
+    remove.type = 'button'
+    remove.className = 'btn btn-ghost btn-sm btn-circle text-base-content/80 hover:bg-base-300'
+    remove.dataset.chatE2eeAttachmentRemove = String(index)
+    remove.setAttribute('aria-label', `Remove ${name.textContent}`)
+    remove.append(iconElement('hero-x-mark', 'w-4 h-4'))
+
+    row.append(iconElement(icon, 'w-6 h-6'), label, remove)
+    return row
+  }
+
+  /**
+   * Encrypts and uploads every pending file, resolving to the attachment
+   * descriptors that go into the encrypted message body.
+   */
+  async encryptAll() {
+    return Promise.all(this.entries.map(entry => this.encryptEntry(entry)))
+  }
+
+  async encryptEntry({ file, voice, duration }) {
+    const fileKey = randomBytes(32)
+    const iv = randomBytes(12)
+    const aesKey = await importAesKey(fileKey, ['encrypt'])
+    const ciphertext = await window.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      aesKey,
+      await file.arrayBuffer()
+    )
+    const attachment = {
+      storage_key: await this.upload(bytesToBase64(ciphertext)),
+      file_key: bytesToBase64(fileKey),
+      iv: bytesToBase64(iv),
+      name: file.name,
+      type: file.type || 'application/octet-stream',
+      size: file.size
+    }
+
+    const thumbnail = await imageThumbnail(file)
+    if (thumbnail) attachment.thumbnail = thumbnail
+
+    if (voice) {
+      attachment.voice = true
+      attachment.duration = duration
+    }
+
+    return attachment
+  }
+
+  upload(data) {
+    return new Promise((resolve, reject) => {
+      this.pushEvent('upload_client_encrypted_attachment', { data }, reply => {
+        if (reply?.ok && reply.key) {
+          resolve(reply.key)
+        } else {
+          reject(attachmentError(reply?.error || 'attachment_upload_failed'))
+        }
+      })
+    })
+  }
+}
@@ -0,0 +1,280 @@
+// Opt-in backup of encrypted chat keys. The conversation keys this browser
+// holds, verified contacts and trusted device fingerprints are encrypted under
+// the vault's "chat" feature key and stored on the server, so a browser that
+// signs in later can restore them once the vault is unlocked and read earlier
+// history. Device signing and prekey private keys are non-extractable and stay
+// in the browser that created them; a restored browser still registers its
+// own device.
+
+import * as vaultSession from './vault_session'
+import { decryptValue, encryptValue } from './vault_crypto'
+import {
+  CHAT_E2EE_STORAGE_PREFIX,
+  base64ToBytes,
+  bytesToBase64,
+  loadSecureJson,
+  secureStorageEntries,
+  secureStorageGet,
+  secureStorageSet
+} from './chat_e2ee_crypto'
+import { ContactVerifications } from './chat_e2ee_safety'
+
+const BACKUP_VERSION = 1
+const BACKUP_DEBOUNCE_MS = 5000
+const TRUST_PREFIX = `${CHAT_E2EE_STORAGE_PREFIX}:trust:`
+
+function countKeys(backup) {
+  return Object.values(backup.conversations).reduce((sum, keys) => sum + Object.keys(keys).length, 0)
+}
+
+export class ChatKeyBackup {
+  constructor(root, { userId, keyring, pushEvent, onRestored }) {
+    this.root = root
+    this.userId = userId
+    this.keyring = keyring
+    this.pushEvent = pushEvent
+    this.onRestored = onRestored
+    this.verifications = new ContactVerifications(userId, keyring)
+    // undefined until fetched, null when the user has no backup
+    this.remote = undefined
+    this.busy = false
+    this.restoring = false
+    this.pending = false
+    this.backupTimer = null
+
+    this.clickHandler = event => this.handleClick(event)
+    this.root.addEventListener('click', this.clickHandler)
+    this.unsubscribeVault = vaultSession.subscribe(() => this.sync())
+  }
+
+  destroy() {
+    this.root.removeEventListener('click', this.clickHandler)
+    this.unsubscribeVault()
+
+    if (this.backupTimer) {
+      clearTimeout(this.backupTimer)
+      this.backupTimer = null
+    }
+  }
+
+  part(name) {
+    return this.root.querySelector(`[data-chat-e2ee-backup-${name}]`)
+  }
+
+  request(event, payload = {}) {
+    return new Promise((resolve, reject) => {
+      this.pushEvent(event, payload, reply => {
+        if (reply?.ok) resolve(reply)
+        else reject(new Error(reply?.error || 'backup_request_failed'))
+      })
+    })
+  }
+
+  associatedData() {
+    return { purpose: 'elektrine-chat-key-backup', version: BACKUP_VERSION, user_id: this.userId() }
+  }
+
+  restoredStorageKey() {
+    return `${CHAT_E2EE_STORAGE_PREFIX}:user:${this.userId()}:backup-restored`
+  }
+
+  async fetchRemote() {
+    if (this.remote === undefined) {
+      this.remote = (await this.request('chat_key_backup_get')).backup || null
+    }
+
+    return this.remote
+  }
+
+  // Runs on mount and on every vault lock change: restores a backup this
+  // browser has not seen yet and uploads keys that arrived while locked.
+  async sync() {
+    try {
+      const remote = await this.fetchRemote()
+      this.render()
+      if (!remote || !vaultSession.isUnlocked() || this.busy) return
+
+      const restored = await loadSecureJson(this.restoredStorageKey())
+      if (restored?.updated_at !== remote.updated_at) await this.restore(remote)
+      if (this.pending) await this.backUp()
+    } catch (error) {
+      console.warn('Could not sync chat key backup', error)
+    }
+  }
+
+  // Called by the keyring whenever a new conversation key is stored.
+  scheduleBackup() {
+    if (this.restoring || !this.remote) return
+
+    this.pending = true
+    if (!vaultSession.isUnlocked() || this.backupTimer) return
+
+    this.backupTimer = setTimeout(() => {
+      this.backupTimer = null
+      this.backUp().catch(error => console.warn('Could not back up chat keys', error))
+    }, BACKUP_DEBOUNCE_MS)
+  }
+
+  async collect() {
+    const conversations = {}
+    Object.entries(await this.keyring.exportAll()).forEach(([conversationId, keys]) => {
+      conversations[conversationId] = Object.fromEntries(
+        Object.entries(keys).map(([keyUid, bytes]) => [keyUid, bytesToBase64(bytes)])
+      )
+    })
+
+    const verifications = {}
+    for (const owner of await this.verifications.owners()) {
+      const record = await this.verifications.load(owner)
+      if (record) verifications[owner] = record
+    }
+
+    return {
+      version: BACKUP_VERSION,
+      exported_at: new Date().toISOString(),
+      conversations,
+      verifications,
+      trusted_devices: Object.fromEntries(await secureStorageEntries(TRUST_PREFIX))
+    }
+  }
+
+  // Restoring first means the upload is always a superset of what was there.
+  async backUp() {
+    const remote = await this.fetchRemote()
+    const restored = await loadSecureJson(this.restoredStorageKey())
+    if (remote && restored?.updated_at !== remote.updated_at) await this.restore(remote)
+
+    this.pending = false
+    const backup = await this.collect()
+    const keyCount = countKeys(backup)
+    const payload = await encryptValue(
+      JSON.stringify(backup),
+      await vaultSession.featureKey('chat'),
+      this.associatedData()
+    )
+    const reply = await this.request('chat_key_backup_put', { payload, key_count: keyCount })
+
+    this.remote = { payload, key_count: keyCount, updated_at: reply.updated_at }
+    await secureStorageSet(this.restoredStorageKey(), { updated_at: reply.updated_at })
+    this.render()
+  }
+
+  // Only fills in what this browser is missing; local keys and records win.
+  async restore(remote) {
+    const backup = JSON.parse(await decryptValue(
+      remote.payload,
+      await vaultSession.featureKey('chat'),
+      this.associatedData()
+    ))
+    let restoredKeys = 0
+
+    this.restoring = true
+    try {
+      for (const [conversationId, keys] of Object.entries(backup.conversations || {})) {
+        for (const [keyUid, rawKey] of Object.entries(keys)) {
+          if (await this.keyring.load(conversationId, keyUid)) continue
+
+          await this.keyring.store(conversationId, keyUid, base64ToBytes(rawKey))
+          restoredKeys++
+        }
+      }
+    } finally {
+      this.restoring = false
+    }
+
+    for (const [owner, record] of Object.entries(backup.verifications || {})) {
+      if (!(await this.verifications.load(owner))) await this.verifications.put(owner, record)
+    }
+
+    for (const [key, record] of Object.entries(backup.trusted_devices || {})) {
+      if (!key.startsWith(TRUST_PREFIX)) continue
+      if (!(await secureStorageGet(key).catch(() => null))) await secureStorageSet(key, record)
+    }
+
+    await secureStorageSet(this.restoredStorageKey(), { updated_at: remote.updated_at })
+    if (restoredKeys > 0) this.onRestored()
+    return restoredKeys
+  }
+
+  handleClick(event) {
+    const target = event.target.closest('[data-chat-e2ee-backup-open], [data-chat-e2ee-backup-close], [data-chat-e2ee-backup-enable], [data-chat-e2ee-backup-now], [data-chat-e2ee-backup-restore], [data-chat-e2ee-backup-disable]')
+    if (!target) return
+
+    event.preventDefault()
+
+    if (target.hasAttribute('data-chat-e2ee-backup-open')) {
+      this.part('dialog')?.showModal()
+      this.setStatus('')
+      this.sync()
+    } else if (target.hasAttribute('data-chat-e2ee-backup-close')) {
+      this.part('dialog')?.close()
+    } else if (target.hasAttribute('data-chat-e2ee-backup-restore')) {
+      this.run(async () => {
+        const count = await this.restore(await this.fetchRemote())
+        return count === 1 ? 'Restored 1 key.' : `Restored ${count} keys.`
+      })
+    } else if (target.hasAttribute('data-chat-e2ee-backup-disable')) {
+      this.run(async () => {
+        await this.request('chat_key_backup_delete')
+        this.remote = null
+        return 'Key backup is off and the server copy was deleted.'
+      })
+    } else {
+      this.run(async () => {
+        await this.backUp()
+        return 'Chat keys backed up.'
+      })
+    }
+  }
+
+  async run(action) {
+    if (this.busy) return
+
+    this.busy = true
+    this.render()
+    this.setStatus('Working...')
+
+    try {
+      this.setStatus(await action(), 'success')
+    } catch (error) {
+      console.warn('Chat key backup failed', error)
+      this.setStatus(
+        error?.message === 'vault-locked'
+          ? 'Unlock encrypted data first.'
+          : 'Could not complete the key backup. Try again.',
+        'error'
+      )
+    } finally {
+      this.busy = false
+      this.render()
+    }
+  }
+
+  render() {
+    const enabled = Boolean(this.remote)
+    const unlocked = vaultSession.isUnlocked()
+
+    this.part('locked')?.classList.toggle('hidden', unlocked)
+    for (const name of ['enable', 'now', 'restore', 'disable']) {
+      const button = this.part(name)
+      button?.classList.toggle('hidden', enabled === (name === 'enable'))
+      button?.toggleAttribute('disabled', this.busy || (name !== 'disable' && !unlocked))
+    }
+
+    const summary = this.part('summary')
+    if (!summary) return
+
+    summary.textContent = enabled
+      ? `${this.remote.key_count} conversation ${this.remote.key_count === 1 ? 'key' : 'keys'} backed up${this.remote.updated_at ? ` on ${new Date(this.remote.updated_at).toLocaleString()}` : ''}. New keys are added automatically while encrypted data is unlocked.`
+      : 'Key backup is off. Encrypted history sent before you sign in on a new browser stays unreadable there.'
+  }
+
+  setStatus(message, tone = null) {
+    const status = this.part('status')
+    if (!status) return
+
+    status.textContent = message
+    status.classList.toggle('text-success', tone === 'success')
+    status.classList.toggle('text-error', tone === 'error')
+  }
+}
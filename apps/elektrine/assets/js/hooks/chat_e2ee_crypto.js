@@ -83,6 +83,37 @@ export async function secureStorageSet(key, value) {
   })
 }
 
+// [key, value] pairs for every stored entry whose key starts with prefix.
+export async function secureStorageEntries(prefix) {
+  const db = await openChatE2EEDatabase()
+
+  return new Promise((resolve, reject) => {
+    const store = db.transaction(CHAT_E2EE_STORE_NAME, 'readonly').objectStore(CHAT_E2EE_STORE_NAME)
+    const range = IDBKeyRange.bound(prefix, `${prefix}\uffff`)
+    const keysRequest = store.getAllKeys(range)
+    const valuesRequest = store.getAll(range)
+    valuesRequest.onsuccess = () => resolve(keysRequest.result.map((key, index) => [key, valuesRequest.result[index]]))
+    valuesRequest.onerror = () => reject(valuesRequest.error || new Error('Could not read chat key storage'))
+  })
+}
+
+export async function loadSecureJson(key) {
+  try {
+    const stored = await secureStorageGet(key)
+    if (stored) return stored
+  } catch (_error) {
+    // Fall back to localStorage once so existing browsers can migrate out of it.
+  }
+
+  const storedJson = parseJson(localStorage.getItem(key), null)
+  if (storedJson) {
+    await secureStorageSet(key, storedJson)
+    localStorage.removeItem(key)
+  }
+
+  return storedJson
+}
+
 export async function secureStorageDelete(key) {
   const db = await openChatE2EEDatabase()
 
@@ -171,7 +202,8 @@ export function stableDevices(devices) {
       public_key: device.public_key || {},
       fingerprint: device.fingerprint || null,
       signing_public_key: device.signing_public_key || null,
-      device_signature: device.device_signature || null
+      device_signature: device.device_signature || null,
+      prekey: device.prekey || null
     }))
     .sort((left, right) => {
       const leftOwner = left.recipient_handle || String(left.user_id)
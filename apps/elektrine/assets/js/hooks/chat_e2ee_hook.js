@@ -15,15 +15,12 @@ import {
   importEcdsaPrivateKey,
   importEcdsaPublicKey,
   importHmacKey,
-  importRsaPrivateKey,
-  importRsaPublicKey,
   importStoredEcdsaPrivateKey,
   importStoredRsaPrivateKey,
+  loadSecureJson,
   parseJson,
   randomBytes,
   randomId,
-  secureStorageDelete,
-  secureStorageGet,
   secureStorageSet,
   sha256Base64Url,
   signingPublicKeyPayload,
@@ -32,10 +29,32 @@ import {
   textDecoder,
   textEncoder
 } from './chat_e2ee_crypto'
+import {
+  ENCRYPTED_BODY_VERSION,
+  EncryptedAttachmentDraft,
+  encodeMessageBody,
+  releaseDecryptedAttachments,
+  renderDecryptedMessage
+} from './chat_e2ee_attachments'
+import { ChatKeyBackup } from './chat_e2ee_backup'
+import { registerMediaKeyProvider, unregisterMediaKeyProvider } from '../call_media_e2ee'
+import {
+  ConversationKeyring,
+  advertisedPrekey,
+  keyRotationReason,
+  refreshDevicePrekeys,
+  unwrapConversationKey,
+  wrapConversationKey
+} from './chat_e2ee_keys'
+import { deviceOwner } from './chat_e2ee_safety'
+import { EncryptedSearch } from './chat_e2ee_search'
+import { SafetyNumberVerification } from './chat_e2ee_verification'
 import {
   chatE2EEUnavailableLabel,
   chatE2EEUnavailableTitle,
   conversationKeyPreparationMessage,
+  deviceTrustErrorMessage,
+  encryptedAttachmentErrorMessage,
   encryptedSendFailureMessage,
   encryptedSubmitBlockedMessage,
   waitingForMemberKeysMessage
@@ -54,7 +73,42 @@ export const ChatE2EE = {
     this.prepareConversationKeyPromise = null
     this.preparingDeviceCount = 0
     this.cachedDevice = null
+    this.keyring = new ConversationKeyring(() => this.userId(), {
+      onStore: () => this.backup?.scheduleBackup()
+    })
     this.currentConversationId = this.conversationId()
+    this.attachments = new EncryptedAttachmentDraft(this.el, {
+      enabled: () => this.e2eeReady(),
+      pushEvent: (event, payload, callback) => this.pushEvent(event, payload, callback),
+      onChange: () => this.syncEncryptedSubmitButton(),
+      onError: message => this.notifyE2EE(message, 'warning'),
+      onVoiceNote: () => this.messageForm()?.requestSubmit()
+    })
+    this.verification = new SafetyNumberVerification(this.el, {
+      userId: () => this.userId(),
+      keyring: this.keyring,
+      devices: () => this.devices(),
+      memberNames: () => parseJson(this.el.dataset.chatE2eeMemberNames, {}),
+      fingerprint: device => this.verifiedDeviceFingerprint(device),
+      trustDevices: devices => this.trustDevices(devices),
+      onChange: () => this.maybePrepareEnabledConversationKey()
+    })
+    this.backup = new ChatKeyBackup(this.el, {
+      userId: () => this.userId(),
+      keyring: this.keyring,
+      pushEvent: (event, payload, callback) => this.pushEvent(event, payload, callback),
+      onRestored: () => this.retryUnavailableMessages()
+    })
+    this.search = new EncryptedSearch(this.el, {
+      userId: () => this.userId(),
+      keyring: this.keyring,
+      onJump: messageId => this.jumpToMessage(messageId)
+    })
+    this.mediaKeyProvider = {
+      localKey: conversationId => this.localMediaKey(conversationId),
+      remoteKey: (conversationId, keyUid) => this.remoteMediaKey(conversationId, keyUid)
+    }
+    registerMediaKeyProvider(this.mediaKeyProvider)
 
     this.submitHandler = event => this.handleSubmit(event)
     this.inputHandler = event => this.handleInput(event)
@@ -72,6 +126,8 @@ export const ChatE2EE = {
     this.updateToggleState()
     this.updateStatusMessage()
     this.syncEncryptedModeAfterPatch()
+    this.verification.sync().catch(error => console.warn('Could not check chat verification', error))
+    if (cryptoAvailable()) this.backup.sync()
     this.maybePrepareEnabledConversationKey()
     this.decryptVisibleMessages()
   },
@@ -83,6 +139,7 @@ export const ChatE2EE = {
     this.updateToggleState()
     this.updateStatusMessage()
     this.syncEncryptedModeAfterPatch()
+    this.verification.sync().catch(error => console.warn('Could not check chat verification', error))
     this.maybePrepareEnabledConversationKey()
     this.decryptVisibleMessages()
   },
@@ -96,6 +153,13 @@ export const ChatE2EE = {
       this.observer.disconnect()
     }
 
+    this.attachments.destroy()
+    this.verification.destroy()
+    this.backup.destroy()
+    this.search.destroy()
+    unregisterMediaKeyProvider(this.mediaKeyProvider)
+    releaseDecryptedAttachments()
+
     if (this.searchTimer) {
       clearTimeout(this.searchTimer)
     }
@@ -205,9 +269,7 @@ export const ChatE2EE = {
       textarea.setAttribute('phx-change', 'update_message')
     }
 
-    this.el.querySelectorAll('input[type="file"]').forEach(input => {
-      input.disabled = encryptedMode
-    })
+    this.attachments.sync(encryptedMode)
 
     const submitButton = form.querySelector('button[type="submit"]')
     if (encryptedMode && submitButton) {
@@ -248,7 +310,7 @@ export const ChatE2EE = {
       return
     }
 
-    submitButton.disabled = !textarea.value.trim() || hasUploads
+    submitButton.disabled = (!textarea.value.trim() && this.attachments.count() === 0) || hasUploads
   },
 
   syncEncryptedModeAfterPatch() {
@@ -457,6 +519,7 @@ export const ChatE2EE = {
             algorithm: 'ECDSA-P256-SHA256',
             signature: device.device_signature
           },
+          prekey: advertisedPrekey(device),
           label: device.label
         }, reply => {
           if (reply?.ok) {
@@ -487,12 +550,12 @@ export const ChatE2EE = {
 
   async loadOrCreateDevice() {
     const key = this.deviceStorageKey()
-    const stored = await this.loadSecureJson(key)
+    const stored = await loadSecureJson(key)
 
     if (stored?.device_id && (stored?.private_key_crypto || stored?.private_key) && stored?.public_key) {
       const upgraded = await this.upgradeDeviceTrustMaterial(stored)
-      this.cachedDevice = upgraded
-      return upgraded
+      this.cachedDevice = await refreshDevicePrekeys(upgraded, key)
+      return this.cachedDevice
     }
 
     const keyPair = await window.crypto.subtle.generateKey(
@@ -519,26 +582,8 @@ export const ChatE2EE = {
       label: this.deviceLabel()
     })
 
-    await secureStorageSet(key, device)
-    this.cachedDevice = device
-    return device
-  },
-
-  async loadSecureJson(key) {
-    try {
-      const stored = await secureStorageGet(key)
-      if (stored) return stored
-    } catch (_error) {
-      // Fall back to localStorage once so existing browsers can migrate out of it.
-    }
-
-    const storedJson = parseJson(localStorage.getItem(key), null)
-    if (storedJson) {
-      await secureStorageSet(key, storedJson)
-      localStorage.removeItem(key)
-    }
-
-    return storedJson
+    this.cachedDevice = await refreshDevicePrekeys(device, key)
+    return this.cachedDevice
   },
 
   async upgradeDeviceTrustMaterial(device) {
@@ -622,17 +667,14 @@ export const ChatE2EE = {
   },
 
   async ensureDevicesTrusted(devices) {
+    await this.verification.assertUnchanged()
     await Promise.all(stableDevices(devices).map(device => this.ensureDeviceTrusted(device)))
   },
 
-  untrustedDeviceMessage() {
-    return 'Encrypted chat was paused because a participant device key changed. Turn encrypted chat off and verify the participant before continuing.'
-  },
-
   async ensureDeviceTrusted(device) {
     const fingerprint = await this.verifiedDeviceFingerprint(device)
     const key = this.deviceTrustStorageKey(device)
-    const trusted = await this.loadSecureJson(key)
+    const trusted = await loadSecureJson(key)
 
     if (trusted?.fingerprint && trusted.fingerprint !== fingerprint) {
       throw new Error('untrusted_device')
@@ -677,12 +719,30 @@ export const ChatE2EE = {
     return advertised
   },
 
+  // Comparing safety numbers replaces whatever fingerprint was trusted on first use.
+  async trustDevices(devices) {
+    await Promise.all(devices.map(async device => {
+      await secureStorageSet(this.deviceTrustStorageKey(device), {
+        fingerprint: await this.verifiedDeviceFingerprint(device),
+        device_id: device.device_id,
+        trusted_at: new Date().toISOString()
+      })
+    }))
+  },
+
   deviceTrustStorageKey(device) {
-    const owner = device.recipient_handle
-      ? `remote:${device.origin_domain || ''}:${device.recipient_handle}`
-      : `local:${device.user_id || ''}`
+    return `${CHAT_E2EE_STORAGE_PREFIX}:trust:${deviceOwner(device)}:device:${device.device_id}`
+  },
+
+  // Local results can point at messages outside the loaded window.
+  jumpToMessage(messageId) {
+    if (!document.getElementById(`message-${messageId}`)) {
+      this.notifyE2EE('That message is not loaded yet. Scroll up in the conversation to load older messages.', 'info')
+      return
+    }
 
-    return `${CHAT_E2EE_STORAGE_PREFIX}:trust:${owner}:device:${device.device_id}`
+    this.pushEvent('hide_message_search', {})
+    this.pushEvent('scroll_to_message', { message_id: messageId })
   },
 
   handleInput(event) {
@@ -711,7 +771,13 @@ export const ChatE2EE = {
     }
 
     this.searchTimer = setTimeout(async () => {
-      if (!this.conversationId() || query.trim().length < 2) return
+      if (!this.conversationId() || query.trim().length < 2) {
+        this.search.clearResults()
+        return
+      }
+
+      this.search.search(this.conversationId(), query)
+        .catch(error => console.warn('Could not search encrypted chat locally', error))
 
       const tokens = await this.searchTokensForKnownKeys(query)
       if (tokens.length === 0) return
@@ -755,8 +821,10 @@ export const ChatE2EE = {
       return
     }
 
-    if (!content || content.startsWith('/') || hasUploads) {
-      const message = encryptedSubmitBlockedMessage(content, hasUploads)
+    const attachmentCount = this.attachments.count()
+
+    if ((!content && attachmentCount === 0) || content.startsWith('/') || hasUploads) {
+      const message = encryptedSubmitBlockedMessage(content, hasUploads, attachmentCount)
       console.warn(message)
       this.setE2EEStatusMessage(message)
       this.notifyE2EE(message, 'warning')
@@ -770,8 +838,9 @@ export const ChatE2EE = {
 
     try {
       this.setE2EEStatusMessage('Encrypting and sending message...')
-      const encryptedMessage = await this.encryptMessage(content)
-      this.cacheSentPlaintext(encryptedMessage.payload.encrypted_payload, content)
+      const attachments = await this.attachments.encryptAll()
+      const encryptedMessage = await this.encryptMessage(content, attachments)
+      this.cacheSentPlaintext(encryptedMessage.payload.encrypted_payload, encryptedMessage.plaintext)
 
       let sendSettled = false
       const sendTimeout = setTimeout(() => {
@@ -795,12 +864,12 @@ export const ChatE2EE = {
         clearTimeout(sendTimeout)
 
         if (reply?.ok) {
-          if (encryptedMessage.devicesHash) {
-            this.markPackagesSent(encryptedMessage.keyUid, encryptedMessage.devicesHash)
-          }
+          this.keyring.recordSent(this.conversationId(), encryptedMessage.keyUid, encryptedMessage.devicesHash)
+            .catch(() => null)
 
           textarea.value = ''
           textarea.dispatchEvent(new Event('input', { bubbles: true }))
+          this.attachments.clear()
           this.syncEncryptedSubmitButton()
           this.updateStatusMessage()
         } else {
@@ -816,9 +885,9 @@ export const ChatE2EE = {
         }
       })
     } catch (error) {
-      const message = error?.message === 'untrusted_device'
-        ? this.untrustedDeviceMessage()
-        : 'Could not encrypt this message. Make sure everyone has opened this chat so their keys can register, then try again.'
+      const message = deviceTrustErrorMessage(error) || (error?.attachment
+          ? encryptedAttachmentErrorMessage(error.message)
+          : 'Could not encrypt this message. Make sure everyone has opened this chat so their keys can register, then try again.')
       console.warn('Could not encrypt chat message', error)
       this.setE2EEStatusMessage(message)
       this.notifyE2EE(message, 'error')
@@ -865,15 +934,14 @@ export const ChatE2EE = {
       this.setE2EEStatusMessage(this.conversationKeyPreparationMessage())
       this.syncEncryptedSubmitButton()
 
-      const keyPackages = await this.wrapConversationKey(rawKeyBytes, devices)
+      const keyPackages = await wrapConversationKey(rawKeyBytes, devices)
       this.preparedConversationKey = { keyUid, hash, keyPackages }
 
       return this.preparedConversationKey
     })()
       .catch(error => {
-        const message = error?.message === 'untrusted_device'
-          ? this.untrustedDeviceMessage()
-          : 'Could not prepare encrypted chat keys. Try turning encrypted chat off and on again.'
+        const message = deviceTrustErrorMessage(error) ||
+          'Could not prepare encrypted chat keys. Try turning encrypted chat off and on again.'
         console.warn('Could not prepare encrypted chat keys', error)
         this.setE2EEStatusMessage(message)
         this.notifyE2EE(message, 'error')
@@ -889,16 +957,17 @@ export const ChatE2EE = {
     return this.prepareConversationKeyPromise
   },
 
-  async encryptMessage(content) {
+  async encryptMessage(content, attachments = []) {
     const devices = this.devices()
     await this.ensureDevicesTrusted(devices)
     const { keyUid, rawKeyBytes, packagesNeeded, hash } = await this.conversationKeyForDevices(devices)
     const aesKey = await importAesKey(rawKeyBytes, ['encrypt'])
     const iv = randomBytes(12)
+    const plaintext = attachments.length > 0 ? encodeMessageBody(content, attachments) : content
     const ciphertext = await window.crypto.subtle.encrypt(
       { name: 'AES-GCM', iv },
       aesKey,
-      textEncoder.encode(content)
+      textEncoder.encode(plaintext)
     )
 
     let keyPackages = []
@@ -917,7 +986,7 @@ export const ChatE2EE = {
         this.setE2EEStatusMessage(this.conversationKeyPreparationMessage())
 
         try {
-          keyPackages = await this.wrapConversationKey(rawKeyBytes, devices)
+          keyPackages = await wrapConversationKey(rawKeyBytes, devices)
           this.preparedConversationKey = { keyUid, hash, keyPackages }
         } finally {
           this.preparingDeviceCount = 0
@@ -929,7 +998,7 @@ export const ChatE2EE = {
     const federatedKeyPackages = keyPackages.filter(keyPackage => keyPackage.recipient_handle)
 
     const payload = {
-      version: 1,
+      version: attachments.length > 0 ? ENCRYPTED_BODY_VERSION : 1,
       content_algorithm: 'AES-256-GCM',
       key_uid: keyUid,
       iv: bytesToBase64(iv),
@@ -946,11 +1015,13 @@ export const ChatE2EE = {
 
     return {
       keyUid,
+      plaintext,
       devicesHash: packagesNeeded ? hash : null,
       payload: {
         encrypted_payload: payload,
         key_packages: localKeyPackages,
-        search_index: await this.searchTokensForKey(rawKeyBytes, content)
+        search_index: await this.searchTokensForKey(rawKeyBytes, content),
+        attachment_keys: attachments.map(attachment => attachment.storage_key)
       }
     }
   },
@@ -958,10 +1029,10 @@ export const ChatE2EE = {
   async conversationKeyForDevices(devices) {
     const conversationId = this.conversationId()
     const hash = await devicesHash(devices)
-    const activeKey = await this.loadSecureJson(this.activeKeyStorageKey(conversationId))
+    const activeKey = await this.keyring.active(conversationId)
 
-    if (activeKey?.key_uid && activeKey.devices_hash === hash) {
-      const rawKeyBytes = await this.loadRawConversationKey(conversationId, activeKey.key_uid)
+    if (!keyRotationReason(activeKey, hash)) {
+      const rawKeyBytes = await this.keyring.load(conversationId, activeKey.key_uid)
 
       if (rawKeyBytes) {
         return {
@@ -975,42 +1046,43 @@ export const ChatE2EE = {
 
     const keyUid = randomId('key-')
     const rawKeyBytes = randomBytes(32)
-    await this.storeRawConversationKey(conversationId, keyUid, rawKeyBytes)
-    await this.storeActiveConversationKey(conversationId, keyUid, hash, null)
+    await this.keyring.store(conversationId, keyUid, rawKeyBytes)
+    await this.keyring.activate(conversationId, keyUid, hash)
 
     return { keyUid, rawKeyBytes, packagesNeeded: true, hash }
   },
 
-  async wrapConversationKey(rawKeyBytes, devices) {
-    return Promise.all(stableDevices(devices).map(async device => {
-      const publicKey = await importRsaPublicKey(device.public_key)
-      const encryptedKey = await window.crypto.subtle.encrypt(
-        { name: 'RSA-OAEP' },
-        publicKey,
-        arrayBufferFromBytes(rawKeyBytes)
-      )
+  // Calls encrypt media under this sender's active key, but only once its
+  // packages went out with a message so the other members can fetch it.
+  async localMediaKey(conversationId) {
+    if (!this.userId() || localStorage.getItem(this.enabledStorageKey(conversationId)) !== 'true') {
+      return null
+    }
 
-      return {
-        ...(Number.isInteger(device.user_id) ? { user_id: device.user_id } : {}),
-        ...(device.recipient_handle ? { recipient_handle: device.recipient_handle } : {}),
-        ...(device.origin_domain ? { origin_domain: device.origin_domain } : {}),
-        device_id: device.device_id,
-        wrapped_key: {
-          version: 1,
-          key_algorithm: 'RSA-OAEP-SHA256',
-          encrypted_key: bytesToBase64(encryptedKey)
-        }
-      }
-    }))
+    const activeKey = await this.keyring.active(conversationId)
+    if (!activeKey?.key_uid || !activeKey.packages_sent_hash) return null
+
+    const rawKeyBytes = await this.keyring.load(conversationId, activeKey.key_uid)
+    return rawKeyBytes ? { keyUid: activeKey.key_uid, rawKeyBytes } : null
+  },
+
+  // The server only hands out wrapped keys for the open conversation; a call
+  // elsewhere makes do with the keys this browser already holds.
+  remoteMediaKey(conversationId, keyUid) {
+    if (Number(conversationId) !== this.conversationId()) {
+      return this.keyring.load(conversationId, keyUid)
+    }
+
+    return this.rawConversationKey(conversationId, keyUid)
   },
 
   async searchTokensForKnownKeys(query) {
     const conversationId = this.conversationId()
     if (!conversationId) return []
 
-    const keyUids = (await this.loadSecureJson(this.keyListStorageKey(conversationId))) || []
+    const keyUids = await this.keyring.keyUids(conversationId)
     const tokenSets = await Promise.all(keyUids.map(async keyUid => {
-      const rawKeyBytes = await this.loadRawConversationKey(conversationId, keyUid)
+      const rawKeyBytes = await this.keyring.load(conversationId, keyUid)
       return rawKeyBytes ? this.searchTokensForKey(rawKeyBytes, query) : []
     }))
 
@@ -1058,7 +1130,8 @@ export const ChatE2EE = {
 
     const sentPlaintext = this.sentPlaintextForPayload(payload)
     if (sentPlaintext) {
-      element.textContent = sentPlaintext
+      renderDecryptedMessage(element, sentPlaintext, payload)
+      this.search.index(element, sentPlaintext, payload)
       this.showEncryptedMessageElement(element)
       element.dataset.decrypted = 'true'
       return
@@ -1078,11 +1151,13 @@ export const ChatE2EE = {
         arrayBufferFromBytes(base64ToBytes(payload.ciphertext))
       )
 
-      element.textContent = textDecoder.decode(plaintext)
+      const text = textDecoder.decode(plaintext)
+      renderDecryptedMessage(element, text, payload)
+      this.search.index(element, text, payload)
       this.showEncryptedMessageElement(element)
       element.dataset.decrypted = 'true'
     } catch (error) {
-      if (error?.code !== 'key_not_found' && error?.message !== 'key_not_found') {
+      if (!['key_not_found', 'prekey_expired'].includes(error?.code || error?.message)) {
         console.warn('Could not decrypt chat message', error)
       }
 
@@ -1092,6 +1167,15 @@ export const ChatE2EE = {
     }
   },
 
+  // Restored keys may open messages that already failed for lack of one.
+  retryUnavailableMessages() {
+    this.unavailableConversationKeys.clear()
+    this.el.querySelectorAll('[data-decrypted="failed"]').forEach(element => {
+      delete element.dataset.decrypted
+    })
+    this.decryptVisibleMessages()
+  },
+
   showEncryptedMessageElement(element) {
     element.classList.remove('opacity-0', 'opacity-80')
   },
@@ -1125,7 +1209,7 @@ export const ChatE2EE = {
   },
 
   async rawConversationKey(conversationId, keyUid, payload = null) {
-    const stored = await this.loadRawConversationKey(conversationId, keyUid)
+    const stored = await this.keyring.load(conversationId, keyUid)
     if (stored) return stored
 
     const cacheKey = `${conversationId}:${keyUid}`
@@ -1141,8 +1225,8 @@ export const ChatE2EE = {
       const inlinePackage = this.inlineKeyPackageForDevice(payload, device.device_id)
 
       if (inlinePackage?.wrapped_key?.encrypted_key) {
-        const rawKeyBytes = await this.decryptWrappedConversationKey(device, inlinePackage.wrapped_key)
-        await this.storeRawConversationKey(conversationId, keyUid, rawKeyBytes)
+        const rawKeyBytes = await unwrapConversationKey(device, inlinePackage.wrapped_key)
+        await this.keyring.store(conversationId, keyUid, rawKeyBytes)
         return rawKeyBytes
       }
 
@@ -1166,17 +1250,14 @@ export const ChatE2EE = {
         )
       })
 
-      const rawKeyBytes = await this.decryptWrappedConversationKey(device, wrappedKey)
-
-      await this.storeRawConversationKey(conversationId, keyUid, rawKeyBytes)
-
-      const hash = await devicesHash(this.devices())
-      await this.storeActiveConversationKey(conversationId, keyUid, hash, hash)
-
+      // Received keys are kept for reading only; they never become this sender's active key.
+      const rawKeyBytes = await unwrapConversationKey(device, wrappedKey)
+      await this.keyring.store(conversationId, keyUid, rawKeyBytes)
       return rawKeyBytes
     })()
       .catch(error => {
-        if (error?.code === 'key_not_found' || error?.message === 'key_not_found') {
+        // A package wrapped to a retired prekey is gone for good, like a missing key.
+        if (['key_not_found', 'prekey_expired'].includes(error?.code || error?.message)) {
           this.unavailableConversationKeys.add(cacheKey)
         }
 
@@ -1200,98 +1281,6 @@ export const ChatE2EE = {
     return packages.find(keyPackage => keyPackage?.device_id === deviceId)
   },
 
-  async decryptWrappedConversationKey(device, wrappedKey) {
-    const privateKey = device.private_key_crypto || await importRsaPrivateKey(device.private_key)
-    const rawKey = await window.crypto.subtle.decrypt(
-      { name: 'RSA-OAEP' },
-      privateKey,
-      arrayBufferFromBytes(base64ToBytes(wrappedKey.encrypted_key))
-    )
-
-    return new Uint8Array(rawKey)
-  },
-
-  async loadRawConversationKey(conversationId, keyUid) {
-    const storageKey = this.rawKeyStorageKey(conversationId, keyUid)
-    const cacheKey = this.rawConversationKeyCacheKey(conversationId, keyUid)
-
-    if (!this.rawConversationKeyCache) this.rawConversationKeyCache = new Map()
-    if (this.rawConversationKeyCache.has(cacheKey)) return this.rawConversationKeyCache.get(cacheKey)
-
-    let key = null
-
-    try {
-      key = await secureStorageGet(storageKey)
-    } catch (_error) {
-      key = null
-    }
-
-    if (key) {
-      const bytes = base64ToBytes(key)
-      this.rawConversationKeyCache.set(cacheKey, bytes)
-      await secureStorageDelete(storageKey)
-      return bytes
-    }
-
-    const storedKey = localStorage.getItem(storageKey)
-    if (storedKey) {
-      const bytes = base64ToBytes(storedKey)
-      localStorage.removeItem(storageKey)
-      this.rawConversationKeyCache.set(cacheKey, bytes)
-      return bytes
-    }
-
-    return null
-  },
-
-  async storeRawConversationKey(conversationId, keyUid, rawKeyBytes) {
-    if (!this.rawConversationKeyCache) this.rawConversationKeyCache = new Map()
-    this.rawConversationKeyCache.set(this.rawConversationKeyCacheKey(conversationId, keyUid), rawKeyBytes)
-
-    await secureStorageDelete(this.rawKeyStorageKey(conversationId, keyUid))
-    localStorage.removeItem(this.rawKeyStorageKey(conversationId, keyUid))
-
-    const listKey = this.keyListStorageKey(conversationId)
-    const keyUids = (await this.loadSecureJson(listKey)) || []
-    if (!keyUids.includes(keyUid)) {
-      await secureStorageSet(listKey, [...keyUids, keyUid])
-      localStorage.removeItem(listKey)
-    }
-  },
-
-  async storeActiveConversationKey(conversationId, keyUid, devicesHashValue, packagesSentHash) {
-    const key = this.activeKeyStorageKey(conversationId)
-    await secureStorageSet(key, {
-      key_uid: keyUid,
-      devices_hash: devicesHashValue,
-      packages_sent_hash: packagesSentHash
-    })
-    localStorage.removeItem(key)
-  },
-
-  markPackagesSent(keyUid, devicesHashValue) {
-    const conversationId = this.conversationId()
-    if (!conversationId) return
-
-    this.storeActiveConversationKey(conversationId, keyUid, devicesHashValue, devicesHashValue).catch(() => null)
-  },
-
-  rawKeyStorageKey(conversationId, keyUid) {
-    return `${CHAT_E2EE_STORAGE_PREFIX}:user:${this.userId()}:conversation:${conversationId}:key:${keyUid}`
-  },
-
-  rawConversationKeyCacheKey(conversationId, keyUid) {
-    return `${conversationId}:${keyUid}`
-  },
-
-  activeKeyStorageKey(conversationId) {
-    return `${CHAT_E2EE_STORAGE_PREFIX}:user:${this.userId()}:conversation:${conversationId}:active-key`
-  },
-
-  keyListStorageKey(conversationId) {
-    return `${CHAT_E2EE_STORAGE_PREFIX}:user:${this.userId()}:conversation:${conversationId}:keys`
-  },
-
   enabledStorageKey(conversationId) {
     return `${CHAT_E2EE_STORAGE_PREFIX}:user:${this.userId()}:conversation:${conversationId}:enabled`
   }
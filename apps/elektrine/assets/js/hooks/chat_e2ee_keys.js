@@ -0,0 +1,389 @@
+// Conversation key lifecycle for encrypted chat. Senders rotate their active
+// key when the recipient device set changes (devicesHash), when it gets old
+// and after a message budget. Devices publish a signed ECDH prekey and key
+// packages are wrapped to it with an ephemeral key, so once a prekey is
+// retired a leaked device key no longer opens past packages. Unwrapped keys
+// stay sealed in this browser so already-received history keeps decrypting.
+
+import {
+  CHAT_E2EE_STORAGE_PREFIX,
+  arrayBufferFromBytes,
+  base64ToBytes,
+  bytesToBase64,
+  importEcdsaPublicKey,
+  importRsaPrivateKey,
+  importRsaPublicKey,
+  loadSecureJson,
+  randomBytes,
+  randomId,
+  secureStorageDelete,
+  secureStorageEntries,
+  secureStorageGet,
+  secureStorageSet,
+  signingPublicKeyPayload,
+  stableDevices,
+  stableJson,
+  textEncoder
+} from './chat_e2ee_crypto'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const KEY_ROTATION_MAX_AGE_MS = 7 * DAY_MS
+export const KEY_ROTATION_MAX_MESSAGES = 500
+export const PREKEY_ROTATION_MS = 7 * DAY_MS
+// Old prekeys stay around long enough for offline devices to fetch the
+// packages that were wrapped to them, then their private halves are dropped.
+export const PREKEY_RETENTION_MS = 30 * DAY_MS
+
+const PREKEY_WRAP_ALGORITHMS = {
+  X25519: 'X25519-HKDF-SHA256',
+  'ECDH-P256': 'ECDH-P256-HKDF-SHA256'
+}
+
+let prekeyAlgorithmPromise = null
+
+export function keyRotationReason(activeKey, hash, now = Date.now()) {
+  if (!activeKey?.key_uid) return 'missing'
+  if (activeKey.devices_hash !== hash) return 'devices_changed'
+  if (!activeKey.created_at || now - activeKey.created_at >= KEY_ROTATION_MAX_AGE_MS) return 'expired'
+  if ((activeKey.message_count || 0) >= KEY_ROTATION_MAX_MESSAGES) return 'message_limit'
+  return null
+}
+
+export class ConversationKeyring {
+  constructor(userId, { onStore = () => {} } = {}) {
+    this.userId = userId
+    this.onStore = onStore
+    this.keys = new Map()
+  }
+
+  clear() {
+    this.keys.clear()
+  }
+
+  storageKey(conversationId, suffix) {
+    return `${CHAT_E2EE_STORAGE_PREFIX}:user:${this.userId()}:conversation:${conversationId}:${suffix}`
+  }
+
+  async load(conversationId, keyUid) {
+    const cacheKey = `${conversationId}:${keyUid}`
+    if (this.keys.has(cacheKey)) return this.keys.get(cacheKey)
+
+    const sealed = await secureStorageGet(this.storageKey(conversationId, `sealed-key:${keyUid}`))
+      .catch(() => null)
+
+    const unsealed = sealed && await this.unseal(sealed).catch(() => null)
+    if (unsealed) {
+      this.keys.set(cacheKey, unsealed)
+      return unsealed
+    }
+
+    const bytes = await this.loadLegacy(conversationId, keyUid)
+    if (bytes) await this.store(conversationId, keyUid, bytes)
+    return bytes
+  }
+
+  // Older builds kept raw keys in IndexedDB or localStorage; move them into the sealed store.
+  async loadLegacy(conversationId, keyUid) {
+    const storageKey = this.storageKey(conversationId, `key:${keyUid}`)
+    const stored = await secureStorageGet(storageKey).catch(() => null) || localStorage.getItem(storageKey)
+    if (!stored) return null
+
+    await secureStorageDelete(storageKey)
+    localStorage.removeItem(storageKey)
+    return base64ToBytes(stored)
+  }
+
+  async store(conversationId, keyUid, rawKeyBytes) {
+    this.keys.set(`${conversationId}:${keyUid}`, rawKeyBytes)
+    await secureStorageSet(this.storageKey(conversationId, `sealed-key:${keyUid}`), await this.seal(rawKeyBytes))
+
+    const listKey = this.storageKey(conversationId, 'keys')
+    const keyUids = (await loadSecureJson(listKey)) || []
+    if (!keyUids.includes(keyUid)) {
+      await secureStorageSet(listKey, [...keyUids, keyUid])
+      localStorage.removeItem(listKey)
+      this.onStore(conversationId, keyUid)
+    }
+  }
+
+  // Every conversation key held by this browser, as { conversationId: { keyUid: bytes } }.
+  async exportAll() {
+    const prefix = `${CHAT_E2EE_STORAGE_PREFIX}:user:${this.userId()}:conversation:`
+    const lists = (await secureStorageEntries(prefix))
+      .filter(([key, value]) => key.endsWith(':keys') && Array.isArray(value))
+    const exported = {}
+
+    for (const [key, keyUids] of lists) {
+      const conversationId = key.slice(prefix.length, -':keys'.length)
+      for (const keyUid of keyUids) {
+        const bytes = await this.load(conversationId, keyUid).catch(() => null)
+        if (bytes) exported[conversationId] = { ...exported[conversationId], [keyUid]: bytes }
+      }
+    }
+
+    return exported
+  }
+
+  async keyUids(conversationId) {
+    return (await loadSecureJson(this.storageKey(conversationId, 'keys'))) || []
+  }
+
+  async active(conversationId) {
+    return loadSecureJson(this.storageKey(conversationId, 'active-key'))
+  }
+
+  async activate(conversationId, keyUid, hash) {
+    const key = this.storageKey(conversationId, 'active-key')
+    await secureStorageSet(key, {
+      key_uid: keyUid,
+      devices_hash: hash,
+      packages_sent_hash: null,
+      created_at: Date.now(),
+      message_count: 0
+    })
+    localStorage.removeItem(key)
+  }
+
+  async recordSent(conversationId, keyUid, packagesSentHash) {
+    const active = await this.active(conversationId)
+    if (active?.key_uid !== keyUid) return
+
+    await secureStorageSet(this.storageKey(conversationId, 'active-key'), {
+      ...active,
+      packages_sent_hash: packagesSentHash || active.packages_sent_hash,
+      message_count: (active.message_count || 0) + 1
+    })
+  }
+
+  // Keys are sealed under a non-extractable AES key that never leaves this browser's IndexedDB.
+  async sealingKey() {
+    if (this.sealingKeyPromise) return this.sealingKeyPromise
+
+    const storageKey = `${CHAT_E2EE_STORAGE_PREFIX}:user:${this.userId()}:key-seal`
+    this.sealingKeyPromise = secureStorageGet(storageKey).then(async stored => {
+      if (stored) return stored
+
+      const key = await window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+      await secureStorageSet(storageKey, key)
+      return key
+    })
+
+    return this.sealingKeyPromise
+  }
+
+  async seal(rawKeyBytes) {
+    const iv = randomBytes(12)
+    const ciphertext = await window.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      await this.sealingKey(),
+      arrayBufferFromBytes(rawKeyBytes)
+    )
+
+    return { iv: bytesToBase64(iv), ciphertext: bytesToBase64(ciphertext) }
+  }
+
+  async unseal(sealed) {
+    const plaintext = await window.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(sealed.iv) },
+      await this.sealingKey(),
+      base64ToBytes(sealed.ciphertext)
+    )
+
+    return new Uint8Array(plaintext)
+  }
+}
+
+function ecdhParams(algorithm) {
+  return algorithm === 'X25519' ? { name: 'X25519' } : { name: 'ECDH', namedCurve: 'P-256' }
+}
+
+function prekeyAlgorithm() {
+  if (!prekeyAlgorithmPromise) {
+    prekeyAlgorithmPromise = window.crypto.subtle
+      .generateKey({ name: 'X25519' }, false, ['deriveBits'])
+      .then(() => 'X25519', () => 'ECDH-P256')
+  }
+
+  return prekeyAlgorithmPromise
+}
+
+function prekeySignaturePayload(device, prekey) {
+  return {
+    purpose: 'elektrine-chat-e2ee-prekey',
+    version: 1,
+    device_id: String(device.device_id || ''),
+    fingerprint: device.fingerprint || null,
+    key_id: prekey.key_id,
+    algorithm: prekey.algorithm,
+    key: prekey.key
+  }
+}
+
+async function generatePrekey(device, now) {
+  const algorithm = await prekeyAlgorithm()
+  const keyPair = await window.crypto.subtle.generateKey(ecdhParams(algorithm), false, ['deriveBits'])
+  const publicKey = await window.crypto.subtle.exportKey('raw', keyPair.publicKey)
+  const prekey = {
+    key_id: randomId('prekey-'),
+    algorithm,
+    key: bytesToBase64(publicKey),
+    private_key_crypto: keyPair.privateKey,
+    created_at: now
+  }
+
+  const signature = await window.crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    device.signing_private_key_crypto,
+    textEncoder.encode(stableJson(prekeySignaturePayload(device, prekey)))
+  )
+
+  return { ...prekey, signature: bytesToBase64(signature) }
+}
+
+// Rotates the device's prekey once it is due and drops retired private halves.
+// Returns the device unchanged when there is nothing to do.
+export async function refreshDevicePrekeys(device, storageKey, now = Date.now()) {
+  const existing = device.prekeys || []
+  const prekeys = existing.filter(prekey => now - prekey.created_at < PREKEY_RETENTION_MS)
+  const current = prekeys[prekeys.length - 1]
+  const due = !current || now - current.created_at >= PREKEY_ROTATION_MS
+
+  if (!due && prekeys.length === existing.length) return device
+  if (due) prekeys.push(await generatePrekey(device, now))
+
+  const refreshed = { ...device, prekeys }
+  await secureStorageSet(storageKey, refreshed)
+  return refreshed
+}
+
+export function advertisedPrekey(device) {
+  const current = device.prekeys?.[device.prekeys.length - 1]
+  if (!current) return null
+
+  return {
+    version: 1,
+    key_id: current.key_id,
+    algorithm: current.algorithm,
+    key: current.key,
+    signature: current.signature,
+    created_at: new Date(current.created_at).toISOString()
+  }
+}
+
+async function verifyPrekey(device) {
+  const signingKeyPayload = signingPublicKeyPayload(device)
+  const valid = signingKeyPayload && device.prekey?.signature && await window.crypto.subtle.verify(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    await importEcdsaPublicKey(signingKeyPayload),
+    base64ToBytes(device.prekey.signature),
+    textEncoder.encode(stableJson(prekeySignaturePayload(device, device.prekey)))
+  )
+
+  if (!valid) throw new Error('untrusted_device')
+}
+
+async function prekeyWrappingKey(privateKey, publicKey, algorithm, ephemeralPublicKey, deviceId, prekeyId, usage) {
+  const sharedSecret = await window.crypto.subtle.deriveBits(
+    { name: ecdhParams(algorithm).name, public: publicKey },
+    privateKey,
+    256
+  )
+  const baseKey = await window.crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey'])
+
+  return window.crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: ephemeralPublicKey,
+      info: textEncoder.encode(`elektrine-chat-e2ee:prekey-wrap:v2:${deviceId}:${prekeyId}`)
+    },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage]
+  )
+}
+
+async function wrapForPrekey(rawKeyBytes, device) {
+  await verifyPrekey(device)
+
+  const { algorithm, key, key_id: prekeyId } = device.prekey
+  const params = ecdhParams(algorithm)
+  const recipientKey = await window.crypto.subtle.importKey('raw', base64ToBytes(key), params, false, [])
+  const ephemeral = await window.crypto.subtle.generateKey(params, false, ['deriveBits'])
+  const ephemeralPublicKey = new Uint8Array(await window.crypto.subtle.exportKey('raw', ephemeral.publicKey))
+  const wrappingKey = await prekeyWrappingKey(
+    ephemeral.privateKey, recipientKey, algorithm, ephemeralPublicKey, device.device_id, prekeyId, 'encrypt'
+  )
+  const iv = randomBytes(12)
+  const encryptedKey = await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    wrappingKey,
+    arrayBufferFromBytes(rawKeyBytes)
+  )
+
+  return {
+    version: 2,
+    key_algorithm: PREKEY_WRAP_ALGORITHMS[algorithm],
+    prekey_id: prekeyId,
+    ephemeral_public_key: bytesToBase64(ephemeralPublicKey),
+    iv: bytesToBase64(iv),
+    encrypted_key: bytesToBase64(encryptedKey)
+  }
+}
+
+async function wrapForRsaKey(rawKeyBytes, device) {
+  const encryptedKey = await window.crypto.subtle.encrypt(
+    { name: 'RSA-OAEP' },
+    await importRsaPublicKey(device.public_key),
+    arrayBufferFromBytes(rawKeyBytes)
+  )
+
+  return { version: 1, key_algorithm: 'RSA-OAEP-SHA256', encrypted_key: bytesToBase64(encryptedKey) }
+}
+
+// Devices that publish a prekey get a forward-secret package; the rest (older
+// browsers, federated devices) fall back to their long-lived RSA key.
+export async function wrapConversationKey(rawKeyBytes, devices) {
+  return Promise.all(stableDevices(devices).map(async device => ({
+    ...(Number.isInteger(device.user_id) ? { user_id: device.user_id } : {}),
+    ...(device.recipient_handle ? { recipient_handle: device.recipient_handle } : {}),
+    ...(device.origin_domain ? { origin_domain: device.origin_domain } : {}),
+    device_id: device.device_id,
+    wrapped_key: device.prekey
+      ? await wrapForPrekey(rawKeyBytes, device)
+      : await wrapForRsaKey(rawKeyBytes, device)
+  })))
+}
+
+export async function unwrapConversationKey(device, wrappedKey) {
+  if (Number(wrappedKey?.version) === 2) {
+    const prekey = (device.prekeys || []).find(candidate => candidate.key_id === wrappedKey.prekey_id)
+    if (!prekey) throw new Error('prekey_expired')
+
+    const ephemeralPublicKey = base64ToBytes(wrappedKey.ephemeral_public_key)
+    const senderKey = await window.crypto.subtle.importKey(
+      'raw', ephemeralPublicKey, ecdhParams(prekey.algorithm), false, []
+    )
+    const wrappingKey = await prekeyWrappingKey(
+      prekey.private_key_crypto, senderKey, prekey.algorithm, ephemeralPublicKey, device.device_id, prekey.key_id, 'decrypt'
+    )
+    const rawKey = await window.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(wrappedKey.iv) },
+      wrappingKey,
+      base64ToBytes(wrappedKey.encrypted_key)
+    )
+
+    return new Uint8Array(rawKey)
+  }
+
+  const privateKey = device.private_key_crypto || await importRsaPrivateKey(device.private_key)
+  const rawKey = await window.crypto.subtle.decrypt(
+    { name: 'RSA-OAEP' },
+    privateKey,
+    base64ToBytes(wrappedKey.encrypted_key)
+  )
+
+  return new Uint8Array(rawKey)
+}
@@ -13,6 +13,17 @@ export function waitingForMemberKeysMessage(memberIds, devices) {
   return `Waiting for ${missingCount} active members to register encryption keys. They need to open this chat once.`
 }
 
+export function deviceTrustErrorMessage(error) {
+  switch (error?.message) {
+    case 'untrusted_device':
+      return 'Encrypted chat was paused because a participant device key changed. Open "Verify safety number" and compare numbers with them before continuing.'
+    case 'verification_changed':
+      return 'Encrypted chat was paused because a verified contact changed devices. Review their safety number before continuing.'
+    default:
+      return null
+  }
+}
+
 export function chatE2EEUnavailableLabel(status, setupRequired) {
   if (setupRequired) {
     return 'Setting up this browser'
@@ -55,16 +66,31 @@ export function chatE2EEUnavailableTitle(status, setupRequired) {
   }
 }
 
-export function encryptedSubmitBlockedMessage(content, hasUploads) {
-  if (!content) {
-    return 'Type a message before sending encrypted chat.'
+export function encryptedSubmitBlockedMessage(content, hasUploads, attachmentCount = 0) {
+  if (!content && attachmentCount === 0) {
+    return 'Type a message or attach a file before sending encrypted chat.'
   }
 
   if (hasUploads) {
-    return 'Encrypted chat only supports plain text right now. Remove attachments or turn encrypted chat off.'
+    return 'Files attached before encrypted chat was turned on are not encrypted. Remove them and attach them again.'
   }
 
-  return 'Encrypted chat only supports plain text right now. Turn it off to use commands.'
+  return 'Encrypted chat does not support commands. Turn it off to use commands.'
+}
+
+export function encryptedAttachmentErrorMessage(error, filename = null) {
+  switch (error) {
+    case 'too_many_attachments':
+      return 'Encrypted messages can carry up to 5 attachments.'
+    case 'attachment_too_large':
+      return filename
+        ? `${filename} is too large to send encrypted. Attachments can be up to 25 MB.`
+        : 'An attachment is too large to send encrypted. Attachments can be up to 25 MB.'
+    case 'storage_limit_exceeded':
+      return 'You are out of storage space for attachments.'
+    default:
+      return 'An encrypted attachment could not be uploaded. Check your connection and try again.'
+  }
 }
 
 export function encryptedSendFailureMessage(error) {
@@ -78,6 +104,9 @@ export function encryptedSendFailureMessage(error) {
       return 'This encrypted message could not be sent because its encrypted payload was invalid.'
     case 'no_conversation':
       return 'Select a chat before sending an encrypted message.'
+    case 'too_many_attachments':
+    case 'invalid_attachment':
+      return encryptedAttachmentErrorMessage(error)
     case 'blocked':
       return 'This message was not sent because one of you has blocked the other.'
     case 'privacy_restricted':
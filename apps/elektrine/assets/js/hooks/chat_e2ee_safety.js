@@ -0,0 +1,155 @@
+// Safety numbers for encrypted chat. Each side of a conversation contributes
+// the fingerprints of all of its devices; both browsers derive the same 60
+// digits regardless of who computes them, so two people can compare numbers
+// (or scan each other's QR code) to rule out a substituted device key.
+// Verified contacts are remembered, sealed, in the chat key store.
+
+import {
+  CHAT_E2EE_STORAGE_PREFIX,
+  secureStorageDelete,
+  secureStorageEntries,
+  secureStorageGet,
+  secureStorageSet,
+  stableJson,
+  textDecoder,
+  textEncoder
+} from './chat_e2ee_crypto'
+
+const SAFETY_NUMBER_ITERATIONS = 5200
+const SAFETY_QR_PREFIX = 'ELEKTRINE-SN:1:'
+
+export function deviceOwner(device) {
+  return device.recipient_handle
+    ? `remote:${device.origin_domain || ''}:${device.recipient_handle}`
+    : `local:${device.user_id || ''}`
+}
+
+export function deviceFingerprints(devices) {
+  return Array.from(new Set(devices.map(device => device.fingerprint).filter(Boolean))).sort()
+}
+
+// Groups the conversation's devices into the other people in it, keyed by owner.
+export function contactsForDevices(devices, userId) {
+  const contacts = new Map()
+
+  devices.forEach(device => {
+    if (!device.recipient_handle && Number(device.user_id) === userId) return
+
+    const owner = deviceOwner(device)
+    if (!contacts.has(owner)) {
+      contacts.set(owner, {
+        owner,
+        user_id: device.recipient_handle ? null : Number(device.user_id),
+        recipient_handle: device.recipient_handle || null,
+        devices: []
+      })
+    }
+
+    contacts.get(owner).devices.push(device)
+  })
+
+  return Array.from(contacts.values())
+}
+
+async function fingerprintDigits(fingerprints) {
+  const input = textEncoder.encode(stableJson({
+    purpose: 'elektrine-chat-safety-number',
+    version: 1,
+    fingerprints: [...fingerprints].sort()
+  }))
+  let hash = input
+
+  for (let iteration = 0; iteration < SAFETY_NUMBER_ITERATIONS; iteration++) {
+    const chained = new Uint8Array(hash.length + input.length)
+    chained.set(hash)
+    chained.set(input, hash.length)
+    hash = new Uint8Array(await window.crypto.subtle.digest('SHA-512', chained))
+  }
+
+  let digits = ''
+  for (let offset = 0; offset < 30; offset += 5) {
+    const chunk = hash.slice(offset, offset + 5).reduce((value, byte) => value * 256 + byte, 0)
+    digits += String(chunk % 100000).padStart(5, '0')
+  }
+
+  return digits
+}
+
+export async function safetyNumber(localFingerprints, contactFingerprints) {
+  const halves = await Promise.all([
+    fingerprintDigits(localFingerprints),
+    fingerprintDigits(contactFingerprints)
+  ])
+
+  return halves.sort().join('')
+}
+
+export function safetyNumberGroups(number) {
+  return number.match(/\d{5}/g) || []
+}
+
+export function safetyQrPayload(number) {
+  return `${SAFETY_QR_PREFIX}${number}`
+}
+
+export function safetyNumberFromQr(text) {
+  const value = String(text || '').trim()
+  if (!value.startsWith(SAFETY_QR_PREFIX)) return null
+
+  const number = value.slice(SAFETY_QR_PREFIX.length)
+  return /^\d{60}$/.test(number) ? number : null
+}
+
+export class ContactVerifications {
+  constructor(userId, keyring) {
+    this.userId = userId
+    this.keyring = keyring
+  }
+
+  storageKey(owner) {
+    return `${CHAT_E2EE_STORAGE_PREFIX}:user:${this.userId()}:verified:${owner}`
+  }
+
+  async load(owner) {
+    const sealed = await secureStorageGet(this.storageKey(owner)).catch(() => null)
+    if (!sealed) return null
+
+    try {
+      return JSON.parse(textDecoder.decode(await this.keyring.unseal(sealed)))
+    } catch (_error) {
+      return null
+    }
+  }
+
+  async save(owner, fingerprints, number) {
+    const record = { fingerprints, safety_number: number, verified_at: new Date().toISOString() }
+    await this.put(owner, record)
+    return record
+  }
+
+  async put(owner, record) {
+    await secureStorageSet(this.storageKey(owner), await this.keyring.seal(textEncoder.encode(JSON.stringify(record))))
+  }
+
+  async owners() {
+    const prefix = this.storageKey('')
+    return (await secureStorageEntries(prefix)).map(([key]) => key.slice(prefix.length))
+  }
+
+  async remove(owner) {
+    await secureStorageDelete(this.storageKey(owner))
+  }
+
+  // 'verified' while the contact's device fingerprints match what was compared,
+  // 'changed' once a verified contact adds, drops or replaces a device.
+  async state(contact) {
+    const record = await this.load(contact.owner)
+    if (!record) return { status: 'unverified', record: null }
+
+    const current = deviceFingerprints(contact.devices)
+    const same = current.length === record.fingerprints.length &&
+      current.every((fingerprint, index) => fingerprint === record.fingerprints[index])
+
+    return { status: same ? 'verified' : 'changed', record }
+  }
+}
@@ -0,0 +1,167 @@
+// Local full-text search over encrypted chat. Messages this browser decrypts
+// are handed to a Web Worker that keeps an inverted index per conversation,
+// encrypted at rest under the chat sealing key. Queries and results never
+// leave the browser; the server only ever sees the exact-keyword HMAC tokens
+// it already received.
+
+import { decodeMessageBody } from './chat_e2ee_attachments'
+
+const WORKER_URL = '/assets/workers/chat_search_worker.js'
+const INDEX_BATCH_DELAY_MS = 250
+
+export class EncryptedSearch {
+  constructor(root, { userId, keyring, onJump }) {
+    this.root = root
+    this.userId = userId
+    this.keyring = keyring
+    this.onJump = onJump
+    this.workerInstance = null
+    this.workerUserId = null
+    this.requests = new Map()
+    this.nextRequestId = 1
+    this.queue = new Map()
+    this.flushTimer = null
+    this.searchToken = 0
+
+    this.clickHandler = event => {
+      const result = event.target.closest('[data-chat-search-jump]')
+      if (!result) return
+
+      event.preventDefault()
+      this.onJump(result.dataset.chatSearchJump)
+    }
+    this.root.addEventListener('click', this.clickHandler)
+  }
+
+  destroy() {
+    this.root.removeEventListener('click', this.clickHandler)
+
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer)
+      this.flushTimer = null
+    }
+
+    this.workerInstance?.terminate()
+    this.workerInstance = null
+    this.requests.forEach(({ reject }) => reject(new Error('search_index_closed')))
+    this.requests.clear()
+  }
+
+  async worker() {
+    if (typeof Worker === 'undefined' || !this.userId()) return null
+
+    if (!this.workerInstance) {
+      this.workerInstance = new Worker(WORKER_URL)
+      this.workerInstance.addEventListener('message', event => this.handleReply(event.data))
+      this.workerUserId = null
+    }
+
+    if (this.workerUserId !== this.userId()) {
+      this.workerUserId = this.userId()
+      this.workerInstance.postMessage({ type: 'open', userId: this.workerUserId, key: await this.keyring.sealingKey() })
+    }
+
+    return this.workerInstance
+  }
+
+  handleReply({ id, ok, result, error }) {
+    const request = this.requests.get(id)
+    if (!request) return
+
+    this.requests.delete(id)
+    if (ok) request.resolve(result)
+    else request.reject(new Error(error))
+  }
+
+  async call(type, payload) {
+    const worker = await this.worker()
+    if (!worker) return null
+
+    const id = this.nextRequestId++
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, { resolve, reject })
+      worker.postMessage({ ...payload, id, type })
+    })
+  }
+
+  // Queues a decrypted message element for indexing; only messages in the
+  // timeline carry the ids needed for jump-to-message.
+  index(element, plaintext, payload) {
+    const { messageId, conversationId, senderId, senderName, insertedAt } = element.dataset
+    if (!messageId || !conversationId) return
+
+    const text = decodeMessageBody(plaintext, payload).text
+    if (!text?.trim()) return
+
+    if (!this.queue.has(conversationId)) this.queue.set(conversationId, new Map())
+    this.queue.get(conversationId).set(messageId, {
+      id: messageId,
+      text,
+      sender_id: senderId ? Number(senderId) : null,
+      sender_name: senderName || '',
+      time: insertedAt ? Date.parse(`${insertedAt}Z`) : Date.now()
+    })
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), INDEX_BATCH_DELAY_MS)
+    }
+  }
+
+  flush() {
+    this.flushTimer = null
+    const queued = this.queue
+    this.queue = new Map()
+
+    queued.forEach((docs, conversationId) => {
+      this.call('add', { conversationId, docs: Array.from(docs.values()) })
+        .catch(error => console.warn('Could not index encrypted chat messages', error))
+    })
+  }
+
+  async search(conversationId, query) {
+    const token = ++this.searchToken
+    const results = (await this.call('search', { conversationId: String(conversationId), query })) || []
+
+    if (token === this.searchToken) this.render(results, query)
+  }
+
+  clearResults() {
+    this.searchToken++
+    this.render([], '')
+  }
+
+  render(results, query) {
+    const container = this.root.querySelector('[data-chat-search-results]')
+    if (!container) return
+
+    container.classList.toggle('hidden', !query.trim())
+    if (!query.trim()) {
+      container.replaceChildren()
+      return
+    }
+
+    const heading = document.createElement('p')
+    heading.className = 'text-xs font-medium uppercase tracking-wide opacity-60'
+    heading.textContent = results.length > 0
+      ? 'Encrypted messages on this device'
+      : 'No encrypted messages on this device match'
+
+    container.replaceChildren(heading, ...results.map(result => {
+      const button = document.createElement('button')
+      button.type = 'button'
+      button.className = 'block w-full rounded-lg bg-base-200 p-3 text-left hover:bg-base-300'
+      button.dataset.chatSearchJump = result.id
+
+      const meta = document.createElement('span')
+      meta.className = 'mb-1 flex items-center gap-2 text-xs opacity-70'
+      meta.textContent = `${result.sender_name} · ${new Date(result.time).toLocaleString()}`
+
+      const text = document.createElement('span')
+      text.className = 'block text-sm'
+      text.textContent = result.snippet
+
+      button.append(meta, text)
+      return button
+    }))
+  }
+}
@@ -0,0 +1,283 @@
+// Safety-number dialog and the "devices changed" banner for encrypted chat.
+// The dialog shows the number and QR code for one contact, can scan the
+// contact's code with the camera where BarcodeDetector exists, and marks the
+// contact verified. A verified contact whose devices change pauses encrypted
+// sending until the number is reviewed again.
+
+import { drawQrCode } from './qr_code'
+import {
+  ContactVerifications,
+  contactsForDevices,
+  deviceFingerprints,
+  safetyNumber,
+  safetyNumberFromQr,
+  safetyNumberGroups,
+  safetyQrPayload
+} from './chat_e2ee_safety'
+
+const SCAN_INTERVAL_MS = 300
+
+export class SafetyNumberVerification {
+  constructor(root, { userId, keyring, devices, memberNames, fingerprint, trustDevices, onChange }) {
+    this.root = root
+    this.userId = userId
+    this.devices = devices
+    this.memberNames = memberNames
+    this.fingerprint = fingerprint
+    this.trustDevices = trustDevices
+    this.onChange = onChange
+    this.verifications = new ContactVerifications(userId, keyring)
+    this.changed = []
+    this.current = null
+    this.syncKey = null
+    this.scanTimer = null
+    this.stream = null
+
+    this.clickHandler = event => this.handleClick(event)
+    this.changeHandler = event => {
+      if (event.target.closest('[data-chat-e2ee-verify-contact]')) this.show(event.target.value)
+    }
+    this.closeHandler = () => this.stopScan()
+
+    this.root.addEventListener('click', this.clickHandler)
+    this.root.addEventListener('change', this.changeHandler)
+    this.dialog()?.addEventListener('close', this.closeHandler)
+  }
+
+  destroy() {
+    this.root.removeEventListener('click', this.clickHandler)
+    this.root.removeEventListener('change', this.changeHandler)
+    this.dialog()?.removeEventListener('close', this.closeHandler)
+    this.stopScan()
+  }
+
+  dialog() {
+    return this.root.querySelector('[data-chat-e2ee-verify-dialog]')
+  }
+
+  part(name) {
+    return this.root.querySelector(`[data-chat-e2ee-verify-${name}]`)
+  }
+
+  contacts() {
+    return contactsForDevices(this.devices(), this.userId())
+  }
+
+  label(contact) {
+    if (contact.recipient_handle) return contact.recipient_handle
+    return this.memberNames()[contact.user_id] || 'this contact'
+  }
+
+  handleClick(event) {
+    const target = event.target.closest('[data-chat-e2ee-verify-open], [data-chat-e2ee-verify-close], [data-chat-e2ee-verify-scan], [data-chat-e2ee-verify-confirm], [data-chat-e2ee-verify-unverify]')
+    if (!target) return
+
+    event.preventDefault()
+
+    if (target.hasAttribute('data-chat-e2ee-verify-open')) this.open(this.changed[0]?.owner)
+    else if (target.hasAttribute('data-chat-e2ee-verify-close')) this.dialog()?.close()
+    else if (target.hasAttribute('data-chat-e2ee-verify-scan')) this.toggleScan()
+    else if (target.hasAttribute('data-chat-e2ee-verify-confirm')) this.markVerified()
+    else this.clearVerification()
+  }
+
+  // Re-reads verification state when the device list changes; cheap enough to call from updated().
+  async sync() {
+    const devices = this.devices()
+    const syncKey = JSON.stringify(devices.map(device => [device.device_id, device.fingerprint]))
+    if (syncKey === this.syncKey) return
+    this.syncKey = syncKey
+
+    const contacts = this.contacts()
+    const states = await Promise.all(contacts.map(contact => this.verifications.state(contact)))
+    this.changed = contacts.filter((_contact, index) => states[index].status === 'changed')
+    const allVerified = contacts.length > 0 && states.every(state => state.status === 'verified')
+
+    this.part('button')?.classList.toggle('hidden', contacts.length === 0)
+    this.part('button')?.classList.toggle('text-success', allVerified)
+    const buttonLabel = this.part('label')
+    if (buttonLabel) buttonLabel.textContent = allVerified ? 'Verified' : 'Verify safety number'
+
+    const banner = this.part('banner')
+    banner?.classList.toggle('hidden', this.changed.length === 0)
+    const bannerText = this.part('banner-text')
+    if (bannerText && this.changed.length > 0) {
+      bannerText.textContent = `${this.changed.map(contact => this.label(contact)).join(', ')} changed devices since you verified them. Encrypted messages are paused until you compare safety numbers again.`
+    }
+
+    this.onChange()
+  }
+
+  async assertUnchanged() {
+    const states = await Promise.all(this.contacts().map(contact => this.verifications.state(contact)))
+    if (states.some(state => state.status === 'changed')) {
+      throw new Error('verification_changed')
+    }
+  }
+
+  async open(owner = null) {
+    const contacts = this.contacts()
+    if (contacts.length === 0) return
+
+    const select = this.part('contact')
+    if (select) {
+      select.replaceChildren(...contacts.map(contact => new Option(this.label(contact), contact.owner)))
+      select.classList.toggle('hidden', contacts.length < 2)
+      select.value = owner || contacts[0].owner
+    }
+
+    this.dialog()?.showModal()
+    await this.show(owner || contacts[0].owner)
+  }
+
+  async show(owner) {
+    const contact = this.contacts().find(candidate => candidate.owner === owner)
+    if (!contact) return
+
+    this.current = null
+    this.stopScan()
+    this.setStatus('')
+    this.part('number').textContent = 'Calculating...'
+
+    try {
+      const localDevices = this.devices().filter(device => !device.recipient_handle && Number(device.user_id) === this.userId())
+      const [localFingerprints, contactFingerprints] = await Promise.all([
+        Promise.all(localDevices.map(device => this.fingerprint(device))),
+        Promise.all(contact.devices.map(device => this.fingerprint(device)))
+      ])
+      const number = await safetyNumber(localFingerprints, contactFingerprints)
+      const { status, record } = await this.verifications.state(contact)
+
+      this.current = { contact, number, fingerprints: deviceFingerprints(contact.devices) }
+      this.renderNumber(number)
+      this.renderState(contact, status, record)
+    } catch (error) {
+      console.warn('Could not compute chat safety number', error)
+      this.part('number').textContent = ''
+      this.renderState(contact, 'invalid', null)
+    }
+  }
+
+  renderNumber(number) {
+    const numberElement = this.part('number')
+    numberElement.replaceChildren(...safetyNumberGroups(number).map(group => {
+      const span = document.createElement('span')
+      span.textContent = group
+      return span
+    }))
+
+    const canvas = this.part('qr')
+    if (canvas) drawQrCode(canvas, safetyQrPayload(number))
+  }
+
+  renderState(contact, status, record) {
+    const name = this.label(contact)
+    const messages = {
+      verified: `You verified ${name} on ${new Date(record?.verified_at).toLocaleDateString()}.`,
+      changed: `${name}'s devices changed since you verified them. Compare the new number before continuing.`,
+      unverified: `You have not verified ${name} yet.`,
+      invalid: `One of ${name}'s device keys failed its signature check. Do not trust this conversation.`
+    }
+
+    const state = this.part('state')
+    state.textContent = messages[status]
+    state.classList.toggle('text-success', status === 'verified')
+    state.classList.toggle('text-warning', status === 'changed')
+    state.classList.toggle('text-error', status === 'invalid')
+
+    this.part('confirm')?.toggleAttribute('disabled', status === 'invalid')
+    this.part('unverify')?.classList.toggle('hidden', status === 'unverified' || status === 'invalid')
+    this.part('scan')?.classList.toggle('hidden', !('BarcodeDetector' in window) || status === 'invalid')
+  }
+
+  setStatus(message, tone = null) {
+    const status = this.part('status')
+    if (!status) return
+
+    status.textContent = message
+    status.classList.toggle('text-success', tone === 'success')
+    status.classList.toggle('text-error', tone === 'error')
+  }
+
+  async markVerified() {
+    if (!this.current) return
+
+    const { contact, number, fingerprints } = this.current
+    await this.trustDevices(contact.devices)
+    const record = await this.verifications.save(contact.owner, fingerprints, number)
+
+    this.syncKey = null
+    this.renderState(contact, 'verified', record)
+    this.setStatus('Marked as verified.', 'success')
+    await this.sync()
+  }
+
+  async clearVerification() {
+    if (!this.current) return
+
+    await this.verifications.remove(this.current.contact.owner)
+    this.syncKey = null
+    this.renderState(this.current.contact, 'unverified', null)
+    this.setStatus('')
+    await this.sync()
+  }
+
+  async toggleScan() {
+    if (this.stream) {
+      this.stopScan()
+      return
+    }
+
+    const video = this.part('video')
+
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      video.srcObject = this.stream
+      video.classList.remove('hidden')
+      await video.play()
+      this.setStatus("Point the camera at the code on the other person's screen.")
+      this.scanFrame(new window.BarcodeDetector({ formats: ['qr_code'] }), video)
+    } catch (error) {
+      console.warn('Could not start safety number scan', error)
+      this.stopScan()
+      this.setStatus('Could not use the camera. Compare the numbers by reading them aloud instead.', 'error')
+    }
+  }
+
+  scanFrame(detector, video) {
+    this.scanTimer = setTimeout(async () => {
+      if (!this.stream) return
+
+      const codes = await detector.detect(video).catch(() => [])
+      const scanned = codes.map(code => safetyNumberFromQr(code.rawValue)).find(Boolean)
+      if (!scanned) {
+        this.scanFrame(detector, video)
+        return
+      }
+
+      this.stopScan()
+      if (scanned === this.current?.number) {
+        await this.markVerified()
+        this.setStatus('The numbers match. Marked as verified.', 'success')
+      } else {
+        this.setStatus('The scanned number does not match. Do not mark this contact as verified.', 'error')
+      }
+    }, SCAN_INTERVAL_MS)
+  }
+
+  stopScan() {
+    if (this.scanTimer) {
+      clearTimeout(this.scanTimer)
+      this.scanTimer = null
+    }
+
+    this.stream?.getTracks().forEach(track => track.stop())
+    this.stream = null
+
+    const video = this.part('video')
+    if (video) {
+      video.srcObject = null
+      video.classList.add('hidden')
+    }
+  }
+}
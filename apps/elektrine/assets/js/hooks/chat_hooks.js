@@ -1,6 +1,7 @@
 // Chat-specific LiveView hooks
 
 import { submitFormPreservingEvents } from "../utils/form_submission"
+import { bindKeymap } from "../keymap"
 
 export const AutoExpandTextarea = {
   mounted() {
@@ -383,21 +384,19 @@ export const SimpleChatInput = {
 
 export const ChatKeyboardShortcuts = {
   mounted() {
-    this.handleKeydown = (event) => {
-      if (event.key !== "Escape" || event.defaultPrevented) return
-      if (this.el.dataset.activeOverlay !== "true") return
-
-      event.preventDefault()
-      this.pushEvent("close_chat_overlay", {})
-    }
-
-    document.addEventListener("keydown", this.handleKeydown)
+    this.unbindKeymap = bindKeymap(
+      {
+        "chat.close_overlay": () => {
+          if (this.el.dataset.activeOverlay !== "true") return false
+          this.pushEvent("close_chat_overlay", {})
+        }
+      },
+      { inInputs: true }
+    )
   },
 
   destroyed() {
-    if (this.handleKeydown) {
-      document.removeEventListener("keydown", this.handleKeydown)
-    }
+    this.unbindKeymap?.()
   }
 }
 
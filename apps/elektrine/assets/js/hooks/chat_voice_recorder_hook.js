@@ -1,10 +1,7 @@
+import { VoiceNoteRecorder } from '../voice_note_recorder'
+
 export const VoiceRecorder = {
   mounted() {
-    this.mediaRecorder = null
-    this.audioChunks = []
-    this.isRecording = false
-    this.recordingTimer = null
-    this.recordingSeconds = 0
     this.maxDuration = 120
 
     const recordBtn = this.el
@@ -29,77 +26,54 @@ export const VoiceRecorder = {
       return `${mins}:${secs.toString().padStart(2, '0')}`
     }
 
-    const startRecording = async () => {
-      try {
-        const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
-        this.audioChunks = []
-
-        const mimeType = MediaRecorder.isTypeSupported('audio/webm') ? 'audio/webm' : 'audio/mp4'
-        this.mediaRecorder = new MediaRecorder(stream, { mimeType })
-
-        this.mediaRecorder.ondataavailable = (event) => {
-          if (event.data.size > 0) {
-            this.audioChunks.push(event.data)
-          }
+    this.recorder = new VoiceNoteRecorder({
+      maxSeconds: this.maxDuration,
+      onTick: (seconds) => {
+        if (timerEl) {
+          timerEl.textContent = formatTime(seconds)
         }
+      },
+      onLimit: () => sendRecording()
+    })
 
-        this.mediaRecorder.onstop = () => {
-          stream.getTracks().forEach((track) => track.stop())
-        }
-
-        this.mediaRecorder.start(100)
-        this.isRecording = true
-        this.recordingSeconds = 0
+    const startRecording = async () => {
+      try {
+        await this.recorder.start()
         updateUI(true)
-
-        this.recordingTimer = setInterval(() => {
-          this.recordingSeconds++
-          if (timerEl) {
-            timerEl.textContent = formatTime(this.recordingSeconds)
-          }
-
-          if (this.recordingSeconds >= this.maxDuration) {
-            sendRecording()
-          }
-        }, 1000)
       } catch (_err) {
+        this.recorder.release()
         this.pushEvent('voice_recording_error', { error: 'Microphone access denied' })
       }
     }
 
-    const stopRecording = () => {
-      if (this.mediaRecorder && this.isRecording) {
-        this.mediaRecorder.stop()
-        this.isRecording = false
-        clearInterval(this.recordingTimer)
-        updateUI(false)
-        if (timerEl) timerEl.textContent = '0:00'
-      }
+    const resetUI = () => {
+      updateUI(false)
+      if (timerEl) timerEl.textContent = '0:00'
     }
 
     const cancelRecording = () => {
-      stopRecording()
-      this.audioChunks = []
-      this.recordingSeconds = 0
+      this.recorder.cancel()
+      resetUI()
     }
 
     const sendRecording = async () => {
-      if (!this.isRecording && this.audioChunks.length === 0) return
+      if (!this.recorder.isRecording()) return
 
-      if (this.isRecording) {
-        this.mediaRecorder.stop()
-        this.isRecording = false
-        clearInterval(this.recordingTimer)
-        updateUI(false)
+      resetUI()
+      const note = await this.recorder.stop()
+      if (!note) return
 
-        await new Promise((resolve) => setTimeout(resolve, 100))
-      }
+      const { blob: audioBlob, duration, mimeType } = note
 
-      if (this.audioChunks.length === 0) return
+      // Encrypted chat claims the clip by cancelling this event and sends it as
+      // an encrypted attachment instead of a plaintext voice message.
+      const voiceNote = new CustomEvent('chat:voice-note', {
+        bubbles: true,
+        cancelable: true,
+        detail: { blob: audioBlob, duration, mimeType }
+      })
+      if (!recordBtn.dispatchEvent(voiceNote)) return
 
-      const mimeType = this.mediaRecorder?.mimeType || 'audio/webm'
-      const audioBlob = new Blob(this.audioChunks, { type: mimeType })
-      const duration = this.recordingSeconds
       const reader = new FileReader()
 
       reader.onload = () => {
@@ -112,13 +86,10 @@ export const VoiceRecorder = {
       }
 
       reader.readAsDataURL(audioBlob)
-      this.audioChunks = []
-      this.recordingSeconds = 0
-      if (timerEl) timerEl.textContent = '0:00'
     }
 
     this.recordClickHandler = () => {
-      if (this.isRecording) {
+      if (this.recorder.isRecording()) {
         sendRecording()
       } else {
         startRecording()
@@ -137,7 +108,7 @@ export const VoiceRecorder = {
     }
 
     this.escapeKeyHandler = (event) => {
-      if (event.key === 'Escape' && this.isRecording) {
+      if (event.key === 'Escape' && this.recorder.isRecording()) {
         cancelRecording()
       }
     }
@@ -157,11 +128,6 @@ export const VoiceRecorder = {
     if (this.escapeKeyHandler) {
       document.removeEventListener('keydown', this.escapeKeyHandler)
     }
-    if (this.recordingTimer) {
-      clearInterval(this.recordingTimer)
-    }
-    if (this.mediaRecorder && this.isRecording) {
-      this.mediaRecorder.stop()
-    }
+    this.recorder?.cancel()
   }
 }
@@ -1,23 +1,13 @@
 // Email-related LiveView hooks
 
-import {
-  closeExistingShortcutModals,
-  isActiveEmailShortcutHelpOwner,
-  isEditableTarget,
-  registerEmailShortcutHelp,
-} from "./email_shortcut_helpers"
+import { bindKeymap, showKeymapHelp } from "../keymap"
 
 export const KeyboardShortcuts = {
   mounted() {
     this.setupKeyboardShortcuts()
-    this.unregisterShortcutHelp = registerEmailShortcutHelp(this, () => this.showShortcutsHelp())
 
     // Listen for server event to show keyboard shortcuts
-    this.handleEvent("show-keyboard-shortcuts", () => {
-      if (isActiveEmailShortcutHelpOwner(this)) {
-        this.showShortcutsHelp()
-      }
-    })
+    this.handleEvent("show-keyboard-shortcuts", () => this.showShortcutsHelp())
 
     // Listen for scroll-to-top event when navigating between tabs
     this.handleEvent("scroll-to-top", () => {
@@ -40,18 +30,31 @@ export const KeyboardShortcuts = {
     // Update message list when DOM changes
     this.updateMessageList()
 
-    // Store the bound handler so we can remove it later
-    this.keyHandler = (e) => {
-      // Don't interfere when typing in inputs, textareas, or contenteditable elements
-      if (isEditableTarget(e.target) || e.target.closest('.dropdown.dropdown-open')) {
-        return
-      }
-
-      // Handle shortcuts
-      this.handleKeyboardShortcut(e)
-    }
-
-    document.addEventListener('keydown', this.keyHandler)
+    // Actions that work on the selected message leave the key alone when
+    // nothing is selected.
+    const withSelection = (action) => () => {
+      if (this.selectedMessageIndex < 0) return false
+      action()
+    }
+
+    this.unbindKeymap = bindKeymap({
+      'global.help': () => this.showShortcutsHelp(),
+      'mail.compose': () => this.navigateToCompose(),
+      'mail.goto_inbox': () => this.navigateTo('inbox'),
+      'mail.goto_sent': () => this.navigateTo('sent'),
+      'mail.goto_search': () => this.navigateTo('search'),
+      'mail.goto_archive': () => this.navigateTo('archive'),
+      'mail.goto_spam': () => this.navigateTo('spam'),
+      'mail.list.search': () => this.focusSearch(),
+      'mail.list.next': () => this.selectNextMessage(),
+      'mail.list.previous': () => this.selectPrevMessage(),
+      'mail.list.open': withSelection(() => this.openSelectedMessage()),
+      'mail.list.archive': withSelection(() => this.archiveSelectedMessage()),
+      'mail.list.reply': withSelection(() => this.replyToSelectedMessage()),
+      'mail.list.forward': withSelection(() => this.forwardSelectedMessage()),
+      'mail.list.delete': withSelection(() => this.deleteSelectedMessage()),
+      'mail.list.spam': withSelection(() => this.markSpamSelectedMessage())
+    })
 
     // Update message list when new messages are added
     const observer = new MutationObserver(() => {
@@ -72,14 +75,8 @@ export const KeyboardShortcuts = {
     if (this.observer) {
       this.observer.disconnect()
     }
-    if (this.keyHandler) {
-      document.removeEventListener('keydown', this.keyHandler)
-    }
-    if (this.gotoMenuCleanup) {
-      this.gotoMenuCleanup()
-    }
-    if (this.unregisterShortcutHelp) {
-      this.unregisterShortcutHelp()
+    if (this.unbindKeymap) {
+      this.unbindKeymap()
     }
   },
 
@@ -91,188 +88,6 @@ export const KeyboardShortcuts = {
     }
   },
 
-  handleKeyboardShortcut(e) {
-    const key = e.key.toLowerCase()
-    const ctrl = e.ctrlKey || e.metaKey
-
-
-    // Gmail-style shortcuts
-    switch (key) {
-      case 'c':
-        if (!ctrl) {
-          e.preventDefault()
-          this.navigateToCompose()
-        }
-        break
-
-      case 'g':
-        if (!ctrl) {
-          e.preventDefault()
-          this.showGotoMenu()
-        }
-        break
-
-      case '/':
-        e.preventDefault()
-        this.focusSearch()
-        break
-
-      case '?':
-        e.preventDefault()
-        this.showShortcutsHelp()
-        break
-
-      case 'j':
-        if (!ctrl) {
-          e.preventDefault()
-          this.selectNextMessage()
-        }
-        break
-
-      case 'k':
-        if (!ctrl) {
-          e.preventDefault()
-          this.selectPrevMessage()
-        }
-        break
-
-      case 'enter':
-        if (this.selectedMessageIndex >= 0) {
-          e.preventDefault()
-          this.openSelectedMessage()
-        }
-        break
-
-      case 'e':
-        if (!ctrl && this.selectedMessageIndex >= 0) {
-          e.preventDefault()
-          this.archiveSelectedMessage()
-        }
-        break
-
-      case 'r':
-        if (!ctrl && this.selectedMessageIndex >= 0) {
-          e.preventDefault()
-          this.replyToSelectedMessage()
-        }
-        break
-
-      case 'f':
-        if (!ctrl && this.selectedMessageIndex >= 0) {
-          e.preventDefault()
-          this.forwardSelectedMessage()
-        }
-        break
-
-      case '#':
-        if (this.selectedMessageIndex >= 0) {
-          e.preventDefault()
-          this.deleteSelectedMessage()
-        }
-        break
-
-      case '!':
-        if (this.selectedMessageIndex >= 0) {
-          e.preventDefault()
-          this.markSpamSelectedMessage()
-        }
-        break
-    }
-  },
-
-  showGotoMenu() {
-    if (this.gotoMenuCleanup) {
-      this.gotoMenuCleanup()
-    }
-
-    // Show a temporary goto menu
-    const menu = document.createElement('div')
-    menu.className = 'shortcut-floating fixed top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 rounded-lg p-6 z-50'
-    menu.innerHTML = `
-      <h3 class="shortcut-heading text-lg font-bold mb-4">Go to...</h3>
-      <div class="space-y-2">
-        <button class="btn btn-ghost btn-sm w-full justify-start" data-goto="inbox">
-          <span class="font-mono mr-2">gi</span> Inbox
-        </button>
-        <button class="btn btn-ghost btn-sm w-full justify-start" data-goto="sent">
-          <span class="font-mono mr-2">gs</span> Sent
-        </button>
-        <button class="btn btn-ghost btn-sm w-full justify-start" data-goto="search">
-          <span class="font-mono mr-2">gt</span> Search
-        </button>
-        <button class="btn btn-ghost btn-sm w-full justify-start" data-goto="archive">
-          <span class="font-mono mr-2">ga</span> Archive
-        </button>
-        <button class="btn btn-ghost btn-sm w-full justify-start" data-goto="spam">
-          <span class="font-mono mr-2">gp</span> Spam
-        </button>
-      </div>
-      <div class="shortcut-muted text-xs mt-4">Press Escape to close</div>
-    `
-
-    document.body.appendChild(menu)
-
-    const handleGotoKey = (e) => {
-      const key = e.key.toLowerCase()
-
-      if (['escape', 'i', 's', 't', 'a', 'p'].includes(key)) {
-        e.preventDefault()
-        e.stopImmediatePropagation()
-      }
-
-      if (key === 'escape') {
-        cleanup()
-      } else if (key === 'i') {
-        window.location.href = '/email?tab=inbox'
-        cleanup()
-      } else if (key === 's') {
-        window.location.href = '/email?tab=sent'
-        cleanup()
-      } else if (key === 't') {
-        window.location.href = '/email?tab=search'
-        cleanup()
-      } else if (key === 'a') {
-        window.location.href = '/email?tab=archive'
-        cleanup()
-      } else if (key === 'p') {
-        window.location.href = '/email?tab=spam'
-        cleanup()
-      }
-    }
-
-    let timeoutId = null
-    const cleanup = () => {
-      if (timeoutId) {
-        clearTimeout(timeoutId)
-        timeoutId = null
-      }
-      document.removeEventListener('keydown', handleGotoKey, true)
-      if (menu.parentNode) {
-        menu.parentNode.removeChild(menu)
-      }
-      if (this.gotoMenuCleanup === cleanup) {
-        this.gotoMenuCleanup = null
-      }
-    }
-
-    this.gotoMenuCleanup = cleanup
-
-    // Handle goto navigation
-    menu.addEventListener('click', (e) => {
-      const button = e.target.closest('[data-goto]')
-      if (button) {
-        const destination = button.dataset.goto
-        this.navigateTo(destination)
-        cleanup()
-      }
-    })
-
-    document.addEventListener('keydown', handleGotoKey, true)
-
-    // Auto-close after 5 seconds
-    timeoutId = setTimeout(cleanup, 5000)
-  },
-
   navigateTo(destination) {
     // Use LiveView event to navigate to tabs
     const tabMap = {
@@ -411,106 +226,40 @@ export const KeyboardShortcuts = {
   },
 
   showShortcutsHelp() {
-    closeExistingShortcutModals()
-
-    if (window.showKeyboardShortcuts) {
-      window.showKeyboardShortcuts()
-    }
+    showKeymapHelp()
   }
 }
 
 // Keyboard shortcuts for email show/view page
 export const EmailShowKeyboardShortcuts = {
   mounted() {
-    this.unregisterShortcutHelp = registerEmailShortcutHelp(this, () => this.showShortcutsHelp())
-
-    this.keyHandler = (e) => {
-      // Don't interfere when typing in inputs, textareas, or contenteditable elements
-      if (isEditableTarget(e.target) || e.target.closest('.dropdown.dropdown-open')) {
-        return
-      }
-
-      const key = e.key.toLowerCase()
-      const ctrl = e.ctrlKey || e.metaKey
-
-      // Handle shortcuts
-      switch (key) {
-        case 'c':
-          if (!ctrl) {
-            e.preventDefault()
-            window.location.href = '/email/compose'
-          }
-          break
-
-        case 'g':
-          if (!ctrl) {
-            e.preventDefault()
-            this.showGotoMenu()
-          }
-          break
-
-        case 'r':
-          if (!ctrl) {
-            e.preventDefault()
-            const replyBtn = document.querySelector('button[phx-click="reply"]')
-            if (replyBtn) replyBtn.click()
-          }
-          break
-
-        case 'a':
-          if (!ctrl) {
-            e.preventDefault()
-            const replyAllBtn = document.querySelector('button[phx-click="reply_all"]')
-            if (replyAllBtn) replyAllBtn.click()
-          }
-          break
-
-        case 'f':
-          if (!ctrl) {
-            e.preventDefault()
-            const forwardBtn = document.querySelector('button[phx-click="forward"]')
-            if (forwardBtn) forwardBtn.click()
-          }
-          break
-
-        case 'v':
-          if (!ctrl) {
-            e.preventDefault()
-            const rawLink = document.querySelector('a[href*="/raw"]')
-            if (rawLink) {
-              window.location.href = rawLink.href
-            }
-          }
-          break
-
-        case 'l':
-          if (!ctrl) {
-            e.preventDefault()
-            const replyLaterBtn = document.querySelector('button[phx-click="show_reply_later_modal"]')
-            if (replyLaterBtn) replyLaterBtn.click()
-          }
-          break
-
-        case 'escape':
-          e.preventDefault()
-          window.location.href = '/email'
-          break
-
-        case '?':
-          e.preventDefault()
-          this.showShortcutsHelp()
-          break
-      }
-    }
-
-    document.addEventListener('keydown', this.keyHandler)
-
-    this.handleEvent("show-keyboard-shortcuts", () => {
-      if (isActiveEmailShortcutHelpOwner(this)) {
-        this.showShortcutsHelp()
-      }
+    const clickButton = (event) => () => {
+      document.querySelector(`button[phx-click="${event}"]`)?.click()
+    }
+
+    this.unbindKeymap = bindKeymap({
+      'global.help': () => showKeymapHelp(),
+      'mail.compose': () => { window.location.href = '/email/compose' },
+      'mail.goto_inbox': () => { window.location.href = '/email?tab=inbox' },
+      'mail.goto_sent': () => { window.location.href = '/email?tab=sent' },
+      'mail.goto_search': () => { window.location.href = '/email?tab=search' },
+      'mail.goto_archive': () => { window.location.href = '/email?tab=archive' },
+      'mail.goto_spam': () => { window.location.href = '/email?tab=spam' },
+      'mail.message.reply': clickButton('reply'),
+      'mail.message.reply_all': clickButton('reply_all'),
+      'mail.message.forward': clickButton('forward'),
+      'mail.message.reply_later': clickButton('show_reply_later_modal'),
+      'mail.message.raw': () => {
+        const rawLink = document.querySelector('a[href*="/raw"]')
+        if (rawLink) {
+          window.location.href = rawLink.href
+        }
+      },
+      'mail.message.back': () => { window.location.href = '/email' }
     })
 
+    this.handleEvent("show-keyboard-shortcuts", () => showKeymapHelp())
+
     // Also attach FileDownloader functionality
     this.handleEvent("download-file", ({ url, filename }) => {
       const link = document.createElement('a')
@@ -523,217 +272,8 @@ export const EmailShowKeyboardShortcuts = {
   },
 
   destroyed() {
-    if (this.keyHandler) {
-      document.removeEventListener('keydown', this.keyHandler)
-    }
-    if (this.gotoMenuCleanup) {
-      this.gotoMenuCleanup()
+    if (this.unbindKeymap) {
+      this.unbindKeymap()
     }
-    if (this.shortcutsModalCleanup) {
-      this.shortcutsModalCleanup()
-    }
-    if (this.unregisterShortcutHelp) {
-      this.unregisterShortcutHelp()
-    }
-  },
-
-  showShortcutsHelp() {
-    closeExistingShortcutModals()
-
-    if (this.shortcutsModalCleanup) {
-      this.shortcutsModalCleanup()
-    }
-
-    const modal = document.createElement('div')
-    modal.dataset.emailShortcutsModal = 'true'
-    modal.className = 'shortcut-overlay fixed inset-0 z-50 flex items-center justify-center p-4'
-    modal.innerHTML = `
-      <div class="shortcut-dialog rounded-lg p-6 max-w-2xl w-full max-h-[80vh] overflow-y-auto">
-        <div class="flex justify-between items-center mb-6">
-          <h3 class="text-2xl font-bold">Keyboard Shortcuts</h3>
-          <button class="btn btn-ghost btn-sm btn-circle" data-close>
-            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
-            </svg>
-          </button>
-        </div>
-
-        <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
-          <div>
-            <h4 class="shortcut-heading font-semibold mb-3">Navigation</h4>
-            <div class="space-y-2">
-              <div class="flex justify-between items-center">
-                <span class="text-sm">Compose new message</span>
-                <kbd class="kbd kbd-sm">c</kbd>
-              </div>
-              <div class="flex justify-between items-center">
-                <span class="text-sm">Go to menu</span>
-                <kbd class="kbd kbd-sm">g</kbd>
-              </div>
-              <div class="flex justify-between items-center">
-                <span class="text-sm">Back to inbox</span>
-                <kbd class="kbd kbd-sm">Esc</kbd>
-              </div>
-              <div class="flex justify-between items-center">
-                <span class="text-sm">View raw email</span>
-                <kbd class="kbd kbd-sm">v</kbd>
-              </div>
-            </div>
-          </div>
-
-          <div>
-            <h4 class="shortcut-heading font-semibold mb-3">Actions</h4>
-            <div class="space-y-2">
-              <div class="flex justify-between items-center">
-                <span class="text-sm">Reply</span>
-                <kbd class="kbd kbd-sm">r</kbd>
-              </div>
-              <div class="flex justify-between items-center">
-                <span class="text-sm">Reply all</span>
-                <kbd class="kbd kbd-sm">a</kbd>
-              </div>
-              <div class="flex justify-between items-center">
-                <span class="text-sm">Forward</span>
-                <kbd class="kbd kbd-sm">f</kbd>
-              </div>
-              <div class="flex justify-between items-center">
-                <span class="text-sm">Reply later</span>
-                <kbd class="kbd kbd-sm">l</kbd>
-              </div>
-            </div>
-          </div>
-        </div>
-
-        <div class="shortcut-divider mt-6 pt-4 border-t">
-          <div class="flex justify-between items-center">
-            <span class="text-sm">Show this help</span>
-            <kbd class="kbd kbd-sm">?</kbd>
-          </div>
-        </div>
-      </div>
-    `
-
-    document.body.appendChild(modal)
-
-    const escHandler = (e) => {
-      if (e.key === 'Escape') {
-        cleanup()
-      }
-    }
-
-    const cleanup = () => {
-      document.removeEventListener('keydown', escHandler)
-      if (modal.parentNode) {
-        modal.parentNode.removeChild(modal)
-      }
-      if (this.shortcutsModalCleanup === cleanup) {
-        this.shortcutsModalCleanup = null
-      }
-    }
-
-    this.shortcutsModalCleanup = cleanup
-
-    // Close on click outside or close button
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal || e.target.closest('[data-close]')) {
-        cleanup()
-      }
-    })
-
-    // Close on Escape key
-    document.addEventListener('keydown', escHandler)
-  },
-
-  showGotoMenu() {
-    if (this.gotoMenuCleanup) {
-      this.gotoMenuCleanup()
-    }
-
-    // Show a temporary goto menu
-    const menu = document.createElement('div')
-    menu.className = 'shortcut-floating fixed top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 rounded-lg p-6 z-50'
-    menu.innerHTML = `
-      <h3 class="shortcut-heading text-lg font-bold mb-4">Go to...</h3>
-      <div class="space-y-2">
-        <button class="btn btn-ghost btn-sm w-full justify-start" data-goto="inbox">
-          <span class="font-mono mr-2">gi</span> Inbox
-        </button>
-        <button class="btn btn-ghost btn-sm w-full justify-start" data-goto="sent">
-          <span class="font-mono mr-2">gs</span> Sent
-        </button>
-        <button class="btn btn-ghost btn-sm w-full justify-start" data-goto="search">
-          <span class="font-mono mr-2">gt</span> Search
-        </button>
-        <button class="btn btn-ghost btn-sm w-full justify-start" data-goto="archive">
-          <span class="font-mono mr-2">ga</span> Archive
-        </button>
-        <button class="btn btn-ghost btn-sm w-full justify-start" data-goto="spam">
-          <span class="font-mono mr-2">gp</span> Spam
-        </button>
-      </div>
-      <div class="shortcut-muted text-xs mt-4">Press Escape to close</div>
-    `
-
-    document.body.appendChild(menu)
-
-    const handleGotoKey = (e) => {
-      const key = e.key.toLowerCase()
-
-      if (['escape', 'i', 's', 't', 'a', 'p'].includes(key)) {
-        e.preventDefault()
-        e.stopImmediatePropagation()
-      }
-
-      if (key === 'escape') {
-        cleanup()
-      } else if (key === 'i') {
-        window.location.href = '/email?tab=inbox'
-        cleanup()
-      } else if (key === 's') {
-        window.location.href = '/email?tab=sent'
-        cleanup()
-      } else if (key === 't') {
-        window.location.href = '/email?tab=search'
-        cleanup()
-      } else if (key === 'a') {
-        window.location.href = '/email?tab=archive'
-        cleanup()
-      } else if (key === 'p') {
-        window.location.href = '/email?tab=spam'
-        cleanup()
-      }
-    }
-
-    let timeoutId = null
-    const cleanup = () => {
-      if (timeoutId) {
-        clearTimeout(timeoutId)
-        timeoutId = null
-      }
-      document.removeEventListener('keydown', handleGotoKey, true)
-      if (menu.parentNode) {
-        menu.parentNode.removeChild(menu)
-      }
-      if (this.gotoMenuCleanup === cleanup) {
-        this.gotoMenuCleanup = null
-      }
-    }
-
-    this.gotoMenuCleanup = cleanup
-
-    // Handle goto navigation
-    menu.addEventListener('click', (e) => {
-      const button = e.target.closest('[data-goto]')
-      if (button) {
-        const destination = button.dataset.goto
-        window.location.href = '/email?tab=' + destination
-        cleanup()
-      }
-    })
-
-    document.addEventListener('keydown', handleGotoKey, true)
-
-    // Auto-close after 5 seconds
-    timeoutId = setTimeout(cleanup, 5000)
   }
 }
@@ -0,0 +1,118 @@
+// Encrypts and/or signs the compose body in the browser before the form is
+// sent. The server renders the MIME entity to protect, this hook runs OpenPGP
+// over it and resubmits the form with the result in email[pgp_mime]; the
+// private key is unwrapped from the vault and never leaves the page.
+
+import * as openpgp from "openpgp"
+import { lockedMessage, readPublicKeys, unwrapPrivateKey } from "./email_pgp_keys"
+
+const encoder = new TextEncoder()
+
+async function micalg(armoredSignature) {
+  const signature = await openpgp.readSignature({ armoredSignature })
+  const hash = openpgp.enums.read(openpgp.enums.hash, signature.packets[0].hashAlgorithm)
+  return `pgp-${hash}`
+}
+
+export const EmailPgpCompose = {
+  mounted() {
+    this.form = this.el.closest("form")
+    this.input = this.el.querySelector("[data-pgp-mime-input]")
+    this.encryptToggle = this.el.querySelector("[data-pgp-encrypt]")
+    this.signToggle = this.el.querySelector("[data-pgp-sign]")
+    this.status = this.el.querySelector("[data-pgp-status]")
+    this.passThrough = false
+    this.busy = false
+
+    // Capture phase on the form runs before LiveView's own submit listener.
+    this.onSubmit = (event) => this.handleSubmit(event)
+    this.form?.addEventListener("submit", this.onSubmit, true)
+  },
+
+  destroyed() {
+    this.form?.removeEventListener("submit", this.onSubmit, true)
+  },
+
+  handleSubmit(event) {
+    if (this.passThrough) {
+      this.passThrough = false
+      return
+    }
+
+    const encrypt = this.encryptToggle.checked
+    const sign = this.signToggle.checked
+
+    if (!encrypt && !sign) {
+      this.input.value = ""
+      return
+    }
+
+    event.preventDefault()
+    event.stopPropagation()
+    if (!this.busy) this.prepare(encrypt, sign)
+  },
+
+  async prepare(encrypt, sign) {
+    this.busy = true
+    this.setStatus(encrypt ? "Encrypting..." : "Signing...")
+
+    try {
+      const reply = await this.request({ form: this.serializeForm(), encrypt, sign })
+      const signingKeys = sign ? await unwrapPrivateKey(reply.private_key, reply.user_id) : undefined
+      let payload
+
+      if (encrypt) {
+        const armor = await openpgp.encrypt({
+          message: await openpgp.createMessage({ text: reply.entity }),
+          encryptionKeys: await readPublicKeys(reply.keys),
+          ...(signingKeys ? { signingKeys } : {})
+        })
+        payload = { type: "encrypted", armor }
+      } else {
+        const signature = await openpgp.sign({
+          message: await openpgp.createMessage({ binary: encoder.encode(reply.entity) }),
+          signingKeys,
+          detached: true
+        })
+        payload = { type: "signed", entity: reply.entity, signature, micalg: await micalg(signature) }
+      }
+
+      this.input.value = JSON.stringify(payload)
+      this.setStatus(null)
+      this.passThrough = true
+      this.form.requestSubmit()
+    } catch (error) {
+      this.setStatus(lockedMessage(error, error?.reply || "Could not prepare the OpenPGP message."), true)
+    } finally {
+      this.busy = false
+    }
+  },
+
+  // Attachments are rejected server-side, so only text fields are sent.
+  serializeForm() {
+    const params = new URLSearchParams()
+    for (const [name, value] of new FormData(this.form)) {
+      if (typeof value === "string" && name !== "email[pgp_mime]") params.append(name, value)
+    }
+    return params.toString()
+  },
+
+  request(payload) {
+    return new Promise((resolve, reject) => {
+      this.pushEvent("pgp_prepare", payload, (reply) => {
+        if (reply?.entity) return resolve(reply)
+        const error = new Error("pgp_prepare_failed")
+        error.reply = reply?.error
+        reject(error)
+      })
+    })
+  },
+
+  setStatus(message, isError = false) {
+    if (!this.status) return
+    this.status.textContent = message || ""
+    this.status.classList.toggle("hidden", !message)
+    this.status.classList.toggle("text-error", isError)
+    this.status.classList.toggle("text-base-content/70", !isError)
+  }
+}
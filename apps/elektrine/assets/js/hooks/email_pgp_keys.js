@@ -0,0 +1,53 @@
+// OpenPGP keys for browser-side email encryption. The private key is stored
+// on the server only as an AES-GCM payload under the vault's "pgp" feature
+// key, so any browser with the vault unlocked can use it and the server
+// cannot.
+
+import * as openpgp from "openpgp"
+import * as vaultSession from "./vault_session"
+import { decryptValue, encryptValue } from "./vault_crypto"
+
+const FEATURE = "pgp"
+
+function associatedData(userId) {
+  return { purpose: "elektrine-email-pgp-key", version: 1, user_id: String(userId) }
+}
+
+export function lockedMessage(error, fallback) {
+  return error?.message === "vault-locked" ? "Unlock encrypted data first." : fallback
+}
+
+export async function wrapPrivateKey(armoredKey, userId) {
+  return encryptValue(armoredKey, await vaultSession.featureKey(FEATURE), associatedData(userId))
+}
+
+export async function unwrapPrivateKey(payload, userId) {
+  const armoredKey = await decryptValue(
+    payload,
+    await vaultSession.featureKey(FEATURE),
+    associatedData(userId)
+  )
+  return openpgp.readPrivateKey({ armoredKey })
+}
+
+/** Generate an unprotected key pair; the vault wrapping replaces a passphrase. */
+export async function generateKeyPair({ name, email }) {
+  const { privateKey, publicKey } = await openpgp.generateKey({
+    userIDs: [{ name, email }],
+    format: "armored"
+  })
+  return { privateKey, publicKey }
+}
+
+/** Read an armored private key, removing its passphrase protection if it has any. */
+export async function importPrivateKey(armoredKey, passphrase) {
+  let privateKey = await openpgp.readPrivateKey({ armoredKey: armoredKey.trim() })
+  if (!privateKey.isDecrypted()) {
+    privateKey = await openpgp.decryptKey({ privateKey, passphrase })
+  }
+  return { privateKey: privateKey.armor(), publicKey: privateKey.toPublic().armor() }
+}
+
+export async function readPublicKeys(armoredKeys) {
+  return Promise.all(armoredKeys.map((armoredKey) => openpgp.readKey({ armoredKey })))
+}
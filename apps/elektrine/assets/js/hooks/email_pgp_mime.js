@@ -0,0 +1,148 @@
+// Minimal MIME reading for PGP/MIME (RFC 3156) messages. Works on the raw
+// source with CRLF line endings, because a detached signature covers the
+// signed part byte for byte.
+
+const decoder = new TextDecoder()
+
+export function toCrlf(text) {
+  return String(text || "").replace(/\r?\n/g, "\r\n")
+}
+
+/** Split an entity into lowercased, unfolded headers and its body. */
+export function splitEntity(entity) {
+  const separator = entity.indexOf("\r\n\r\n")
+  const head = separator === -1 ? entity : entity.slice(0, separator)
+  const body = separator === -1 ? "" : entity.slice(separator + 4)
+  const headers = {}
+
+  head.replace(/\r\n[ \t]+/g, " ").split("\r\n").forEach((line) => {
+    const colon = line.indexOf(":")
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim()
+  })
+
+  return { headers, body }
+}
+
+export function headerParam(value, name) {
+  const match = new RegExp(`;\\s*${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, "i").exec(value || "")
+  return match ? match[1] ?? match[2] : null
+}
+
+function mediaType(headers) {
+  return (headers["content-type"] || "text/plain").split(";")[0].trim().toLowerCase()
+}
+
+// Parts are returned exactly as they sit between delimiters: the CRLF before
+// each delimiter belongs to the delimiter, not to the part.
+export function multipartParts(body, boundary) {
+  const chunks = `\r\n${body}`.split(`\r\n--${boundary}`)
+  const parts = []
+
+  for (const chunk of chunks.slice(1)) {
+    if (chunk.startsWith("--")) break
+    const lineEnd = chunk.indexOf("\r\n")
+    if (lineEnd !== -1) parts.push(chunk.slice(lineEnd + 2))
+  }
+
+  return parts
+}
+
+/**
+ * Find the PGP/MIME structure in a raw message, descending into multipart
+ * wrappers a relay may have added. Returns `{ type: "encrypted", armor }`,
+ * `{ type: "signed", entity, signature }` or null.
+ */
+export function findPgpMime(raw) {
+  const { headers, body } = splitEntity(toCrlf(raw))
+  const type = mediaType(headers)
+  const boundary = headerParam(headers["content-type"], "boundary")
+
+  if (!type.startsWith("multipart/") || !boundary) return null
+
+  const parts = multipartParts(body, boundary)
+
+  if (type === "multipart/encrypted" && parts.length >= 2) {
+    return { type: "encrypted", armor: splitEntity(parts[1]).body.trim() }
+  }
+
+  if (type === "multipart/signed" && parts.length >= 2) {
+    return { type: "signed", entity: parts[0], signature: splitEntity(parts[1]).body.trim() }
+  }
+
+  for (const part of parts) {
+    const found = findPgpMime(part)
+    if (found) return found
+  }
+
+  return null
+}
+
+export function looksLikeMime(text) {
+  return /^(content-type|mime-version):/i.test(String(text || "").trimStart())
+}
+
+function base64Bytes(text) {
+  const binary = atob(text.replace(/[^A-Za-z0-9+/=]/g, ""))
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0))
+}
+
+function quotedPrintableBytes(text) {
+  const bytes = []
+  const source = text.replace(/=\r\n/g, "")
+
+  for (let index = 0; index < source.length; index++) {
+    const hex = source.slice(index + 1, index + 3)
+    if (source[index] === "=" && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16))
+      index += 2
+    } else {
+      bytes.push(...new TextEncoder().encode(source[index]))
+    }
+  }
+
+  return new Uint8Array(bytes)
+}
+
+/** Undo a Content-Transfer-Encoding, or null for 7bit/8bit/binary bodies. */
+export function transferDecodedBytes(encoding, body) {
+  const name = String(encoding || "").trim().toLowerCase()
+  if (name === "base64") return base64Bytes(body)
+  if (name === "quoted-printable") return quotedPrintableBytes(body)
+  return null
+}
+
+function decodeLeaf(headers, body) {
+  const charset = headerParam(headers["content-type"], "charset") || "utf-8"
+  const bytes = transferDecodedBytes(headers["content-transfer-encoding"], body)
+
+  if (!bytes) return body
+
+  try {
+    return new TextDecoder(charset).decode(bytes)
+  } catch (_error) {
+    return decoder.decode(bytes)
+  }
+}
+
+/** Decode an entity to `{ text, html }`, taking the first of each from any multipart. */
+export function readableContent(entity) {
+  const { headers, body } = splitEntity(toCrlf(entity))
+  const type = mediaType(headers)
+  const disposition = (headers["content-disposition"] || "").toLowerCase()
+
+  if (type.startsWith("multipart/")) {
+    const boundary = headerParam(headers["content-type"], "boundary")
+    const result = { text: null, html: null }
+    for (const part of boundary ? multipartParts(body, boundary) : []) {
+      const content = readableContent(part)
+      result.text ??= content.text
+      result.html ??= content.html
+    }
+    return result
+  }
+
+  if (disposition.startsWith("attachment")) return { text: null, html: null }
+  if (type === "text/html") return { text: null, html: decodeLeaf(headers, body) }
+  if (type === "text/plain") return { text: decodeLeaf(headers, body), html: null }
+  return { text: null, html: null }
+}
@@ -0,0 +1,231 @@
+// Decrypts and verifies OpenPGP mail in the browser: PGP/MIME (RFC 3156) from
+// the stored raw source, and inline armor. Decrypted content is shown in place
+// of the server-rendered body, which only ever saw ciphertext.
+
+import * as openpgp from "openpgp"
+import * as vaultSession from "./vault_session"
+import { readPublicKeys, unwrapPrivateKey } from "./email_pgp_keys"
+import { findPgpMime, looksLikeMime, readableContent, toCrlf } from "./email_pgp_mime"
+
+const ARMORED_MESSAGE = /-----BEGIN PGP MESSAGE-----[\s\S]*?-----END PGP MESSAGE-----/
+const CLEARSIGNED_MESSAGE =
+  /-----BEGIN PGP SIGNED MESSAGE-----[\s\S]*?-----END PGP SIGNATURE-----/
+
+// Decrypted HTML is shown without scripts or remote loads.
+const FRAME_CSP =
+  "default-src 'none'; img-src data:; style-src 'unsafe-inline'; font-src data:"
+
+const SIGNATURE_LABELS = {
+  verified: ["Signature verified", "text-success", "hero-check-badge"],
+  bad: ["Bad signature", "text-error", "hero-exclamation-triangle"],
+  unknown: ["Unknown key", "text-warning", "hero-question-mark-circle"]
+}
+
+function senderAddress(from) {
+  const match = /<([^>]+)>/.exec(from || "")
+  return (match ? match[1] : from || "").trim().toLowerCase()
+}
+
+async function signatureStatus(signatures, verificationKeys) {
+  if (!signatures?.length) return null
+  if (!verificationKeys.length) return "unknown"
+
+  try {
+    await signatures[0].verified
+    return "verified"
+  } catch (error) {
+    return /could not find signing key/i.test(error?.message || "") ? "unknown" : "bad"
+  }
+}
+
+export const EmailPgpMessage = {
+  mounted() {
+    this.badge = this.el.querySelector("[data-pgp-badge]")
+    this.content = this.el.querySelector("[data-pgp-content]")
+    this.done = false
+    this.running = false
+
+    this.unsubscribeVault = vaultSession.subscribe((unlocked) => {
+      if (unlocked && !this.done) this.process()
+    })
+
+    this.process()
+  },
+
+  destroyed() {
+    this.unsubscribeVault?.()
+  },
+
+  async process() {
+    if (this.running) return
+    this.running = true
+
+    try {
+      const source = await this.source()
+      const pgpMime = findPgpMime(source)
+
+      if (pgpMime?.type === "encrypted") await this.decrypt(pgpMime.armor)
+      else if (pgpMime?.type === "signed") await this.verifyDetached(pgpMime)
+      else await this.processInline(source)
+    } catch (error) {
+      if (error?.message === "vault-locked") this.renderLocked()
+      else this.renderBadge("Could not read this OpenPGP message.", "text-error")
+    } finally {
+      this.running = false
+    }
+  },
+
+  async source() {
+    if (this.raw == null) {
+      const response = await fetch(this.el.dataset.pgpSourceUrl, { credentials: "same-origin" })
+      if (!response.ok) throw new Error("pgp-source-unavailable")
+      this.raw = await response.text()
+    }
+    return this.raw
+  },
+
+  async processInline(source) {
+    const text = /^[\w-]+:/.test(source) ? readableContent(source).text || source : source
+    const armored = ARMORED_MESSAGE.exec(text)
+    const clearsigned = CLEARSIGNED_MESSAGE.exec(text)
+
+    if (armored) {
+      await this.decrypt(armored[0])
+    } else if (clearsigned) {
+      const message = await openpgp.readCleartextMessage({ cleartextMessage: clearsigned[0] })
+      const keys = await this.senderKeys()
+      if (!keys.length) return this.renderSignature("unknown")
+
+      const { signatures } = await openpgp.verify({ message, verificationKeys: keys })
+      this.renderSignature(await signatureStatus(signatures, keys))
+    } else {
+      this.renderBadge("No OpenPGP content found in this message.", "text-base-content/60")
+      this.done = true
+    }
+  },
+
+  async decrypt(armoredMessage) {
+    const wrappedKey = this.el.dataset.pgpPrivateKey
+
+    if (!wrappedKey) {
+      this.renderBadge(
+        "Encrypted with OpenPGP. Set up a browser key pair in email settings to read it here.",
+        "text-warning"
+      )
+      this.done = true
+      return
+    }
+
+    const decryptionKeys = await unwrapPrivateKey(JSON.parse(wrappedKey), this.el.dataset.pgpUserId)
+    const verificationKeys = await this.senderKeys()
+    const { data, signatures } = await openpgp.decrypt({
+      message: await openpgp.readMessage({ armoredMessage }),
+      decryptionKeys,
+      ...(verificationKeys.length ? { verificationKeys } : {})
+    })
+
+    let status = await signatureStatus(signatures, verificationKeys)
+    let content = { text: data, html: null }
+
+    if (looksLikeMime(data)) {
+      const inner = findPgpMime(data)
+      if (inner?.type === "signed") {
+        status = await this.detachedStatus(inner)
+        content = readableContent(inner.entity)
+      } else {
+        content = readableContent(data)
+      }
+    }
+
+    this.renderBadge("Decrypted", "text-success", "hero-lock-open")
+    if (status) this.appendSignature(status)
+    this.renderContent(content)
+    this.done = true
+  },
+
+  async verifyDetached(pgpMime) {
+    this.renderSignature(await this.detachedStatus(pgpMime))
+  },
+
+  async detachedStatus({ entity, signature }) {
+    const keys = await this.senderKeys()
+    if (!keys.length) return "unknown"
+
+    const { signatures } = await openpgp.verify({
+      message: await openpgp.createMessage({ text: toCrlf(entity) }),
+      signature: await openpgp.readSignature({ armoredSignature: signature }),
+      verificationKeys: keys
+    })
+    return signatureStatus(signatures, keys)
+  },
+
+  async senderKeys() {
+    if (this.keys) return this.keys
+
+    const email = senderAddress(this.el.dataset.pgpFrom)
+    try {
+      const url = `${this.el.dataset.pgpKeysUrl}?emails=${encodeURIComponent(email)}`
+      const response = await fetch(url, { credentials: "same-origin" })
+      const { keys } = response.ok ? await response.json() : { keys: {} }
+      this.keys = await readPublicKeys(Object.values(keys || {}))
+    } catch (_error) {
+      this.keys = []
+    }
+    return this.keys
+  },
+
+  renderSignature(status) {
+    const [label, tone, icon] = SIGNATURE_LABELS[status] || SIGNATURE_LABELS.unknown
+    this.renderBadge(label, tone, icon)
+    this.done = true
+  },
+
+  appendSignature(status) {
+    const [label, tone, icon] = SIGNATURE_LABELS[status] || SIGNATURE_LABELS.unknown
+    this.badge.append(this.badgeItem(label, tone, icon))
+  },
+
+  renderBadge(label, tone, icon = "hero-lock-closed") {
+    this.badge.replaceChildren(this.badgeItem(label, tone, icon))
+  },
+
+  badgeItem(label, tone, icon) {
+    const item = document.createElement("span")
+    const iconEl = document.createElement("span")
+    const text = document.createElement("span")
+
+    item.className = `inline-flex items-center gap-1 mr-3 ${tone}`
+    iconEl.className = `${icon} h-4 w-4 shrink-0`
+    text.textContent = label
+    item.append(iconEl, text)
+    return item
+  },
+
+  renderLocked() {
+    const link = document.createElement("a")
+    link.href = "/account/encrypted-data"
+    link.className = "link link-primary ml-1"
+    link.textContent = "Unlock encrypted data to decrypt"
+    this.renderBadge("Encrypted with OpenPGP.", "text-warning")
+    this.badge.append(link)
+  },
+
+  renderContent({ text, html }) {
+    if (html) {
+      const frame = document.createElement("iframe")
+      frame.setAttribute("sandbox", "allow-popups")
+      frame.className = "w-full min-h-[24rem] rounded bg-white"
+      frame.srcdoc = `<meta http-equiv="Content-Security-Policy" content="${FRAME_CSP}">${html}`
+      this.content.replaceChildren(frame)
+    } else {
+      const pre = document.createElement("pre")
+      pre.className = "whitespace-pre-wrap break-words text-sm font-sans"
+      pre.textContent = text || ""
+      this.content.replaceChildren(pre)
+    }
+
+    this.content.classList.remove("hidden")
+    const original = document.querySelector(`[data-pgp-original="${this.el.dataset.pgpMessageId}"]`)
+    if (original) this.js().hide(original)
+  }
+}
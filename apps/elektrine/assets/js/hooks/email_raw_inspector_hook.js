@@ -0,0 +1,257 @@
+// Raw message inspector: fetches the original source once and lays out the
+// MIME part tree, the Received: hop timeline and the authentication verdicts
+// so delivery problems can be diagnosed from the raw view.
+
+import {
+  parseAuthentication,
+  parseMimeTree,
+  parseReceivedHops,
+  partBytes,
+  verdictTone
+} from "./email_raw_mime"
+
+const TONE_CLASSES = {
+  pass: "badge-success",
+  fail: "badge-error",
+  warn: "badge-warning",
+  neutral: "badge-ghost"
+}
+
+// Hops slower than this are highlighted in the timeline.
+const SLOW_HOP_SECONDS = 300
+
+const RECONSTRUCTED_NOTICE =
+  "The original source was not kept for this message. This copy is rebuilt from the stored " +
+  "fields, so it has no delivery or authentication headers."
+
+function element(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text != null) node.textContent = text
+  return node
+}
+
+function formatBytes(size) {
+  if (size < 1024) return `${size} B`
+  if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`
+  return `${(size / (1024 * 1024)).toFixed(1)} MB`
+}
+
+function formatDelay(seconds) {
+  if (seconds == null) return ""
+  const sign = seconds < 0 ? "-" : "+"
+  const value = Math.abs(seconds)
+  if (value < 60) return `${sign}${value}s`
+  if (value < 3600) return `${sign}${Math.floor(value / 60)}m ${value % 60}s`
+  return `${sign}${Math.floor(value / 3600)}h ${Math.floor((value % 3600) / 60)}m`
+}
+
+function partFilename(part) {
+  if (part.filename) return part.filename
+  const extension = part.type.split("/")[1]?.replace(/[^a-z0-9]+/g, "") || "bin"
+  return `part-${part.path}.${extension}`
+}
+
+export const EmailRawInspector = {
+  mounted() {
+    this.parts = new Map()
+    this.onClick = (event) => this.handleClick(event)
+    this.el.addEventListener("click", this.onClick)
+    this.load()
+  },
+
+  destroyed() {
+    this.el.removeEventListener("click", this.onClick)
+  },
+
+  async load() {
+    const status = this.el.querySelector("[data-raw-status]")
+
+    try {
+      const response = await fetch(this.el.dataset.sourceUrl, { credentials: "same-origin" })
+      if (!response.ok) throw new Error("raw-source-unavailable")
+
+      const raw = await response.text()
+      const tree = parseMimeTree(raw)
+
+      this.renderAuthentication(parseAuthentication(tree.headers))
+      this.renderHops(parseReceivedHops(tree.headers))
+      this.renderTree(tree)
+
+      const source = this.el.querySelector("[data-raw-source]")
+      if (source) source.textContent = raw
+
+      if (!status) return
+      if (response.headers.get("x-elektrine-source") === "reconstructed") {
+        status.textContent = RECONSTRUCTED_NOTICE
+      } else {
+        status.classList.add("hidden")
+      }
+    } catch (_error) {
+      if (status) status.textContent = "Could not load the original message source."
+    }
+  },
+
+  handleClick(event) {
+    const button = event.target.closest("[data-raw-part-download]")
+    if (!button) return
+
+    // The button sits in a <summary>; don't toggle the part open or closed.
+    event.preventDefault()
+
+    const part = this.parts.get(button.dataset.rawPartDownload)
+    if (!part) return
+
+    const url = URL.createObjectURL(new Blob([partBytes(part)], { type: part.type }))
+    const link = element("a")
+    link.href = url
+    link.download = partFilename(part)
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
+  },
+
+  renderAuthentication({ results, signatures }) {
+    const container = this.el.querySelector("[data-raw-auth]")
+    if (!container) return
+
+    if (!results.length && !signatures.length) {
+      container.replaceChildren(
+        element("p", "text-sm text-base-content/60", "No authentication results were recorded.")
+      )
+      return
+    }
+
+    const rows = results.map((result) => {
+      const row = element("li", "flex flex-wrap items-baseline gap-2 text-sm")
+      const badge = element(
+        "span",
+        `badge badge-sm font-mono ${TONE_CLASSES[verdictTone(result.result)]}`,
+        `${result.method.toUpperCase()} ${result.result}`
+      )
+      const details = result.properties.map(({ name, value }) => `${name}=${value}`)
+      if (result.comment) details.push(`(${result.comment})`)
+
+      row.append(badge, element("span", "break-all text-base-content/80", details.join(" ")))
+      row.append(
+        element(
+          "span",
+          "text-xs text-base-content/50",
+          [result.source, result.authservId].filter(Boolean).join(" · ")
+        )
+      )
+      return row
+    })
+
+    const signatureRows = signatures.map((signature) => {
+      const parts = [
+        signature.domain && `d=${signature.domain}`,
+        signature.selector && `s=${signature.selector}`,
+        signature.algorithm && `a=${signature.algorithm}`,
+        signature.instance && `i=${signature.instance}`,
+        signature.chain && `cv=${signature.chain}`
+      ].filter(Boolean)
+
+      const row = element("li", "flex flex-wrap items-baseline gap-2 text-sm")
+      row.append(
+        element("span", "badge badge-sm badge-outline font-mono", `${signature.kind} signature`),
+        element("span", "break-all font-mono text-xs text-base-content/70", parts.join(" "))
+      )
+      return row
+    })
+
+    const list = element("ul", "space-y-2")
+    list.append(...rows, ...signatureRows)
+    container.replaceChildren(list)
+  },
+
+  renderHops(hops) {
+    const container = this.el.querySelector("[data-raw-hops]")
+    if (!container) return
+
+    if (!hops.length) {
+      container.replaceChildren(
+        element("p", "text-sm text-base-content/60", "No Received headers found.")
+      )
+      return
+    }
+
+    const list = element("ol", "space-y-2")
+
+    hops.forEach((hop, index) => {
+      const item = element("li", "rounded-lg bg-base-100 p-3 text-sm")
+      const heading = element("div", "flex flex-wrap items-center justify-between gap-2")
+      const tone = hop.delay > SLOW_HOP_SECONDS ? "text-warning" : "text-base-content/60"
+      const delay = element("span", `font-mono text-xs ${tone}`, formatDelay(hop.delay))
+
+      heading.append(
+        element("span", "font-semibold", `${index + 1}. ${hop.by || "unknown"}`),
+        delay
+      )
+      item.append(heading)
+
+      const details = [
+        hop.from && `from ${hop.from}`,
+        hop.with && `with ${hop.with}`,
+        hop.date && hop.date.toLocaleString()
+      ].filter(Boolean)
+      item.append(
+        element("div", "mt-1 break-all text-xs text-base-content/70", details.join(" · "))
+      )
+
+      const raw = element("details", "mt-1")
+      raw.append(
+        element("summary", "cursor-pointer text-xs text-base-content/50", "Header"),
+        element("pre", "mt-1 whitespace-pre-wrap break-all text-xs", hop.raw)
+      )
+      item.append(raw)
+      list.append(item)
+    })
+
+    container.replaceChildren(list)
+  },
+
+  renderTree(tree) {
+    const container = this.el.querySelector("[data-raw-tree]")
+    if (!container) return
+
+    this.parts.clear()
+    container.replaceChildren(this.partNode(tree))
+  },
+
+  partNode(part) {
+    this.parts.set(part.path, part)
+
+    const node = element("details", "ml-2 border-l border-base-300 pl-3")
+    node.open = part.children.length > 0 || part.path === "1"
+
+    const summary = element(
+      "summary",
+      "flex cursor-pointer flex-wrap items-center gap-2 py-1 text-sm"
+    )
+    summary.append(
+      element("span", "font-mono text-xs text-base-content/50", part.path),
+      element("span", "font-medium", part.type),
+      element("span", "badge badge-ghost badge-sm", part.encoding),
+      element("span", "text-xs text-base-content/60", formatBytes(part.size))
+    )
+    if (part.filename) summary.append(element("span", "text-xs break-all", part.filename))
+
+    if (!part.children.length) {
+      const download = element("button", "btn btn-ghost btn-xs", "Download")
+      download.type = "button"
+      download.dataset.rawPartDownload = part.path
+      summary.append(download)
+    }
+
+    const headers = element(
+      "pre",
+      "my-1 whitespace-pre-wrap break-all text-xs text-base-content/70",
+      part.headers.map(({ name, value }) => `${name}: ${value}`).join("\n")
+    )
+
+    node.append(summary, headers, ...part.children.map((child) => this.partNode(child)))
+    return node
+  }
+}
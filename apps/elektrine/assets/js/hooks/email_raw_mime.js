@@ -0,0 +1,239 @@
+// Reads a raw RFC 5322 message for the raw view: the MIME part tree, the
+// Received: hop timeline and the authentication verdicts recorded by the
+// receiving servers. Everything here is parsing only; nothing is verified.
+
+import { headerParam, multipartParts, toCrlf, transferDecodedBytes } from "./email_pgp_mime"
+
+const encoder = new TextEncoder()
+const MAX_DEPTH = 12
+const PROPERTY = /([a-z]+\.[a-z0-9_-]+)\s*=\s*("[^"]*"|\S+)/gi
+
+/** Split an entity into its headers, in order and unfolded, and its body. */
+export function headerList(entity) {
+  const separator = entity.indexOf("\r\n\r\n")
+  const head = separator === -1 ? entity : entity.slice(0, separator)
+  const body = separator === -1 ? "" : entity.slice(separator + 4)
+  const headers = []
+
+  head.replace(/\r\n[ \t]+/g, " ").split("\r\n").forEach((line) => {
+    const colon = line.indexOf(":")
+    if (colon <= 0) return
+    headers.push({ name: line.slice(0, colon).trim(), value: line.slice(colon + 1).trim() })
+  })
+
+  return { headers, body }
+}
+
+function headerValues(headers, name) {
+  return headers
+    .filter((header) => header.name.toLowerCase() === name)
+    .map((header) => header.value)
+}
+
+function firstHeader(headers, name) {
+  return headerValues(headers, name)[0] || ""
+}
+
+function buildPart(entity, path, depth) {
+  const { headers, body } = headerList(entity)
+  const contentType = firstHeader(headers, "content-type")
+  const type = (contentType || "text/plain").split(";")[0].trim().toLowerCase()
+  const disposition = firstHeader(headers, "content-disposition")
+  const boundary = headerParam(contentType, "boundary")
+
+  const part = {
+    path,
+    type,
+    headers,
+    body,
+    charset: headerParam(contentType, "charset"),
+    encoding: firstHeader(headers, "content-transfer-encoding").toLowerCase() || "7bit",
+    disposition: disposition.split(";")[0].trim().toLowerCase() || null,
+    filename: headerParam(disposition, "filename") || headerParam(contentType, "name"),
+    contentId: firstHeader(headers, "content-id") || null,
+    size: encoder.encode(body).length,
+    children: []
+  }
+
+  if (depth >= MAX_DEPTH) return part
+
+  if (type.startsWith("multipart/") && boundary) {
+    part.children = multipartParts(body, boundary).map((child, index) =>
+      buildPart(child, `${path}.${index + 1}`, depth + 1)
+    )
+  } else if (type === "message/rfc822" || type === "message/global") {
+    part.children = [buildPart(body, `${path}.1`, depth + 1)]
+  }
+
+  return part
+}
+
+/** Parse a raw message into a tree of `{ path, type, encoding, size, children, ... }`. */
+export function parseMimeTree(raw) {
+  return buildPart(toCrlf(raw), "1", 0)
+}
+
+/** The bytes a part stands for once its transfer encoding is undone. */
+export function partBytes(part) {
+  try {
+    return transferDecodedBytes(part.encoding, part.body) || encoder.encode(part.body)
+  } catch (_error) {
+    return encoder.encode(part.body)
+  }
+}
+
+function receivedField(value, keyword) {
+  const match = new RegExp(`(?:^|\\s)${keyword}\\s+([^\\s;]+)(?:\\s+\\(([^)]*)\\))?`, "i").exec(value)
+  if (!match) return null
+  return match[2] ? `${match[1]} (${match[2]})` : match[1]
+}
+
+function receivedDate(value) {
+  const semicolon = value.lastIndexOf(";")
+  if (semicolon === -1) return null
+
+  const text = value.slice(semicolon + 1).replace(/\([^)]*\)/g, "").trim()
+  const time = Date.parse(text)
+  return Number.isNaN(time) ? null : new Date(time)
+}
+
+/**
+ * Lay out the Received: headers oldest first. Each hop carries the delay
+ * since the previous one in seconds, or null when either date is missing.
+ */
+export function parseReceivedHops(headers) {
+  const hops = headerValues(headers, "received")
+    .reverse()
+    .map((value) => ({
+      from: receivedField(value, "from"),
+      by: receivedField(value, "by"),
+      with: receivedField(value, "with"),
+      date: receivedDate(value),
+      raw: value,
+      delay: null
+    }))
+
+  hops.forEach((hop, index) => {
+    const previous = hops[index - 1]
+    if (previous?.date && hop.date) hop.delay = Math.round((hop.date - previous.date) / 1000)
+  })
+
+  return hops
+}
+
+function splitOutsideComments(value, separator) {
+  const items = []
+  let depth = 0
+  let quoted = false
+  let current = ""
+
+  for (const char of value) {
+    if (char === '"' && depth === 0) quoted = !quoted
+    else if (char === "(" && !quoted) depth += 1
+    else if (char === ")" && !quoted && depth > 0) depth -= 1
+
+    if (char === separator && depth === 0 && !quoted) {
+      items.push(current.trim())
+      current = ""
+    } else {
+      current += char
+    }
+  }
+
+  items.push(current.trim())
+  return items.filter(Boolean)
+}
+
+// RFC 8601: "authserv-id; method=result (comment) ptype.prop=value; ..."
+function parseResultsHeader(value, source) {
+  const [authservId, ...statements] = splitOutsideComments(value, ";")
+
+  return statements
+    .map((statement) => {
+      const match = /^([a-z0-9_.-]+)\s*=\s*([a-z]+)/i.exec(statement)
+      if (!match) return null
+
+      const comment = /\(([^)]*)\)/.exec(statement)
+      const properties = Array.from(
+        statement.replace(/\([^)]*\)/g, " ").matchAll(PROPERTY),
+        ([, name, propertyValue]) => ({ name, value: propertyValue.replace(/^"|"$/g, "") })
+      )
+
+      return {
+        method: match[1].toLowerCase(),
+        result: match[2].toLowerCase(),
+        comment: comment ? comment[1] : null,
+        properties,
+        authservId,
+        source
+      }
+    })
+    .filter(Boolean)
+}
+
+function tagList(value) {
+  const tags = {}
+  value.split(";").forEach((item) => {
+    const equals = item.indexOf("=")
+    if (equals > 0) {
+      tags[item.slice(0, equals).trim().toLowerCase()] = item.slice(equals + 1).trim()
+    }
+  })
+  return tags
+}
+
+/**
+ * Collect what the receiving servers recorded about authentication:
+ * Authentication-Results, ARC-Authentication-Results and Received-SPF
+ * verdicts, plus the DKIM and ARC signatures present on the message.
+ */
+export function parseAuthentication(headers) {
+  const results = [
+    ...headerValues(headers, "authentication-results").flatMap((value) =>
+      parseResultsHeader(value, "Authentication-Results")
+    ),
+    ...headerValues(headers, "arc-authentication-results").flatMap((value) => {
+      const instance = /^\s*i\s*=\s*(\d+)/i.exec(value)
+      const header = instance ? value.slice(value.indexOf(";") + 1) : value
+      const source = "ARC-Authentication-Results"
+      return parseResultsHeader(header, instance ? `${source} i=${instance[1]}` : source)
+    }),
+    ...headerValues(headers, "received-spf").map((value) => ({
+      method: "spf",
+      result: (/^\s*([a-z]+)/i.exec(value)?.[1] || "none").toLowerCase(),
+      comment: /\(([^)]*)\)/.exec(value)?.[1] || null,
+      properties: [],
+      authservId: null,
+      source: "Received-SPF"
+    }))
+  ]
+
+  const signatures = [
+    ["DKIM", "dkim-signature"],
+    ["ARC", "arc-message-signature"],
+    ["ARC seal", "arc-seal"]
+  ].flatMap(([kind, name]) =>
+    headerValues(headers, name).map((value) => {
+      const tags = tagList(value)
+
+      return {
+        kind,
+        domain: tags.d || null,
+        selector: tags.s || null,
+        algorithm: tags.a || null,
+        instance: tags.i || null,
+        chain: tags.cv || null
+      }
+    })
+  )
+
+  return { results, signatures }
+}
+
+/** Map a verdict to a tone: "pass", "fail", "warn" or "neutral". */
+export function verdictTone(result) {
+  if (result === "pass") return "pass"
+  if (["fail", "permerror", "hardfail"].includes(result)) return "fail"
+  if (["softfail", "temperror", "policy"].includes(result)) return "warn"
+  return "neutral"
+}
@@ -26,6 +26,10 @@ import {
 } from "./email_hooks";
 import { EmailComposeKeyboardShortcuts } from "./email_compose_shortcuts_hook";
 import { EmailIframeResize } from "./email_iframe_resize_hook";
+import { EmailPgpCompose } from "./email_pgp_compose_hook";
+import { EmailPgpMessage } from "./email_pgp_read_hook";
+import { EmailPgpKeySetup } from "./email_pgp_setup_hook";
+import { EmailRawInspector } from "./email_raw_inspector_hook";
 
 // Markdown hooks
 import { ReplyMarkdownEditor } from "./markdown_hooks";
@@ -61,6 +65,7 @@ import {
   VideoDisplay,
   CallTimer,
 } from "./call_hooks";
+import { SealedCallRecording } from "./call_recording_hooks";
 import { VoiceChannel } from "./voice_channel_hook";
 
 // Profile hooks
@@ -95,12 +100,15 @@ import {
   VPNDownload,
   AtominePow,
 } from "./form_hooks";
+import { KeymapSettings } from "./keymap_settings_hook";
 
 // Password manager hooks
 import { Nerve } from "./nerve_hooks";
+import { NerveTransfer } from "./nerve_transfer_hook";
 
 // Account-password encrypted data vault
 import { VaultManager } from "./vault_hooks";
+import { VaultPasskeyUnlock } from "./vault_passkey_hook";
 import { KairoVault } from "./kairo_hooks";
 import { KairoGraph } from "./kairo_graph_hook";
 
@@ -110,6 +118,7 @@ import {
 } from "./mailbox_private_storage_hooks";
 import { PrivateMailboxCompose } from "./mailbox_private_compose_hook";
 import { PrivateMailboxMessages } from "./mailbox_private_messages_hook";
+import { PrivateMailboxSearch } from "./mailbox_private_search_hook";
 
 // Passkey hooks
 import { PasskeyRegister, PasskeyAuth } from "./passkey_hooks";
@@ -140,6 +149,10 @@ export const Hooks = {
   EmailIframeResize,
   EmailShowKeyboardShortcuts,
   EmailComposeKeyboardShortcuts,
+  EmailPgpCompose,
+  EmailPgpMessage,
+  EmailPgpKeySetup,
+  EmailRawInspector,
 
   // Markdown
   ReplyMarkdownEditor,
@@ -169,6 +182,7 @@ export const Hooks = {
   CallControls,
   VideoDisplay,
   CallTimer,
+  SealedCallRecording,
   VoiceChannel,
 
   // Profile
@@ -197,13 +211,17 @@ export const Hooks = {
   SuggestionDropdown,
   VPNDownload,
   AtominePow,
+  KeymapSettings,
   Nerve,
+  NerveTransfer,
   VaultManager,
+  VaultPasskeyUnlock,
   KairoVault,
   KairoGraph,
   MailboxPrivateStorage,
   PrivateMailboxCompose,
   PrivateMailboxMessages,
+  PrivateMailboxSearch,
 
   // Static Site
   DragDrop,
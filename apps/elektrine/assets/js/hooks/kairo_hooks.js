@@ -3,11 +3,13 @@
  * Encrypted rows decrypt on demand under the Kairo subkey of the unlocked
  * encrypted data key, which can be unlocked inline for the tab. The composer can also
  * encrypt new notes client-side before they are pushed to the server, so the
- * plaintext body is never persisted.
+ * plaintext body is never persisted. Call recordings saved to Kairo are sealed
+ * files; their row payload is the recording manifest (see call_recorder.js).
  */
 
 import { decryptValue, encryptValue, unwrapWithSecret } from "./vault_crypto"
 import * as vaultSession from "./vault_session"
+import { openSealedRecording } from "../call_recorder"
 
 const FEATURE = "kairo"
 const AAD = { purpose: "elektrine-kairo-source" }
@@ -34,6 +36,7 @@ export const KairoVault = {
     this.unsubscribe && this.unsubscribe()
     this.el.removeEventListener("click", this.onRootClick)
     this.el.removeEventListener("keydown", this.onRootKeydown)
+    if (this.recordingUrl) URL.revokeObjectURL(this.recordingUrl)
   },
 
   renderLockState() {
@@ -200,6 +203,11 @@ export const KairoVault = {
       return
     }
 
+    if (button.dataset.kairoRecordingUrl) {
+      await this.decryptRecording(button, output)
+      return
+    }
+
     try {
       const payload = JSON.parse(button.dataset.kairoPayload)
       const key = await vaultSession.featureKey(FEATURE)
@@ -209,5 +217,33 @@ export const KairoVault = {
       output.textContent = "Could not decrypt this source."
       output.classList.remove("hidden")
     }
+  },
+
+  async decryptRecording(button, output) {
+    output.textContent = "Decrypting recording..."
+    output.classList.remove("hidden")
+
+    try {
+      const payload = JSON.parse(button.dataset.kairoPayload)
+      const recording = await openSealedRecording(button.dataset.kairoRecordingUrl, payload, FEATURE)
+
+      if (this.recordingUrl) URL.revokeObjectURL(this.recordingUrl)
+      this.recordingUrl = URL.createObjectURL(recording.blob)
+
+      const media = document.createElement(recording.type.startsWith("audio/") ? "audio" : "video")
+      media.controls = true
+      media.className = "w-full rounded-lg"
+      media.src = this.recordingUrl
+
+      const link = document.createElement("a")
+      link.className = "link text-xs"
+      link.href = this.recordingUrl
+      link.download = recording.name
+      link.textContent = "Download"
+
+      output.replaceChildren(media, link)
+    } catch (_error) {
+      output.textContent = "Could not decrypt this recording."
+    }
   }
 }
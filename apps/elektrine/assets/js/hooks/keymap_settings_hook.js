@@ -0,0 +1,222 @@
+// Keyboard shortcut editor in Settings → Preferences. Shows the bindings the
+// chosen preset gives every action, records replacements, flags conflicts and
+// saves the preset plus per-action overrides.
+
+import { eventChord, findKeymapConflicts, resolveBindings } from "../keymap"
+import { bindingElement } from "../keymap_help"
+import { KEYMAP_ACTIONS, KEYMAP_CONTEXTS } from "../keymap_presets"
+
+// How long to wait for the next key of a sequence while recording.
+const RECORD_GAP_MS = 1000
+const MAX_RECORDED_CHORDS = 3
+
+function element(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text != null) node.textContent = text
+  return node
+}
+
+function actionButton(label, action, id) {
+  const button = element("button", "btn btn-ghost btn-xs", label)
+  button.type = "button"
+  button.dataset.keymapAction = action
+  button.dataset.keymapId = id
+  return button
+}
+
+export const KeymapSettings = {
+  mounted() {
+    this.preset = this.el.dataset.preset || "gmail"
+    this.overrides = this.parseOverrides(this.el.dataset.overrides)
+    this.recording = null
+
+    this.select = this.el.querySelector("[data-keymap-preset]")
+    if (this.select) this.select.value = this.preset
+
+    this.onChange = (event) => {
+      if (event.target !== this.select) return
+      this.preset = this.select.value
+      this.render()
+    }
+
+    this.onClick = (event) => this.handleClick(event)
+    this.onKeydown = (event) => this.record(event)
+
+    this.el.addEventListener("change", this.onChange)
+    this.el.addEventListener("click", this.onClick)
+    document.addEventListener("keydown", this.onKeydown, true)
+
+    this.render()
+  },
+
+  destroyed() {
+    clearTimeout(this.recordTimer)
+    this.el.removeEventListener("change", this.onChange)
+    this.el.removeEventListener("click", this.onClick)
+    document.removeEventListener("keydown", this.onKeydown, true)
+  },
+
+  parseOverrides(json) {
+    try {
+      const parsed = JSON.parse(json || "{}")
+      return parsed && typeof parsed === "object" ? parsed : {}
+    } catch (_error) {
+      return {}
+    }
+  },
+
+  handleClick(event) {
+    if (event.target.closest("[data-keymap-reset]")) {
+      this.overrides = {}
+      this.stopRecording()
+      return
+    }
+
+    if (event.target.closest("[data-keymap-save]")) {
+      this.stopRecording()
+      this.pushEvent("save_keymap", { preset: this.preset, overrides: this.overrides })
+      return
+    }
+
+    const button = event.target.closest("[data-keymap-action]")
+    if (!button) return
+
+    const id = button.dataset.keymapId
+    switch (button.dataset.keymapAction) {
+      case "record":
+        this.recording = { id, chords: [] }
+        this.render()
+        break
+      case "clear":
+        this.overrides = { ...this.overrides, [id]: [] }
+        this.stopRecording()
+        break
+      case "restore": {
+        const { [id]: _removed, ...rest } = this.overrides
+        this.overrides = rest
+        this.stopRecording()
+        break
+      }
+    }
+  },
+
+  record(event) {
+    if (!this.recording) return
+
+    const chord = eventChord(event)
+    if (!chord) return
+
+    event.preventDefault()
+    event.stopImmediatePropagation()
+
+    if (chord === "escape" && !this.recording.chords.length) {
+      this.stopRecording()
+      return
+    }
+
+    this.recording.chords.push(chord)
+    clearTimeout(this.recordTimer)
+
+    if (this.recording.chords.length >= MAX_RECORDED_CHORDS) {
+      this.finishRecording()
+    } else {
+      this.recordTimer = setTimeout(() => this.finishRecording(), RECORD_GAP_MS)
+      this.render()
+    }
+  },
+
+  finishRecording() {
+    const { id, chords } = this.recording || {}
+    if (id && chords.length) {
+      this.overrides = { ...this.overrides, [id]: [chords.join(" ")] }
+    }
+    this.stopRecording()
+  },
+
+  stopRecording() {
+    clearTimeout(this.recordTimer)
+    this.recording = null
+    this.render()
+  },
+
+  render() {
+    const bindings = resolveBindings({ preset: this.preset, overrides: this.overrides })
+    const conflicts = findKeymapConflicts(bindings)
+    const conflicted = new Set(conflicts.flatMap(({ actions }) => actions.map(({ id }) => id)))
+
+    this.renderConflicts(conflicts)
+
+    const container = this.el.querySelector("[data-keymap-actions]")
+    if (!container) return
+
+    const sections = KEYMAP_CONTEXTS.map((context) => {
+      const section = element("section")
+      const list = element("div", "divide-y divide-base-300/60 rounded-lg bg-base-200/40")
+
+      KEYMAP_ACTIONS.filter((action) => action.context === context.id).forEach((action) => {
+        list.append(this.actionRow(action, bindings[action.id], conflicted.has(action.id)))
+      })
+
+      section.append(element("h3", "text-sm font-semibold mb-2", context.label), list)
+      return section
+    })
+
+    container.replaceChildren(...sections)
+
+    const save = this.el.querySelector("[data-keymap-save]")
+    if (save) save.disabled = conflicts.length > 0
+  },
+
+  actionRow(action, bindings, conflicted) {
+    const row = element("div", "flex flex-wrap items-center justify-between gap-2 px-3 py-2")
+    const label = element("div", "flex items-center gap-2 text-sm", action.label)
+    if (Object.hasOwn(this.overrides, action.id)) {
+      label.append(element("span", "badge badge-ghost badge-xs", "custom"))
+    }
+    if (conflicted) label.append(element("span", "badge badge-warning badge-xs", "conflict"))
+
+    const keys = element("div", "flex flex-wrap items-center gap-2")
+
+    if (this.recording?.id === action.id) {
+      const chords = this.recording.chords
+      keys.append(
+        chords.length
+          ? bindingElement(chords.join(" "))
+          : element("span", "text-xs text-base-content/60", "Press keys… (Esc to cancel)")
+      )
+    } else if (bindings.length) {
+      bindings.forEach((binding) => keys.append(bindingElement(binding)))
+    } else {
+      keys.append(element("span", "text-xs text-base-content/50", "Not set"))
+    }
+
+    keys.append(actionButton("Change", "record", action.id))
+    if (bindings.length) keys.append(actionButton("Clear", "clear", action.id))
+    if (Object.hasOwn(this.overrides, action.id)) {
+      keys.append(actionButton("Restore", "restore", action.id))
+    }
+
+    row.append(label, keys)
+    return row
+  },
+
+  renderConflicts(conflicts) {
+    const alert = this.el.querySelector("[data-keymap-conflicts]")
+    if (!alert) return
+
+    alert.classList.toggle("hidden", conflicts.length === 0)
+    alert.replaceChildren(
+      ...conflicts.map(({ actions, bindings }) => {
+        const line = element("div", "flex flex-wrap items-center gap-1")
+        line.append(
+          bindingElement(bindings[0], "kbd-xs"),
+          element("span", null, `${actions[0].label} clashes with`),
+          bindingElement(bindings[1], "kbd-xs"),
+          element("span", null, actions[1].label)
+        )
+        return line
+      })
+    )
+  }
+}
@@ -33,13 +33,14 @@ export function escapeHtml(value) {
     .replaceAll("'", "&#39;")
 }
 
-export function buildSandboxedEmailHtml(content) {
+export function buildSandboxedEmailHtml(content, { allowRemote = false } = {}) {
+  const remote = allowRemote ? " https:" : ""
   const csp = [
     "default-src 'none'",
-    "img-src data: cid: https:",
-    "media-src data: cid: https:",
-    "style-src 'unsafe-inline' https:",
-    "font-src data: https:",
+    `img-src data: cid:${remote}`,
+    `media-src data: cid:${remote}`,
+    `style-src 'unsafe-inline'${remote}`,
+    `font-src data:${remote}`,
     "connect-src 'none'",
     "frame-src 'none'",
     "child-src 'none'",
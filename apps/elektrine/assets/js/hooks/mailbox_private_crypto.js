@@ -315,6 +315,10 @@ async function decryptEnvelope(envelope, mailboxId, aad) {
   const privateKey = await importStoredPrivateKey(mailboxId)
   if (!privateKey) return null
 
+  return decryptEnvelopeWithKey(envelope, privateKey, aad)
+}
+
+async function decryptEnvelopeWithKey(envelope, privateKey, aad) {
   const wrappedKey = base64ToBytes(envelope.encrypted_key)
   const contentKeyBytes = await crypto.subtle.decrypt({ name: "RSA-OAEP" }, privateKey, wrappedKey)
   const contentKey = await crypto.subtle.importKey(
@@ -350,6 +354,11 @@ export async function decryptMessagePayload(envelope, mailboxId) {
   return decryptEnvelope(envelope, mailboxId, MESSAGE_AAD)
 }
 
+// For callers that hold the private key themselves, such as the search worker.
+export async function decryptMessagePayloadWithKey(envelope, privateKey) {
+  return decryptEnvelopeWithKey(envelope, privateKey, MESSAGE_AAD)
+}
+
 export async function decryptAttachmentPayload(envelope, mailboxId) {
   return decryptEnvelope(envelope, mailboxId, ATTACHMENT_AAD)
 }
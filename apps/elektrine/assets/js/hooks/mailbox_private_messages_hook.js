@@ -15,6 +15,12 @@ import {
   notify,
   parsePayload
 } from "./mailbox_private_storage_hooks"
+import {
+  filterRemoteContent,
+  remoteContentAllowed,
+  renderRemoteBar,
+  senderAddress
+} from "./mailbox_private_remote_content"
 
 const decryptedAttachments = new WeakMap()
 
@@ -23,6 +29,7 @@ export const PrivateMailboxMessages = {
     this.mailboxId = this.el.dataset.privateMailboxId
     this.onMailboxChange = () => this.renderPrivateContent()
     this.onClick = (event) => this.handleClick(event)
+    this.remoteLoaded = new Set()
 
     window.addEventListener("elektrine:private-mailbox-unlocked", this.onMailboxChange)
     window.addEventListener("elektrine:private-mailbox-locked", this.onMailboxChange)
@@ -43,6 +50,14 @@ export const PrivateMailboxMessages = {
   },
 
   async handleClick(event) {
+    const remoteButton = event.target.closest(
+      "[data-private-remote-load], [data-private-remote-always]"
+    )
+    if (remoteButton) {
+      this.loadRemoteContent(remoteButton)
+      return
+    }
+
     const downloadButton = event.target.closest("[data-private-attachment-download]")
     if (!downloadButton) return
 
@@ -136,8 +151,17 @@ export const PrivateMailboxMessages = {
           }
 
           if (iframe && iframeContainer && typeof payload.html_body === "string" && payload.html_body.trim() !== "") {
-            iframe.srcdoc = buildSandboxedEmailHtml(sanitizeProtectedHtml(payload.html_body))
+            const sender = senderAddress(payloadString(payload, "from"))
+            const allowRemote =
+              this.remoteLoaded.has(sender) || remoteContentAllowed(element, sender)
+            const { html, remote, trackers } = filterRemoteContent(
+              sanitizeProtectedHtml(payload.html_body),
+              { allowRemote }
+            )
+
+            iframe.srcdoc = buildSandboxedEmailHtml(html, { allowRemote })
             iframeContainer.classList.remove("hidden")
+            renderRemoteBar(element, { remote, trackers, allowRemote, sender })
 
             if (bodyEl) {
               bodyEl.classList.add("hidden")
@@ -145,6 +169,7 @@ export const PrivateMailboxMessages = {
           } else if (iframe && iframeContainer) {
             iframe.srcdoc = ""
             iframeContainer.classList.add("hidden")
+            element.querySelector("[data-private-remote-bar]")?.classList.add("hidden")
 
             if (bodyEl) {
               bodyEl.classList.remove("hidden")
@@ -201,6 +226,18 @@ export const PrivateMailboxMessages = {
     )
   },
 
+  loadRemoteContent(button) {
+    const sender = button.closest("[data-private-remote-bar]")?.dataset.sender
+    if (!sender) return
+
+    this.remoteLoaded.add(sender)
+    if (button.hasAttribute("data-private-remote-always")) {
+      this.pushEvent("always_load_remote_content", { sender })
+    }
+
+    this.renderPrivateContent()
+  },
+
   restorePlaceholders(elements) {
     elements.forEach((element) => this.restorePlaceholderForElement(element))
   },
@@ -232,6 +269,8 @@ export const PrivateMailboxMessages = {
       iframe.srcdoc = ""
       iframeContainer.classList.add("hidden")
     }
+
+    element.querySelector("[data-private-remote-bar]")?.classList.add("hidden")
   },
 
   restoreAddressPlaceholder(addressEl) {
@@ -0,0 +1,142 @@
+// Mirrors Elektrine.Email.RemoteContent for messages only the browser can read.
+// Protected mail is never proxied: that would hand its URLs to the server.
+const REMOTE_PLACEHOLDER =
+  "data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7"
+const TRACKER_HOSTS = [
+  "mailtrack.io",
+  "mailsuite.com",
+  "getnotify.com",
+  "bananatag.com",
+  "yesware.com",
+  "mixmax.com",
+  "superhuman.com",
+  "cirrusinsight.com",
+  "streak.com",
+  "mailfoogae.appspot.com"
+]
+const TRACKER_PATH = /\/(?:track\/open|wf\/open|e\/o\/|open\.(?:php|aspx)|pixel\.(?:gif|png))/i
+const HIDDEN_STYLE = /display\s*:\s*none|visibility\s*:\s*hidden|opacity\s*:\s*0(?:\D|$)/i
+const REMOTE_URL = /^\s*(?:https?:)?\/\//i
+const REMOTE_SRCSET = /(?:^|,)\s*(?:https?:)?\/\//i
+const REMOTE_CSS_URL = /url\(\s*(['"]?)\s*(?:https?:)?\/\/[^)]*\)/gi
+const REMOTE_CSS_IMPORT = /@import\s+(?:url\()?\s*['"]?\s*(?:https?:)?\/\/[^;]*;?/gi
+
+export function senderAddress(from) {
+  const match = /<([^>]+)>/.exec(from || "")
+  return (match ? match[1] : from || "").trim().toLowerCase()
+}
+
+function hostMatches(host, hosts) {
+  return hosts.some((known) => host === known || host.endsWith(`.${known}`))
+}
+
+function isTrackingPixel(image) {
+  const src = image.getAttribute("src") || ""
+  if (!REMOTE_URL.test(src)) return false
+
+  const tiny = ["width", "height"].every((name) =>
+    ["0", "1"].includes(String(parseInt(image.getAttribute(name), 10)))
+  )
+  const style = image.getAttribute("style") || ""
+  const zeroSized = /(?:^|[;\s])width\s*:\s*[01]px/i.test(style) &&
+    /(?:^|[;\s])height\s*:\s*[01]px/i.test(style)
+
+  let trackerUrl = false
+  try {
+    const url = new URL(src, "https://invalid.example")
+    trackerUrl =
+      hostMatches(url.hostname.toLowerCase(), TRACKER_HOSTS) || TRACKER_PATH.test(url.pathname)
+  } catch (_error) {
+    trackerUrl = false
+  }
+
+  return tiny || zeroSized || HIDDEN_STYLE.test(style) || trackerUrl
+}
+
+// Removes tracking pixels and, unless remote content is allowed, every other
+// remote reference. Returns the rewritten HTML with what was found.
+export function filterRemoteContent(html, { allowRemote = false } = {}) {
+  if (!html) return { html: "", remote: 0, trackers: 0 }
+
+  const doc = new DOMParser().parseFromString(html, "text/html")
+  let trackers = 0
+  let remote = 0
+
+  doc.querySelectorAll("img").forEach((image) => {
+    if (isTrackingPixel(image)) {
+      image.remove()
+      trackers += 1
+    }
+  })
+
+  doc.querySelectorAll("link[href]").forEach((link) => {
+    if (REMOTE_URL.test(link.getAttribute("href"))) {
+      remote += 1
+      if (!allowRemote) link.remove()
+    }
+  })
+
+  doc.querySelectorAll("[src], [poster], [background], [srcset]").forEach((element) => {
+    for (const name of ["src", "poster", "background"]) {
+      if (REMOTE_URL.test(element.getAttribute(name) || "")) {
+        remote += 1
+        if (!allowRemote) element.setAttribute(name, REMOTE_PLACEHOLDER)
+      }
+    }
+
+    if (REMOTE_SRCSET.test(element.getAttribute("srcset") || "")) {
+      remote += 1
+      if (!allowRemote) element.removeAttribute("srcset")
+    }
+  })
+
+  const rewriteCss = (css) => {
+    const matches =
+      (css.match(REMOTE_CSS_URL) || []).length + (css.match(REMOTE_CSS_IMPORT) || []).length
+    remote += matches
+    if (allowRemote || matches === 0) return css
+    return css.replace(REMOTE_CSS_IMPORT, "").replace(REMOTE_CSS_URL, "none")
+  }
+
+  doc.querySelectorAll("[style]").forEach((element) => {
+    element.setAttribute("style", rewriteCss(element.getAttribute("style")))
+  })
+  doc.querySelectorAll("style").forEach((element) => {
+    element.textContent = rewriteCss(element.textContent || "")
+  })
+
+  const headStyles = Array.from(doc.head?.querySelectorAll("style") || [])
+    .map((element) => element.outerHTML)
+    .join("\n")
+
+  return {
+    html: [headStyles, doc.body?.innerHTML || ""].filter(Boolean).join("\n"),
+    remote,
+    trackers
+  }
+}
+
+export function remoteContentAllowed(element, sender) {
+  try {
+    return JSON.parse(element.dataset.remoteContentSenders || "[]").includes(sender)
+  } catch (_error) {
+    return false
+  }
+}
+
+export function renderRemoteBar(element, { remote, trackers, allowRemote, sender }) {
+  const bar = element.querySelector("[data-private-remote-bar]")
+  if (!bar) return
+
+  const summary = bar.querySelector("[data-private-remote-summary]")
+  const parts = []
+  if (remote > 0 && !allowRemote) parts.push("Remote content is blocked to protect your privacy.")
+  if (trackers > 0) parts.push(`${trackers} tracking ${trackers === 1 ? "pixel" : "pixels"} removed.`)
+
+  if (summary) summary.textContent = parts.join(" ")
+  bar.dataset.sender = sender
+  bar.querySelectorAll("button").forEach((button) => {
+    button.classList.toggle("hidden", allowRemote || remote === 0 || !sender)
+  })
+  bar.classList.toggle("hidden", parts.length === 0)
+}
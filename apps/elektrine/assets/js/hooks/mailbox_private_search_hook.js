@@ -0,0 +1,275 @@
+// Search over a private mailbox. Its messages are only readable in the
+// browser, so once the mailbox is unlocked this hook streams the encrypted
+// envelopes from the LiveView into a Web Worker that decrypts and indexes
+// them (see workers/mailbox_search_worker.js). New mail is picked up from
+// the "private-mailbox-changed" event; queries never leave the browser.
+
+import { getStoredPrivateKey } from "./mailbox_private_crypto"
+import * as vaultSession from "./vault_session"
+
+const WORKER_URL = "/assets/workers/mailbox_search_worker.js"
+const SEARCH_DELAY_MS = 200
+const RESYNC_AFTER_MS = 30000
+
+// The index is stored encrypted only while the vault is unlocked.
+async function indexKey() {
+  if (!vaultSession.isUnlocked()) return null
+
+  try {
+    return await vaultSession.featureKey("email")
+  } catch (_error) {
+    return null
+  }
+}
+
+function element(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text != null) node.textContent = text
+  return node
+}
+
+export const PrivateMailboxSearch = {
+  mounted() {
+    this.mailboxId = this.el.dataset.privateMailboxId
+    this.form = this.el.querySelector("[data-private-search-form]")
+    this.requests = new Map()
+    this.nextRequestId = 1
+    this.searchToken = 0
+    this.cursor = 0
+    this.lastSync = 0
+
+    this.onUnlocked = (event) => {
+      if (String(event.detail?.mailboxId) === this.mailboxId) this.start()
+    }
+    this.onLocked = (event) => {
+      if (String(event.detail?.mailboxId) === this.mailboxId) this.stop()
+    }
+    this.onInput = () => {
+      clearTimeout(this.searchTimer)
+      this.searchTimer = setTimeout(() => this.search(), SEARCH_DELAY_MS)
+    }
+    this.onSubmit = (event) => {
+      event.preventDefault()
+      this.search()
+    }
+    this.onFocus = () => {
+      if (Date.now() - this.lastSync > RESYNC_AFTER_MS) this.sync()
+    }
+
+    window.addEventListener("elektrine:private-mailbox-unlocked", this.onUnlocked)
+    window.addEventListener("elektrine:private-mailbox-locked", this.onLocked)
+    this.form?.addEventListener("input", this.onInput)
+    this.form?.addEventListener("submit", this.onSubmit)
+    this.form?.addEventListener("focusin", this.onFocus)
+    this.handleEvent("private-mailbox-changed", () => this.sync())
+
+    if (getStoredPrivateKey(this.mailboxId)) this.start()
+  },
+
+  destroyed() {
+    window.removeEventListener("elektrine:private-mailbox-unlocked", this.onUnlocked)
+    window.removeEventListener("elektrine:private-mailbox-locked", this.onLocked)
+    this.form?.removeEventListener("input", this.onInput)
+    this.form?.removeEventListener("submit", this.onSubmit)
+    this.form?.removeEventListener("focusin", this.onFocus)
+    this.stop()
+  },
+
+  async start() {
+    const privateKey = getStoredPrivateKey(this.mailboxId)
+    if (!privateKey || typeof Worker === "undefined") return
+
+    if (!this.worker) {
+      this.worker = new Worker(WORKER_URL)
+      this.worker.addEventListener("message", (event) => this.handleReply(event.data))
+    }
+
+    this.el.classList.remove("hidden")
+
+    try {
+      const status = await this.call("open", {
+        mailboxId: this.mailboxId,
+        privateKey,
+        indexKey: await indexKey()
+      })
+      this.cursor = status.cursor
+      this.renderStatus(status)
+      await this.sync()
+    } catch (error) {
+      console.warn("Could not open private mailbox search", error)
+    }
+  },
+
+  stop() {
+    clearTimeout(this.searchTimer)
+    this.el.classList.add("hidden")
+    this.render([], false)
+
+    const worker = this.worker
+    this.worker = null
+    this.requests.forEach(({ reject }) => reject(new Error("search_index_closed")))
+    this.requests.clear()
+    if (!worker) return
+
+    // Let the worker save pending changes before it goes away.
+    const id = this.nextRequestId++
+    const timer = setTimeout(() => worker.terminate(), 5000)
+    worker.addEventListener("message", (event) => {
+      if (event.data?.id !== id) return
+      clearTimeout(timer)
+      worker.terminate()
+    })
+    worker.postMessage({ id, type: "close" })
+  },
+
+  handleReply({ id, ok, result, error }) {
+    const request = this.requests.get(id)
+    if (!request) return
+
+    this.requests.delete(id)
+    if (ok) request.resolve(result)
+    else request.reject(new Error(error))
+  },
+
+  call(type, payload = {}) {
+    if (!this.worker) return Promise.reject(new Error("search_index_closed"))
+
+    const id = this.nextRequestId++
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, { resolve, reject })
+      this.worker.postMessage({ ...payload, id, type })
+    })
+  },
+
+  fetchEnvelopes(params) {
+    return new Promise((resolve) => {
+      this.pushEvent("private_search_envelopes", params, (reply) => resolve(reply || {}))
+    })
+  },
+
+  // Pulls envelopes newer than the worker's cursor until the server has no
+  // more. The first page also lists every message id so deletions drop out.
+  async sync() {
+    if (!this.worker) return
+    if (this.syncing) {
+      this.syncAgain = true
+      return
+    }
+
+    this.syncing = true
+    this.lastSync = Date.now()
+
+    try {
+      let firstPage = true
+      let more = true
+
+      while (more && this.worker) {
+        const reply = await this.fetchEnvelopes({ after: this.cursor, ids: firstPage })
+        const status = await this.call("sync", {
+          envelopes: reply.envelopes || [],
+          messageIds: reply.message_ids
+        })
+
+        this.cursor = status.cursor
+        this.renderStatus(status)
+        firstPage = false
+        more = Boolean(reply.more)
+      }
+
+      if (this.query().query || this.hasFilters()) this.search()
+    } catch (error) {
+      if (this.worker) console.warn("Could not index private mailbox", error)
+    } finally {
+      this.syncing = false
+    }
+
+    if (this.syncAgain) {
+      this.syncAgain = false
+      this.sync()
+    }
+  },
+
+  query() {
+    const data = this.form ? new FormData(this.form) : new FormData()
+
+    return {
+      query: String(data.get("query") || "").trim(),
+      filters: {
+        from: String(data.get("from") || ""),
+        after: String(data.get("after") || ""),
+        before: String(data.get("before") || ""),
+        attachment: data.get("attachment") === "on"
+      }
+    }
+  },
+
+  hasFilters() {
+    const { from, after, before, attachment } = this.query().filters
+    return Boolean(from.trim() || after || before || attachment)
+  },
+
+  async search() {
+    const token = ++this.searchToken
+    const { query, filters } = this.query()
+
+    if (!query && !this.hasFilters()) {
+      this.render([], false)
+      return
+    }
+
+    try {
+      const results = await this.call("search", { query, filters })
+      if (token === this.searchToken) this.render(results, true)
+    } catch (error) {
+      if (this.worker) console.warn("Could not search private mailbox", error)
+    }
+  },
+
+  renderStatus({ size, persistent }) {
+    const status = this.el.querySelector("[data-private-search-status]")
+    if (!status) return
+
+    const count = `${size} ${size === 1 ? "message" : "messages"}`
+    status.textContent = persistent
+      ? `${count} indexed on this device.`
+      : `${count} indexed for this tab. Unlock with your account password to keep the index.`
+  },
+
+  render(results, searched) {
+    const container = this.el.querySelector("[data-private-search-results]")
+    if (!container) return
+
+    if (!searched) {
+      container.replaceChildren()
+      return
+    }
+
+    if (!results.length) {
+      container.replaceChildren(
+        element("p", "text-sm text-base-content/60", "No private messages match.")
+      )
+      return
+    }
+
+    container.replaceChildren(
+      ...results.map((result) => {
+        const link = element("a", "block rounded-lg bg-base-200 p-3 hover:bg-base-300")
+        link.href = `/email/view/${encodeURIComponent(result.hash || result.id)}`
+
+        const meta = element("span", "mb-1 flex items-center gap-2 text-xs text-base-content/70")
+        meta.textContent = `${result.sender_name || "Unknown sender"} · ${new Date(result.time).toLocaleString()}`
+        if (result.has_attachments) {
+          meta.append(element("span", "badge badge-ghost badge-xs", "attachment"))
+        }
+
+        link.append(
+          element("span", "block text-sm font-semibold", result.subject || "(no subject)"),
+          meta,
+          element("span", "block text-sm text-base-content/80", result.snippet)
+        )
+        return link
+      })
+    )
+  }
+}
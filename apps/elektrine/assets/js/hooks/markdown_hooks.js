@@ -1,4 +1,4 @@
-import { sanitizeMarkdownHref } from '../markdown_helpers'
+import { renderMarkdown } from '../markdown'
 
 export const ReplyMarkdownEditor = {
   mounted() {
@@ -127,7 +127,7 @@ export const ReplyMarkdownEditor = {
     const previewDiv = document.getElementById('reply-editor-preview')
 
     if (previewContent && previewDiv && !previewDiv.classList.contains('hidden')) {
-      const html = this.markdownToHtml(this.el.value)
+      const html = renderMarkdown(this.el.value, { hardBreaks: true })
       previewContent.innerHTML = html || '<p class="text-base-content/50">Nothing to preview yet...</p>'
     }
   },
@@ -195,114 +195,12 @@ export const ReplyMarkdownEditor = {
     if (previewPanel.classList.contains('hidden')) {
       // Show preview
       const markdown = textarea.value
-      const html = this.markdownToHtml(markdown)
+      const html = renderMarkdown(markdown, { hardBreaks: true })
       previewContent.innerHTML = html
       previewPanel.classList.remove('hidden')
     } else {
       // Hide preview
       previewPanel.classList.add('hidden')
     }
-  },
-
-  markdownToHtml(markdown) {
-    if (!markdown) return ''
-
-    // Process markdown line by line for better handling
-    const lines = markdown.split('\n')
-    const htmlLines = []
-    let inCodeBlock = false
-    let codeBlockLines = []
-
-    for (let line of lines) {
-      // Handle code blocks
-      if (line.startsWith('```')) {
-        if (inCodeBlock) {
-          htmlLines.push(`<pre class="bg-base-200 p-3 rounded overflow-x-auto"><code>${codeBlockLines.join('\n')}</code></pre>`)
-          codeBlockLines = []
-          inCodeBlock = false
-        } else {
-          inCodeBlock = true
-        }
-        continue
-      }
-
-      if (inCodeBlock) {
-        codeBlockLines.push(this.escapeHtml(line))
-        continue
-      }
-
-      // Process individual line
-      let processedLine = line
-
-      // Headers (must be at line start)
-      if (line.startsWith('### ')) {
-        processedLine = `<h3 class="text-lg font-semibold">${this.escapeHtml(line.substring(4))}</h3>`
-      } else if (line.startsWith('## ')) {
-        processedLine = `<h2 class="text-xl font-semibold">${this.escapeHtml(line.substring(3))}</h2>`
-      } else if (line.startsWith('# ')) {
-        processedLine = `<h1 class="text-2xl font-bold">${this.escapeHtml(line.substring(2))}</h1>`
-      }
-      // Blockquotes
-      else if (line.startsWith('> ')) {
-        processedLine = `<blockquote class="border-l-4 border-primary pl-4 italic">${this.processMarkdownInline(line.substring(2))}</blockquote>`
-      }
-      // Unordered lists
-      else if (line.startsWith('- ') || line.startsWith('* ')) {
-        processedLine = `<li>${this.processMarkdownInline(line.substring(2))}</li>`
-      }
-      // Ordered lists
-      else if (/^\d+\. /.test(line)) {
-        processedLine = `<li>${this.processMarkdownInline(line.replace(/^\d+\. /, ''))}</li>`
-      }
-      // Regular paragraph
-      else if (line.trim() !== '') {
-        processedLine = `<p>${this.processMarkdownInline(line)}</p>`
-      } else {
-        processedLine = ''
-      }
-
-      if (processedLine) {
-        htmlLines.push(processedLine)
-      }
-    }
-
-    // Handle any unclosed code block
-    if (inCodeBlock && codeBlockLines.length > 0) {
-      htmlLines.push(`<pre class="bg-base-200 p-3 rounded overflow-x-auto"><code>${codeBlockLines.join('\n')}</code></pre>`)
-    }
-
-    // Wrap consecutive list items in ul/ol tags
-    let finalHtml = htmlLines.join('\n')
-    finalHtml = finalHtml.replace(/(<li>[\s\S]*?<\/li>\n?)+/g, (match) => {
-      return `<ul class="list-disc list-inside ml-4">${match}</ul>`
-    })
-
-    return finalHtml
-  },
-
-  processMarkdownInline(text) {
-    return this.escapeHtml(text)
-      // Bold (must come before italic)
-      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-      // Italic
-      .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-      // Inline code
-      .replace(/`([^`]+)`/g, '<code class="bg-base-200 px-1 rounded">$1</code>')
-      // Links
-      .replace(/\[([^\]]+)\]\(([^\)]+)\)/g, (match, label, href) => {
-        const safeHref = sanitizeMarkdownHref(href)
-
-        if (!safeHref) {
-          return match
-        }
-
-        return `<a href="${safeHref}" target="_blank" rel="noopener noreferrer" class="text-primary underline">${label}</a>`
-      })
-  },
-
-  escapeHtml(text) {
-    const div = document.createElement('div')
-    div.textContent = text
-    return div.innerHTML
   }
 }
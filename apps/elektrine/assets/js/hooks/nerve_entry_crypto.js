@@ -0,0 +1,66 @@
+/**
+ * Nerve entry crypto - the AAD scheme shared by everything that writes or
+ * reads Nerve entries. Metadata is bound to its purpose only; each secret
+ * field is bound to the entry's title, login and website so ciphertext
+ * cannot be swapped between entries.
+ */
+
+import { encryptValue, decryptValue } from "./vault_crypto"
+
+export const metadataAad = () => ({ purpose: "elektrine-nerve-metadata" })
+
+export function entryAad(metadata, field) {
+  return {
+    purpose: "elektrine-nerve-entry",
+    field,
+    title: (metadata.title || "").trim(),
+    login_username: (metadata.login_username || "").trim(),
+    website: (metadata.website || "").trim()
+  }
+}
+
+function payload(value) {
+  if (!value) return null
+  return typeof value === "string" ? JSON.parse(value) : value
+}
+
+/**
+ * Encrypts a plaintext entry `{title, login_username, website, password,
+ * notes, totp, ...metadata}` into create params. `totp` must already be a
+ * canonical otpauth:// URI.
+ */
+export async function encryptEntry(entry, key) {
+  const { password, notes, totp, ...metadata } = entry
+  if (totp) metadata.has_totp = true
+
+  return {
+    title: "Encrypted entry",
+    encrypted_metadata: await encryptValue(JSON.stringify(metadata), key, metadataAad()),
+    encrypted_password: await encryptValue(password, key, entryAad(metadata, "password")),
+    encrypted_notes: notes ? await encryptValue(notes, key, entryAad(metadata, "notes")) : null,
+    encrypted_totp: totp ? await encryptValue(totp, key, entryAad(metadata, "totp")) : null
+  }
+}
+
+/**
+ * Decrypts a stored entry (payloads as maps or JSON strings). Without
+ * `secrets` only the metadata is decrypted.
+ */
+export async function decryptEntry(record, key, { secrets = true } = {}) {
+  const metadata = JSON.parse(
+    await decryptValue(payload(record.encrypted_metadata), key, metadataAad())
+  )
+  if (!secrets) return metadata
+
+  const field = async (name) => {
+    const value = payload(record[`encrypted_${name}`])
+    return value ? decryptValue(value, key, entryAad(metadata, name)) : ""
+  }
+
+  return {
+    ...metadata,
+    password: await field("password"),
+    notes: await field("notes"),
+    totp: await field("totp")
+  }
+}
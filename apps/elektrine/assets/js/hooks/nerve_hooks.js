@@ -6,36 +6,65 @@
 
 import { encryptValue, decryptValue, unwrapWithSecret } from "./vault_crypto"
 import * as vaultSession from "./vault_session"
+import { parseTotp, totpCode, totpUri } from "./nerve_totp"
+import { entryAad, metadataAad } from "./nerve_entry_crypto"
 
 const FEATURE = "nerve"
 const PASSWORD_LENGTH = 24
 const PASSWORD_ALPHABET =
   "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789!@#$%^&*-_"
 
-const metadataAad = () => ({ purpose: "elektrine-nerve-metadata" })
+const MATCH_MODES = ["domain", "host", "starts_with", "regex", "never"]
+const PATTERN_MATCH_MODES = ["starts_with", "regex"]
+const SECRET_OUTPUTS =
+  "[data-nerve-password-output], [data-nerve-notes-output], [data-nerve-totp-output]"
 
-function entryAad(metadata, field) {
-  return {
-    purpose: "elektrine-nerve-entry",
-    field,
-    title: (metadata.title || "").trim(),
-    login_username: (metadata.login_username || "").trim(),
-    website: (metadata.website || "").trim()
+// Same rule as validMatchPattern in the extension's lib/site_match.js, which
+// silently never matches a pattern this would reject.
+function validMatchPattern(mode, pattern) {
+  if (mode === "regex") {
+    try {
+      new RegExp(pattern, "i")
+      return true
+    } catch (_error) {
+      return false
+    }
   }
+
+  if (mode === "starts_with" && pattern) {
+    try {
+      return ["http:", "https:"].includes(new URL(pattern).protocol)
+    } catch (_error) {
+      return false
+    }
+  }
+
+  return true
 }
 
 export const Nerve = {
   mounted() {
+    this.totpTimers = new Map()
     this.unsubscribe = vaultSession.subscribe(() => this.onLockChange())
     this.bind()
     this.onLockChange()
   },
 
+  // Saves and imports re-render rows with placeholder titles; decrypt them again.
+  updated() {
+    if (vaultSession.isUnlocked()) this.decryptVisibleMetadata()
+  },
+
   destroyed() {
     this.unsubscribe && this.unsubscribe()
+    this.totpTimers.forEach((timer) => clearInterval(timer))
+    this.totpTimers.clear()
   },
 
   bind() {
+    this.el.addEventListener("change", (event) => {
+      if (event.target.closest("[data-nerve-match-mode-input]")) this.syncMatchPatternField()
+    })
     this.el.addEventListener("click", (event) => {
       if (event.target.closest("[data-vault-unlock]")) return this.unlock()
       if (event.target.closest("[data-vault-lock]")) return vaultSession.lock()
@@ -64,7 +93,11 @@ export const Nerve = {
         : status.dataset.lockedLabel || "Locked."
     }
 
-    if (unlocked) this.decryptVisibleMetadata()
+    if (unlocked) {
+      this.decryptVisibleMetadata()
+    } else {
+      this.hideAllSecrets()
+    }
   },
 
   setError(message) {
@@ -145,9 +178,23 @@ export const Nerve = {
     }
     const password = this.value("[data-nerve-password-input]")
     const notes = this.value("[data-nerve-notes-input]")
+    const totpInput = this.value("[data-nerve-totp-input]").trim()
 
     if (!password) return this.setError("A password is required.")
 
+    let totp = ""
+    if (totpInput) {
+      try {
+        totp = totpUri(parseTotp(totpInput))
+      } catch (error) {
+        return this.setError(error.message)
+      }
+      metadata.has_totp = true
+    }
+
+    const matchError = this.applyMatchRule(metadata)
+    if (matchError) return this.setError(matchError)
+
     try {
       const key = await this.key()
 
@@ -163,23 +210,56 @@ export const Nerve = {
         "[data-nerve-encrypted-notes]",
         notes ? await encryptValue(notes, key, entryAad(metadata, "notes")) : null
       )
+      this.setHidden(
+        "[data-nerve-encrypted-totp]",
+        totp ? await encryptValue(totp, key, entryAad(metadata, "totp")) : null
+      )
 
       // Never let the plaintext reach the server.
       this.setValue("[data-nerve-password-input]", "")
       this.setValue("[data-nerve-notes-input]", "")
+      this.setValue("[data-nerve-totp-input]", "")
+      this.setValue("[data-nerve-match-pattern-input]", "")
       form.requestSubmit()
     } catch (_error) {
       this.setError("Could not encrypt this entry.")
     }
   },
 
+  // Site-matching rule for the browser extension's autofill. Stored inside the
+  // encrypted metadata; the default registrable-domain mode is left implicit.
+  applyMatchRule(metadata) {
+    const mode = this.value("[data-nerve-match-mode-input]") || "domain"
+    const pattern = this.value("[data-nerve-match-pattern-input]").trim()
+
+    if (!MATCH_MODES.includes(mode) || mode === "domain") return null
+
+    if (mode === "regex" && !pattern) return "Enter a regular expression to match."
+
+    if (!validMatchPattern(mode, pattern)) {
+      return mode === "regex"
+        ? "Enter a valid regular expression to match."
+        : "Enter a valid http:// or https:// URL prefix."
+    }
+
+    metadata.match_mode = mode
+    if (pattern && PATTERN_MATCH_MODES.includes(mode)) metadata.match_pattern = pattern
+    return null
+  },
+
+  syncMatchPatternField() {
+    const mode = this.value("[data-nerve-match-mode-input]")
+    const field = this.el.querySelector("[data-nerve-match-pattern-field]")
+    if (field) field.classList.toggle("hidden", !PATTERN_MATCH_MODES.includes(mode))
+  },
+
   toggleReveal(button) {
     const id = button.dataset.nerveReveal
     const secretRow = this.el.querySelector(`[data-nerve-secret-row="${id}"]`)
     if (!secretRow) return
 
     if (!secretRow.classList.contains("hidden")) {
-      secretRow.classList.add("hidden")
+      this.hideSecret(id, secretRow)
       return
     }
 
@@ -216,12 +296,65 @@ export const Nerve = {
         notesWrapper && notesWrapper.classList.remove("hidden")
       }
 
+      if (reply.encrypted_totp) {
+        const uri = await decryptValue(
+          JSON.parse(reply.encrypted_totp),
+          key,
+          entryAad(metadata, "totp")
+        )
+        this.startTotp(button.dataset.nerveReveal, secretRow, parseTotp(uri))
+      }
+
       secretRow.classList.remove("hidden")
     } catch (_error) {
       this.setError("Could not decrypt this entry.")
     }
   },
 
+  // --- one-time codes ---
+
+  startTotp(id, secretRow, config) {
+    const wrapper = secretRow.querySelector("[data-nerve-totp-wrapper]")
+    const codeOut = secretRow.querySelector("[data-nerve-totp-output]")
+    const countdown = secretRow.querySelector("[data-nerve-totp-countdown]")
+    if (!wrapper || !codeOut) return
+
+    const render = async () => {
+      try {
+        const { code, remaining } = await totpCode(config)
+        codeOut.textContent = code.replace(/^(\d{3,4})(\d{3,4})$/, "$1 $2")
+        if (countdown) countdown.textContent = `${remaining}s`
+      } catch (_error) {
+        codeOut.textContent = "Unavailable"
+      }
+    }
+
+    this.stopTotp(id)
+    wrapper.classList.remove("hidden")
+    render()
+    this.totpTimers.set(id, setInterval(render, 1000))
+  },
+
+  stopTotp(id) {
+    const timer = this.totpTimers.get(id)
+    if (timer) clearInterval(timer)
+    this.totpTimers.delete(id)
+  },
+
+  hideSecret(id, secretRow) {
+    this.stopTotp(id)
+    secretRow.classList.add("hidden")
+    secretRow.querySelectorAll(SECRET_OUTPUTS).forEach((output) => {
+      output.textContent = ""
+    })
+  },
+
+  hideAllSecrets() {
+    this.el.querySelectorAll("[data-nerve-secret-row]").forEach((row) => {
+      if (!row.classList.contains("hidden")) this.hideSecret(row.dataset.nerveSecretRow, row)
+    })
+  },
+
   generatePassword() {
     const bytes = new Uint8Array(PASSWORD_LENGTH)
     crypto.getRandomValues(bytes)
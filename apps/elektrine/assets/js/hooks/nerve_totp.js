@@ -0,0 +1,153 @@
+/**
+ * Nerve TOTP - RFC 6238 one-time codes computed in the browser.
+ *
+ * Entries store an authenticator key (an otpauth:// URI or a bare base32
+ * secret) as encrypted Nerve ciphertext; codes are derived locally with
+ * WebCrypto HMAC and the secret never leaves the browser in plaintext.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+const ALGORITHMS = { SHA1: "SHA-1", SHA256: "SHA-256", SHA512: "SHA-512" }
+const DEFAULTS = { algorithm: "SHA1", digits: 6, period: 30 }
+const MIN_SECRET_BYTES = 5
+
+function base32ToBytes(value) {
+  const clean = value.toUpperCase().replace(/[\s-]/g, "").replace(/=+$/, "")
+  const bytes = []
+  let bits = 0
+  let buffer = 0
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) throw new Error("Authenticator keys use base32 letters A-Z and digits 2-7.")
+
+    buffer = (buffer << 5) | index
+    bits += 5
+
+    if (bits >= 8) {
+      bits -= 8
+      bytes.push((buffer >> bits) & 0xff)
+    }
+  }
+
+  return new Uint8Array(bytes)
+}
+
+function normalizeSecret(value) {
+  const secret = String(value || "").toUpperCase().replace(/[\s-]/g, "").replace(/=+$/, "")
+  if (base32ToBytes(secret).length < MIN_SECRET_BYTES) {
+    throw new Error("That authenticator key is too short.")
+  }
+  return secret
+}
+
+function integerParam(value, fallback, min, max, label) {
+  if (value === null || value === "") return fallback
+
+  const number = Number(value)
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`Unsupported ${label} in the authenticator URI.`)
+  }
+  return number
+}
+
+function parseOtpauthUri(value) {
+  let url
+  try {
+    url = new URL(value)
+  } catch (_error) {
+    throw new Error("That otpauth:// URI is not valid.")
+  }
+
+  if (url.hostname.toLowerCase() !== "totp") {
+    throw new Error("Only time-based (TOTP) authenticator URIs are supported.")
+  }
+
+  const params = url.searchParams
+  const algorithm = (params.get("algorithm") || DEFAULTS.algorithm).toUpperCase().replace("-", "")
+  if (!ALGORITHMS[algorithm]) throw new Error("Unsupported algorithm in the authenticator URI.")
+
+  let label = ""
+  try {
+    label = decodeURIComponent(url.pathname.replace(/^\/+/, ""))
+  } catch (_error) {
+    label = url.pathname.replace(/^\/+/, "")
+  }
+
+  return {
+    secret: normalizeSecret(params.get("secret")),
+    algorithm,
+    digits: integerParam(params.get("digits"), DEFAULTS.digits, 6, 8, "digit count"),
+    period: integerParam(params.get("period"), DEFAULTS.period, 1, 300, "period"),
+    issuer: params.get("issuer") || label.split(":")[0] || "",
+    label
+  }
+}
+
+/**
+ * Parses an otpauth://totp URI or a base32 secret into a TOTP config.
+ * Throws an Error with a user-facing message when the input is unusable.
+ */
+export function parseTotp(value) {
+  const input = String(value || "").trim()
+  if (!input) throw new Error("Enter an authenticator key.")
+
+  if (/^otpauth:\/\//i.test(input)) return parseOtpauthUri(input)
+
+  return { ...DEFAULTS, secret: normalizeSecret(input), issuer: "", label: "" }
+}
+
+/** Canonical otpauth:// URI for a parsed config; this is what gets encrypted. */
+export function totpUri(config) {
+  const label = encodeURIComponent(config.label || config.issuer || "Nerve")
+  const params = new URLSearchParams({
+    secret: config.secret,
+    algorithm: config.algorithm,
+    digits: String(config.digits),
+    period: String(config.period)
+  })
+  if (config.issuer) params.set("issuer", config.issuer)
+
+  return `otpauth://totp/${label}?${params.toString()}`
+}
+
+function counterBytes(counter) {
+  const bytes = new Uint8Array(8)
+  let value = counter
+
+  for (let index = 7; index >= 0; index -= 1) {
+    bytes[index] = value % 256
+    value = Math.floor(value / 256)
+  }
+
+  return bytes
+}
+
+/**
+ * Computes the current code. Resolves to {code, period, remaining}, where
+ * `remaining` is the number of whole seconds the code stays valid.
+ */
+export async function totpCode(config, timestamp = Date.now()) {
+  const seconds = Math.floor(timestamp / 1000)
+  const counter = Math.floor(seconds / config.period)
+  const key = await crypto.subtle.importKey(
+    "raw",
+    base32ToBytes(config.secret),
+    { name: "HMAC", hash: ALGORITHMS[config.algorithm] },
+    false,
+    ["sign"]
+  )
+  const digest = new Uint8Array(await crypto.subtle.sign("HMAC", key, counterBytes(counter)))
+  const offset = digest[digest.length - 1] & 0x0f
+  const binary =
+    ((digest[offset] & 0x7f) << 24) |
+    (digest[offset + 1] << 16) |
+    (digest[offset + 2] << 8) |
+    digest[offset + 3]
+
+  return {
+    code: String(binary % 10 ** config.digits).padStart(config.digits, "0"),
+    period: config.period,
+    remaining: config.period - (seconds % config.period)
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * NerveTransfer - import and export for the Nerve page.
+ *
+ * Imports are parsed and encrypted entry by entry in the browser, previewed
+ * as a dry run with duplicates flagged, then uploaded in batches. Exports
+ * decrypt the vault locally and download it in the chosen format, sealed
+ * with the Nerve key unless the user explicitly asks for plaintext.
+ */
+
+import * as vaultSession from "./vault_session"
+import { decryptEntry, encryptEntry } from "./nerve_entry_crypto"
+import {
+  FORMATS,
+  encryptExport,
+  markDuplicates,
+  parseImportFile,
+  serializeExport
+} from "./nerve_transfer_formats"
+
+const FEATURE = "nerve"
+const BATCH_SIZE = 25
+const PREVIEW_ROWS = 100
+const PLAINTEXT_WARNING =
+  "This export will contain every password in plain text. Anyone who gets the file can read them. Continue?"
+
+export const NerveTransfer = {
+  mounted() {
+    this.preview = null
+    this.el.addEventListener("click", (event) => {
+      if (event.target.closest("[data-nerve-import-preview]")) return this.previewImport()
+      if (event.target.closest("[data-nerve-import-run]")) return this.runImport()
+      if (event.target.closest("[data-nerve-export-run]")) return this.runExport()
+    })
+    this.el.addEventListener("change", (event) => {
+      if (event.target.closest("[data-nerve-import-file]")) this.resetPreview()
+      if (event.target.closest("[data-nerve-import-skip-duplicates]")) this.setBusy(false)
+      if (event.target.closest("[data-nerve-export-encrypted]")) this.syncExportWarning()
+    })
+  },
+
+  destroyed() {
+    this.preview = null
+  },
+
+  // --- import ---
+
+  async previewImport() {
+    const file = this.el.querySelector("[data-nerve-import-file]")?.files?.[0]
+    if (!file) return this.setStatus("import", "Choose an export file first.")
+    if (!vaultSession.isUnlocked()) return this.setStatus("import", "Unlock Nerve first.")
+
+    this.resetPreview()
+    this.setStatus("import", "Reading file...")
+
+    try {
+      const key = await vaultSession.featureKey(FEATURE)
+      const parsed = await parseImportFile(file, { key })
+      const { entries: existing } = await this.loadVault(key, { secrets: false })
+
+      this.preview = { ...parsed, entries: markDuplicates(parsed.entries, existing) }
+      this.renderPreview()
+    } catch (error) {
+      this.setStatus("import", error.message)
+    }
+  },
+
+  importable() {
+    if (!this.preview) return []
+    const skipDuplicates = this.el.querySelector("[data-nerve-import-skip-duplicates]")?.checked
+    return this.preview.entries.filter((entry) => !(skipDuplicates && entry.duplicate))
+  },
+
+  async runImport() {
+    const entries = this.importable()
+    if (!entries.length) return this.setStatus("import", "Nothing to import.")
+    if (!vaultSession.isUnlocked()) return this.setStatus("import", "Unlock Nerve first.")
+
+    this.setBusy(true)
+    let imported = 0
+
+    try {
+      const key = await vaultSession.featureKey(FEATURE)
+
+      for (let index = 0; index < entries.length; index += BATCH_SIZE) {
+        const batch = entries
+          .slice(index, index + BATCH_SIZE)
+          .map(({ duplicate: _duplicate, ...entry }) => encryptEntry(entry, key))
+        const reply = await this.request("import_batch", { entries: await Promise.all(batch) })
+
+        imported += reply.imported
+        this.setStatus("import", `Imported ${imported} of ${entries.length} entries...`)
+      }
+
+      this.resetPreview()
+      this.el.querySelector("[data-nerve-import-file]").value = ""
+      this.setStatus("import", `Imported ${imported} ${imported === 1 ? "entry" : "entries"}.`)
+    } catch (error) {
+      // Entries already stored show up as duplicates if the file is previewed again.
+      this.resetPreview()
+      this.setStatus(
+        "import",
+        `${error.message} ${imported} of ${entries.length} entries were imported before it stopped.`
+      )
+    } finally {
+      this.setBusy(false)
+    }
+  },
+
+  resetPreview() {
+    this.preview = null
+    this.setStatus("import", "")
+    const list = this.el.querySelector("[data-nerve-import-preview-list]")
+    if (list) {
+      list.replaceChildren()
+      list.classList.add("hidden")
+    }
+    this.el.querySelector("[data-nerve-import-run]")?.setAttribute("disabled", "")
+  },
+
+  renderPreview() {
+    const { format, entries, skipped } = this.preview
+    const duplicates = entries.filter((entry) => entry.duplicate).length
+    const summary = [
+      `${FORMATS[format].label}: ${entries.length} ${entries.length === 1 ? "entry" : "entries"} found`,
+      duplicates ? `${duplicates} already in Nerve` : null,
+      skipped ? `${skipped} skipped without a password` : null
+    ]
+    this.setStatus("import", `${summary.filter(Boolean).join(", ")}. Nothing is saved until you import.`)
+
+    const list = this.el.querySelector("[data-nerve-import-preview-list]")
+    const table = document.createElement("table")
+    table.className = "table table-xs"
+    table.append(this.previewRow("th", ["Title", "Login", "Website", "Status"]))
+    entries.slice(0, PREVIEW_ROWS).forEach((entry) => {
+      const status = entry.duplicate ? "Duplicate" : entry.totp ? "New, with one-time codes" : "New"
+      table.append(this.previewRow("td", [entry.title, entry.login_username, entry.website, status]))
+    })
+
+    list.replaceChildren(table)
+    if (entries.length > PREVIEW_ROWS) {
+      const more = document.createElement("p")
+      more.className = "mt-2 text-xs text-base-content/60"
+      more.textContent = `And ${entries.length - PREVIEW_ROWS} more.`
+      list.append(more)
+    }
+    list.classList.toggle("hidden", entries.length === 0)
+    this.setBusy(false)
+  },
+
+  previewRow(cellTag, values) {
+    const row = document.createElement("tr")
+    values.forEach((value) => {
+      const cell = document.createElement(cellTag)
+      cell.className = "max-w-[12rem] truncate"
+      cell.textContent = value || "-"
+      row.append(cell)
+    })
+    return row
+  },
+
+  // --- export ---
+
+  syncExportWarning() {
+    const encrypted = this.el.querySelector("[data-nerve-export-encrypted]")?.checked
+    this.el.querySelector("[data-nerve-export-warning]")?.classList.toggle("hidden", encrypted)
+  },
+
+  async runExport() {
+    if (!vaultSession.isUnlocked()) return this.setStatus("export", "Unlock Nerve first.")
+
+    const format = this.el.querySelector("[data-nerve-export-format]")?.value
+    const encrypted = this.el.querySelector("[data-nerve-export-encrypted]")?.checked
+    if (!encrypted && !window.confirm(PLAINTEXT_WARNING)) return
+
+    this.setBusy(true)
+    this.setStatus("export", "Decrypting entries...")
+
+    try {
+      const key = await vaultSession.featureKey(FEATURE)
+      const { entries, failed } = await this.loadVault(key, { secrets: true })
+      const plain = serializeExport(format, entries)
+      const file = encrypted ? await encryptExport(plain, key) : plain
+
+      this.download(file)
+      this.setStatus(
+        "export",
+        `Exported ${entries.length} ${entries.length === 1 ? "entry" : "entries"}` +
+          (failed ? `; ${failed} could not be decrypted and were left out.` : ".")
+      )
+    } catch (error) {
+      this.setStatus("export", error.message)
+    } finally {
+      this.setBusy(false)
+    }
+  },
+
+  download(file) {
+    const url = URL.createObjectURL(new Blob([file.bytes], { type: file.mime }))
+    const link = document.createElement("a")
+    link.href = url
+    link.download = file.filename
+    document.body.append(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+  },
+
+  // --- server ---
+
+  request(event, payload) {
+    return new Promise((resolve, reject) => {
+      this.pushEvent(event, payload, (reply) => {
+        if (reply && reply.status === "ok") resolve(reply)
+        else reject(new Error((reply && reply.error) || "The server rejected the request."))
+      })
+    })
+  },
+
+  async loadVault(key, { secrets }) {
+    const reply = await this.request("export_entries", {})
+    const entries = []
+    let failed = 0
+
+    for (const record of reply.entries || []) {
+      try {
+        entries.push(await decryptEntry(record, key, { secrets }))
+      } catch (_error) {
+        failed += 1
+      }
+    }
+
+    return { entries, failed }
+  },
+
+  // --- small DOM helpers ---
+
+  setStatus(kind, message) {
+    const el = this.el.querySelector(`[data-nerve-${kind}-status]`)
+    if (el) el.textContent = message || ""
+  },
+
+  setBusy(busy) {
+    this.el
+      .querySelectorAll("[data-nerve-import-preview], [data-nerve-export-run]")
+      .forEach((button) => button.toggleAttribute("disabled", busy))
+    this.el
+      .querySelector("[data-nerve-import-run]")
+      ?.toggleAttribute("disabled", busy || !this.importable().length)
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * Nerve ZIP - just enough of the ZIP format for 1Password 1PUX archives.
+ *
+ * Reading supports stored and deflated members (inflated with the browser's
+ * DecompressionStream); writing produces stored, uncompressed archives.
+ */
+
+const LOCAL_SIGNATURE = 0x04034b50
+const CENTRAL_SIGNATURE = 0x02014b50
+const END_SIGNATURE = 0x06054b50
+const END_RECORD_SIZE = 22
+const UTF8_NAMES_FLAG = 0x0800
+// 1980-01-01, the earliest date a DOS timestamp can hold.
+const DOS_EPOCH_DATE = 0x0021
+
+let crcTable = null
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n += 1) {
+      let c = n
+      for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      crcTable[n] = c >>> 0
+    }
+  }
+
+  let crc = 0xffffffff
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/** True when the bytes start with a ZIP local file header. */
+export function isZip(bytes) {
+  return (
+    bytes.length >= 4 &&
+    new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) === LOCAL_SIGNATURE
+  )
+}
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("This browser cannot read compressed archives.")
+  }
+
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+function findEndRecord(view) {
+  const earliest = Math.max(0, view.byteLength - END_RECORD_SIZE - 0xffff)
+
+  for (let offset = view.byteLength - END_RECORD_SIZE; offset >= earliest; offset -= 1) {
+    if (view.getUint32(offset, true) === END_SIGNATURE) return offset
+  }
+
+  throw new Error("That file is not a ZIP archive.")
+}
+
+async function readMember(bytes, view, offset, method, size) {
+  if (view.getUint32(offset, true) !== LOCAL_SIGNATURE) {
+    throw new Error("That ZIP archive is damaged.")
+  }
+
+  const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true)
+  const data = bytes.subarray(start, start + size)
+
+  if (method === 0) return data
+  if (method === 8) return inflateRaw(data)
+  throw new Error("That ZIP archive uses an unsupported compression method.")
+}
+
+/**
+ * Lists an archive's members. Members are read lazily: the returned Map holds
+ * `name -> () => Promise<Uint8Array>` readers.
+ */
+export function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const end = findEndRecord(view)
+  const count = view.getUint16(end + 10, true)
+  const decoder = new TextDecoder()
+  const members = new Map()
+  let offset = view.getUint32(end + 16, true)
+
+  for (let index = 0; index < count; index += 1) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+      throw new Error("That ZIP archive is damaged.")
+    }
+
+    const method = view.getUint16(offset + 10, true)
+    const size = view.getUint32(offset + 20, true)
+    const nameLength = view.getUint16(offset + 28, true)
+    const extraLength = view.getUint16(offset + 30, true)
+    const commentLength = view.getUint16(offset + 32, true)
+    const localOffset = view.getUint32(offset + 42, true)
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength))
+
+    members.set(name, () => readMember(bytes, view, localOffset, method, size))
+    offset += 46 + nameLength + extraLength + commentLength
+  }
+
+  return members
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0))
+  let offset = 0
+  for (const part of parts) {
+    out.set(part, offset)
+    offset += part.length
+  }
+  return out
+}
+
+/** Builds a stored ZIP archive from `[{name, data: Uint8Array}]`. */
+export function writeZip(files) {
+  const encoder = new TextEncoder()
+  const locals = []
+  const centrals = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = encoder.encode(file.name)
+    const crc = crc32(file.data)
+    const local = new Uint8Array(30 + name.length)
+    const central = new Uint8Array(46 + name.length)
+    const localView = new DataView(local.buffer)
+    const centralView = new DataView(central.buffer)
+
+    localView.setUint32(0, LOCAL_SIGNATURE, true)
+    localView.setUint16(4, 20, true)
+    localView.setUint16(6, UTF8_NAMES_FLAG, true)
+    localView.setUint16(12, DOS_EPOCH_DATE, true)
+    localView.setUint32(14, crc, true)
+    localView.setUint32(18, file.data.length, true)
+    localView.setUint32(22, file.data.length, true)
+    localView.setUint16(26, name.length, true)
+    local.set(name, 30)
+
+    centralView.setUint32(0, CENTRAL_SIGNATURE, true)
+    centralView.setUint16(4, 20, true)
+    centralView.setUint16(6, 20, true)
+    centralView.setUint16(8, UTF8_NAMES_FLAG, true)
+    centralView.setUint16(14, DOS_EPOCH_DATE, true)
+    centralView.setUint32(16, crc, true)
+    centralView.setUint32(20, file.data.length, true)
+    centralView.setUint32(24, file.data.length, true)
+    centralView.setUint16(28, name.length, true)
+    centralView.setUint32(42, offset, true)
+    central.set(name, 46)
+
+    locals.push(local, file.data)
+    centrals.push(central)
+    offset += local.length + file.data.length
+  }
+
+  const directory = concatBytes(centrals)
+  const end = new Uint8Array(END_RECORD_SIZE)
+  const endView = new DataView(end.buffer)
+  endView.setUint32(0, END_SIGNATURE, true)
+  endView.setUint16(8, files.length, true)
+  endView.setUint16(10, files.length, true)
+  endView.setUint32(12, directory.length, true)
+  endView.setUint32(16, offset, true)
+
+  return concatBytes([...locals, directory, end])
+}
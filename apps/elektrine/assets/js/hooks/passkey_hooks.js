@@ -113,7 +113,10 @@ export const PasskeyRegister = {
         type: cred.type,
         id: base64URLToBuffer(cred.id),
         transports: cred.transports
-      }))
+      })),
+      // Some authenticators only turn on hmac-secret (PRF) when it is asked for
+      // at creation; without it the passkey can never unlock encrypted data.
+      extensions: { prf: {} }
     }
 
     // Request credential creation from browser/authenticator
@@ -136,6 +139,12 @@ export const PasskeyRegister = {
       attestationResponse.response.transports = response.getTransports()
     }
 
+    // Lets the server hide vault unlock for passkeys that reported no PRF support
+    const prf = credential.getClientExtensionResults?.().prf
+    if (typeof prf?.enabled === 'boolean') {
+      attestationResponse.client_extension_results = { prf: { enabled: prf.enabled } }
+    }
+
     // Send to server for verification
     this.pushEvent('passkey_registration_response', {
       attestation: attestationResponse,
@@ -0,0 +1,330 @@
+// Minimal QR code encoder for short in-browser payloads such as chat safety
+// numbers, which must never be rendered by the server. Byte mode, error
+// correction level M, versions 1-10 (up to 213 bytes).
+
+// [ec codewords per block, [block count, data codewords per block], ...] for level M
+const VERSIONS = [
+  null,
+  [10, [1, 16]],
+  [16, [1, 28]],
+  [26, [1, 44]],
+  [18, [2, 32]],
+  [24, [2, 43]],
+  [16, [4, 27]],
+  [18, [4, 31]],
+  [22, [2, 38], [2, 39]],
+  [22, [3, 36], [2, 37]],
+  [26, [4, 43], [1, 44]]
+]
+
+const ALIGNMENT_POSITIONS = [
+  null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+  [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+]
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, _y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+]
+
+function dataCapacity(version) {
+  const [, ...groups] = VERSIONS[version]
+  return groups.reduce((sum, [count, size]) => sum + count * size, 0)
+}
+
+function gfMultiply(x, y) {
+  let z = 0
+
+  for (let bit = 7; bit >= 0; bit--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d)
+    z ^= ((y >>> bit) & 1) * x
+  }
+
+  return z
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0)
+  result[degree - 1] = 1
+  let root = 1
+
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root)
+      if (j + 1 < degree) result[j] ^= result[j + 1]
+    }
+    root = gfMultiply(root, 0x02)
+  }
+
+  return result
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0)
+
+  for (const byte of data) {
+    const factor = byte ^ result.shift()
+    result.push(0)
+    divisor.forEach((coefficient, index) => {
+      result[index] ^= gfMultiply(coefficient, factor)
+    })
+  }
+
+  return result
+}
+
+function encodeData(bytes, version) {
+  const bits = []
+  const push = (value, length) => {
+    for (let bit = length - 1; bit >= 0; bit--) bits.push((value >>> bit) & 1)
+  }
+
+  push(0b0100, 4)
+  push(bytes.length, version < 10 ? 8 : 16)
+  bytes.forEach(byte => push(byte, 8))
+
+  const capacityBits = dataCapacity(version) * 8
+  push(0, Math.min(4, capacityBits - bits.length))
+  push(0, (8 - (bits.length % 8)) % 8)
+
+  const codewords = []
+  for (let index = 0; index < bits.length; index += 8) {
+    codewords.push(bits.slice(index, index + 8).reduce((byte, bit) => (byte << 1) | bit, 0))
+  }
+
+  for (let pad = 0xec; codewords.length < dataCapacity(version); pad ^= 0xec ^ 0x11) {
+    codewords.push(pad)
+  }
+
+  return codewords
+}
+
+function interleave(codewords, version) {
+  const [ecLength, ...groups] = VERSIONS[version]
+  const divisor = reedSolomonDivisor(ecLength)
+  const blocks = []
+  let offset = 0
+
+  groups.forEach(([count, size]) => {
+    for (let block = 0; block < count; block++) {
+      const data = codewords.slice(offset, offset + size)
+      blocks.push({ data, ec: reedSolomonRemainder(data, divisor) })
+      offset += size
+    }
+  })
+
+  const result = []
+  const longest = Math.max(...blocks.map(block => block.data.length))
+
+  for (let index = 0; index < longest; index++) {
+    blocks.forEach(block => index < block.data.length && result.push(block.data[index]))
+  }
+
+  for (let index = 0; index < ecLength; index++) {
+    blocks.forEach(block => result.push(block.ec[index]))
+  }
+
+  return result
+}
+
+class QrMatrix {
+  constructor(version) {
+    this.version = version
+    this.size = version * 4 + 17
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false))
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false))
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark
+    this.reserved[y][x] = true
+  }
+
+  drawFunctionPatterns() {
+    for (let i = 0; i < this.size; i++) {
+      this.setFunction(6, i, i % 2 === 0)
+      this.setFunction(i, 6, i % 2 === 0)
+    }
+
+    this.drawFinder(3, 3)
+    this.drawFinder(this.size - 4, 3)
+    this.drawFinder(3, this.size - 4)
+
+    const positions = ALIGNMENT_POSITIONS[this.version]
+    const last = positions.length - 1
+    positions.forEach((x, i) => positions.forEach((y, j) => {
+      const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)
+      if (!overlapsFinder) this.drawAlignment(x, y)
+    }))
+
+    this.drawFormatBits(0)
+    this.drawVersionBits()
+  }
+
+  drawFinder(cx, cy) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx
+        const y = cy + dy
+        const distance = Math.max(Math.abs(dx), Math.abs(dy))
+        if (x >= 0 && x < this.size && y >= 0 && y < this.size) {
+          this.setFunction(x, y, distance !== 2 && distance !== 4)
+        }
+      }
+    }
+  }
+
+  drawAlignment(cx, cy) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1)
+      }
+    }
+  }
+
+  // Level M has format bits 00, so only the mask number feeds the BCH code.
+  drawFormatBits(mask) {
+    let remainder = mask
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537)
+    const bits = ((mask << 10) | remainder) ^ 0x5412
+    const bit = index => ((bits >>> index) & 1) === 1
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i))
+    this.setFunction(8, 7, bit(6))
+    this.setFunction(8, 8, bit(7))
+    this.setFunction(7, 8, bit(8))
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i))
+
+    for (let i = 0; i < 8; i++) this.setFunction(this.size - 1 - i, 8, bit(i))
+    for (let i = 8; i < 15; i++) this.setFunction(8, this.size - 15 + i, bit(i))
+    this.setFunction(8, this.size - 8, true)
+  }
+
+  drawVersionBits() {
+    if (this.version < 7) return
+
+    let remainder = this.version
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25)
+    const bits = (this.version << 12) | remainder
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1
+      const a = this.size - 11 + (i % 3)
+      const b = Math.floor(i / 3)
+      this.setFunction(a, b, dark)
+      this.setFunction(b, a, dark)
+    }
+  }
+
+  drawCodewords(codewords) {
+    let index = 0
+
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5
+
+      for (let vertical = 0; vertical < this.size; vertical++) {
+        for (let column = 0; column < 2; column++) {
+          const x = right - column
+          const upward = ((right + 1) & 2) === 0
+          const y = upward ? this.size - 1 - vertical : vertical
+
+          if (!this.reserved[y][x] && index < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1
+            index++
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && MASKS[mask](x, y)) this.modules[y][x] = !this.modules[y][x]
+      }
+    }
+  }
+
+  // Runs, 2x2 blocks and dark balance; close enough to the spec to pick a readable mask.
+  penalty() {
+    let score = 0
+    let dark = 0
+
+    for (let a = 0; a < this.size; a++) {
+      let rowRun = 1
+      let columnRun = 1
+
+      for (let b = 0; b < this.size; b++) {
+        if (this.modules[a][b]) dark++
+
+        if (b > 0) {
+          rowRun = this.modules[a][b] === this.modules[a][b - 1] ? rowRun + 1 : 1
+          columnRun = this.modules[b][a] === this.modules[b - 1][a] ? columnRun + 1 : 1
+          if (rowRun === 5) score += 3
+          else if (rowRun > 5) score += 1
+          if (columnRun === 5) score += 3
+          else if (columnRun > 5) score += 1
+        }
+
+        if (a > 0 && b > 0) {
+          const color = this.modules[a][b]
+          if (color === this.modules[a - 1][b] && color === this.modules[a][b - 1] && color === this.modules[a - 1][b - 1]) {
+            score += 3
+          }
+        }
+      }
+    }
+
+    const total = this.size * this.size
+    return score + Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10
+  }
+}
+
+export function qrCodeMatrix(text) {
+  const bytes = Array.from(new TextEncoder().encode(text))
+  const version = VERSIONS.findIndex((entry, index) => {
+    if (!entry) return false
+    const headerBits = 4 + (index < 10 ? 8 : 16)
+    return headerBits + bytes.length * 8 <= dataCapacity(index) * 8
+  })
+
+  if (version < 1) throw new Error('QR payload is too long')
+
+  const codewords = interleave(encodeData(bytes, version), version)
+  let best = null
+
+  MASKS.forEach((_mask, mask) => {
+    const matrix = new QrMatrix(version)
+    matrix.drawFunctionPatterns()
+    matrix.drawCodewords(codewords)
+    matrix.applyMask(mask)
+    matrix.drawFormatBits(mask)
+
+    const score = matrix.penalty()
+    if (!best || score < best.score) best = { matrix, score }
+  })
+
+  return best.matrix.modules
+}
+
+export function drawQrCode(canvas, text, { quietZone = 4 } = {}) {
+  const modules = qrCodeMatrix(text)
+  const cells = modules.length + quietZone * 2
+  const scale = Math.max(1, Math.floor(Math.min(canvas.width, canvas.height) / cells))
+  const offset = Math.floor((canvas.width - cells * scale) / 2) + quietZone * scale
+  const context = canvas.getContext('2d')
+
+  context.fillStyle = '#ffffff'
+  context.fillRect(0, 0, canvas.width, canvas.height)
+  context.fillStyle = '#000000'
+
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) context.fillRect(offset + x * scale, offset + y * scale, scale, scale)
+  }))
+}
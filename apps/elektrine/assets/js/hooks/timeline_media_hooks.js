@@ -1,3 +1,4 @@
+import { bindKeymap, showKeymapHelp } from "../keymap";
 import { OverlayPortal } from "../utils/overlay_portal";
 import { registerUserHoverCardHook, unregisterUserHoverCardHook } from "../utils/user_hover_card_scroll";
 
@@ -117,18 +118,19 @@ export const UserHoverCard = {
  */
 export const ImageModal = {
   mounted() {
-    this.handleKeyDown = (e) => {
-      if (e.key === "Escape") this.pushEvent("close_image_modal", {});
-      else if (e.key === "ArrowLeft") this.pushEvent("prev_image", {});
-      else if (e.key === "ArrowRight") this.pushEvent("next_image", {});
-      else if (e.key === "ArrowUp") {
-        e.preventDefault();
-        this.pushEvent("prev_media_post", {});
-      } else if (e.key === "ArrowDown") {
-        e.preventDefault();
-        this.pushEvent("next_media_post", {});
-      }
-    };
+    const push = (event) => () => this.pushEvent(event, {});
+
+    this.unbindKeymap = bindKeymap(
+      {
+        "global.help": () => showKeymapHelp(),
+        "timeline.media.close": push("close_image_modal"),
+        "timeline.media.previous_image": push("prev_image"),
+        "timeline.media.next_image": push("next_image"),
+        "timeline.media.previous_post": push("prev_media_post"),
+        "timeline.media.next_post": push("next_media_post"),
+      },
+      { inInputs: true },
+    );
 
     this.lastScrollTime = 0;
     this.scrollThrottle = 200;
@@ -146,12 +148,11 @@ export const ImageModal = {
       else this.pushEvent("next_image", {});
     };
 
-    document.addEventListener("keydown", this.handleKeyDown);
     document.addEventListener("wheel", this.handleWheel, { passive: false });
   },
 
   destroyed() {
-    document.removeEventListener("keydown", this.handleKeyDown);
+    this.unbindKeymap?.();
     document.removeEventListener("wheel", this.handleWheel);
   },
 };
@@ -169,6 +169,18 @@ export async function decryptValue(payload, key, associatedData = null) {
   return decoder.decode(plaintext)
 }
 
+/** Encrypt raw bytes (e.g. a file) under a subkey; returns { iv, ciphertext } as bytes. */
+export async function encryptBytes(bytes, key, associatedData = null) {
+  const iv = randomBytes(12)
+  const ciphertext = await crypto.subtle.encrypt(aesGcmParams(iv, associatedData), key, bytes)
+  return { iv, ciphertext: new Uint8Array(ciphertext) }
+}
+
+export async function decryptBytes(ciphertext, iv, key, associatedData = null) {
+  const plaintext = await crypto.subtle.decrypt(aesGcmParams(iv, associatedData), key, ciphertext)
+  return new Uint8Array(plaintext)
+}
+
 /** Hex HMAC-SHA256 of a message under an HMAC key (for blind content hashes). */
 export async function hmacHex(message, hmacKey) {
   const signature = await crypto.subtle.sign("HMAC", hmacKey, encoder.encode(message))
@@ -2,6 +2,7 @@
  * VaultManager - browser side of the account-password vault page.
  * Generates/wraps the Master Data Key on setup, unwraps it on unlock, and
  * shares the unlocked key via vault_session so every feature unlocks at once.
+ * Also enrolls passkeys as extra unlockers (see vault_passkey).
  */
 
 import {
@@ -13,6 +14,7 @@ import {
   MIN_PASSPHRASE_LENGTH
 } from "./vault_crypto"
 import * as vaultSession from "./vault_session"
+import { passkeyErrorMessage, passkeysSupported, wrapWithPasskey } from "./vault_passkey"
 
 export const VaultManager = {
   mounted() {
@@ -79,6 +81,13 @@ export const VaultManager = {
     if (event.target.closest("[data-vault-recovery-finish]")) {
       event.preventDefault()
       this.finishRecovery()
+      return
+    }
+
+    const enroll = event.target.closest("[data-vault-passkey-enroll]")
+    if (enroll) {
+      event.preventDefault()
+      this.enrollPasskey(enroll)
     }
   },
 
@@ -268,6 +277,34 @@ export const VaultManager = {
     }
   },
 
+  async enrollPasskey(button) {
+    const setError = (message) => {
+      const el = this.el.querySelector("[data-vault-passkey-enroll-error]")
+      if (el) el.textContent = message || ""
+    }
+
+    setError("")
+    if (!passkeysSupported()) return setError("Passkeys are not supported in this browser.")
+    if (!vaultSession.isUnlocked()) return setError("Unlock encrypted data first.")
+
+    button.disabled = true
+    try {
+      const wrapped = await vaultSession.withMdk((mdk) =>
+        wrapWithPasskey(mdk, button.dataset.credentialId, {
+          rpId: this.el.dataset.vaultPasskeyRpId
+        })
+      )
+      this.pushEvent("enroll_passkey_unlocker", {
+        passkey_id: button.dataset.passkeyId,
+        wrapped_dek: JSON.stringify(wrapped)
+      })
+    } catch (error) {
+      setError(passkeyErrorMessage(error))
+    } finally {
+      button.disabled = false
+    }
+  },
+
   accountPasswordMode() {
     return this.el.dataset.vaultSecretMode === "account_password"
   },
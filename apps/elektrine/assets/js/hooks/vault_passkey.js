@@ -0,0 +1,143 @@
+/**
+ * Vault passkey - unlocks the Master Data Key with a passkey through the
+ * WebAuthn `prf` extension. Each enrolled passkey evaluates its PRF over a
+ * random per-passkey salt; the output is stretched with HKDF into the key
+ * that wraps the MDK, and never leaves the browser.
+ *
+ * Payload shape (server: account_master_key_passkeys):
+ *   {version, algorithm, kdf: "WebAuthn-PRF-HKDF-SHA256", salt, iv, ciphertext}
+ */
+
+import { ALGORITHM, VERSION, base64ToBytes, bytesToBase64, randomBytes } from "./vault_crypto"
+
+export const PRF_KDF = "WebAuthn-PRF-HKDF-SHA256"
+
+const HKDF_INFO = "elektrine-vault:passkey-prf"
+const SALT_LENGTH = 32
+const TIMEOUT_MS = 60000
+
+const encoder = new TextEncoder()
+
+export function passkeysSupported() {
+  return typeof window.PublicKeyCredential === "function" && !!navigator.credentials
+}
+
+export function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/")
+  return base64ToBytes(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="))
+}
+
+// The wrap is bound to the passkey it was made for, so a payload cannot be
+// replayed against a different credential's PRF output.
+function associatedData(credentialId) {
+  return encoder.encode(
+    JSON.stringify({ purpose: "elektrine-vault-passkey", credential_id: credentialId })
+  )
+}
+
+async function wrappingKey(prfOutput) {
+  const base = await crypto.subtle.importKey("raw", prfOutput, "HKDF", false, ["deriveKey"])
+  return crypto.subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt: new Uint8Array(0), info: encoder.encode(HKDF_INFO) },
+    base,
+    { name: ALGORITHM, length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  )
+}
+
+/**
+ * Runs one WebAuthn assertion that evaluates the PRF for every candidate
+ * `{credentialId, salt}` (base64url ID, raw salt bytes). Resolves to the
+ * passkey the user picked and its PRF output. The challenge is local because
+ * nothing is sent to the server: possession is proven by the PRF output
+ * unwrapping the key.
+ */
+export async function evaluatePrf(candidates, { rpId } = {}) {
+  const evalByCredential = {}
+  candidates.forEach(({ credentialId, salt }) => {
+    evalByCredential[credentialId] = { first: salt }
+  })
+
+  const publicKey = {
+    challenge: randomBytes(32),
+    timeout: TIMEOUT_MS,
+    userVerification: "required",
+    allowCredentials: candidates.map(({ credentialId }) => ({
+      type: "public-key",
+      id: base64UrlToBytes(credentialId)
+    })),
+    extensions: { prf: { evalByCredential } }
+  }
+  if (rpId) publicKey.rpId = rpId
+
+  const credential = await navigator.credentials.get({ publicKey })
+  const output = credential.getClientExtensionResults().prf?.results?.first
+
+  if (!output) {
+    throw new Error(
+      "This passkey cannot unlock encrypted data. Use one that supports the PRF extension."
+    )
+  }
+
+  return { credentialId: credential.id, output: new Uint8Array(output) }
+}
+
+/** Wraps the MDK for a passkey, prompting for it once. */
+export async function wrapWithPasskey(mdkBytes, credentialId, { rpId } = {}) {
+  const salt = randomBytes(SALT_LENGTH)
+  const { output } = await evaluatePrf([{ credentialId, salt }], { rpId })
+  const iv = randomBytes(12)
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: ALGORITHM, iv, additionalData: associatedData(credentialId) },
+    await wrappingKey(output),
+    mdkBytes
+  )
+
+  return {
+    version: VERSION,
+    algorithm: ALGORITHM,
+    kdf: PRF_KDF,
+    salt: bytesToBase64(salt),
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+  }
+}
+
+/**
+ * Prompts for any enrolled passkey (`[{credential_id, wrapped_dek}]`) and
+ * resolves to the unwrapped MDK.
+ */
+export async function unwrapWithPasskey(unlockers, { rpId } = {}) {
+  const candidates = unlockers.map((unlocker) => ({
+    credentialId: unlocker.credential_id,
+    salt: base64ToBytes(unlocker.wrapped_dek.salt)
+  }))
+  const { credentialId, output } = await evaluatePrf(candidates, { rpId })
+  const unlocker = unlockers.find((candidate) => candidate.credential_id === credentialId)
+  if (!unlocker) throw new Error("That passkey is not set up to unlock encrypted data.")
+
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      {
+        name: ALGORITHM,
+        iv: base64ToBytes(unlocker.wrapped_dek.iv),
+        additionalData: associatedData(credentialId)
+      },
+      await wrappingKey(output),
+      base64ToBytes(unlocker.wrapped_dek.ciphertext)
+    )
+    return new Uint8Array(plaintext)
+  } catch (_error) {
+    throw new Error(
+      "This passkey no longer unlocks encrypted data. Set it up again on the Encrypted Data page."
+    )
+  }
+}
+
+/** A user-facing message for a failed passkey prompt. */
+export function passkeyErrorMessage(error) {
+  if (error?.name === "NotAllowedError") return "Passkey prompt was cancelled or timed out."
+  if (error?.name === "SecurityError") return "Passkeys are not available on this address."
+  return error?.message || "Passkey unlock failed."
+}
@@ -0,0 +1,72 @@
+/**
+ * VaultPasskeyUnlock - the "Unlock with passkey" control shared by the vault,
+ * Nerve, Kairo and private-mailbox unlock panels. One tap unwraps the Master
+ * Data Key with an enrolled passkey and unlocks vault_session, so every panel
+ * subscribed to the session reacts exactly as it does to a password unlock.
+ */
+
+import * as vaultSession from "./vault_session"
+import { passkeyErrorMessage, passkeysSupported, unwrapWithPasskey } from "./vault_passkey"
+
+export const VaultPasskeyUnlock = {
+  mounted() {
+    this.pending = false
+    this.unsubscribe = vaultSession.subscribe(() => this.render())
+    this.onClick = (event) => {
+      if (!event.target.closest("[data-vault-passkey-unlock]")) return
+      event.preventDefault()
+      this.unlock()
+    }
+    this.el.addEventListener("click", this.onClick)
+    this.render()
+  },
+
+  updated() {
+    this.render()
+  },
+
+  destroyed() {
+    this.unsubscribe && this.unsubscribe()
+    this.el.removeEventListener("click", this.onClick)
+  },
+
+  unlockers() {
+    try {
+      return JSON.parse(this.el.dataset.vaultPasskeyUnlockers || "[]")
+    } catch (_error) {
+      return []
+    }
+  },
+
+  render() {
+    const available =
+      passkeysSupported() && this.unlockers().length > 0 && !vaultSession.isUnlocked()
+    this.el.classList.toggle("hidden", !available)
+  },
+
+  setError(message) {
+    const el = this.el.querySelector("[data-vault-passkey-error]")
+    if (el) el.textContent = message || ""
+  },
+
+  async unlock() {
+    if (this.pending) return
+
+    const button = this.el.querySelector("[data-vault-passkey-unlock]")
+    this.pending = true
+    this.setError("")
+    button?.toggleAttribute("disabled", true)
+
+    try {
+      const mdk = await unwrapWithPasskey(this.unlockers(), {
+        rpId: this.el.dataset.vaultPasskeyRpId
+      })
+      vaultSession.unlock(mdk)
+    } catch (error) {
+      this.setError(passkeyErrorMessage(error))
+    } finally {
+      this.pending = false
+      button?.toggleAttribute("disabled", false)
+    }
+  }
+}
@@ -87,7 +87,7 @@ export function lock() {
   notify()
 }
 
-/** AES-GCM key for a feature ("nerve" | "kairo" | "email"). Throws if locked. */
+/** AES-GCM key for a feature ("nerve" | "kairo" | "email" | "chat"). Throws if locked. */
 export async function featureKey(feature) {
   if (!mdk) throw new Error("vault-locked")
   if (!featureKeys.has(feature)) {
@@ -96,6 +96,15 @@ export async function featureKey(feature) {
   return featureKeys.get(feature)
 }
 
+/**
+ * Run `fn` with the raw MDK, e.g. to wrap it for a new passkey unlocker.
+ * The bytes are not handed out otherwise. Throws if locked.
+ */
+export function withMdk(fn) {
+  if (!mdk) throw new Error("vault-locked")
+  return fn(mdk)
+}
+
 /** HMAC key for a feature (blind dedup hashes). Throws if locked. */
 export async function featureHmacKey(feature) {
   if (!mdk) throw new Error("vault-locked")
@@ -1,18 +1,55 @@
 /**
- * LiveView hook for community voice channels (full-mesh WebRTC audio).
+ * LiveView hook for community voice channels and group conversation calls.
  *
- * The LiveView pushes "voice_join" / "voice_leave" / "voice_toggle_mute"
- * events; this hook owns the media session: one Phoenix channel on
- * `voice:<conversation_id>`, one RTCPeerConnection per remote occupant, and
- * one hidden <audio> element per remote stream (appended to the hook root).
+ * The LiveView pushes "voice_join" / "voice_leave" / "voice_toggle_mute" /
+ * "voice_toggle_video" / "voice_toggle_screen" events; this hook owns the
+ * media session: one Phoenix channel on `voice:<conversation_id>`, a media
+ * topology picked by the server in the join reply (full mesh for small rooms,
+ * a self-hosted SFU for large ones; see group_call_topology.js), and one
+ * hidden <audio> element per remote participant (appended to the hook root).
  *
- * Initiator rule: for each pair of peers, the one with the greater
- * (joined_at, user_id) presence tuple initiates the offer. Newcomers
- * therefore offer to everyone already present, and concurrent joins are
- * broken deterministically without glare.
+ * Video calls render into the `[data-call-stage]` panel inside the hook root:
+ * a grid of tiles, or a speaker layout that follows the loudest participant
+ * unless a tile is pinned by clicking it. Screen shares get their own
+ * resizable tiles in `[data-call-screens]` above the participants.
+ *
+ * Media is encrypted end to end on top of the transport when every
+ * participant can (see call_media_e2ee.js): each client puts its
+ * `e2ee_supported` / `media_key_uid` in presence, and the status goes to the
+ * LiveView as "voice_media_encryption_changed".
+ *
+ * Audio settings live in the `[data-voice-settings]` panel (opened with
+ * "voice_toggle_settings") and persist per browser (see voice_audio.js):
+ * input/output devices, echo cancellation, auto gain, noise suppression,
+ * push-to-talk and per-participant volume. A Web Audio analyser per
+ * participant drives the speaking highlight, reported to the LiveView as
+ * "voice_speaking_changed".
  */
 
-import { Socket } from "phoenix"
+import { Presence, Socket } from "phoenix"
+import { CallMediaEncryption } from "../call_media_e2ee"
+import { createTopology } from "../group_call_topology"
+import {
+  SpeakingDetector,
+  audioConstraints,
+  keyLabel,
+  listAudioDevices,
+  loadVoiceSettings,
+  outputSelectionSupported,
+  saveVoiceSettings
+} from "../voice_audio"
+
+const VIDEO_CONSTRAINTS = {
+  width: { ideal: 1280 },
+  height: { ideal: 720 },
+  frameRate: { ideal: 24, max: 30 }
+}
+const SCREEN_SHARE_CONSTRAINTS = {
+  video: { frameRate: { ideal: 15, max: 30 } },
+  audio: true
+}
+const ACTIVE_SPEAKER_INTERVAL_MS = 500
+const ACTIVE_SPEAKER_THRESHOLD = 0.05
 
 function mapMediaError(error) {
   if (!error) return "Unable to access microphone."
@@ -34,9 +71,22 @@ function mapMediaError(error) {
   return message
 }
 
+function editableTarget(target) {
+  return Boolean(target?.closest?.("input, textarea, select, [contenteditable='true']"))
+}
+
+function gridColumns(count) {
+  if (count <= 1) return 1
+  if (count <= 4) return 2
+  if (count <= 9) return 3
+  return 4
+}
+
 export const VoiceChannel = {
   mounted() {
     this.session = null
+    this.settings = loadVoiceSettings()
+    this.capturingKey = false
 
     this.handleEvent("voice_join", (payload) => {
       this.join(payload)
@@ -50,9 +100,43 @@ export const VoiceChannel = {
     this.handleEvent("voice_toggle_mute", () => {
       this.toggleMute()
     })
+
+    this.handleEvent("voice_toggle_video", () => {
+      this.toggleVideo()
+    })
+
+    this.handleEvent("voice_toggle_screen", () => {
+      this.toggleScreen()
+    })
+
+    this.handleEvent("voice_toggle_settings", () => {
+      this.toggleSettings()
+    })
+
+    this.clickHandler = (event) => this.handleStageClick(event)
+    this.settingsChangeHandler = (event) => this.handleSettingsChange(event)
+    this.keyDownHandler = (event) => this.handlePushToTalk(event, true)
+    this.keyUpHandler = (event) => this.handlePushToTalk(event, false)
+    this.blurHandler = () => this.setTalking(false)
+    this.deviceChangeHandler = () => this.renderSettings()
+
+    this.el.addEventListener("click", this.clickHandler)
+    this.el.addEventListener("change", this.settingsChangeHandler)
+    this.el.addEventListener("input", this.settingsChangeHandler)
+    window.addEventListener("keydown", this.keyDownHandler)
+    window.addEventListener("keyup", this.keyUpHandler)
+    window.addEventListener("blur", this.blurHandler)
+    navigator.mediaDevices?.addEventListener?.("devicechange", this.deviceChangeHandler)
   },
 
   destroyed() {
+    this.el.removeEventListener("click", this.clickHandler)
+    this.el.removeEventListener("change", this.settingsChangeHandler)
+    this.el.removeEventListener("input", this.settingsChangeHandler)
+    window.removeEventListener("keydown", this.keyDownHandler)
+    window.removeEventListener("keyup", this.keyUpHandler)
+    window.removeEventListener("blur", this.blurHandler)
+    navigator.mediaDevices?.removeEventListener?.("devicechange", this.deviceChangeHandler)
     this.teardown()
   },
 
@@ -65,6 +149,9 @@ export const VoiceChannel = {
       this.safePushEvent("voice_rejoined", {
         conversation_id: session.conversationId,
         muted: session.muted,
+        video: session.video,
+        screen_sharing: Boolean(session.screenStream),
+        media_encryption: session.encryption?.status || null,
       })
     }
   },
@@ -77,12 +164,40 @@ export const VoiceChannel = {
     }
   },
 
-  async join({ conversation_id, user_id, user_token, ice_servers }) {
+  async openLocalStream(video) {
+    const audio = audioConstraints(this.settings)
+
+    if (video) {
+      try {
+        return await navigator.mediaDevices.getUserMedia({ audio, video: VIDEO_CONSTRAINTS })
+      } catch (_error) {
+        // No usable camera; fall back to joining with audio only.
+      }
+    }
+
+    return this.openMicrophone()
+  },
+
+  async openMicrophone() {
+    const audio = audioConstraints(this.settings)
+
+    try {
+      return await navigator.mediaDevices.getUserMedia({ audio })
+    } catch (error) {
+      // The saved microphone may be unplugged; use the default one instead.
+      if (!audio.deviceId) throw error
+
+      delete audio.deviceId
+      return navigator.mediaDevices.getUserMedia({ audio })
+    }
+  },
+
+  async join({ conversation_id, user_id, user_token, ice_servers, transport, video, stage }) {
     this.teardown()
 
     let localStream
     try {
-      localStream = await navigator.mediaDevices.getUserMedia({ audio: true })
+      localStream = await this.openLocalStream(video)
     } catch (error) {
       this.safePushEvent("voice_error", { reason: mapMediaError(error) })
       return
@@ -91,277 +206,787 @@ export const VoiceChannel = {
     const socket = new Socket("/socket", { params: { token: user_token } })
     socket.connect()
 
-    const channel = socket.channel(`voice:${conversation_id}`, {})
+    const channel = socket.channel(`voice:${conversation_id}`, { video: Boolean(video) })
+    const presence = new Presence(channel)
 
-    this.session = {
+    const session = {
       conversationId: conversation_id,
       userId: user_id,
       iceServers: ice_servers || [],
+      sfu: transport?.sfu || null,
       socket,
       channel,
+      presence,
       localStream,
-      peers: new Map(),
-      myJoinedAt: Infinity,
+      encryption: null,
+      topology: null,
+      topologyName: null,
+      participants: [],
+      remoteStreams: new Map(),
+      remoteScreens: new Map(),
+      screenStream: null,
+      audioElements: new Map(),
       muted: false,
+      video: localStream.getVideoTracks().length > 0,
+      stage: Boolean(stage),
+      layout: "grid",
+      pinnedId: null,
+      activeSpeakerId: null,
+      speakerTimer: null,
+      detector: null,
+      speaking: new Set(),
+      talking: false,
+      minimized: false,
     }
+    this.session = session
+
+    session.detector = new SpeakingDetector({
+      onChange: (speaking) => {
+        if (this.session !== session) return
+
+        session.speaking = speaking
+        this.safePushEvent("voice_speaking_changed", { user_ids: Array.from(speaking) })
+        this.renderStage()
+      },
+    })
+    session.detector.watch(user_id, localStream)
+    this.applyMicState(session)
 
-    channel.on("presence_state", (state) => this.handlePresenceState(state))
-    channel.on("presence_diff", (diff) => this.handlePresenceDiff(diff))
-    channel.on("signal", (payload) => this.handleSignal(payload))
+    session.encryption = new CallMediaEncryption({
+      conversationId: conversation_id,
+      onStatus: (status) => {
+        if (this.session === session) this.safePushEvent("voice_media_encryption_changed", { status })
+      },
+      onAnnounce: (announcement) => {
+        if (channel.state === "joined") channel.push("set_e2ee", announcement)
+      },
+    })
+
+    if (Boolean(video) !== session.video) {
+      this.safePushEvent("voice_video_changed", { video: session.video })
+    }
+
+    presence.onSync(() => this.syncParticipants())
+    channel.on("signal", (payload) => session.topology?.handleSignal(payload))
 
     channel
       .join()
-      .receive("ok", () => {
+      .receive("ok", (reply) => {
+        if (this.session !== session) return
+
+        try {
+          this.startTopology(reply?.topology || "mesh")
+        } catch (_error) {
+          this.fail("sfu_unavailable")
+          return
+        }
+
+        channel.push("set_media", { video: session.video, stream_id: localStream.id })
+        session.encryption.start()
         this.safePushEvent("voice_joined", { conversation_id })
+        this.renderStage()
       })
       .receive("error", (resp) => {
-        this.teardown()
-        this.safePushEvent("voice_error", { reason: resp?.reason || "join_failed" })
+        this.fail(resp?.reason || "join_failed")
       })
       .receive("timeout", () => {
-        this.teardown()
-        this.safePushEvent("voice_error", { reason: "Connection timed out" })
+        this.fail("Connection timed out")
       })
   },
 
-  presenceEntries(state) {
-    return Object.entries(state || {}).map(([key, value]) => {
-      const meta = (value.metas && value.metas[0]) || {}
-      return {
-        userId: meta.user_id || parseInt(key, 10),
-        joinedAt: meta.joined_at ?? 0,
-      }
-    })
+  fail(reason) {
+    this.teardown()
+    this.safePushEvent("voice_error", { reason })
   },
 
-  // True when the remote peer's presence tuple sorts before ours, meaning we
-  // are the newer side of the pair and must initiate the offer.
-  shouldInitiateTo(peer) {
+  startTopology(name) {
     const session = this.session
-    if (!session) return false
 
-    if (peer.joinedAt !== session.myJoinedAt) {
-      return peer.joinedAt < session.myJoinedAt
+    if (name === "sfu" && !session.sfu?.endpoint) {
+      throw new Error("sfu_unavailable")
     }
 
-    return peer.userId < session.userId
+    session.topologyName = name
+    session.topology = createTopology(name, {
+      userId: session.userId,
+      conversationId: session.conversationId,
+      channel: session.channel,
+      iceServers: session.iceServers,
+      sfu: session.sfu,
+      localStream: session.localStream,
+      encryption: session.encryption,
+      onTrack: (userId, track, options) => {
+        if (options?.screen) this.attachScreenTrack(userId, track)
+        else this.attachTrack(userId, track)
+      },
+      onPeerLeft: (userId) => this.detachPeer(userId),
+      onError: (reason) => this.fail(reason),
+    })
+    session.topology.sync(session.participants)
+
+    session.speakerTimer = setInterval(() => this.updateActiveSpeaker(), ACTIVE_SPEAKER_INTERVAL_MS)
   },
 
-  handlePresenceState(state) {
+  syncParticipants() {
     const session = this.session
     if (!session) return
 
-    const entries = this.presenceEntries(state)
-    const me = entries.find((entry) => entry.userId === session.userId)
+    session.participants = session.presence
+      .list((key, { metas }) => {
+        const meta = metas[0] || {}
+        return {
+          userId: meta.user_id || parseInt(key, 10),
+          joinedAt: meta.joined_at ?? 0,
+          name: meta.display_name || meta.username || "",
+          avatar: meta.avatar || null,
+          muted: meta.muted === true,
+          video: meta.video === true,
+          streamId: meta.stream_id || null,
+          screenStreamId: meta.screen_stream_id || null,
+          e2eeSupported: typeof meta.e2ee_supported === "boolean" ? meta.e2ee_supported : null,
+          mediaKeyUid: meta.media_key_uid || null,
+        }
+      })
+      .sort((a, b) => a.joinedAt - b.joinedAt || a.userId - b.userId)
+
+    session.encryption?.setPeers(
+      session.participants
+        .filter((participant) => participant.userId !== session.userId)
+        .map((participant) => ({
+          id: participant.userId,
+          supported: participant.e2eeSupported,
+          keyUid: participant.mediaKeyUid,
+        }))
+    )
+
+    session.topology?.sync(session.participants)
+    this.renderStage()
+
+    const settingsPanel = this.el.querySelector("[data-voice-settings]")
+    if (settingsPanel && !settingsPanel.classList.contains("hidden")) this.renderPeerVolumes(settingsPanel)
+  },
+
+  attachTrack(userId, track) {
+    const session = this.session
+    if (!session) return
 
-    if (me) {
-      session.myJoinedAt = me.joinedAt
+    let stream = session.remoteStreams.get(userId)
+    if (!stream) {
+      stream = new MediaStream()
+      session.remoteStreams.set(userId, stream)
     }
 
-    entries
-      .filter((entry) => entry.userId !== session.userId)
-      .filter((entry) => this.shouldInitiateTo(entry))
-      .forEach((entry) => {
-        this.createPeer(entry.userId, true)
-      })
+    stream.getTracks()
+      .filter((existing) => existing.kind === track.kind && existing !== track)
+      .forEach((existing) => stream.removeTrack(existing))
+    if (!stream.getTracks().includes(track)) stream.addTrack(track)
+
+    if (track.kind === "audio") {
+      this.attachAudio(userId, stream)
+    } else {
+      track.onunmute = () => this.renderStage()
+      track.onmute = () => this.renderStage()
+      this.renderStage()
+    }
   },
 
-  handlePresenceDiff(diff) {
+  attachScreenTrack(userId, track) {
     const session = this.session
     if (!session) return
 
-    const joins = diff?.joins || {}
-    const leaves = diff?.leaves || {}
+    let stream = session.remoteScreens.get(userId)
+    if (!stream) {
+      stream = new MediaStream()
+      session.remoteScreens.set(userId, stream)
+    }
 
-    // Presence meta updates (e.g. mute) emit the same key in joins+leaves.
-    Object.keys(leaves).forEach((key) => {
-      if (key in joins) return
+    stream.getTracks()
+      .filter((existing) => existing.kind === track.kind && existing !== track)
+      .forEach((existing) => stream.removeTrack(existing))
+    if (!stream.getTracks().includes(track)) stream.addTrack(track)
 
-      const meta = (leaves[key].metas && leaves[key].metas[0]) || {}
-      const userId = meta.user_id || parseInt(key, 10)
+    this.renderStage()
+  },
 
-      if (userId !== session.userId) {
-        this.closePeer(userId)
-      }
-    })
+  attachAudio(userId, stream) {
+    const session = this.session
+    let audio = session.audioElements.get(userId)
 
-    // Concurrent joiners may not have been in our presence_state snapshot;
-    // if their tuple sorts before ours we still own the offer.
-    this.presenceEntries(joins)
-      .filter((entry) => entry.userId !== session.userId)
-      .filter((entry) => !session.peers.has(entry.userId))
-      .filter((entry) => this.shouldInitiateTo(entry))
-      .forEach((entry) => {
-        this.createPeer(entry.userId, true)
-      })
+    if (!audio) {
+      audio = document.createElement("audio")
+      audio.id = `voice-audio-${userId}`
+      audio.autoplay = true
+      this.el.appendChild(audio)
+      session.audioElements.set(userId, audio)
+    }
+
+    audio.srcObject = stream
+    this.applyOutput(audio, userId)
+    audio.play().catch(() => {})
+    session.detector?.watch(userId, stream)
   },
 
-  getOrCreatePeer(peerId) {
-    const session = this.session
-    if (!session) return null
+  applyOutput(audio, userId) {
+    const volume = this.settings.peerVolumes[userId]
+    audio.volume = typeof volume === "number" ? Math.min(Math.max(volume, 0), 1) : 1
 
-    if (session.peers.has(peerId)) {
-      return session.peers.get(peerId)
+    if (outputSelectionSupported()) {
+      audio.setSinkId(this.settings.outputDeviceId || "").catch(() => {})
     }
+  },
 
-    const pc = new RTCPeerConnection({ iceServers: session.iceServers })
-    const peer = { pc, audioEl: null, pendingCandidates: [] }
+  detachPeer(userId) {
+    const session = this.session
+    if (!session) return
 
-    session.localStream.getTracks().forEach((track) => {
-      pc.addTrack(track, session.localStream)
-    })
+    session.remoteStreams.delete(userId)
+    session.remoteScreens.delete(userId)
 
-    pc.onicecandidate = (event) => {
-      if (event.candidate) {
-        this.pushSignal(peerId, "ice", event.candidate.toJSON())
-      }
+    const audio = session.audioElements.get(userId)
+    if (audio) {
+      audio.srcObject = null
+      audio.remove()
+      session.audioElements.delete(userId)
     }
+    session.detector?.unwatch(userId)
+
+    if (session.pinnedId === userId) session.pinnedId = null
+    this.renderStage()
+  },
 
-    pc.ontrack = (event) => {
-      const stream = event.streams[0] || new MediaStream([event.track])
-      this.attachAudio(peer, peerId, stream)
+  toggleMute() {
+    const session = this.session
+    if (!session) return
+
+    session.muted = !session.muted
+    this.applyMicState(session)
+
+    if (session.channel && session.channel.state === "joined") {
+      session.channel.push("set_muted", { muted: session.muted })
     }
 
-    pc.onconnectionstatechange = () => {
-      if (pc.connectionState === "failed" || pc.connectionState === "closed") {
-        this.closePeer(peerId)
+    this.safePushEvent("voice_mute_changed", { muted: session.muted })
+  },
+
+  async toggleVideo() {
+    const session = this.session
+    if (!session) return
+
+    if (session.video) {
+      session.localStream.getVideoTracks().forEach((track) => {
+        track.stop()
+        session.localStream.removeTrack(track)
+      })
+      session.video = false
+      await session.topology?.setVideoTrack(null)
+    } else {
+      let track
+      try {
+        const camera = await navigator.mediaDevices.getUserMedia({ video: VIDEO_CONSTRAINTS })
+        track = camera.getVideoTracks()[0]
+      } catch (_error) {
+        this.safePushEvent("voice_video_changed", { video: false })
+        return
+      }
+
+      if (this.session !== session) {
+        track.stop()
+        return
       }
+
+      session.localStream.addTrack(track)
+      session.video = true
+      session.stage = true
+      await session.topology?.setVideoTrack(track)
     }
 
-    session.peers.set(peerId, peer)
-    return peer
+    if (session.channel.state === "joined") {
+      session.channel.push("set_media", { video: session.video, stream_id: session.localStream.id })
+    }
+
+    this.safePushEvent("voice_video_changed", { video: session.video })
+    this.renderStage()
   },
 
-  async createPeer(peerId, initiator) {
-    const peer = this.getOrCreatePeer(peerId)
-    if (!peer || !initiator) return
+  async toggleScreen() {
+    const session = this.session
+    if (!session) return
+
+    if (session.screenStream) {
+      await this.stopScreen()
+      return
+    }
 
+    let stream
     try {
-      const offer = await peer.pc.createOffer()
-      await peer.pc.setLocalDescription(offer)
-      this.pushSignal(peerId, "offer", peer.pc.localDescription.toJSON())
+      stream = await navigator.mediaDevices.getDisplayMedia(SCREEN_SHARE_CONSTRAINTS)
     } catch (_error) {
-      this.closePeer(peerId)
+      // Cancelling the browser's picker lands here too.
+      this.safePushEvent("voice_screen_changed", { sharing: false })
+      return
+    }
+
+    if (this.session !== session) {
+      stream.getTracks().forEach((track) => track.stop())
+      return
     }
+
+    const [videoTrack] = stream.getVideoTracks()
+    if ("contentHint" in videoTrack) videoTrack.contentHint = "detail"
+    // The browser's own "Stop sharing" button ends the track.
+    videoTrack.addEventListener("ended", () => {
+      if (this.session === session && session.screenStream === stream) this.stopScreen()
+    })
+
+    session.screenStream = stream
+    session.stage = true
+    await session.topology?.setScreenStream(stream)
+    this.pushScreen(session)
   },
 
-  pushSignal(peerId, kind, payload) {
-    const channel = this.session?.channel
+  async stopScreen() {
+    const session = this.session
+    const stream = session?.screenStream
+    if (!stream) return
+
+    session.screenStream = null
+    stream.getTracks().forEach((track) => track.stop())
+    await session.topology?.setScreenStream(null)
+    this.pushScreen(session)
+  },
 
-    if (channel && channel.state === "joined") {
-      channel.push("signal", { to: peerId, kind, payload })
+  pushScreen(session) {
+    if (session.channel.state === "joined") {
+      session.channel.push("set_screen", { stream_id: session.screenStream?.id || null })
     }
+
+    this.safePushEvent("voice_screen_changed", { sharing: Boolean(session.screenStream) })
+    this.renderStage()
   },
 
-  async handleSignal({ from, kind, payload }) {
+  // The microphone sends while unmuted, and with push-to-talk on only while
+  // the key is held.
+  applyMicState(session) {
+    const live = !session.muted && (!this.settings.pushToTalk || session.talking)
+
+    session.localStream.getAudioTracks().forEach((track) => {
+      track.enabled = live
+    })
+  },
+
+  setTalking(talking) {
     const session = this.session
-    if (!session || from === session.userId) return
+    if (!session || session.talking === talking) return
 
-    try {
-      if (kind === "offer") {
-        await this.handleOffer(from, payload)
-      } else if (kind === "answer") {
-        await this.handleAnswer(from, payload)
-      } else if (kind === "ice") {
-        await this.handleRemoteCandidate(from, payload)
-      }
-    } catch (_error) {
-      // A broken negotiation with one peer should not take the session down.
+    session.talking = talking
+    this.applyMicState(session)
+  },
+
+  handlePushToTalk(event, pressed) {
+    if (this.capturingKey && pressed) {
+      event.preventDefault()
+      this.capturingKey = false
+      this.settings = saveVoiceSettings({ pushToTalkKey: event.code })
+      this.renderSettings()
+      return
     }
+
+    if (!this.session || !this.settings.pushToTalk || event.code !== this.settings.pushToTalkKey) return
+    // Typing the key into a field is not talking; releasing it always stops.
+    if (pressed && (event.repeat || editableTarget(event.target))) return
+
+    event.preventDefault()
+    this.setTalking(pressed)
   },
 
-  async handleOffer(peerId, sdp) {
-    const peer = this.getOrCreatePeer(peerId)
-    if (!peer) return
+  toggleSettings() {
+    const panel = this.el.querySelector("[data-voice-settings]")
+    if (!panel) return
 
-    await peer.pc.setRemoteDescription(new RTCSessionDescription(sdp))
-    await this.flushCandidates(peer)
+    const opening = panel.classList.contains("hidden") && Boolean(this.session)
+    panel.classList.toggle("hidden", !opening)
+    this.capturingKey = false
+    if (opening) this.renderSettings()
+  },
+
+  async renderSettings() {
+    const panel = this.el.querySelector("[data-voice-settings]")
+    if (!panel || panel.classList.contains("hidden")) return
+
+    const settings = this.settings
+    const { inputs, outputs } = await listAudioDevices().catch(() => ({ inputs: [], outputs: [] }))
+
+    this.fillDeviceSelect(panel.querySelector('[data-voice-setting="inputDeviceId"]'), inputs, settings.inputDeviceId, "Microphone")
+    this.fillDeviceSelect(panel.querySelector('[data-voice-setting="outputDeviceId"]'), outputs, settings.outputDeviceId, "Speaker")
+    panel.querySelector("[data-voice-output-row]")?.classList.toggle("hidden", !outputSelectionSupported())
+
+    panel.querySelectorAll('input[type="checkbox"][data-voice-setting]').forEach((input) => {
+      input.checked = settings[input.dataset.voiceSetting] === true
+    })
+
+    const keyButton = panel.querySelector("[data-voice-ptt-key]")
+    if (keyButton) {
+      keyButton.textContent = this.capturingKey ? "Press a key..." : keyLabel(settings.pushToTalkKey)
+      keyButton.disabled = !settings.pushToTalk
+    }
 
-    const answer = await peer.pc.createAnswer()
-    await peer.pc.setLocalDescription(answer)
-    this.pushSignal(peerId, "answer", peer.pc.localDescription.toJSON())
+    this.renderPeerVolumes(panel)
   },
 
-  async handleAnswer(peerId, sdp) {
-    const peer = this.session?.peers.get(peerId)
-    if (!peer) return
+  fillDeviceSelect(select, devices, selectedId, fallbackLabel) {
+    if (!select) return
+
+    const options = [{ deviceId: "", label: "System default" }, ...devices.filter((device) => device.deviceId !== "default")]
+    select.replaceChildren(
+      ...options.map((device, index) => {
+        const option = document.createElement("option")
+        option.value = device.deviceId
+        option.textContent = device.label || `${fallbackLabel} ${index}`
+        option.selected = device.deviceId === (selectedId || "")
+        return option
+      })
+    )
+  },
 
-    await peer.pc.setRemoteDescription(new RTCSessionDescription(sdp))
-    await this.flushCandidates(peer)
+  renderPeerVolumes(panel) {
+    const container = panel.querySelector("[data-voice-peer-volumes]")
+    const session = this.session
+    if (!container || !session) return
+
+    const peers = session.participants.filter((participant) => participant.userId !== session.userId)
+
+    container.replaceChildren(
+      ...peers.map((participant) => {
+        const row = document.createElement("label")
+        row.className = "flex items-center gap-2 text-xs"
+
+        const name = document.createElement("span")
+        name.className = "w-24 truncate"
+        name.textContent = participant.name || "Participant"
+
+        const slider = document.createElement("input")
+        slider.type = "range"
+        slider.min = "0"
+        slider.max = "100"
+        slider.className = "range range-xs flex-1"
+        slider.dataset.voiceVolume = String(participant.userId)
+        slider.value = String(Math.round((this.settings.peerVolumes[participant.userId] ?? 1) * 100))
+        slider.setAttribute("aria-label", `Volume for ${participant.name || "participant"}`)
+
+        row.append(name, slider)
+        return row
+      })
+    )
+
+    container.closest("[data-voice-peer-volumes-section]")?.classList.toggle("hidden", peers.length === 0)
   },
 
-  async handleRemoteCandidate(peerId, candidate) {
-    const peer = this.getOrCreatePeer(peerId)
-    if (!peer) return
+  handleSettingsChange(event) {
+    const target = event.target
+    const session = this.session
+
+    if (target.dataset?.voiceVolume) {
+      const userId = Number(target.dataset.voiceVolume)
+      const peerVolumes = { ...this.settings.peerVolumes, [userId]: Number(target.value) / 100 }
+      this.settings = saveVoiceSettings({ peerVolumes })
 
-    if (peer.pc.remoteDescription) {
-      await peer.pc.addIceCandidate(new RTCIceCandidate(candidate))
+      const audio = session?.audioElements.get(userId)
+      if (audio) this.applyOutput(audio, userId)
+      return
+    }
+
+    const key = target.dataset?.voiceSetting
+    if (!key || event.type !== "change") return
+
+    const value = target.type === "checkbox" ? target.checked : target.value || null
+    this.settings = saveVoiceSettings({ [key]: value })
+
+    if (key === "outputDeviceId") {
+      session?.audioElements.forEach((audio, userId) => this.applyOutput(audio, userId))
+    } else if (key === "pushToTalk") {
+      if (session) this.applyMicState(session)
     } else {
-      peer.pendingCandidates.push(candidate)
+      this.restartMicrophone()
     }
+
+    this.renderSettings()
   },
 
-  async flushCandidates(peer) {
-    const pending = peer.pendingCandidates.splice(0)
+  // Device and processing changes need a fresh microphone track; it replaces
+  // the old one on every connection without renegotiating.
+  async restartMicrophone() {
+    const session = this.session
+    if (!session) return
 
-    for (const candidate of pending) {
-      try {
-        await peer.pc.addIceCandidate(new RTCIceCandidate(candidate))
-      } catch (_error) {
-        // Ignore malformed candidates from a remote peer.
-      }
+    let stream
+    try {
+      stream = await this.openMicrophone()
+    } catch (error) {
+      this.safePushEvent("voice_error", { reason: mapMediaError(error) })
+      return
     }
-  },
 
-  attachAudio(peer, peerId, stream) {
-    if (!peer.audioEl) {
-      const audio = document.createElement("audio")
-      audio.id = `voice-audio-${peerId}`
-      audio.autoplay = true
-      this.el.appendChild(audio)
-      peer.audioEl = audio
+    const [track] = stream.getAudioTracks()
+    if (this.session !== session) {
+      track.stop()
+      return
     }
 
-    peer.audioEl.srcObject = stream
-    peer.audioEl.play().catch(() => {})
+    session.localStream.getAudioTracks().forEach((previous) => {
+      previous.stop()
+      session.localStream.removeTrack(previous)
+    })
+    session.localStream.addTrack(track)
+    this.applyMicState(session)
+    session.detector?.watch(session.userId, session.localStream)
+    await session.topology?.setAudioTrack(track)
   },
 
-  closePeer(peerId) {
-    const peer = this.session?.peers.get(peerId)
-    if (!peer) return
+  updateActiveSpeaker() {
+    const session = this.session
+    if (!session?.topology) return
+
+    const levels = session.detector?.entries.size > 0
+      ? session.detector.levels()
+      : session.topology.audioLevels()
+
+    let loudest = null
+    let loudestLevel = ACTIVE_SPEAKER_THRESHOLD
+    levels.forEach((level, userId) => {
+      if (userId !== session.userId && level > loudestLevel) {
+        loudest = userId
+        loudestLevel = level
+      }
+    })
 
-    this.session.peers.delete(peerId)
+    if (loudest === null || loudest === session.activeSpeakerId) return
 
-    try {
-      peer.pc.onicecandidate = null
-      peer.pc.ontrack = null
-      peer.pc.onconnectionstatechange = null
-      peer.pc.close()
-    } catch (_error) {
-      // Already closed.
+    session.activeSpeakerId = loudest
+    this.renderStage()
+  },
+
+  handleStageClick(event) {
+    const session = this.session
+    if (!session) return
+
+    if (event.target.closest("[data-voice-ptt-key]")) {
+      this.capturingKey = true
+      this.renderSettings()
+      return
     }
 
-    if (peer.audioEl) {
-      peer.audioEl.srcObject = null
-      peer.audioEl.remove()
+    const layoutButton = event.target.closest("[data-call-layout]")
+    const tile = event.target.closest("[data-call-tile]")
+
+    if (layoutButton) {
+      session.layout = layoutButton.dataset.callLayout
+      if (session.layout === "grid") session.pinnedId = null
+    } else if (event.target.closest("[data-call-stage-minimize]")) {
+      session.minimized = !session.minimized
+    } else if (tile) {
+      const userId = Number(tile.dataset.callTile)
+      session.pinnedId = session.pinnedId === userId ? null : userId
+      session.layout = "speaker"
+    } else {
+      return
     }
+
+    event.preventDefault()
+    this.renderStage()
   },
 
-  toggleMute() {
+  focusedUserId() {
     const session = this.session
-    if (!session) return
+    const ids = session.participants.map((participant) => participant.userId)
 
-    session.muted = !session.muted
+    if (session.pinnedId && ids.includes(session.pinnedId)) return session.pinnedId
+    if (session.activeSpeakerId && ids.includes(session.activeSpeakerId)) return session.activeSpeakerId
 
-    session.localStream.getAudioTracks().forEach((track) => {
-      track.enabled = !session.muted
+    return ids.find((id) => id !== session.userId) || ids[0] || null
+  },
+
+  renderStage() {
+    const stage = this.el.querySelector("[data-call-stage]")
+    if (!stage) return
+
+    const session = this.session
+    const visible = Boolean(session) &&
+      (session.stage ||
+        session.participants.some((participant) => participant.video || participant.screenStreamId))
+
+    stage.classList.toggle("hidden", !visible)
+    const tiles = stage.querySelector("[data-call-tiles]")
+
+    if (!visible) {
+      tiles?.replaceChildren()
+      stage.querySelector("[data-call-screens]")?.replaceChildren()
+      return
+    }
+
+    this.renderScreens(stage)
+    tiles.classList.toggle("hidden", session.minimized)
+    stage.querySelectorAll("[data-call-layout]").forEach((button) => {
+      button.classList.toggle("btn-active", button.dataset.callLayout === session.layout)
     })
 
-    if (session.channel && session.channel.state === "joined") {
-      session.channel.push("set_muted", { muted: session.muted })
+    const topologyLabel = stage.querySelector("[data-call-stage-topology]")
+    if (topologyLabel) {
+      topologyLabel.textContent = session.topologyName === "sfu" ? "Relayed" : "Peer to peer"
     }
 
-    this.safePushEvent("voice_mute_changed", { muted: session.muted })
+    const existing = new Map(
+      Array.from(tiles.querySelectorAll("[data-call-tile]")).map((tile) => [Number(tile.dataset.callTile), tile])
+    )
+    const focused = session.layout === "speaker" ? this.focusedUserId() : null
+
+    const ordered = session.participants.map((participant) => {
+      const tile = existing.get(participant.userId) || this.createTile(participant.userId)
+      existing.delete(participant.userId)
+      this.updateTile(tile, participant)
+      return tile
+    })
+    existing.forEach((tile) => tile.remove())
+
+    if (focused !== null) {
+      const index = ordered.findIndex((tile) => Number(tile.dataset.callTile) === focused)
+      if (index > 0) ordered.unshift(...ordered.splice(index, 1))
+    }
+
+    const columns = focused !== null
+      ? Math.max(Math.min(ordered.length - 1, 6), 1)
+      : gridColumns(ordered.length)
+
+    tiles.style.gridTemplateColumns = `repeat(${columns}, minmax(0, 1fr))`
+    tiles.style.gridTemplateRows = focused !== null && ordered.length > 1 ? "minmax(0, 4fr) minmax(0, 1fr)" : ""
+    ordered.forEach((tile, index) => {
+      tile.style.gridColumn = focused !== null && index === 0 ? "1 / -1" : ""
+      if (tiles.children[index] !== tile) tiles.insertBefore(tile, tiles.children[index] || null)
+    })
+
+    this.requestLayers(focused, ordered.length)
+  },
+
+  // Ask the SFU for the layer each tile is shown at: full size for the
+  // speaker, thumbnails otherwise.
+  requestLayers(focused, count) {
+    const session = this.session
+    const gridLayer = count <= 2 ? "high" : count <= 6 ? "medium" : "low"
+
+    session.participants
+      .filter((participant) => participant.userId !== session.userId)
+      .forEach((participant) => {
+        const layer = focused === null
+          ? gridLayer
+          : participant.userId === focused ? "high" : "low"
+        session.topology?.setPreferredLayer(participant.userId, layer)
+      })
+  },
+
+  renderScreens(stage) {
+    const container = stage.querySelector("[data-call-screens]")
+    if (!container) return
+
+    const session = this.session
+    const shares = session.participants
+      .filter((participant) => participant.screenStreamId)
+      .map((participant) => {
+        const isMe = participant.userId === session.userId
+        const stream = isMe ? session.screenStream : session.remoteScreens.get(participant.userId)
+        return { participant, isMe, stream }
+      })
+      .filter(({ stream }) => stream?.getVideoTracks().length > 0)
+
+    const existing = new Map(
+      Array.from(container.querySelectorAll("[data-call-screen]")).map((tile) => [Number(tile.dataset.callScreen), tile])
+    )
+
+    shares.forEach(({ participant, isMe, stream }) => {
+      const tile = existing.get(participant.userId) || this.createScreenTile(participant.userId)
+      existing.delete(participant.userId)
+
+      const video = tile.querySelector("video")
+      // Your own share stays muted so tab audio does not echo back to you.
+      video.muted = isMe
+      if (video.srcObject !== stream) {
+        video.srcObject = stream
+        video.play().catch(() => {})
+      }
+
+      tile.querySelector("[data-call-screen-label]").textContent =
+        isMe ? "You are sharing your screen" : `${participant.name} is sharing their screen`
+      if (!tile.isConnected) container.appendChild(tile)
+    })
+    existing.forEach((tile) => tile.remove())
+
+    container.classList.toggle("hidden", shares.length === 0 || session.minimized)
+  },
+
+  createScreenTile(userId) {
+    const tile = document.createElement("div")
+    tile.dataset.callScreen = String(userId)
+    tile.className = "relative h-64 min-h-32 min-w-48 resize overflow-hidden rounded-lg bg-black"
+
+    const video = document.createElement("video")
+    video.autoplay = true
+    video.playsInline = true
+    video.className = "h-full w-full object-contain"
+
+    const label = document.createElement("span")
+    label.className = "absolute bottom-1 left-1 max-w-[90%] truncate rounded bg-base-100/80 px-2 py-0.5 text-xs"
+    label.dataset.callScreenLabel = ""
+
+    tile.append(video, label)
+    return tile
+  },
+
+  createTile(userId) {
+    const tile = document.createElement("button")
+    tile.type = "button"
+    tile.dataset.callTile = String(userId)
+    tile.className = "relative min-h-0 overflow-hidden rounded-lg bg-base-300 text-left ring-offset-2 ring-offset-base-100"
+
+    const video = document.createElement("video")
+    video.autoplay = true
+    video.playsInline = true
+    video.muted = true
+    video.className = "h-full w-full object-cover"
+    video.dataset.callTileVideo = ""
+
+    const avatar = document.createElement("span")
+    avatar.className = "absolute inset-0 flex items-center justify-center text-3xl font-semibold opacity-70"
+    avatar.dataset.callTileAvatar = ""
+
+    const label = document.createElement("span")
+    label.className = "absolute bottom-1 left-1 max-w-[90%] truncate rounded bg-base-100/80 px-2 py-0.5 text-xs"
+    label.dataset.callTileLabel = ""
+
+    tile.append(video, avatar, label)
+    return tile
+  },
+
+  updateTile(tile, participant) {
+    const session = this.session
+    const isMe = participant.userId === session.userId
+    const stream = isMe ? session.localStream : session.remoteStreams.get(participant.userId)
+    const videoTrack = stream?.getVideoTracks()[0]
+    const showVideo = participant.video && Boolean(videoTrack) && !videoTrack.muted
+    const video = tile.querySelector("[data-call-tile-video]")
+
+    if (video.srcObject !== (stream || null)) video.srcObject = stream || null
+    if (showVideo) video.play().catch(() => {})
+    video.classList.toggle("invisible", !showVideo)
+    video.classList.toggle("-scale-x-100", isMe)
+
+    tile.querySelector("[data-call-tile-avatar]").textContent =
+      showVideo ? "" : (participant.name || "?").slice(0, 1).toUpperCase()
+    tile.querySelector("[data-call-tile-label]").textContent =
+      `${isMe ? "You" : participant.name}${participant.muted ? " (muted)" : ""}`
+
+    const speaking = session.speaking.has(participant.userId)
+    tile.classList.toggle("ring-2", speaking)
+    tile.classList.toggle("ring-success", speaking)
+    tile.setAttribute("aria-pressed", String(participant.userId === session.pinnedId))
+    tile.title = participant.userId === session.pinnedId ? "Unpin" : "Pin to the speaker view"
   },
 
   teardown() {
@@ -370,23 +995,27 @@ export const VoiceChannel = {
 
     this.session = null
 
-    Array.from(session.peers.keys()).forEach((peerId) => {
-      const peer = session.peers.get(peerId)
-      session.peers.delete(peerId)
-
-      try {
-        peer.pc.close()
-      } catch (_error) {
-        // Already closed.
-      }
+    if (session.speakerTimer) {
+      clearInterval(session.speakerTimer)
+    }
 
-      if (peer.audioEl) {
-        peer.audioEl.srcObject = null
-        peer.audioEl.remove()
-      }
+    try {
+      session.topology?.close()
+    } catch (_error) {
+      // Already closed.
+    }
+    session.encryption?.close()
+    session.detector?.close()
+    this.capturingKey = false
+    this.el.querySelector("[data-voice-settings]")?.classList.add("hidden")
+
+    session.audioElements.forEach((audio) => {
+      audio.srcObject = null
+      audio.remove()
     })
 
     session.localStream?.getTracks().forEach((track) => track.stop())
+    session.screenStream?.getTracks().forEach((track) => track.stop())
 
     try {
       session.channel?.leave()
@@ -399,5 +1028,7 @@ export const VoiceChannel = {
     } catch (_error) {
       // Socket may never have connected.
     }
+
+    this.renderStage()
   },
 }
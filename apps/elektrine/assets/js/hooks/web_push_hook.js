@@ -1,6 +1,13 @@
 // Browser Web Push subscription hook.
 // Registers the service worker, reports per-browser subscription state, and
 // handles subscribe/unsubscribe requests pushed from the LiveView.
+//
+// Subscriptions also name this browser's encrypted chat device (its keypair
+// lives in IndexedDB, see chat_e2ee_crypto.js). The server then sends the
+// ciphertext of encrypted chat messages along with the conversation key
+// wrapped for that device, and the service worker renders the preview.
+
+import { CHAT_E2EE_STORAGE_PREFIX, secureStorageGet } from "./chat_e2ee_crypto"
 
 function urlBase64ToUint8Array(base64String) {
   const padding = "=".repeat((4 - (base64String.length % 4)) % 4)
@@ -13,6 +20,7 @@ function urlBase64ToUint8Array(base64String) {
 export const WebPushManager = {
   mounted() {
     this.vapidKey = this.el.dataset.vapidPublicKey || ""
+    this.userId = this.el.dataset.userId || ""
 
     this.handleEvent("web_push_subscribe", () => this.subscribe())
     this.handleEvent("web_push_unsubscribe", () => this.unsubscribe())
@@ -32,6 +40,18 @@ export const WebPushManager = {
     return navigator.serviceWorker.register("/sw.js")
   },
 
+  // The encrypted chat device this browser registered, if it has opened an
+  // encrypted chat. Push previews for those chats need its keys.
+  async chatDeviceId() {
+    if (!this.userId || !("indexedDB" in window)) return null
+
+    const device = await secureStorageGet(
+      `${CHAT_E2EE_STORAGE_PREFIX}:user:${this.userId}:device`
+    ).catch(() => null)
+
+    return typeof device?.device_id === "string" ? device.device_id : null
+  },
+
   async reportState() {
     if (!this.supported() || !this.vapidKey) {
       this.pushEvent("web_push_state", { supported: false })
@@ -46,6 +66,8 @@ export const WebPushManager = {
         supported: true,
         subscribed: !!subscription,
         permission: Notification.permission,
+        endpoint: subscription ? subscription.endpoint : null,
+        chat_device_id: subscription ? await this.chatDeviceId() : null,
       })
     } catch (error) {
       this.pushEvent("web_push_error", {
@@ -70,7 +92,10 @@ export const WebPushManager = {
         applicationServerKey: urlBase64ToUint8Array(this.vapidKey),
       })
 
-      this.pushEvent("web_push_subscribed", { subscription: subscription.toJSON() })
+      this.pushEvent("web_push_subscribed", {
+        subscription: subscription.toJSON(),
+        chat_device_id: await this.chatDeviceId(),
+      })
     } catch (error) {
       this.pushEvent("web_push_error", {
         reason: error?.message || "subscribe_failed",
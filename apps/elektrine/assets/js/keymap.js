@@ -0,0 +1,349 @@
+/**
+ * Keyboard shortcut registry
+ * Hooks bind handlers for the actions of their context (see
+ * keymap_presets.js) and the user's preset and overrides decide which keys
+ * trigger them, so no hook hardcodes a key. A binding is a chord ("e",
+ * "shift+r", "mod+enter") or a space-separated sequence of chords ("g i");
+ * while a sequence is pending a hint lists what can follow it.
+ *
+ * The configuration comes from the "keymap" meta tag in the root layout and
+ * is replaced live by the "apply-keymap" event after saving settings.
+ */
+
+import {
+  DEFAULT_PRESET,
+  KEYMAP_ACTIONS,
+  KEYMAP_CONTEXTS,
+  KEYMAP_PRESETS
+} from "./keymap_presets"
+import { closeKeymapHelp, renderKeymapHelp, renderSequenceHint } from "./keymap_help"
+
+const SEQUENCE_TIMEOUT_MS = 3000
+const MAX_SEQUENCE_LENGTH = 3
+
+const MODIFIER_KEYS = new Set(["shift", "control", "alt", "meta", "altgraph", "capslock"])
+const MODIFIER_ALIASES = {
+  mod: "mod",
+  ctrl: "mod",
+  control: "mod",
+  cmd: "mod",
+  command: "mod",
+  meta: "mod",
+  alt: "alt",
+  option: "alt",
+  shift: "shift"
+}
+const KEY_ALIASES = {
+  esc: "escape",
+  return: "enter",
+  del: "delete",
+  up: "arrowup",
+  down: "arrowdown",
+  left: "arrowleft",
+  right: "arrowright",
+  " ": "space",
+  spacebar: "space"
+}
+
+const actionsById = new Map(KEYMAP_ACTIONS.map((action) => [action.id, action]))
+const layers = []
+
+let config = null
+let pending = []
+let sequenceTimer = null
+let hideHint = null
+
+export function isEditableTarget(target) {
+  if (!(target instanceof Element)) return false
+
+  if (target.tagName === "INPUT" || target.tagName === "TEXTAREA" || target.tagName === "SELECT") {
+    return true
+  }
+
+  if (target.contentEditable === "true" || target.isContentEditable) {
+    return true
+  }
+
+  return Boolean(
+    target.closest(
+      'input, textarea, select, [contenteditable="true"], [contenteditable=""], [role="textbox"], .ProseMirror, .ql-editor'
+    )
+  )
+}
+
+/**
+ * Normalize a typed chord such as "Ctrl+Enter" or "R" to the canonical form
+ * used for matching ("mod+enter", "shift+r"), or null if it isn't one.
+ * Shift is implied by printable symbols ("?", "#"), so it is dropped there.
+ */
+export function normalizeChord(text) {
+  const value = String(text ?? "").trim()
+  if (!value) return null
+
+  const parts = value.endsWith("+") ? [...value.slice(0, -1).split("+"), "+"] : value.split("+")
+  if (parts.length > 1 && parts.at(-2) === "" && parts.at(-1) === "+") parts.splice(-2, 1)
+
+  let key = parts.pop()
+  const modifiers = new Set()
+
+  for (const part of parts) {
+    const modifier = MODIFIER_ALIASES[part.toLowerCase()]
+    if (!modifier) return null
+    modifiers.add(modifier)
+  }
+
+  if (!key) return null
+  if (key.length === 1 && key !== key.toLowerCase()) modifiers.add("shift")
+  key = KEY_ALIASES[key.toLowerCase()] || key.toLowerCase()
+  if (key.length === 1 && !/[a-z]/.test(key)) modifiers.delete("shift")
+  if (MODIFIER_KEYS.has(key)) return null
+
+  return [...["mod", "alt", "shift"].filter((modifier) => modifiers.has(modifier)), key].join("+")
+}
+
+/** Normalize a whole binding ("G I" → "shift+g shift+i"), or null if invalid. */
+export function normalizeBinding(text) {
+  const chords = String(text ?? "").trim().split(/\s+/).filter(Boolean)
+  if (!chords.length || chords.length > MAX_SEQUENCE_LENGTH) return null
+
+  const normalized = chords.map(normalizeChord)
+  return normalized.includes(null) ? null : normalized.join(" ")
+}
+
+/** The canonical chord for a keydown event, or null for bare modifier keys. */
+export function eventChord(event) {
+  const key = event.key
+  if (!key || key === "Unidentified" || key === "Dead") return null
+  if (MODIFIER_KEYS.has(key.toLowerCase())) return null
+
+  const name = KEY_ALIASES[key.toLowerCase()] || key.toLowerCase()
+  const printable = key.length === 1
+  const parts = []
+
+  if (event.ctrlKey || event.metaKey) parts.push("mod")
+  if (event.altKey) parts.push("alt")
+  if (event.shiftKey && (!printable || /[a-z]/i.test(key))) parts.push("shift")
+  parts.push(name)
+
+  return parts.join("+")
+}
+
+function readConfig() {
+  const content = document.querySelector("meta[name='keymap']")?.getAttribute("content")
+
+  try {
+    const parsed = content ? JSON.parse(content) : {}
+    return { preset: parsed.preset || DEFAULT_PRESET, overrides: parsed.overrides || {} }
+  } catch (_error) {
+    return { preset: DEFAULT_PRESET, overrides: {} }
+  }
+}
+
+export function keymapConfig() {
+  if (!config) config = readConfig()
+  return config
+}
+
+export function configureKeymap({ preset, overrides } = {}) {
+  config = { preset: preset || DEFAULT_PRESET, overrides: overrides || {} }
+  resetSequence()
+}
+
+/**
+ * Effective bindings per action id for a preset and overrides. An override
+ * replaces the preset's bindings for that action; an empty one unbinds it.
+ */
+export function resolveBindings({ preset, overrides } = keymapConfig()) {
+  const base = KEYMAP_PRESETS[preset] || KEYMAP_PRESETS[DEFAULT_PRESET]
+  const bindings = {}
+
+  KEYMAP_ACTIONS.forEach(({ id }) => {
+    const value = Object.hasOwn(overrides || {}, id) ? overrides[id] : base[id]
+    const normalized = [].concat(value || []).map(normalizeBinding).filter(Boolean)
+    bindings[id] = [...new Set(normalized)]
+  })
+
+  return bindings
+}
+
+function contextsOverlap(first, second) {
+  return (
+    first === second ||
+    first === "global" ||
+    second === "global" ||
+    first.startsWith(`${second}.`) ||
+    second.startsWith(`${first}.`)
+  )
+}
+
+function bindingsClash(first, second) {
+  return first === second || first.startsWith(`${second} `) || second.startsWith(`${first} `)
+}
+
+/**
+ * Pairs of actions that can be active together and share a binding, or
+ * where one binding is the start of the other's sequence.
+ */
+export function findKeymapConflicts(bindings = resolveBindings()) {
+  const entries = KEYMAP_ACTIONS.flatMap((action) =>
+    (bindings[action.id] || []).map((binding) => ({ action, binding }))
+  )
+  const conflicts = []
+
+  entries.forEach((first, index) => {
+    entries.slice(index + 1).forEach((second) => {
+      if (first.action.id === second.action.id) return
+      if (!contextsOverlap(first.action.context, second.action.context)) return
+      if (!bindingsClash(first.binding, second.binding)) return
+
+      conflicts.push({
+        actions: [first.action, second.action],
+        bindings: [first.binding, second.binding]
+      })
+    })
+  })
+
+  return conflicts
+}
+
+// Most recently bound layers win, so a page can shadow an outer context.
+function activeEntries(bindings = resolveBindings()) {
+  const seen = new Set()
+  const entries = []
+
+  for (const layer of [...layers].reverse()) {
+    for (const [id, handler] of Object.entries(layer.handlers)) {
+      if (seen.has(id) || !actionsById.has(id)) continue
+      seen.add(id)
+      bindings[id].forEach((binding) => entries.push({ id, binding, handler, layer }))
+    }
+  }
+
+  return entries
+}
+
+function typesText(binding) {
+  return binding.includes(" ") || binding.split(/\+(?!$)/).at(-1).length === 1
+}
+
+function resetSequence() {
+  pending = []
+  clearTimeout(sequenceTimer)
+  sequenceTimer = null
+  hideHint?.()
+  hideHint = null
+}
+
+function startSequence(sequence, following) {
+  resetSequence()
+  pending = sequence.split(" ")
+  sequenceTimer = setTimeout(resetSequence, SEQUENCE_TIMEOUT_MS)
+
+  hideHint = renderSequenceHint(
+    sequence,
+    following.map((entry) => ({
+      keys: entry.binding.slice(sequence.length + 1),
+      label: actionsById.get(entry.id).label,
+      run: () => {
+        resetSequence()
+        entry.handler()
+      }
+    }))
+  )
+}
+
+function handleKeydown(event) {
+  if (event.defaultPrevented || event.isComposing) return
+
+  const chord = eventChord(event)
+  if (!chord) return
+  if (event.target instanceof Element && event.target.closest(".dropdown.dropdown-open")) return
+
+  // While typing only chords with a modifier reach page shortcuts. Layers
+  // bound with inInputs also get named keys such as Escape and the arrows,
+  // so overlays can close from a focused field.
+  const editable = isEditableTarget(event.target)
+  const entries = activeEntries().filter(
+    (entry) =>
+      !editable ||
+      entry.binding.startsWith("mod+") ||
+      (entry.layer.inInputs && !typesText(entry.binding))
+  )
+
+  const sequence = [...pending, chord].join(" ")
+  const exact = entries.find((entry) => entry.binding === sequence)
+  const following = entries.filter((entry) => entry.binding.startsWith(`${sequence} `))
+
+  if (exact && exact.handler(event) !== false) {
+    event.preventDefault()
+    resetSequence()
+    return
+  }
+
+  if (following.length) {
+    event.preventDefault()
+    startSequence(sequence, following)
+    return
+  }
+
+  if (!pending.length) return
+
+  resetSequence()
+  if (chord === "escape") {
+    event.preventDefault()
+  } else {
+    handleKeydown(event)
+  }
+}
+
+/**
+ * Bind handlers by action id, e.g. `{ "mail.list.next": () => ... }`.
+ * A handler returning false leaves the key to the browser. Returns a
+ * function that removes the bindings again; call it from destroyed().
+ */
+export function bindKeymap(handlers, { inInputs = false } = {}) {
+  const layer = { handlers, inInputs }
+  layers.push(layer)
+  if (layers.length === 1) document.addEventListener("keydown", handleKeydown)
+
+  return () => {
+    const index = layers.indexOf(layer)
+    if (index === -1) return
+
+    layers.splice(index, 1)
+    if (layers.length) return
+
+    document.removeEventListener("keydown", handleKeydown)
+    resetSequence()
+  }
+}
+
+/**
+ * Show the help dialog for the shortcuts active on this page, or for every
+ * bound action when no page has registered any.
+ */
+export function showKeymapHelp() {
+  resetSequence()
+
+  const bindings = resolveBindings()
+  const active = new Set(activeEntries(bindings).map((entry) => entry.id))
+
+  const sections = KEYMAP_CONTEXTS.map((context) => ({
+    title: context.label,
+    rows: KEYMAP_ACTIONS.filter(
+      (action) =>
+        action.context === context.id &&
+        bindings[action.id].length &&
+        (!active.size || active.has(action.id))
+    ).map((action) => ({ label: action.label, bindings: bindings[action.id] }))
+  })).filter((section) => section.rows.length)
+
+  return renderKeymapHelp(sections)
+}
+
+export function initKeymap() {
+  window.addEventListener("phx:apply-keymap", (event) => {
+    configureKeymap(event.detail)
+    closeKeymapHelp()
+  })
+}
@@ -0,0 +1,174 @@
+/**
+ * Keyboard shortcut overlays
+ * Renders bindings as <kbd> keys, the help dialog listing the active
+ * shortcuts, and the hint shown while a key sequence such as "g i" is
+ * pending. Callers pass in plain data; see keymap.js.
+ */
+
+const IS_MAC = /mac|iphone|ipad/i.test(navigator.platform || navigator.userAgent || "")
+
+const KEY_LABELS = {
+  mod: IS_MAC ? "⌘" : "Ctrl",
+  alt: IS_MAC ? "⌥" : "Alt",
+  shift: "Shift",
+  enter: "Enter",
+  escape: "Esc",
+  space: "Space",
+  delete: "Del",
+  backspace: "Backspace",
+  tab: "Tab",
+  arrowup: "↑",
+  arrowdown: "↓",
+  arrowleft: "←",
+  arrowright: "→"
+}
+
+const CLOSE_ICON = `
+  <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+  </svg>
+`
+
+function element(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text != null) node.textContent = text
+  return node
+}
+
+export function keyLabel(key) {
+  if (KEY_LABELS[key]) return KEY_LABELS[key]
+  if (key.length === 1) return key
+  return key.charAt(0).toUpperCase() + key.slice(1)
+}
+
+/** Render a binding ("mod+enter", "g i") as a row of <kbd> keys. */
+export function bindingElement(binding, size = "kbd-sm") {
+  const wrapper = element("span", "inline-flex flex-wrap items-center gap-1")
+
+  binding.split(" ").forEach((chord, index) => {
+    if (index > 0) wrapper.append(element("span", "shortcut-muted text-xs", "then"))
+
+    chord.split(/\+(?!$)/).forEach((key, keyIndex) => {
+      if (keyIndex > 0) wrapper.append(element("span", "text-xs", "+"))
+      wrapper.append(element("kbd", `kbd ${size}`, keyLabel(key)))
+    })
+  })
+
+  return wrapper
+}
+
+function bindingsElement(bindings) {
+  const wrapper = element("span", "flex flex-wrap items-center justify-end gap-2")
+  bindings.forEach((binding, index) => {
+    if (index > 0) wrapper.append(element("span", "shortcut-muted text-xs", "or"))
+    wrapper.append(bindingElement(binding))
+  })
+  return wrapper
+}
+
+let closeHelp = null
+
+export function closeKeymapHelp() {
+  closeHelp?.()
+}
+
+/**
+ * Show the help dialog. `sections` is a list of `{ title, rows }` where each
+ * row is `{ label, bindings }`.
+ */
+export function renderKeymapHelp(sections) {
+  closeKeymapHelp()
+
+  const modal = element("div", "shortcut-overlay fixed inset-0 z-50 flex items-center justify-center p-4")
+  modal.id = "keyboard-shortcuts-modal"
+
+  const dialog = element("div", "shortcut-dialog rounded-lg p-6 max-w-2xl w-full max-h-[80vh] overflow-y-auto")
+  const header = element("div", "flex justify-between items-center mb-6")
+  const close = element("button", "btn btn-ghost btn-sm btn-circle")
+  close.type = "button"
+  close.setAttribute("aria-label", "Close")
+  close.innerHTML = CLOSE_ICON
+  header.append(element("h2", "text-2xl font-bold", "Keyboard Shortcuts"), close)
+
+  const grid = element("div", "grid grid-cols-1 md:grid-cols-2 gap-6")
+  sections.forEach(({ title, rows }) => {
+    const section = element("div")
+    const list = element("div", "space-y-2")
+
+    rows.forEach(({ label, bindings }) => {
+      const row = element("div", "flex justify-between items-center gap-4")
+      row.append(element("span", "text-sm", label), bindingsElement(bindings))
+      list.append(row)
+    })
+
+    section.append(element("h3", "shortcut-heading font-semibold mb-3", title), list)
+    grid.append(section)
+  })
+
+  if (!sections.length) {
+    grid.append(element("p", "shortcut-muted text-sm", "No keyboard shortcuts are active."))
+  }
+
+  const footer = element("div", "shortcut-divider mt-6 pt-4 border-t text-sm")
+  const settings = element("a", "link", "Change shortcuts in settings")
+  settings.href = "/account?tab=preferences"
+  footer.append(settings)
+
+  dialog.append(header, grid, footer)
+  modal.append(dialog)
+
+  // Capture Escape before page shortcuts see it, so closing the dialog
+  // doesn't also leave the page.
+  const handleKeydown = (event) => {
+    if (event.key !== "Escape") return
+    event.preventDefault()
+    event.stopImmediatePropagation()
+    cleanup()
+  }
+
+  const cleanup = () => {
+    document.removeEventListener("keydown", handleKeydown, true)
+    modal.remove()
+    if (closeHelp === cleanup) closeHelp = null
+  }
+
+  closeHelp = cleanup
+
+  modal.addEventListener("click", (event) => {
+    if (event.target === modal || event.target.closest("button") === close) cleanup()
+  })
+  document.addEventListener("keydown", handleKeydown, true)
+  document.body.appendChild(modal)
+
+  return modal
+}
+
+/**
+ * Show what can follow a pending sequence. `items` are `{ keys, label, run }`
+ * where `keys` is the rest of the binding. Returns a cleanup function.
+ */
+export function renderSequenceHint(prefix, items) {
+  const hint = element(
+    "div",
+    "shortcut-floating fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 rounded-lg p-6 z-50"
+  )
+  hint.dataset.keymapHint = "true"
+
+  const heading = element("div", "shortcut-heading flex items-center gap-2 text-lg font-bold mb-4")
+  heading.append(bindingElement(prefix), element("span", null, "then…"))
+
+  const list = element("div", "space-y-2")
+  items.forEach(({ keys, label, run }) => {
+    const button = element("button", "btn btn-ghost btn-sm w-full justify-start gap-3")
+    button.type = "button"
+    button.append(bindingElement(keys, "kbd-xs"), element("span", null, label))
+    button.addEventListener("click", run)
+    list.append(button)
+  })
+
+  hint.append(heading, list, element("div", "shortcut-muted text-xs mt-4", "Press Escape to close"))
+  document.body.appendChild(hint)
+
+  return () => hint.remove()
+}
@@ -0,0 +1,161 @@
+/**
+ * Keyboard shortcut catalog
+ * Every action a shortcut can trigger, the context it belongs to, and the
+ * bindings each preset gives it. Users pick a preset in Settings → Preferences
+ * and override single actions on top of it (see Elektrine.Keymap).
+ *
+ * Contexts nest by name: "mail" actions are available on every mail page
+ * alongside "mail.list", "mail.message" or "mail.composer", and "global"
+ * actions everywhere. Bindings in overlapping contexts must not collide.
+ */
+
+export const DEFAULT_PRESET = "gmail"
+
+export const KEYMAP_CONTEXTS = [
+  { id: "global", label: "General" },
+  { id: "mail", label: "Mail" },
+  { id: "mail.list", label: "Message list" },
+  { id: "mail.message", label: "Reading a message" },
+  { id: "mail.composer", label: "Writing a message" },
+  { id: "chat", label: "Chat" },
+  { id: "timeline.media", label: "Media viewer" }
+]
+
+export const KEYMAP_ACTIONS = [
+  { id: "global.help", context: "global", label: "Show keyboard shortcuts" },
+
+  { id: "mail.compose", context: "mail", label: "Compose new message" },
+  { id: "mail.goto_inbox", context: "mail", label: "Go to inbox" },
+  { id: "mail.goto_sent", context: "mail", label: "Go to sent" },
+  { id: "mail.goto_search", context: "mail", label: "Go to search" },
+  { id: "mail.goto_archive", context: "mail", label: "Go to archive" },
+  { id: "mail.goto_spam", context: "mail", label: "Go to spam" },
+
+  { id: "mail.list.search", context: "mail.list", label: "Search mail" },
+  { id: "mail.list.next", context: "mail.list", label: "Next message" },
+  { id: "mail.list.previous", context: "mail.list", label: "Previous message" },
+  { id: "mail.list.open", context: "mail.list", label: "Open message" },
+  { id: "mail.list.archive", context: "mail.list", label: "Archive" },
+  { id: "mail.list.reply", context: "mail.list", label: "Reply" },
+  { id: "mail.list.forward", context: "mail.list", label: "Forward" },
+  { id: "mail.list.delete", context: "mail.list", label: "Delete" },
+  { id: "mail.list.spam", context: "mail.list", label: "Mark as spam" },
+
+  { id: "mail.message.reply", context: "mail.message", label: "Reply" },
+  { id: "mail.message.reply_all", context: "mail.message", label: "Reply all" },
+  { id: "mail.message.forward", context: "mail.message", label: "Forward" },
+  { id: "mail.message.reply_later", context: "mail.message", label: "Reply later" },
+  { id: "mail.message.raw", context: "mail.message", label: "View raw email" },
+  { id: "mail.message.back", context: "mail.message", label: "Back to inbox" },
+
+  { id: "mail.composer.send", context: "mail.composer", label: "Send email" },
+  { id: "mail.composer.back", context: "mail.composer", label: "Cancel and go back" },
+
+  { id: "chat.close_overlay", context: "chat", label: "Close panel" },
+
+  { id: "timeline.media.close", context: "timeline.media", label: "Close viewer" },
+  { id: "timeline.media.previous_image", context: "timeline.media", label: "Previous image" },
+  { id: "timeline.media.next_image", context: "timeline.media", label: "Next image" },
+  { id: "timeline.media.previous_post", context: "timeline.media", label: "Previous post" },
+  { id: "timeline.media.next_post", context: "timeline.media", label: "Next post" }
+]
+
+const MAIL_GOTO = {
+  "mail.goto_inbox": "g i",
+  "mail.goto_sent": "g s",
+  "mail.goto_search": "g t",
+  "mail.goto_archive": "g a",
+  "mail.goto_spam": "g p"
+}
+
+const COMPOSER = {
+  "mail.composer.send": "mod+enter",
+  "mail.composer.back": "escape"
+}
+
+const VIEWERS = {
+  "chat.close_overlay": "escape",
+  "timeline.media.close": "escape",
+  "timeline.media.previous_image": "arrowleft",
+  "timeline.media.next_image": "arrowright",
+  "timeline.media.previous_post": "arrowup",
+  "timeline.media.next_post": "arrowdown"
+}
+
+export const KEYMAP_PRESETS = {
+  gmail: {
+    "global.help": "?",
+    "mail.compose": "c",
+    ...MAIL_GOTO,
+    "mail.list.search": "/",
+    "mail.list.next": "j",
+    "mail.list.previous": "k",
+    "mail.list.open": "enter",
+    "mail.list.archive": "e",
+    "mail.list.reply": "r",
+    "mail.list.forward": "f",
+    "mail.list.delete": "#",
+    "mail.list.spam": "!",
+    "mail.message.reply": "r",
+    "mail.message.reply_all": "a",
+    "mail.message.forward": "f",
+    "mail.message.reply_later": "l",
+    "mail.message.raw": "v",
+    "mail.message.back": "escape",
+    ...COMPOSER,
+    ...VIEWERS
+  },
+
+  outlook: {
+    "global.help": "?",
+    "mail.compose": "n",
+    ...MAIL_GOTO,
+    "mail.list.search": "/",
+    "mail.list.next": "arrowdown",
+    "mail.list.previous": "arrowup",
+    "mail.list.open": ["enter", "o"],
+    "mail.list.archive": "e",
+    "mail.list.reply": "r",
+    "mail.list.forward": "shift+f",
+    "mail.list.delete": "delete",
+    "mail.list.spam": "j",
+    "mail.message.reply": "r",
+    "mail.message.reply_all": "shift+r",
+    "mail.message.forward": "shift+f",
+    "mail.message.reply_later": "l",
+    "mail.message.raw": "v",
+    "mail.message.back": "escape",
+    ...COMPOSER,
+    ...VIEWERS
+  },
+
+  vim: {
+    "global.help": "?",
+    "mail.compose": "c",
+    ...MAIL_GOTO,
+    "mail.list.search": "/",
+    "mail.list.next": "j",
+    "mail.list.previous": "k",
+    "mail.list.open": ["enter", "o", "l"],
+    "mail.list.archive": "e",
+    "mail.list.reply": "r",
+    "mail.list.forward": "f",
+    "mail.list.delete": "d d",
+    "mail.list.spam": "!",
+    "mail.message.reply": "r",
+    "mail.message.reply_all": "shift+r",
+    "mail.message.forward": "f",
+    "mail.message.reply_later": "s",
+    "mail.message.raw": "v",
+    "mail.message.back": ["escape", "q", "h"],
+    ...COMPOSER,
+    ...VIEWERS,
+    "timeline.media.close": ["escape", "q"],
+    "timeline.media.previous_image": ["arrowleft", "h"],
+    "timeline.media.next_image": ["arrowright", "l"],
+    "timeline.media.previous_post": ["arrowup", "k"],
+    "timeline.media.next_post": ["arrowdown", "j"]
+  },
+
+  none: {}
+}
@@ -0,0 +1,532 @@
+/**
+ * Markdown Rendering
+ * The one client-side markdown renderer, shared by every preview (email
+ * compose, replies, profile bio). Follows CommonMark plus the GFM extensions
+ * the server enables in Elektrine.Markdown (tables, strikethrough, task
+ * lists, autolinks, footnotes), so what a preview shows is what gets sent.
+ * Raw HTML is omitted and the output always passes through
+ * sanitizeMarkdownHtml.
+ */
+
+import { highlightCode } from "./markdown_highlight"
+import { escapeHtml, footnoteId, normalizeLabel, renderInline, unescapeString } from "./markdown_inline"
+import { sanitizeMarkdownHtml } from "./markdown_sanitize"
+
+const FENCE = /^( {0,3})(`{3,}|~{3,})(.*)$/
+const CLOSING_FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*$/
+const ATX = /^ {0,3}(#{1,6})(?:[ \t]+|$)(.*)$/
+const THEMATIC = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/
+const SETEXT = /^ {0,3}(=+|-+)[ \t]*$/
+const QUOTE = /^ {0,3}> ?/
+const BULLET = /^ {0,3}([-+*])(?=[ \t]|$)/
+const ORDERED = /^ {0,3}(\d{1,9})([.)])(?=[ \t]|$)/
+const TASK = /^\[([ xX])\](?:[ \t]+|$)/
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/
+const HTML_BLOCK =
+  /^ {0,3}(?:<!--|<\/?(?:address|article|aside|blockquote|details|dialog|div|dl|fieldset|figure|footer|form|h[1-6]|header|hr|iframe|li|main|nav|ol|p|pre|script|section|style|table|ul)(?:[\s/>]|$))/i
+const FOOTNOTE_DEFINITION = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]?(.*)$/
+const LINK_DEFINITION =
+  /^ {0,3}\[((?:[^\\[\]]|\\.){1,999})\]:[ \t]*(?:<((?:[^<>\n\\]|\\.)*)>|(\S+))(?:[ \t]+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*$/
+
+const isBlank = (line) => /^[ \t]*$/.test(line)
+const indentOf = (line) => line.match(/^ */)[0].length
+
+// Tabs in a line's leading indentation and markers become spaces (tab stops
+// of four), which keeps the indentation arithmetic below in plain columns.
+function expandTabs(line) {
+  const prefix = line.match(/^[ \t>*+\-\d.)]*/)[0]
+  if (!prefix.includes("\t")) return line
+
+  let expanded = ""
+  for (const char of prefix) {
+    expanded += char === "\t" ? " ".repeat(4 - (expanded.length % 4)) : char
+  }
+
+  return expanded + line.slice(prefix.length)
+}
+
+function openingFence(line) {
+  const match = FENCE.exec(line)
+  if (!match || (match[2][0] === "`" && match[3].includes("`"))) return null
+  return { indent: match[1].length, fence: match[2], info: unescapeString(match[3].trim()) }
+}
+
+function listMarker(line) {
+  const bullet = BULLET.exec(line)
+  const ordered = bullet ? null : ORDERED.exec(line)
+  const match = bullet || ordered
+  if (!match) return null
+
+  const markerEnd = match[0].length
+  const rest = line.slice(markerEnd)
+  const blank = isBlank(rest)
+  const spaces = indentOf(rest)
+  const padding = blank || spaces >= 5 ? 1 : spaces
+
+  return {
+    ordered: Boolean(ordered),
+    delimiter: bullet ? bullet[1] : ordered[2],
+    start: ordered ? Number(ordered[1]) : null,
+    contentIndent: markerEnd + padding,
+    first: blank ? "" : line.slice(markerEnd + padding),
+  }
+}
+
+function interruptsParagraph(line) {
+  if (ATX.test(line) || THEMATIC.test(line) || QUOTE.test(line) || HTML_BLOCK.test(line)) {
+    return true
+  }
+
+  if (openingFence(line)) return true
+
+  const marker = listMarker(line)
+  return Boolean(marker && marker.first !== "" && (!marker.ordered || marker.start === 1))
+}
+
+// Whether the line after `line` may be a lazy paragraph continuation.
+function opensParagraph(line) {
+  return (
+    !isBlank(line) &&
+    indentOf(line) < 4 &&
+    !openingFence(line) &&
+    !ATX.test(line) &&
+    !THEMATIC.test(line) &&
+    !HTML_BLOCK.test(line)
+  )
+}
+
+function splitRow(line) {
+  let row = line.trim()
+  if (row.startsWith("|")) row = row.slice(1)
+  if (row.endsWith("|") && !row.endsWith("\\|")) row = row.slice(0, -1)
+
+  const cells = []
+  let cell = ""
+
+  for (let index = 0; index < row.length; index += 1) {
+    if (row[index] === "\\" && row[index + 1] === "|") {
+      cell += "|"
+      index += 1
+    } else if (row[index] === "|") {
+      cells.push(cell.trim())
+      cell = ""
+    } else {
+      cell += row[index]
+    }
+  }
+
+  cells.push(cell.trim())
+  return cells
+}
+
+function tableStartsAt(lines, index) {
+  const header = lines[index]
+  const delimiter = lines[index + 1]
+
+  return (
+    delimiter !== undefined &&
+    header.includes("|") &&
+    TABLE_DELIMITER.test(delimiter) &&
+    (delimiter.includes("|") || delimiter.includes("-")) &&
+    splitRow(header).length === splitRow(delimiter).length
+  )
+}
+
+function parseTable(lines, index) {
+  const header = splitRow(lines[index])
+  const align = splitRow(lines[index + 1]).map((cell) => {
+    if (cell.startsWith(":") && cell.endsWith(":")) return "center"
+    if (cell.endsWith(":")) return "right"
+    if (cell.startsWith(":")) return "left"
+    return null
+  })
+
+  const rows = []
+  let next = index + 2
+
+  while (next < lines.length && !isBlank(lines[next]) && !interruptsParagraph(lines[next])) {
+    const cells = splitRow(lines[next])
+    rows.push(header.map((_cell, column) => cells[column] ?? ""))
+    next += 1
+  }
+
+  return { block: { type: "table", align, header, rows }, next }
+}
+
+function parseIndentedCode(lines, index) {
+  const body = []
+  let next = index
+
+  while (next < lines.length && (isBlank(lines[next]) || indentOf(lines[next]) >= 4)) {
+    body.push(lines[next].slice(4))
+    next += 1
+  }
+
+  while (isBlank(body[body.length - 1])) body.pop()
+
+  return { block: { type: "code", info: "", text: `${body.join("\n")}\n` }, next }
+}
+
+function parseFencedCode(lines, index, opening) {
+  const body = []
+  let next = index + 1
+
+  while (next < lines.length) {
+    const closing = CLOSING_FENCE.exec(lines[next])
+    next += 1
+
+    if (closing && closing[1][0] === opening.fence[0] && closing[1].length >= opening.fence.length) {
+      break
+    }
+
+    const line = lines[next - 1]
+    body.push(line.slice(Math.min(opening.indent, indentOf(line))))
+  }
+
+  const text = body.length ? `${body.join("\n")}\n` : ""
+  return { block: { type: "code", info: opening.info, text }, next }
+}
+
+function parseQuote(lines, index, context) {
+  const body = []
+  let next = index
+  let lazy = false
+  let fenced = false
+
+  while (next < lines.length) {
+    const line = lines[next]
+    const marker = QUOTE.exec(line)
+
+    if (marker) {
+      const content = line.slice(marker[0].length)
+      if (openingFence(content)) fenced = !fenced
+      body.push(content)
+      lazy = !fenced && opensParagraph(content)
+    } else if (lazy && !isBlank(line) && !interruptsParagraph(line)) {
+      body.push(line)
+    } else {
+      break
+    }
+
+    next += 1
+  }
+
+  return { block: { type: "quote", children: parseBlocks(body, context) }, next }
+}
+
+function parseListItem(lines, index, marker) {
+  const body = [marker.first]
+  let next = index + 1
+  let lazy = opensParagraph(marker.first)
+
+  while (next < lines.length) {
+    const line = lines[next]
+
+    if (isBlank(line)) {
+      // An item can start with at most one blank line.
+      if (body.every(isBlank)) break
+      body.push("")
+      lazy = false
+    } else if (indentOf(line) >= marker.contentIndent) {
+      const content = line.slice(marker.contentIndent)
+      body.push(content)
+      lazy = opensParagraph(content)
+    } else if (lazy && !interruptsParagraph(line) && !listMarker(line)) {
+      body.push(line)
+    } else {
+      break
+    }
+
+    next += 1
+  }
+
+  let trailingBlank = false
+  while (body.length > 1 && isBlank(body[body.length - 1])) {
+    body.pop()
+    trailingBlank = true
+  }
+
+  return { body, trailingBlank, next }
+}
+
+function parseList(lines, index, context) {
+  const first = listMarker(lines[index])
+  const items = []
+  let next = index
+  let loose = false
+  let blankAfterPrevious = false
+
+  while (next < lines.length && !THEMATIC.test(lines[next])) {
+    const marker = listMarker(lines[next])
+    if (!marker || marker.ordered !== first.ordered || marker.delimiter !== first.delimiter) break
+
+    const item = parseListItem(lines, next, marker)
+    const task = TASK.exec(item.body[0])
+    if (task) item.body[0] = item.body[0].slice(task[0].length)
+
+    const children = parseBlocks(item.body, context)
+    loose = loose || blankAfterPrevious || Boolean(children.separatedByBlank)
+
+    items.push({ task: task ? task[1] !== " " : null, children })
+    blankAfterPrevious = item.trailingBlank
+    next = item.next
+  }
+
+  return {
+    block: { type: "list", ordered: first.ordered, start: first.start, tight: !loose, items },
+    next,
+  }
+}
+
+function parseFootnoteDefinition(lines, index, context) {
+  const match = FOOTNOTE_DEFINITION.exec(lines[index])
+  const body = [match[2]]
+  let next = index + 1
+  let lazy = opensParagraph(match[2])
+
+  while (next < lines.length) {
+    const line = lines[next]
+
+    if (isBlank(line)) {
+      body.push("")
+      lazy = false
+    } else if (indentOf(line) >= 4) {
+      body.push(line.slice(4))
+      lazy = opensParagraph(line.slice(4))
+    } else if (lazy && !interruptsParagraph(line) && !FOOTNOTE_DEFINITION.test(line)) {
+      body.push(line)
+    } else {
+      break
+    }
+
+    next += 1
+  }
+
+  const key = normalizeLabel(match[1])
+  if (!context.footnotes.has(key)) {
+    context.footnotes.set(key, parseBlocks(body, context))
+  }
+
+  return { block: null, next }
+}
+
+function defineLink(match, context) {
+  const key = normalizeLabel(match[1])
+  if (!key || context.refs.has(key)) return
+
+  const title = match[4] ? unescapeString(match[4].slice(1, -1)) : null
+  context.refs.set(key, { href: unescapeString(match[2] ?? match[3]), title })
+}
+
+function paragraphText(body, context) {
+  let start = 0
+
+  while (start < body.length) {
+    const definition = LINK_DEFINITION.exec(body[start])
+    if (!definition) break
+
+    defineLink(definition, context)
+    start += 1
+  }
+
+  return body
+    .slice(start)
+    .map((line) => line.replace(/^[ \t]+/, ""))
+    .join("\n")
+    .replace(/[ \t]+$/, "")
+}
+
+function parseParagraph(lines, index, context) {
+  const body = [lines[index]]
+  let next = index + 1
+
+  while (next < lines.length && !isBlank(lines[next])) {
+    const setext = SETEXT.exec(lines[next])
+
+    if (setext) {
+      const text = paragraphText(body, context)
+      const level = setext[1][0] === "=" ? 1 : 2
+      if (text) return { block: { type: "heading", level, text }, next: next + 1 }
+      return { block: null, next }
+    }
+
+    if (interruptsParagraph(lines[next]) || tableStartsAt(lines, next)) break
+
+    body.push(lines[next])
+    next += 1
+  }
+
+  const text = paragraphText(body, context)
+  return { block: text ? { type: "paragraph", text } : null, next }
+}
+
+function parseBlock(lines, index, context) {
+  const line = lines[index]
+
+  if (indentOf(line) >= 4) return parseIndentedCode(lines, index)
+
+  const fence = openingFence(line)
+  if (fence) return parseFencedCode(lines, index, fence)
+
+  const heading = ATX.exec(line)
+  if (heading) {
+    const text = heading[2].replace(/(?:^|[ \t]+)#+[ \t]*$/, "").trim()
+    return { block: { type: "heading", level: heading[1].length, text }, next: index + 1 }
+  }
+
+  if (THEMATIC.test(line)) return { block: { type: "hr" }, next: index + 1 }
+  if (QUOTE.test(line)) return parseQuote(lines, index, context)
+  if (FOOTNOTE_DEFINITION.test(line)) return parseFootnoteDefinition(lines, index, context)
+  if (listMarker(line)) return parseList(lines, index, context)
+
+  if (HTML_BLOCK.test(line)) {
+    let next = index + 1
+    while (next < lines.length && !isBlank(lines[next])) next += 1
+    return { block: null, next }
+  }
+
+  if (tableStartsAt(lines, index)) return parseTable(lines, index)
+
+  return parseParagraph(lines, index, context)
+}
+
+function parseBlocks(lines, context) {
+  const blocks = []
+  let index = 0
+  let blankBefore = false
+
+  while (index < lines.length) {
+    if (isBlank(lines[index])) {
+      blankBefore = blocks.length > 0
+      index += 1
+      continue
+    }
+
+    const { block, next } = parseBlock(lines, index, context)
+
+    if (block) {
+      if (blankBefore) blocks.separatedByBlank = true
+      blocks.push(block)
+      blankBefore = false
+    }
+
+    index = next
+  }
+
+  return blocks
+}
+
+function alignAttribute(align) {
+  return align ? ` align="${align}"` : ""
+}
+
+function renderTable(block, context) {
+  const cell = (tag, source, column) =>
+    `<${tag}${alignAttribute(block.align[column])}>${renderInline(source, context)}</${tag}>`
+
+  const head = block.header.map((source, column) => cell("th", source, column)).join("")
+  const rows = block.rows
+    .map((row) => `<tr>${row.map((source, column) => cell("td", source, column)).join("")}</tr>\n`)
+    .join("")
+
+  return `<table>\n<thead>\n<tr>${head}</tr>\n</thead>\n${rows ? `<tbody>\n${rows}</tbody>\n` : ""}</table>\n`
+}
+
+function renderList(block, context) {
+  const tag = block.ordered ? "ol" : "ul"
+  const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : ""
+  const tasks = block.items.some((item) => item.task !== null) ? ' class="contains-task-list"' : ""
+
+  const items = block.items
+    .map(({ task, children }) => {
+      const checkbox =
+        task === null ? "" : `<input type="checkbox" disabled${task ? " checked" : ""} /> `
+      const itemClass = task === null ? "" : ' class="task-list-item"'
+      const content = renderBlocks(children, context, block.tight)
+      const separator = block.tight || !content ? "" : "\n"
+      return `<li${itemClass}>${separator}${checkbox}${content}</li>\n`
+    })
+    .join("")
+
+  return `<${tag}${start}${tasks}>\n${items}</${tag}>\n`
+}
+
+function renderBlock(block, context, tight) {
+  switch (block.type) {
+    case "paragraph": {
+      const inline = renderInline(block.text, context)
+      return tight ? inline : `<p>${inline}</p>\n`
+    }
+    case "heading":
+      return `<h${block.level}>${renderInline(block.text, context)}</h${block.level}>\n`
+    case "hr":
+      return "<hr />\n"
+    case "code": {
+      const language = block.info.split(/\s+/)[0]
+      const languageClass = language ? ` class="language-${escapeHtml(language)}"` : ""
+      return `<pre><code${languageClass}>${highlightCode(block.text, language)}</code></pre>\n`
+    }
+    case "quote":
+      return `<blockquote>\n${renderBlocks(block.children, context)}</blockquote>\n`
+    case "list":
+      return renderList(block, context)
+    case "table":
+      return renderTable(block, context)
+    default:
+      return ""
+  }
+}
+
+function renderBlocks(blocks, context, tight = false) {
+  return blocks
+    .map((block, index) => {
+      const html = renderBlock(block, context, tight)
+      // Keep nested blocks of a tight item off the paragraph's line.
+      return tight && index > 0 && block.type !== "paragraph" ? `\n${html}` : html
+    })
+    .join("")
+}
+
+function renderFootnotes(context) {
+  if (context.footnoteOrder.length === 0) return ""
+
+  let items = ""
+
+  // Footnotes may reference further footnotes, so the order can still grow.
+  for (let index = 0; index < context.footnoteOrder.length; index += 1) {
+    const key = context.footnoteOrder[index]
+    const id = footnoteId(key)
+    const backref = ` <a href="#fnref-${id}" class="footnote-backref" data-footnote-backref aria-label="Back to reference ${index + 1}">↩</a>`
+    const content = renderBlocks(context.footnotes.get(key), context)
+    const withBackref = content.endsWith("</p>\n")
+      ? `${content.slice(0, -"</p>\n".length)}${backref}</p>\n`
+      : `${content}${backref}`
+
+    items += `<li id="fn-${id}">\n${withBackref}</li>\n`
+  }
+
+  return `<section class="footnotes" data-footnotes>\n<ol>\n${items}</ol>\n</section>\n`
+}
+
+/**
+ * Renders markdown `source` to sanitized HTML.
+ *
+ * Options:
+ * - `hardBreaks`: single newlines become <br> (email bodies, matching the
+ *   server's `hardbreaks` render option)
+ * - `images`: when false, images render as their alt text (profile bios,
+ *   where the server strips images)
+ */
+export function renderMarkdown(source, { hardBreaks = false, images = true } = {}) {
+  if (!source || !String(source).trim()) return ""
+
+  const context = { refs: new Map(), footnotes: new Map(), footnoteOrder: [], hardBreaks, images }
+  const lines = String(source)
+    .replace(/\r\n?/g, "\n")
+    .replaceAll("\u0000", "�")
+    .split("\n")
+    .map(expandTabs)
+
+  const blocks = parseBlocks(lines, context)
+  return sanitizeMarkdownHtml(renderBlocks(blocks, context) + renderFootnotes(context))
+}
@@ -0,0 +1,255 @@
+/**
+ * Markdown Code Highlighting
+ * Small tokenizer for fenced code blocks in markdown previews. It marks
+ * comments, strings, numbers and keywords with hl-* classes for the common
+ * languages people paste into mail and posts; anything else stays plain.
+ */
+
+const C_LIKE = {
+  lineComment: "//",
+  blockComment: ["/*", "*/"],
+  quotes: "\"'",
+}
+
+const LANGUAGES = {
+  javascript: {
+    ...C_LIKE,
+    quotes: "\"'`",
+    keywords:
+      "async await break case catch class const continue default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while yield",
+    literals: "true false null undefined NaN",
+  },
+  typescript: {
+    ...C_LIKE,
+    quotes: "\"'`",
+    keywords:
+      "abstract as async await break case catch class const continue default do else enum export extends finally for from function if implements import in interface let new of private protected public readonly return static super switch this throw try type typeof var while",
+    literals: "true false null undefined",
+  },
+  python: {
+    lineComment: "#",
+    quotes: "\"'",
+    keywords:
+      "and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield",
+    literals: "True False None",
+  },
+  elixir: {
+    lineComment: "#",
+    quotes: "\"'",
+    keywords:
+      "after alias and case catch cond def defmodule defp defstruct defmacro do else end fn for if import in not or quote raise receive require rescue try unless unquote use when with",
+    literals: "true false nil",
+  },
+  ruby: {
+    lineComment: "#",
+    quotes: "\"'",
+    keywords:
+      "alias and begin break case class def do else elsif end ensure for if in module next not or redo rescue retry return self super then unless until when while yield",
+    literals: "true false nil",
+  },
+  go: {
+    ...C_LIKE,
+    quotes: "\"'`",
+    keywords:
+      "break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var",
+    literals: "true false nil iota",
+  },
+  rust: {
+    ...C_LIKE,
+    keywords:
+      "as async await break const continue crate else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while",
+    literals: "true false None Some Ok Err",
+  },
+  c: {
+    ...C_LIKE,
+    keywords:
+      "auto break case char class const continue default delete do double else enum extern float for goto if include int long namespace new private protected public return short signed sizeof static struct switch template this throw try typedef union unsigned using virtual void volatile while",
+    literals: "true false NULL nullptr",
+  },
+  java: {
+    ...C_LIKE,
+    keywords:
+      "abstract boolean break byte case catch char class continue default do double else enum extends final finally float for if implements import instanceof int interface long new package private protected public return short static super switch this throw throws try void while",
+    literals: "true false null",
+  },
+  shell: {
+    lineComment: "#",
+    quotes: "\"'",
+    keywords:
+      "case do done elif else esac export fi for function if in local return then until while echo cd",
+    literals: "",
+  },
+  sql: {
+    lineComment: "--",
+    blockComment: ["/*", "*/"],
+    quotes: "'\"",
+    caseInsensitive: true,
+    keywords:
+      "select from where and or not insert into values update set delete create table alter drop index join left right inner outer on group by order having limit offset as distinct union returning primary key references",
+    literals: "true false null",
+  },
+  css: {
+    blockComment: ["/*", "*/"],
+    quotes: "\"'",
+    keywords: "important media import supports keyframes",
+    literals: "",
+  },
+  json: {
+    quotes: "\"",
+    keywords: "",
+    literals: "true false null",
+  },
+}
+
+const ALIASES = {
+  js: "javascript",
+  jsx: "javascript",
+  mjs: "javascript",
+  ts: "typescript",
+  tsx: "typescript",
+  py: "python",
+  ex: "elixir",
+  exs: "elixir",
+  rb: "ruby",
+  golang: "go",
+  rs: "rust",
+  h: "c",
+  cpp: "c",
+  "c++": "c",
+  cs: "c",
+  csharp: "c",
+  kotlin: "java",
+  kt: "java",
+  sh: "shell",
+  bash: "shell",
+  zsh: "shell",
+  console: "shell",
+  postgres: "sql",
+  postgresql: "sql",
+  scss: "css",
+}
+
+const NUMBER = /0x[\da-f]+|\d[\d_]*(\.\d+)?(e[+-]?\d+)?/iy
+const WORD = /[\w$]+/y
+
+const compiled = new Map()
+
+function languageFor(name) {
+  const key = ALIASES[name] || name
+  if (!LANGUAGES[key]) return null
+
+  if (!compiled.has(key)) {
+    const language = LANGUAGES[key]
+    const words = (list) => new Set(list.split(" ").filter(Boolean))
+    compiled.set(key, {
+      ...language,
+      keywords: words(language.keywords),
+      literals: words(language.literals),
+    })
+  }
+
+  return compiled.get(key)
+}
+
+function escapeHtml(text) {
+  return text.replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;")
+}
+
+function span(kind, text) {
+  return `<span class="hl-${kind}">${escapeHtml(text)}</span>`
+}
+
+function stringEnd(code, start, quote) {
+  let index = start + 1
+
+  while (index < code.length) {
+    if (code[index] === "\\") {
+      index += 2
+    } else if (code[index] === quote) {
+      return index + 1
+    } else if (code[index] === "\n" && quote !== "`") {
+      return index
+    } else {
+      index += 1
+    }
+  }
+
+  return code.length
+}
+
+function matchAt(pattern, code, index) {
+  pattern.lastIndex = index
+  return pattern.exec(code)[0]
+}
+
+function wordKind(language, word) {
+  const lookup = language.caseInsensitive ? word.toLowerCase() : word
+  if (language.keywords.has(lookup)) return "keyword"
+  if (language.literals.has(lookup)) return "literal"
+  return null
+}
+
+/**
+ * Returns `code` as escaped HTML, with tokens wrapped in hl-* spans when
+ * `languageName` (a fence info string such as "js" or "elixir") is known.
+ */
+export function highlightCode(code, languageName) {
+  const language = languageFor(String(languageName || "").toLowerCase())
+  if (!language) return escapeHtml(code)
+
+  let output = ""
+  let plain = ""
+  let index = 0
+
+  const flush = () => {
+    output += escapeHtml(plain)
+    plain = ""
+  }
+
+  while (index < code.length) {
+    const rest = code.slice(index, index + 2)
+    const char = code[index]
+
+    if (language.lineComment && code.startsWith(language.lineComment, index)) {
+      const end = code.indexOf("\n", index)
+      const stop = end === -1 ? code.length : end
+      flush()
+      output += span("comment", code.slice(index, stop))
+      index = stop
+    } else if (language.blockComment && rest === language.blockComment[0]) {
+      const end = code.indexOf(language.blockComment[1], index + 2)
+      const stop = end === -1 ? code.length : end + language.blockComment[1].length
+      flush()
+      output += span("comment", code.slice(index, stop))
+      index = stop
+    } else if (language.quotes.includes(char)) {
+      const stop = stringEnd(code, index, char)
+      flush()
+      output += span("string", code.slice(index, stop))
+      index = stop
+    } else if (/[0-9]/.test(char) && !/[\w$]/.test(code[index - 1] || "")) {
+      const number = matchAt(NUMBER, code, index)
+      flush()
+      output += span("number", number)
+      index += number.length
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const word = matchAt(WORD, code, index)
+      const kind = wordKind(language, word)
+
+      if (kind) {
+        flush()
+        output += span(kind, word)
+      } else {
+        plain += word
+      }
+
+      index += word.length
+    } else {
+      plain += char
+      index += 1
+    }
+  }
+
+  flush()
+  return output
+}
@@ -0,0 +1,481 @@
+/**
+ * Markdown Inline Parser
+ * Inline half of markdown.js: code spans, emphasis (CommonMark delimiter
+ * runs), links and images with reference lookups, autolinks (including GFM's
+ * bare www./http/email ones), ~~strikethrough~~, footnote references and
+ * line breaks. Produces HTML that still goes through markdown_sanitize.js.
+ */
+
+const ESCAPABLE = /[!-/:-@[-`{-~]/
+const WHITESPACE = /\s/u
+const PUNCTUATION = /[\p{P}\p{S}]/u
+
+const BACKTICKS = /`+/g
+const ENTITY = /&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});/y
+const URI_AUTOLINK = /<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>\u0000-\u001f]*)>/y
+const EMAIL_AUTOLINK =
+  /<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/y
+const RAW_HTML =
+  /<\/?[a-zA-Z][a-zA-Z0-9-]*(?:\s+[a-zA-Z_:][\w.:-]*(?:\s*=\s*(?:[^\s"'=<>`]+|'[^']*'|"[^"]*"))?)*\s*\/?>|<!--[\s\S]*?-->/y
+const URL_EXTENDED = /(?:https?:\/\/|www\.)[\w-]+(?:\.[\w-]+)+[^\s<]*/y
+const EMAIL_EXTENDED = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/y
+const ANGLE_DESTINATION = /<((?:[^<>\n\\]|\\.)*)>/y
+const TITLES = { '"': /"((?:[^"\\]|\\.)*)"/y, "'": /'((?:[^'\\]|\\.)*)'/y, "(": /\(((?:[^()\\]|\\.)*)\)/y }
+
+export function escapeHtml(text) {
+  return String(text)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+}
+
+export function normalizeLabel(label) {
+  return label.trim().replace(/\s+/g, " ").toLowerCase()
+}
+
+function decodeEntity(entity) {
+  const numeric = entity.match(/^&#([xX]?)([0-9a-fA-F]+);$/)
+
+  if (numeric) {
+    const code = parseInt(numeric[2], numeric[1] ? 16 : 10)
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "�"
+  }
+
+  const decoder = document.createElement("textarea")
+  decoder.innerHTML = entity
+  return decoder.value
+}
+
+// Backslash escapes and entities in link destinations, titles and fence info.
+export function unescapeString(text) {
+  return text
+    .replace(/\\([!-/:-@[-`{-~])/g, "$1")
+    .replace(/&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});/g, decodeEntity)
+}
+
+function normalizeUrl(url) {
+  try {
+    return url.replace(/%(?![0-9a-fA-F]{2})|[^\w\-.~:/?#[\]@!$&'()*+,;=%]/gu, (char) =>
+      encodeURIComponent(char)
+    )
+  } catch (_error) {
+    return url
+  }
+}
+
+const text = (value) => ({ type: "text", value })
+const html = (value, alt = "") => ({ type: "html", value, alt })
+
+function autolink(href, label) {
+  return { type: "element", tag: "a", href, autolink: true, children: [text(label)] }
+}
+
+function stickyMatch(pattern, source, index) {
+  pattern.lastIndex = index
+  return pattern.exec(source)
+}
+
+function codeSpan(source, index) {
+  const opening = stickyMatch(/`+/y, source, index)[0]
+  BACKTICKS.lastIndex = index + opening.length
+
+  for (let match = BACKTICKS.exec(source); match; match = BACKTICKS.exec(source)) {
+    if (match[0].length !== opening.length) continue
+
+    let content = source.slice(index + opening.length, match.index).replace(/\n/g, " ")
+    if (/^ [\s\S]* $/.test(content) && content.trim() !== "") content = content.slice(1, -1)
+
+    return { node: html(`<code>${escapeHtml(content)}</code>`, content), end: BACKTICKS.lastIndex }
+  }
+
+  return { node: text(opening), end: index + opening.length }
+}
+
+function angleToken(source, index) {
+  const uri = stickyMatch(URI_AUTOLINK, source, index)
+  if (uri) return { node: autolink(uri[1], uri[1]), end: index + uri[0].length }
+
+  const email = stickyMatch(EMAIL_AUTOLINK, source, index)
+  if (email) return { node: autolink(`mailto:${email[1]}`, email[1]), end: index + email[0].length }
+
+  // Raw HTML is left out, as the server renderer does.
+  const tag = stickyMatch(RAW_HTML, source, index)
+  if (tag) return { node: null, end: index + tag[0].length }
+
+  return { node: text("<"), end: index + 1 }
+}
+
+function trimAutolink(url) {
+  let end = url.length
+
+  while (end > 0) {
+    const last = url[end - 1]
+    const head = url.slice(0, end)
+
+    if ("?!.,:*_~'\"".includes(last)) {
+      end -= 1
+    } else if (last === ")" && head.split("(").length < head.split(")").length) {
+      end -= 1
+    } else if (last === ";" && /&[a-zA-Z0-9]+;$/.test(head)) {
+      end -= head.match(/&[a-zA-Z0-9]+;$/)[0].length
+    } else {
+      break
+    }
+  }
+
+  return url.slice(0, end)
+}
+
+// GFM autolinks for bare www., http(s):// and email addresses.
+function extendedAutolink(source, index) {
+  const previous = source[index - 1]
+  if (previous !== undefined && !/[\s*_~(]/.test(previous)) return null
+
+  const url = stickyMatch(URL_EXTENDED, source, index)
+
+  if (url) {
+    const label = trimAutolink(url[0])
+    const href = label.startsWith("www.") ? `http://${label}` : label
+    return { node: autolink(href, label), end: index + label.length }
+  }
+
+  const email = stickyMatch(EMAIL_EXTENDED, source, index)
+  if (!email) return null
+
+  const address = email[0].replace(/\.$/, "")
+  if (/[-_]$/.test(address)) return null
+
+  return { node: autolink(`mailto:${address}`, address), end: index + address.length }
+}
+
+function delimiterRun(source, index) {
+  const char = source[index]
+  let end = index
+  while (source[end] === char) end += 1
+
+  const count = end - index
+  const before = source[index - 1] ?? "\n"
+  const after = source[end] ?? "\n"
+  const leftFlanking =
+    !WHITESPACE.test(after) &&
+    (!PUNCTUATION.test(after) || WHITESPACE.test(before) || PUNCTUATION.test(before))
+  const rightFlanking =
+    !WHITESPACE.test(before) &&
+    (!PUNCTUATION.test(before) || WHITESPACE.test(after) || PUNCTUATION.test(after))
+
+  if (char === "~" && count > 2) return { node: text(source.slice(index, end)), end }
+
+  const underscore = char === "_"
+  const canOpen = leftFlanking && (!underscore || !rightFlanking || PUNCTUATION.test(before))
+  const canClose = rightFlanking && (!underscore || !leftFlanking || PUNCTUATION.test(after))
+
+  return { node: { type: "delim", char, count, length: count, canOpen, canClose }, end }
+}
+
+function skipSpace(source, index) {
+  while (index < source.length && /[ \t\n]/.test(source[index])) index += 1
+  return index
+}
+
+function inlineTarget(source, start) {
+  if (source[start] !== "(") return null
+
+  let index = skipSpace(source, start + 1)
+  let destination = ""
+
+  const angled = stickyMatch(ANGLE_DESTINATION, source, index)
+
+  if (angled) {
+    destination = angled[1]
+    index += angled[0].length
+  } else {
+    const begin = index
+    let depth = 0
+
+    while (index < source.length) {
+      const char = source[index]
+
+      if (char === "\\" && ESCAPABLE.test(source[index + 1] || "")) {
+        index += 2
+        continue
+      }
+
+      if (char === "(") depth += 1
+      if (char === ")" && depth === 0) break
+      if (char === ")") depth -= 1
+      if (/[\s\u0000-\u001f]/.test(char)) break
+      index += 1
+    }
+
+    if (depth !== 0) return null
+    destination = source.slice(begin, index)
+  }
+
+  const afterDestination = index
+  index = skipSpace(source, index)
+  let title = null
+
+  if (index > afterDestination && TITLES[source[index]]) {
+    const match = stickyMatch(TITLES[source[index]], source, index)
+    if (!match) return null
+
+    title = match[1]
+    index = skipSpace(source, index + match[0].length)
+  }
+
+  if (source[index] !== ")") return null
+
+  return {
+    href: unescapeString(destination),
+    title: title === null ? null : unescapeString(title),
+    end: index + 1,
+  }
+}
+
+function referenceTarget(source, start, label, context) {
+  if (source[start] === "[") {
+    const close = stickyMatch(/\[((?:[^\\[\]]|\\.){0,999})\]/y, source, start)
+
+    if (close) {
+      const definition = context.refs.get(normalizeLabel(close[1] || label))
+      return definition ? { ...definition, end: start + close[0].length } : null
+    }
+  }
+
+  const definition = context.refs.get(normalizeLabel(label))
+  return definition ? { ...definition, end: start } : null
+}
+
+function footnoteReference(label, context) {
+  const key = normalizeLabel(label)
+  if (!context.footnotes.has(key)) return null
+
+  if (!context.footnoteOrder.includes(key)) context.footnoteOrder.push(key)
+  const number = context.footnoteOrder.indexOf(key) + 1
+  const id = footnoteId(key)
+
+  return html(
+    `<sup class="footnote-ref"><a href="#fn-${id}" id="fnref-${id}" data-footnote-ref>${number}</a></sup>`,
+    String(number)
+  )
+}
+
+export function footnoteId(key) {
+  return key.replace(/[^\w-]+/g, "-")
+}
+
+// Matches the "]" at `index` with the nearest open bracket. Returns the index
+// to continue from, or null when it is literal text.
+function closeBracket(nodes, source, index, context) {
+  let openerIndex = nodes.length - 1
+  while (openerIndex >= 0 && nodes[openerIndex].type !== "bracket") openerIndex -= 1
+  if (openerIndex < 0) return null
+
+  const opener = nodes[openerIndex]
+  const literal = () => {
+    nodes[openerIndex] = text(opener.image ? "![" : "[")
+    return null
+  }
+
+  if (!opener.active) return literal()
+
+  const label = source.slice(opener.start, index)
+
+  if (!opener.image && label.startsWith("^")) {
+    const reference = footnoteReference(label.slice(1), context)
+
+    if (reference) {
+      nodes.splice(openerIndex, nodes.length - openerIndex, reference)
+      return index + 1
+    }
+  }
+
+  const target = inlineTarget(source, index + 1) || referenceTarget(source, index + 1, label, context)
+  if (!target) return literal()
+
+  const children = nodes.splice(openerIndex + 1)
+  processEmphasis(children)
+  nodes.pop()
+  nodes.push({
+    type: "element",
+    tag: opener.image ? "img" : "a",
+    href: target.href,
+    title: target.title,
+    children,
+  })
+
+  // Links may not contain other links.
+  if (!opener.image) {
+    nodes.forEach((node) => {
+      if (node.type === "bracket" && !node.image) node.active = false
+    })
+  }
+
+  return target.end
+}
+
+function emphasisPairs(opener, closer) {
+  if (opener.char !== closer.char || !opener.canOpen || opener.count === 0) return false
+  if (closer.char === "~") return opener.count === closer.count
+
+  const multipleOfThree = (opener.length + closer.length) % 3 === 0
+  const bothMultiples = opener.length % 3 === 0 && closer.length % 3 === 0
+  return !((opener.canClose || closer.canOpen) && multipleOfThree && !bothMultiples)
+}
+
+// CommonMark's "process emphasis": pairs delimiter runs into em, strong and
+// del elements. Unpaired runs are left to render as literal characters.
+function processEmphasis(nodes) {
+  for (let index = 0; index < nodes.length; index += 1) {
+    const closer = nodes[index]
+    if (closer.type !== "delim" || !closer.canClose || closer.count === 0) continue
+
+    let openerIndex = index - 1
+    while (openerIndex >= 0 && !(nodes[openerIndex].type === "delim" && emphasisPairs(nodes[openerIndex], closer))) {
+      openerIndex -= 1
+    }
+    if (openerIndex < 0) continue
+
+    const opener = nodes[openerIndex]
+    const used = closer.char === "~" ? closer.count : Math.min(2, opener.count, closer.count)
+    const tag = closer.char === "~" ? "del" : used === 2 ? "strong" : "em"
+
+    opener.count -= used
+    closer.count -= used
+
+    const children = nodes.splice(openerIndex + 1, index - openerIndex - 1)
+    nodes.splice(openerIndex + 1, 0, { type: "element", tag, children })
+
+    // Look at the same closer again in case it has characters left.
+    index = openerIndex + 1
+  }
+}
+
+function parseInline(source, context) {
+  const nodes = []
+  let plain = ""
+  let index = 0
+
+  const push = (node) => {
+    if (plain) nodes.push(text(plain))
+    plain = ""
+    if (node) nodes.push(node)
+  }
+
+  const take = ({ node, end }) => {
+    push(node)
+    index = end
+  }
+
+  while (index < source.length) {
+    const char = source[index]
+
+    if (char === "\\") {
+      const next = source[index + 1]
+
+      if (next === "\n") {
+        push(html("<br />\n", " "))
+        index = skipSpace(source, index + 2)
+      } else if (next && ESCAPABLE.test(next)) {
+        plain += next
+        index += 2
+      } else {
+        plain += char
+        index += 1
+      }
+    } else if (char === "`") {
+      take(codeSpan(source, index))
+    } else if (char === "<") {
+      take(angleToken(source, index))
+    } else if (char === "&" && stickyMatch(ENTITY, source, index)) {
+      const entity = stickyMatch(ENTITY, source, index)[0]
+      plain += decodeEntity(entity)
+      index += entity.length
+    } else if (char === "*" || char === "_" || char === "~") {
+      take(delimiterRun(source, index))
+    } else if (char === "!" && source[index + 1] === "[") {
+      take({ node: { type: "bracket", image: true, active: true, start: index + 2 }, end: index + 2 })
+    } else if (char === "[") {
+      take({ node: { type: "bracket", image: false, active: true, start: index + 1 }, end: index + 1 })
+    } else if (char === "]") {
+      push(null)
+      const end = closeBracket(nodes, source, index, context)
+
+      if (end === null) {
+        plain += char
+        index += 1
+      } else {
+        index = end
+      }
+    } else if (char === "\n") {
+      const hard = / {2,}$/.test(plain)
+      plain = plain.replace(/ +$/, "")
+      push(html(hard || context.hardBreaks ? "<br />\n" : "\n", " "))
+      index = skipSpace(source, index + 1)
+    } else {
+      const link = /[\w.+-]/.test(char) ? extendedAutolink(source, index) : null
+
+      if (link) {
+        take(link)
+      } else {
+        plain += char
+        index += 1
+      }
+    }
+  }
+
+  push(null)
+  processEmphasis(nodes)
+  return nodes
+}
+
+function plainText(nodes) {
+  return nodes
+    .map((node) => {
+      if (node.type === "text") return node.value
+      if (node.type === "html") return node.alt
+      if (node.type === "delim") return node.char.repeat(node.count)
+      if (node.type === "bracket") return node.image ? "![" : "["
+      return plainText(node.children)
+    })
+    .join("")
+}
+
+function renderNodes(nodes, context, insideLink = false) {
+  return nodes.map((node) => renderNode(node, context, insideLink)).join("")
+}
+
+function renderNode(node, context, insideLink) {
+  switch (node.type) {
+    case "text":
+      return escapeHtml(node.value)
+    case "html":
+      return node.value
+    case "delim":
+      return escapeHtml(node.char.repeat(node.count))
+    case "bracket":
+      return node.image ? "![" : "["
+  }
+
+  const title = node.title ? ` title="${escapeHtml(node.title)}"` : ""
+
+  switch (node.tag) {
+    case "a":
+      if (insideLink) return renderNodes(node.children, context, true)
+      return `<a href="${escapeHtml(normalizeUrl(node.href))}"${title}>${renderNodes(node.children, context, true)}</a>`
+    case "img":
+      if (!context.images) return escapeHtml(plainText(node.children))
+      return `<img src="${escapeHtml(normalizeUrl(node.href))}" alt="${escapeHtml(plainText(node.children))}"${title} />`
+    default:
+      return `<${node.tag}>${renderNodes(node.children, context, insideLink)}</${node.tag}>`
+  }
+}
+
+/**
+ * Renders one block's inline content (a paragraph, heading or table cell).
+ * `context` carries the document's link reference and footnote definitions.
+ */
+export function renderInline(source, context) {
+  return renderNodes(parseInline(source, context), context)
+}
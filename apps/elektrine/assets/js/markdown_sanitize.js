@@ -0,0 +1,137 @@
+/**
+ * Markdown Sanitizer
+ * The one sanitization pass for rendered markdown (see markdown.js). The
+ * allowlist mirrors what Elektrine.Markdown.to_html/1 keeps after
+ * HtmlSanitizeEx.markdown_html and strip_images, so a preview shows what gets
+ * saved: images and task list checkboxes are dropped, and footnote markup is
+ * unwrapped to its text.
+ */
+
+const ALLOWED_TAGS = {
+  a: ["href", "title"],
+  blockquote: [],
+  br: [],
+  code: ["class"],
+  del: [],
+  em: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  hr: [],
+  li: [],
+  ol: ["start"],
+  p: [],
+  pre: [],
+  span: ["class"],
+  strong: [],
+  table: [],
+  tbody: [],
+  td: ["align"],
+  th: ["align"],
+  thead: [],
+  tr: [],
+  ul: [],
+}
+
+// Dropped with their contents; any other unknown tag is unwrapped.
+const DROPPED_TAGS = new Set(["script", "style", "iframe", "object", "embed", "template", "noscript"])
+
+const CLASS_PATTERN = /^(language-[\w+#-]+|hl-[a-z]+)$/
+
+export function sanitizeMarkdownHref(href) {
+  if (typeof href !== "string") return null
+
+  const trimmedHref = href.trim()
+  if (trimmedHref === "") return null
+
+  if (trimmedHref.startsWith("#")) {
+    return trimmedHref
+  }
+
+  if (trimmedHref.startsWith("/")) {
+    return trimmedHref.startsWith("//") ? null : trimmedHref
+  }
+
+  // Normalize away ASCII whitespace/control characters for scheme checks.
+  const normalizedHref = trimmedHref.replace(/[\u0000-\u001F\u007F\s]+/g, "")
+  const schemeMatch = normalizedHref.match(/^([a-zA-Z][a-zA-Z\d+.-]*):/)
+
+  if (!schemeMatch) return null
+
+  const scheme = schemeMatch[1].toLowerCase()
+  if (scheme === "http" || scheme === "https" || scheme === "mailto") {
+    return trimmedHref
+  }
+
+  return null
+}
+
+function allowedAttribute(name, value) {
+  switch (name) {
+    case "href":
+      return sanitizeMarkdownHref(value)
+    case "class":
+      return value.split(/\s+/).every((name) => CLASS_PATTERN.test(name)) ? value : null
+    case "align":
+      return ["left", "center", "right"].includes(value) ? value : null
+    case "start":
+      return /^\d{1,9}$/.test(value) ? value : null
+    default:
+      return value
+  }
+}
+
+function cleanElement(element) {
+  const tag = element.tagName.toLowerCase()
+  const allowed = ALLOWED_TAGS[tag]
+
+  if (!allowed) {
+    if (DROPPED_TAGS.has(tag)) {
+      element.remove()
+    } else {
+      const children = [...element.childNodes]
+      element.replaceWith(...children)
+      children.forEach(cleanNode)
+    }
+    return
+  }
+
+  for (const { name, value } of [...element.attributes]) {
+    const safe = allowed.includes(name) ? allowedAttribute(name, value) : null
+
+    if (safe === null) {
+      element.removeAttribute(name)
+    } else if (safe !== value) {
+      element.setAttribute(name, safe)
+    }
+  }
+
+  if (tag === "a" && element.getAttribute("href")?.match(/^(https?|mailto):/i)) {
+    element.setAttribute("target", "_blank")
+    element.setAttribute("rel", "noopener noreferrer")
+  }
+
+  Array.from(element.childNodes).forEach(cleanNode)
+}
+
+function cleanNode(node) {
+  if (node.nodeType === Node.ELEMENT_NODE) {
+    cleanElement(node)
+  } else if (node.nodeType !== Node.TEXT_NODE) {
+    node.remove()
+  }
+}
+
+/**
+ * Returns `html` with every tag and attribute outside the markdown allowlist
+ * removed. Parsing happens in an inert <template>, so nothing loads or runs.
+ */
+export function sanitizeMarkdownHtml(html) {
+  const template = document.createElement("template")
+  template.innerHTML = html
+  Array.from(template.content.childNodes).forEach(cleanNode)
+  return template.innerHTML
+}
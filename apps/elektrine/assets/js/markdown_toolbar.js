@@ -1,4 +1,4 @@
-import { sanitizeMarkdownHref } from "./markdown_helpers";
+import { renderMarkdown } from "./markdown";
 
 // Markdown toolbar module for email compose
 export function initMarkdownToolbar() {
@@ -171,7 +171,7 @@ export function initMarkdownToolbar() {
   });
 }
 
-// Convert markdown to HTML for preview
+// Render the markdown body for preview, the way the email will be sent
 function updatePreview(markdown, previewElement) {
   if (!previewElement) {
     return;
@@ -182,100 +182,5 @@ function updatePreview(markdown, previewElement) {
     return;
   }
 
-  // Process markdown line by line for better handling
-  const lines = markdown.split('\n');
-  const htmlLines = [];
-  let inCodeBlock = false;
-  let codeBlockLines = [];
-
-  for (let line of lines) {
-    // Handle code blocks
-    if (line.startsWith('```')) {
-      if (inCodeBlock) {
-        htmlLines.push(`<pre><code>${codeBlockLines.join('\n')}</code></pre>`);
-        codeBlockLines = [];
-        inCodeBlock = false;
-      } else {
-        inCodeBlock = true;
-      }
-      continue;
-    }
-
-    if (inCodeBlock) {
-      codeBlockLines.push(escapeHtml(line));
-      continue;
-    }
-
-    // Process individual line
-    let processedLine = line;
-
-    // Headers (must be at line start)
-    if (line.startsWith('### ')) {
-      processedLine = `<h3>${escapeHtml(line.substring(4))}</h3>`;
-    } else if (line.startsWith('## ')) {
-      processedLine = `<h2>${escapeHtml(line.substring(3))}</h2>`;
-    } else if (line.startsWith('# ')) {
-      processedLine = `<h1>${escapeHtml(line.substring(2))}</h1>`;
-    }
-    // Blockquotes
-    else if (line.startsWith('> ')) {
-      processedLine = `<blockquote>${processMarkdownInline(line.substring(2))}</blockquote>`;
-    }
-    // Unordered lists
-    else if (line.startsWith('- ') || line.startsWith('* ')) {
-      processedLine = `<li>${processMarkdownInline(line.substring(2))}</li>`;
-    }
-    // Ordered lists
-    else if (/^\d+\. /.test(line)) {
-      processedLine = `<li>${processMarkdownInline(line.replace(/^\d+\. /, ''))}</li>`;
-    }
-    // Regular paragraph
-    else if (line.trim() !== '') {
-      processedLine = `<p>${processMarkdownInline(line)}</p>`;
-    } else {
-      processedLine = '<br>';
-    }
-
-    htmlLines.push(processedLine);
-  }
-
-  // Handle any unclosed code block
-  if (inCodeBlock && codeBlockLines.length > 0) {
-    htmlLines.push(`<pre><code>${codeBlockLines.join('\n')}</code></pre>`);
-  }
-
-  // Wrap consecutive list items in ul tags
-  const finalHtml = htmlLines.join('\n').replace(/(<li>.*<\/li>\n)+/g, (match) => {
-    return `<ul class="list-disc list-inside">${match}</ul>`;
-  });
-
-  previewElement.innerHTML = finalHtml;
-}
-
-// Process inline markdown (bold, italic, code, links)
-function processMarkdownInline(text) {
-  return escapeHtml(text)
-    // Bold (must come before italic)
-    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-    // Italic
-    .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-    // Inline code
-    .replace(/`([^`]+)`/g, '<code>$1</code>')
-    // Links
-    .replace(/\[([^\]]+)\]\(([^\)]+)\)/g, (match, label, href) => {
-      const safeHref = sanitizeMarkdownHref(href);
-
-      if (!safeHref) {
-        return match;
-      }
-
-      return `<a href="${safeHref}" target="_blank" rel="noopener noreferrer">${label}</a>`;
-    });
-}
-
-// Escape HTML to prevent XSS
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  previewElement.innerHTML = renderMarkdown(markdown, { hardBreaks: true });
 }
@@ -373,136 +373,3 @@ export function showConfirmNotification(message, onConfirm, onCancel = null, opt
     ]
   })
 }
-
-// Global function to show keyboard shortcuts (called from buttons)
-export function showKeyboardShortcuts() {
-
-  // Check if modal already exists to prevent duplicates
-  if (document.getElementById('keyboard-shortcuts-modal')) {
-    return
-  }
-
-  const modal = document.createElement('div')
-  modal.id = 'keyboard-shortcuts-modal'
-  modal.className = 'shortcut-overlay fixed inset-0 flex items-center justify-center z-50'
-
-  // Create modal content container
-  const modalContent = document.createElement('div')
-  modalContent.className = 'shortcut-dialog rounded-lg p-6 max-w-2xl w-full mx-4 max-h-96 overflow-y-auto'
-  modalContent.innerHTML = `
-    <div class="flex justify-between items-center mb-6">
-      <h2 class="text-2xl font-bold">Keyboard Shortcuts</h2>
-      <button class="btn btn-ghost btn-sm btn-circle modal-close-btn">
-        <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
-        </svg>
-      </button>
-    </div>
-
-    <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
-      <div>
-        <h3 class="font-semibold mb-3">Navigation</h3>
-        <div class="space-y-2 text-sm">
-          <div class="flex justify-between">
-            <kbd class="kbd kbd-sm">c</kbd>
-            <span>Compose</span>
-          </div>
-          <div class="flex justify-between">
-            <kbd class="kbd kbd-sm">g</kbd>
-            <span>Go to menu</span>
-          </div>
-          <div class="flex justify-between">
-            <kbd class="kbd kbd-sm">/</kbd>
-            <span>Search</span>
-          </div>
-          <div class="flex justify-between">
-            <kbd class="kbd kbd-sm">j</kbd>
-            <span>Next message</span>
-          </div>
-          <div class="flex justify-between">
-            <kbd class="kbd kbd-sm">k</kbd>
-            <span>Previous message</span>
-          </div>
-          <div class="flex justify-between">
-            <kbd class="kbd kbd-sm">Enter</kbd>
-            <span>Open message</span>
-          </div>
-        </div>
-      </div>
-
-      <div>
-        <h3 class="font-semibold mb-3">Actions</h3>
-        <div class="space-y-2 text-sm">
-          <div class="flex justify-between">
-            <kbd class="kbd kbd-sm">e</kbd>
-            <span>Archive</span>
-          </div>
-          <div class="flex justify-between">
-            <kbd class="kbd kbd-sm">r</kbd>
-            <span>Reply</span>
-          </div>
-          <div class="flex justify-between">
-            <kbd class="kbd kbd-sm">f</kbd>
-            <span>Forward</span>
-          </div>
-          <div class="flex justify-between">
-            <kbd class="kbd kbd-sm">#</kbd>
-            <span>Delete</span>
-          </div>
-          <div class="flex justify-between">
-            <kbd class="kbd kbd-sm">!</kbd>
-            <span>Mark as spam</span>
-          </div>
-          <div class="flex justify-between">
-            <kbd class="kbd kbd-sm">Shift + /</kbd>
-            <span>Show this help (?)</span>
-          </div>
-        </div>
-      </div>
-    </div>
-
-    <div class="shortcut-panel mt-6 p-4 rounded-lg">
-      <h4 class="font-semibold mb-2">Go to shortcuts (press 'g' then):</h4>
-      <div class="grid grid-cols-2 gap-2 text-sm">
-        <div><kbd class="kbd kbd-xs">i</kbd> Inbox</div>
-        <div><kbd class="kbd kbd-xs">s</kbd> Sent</div>
-        <div><kbd class="kbd kbd-xs">t</kbd> Search</div>
-        <div><kbd class="kbd kbd-xs">a</kbd> Archive</div>
-        <div><kbd class="kbd kbd-xs">p</kbd> Spam</div>
-      </div>
-    </div>
-  `
-
-  modal.appendChild(modalContent)
-
-  // Function to close modal
-  const closeModal = () => {
-    modal.remove()
-  }
-
-  // Close modal when clicking outside the content area
-  modal.addEventListener('click', (e) => {
-    if (!modalContent.contains(e.target)) {
-      closeModal()
-    }
-  })
-
-  // Add event listener to close button
-  const closeBtn = modalContent.querySelector('.modal-close-btn')
-  if (closeBtn) {
-    closeBtn.addEventListener('click', closeModal)
-  }
-
-  // Close on Escape key
-  const escapeHandler = (e) => {
-    if (e.key === 'Escape') {
-      closeModal()
-      document.removeEventListener('keydown', escapeHandler)
-    }
-  }
-  document.addEventListener('keydown', escapeHandler)
-
-  document.body.appendChild(modal)
-
-  return modal
-}
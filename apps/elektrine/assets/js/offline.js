@@ -0,0 +1,265 @@
+/**
+ * Offline support, page side
+ * Registers the service worker (priv/static/sw.js) and feeds it what it needs
+ * to keep the app usable without a connection:
+ * - the signed-in user and CSRF token, so saved pages and queued actions
+ *   never outlive the account that made them;
+ * - the digested app.js/app.css URLs to precache;
+ * - a rendered copy of mailbox, timeline and chat pages once their LiveView
+ *   has loaded, served read-only when a later visit has no network;
+ * - chat messages, email drafts and likes made while the LiveSocket is
+ *   disconnected, which the worker queues and replays (Background Sync, or
+ *   the next time the socket opens).
+ *
+ * Elements opt in with data-offline-action ("chat_message", "email_draft" or
+ * "like_post"); see the chat composer, the email compose form and the post
+ * action buttons.
+ */
+
+import { showNotification } from "./notification_system"
+
+const SERVICE_WORKER_URL = "/sw.js"
+const OFFLINE_PAGE_PATTERN = /^\/(email|timeline|chat)(\/|$)/
+const SAVE_DELAY_MS = 3000
+
+const QUEUED_MESSAGES = {
+  chat_message: "Message queued. It will be sent when you're back online.",
+  email_draft: "Draft kept on this device. It will be saved to Drafts when you're back online.",
+  like_post: "Like queued. It will be sent when you're back online."
+}
+
+function serviceWorkerSupported() {
+  return "serviceWorker" in navigator && "indexedDB" in window
+}
+
+function postToWorker(message) {
+  navigator.serviceWorker.controller?.postMessage(message)
+}
+
+function currentUserId() {
+  const id = document.querySelector("meta[name='offline-user-id']")?.getAttribute("content")
+  return id ? Number(id) : null
+}
+
+function csrfToken() {
+  return document.querySelector("meta[name='csrf-token']")?.getAttribute("content") || ""
+}
+
+function trackedAssetUrls() {
+  return Array.from(document.querySelectorAll("link[phx-track-static], script[phx-track-static]"))
+    .map((element) => element.getAttribute("href") || element.getAttribute("src"))
+    .filter(Boolean)
+}
+
+function isSavedCopy() {
+  return document.documentElement.hasAttribute("data-offline-saved-at")
+}
+
+// MARK: - Saved pages
+
+// Decrypted chat and private mailbox content only ever lives in memory; the
+// saved copy goes back to the placeholders the server rendered.
+function scrubDecryptedContent(root) {
+  root.querySelectorAll("[data-decrypted]").forEach((element) => {
+    if (element.dataset.decrypted === "true") element.textContent = "Encrypted message"
+    delete element.dataset.decrypted
+  })
+
+  root.querySelectorAll("*").forEach((element) => {
+    const placeholder = Array.from(element.attributes).find((attribute) =>
+      /^data-private-[\w-]+-placeholder$/.test(attribute.name)
+    )
+
+    if (placeholder) element.textContent = placeholder.value
+  })
+
+  root.querySelectorAll("iframe[srcdoc]").forEach((iframe) => iframe.removeAttribute("srcdoc"))
+}
+
+function pageSnapshot() {
+  const root = document.documentElement.cloneNode(true)
+
+  root.querySelectorAll("dialog, [data-offline-exclude], script:not([src])").forEach((element) => element.remove())
+  root.querySelectorAll("[src^='blob:']").forEach((element) => element.removeAttribute("src"))
+  scrubDecryptedContent(root)
+  root.setAttribute("data-offline-saved-at", new Date().toISOString())
+
+  return `<!DOCTYPE html>\n${root.outerHTML}`
+}
+
+function createPageSaver(liveSocket) {
+  let timer = null
+
+  const save = () => {
+    timer = null
+
+    if (!OFFLINE_PAGE_PATTERN.test(window.location.pathname)) return
+    if (isSavedCopy() || !liveSocket.isConnected() || !currentUserId()) return
+
+    postToWorker({
+      type: "save-page",
+      url: window.location.href,
+      html: pageSnapshot(),
+      savedAt: new Date().toISOString()
+    })
+  }
+
+  return {
+    // LiveViews load their data after connecting, so give them a moment.
+    schedule() {
+      clearTimeout(timer)
+      timer = setTimeout(save, SAVE_DELAY_MS)
+    },
+
+    saveNow() {
+      clearTimeout(timer)
+      save()
+    }
+  }
+}
+
+function showSavedCopyBanner() {
+  const savedAt = new Date(document.documentElement.getAttribute("data-offline-saved-at"))
+  const banner = document.createElement("div")
+
+  banner.className = "alert alert-warning fixed bottom-4 left-1/2 z-50 w-auto -translate-x-1/2 shadow-lg"
+  banner.setAttribute("role", "status")
+  banner.textContent = `You're offline. This is a saved copy from ${savedAt.toLocaleString()}.`
+  document.body.append(banner)
+}
+
+// MARK: - Outbox
+
+function offline(liveSocket) {
+  return !navigator.onLine || !liveSocket.isConnected()
+}
+
+function queueAction(kind, payload) {
+  postToWorker({ type: "queue-action", kind, payload })
+}
+
+function formValue(form, name) {
+  return form.elements.namedItem(name)?.value || ""
+}
+
+function queueChatMessage(form) {
+  const textarea = form.elements.namedItem("message")
+  const content = textarea?.value.trim() || ""
+  const conversationId = form.dataset.offlineConversationId
+
+  // Attachments go through LiveView uploads, which need the socket.
+  if (!content || !conversationId || form.dataset.hasUploads === "true") return false
+
+  queueAction("chat_message", { conversation_id: conversationId, content })
+  textarea.value = ""
+  return true
+}
+
+function queueEmailDraft(form) {
+  const payload = {
+    to: formValue(form, "email[to]"),
+    cc: formValue(form, "email[cc]"),
+    bcc: formValue(form, "email[bcc]"),
+    subject: formValue(form, "email[subject]"),
+    body: formValue(form, "email[body]")
+  }
+
+  if (!Object.values(payload).some((value) => value.trim())) return false
+
+  queueAction("email_draft", payload)
+  return true
+}
+
+function queueLike(button) {
+  const postId = button.dataset.offlinePostId
+  if (!postId || button.dataset.offlineQueued === "true") return false
+
+  queueAction("like_post", { post_id: postId })
+  button.dataset.offlineQueued = "true"
+  button.classList.add("text-primary")
+  return true
+}
+
+const FORM_QUEUERS = {
+  chat_message: queueChatMessage,
+  email_draft: queueEmailDraft
+}
+
+function bindOutbox(liveSocket) {
+  // Capture phase on window runs before LiveView's own listeners, which would
+  // otherwise drop the event while the socket is down.
+  window.addEventListener(
+    "submit",
+    (event) => {
+      const form = event.target.closest?.("form[data-offline-action]")
+      if (!form || !navigator.serviceWorker.controller || !offline(liveSocket)) return
+
+      const queue = FORM_QUEUERS[form.dataset.offlineAction]
+
+      if (queue?.(form)) {
+        event.preventDefault()
+        event.stopImmediatePropagation()
+      }
+    },
+    true
+  )
+
+  window.addEventListener(
+    "click",
+    (event) => {
+      const button = event.target.closest?.("[data-offline-action='like_post']")
+      if (!button || !navigator.serviceWorker.controller || !offline(liveSocket)) return
+
+      event.preventDefault()
+      event.stopImmediatePropagation()
+      queueLike(button)
+    },
+    true
+  )
+
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    const data = event.data || {}
+
+    if (data.type === "outbox-queued" && QUEUED_MESSAGES[data.kind]) {
+      showNotification(QUEUED_MESSAGES[data.kind], "info")
+    } else if (data.type === "outbox-replayed" && data.sent > 0) {
+      showNotification(`Sent ${data.sent} action${data.sent === 1 ? "" : "s"} queued while offline.`, "success")
+    }
+  })
+
+  const replay = () => postToWorker({ type: "replay-outbox" })
+  liveSocket.getSocket().onOpen(replay)
+  window.addEventListener("online", replay)
+}
+
+/**
+ * Wires the page up to the service worker. Call once, with the LiveSocket.
+ */
+export function initOffline(liveSocket) {
+  if (!serviceWorkerSupported()) return
+
+  if (isSavedCopy()) showSavedCopyBanner()
+
+  navigator.serviceWorker
+    .register(SERVICE_WORKER_URL)
+    .then(() => navigator.serviceWorker.ready)
+    .then((registration) => {
+      const worker = navigator.serviceWorker.controller || registration.active
+
+      // A saved copy carries the CSRF token it was saved with.
+      if (!isSavedCopy()) {
+        worker?.postMessage({ type: "session", userId: currentUserId(), csrfToken: csrfToken() })
+      }
+
+      worker?.postMessage({ type: "precache", urls: trackedAssetUrls() })
+    })
+    .catch((error) => console.warn("Service worker registration failed", error))
+
+  const pageSaver = createPageSaver(liveSocket)
+  window.addEventListener("phx:page-loading-stop", () => pageSaver.schedule())
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") pageSaver.saveNow()
+  })
+
+  bindOutbox(liveSocket)
+}
@@ -0,0 +1,228 @@
+/**
+ * Text Search Index
+ * In-memory inverted index for text that only exists decrypted in the browser.
+ * Supports prefix, "quoted phrase" and typo-tolerant terms plus from:, after:,
+ * before:, on: and has:attachment filters. Only the documents are serialized;
+ * postings are rebuilt on load.
+ */
+
+const MAX_RESULTS = 50
+const SNIPPET_LENGTH = 140
+const DAY_MS = 24 * 60 * 60 * 1000
+const SEPARATORS = /[\s\u2000-\u206f\u3000-\u303f!-/:-@[-`{-~]+/
+
+export function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+}
+
+export function tokenizeSearchText(text) {
+  return normalizeSearchText(text).split(SEPARATORS).filter(Boolean)
+}
+
+function parseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value)
+  if (!match) return null
+
+  const time = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime()
+  return Number.isNaN(time) ? null : time
+}
+
+/** Splits a query into free terms, quoted phrases and filters. */
+export function parseSearchQuery(query) {
+  const parsed = { terms: [], phrases: [], from: null, after: null, before: null, attachment: false }
+  const source = String(query || '')
+  const phrasePattern = /"([^"]+)"/g
+  let match
+
+  while ((match = phrasePattern.exec(source))) {
+    const phrase = tokenizeSearchText(match[1])
+    if (phrase.length > 0) parsed.phrases.push(phrase)
+  }
+
+  source.replace(phrasePattern, ' ').split(/\s+/).filter(Boolean).forEach(word => {
+    const filter = /^(from|after|before|on|has):(.+)$/i.exec(word)
+    const day = filter && parseDate(filter[2])
+
+    if (filter && filter[1].toLowerCase() === 'has' && /^attachments?$/i.test(filter[2])) {
+      parsed.attachment = true
+    } else if (filter && filter[1].toLowerCase() === 'from') {
+      parsed.from = normalizeSearchText(filter[2].replace(/^@/, ''))
+    } else if (day !== null && filter) {
+      const name = filter[1].toLowerCase()
+      if (name === 'after' || name === 'on') parsed.after = day
+      if (name === 'before' || name === 'on') parsed.before = day + DAY_MS
+    } else {
+      parsed.terms.push(...tokenizeSearchText(word))
+    }
+  })
+
+  return parsed
+}
+
+/**
+ * Adds filters picked outside the query text, e.g. from form fields:
+ * { from, after, before } with dates as YYYY-MM-DD, and `attachment`.
+ */
+export function applySearchFilters(parsed, filters = {}) {
+  const from = String(filters.from || '').trim()
+  const after = parseDate(filters.after || '')
+  const before = parseDate(filters.before || '')
+
+  return {
+    ...parsed,
+    from: from ? normalizeSearchText(from) : parsed.from,
+    after: after ?? parsed.after,
+    before: before === null ? parsed.before : before + DAY_MS,
+    attachment: parsed.attachment || Boolean(filters.attachment)
+  }
+}
+
+// Optimal string alignment distance, giving up once it exceeds max.
+function editDistance(a, b, max) {
+  let previous2 = null
+  let previous = Array.from({ length: b.length + 1 }, (_value, index) => index)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1)
+      }
+
+      rowMin = Math.min(rowMin, current[j])
+    }
+
+    if (rowMin > max) return max + 1
+    previous2 = previous
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+function containsPhrase(tokens, phrase) {
+  for (let start = 0; start + phrase.length <= tokens.length; start++) {
+    if (phrase.every((word, offset) => tokens[start + offset] === word)) return true
+  }
+
+  return false
+}
+
+function snippet(text, words) {
+  const lower = text.toLowerCase()
+  const hit = words.map(word => lower.indexOf(word)).filter(index => index >= 0).sort((a, b) => a - b)[0] || 0
+  const start = Math.max(0, hit - Math.floor(SNIPPET_LENGTH / 3))
+  const excerpt = text.slice(start, start + SNIPPET_LENGTH).replace(/\s+/g, ' ').trim()
+
+  return `${start > 0 ? '…' : ''}${excerpt}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`
+}
+
+export class TextSearchIndex {
+  /** `data` is a previous `toJSON()` result. */
+  constructor(data = null) {
+    this.docs = new Map()
+    this.postings = new Map()
+
+    Object.values(data?.docs || {}).forEach(doc => this.add(doc))
+  }
+
+  get size() {
+    return this.docs.size
+  }
+
+  /**
+   * Adds or replaces a document: { id, text, sender_id, sender_name, time }.
+   * Documents may carry `has_attachments` for the has:attachment filter.
+   */
+  add(doc) {
+    const id = String(doc.id)
+    if (this.docs.has(id)) this.remove(id)
+
+    this.docs.set(id, { ...doc, id })
+    new Set(tokenizeSearchText(doc.text)).forEach(term => {
+      if (!this.postings.has(term)) this.postings.set(term, new Set())
+      this.postings.get(term).add(id)
+    })
+  }
+
+  remove(id) {
+    const doc = this.docs.get(String(id))
+    if (!doc) return
+
+    this.docs.delete(doc.id)
+    new Set(tokenizeSearchText(doc.text)).forEach(term => {
+      const ids = this.postings.get(term)
+      ids?.delete(doc.id)
+      if (ids?.size === 0) this.postings.delete(term)
+    })
+  }
+
+  // Exact matches beat prefix matches, which beat typos; rarer terms weigh more.
+  matchTerm(word) {
+    const matches = new Map()
+    const maxEdits = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0
+
+    this.postings.forEach((ids, term) => {
+      let score = 0
+      if (term === word) score = 3
+      else if (term.startsWith(word)) score = 2
+      else if (maxEdits > 0 && Math.abs(term.length - word.length) <= maxEdits &&
+        editDistance(term, word, maxEdits) <= maxEdits) score = 1
+
+      if (score === 0) return
+
+      const weighted = score * Math.log(1 + this.docs.size / ids.size)
+      ids.forEach(id => matches.set(id, Math.max(matches.get(id) || 0, weighted)))
+    })
+
+    return matches
+  }
+
+  search(query, { limit = MAX_RESULTS, filters } = {}) {
+    const parsed = applySearchFilters(parseSearchQuery(query), filters)
+    const words = [...parsed.terms, ...parsed.phrases.flat()]
+    const filtered = parsed.from !== null || parsed.after !== null || parsed.before !== null ||
+      parsed.attachment
+    if (words.length === 0 && !filtered) return []
+
+    const scores = new Map()
+    let candidates = null
+
+    for (const word of words) {
+      const matches = this.matchTerm(word)
+      candidates = candidates
+        ? new Set([...candidates].filter(id => matches.has(id)))
+        : new Set(matches.keys())
+      matches.forEach((score, id) => scores.set(id, (scores.get(id) || 0) + score))
+      if (candidates.size === 0) return []
+    }
+
+    return [...(candidates || this.docs.keys())]
+      .map(id => this.docs.get(id))
+      .filter(doc => {
+        if (parsed.from !== null && !normalizeSearchText(doc.sender_name).includes(parsed.from)) return false
+        if (parsed.after !== null && doc.time < parsed.after) return false
+        if (parsed.before !== null && doc.time >= parsed.before) return false
+        if (parsed.attachment && !doc.has_attachments) return false
+        if (parsed.phrases.length === 0) return true
+
+        const tokens = tokenizeSearchText(doc.text)
+        return parsed.phrases.every(phrase => containsPhrase(tokens, phrase))
+      })
+      .sort((a, b) => (scores.get(b.id) || 0) - (scores.get(a.id) || 0) || b.time - a.time)
+      .slice(0, limit)
+      .map(doc => ({ ...doc, score: scores.get(doc.id) || 0, snippet: snippet(doc.text, words) }))
+  }
+
+  toJSON() {
+    return { version: 1, docs: Object.fromEntries(this.docs) }
+  }
+}
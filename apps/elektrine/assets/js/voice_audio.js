@@ -0,0 +1,203 @@
+/**
+ * Voice channel audio helpers
+ * Per-browser audio settings for voice channels and group calls (devices,
+ * microphone processing, push-to-talk and per-participant volume), kept in
+ * localStorage, plus a Web Audio speaking detector with one analyser per
+ * participant stream.
+ */
+
+const STORAGE_KEY = "elektrine:voice-settings"
+
+const DEFAULT_SETTINGS = {
+  inputDeviceId: null,
+  outputDeviceId: null,
+  echoCancellation: true,
+  autoGainControl: true,
+  noiseSuppression: true,
+  pushToTalk: false,
+  pushToTalkKey: "Space",
+  peerVolumes: {}
+}
+
+const SPEAKING_INTERVAL_MS = 100
+// RMS level (0..1) above which a participant counts as speaking.
+const SPEAKING_THRESHOLD = 0.02
+// How long a participant stays "speaking" after going quiet, so the
+// indicator does not flicker between words.
+const SPEAKING_HOLD_MS = 400
+
+/**
+ * The stored settings merged over the defaults.
+ */
+export function loadVoiceSettings() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "{}")
+    return { ...DEFAULT_SETTINGS, ...stored, peerVolumes: { ...(stored.peerVolumes || {}) } }
+  } catch (_error) {
+    return { ...DEFAULT_SETTINGS, peerVolumes: {} }
+  }
+}
+
+/**
+ * Merges a partial update into the stored settings and returns the result.
+ */
+export function saveVoiceSettings(changes) {
+  const settings = { ...loadVoiceSettings(), ...changes }
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  } catch (_error) {
+    // Private browsing or a full quota; the settings still apply to this call.
+  }
+
+  return settings
+}
+
+/**
+ * getUserMedia audio constraints for the given settings.
+ */
+export function audioConstraints(settings) {
+  const constraints = {
+    echoCancellation: settings.echoCancellation,
+    autoGainControl: settings.autoGainControl,
+    noiseSuppression: settings.noiseSuppression
+  }
+
+  if (settings.inputDeviceId) constraints.deviceId = { exact: settings.inputDeviceId }
+  return constraints
+}
+
+export function outputSelectionSupported() {
+  return typeof HTMLMediaElement !== "undefined" && "setSinkId" in HTMLMediaElement.prototype
+}
+
+/**
+ * Lists microphones and speakers. Labels stay empty until the page has had
+ * microphone permission, which a joined call always has.
+ */
+export async function listAudioDevices() {
+  const devices = await navigator.mediaDevices?.enumerateDevices?.() || []
+
+  return {
+    inputs: devices.filter((device) => device.kind === "audioinput"),
+    outputs: devices.filter((device) => device.kind === "audiooutput")
+  }
+}
+
+/**
+ * Human-readable name for a push-to-talk KeyboardEvent.code.
+ */
+export function keyLabel(code) {
+  if (!code) return "None"
+  if (code.startsWith("Key")) return code.slice(3)
+  if (code.startsWith("Digit")) return code.slice(5)
+  return code.replace(/(Left|Right)$/, " ($1)")
+}
+
+/**
+ * Watches one audio stream per participant and reports who is speaking.
+ * onChange receives the Set of speaking ids whenever it changes.
+ */
+export class SpeakingDetector {
+  constructor({ onChange }) {
+    this.onChange = onChange
+    this.context = null
+    this.entries = new Map()
+    this.speaking = new Set()
+    this.timer = null
+  }
+
+  ensureContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext
+    if (!this.context && AudioContextClass) this.context = new AudioContextClass()
+
+    // Contexts created outside a user gesture start suspended.
+    if (this.context?.state === "suspended") this.context.resume().catch(() => {})
+    return this.context
+  }
+
+  /**
+   * Starts (or restarts, for a new track) analysing a participant's stream.
+   */
+  watch(id, stream) {
+    const track = stream?.getAudioTracks()[0]
+    const existing = this.entries.get(id)
+    if (existing?.trackId === track?.id) return
+
+    this.unwatch(id)
+    if (!track || !this.ensureContext()) return
+
+    const source = this.context.createMediaStreamSource(new MediaStream([track]))
+    const analyser = this.context.createAnalyser()
+    analyser.fftSize = 512
+    source.connect(analyser)
+
+    this.entries.set(id, {
+      trackId: track.id,
+      source,
+      analyser,
+      samples: new Float32Array(analyser.fftSize),
+      level: 0,
+      lastLoudAt: 0
+    })
+
+    if (!this.timer) this.timer = setInterval(() => this.poll(), SPEAKING_INTERVAL_MS)
+  }
+
+  unwatch(id) {
+    const entry = this.entries.get(id)
+    if (!entry) return
+
+    entry.source.disconnect()
+    this.entries.delete(id)
+
+    if (this.speaking.delete(id)) this.onChange?.(new Set(this.speaking))
+  }
+
+  /**
+   * Map of id => current level (0..1).
+   */
+  levels() {
+    const levels = new Map()
+    this.entries.forEach((entry, id) => levels.set(id, entry.level))
+    return levels
+  }
+
+  poll() {
+    const now = Date.now()
+    let changed = false
+
+    this.entries.forEach((entry, id) => {
+      entry.analyser.getFloatTimeDomainData(entry.samples)
+      const sum = entry.samples.reduce((total, sample) => total + sample * sample, 0)
+      entry.level = Math.sqrt(sum / entry.samples.length)
+
+      if (entry.level > SPEAKING_THRESHOLD) entry.lastLoudAt = now
+      const speaking = now - entry.lastLoudAt < SPEAKING_HOLD_MS
+
+      if (speaking !== this.speaking.has(id)) {
+        if (speaking) {
+          this.speaking.add(id)
+        } else {
+          this.speaking.delete(id)
+        }
+        changed = true
+      }
+    })
+
+    if (changed) this.onChange?.(new Set(this.speaking))
+  }
+
+  close() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+
+    this.entries.forEach((entry) => entry.source.disconnect())
+    this.entries.clear()
+    this.speaking.clear()
+    this.context?.close().catch(() => {})
+    this.context = null
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Voice note recorder
+ * The MediaRecorder pipeline behind chat voice messages and call voicemail:
+ * capture the microphone (plus the camera for video notes), collect chunks,
+ * and tick once a second until the note is stopped, cancelled or reaches its
+ * length limit.
+ */
+
+const AUDIO_MIME_TYPES = ["audio/webm", "audio/mp4"]
+const VIDEO_MIME_TYPES = ["video/webm;codecs=vp8,opus", "video/webm", "video/mp4"]
+const CHUNK_MS = 100
+
+export function voiceNotesSupported() {
+  return typeof MediaRecorder !== "undefined" && Boolean(navigator.mediaDevices?.getUserMedia)
+}
+
+function pickMimeType(candidates) {
+  return candidates.find((type) => MediaRecorder.isTypeSupported(type)) || ""
+}
+
+// MediaRecorder reports codecs too ("audio/webm;codecs=opus"); uploads are
+// validated against the bare type.
+function baseMimeType(mimeType) {
+  return mimeType.split(";")[0].trim()
+}
+
+export class VoiceNoteRecorder {
+  /**
+   * onTick receives the elapsed seconds once a second; onLimit fires when
+   * they reach maxSeconds. Stopping at the limit is up to the caller.
+   */
+  constructor({ maxSeconds, onTick, onLimit } = {}) {
+    this.maxSeconds = maxSeconds
+    this.onTick = onTick
+    this.onLimit = onLimit
+    this.stream = null
+    this.recorder = null
+    this.chunks = []
+    this.seconds = 0
+    this.timer = null
+  }
+
+  isRecording() {
+    return this.recorder?.state === "recording"
+  }
+
+  /**
+   * Asks for the microphone (and camera when `video` is set) and starts
+   * recording. Resolves to the captured stream, e.g. for a preview.
+   */
+  async start({ video = false } = {}) {
+    this.stream = await navigator.mediaDevices.getUserMedia({ audio: true, video })
+    this.chunks = []
+    this.seconds = 0
+
+    const mimeType = pickMimeType(video ? VIDEO_MIME_TYPES : AUDIO_MIME_TYPES)
+    this.recorder = new MediaRecorder(this.stream, mimeType ? { mimeType } : {})
+
+    this.recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) this.chunks.push(event.data)
+    }
+
+    this.recorder.start(CHUNK_MS)
+
+    this.timer = setInterval(() => {
+      this.seconds += 1
+      this.onTick?.(this.seconds)
+      if (this.maxSeconds && this.seconds >= this.maxSeconds) this.onLimit?.()
+    }, 1000)
+
+    return this.stream
+  }
+
+  /**
+   * Stops recording. Resolves to { blob, mimeType, duration } with duration
+   * in seconds, or null when nothing was recorded.
+   */
+  stop() {
+    const recorder = this.recorder
+    if (!recorder) return Promise.resolve(null)
+
+    return new Promise((resolve) => {
+      const finish = () => {
+        const mimeType = baseMimeType(recorder.mimeType || "audio/webm")
+        const duration = this.seconds
+        const chunks = this.chunks
+
+        this.release()
+        resolve(chunks.length ? { blob: new Blob(chunks, { type: mimeType }), mimeType, duration } : null)
+      }
+
+      if (recorder.state === "inactive") {
+        finish()
+      } else {
+        recorder.onstop = finish
+        recorder.stop()
+      }
+    })
+  }
+
+  /**
+   * Stops recording and throws the note away.
+   */
+  cancel() {
+    if (this.recorder && this.recorder.state !== "inactive") {
+      this.recorder.onstop = null
+      this.recorder.stop()
+    }
+
+    this.release()
+  }
+
+  release() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+
+    this.stream?.getTracks().forEach((track) => track.stop())
+    this.stream = null
+    this.recorder = null
+    this.chunks = []
+    this.seconds = 0
+  }
+}
@@ -1,11 +1,25 @@
 /**
  * WebRTC Client for peer-to-peer audio/video calling
- * Handles signaling, media, recovery, and cleanup.
+ * Handles signaling, media, recovery, and cleanup. Media is additionally
+ * encrypted end to end when both sides can (see call_media_e2ee.js); each
+ * side announces its media key over the call channel. Connection quality is
+ * sampled while connected (see call_quality_monitor.js). A participant can
+ * record the call locally (see call_recorder.js); the other side is told over
+ * the call channel before recording starts and for as long as it runs.
  */
 
+import { CallMediaEncryption } from "./call_media_e2ee"
+import { CallQualityMonitor } from "./call_quality_monitor"
+import { CallRecorder, recordingSupported } from "./call_recorder"
+
 const CHANNEL_JOIN_DELAY_MS = 100
 const ICE_RESTART_DELAY_MS = 1200
 const MAX_ICE_RESTART_ATTEMPTS = 2
+const SCREEN_SHARE_CONSTRAINTS = {
+  video: { frameRate: { ideal: 15, max: 30 } },
+  // Tab or system audio, where the browser offers it in the picker.
+  audio: true
+}
 
 function newClientSessionId() {
   if (typeof crypto !== "undefined" && crypto.randomUUID) {
@@ -16,10 +30,16 @@ function newClientSessionId() {
 }
 
 export class WebRTCClient {
-  constructor(socket, callId, userId, iceServers, transport = null) {
+  constructor(socket, callId, userId, iceServers, transport = null, conversationId = null) {
     this.socket = socket
     this.callId = callId
     this.userId = userId
+    this.conversationId = conversationId
+    this.mediaEncryption = new CallMediaEncryption({
+      conversationId,
+      onStatus: (status) => this.onMediaEncryptionCallback?.(status),
+      onAnnounce: (announcement) => this.pushMediaKey(announcement)
+    })
     this.iceServers = iceServers || []
     this.transport = transport || {}
     this.clientSessionId = newClientSessionId()
@@ -27,9 +47,24 @@ export class WebRTCClient {
     this.peerConnection = null
     this.localStream = null
     this.remoteStream = null
+    this.remoteStreamId = null
+    this.remoteScreenStream = null
+    this.screenStream = null
+    this.screenSenders = []
+    this.makingOffer = false
     this.onRemoteStreamCallback = null
+    this.onRemoteScreenCallback = null
+    this.onScreenShareEndedCallback = null
     this.onCallEndedCallback = null
     this.onConnectionEstablishedCallback = null
+    this.onMediaEncryptionCallback = null
+    this.onQualityStatsCallback = null
+    this.onPeerRecordingCallback = null
+    this.onRecordingFinishedCallback = null
+    this.recorder = null
+    this.peerRecording = false
+    this.qualityMonitor = null
+    this.qualitySummary = null
     this.iceCandidateQueue = []
     this.remoteDescriptionSet = false
     this.pendingOffer = null
@@ -65,6 +100,7 @@ export class WebRTCClient {
       this.channel
         .join()
         .receive("ok", () => {
+          this.mediaEncryption.start()
           setTimeout(() => resolve(), CHANNEL_JOIN_DELAY_MS)
         })
         .receive("error", (resp) => {
@@ -84,6 +120,9 @@ export class WebRTCClient {
       if (this.ignoreSignal("peer_ready", payload)) return
 
       this.peerReady = true
+      // The peer joined after our first announcement went out.
+      this.mediaEncryption.announce()
+      if (this.recorder) this.pushSignal("recording", { recording: true })
 
       if (this.shouldInitiateOnPeerReady && !this.pendingOffer) {
         try {
@@ -127,6 +166,21 @@ export class WebRTCClient {
       }
     })
 
+    this.channel.on("media_key", (payload = {}) => {
+      if (this.ignoreSignal("media_key", payload)) return
+
+      this.mediaEncryption.setPeers([
+        { id: payload.from_user_id, supported: payload.supported === true, keyUid: payload.key_uid || null }
+      ])
+    })
+
+    this.channel.on("recording", (payload = {}) => {
+      if (this.ignoreSignal("recording", payload)) return
+
+      this.peerRecording = payload.recording === true
+      this.onPeerRecordingCallback?.(this.peerRecording)
+    })
+
     this.channel.on("call_rejected", (payload = {}) => {
       if (!this.ignoreSignal("call_rejected", payload)) this.finishCall("rejected")
     })
@@ -164,6 +218,17 @@ export class WebRTCClient {
     return null
   }
 
+  /**
+   * Tell the peer whether and with which key our media is encrypted. Remote
+   * (federated) calls cannot share chat keys, so the server refuses and the
+   * call falls back to transport encryption.
+   */
+  pushMediaKey(announcement) {
+    this.pushSignal("media_key", announcement)?.receive("error", () => {
+      this.mediaEncryption.setPeers([{ id: "remote", supported: false, keyUid: null }])
+    })
+  }
+
   setupNetworkHandlers() {
     if (this.onlineHandler || this.offlineHandler || typeof window === "undefined") {
       return
@@ -209,7 +274,9 @@ export class WebRTCClient {
       return this.peerConnection
     }
 
-    this.peerConnection = new RTCPeerConnection({ iceServers: this.iceServers })
+    this.peerConnection = new RTCPeerConnection(
+      this.mediaEncryption.peerConnectionConfig({ iceServers: this.iceServers })
+    )
     this.connectionEstablishedNotified = false
 
     this.peerConnection.onicecandidate = (event) => {
@@ -219,6 +286,20 @@ export class WebRTCClient {
     }
 
     this.peerConnection.ontrack = (event) => {
+      this.mediaEncryption.protectReceiver(event.receiver)
+
+      // The first stream the peer sends is its camera/microphone; a track on
+      // any other stream is a screen share added by renegotiation.
+      const stream = event.streams[0]
+      if (stream && !this.remoteStreamId) {
+        this.remoteStreamId = stream.id
+      }
+
+      if (stream && stream.id !== this.remoteStreamId) {
+        this.attachRemoteScreen(stream)
+        return
+      }
+
       if (!this.remoteStream) {
         this.remoteStream = new MediaStream()
       }
@@ -238,6 +319,7 @@ export class WebRTCClient {
 
       if (state === "connected") {
         this.iceRestartAttempts = 0
+        this.startQualityMonitor()
         if (!this.connectionEstablishedNotified && this.onConnectionEstablishedCallback) {
           this.connectionEstablishedNotified = true
           this.onConnectionEstablishedCallback()
@@ -294,13 +376,27 @@ export class WebRTCClient {
   }
 
   /**
-   * Handle incoming offer (callee).
+   * The caller wins offer collisions (both sides renegotiating at once); the
+   * callee rolls its own offer back and answers.
+   */
+  isPolite() {
+    return !this.shouldInitiateOnPeerReady
+  }
+
+  /**
+   * Handle incoming offer (callee, or either side when renegotiating).
    */
   async handleOffer(offer) {
     if (!offer || typeof offer.sdp !== "string") {
       return
     }
 
+    const existing = this.peerConnection
+    const collision = Boolean(existing) && (this.makingOffer || existing.signalingState !== "stable")
+    if (collision && !this.isPolite()) {
+      return
+    }
+
     const callType = offer.sdp.includes("m=video") ? "video" : "audio"
     await this.getUserMedia(callType)
 
@@ -308,6 +404,7 @@ export class WebRTCClient {
     this.attachLocalTracks(peer)
 
     await peer.setRemoteDescription(new RTCSessionDescription(offer))
+    this.mediaEncryption.protect(peer)
     this.remoteDescriptionSet = true
     await this.processIceCandidateQueue()
 
@@ -325,7 +422,9 @@ export class WebRTCClient {
       return
     }
 
-    if (this.answerInProgress || this.remoteDescriptionSet || this.peerConnection.signalingState !== "have-local-offer") {
+    // Renegotiations (ICE restarts, screen shares) answer after the first
+    // exchange, so only the signaling state decides whether this is pending.
+    if (this.answerInProgress || this.peerConnection.signalingState !== "have-local-offer") {
       return
     }
 
@@ -423,6 +522,7 @@ export class WebRTCClient {
         peerConnection.addTrack(track, this.localStream)
       }
     })
+    this.mediaEncryption.protect(peerConnection)
   }
 
   async flushPendingOffer() {
@@ -477,6 +577,155 @@ export class WebRTCClient {
     }
   }
 
+  /**
+   * Offer again on the existing call channel after adding or removing tracks.
+   */
+  async renegotiate() {
+    if (!this.peerConnection || !this.remoteDescriptionSet) {
+      return
+    }
+
+    this.makingOffer = true
+
+    try {
+      const offer = await this.peerConnection.createOffer()
+      await this.peerConnection.setLocalDescription(offer)
+      this.pushSignal("offer", { sdp: offer })
+    } finally {
+      this.makingOffer = false
+    }
+  }
+
+  /**
+   * Share a screen, window or tab (with its audio where the browser allows)
+   * as extra tracks on their own stream. Resolves to false when cancelled.
+   */
+  async startScreenShare() {
+    if (this.screenStream || !this.peerConnection) {
+      return Boolean(this.screenStream)
+    }
+
+    let stream
+    try {
+      stream = await navigator.mediaDevices.getDisplayMedia(SCREEN_SHARE_CONSTRAINTS)
+    } catch (_error) {
+      return false
+    }
+
+    this.screenStream = stream
+    this.screenSenders = stream.getTracks().map((track) => {
+      track.contentHint = track.kind === "video" ? "detail" : "music"
+      return this.peerConnection.addTrack(track, stream)
+    })
+    this.mediaEncryption.protect(this.peerConnection)
+
+    // The browser's own "Stop sharing" button ends the video track.
+    stream.getVideoTracks()[0]?.addEventListener("ended", () => {
+      this.stopScreenShare().then(() => this.onScreenShareEndedCallback?.())
+    })
+
+    await this.renegotiate()
+    return true
+  }
+
+  async stopScreenShare() {
+    if (!this.screenStream) {
+      return
+    }
+
+    const stream = this.screenStream
+    this.screenStream = null
+    stream.getTracks().forEach((track) => track.stop())
+
+    if (this.peerConnection) {
+      this.screenSenders.forEach((sender) => {
+        try {
+          this.peerConnection.removeTrack(sender)
+        } catch (_error) {
+          // Connection closed while sharing.
+        }
+      })
+      await this.renegotiate()
+    }
+
+    this.screenSenders = []
+  }
+
+  isScreenSharing() {
+    return Boolean(this.screenStream)
+  }
+
+  /**
+   * Starts recording the call in this browser. The peer is notified first;
+   * recording only starts once the server has relayed the notice, so calls
+   * with federated peers (who cannot be notified) are never recorded.
+   * Rejects with an Error whose message is "browser", "not_connected" or the
+   * server's reason.
+   */
+  async startRecording() {
+    if (this.recorder) return
+    if (!recordingSupported()) throw new Error("browser")
+    if (!this.remoteStream || !this.localStream) throw new Error("not_connected")
+
+    await new Promise((resolve, reject) => {
+      const push = this.pushSignal("recording", { recording: true })
+      if (!push) {
+        reject(new Error("not_connected"))
+        return
+      }
+
+      push
+        .receive("ok", resolve)
+        .receive("error", (resp) => reject(new Error(resp?.reason || "failed")))
+        .receive("timeout", () => reject(new Error("failed")))
+    })
+
+    const recorder = new CallRecorder({ onLimit: () => this.stopRecording() })
+    try {
+      recorder.start(this.localStream, this.remoteStream)
+    } catch (_error) {
+      this.pushSignal("recording", { recording: false })
+      throw new Error("browser")
+    }
+
+    this.recorder = recorder
+  }
+
+  /**
+   * Stops recording, tells the peer, and hands the finished recording to the
+   * onRecordingFinished callback.
+   */
+  async stopRecording() {
+    if (!this.recorder) return
+
+    const recorder = this.recorder
+    this.recorder = null
+    this.pushSignal("recording", { recording: false })
+    this.onRecordingFinishedCallback?.(await recorder.stop())
+  }
+
+  isRecording() {
+    return Boolean(this.recorder)
+  }
+
+  isPeerRecording() {
+    return this.peerRecording
+  }
+
+  attachRemoteScreen(stream) {
+    if (this.remoteScreenStream !== stream) {
+      this.remoteScreenStream = stream
+      stream.onremovetrack = () => {
+        if (stream.getVideoTracks().length === 0 && this.remoteScreenStream === stream) {
+          this.remoteScreenStream = null
+          this.onRemoteScreenCallback?.(null)
+        }
+      }
+    }
+
+    this.onRemoteScreenCallback?.(stream)
+  }
+
   /**
    * Toggle video track.
    */
@@ -551,12 +800,31 @@ export class WebRTCClient {
     }
 
     this.teardownNetworkHandlers()
+    this.mediaEncryption.close()
+
+    // Hanging up ends a recording; the file is still offered for saving.
+    if (this.recorder) {
+      const recorder = this.recorder
+      this.recorder = null
+      recorder.stop().then((recording) => this.onRecordingFinishedCallback?.(recording))
+    }
+
+    if (this.qualityMonitor) {
+      this.qualitySummary = this.qualityMonitor.stop()
+      this.qualityMonitor = null
+    }
 
     if (this.localStream) {
       this.localStream.getTracks().forEach((track) => track.stop())
       this.localStream = null
     }
 
+    if (this.screenStream) {
+      this.screenStream.getTracks().forEach((track) => track.stop())
+      this.screenStream = null
+    }
+    this.screenSenders = []
+
     if (this.peerConnection) {
       this.peerConnection.onicecandidate = null
       this.peerConnection.ontrack = null
@@ -576,15 +844,59 @@ export class WebRTCClient {
     }
 
     this.remoteStream = null
+    this.remoteStreamId = null
+    this.remoteScreenStream = null
     this.pendingOffer = null
     this.iceCandidateQueue = []
     this.remoteDescriptionSet = false
     this.peerReady = false
     this.shouldInitiateOnPeerReady = false
     this.answerInProgress = false
+    this.peerRecording = false
     this.handledSignals.clear()
   }
 
+  startQualityMonitor() {
+    if (this.qualityMonitor || !this.peerConnection) {
+      return
+    }
+
+    this.qualityMonitor = new CallQualityMonitor(this.peerConnection, {
+      onSample: (sample) => this.onQualityStatsCallback?.(sample)
+    })
+    this.qualityMonitor.start()
+  }
+
+  /**
+   * Set callback for each connection quality sample while connected.
+   */
+  onQualityStats(callback) {
+    this.onQualityStatsCallback = callback
+  }
+
+  /**
+   * Summary of the connection quality for the call, kept after cleanup so it
+   * can be reported once the call has ended. Null if it never connected.
+   */
+  getQualitySummary() {
+    return this.qualityMonitor ? this.qualityMonitor.summary() : this.qualitySummary
+  }
+
+  /**
+   * Set callback for when the peer starts (true) or stops (false) recording.
+   */
+  onPeerRecording(callback) {
+    this.onPeerRecordingCallback = callback
+  }
+
+  /**
+   * Set callback for a finished local recording:
+   * { blob, mimeType, duration, truncated }.
+   */
+  onRecordingFinished(callback) {
+    this.onRecordingFinishedCallback = callback
+  }
+
   /**
    * Set callback for when remote stream is received.
    */
@@ -592,6 +904,33 @@ export class WebRTCClient {
     this.onRemoteStreamCallback = callback
   }
 
+  /**
+   * Set callback for when the peer starts (stream) or stops (null) sharing
+   * a screen.
+   */
+  onRemoteScreen(callback) {
+    this.onRemoteScreenCallback = callback
+  }
+
+  /**
+   * Set callback for when our screen share ends from the browser's own UI.
+   */
+  onScreenShareEnded(callback) {
+    this.onScreenShareEndedCallback = callback
+  }
+
+  /**
+   * Set callback for end-to-end media encryption status changes ("encrypted",
+   * "waiting", "unavailable", "unsupported" or "peer_unsupported").
+   */
+  onMediaEncryption(callback) {
+    this.onMediaEncryptionCallback = callback
+  }
+
+  getMediaEncryptionStatus() {
+    return this.mediaEncryption.status
+  }
+
   /**
    * Set callback for when call ends.
    */
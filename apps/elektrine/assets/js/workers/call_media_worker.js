@@ -0,0 +1,135 @@
+// Frame encryption for end-to-end encrypted calls, run off the main thread.
+// call_media_e2ee.js hands this worker the encoded audio and video frames of
+// every sender and receiver; senders encrypt with the local key while the
+// room is fully encrypted, receivers decrypt frames whose key id they know.
+// Frames without a known key id are dropped unless the room has fallen back
+// to transport encryption, so nobody on the path can slip plaintext media
+// into a call that reports itself end-to-end encrypted.
+//
+// Encrypted frame layout:
+//   [clear header][AES-GCM ciphertext + tag][12-byte IV][4-byte key id]
+
+const IV_BYTES = 12
+const KEY_ID_BYTES = 4
+const TAG_BYTES = 16
+
+let localKey = null
+let encrypting = false
+let acceptPlaintext = false
+const keys = new Map()
+
+function hexToBytes(hex) {
+  return new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)))
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+// Packetizers read the start of each frame: the VP8 payload header (10 bytes
+// on key frames, 3 otherwise) and the Opus TOC byte stay in the clear.
+function clearBytes(frame) {
+  if (frame.type === 'key') return 10
+  if (frame.type === 'delta') return 3
+  return 1
+}
+
+async function encryptFrame(frame, controller) {
+  if (!encrypting || !localKey) {
+    controller.enqueue(frame)
+    return
+  }
+
+  const data = new Uint8Array(frame.data)
+  const headerLength = Math.min(clearBytes(frame), data.byteLength)
+  const header = data.subarray(0, headerLength)
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES))
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: header },
+    localKey.key,
+    data.subarray(headerLength)
+  ))
+
+  const output = new Uint8Array(headerLength + ciphertext.byteLength + IV_BYTES + KEY_ID_BYTES)
+  output.set(header, 0)
+  output.set(ciphertext, headerLength)
+  output.set(iv, headerLength + ciphertext.byteLength)
+  output.set(localKey.keyIdBytes, headerLength + ciphertext.byteLength + IV_BYTES)
+
+  frame.data = output.buffer
+  controller.enqueue(frame)
+}
+
+async function decryptFrame(frame, controller) {
+  const data = new Uint8Array(frame.data)
+  const headerLength = clearBytes(frame)
+  const key = data.byteLength >= headerLength + TAG_BYTES + IV_BYTES + KEY_ID_BYTES &&
+    keys.get(bytesToHex(data.subarray(data.byteLength - KEY_ID_BYTES)))
+
+  // Frames from a participant that is not encrypting carry no known key id;
+  // they are only played once the room has fallen back.
+  if (!key) {
+    if (acceptPlaintext) controller.enqueue(frame)
+    return
+  }
+
+  const ivStart = data.byteLength - KEY_ID_BYTES - IV_BYTES
+  const iv = data.subarray(ivStart, ivStart + IV_BYTES)
+
+  try {
+    const plaintext = new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv, additionalData: data.subarray(0, headerLength) },
+      key,
+      data.subarray(headerLength, ivStart)
+    ))
+
+    const output = new Uint8Array(headerLength + plaintext.byteLength)
+    output.set(data.subarray(0, headerLength), 0)
+    output.set(plaintext, headerLength)
+
+    frame.data = output.buffer
+    controller.enqueue(frame)
+  } catch (_error) {
+    // Drop frames that fail authentication rather than feed the decoder junk.
+  }
+}
+
+function pipe(readable, writable, direction) {
+  const transform = direction === 'encrypt' ? encryptFrame : decryptFrame
+
+  readable
+    .pipeThrough(new TransformStream({ transform }))
+    .pipeTo(writable)
+    .catch(() => {})
+}
+
+const handlers = {
+  setLocalKey({ key, keyId }) {
+    localKey = { key, keyIdBytes: hexToBytes(keyId) }
+    keys.set(keyId, key)
+  },
+
+  addKey({ key, keyId }) {
+    keys.set(keyId, key)
+  },
+
+  setEnabled({ enabled, fallback }) {
+    encrypting = enabled === true
+    acceptPlaintext = fallback === true
+  },
+
+  attach({ direction, readable, writable }) {
+    pipe(readable, writable, direction)
+  }
+}
+
+self.addEventListener('message', event => {
+  const handler = handlers[event.data?.type]
+  if (handler) handler(event.data)
+})
+
+// RTCRtpScriptTransform delivers its streams here instead of via postMessage.
+self.addEventListener('rtctransform', event => {
+  const { readable, writable, options } = event.transformer
+  pipe(readable, writable, options?.direction)
+})
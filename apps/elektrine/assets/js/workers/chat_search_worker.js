@@ -0,0 +1,127 @@
+// Local search index for encrypted chat, run off the main thread. The chat
+// hook posts messages it has decrypted; this worker keeps one index per
+// conversation, persists it to IndexedDB encrypted under the browser-local
+// chat sealing key and answers queries. Nothing here talks to the server.
+
+import { TextSearchIndex } from '../utils/text_search_index'
+
+const DB_NAME = 'elektrine-chat-search'
+const DB_VERSION = 1
+const STORE_NAME = 'indexes'
+const PERSIST_DELAY_MS = 2000
+
+let sealingKey = null
+let userId = null
+let databasePromise = null
+let persistTimer = null
+const indexes = new Map()
+const dirty = new Set()
+
+function openDatabase() {
+  if (databasePromise) return databasePromise
+
+  databasePromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error || new Error('Could not open chat search storage'))
+  })
+
+  return databasePromise
+}
+
+async function storeRequest(mode, operation) {
+  const db = await openDatabase()
+
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+    request.onsuccess = () => resolve(request.result ?? null)
+    request.onerror = () => reject(request.error || new Error('Could not access chat search storage'))
+  })
+}
+
+function storageKey(conversationId) {
+  return `user:${userId}:conversation:${conversationId}`
+}
+
+async function readIndex(conversationId) {
+  const sealed = await storeRequest('readonly', store => store.get(storageKey(conversationId)))
+  if (!sealed) return new TextSearchIndex()
+
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv }, sealingKey, sealed.ciphertext)
+    return new TextSearchIndex(JSON.parse(new TextDecoder().decode(plaintext)))
+  } catch (_error) {
+    // A reset sealing key makes old indexes unreadable; start over.
+    return new TextSearchIndex()
+  }
+}
+
+function loadIndex(conversationId) {
+  const key = String(conversationId)
+  if (!indexes.has(key)) indexes.set(key, readIndex(key))
+  return indexes.get(key)
+}
+
+async function persist() {
+  persistTimer = null
+  const pending = Array.from(dirty)
+  dirty.clear()
+
+  for (const conversationId of pending) {
+    const index = await loadIndex(conversationId)
+    const iv = crypto.getRandomValues(new Uint8Array(12))
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      sealingKey,
+      new TextEncoder().encode(JSON.stringify(index))
+    )
+
+    await storeRequest('readwrite', store => store.put({ iv, ciphertext }, storageKey(conversationId)))
+  }
+}
+
+function schedulePersist(conversationId) {
+  dirty.add(String(conversationId))
+  if (persistTimer) return
+
+  persistTimer = setTimeout(() => {
+    persist().catch(error => console.warn('Could not save chat search index', error))
+  }, PERSIST_DELAY_MS)
+}
+
+const handlers = {
+  open(message) {
+    if (message.userId !== userId) indexes.clear()
+    userId = message.userId
+    sealingKey = message.key
+  },
+
+  async add({ conversationId, docs }) {
+    const index = await loadIndex(conversationId)
+    const changed = docs.filter(doc => index.docs.get(String(doc.id))?.text !== doc.text)
+    if (changed.length === 0) return
+
+    changed.forEach(doc => index.add(doc))
+    schedulePersist(conversationId)
+  },
+
+  async search({ conversationId, query }) {
+    const index = await loadIndex(conversationId)
+    return index.search(query)
+  }
+}
+
+self.addEventListener('message', async event => {
+  const { id, type } = event.data || {}
+
+  try {
+    if (!handlers[type]) throw new Error(`unknown_message:${type}`)
+    if (type !== 'open' && !sealingKey) throw new Error('search_index_closed')
+
+    const result = await handlers[type](event.data)
+    if (id) self.postMessage({ id, ok: true, result })
+  } catch (error) {
+    if (id) self.postMessage({ id, ok: false, error: error?.message || 'search_failed' })
+  }
+})
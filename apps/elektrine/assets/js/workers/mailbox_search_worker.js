@@ -0,0 +1,225 @@
+// Local search index for a private mailbox, run off the main thread. The
+// search hook hands over the unlocked mailbox private key and batches of
+// encrypted envelopes from the server; this worker decrypts them, keeps a
+// full-text index and persists it to IndexedDB encrypted under the email
+// feature key of the vault. Without that key (mailboxes unlocked with their
+// own passphrase) the index only lives in memory. Plaintext never leaves the
+// browser.
+
+import { decryptMessagePayloadWithKey } from '../hooks/mailbox_private_crypto'
+import { TextSearchIndex } from '../utils/text_search_index'
+
+const DB_NAME = 'elektrine-mailbox-search'
+const DB_VERSION = 1
+const STORE_NAME = 'indexes'
+const PERSIST_DELAY_MS = 2000
+const INDEX_VERSION = 1
+const MAX_BODY_LENGTH = 20000
+
+let mailboxId = null
+let privateKey = null
+let indexKey = null
+let state = null
+let databasePromise = null
+let persistTimer = null
+
+function openDatabase() {
+  if (databasePromise) return databasePromise
+
+  databasePromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error || new Error('Could not open mailbox search storage'))
+  })
+
+  return databasePromise
+}
+
+async function storeRequest(mode, operation) {
+  const db = await openDatabase()
+
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+    request.onsuccess = () => resolve(request.result ?? null)
+    request.onerror = () => reject(request.error || new Error('Could not access mailbox search storage'))
+  })
+}
+
+function storageKey() {
+  return `mailbox:${mailboxId}`
+}
+
+// Binds the sealed index to its mailbox so records can't be swapped around.
+function sealingParams(iv) {
+  return {
+    name: 'AES-GCM',
+    iv,
+    additionalData: new TextEncoder().encode(`elektrine-mailbox-search-v${INDEX_VERSION}:${mailboxId}`)
+  }
+}
+
+async function readState() {
+  const empty = { cursor: 0, index: new TextSearchIndex() }
+  if (!indexKey) return empty
+
+  const sealed = await storeRequest('readonly', store => store.get(storageKey()))
+  if (!sealed) return empty
+
+  try {
+    const plaintext = await crypto.subtle.decrypt(sealingParams(sealed.iv), indexKey, sealed.ciphertext)
+    const data = JSON.parse(new TextDecoder().decode(plaintext))
+    if (data.version !== INDEX_VERSION) return empty
+
+    return { cursor: Number(data.cursor) || 0, index: new TextSearchIndex(data.index) }
+  } catch (_error) {
+    // A new vault key makes old indexes unreadable; start over.
+    return empty
+  }
+}
+
+function loadState() {
+  if (!state) state = readState()
+  return state
+}
+
+async function persist() {
+  persistTimer = null
+  if (!indexKey || !state) return
+
+  const { cursor, index } = await state
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const ciphertext = await crypto.subtle.encrypt(
+    sealingParams(iv),
+    indexKey,
+    new TextEncoder().encode(JSON.stringify({ version: INDEX_VERSION, cursor, index }))
+  )
+
+  await storeRequest('readwrite', store => store.put({ iv, ciphertext }, storageKey()))
+}
+
+function schedulePersist() {
+  if (!indexKey || persistTimer) return
+
+  persistTimer = setTimeout(() => {
+    persist().catch(error => console.warn('Could not save mailbox search index', error))
+  }, PERSIST_DELAY_MS)
+}
+
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;/gi, "'")
+    .replace(/&amp;/gi, '&')
+}
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : ''
+}
+
+function documentFor(envelope, payload) {
+  const subject = text(payload.subject)
+  const from = text(payload.from)
+  const body = (text(payload.text_body) || htmlToText(payload.html_body)).replace(/\s+/g, ' ').trim()
+
+  return {
+    id: String(envelope.id),
+    text: [subject, from, text(payload.to), text(payload.cc), body.slice(0, MAX_BODY_LENGTH)]
+      .filter(Boolean)
+      .join('\n'),
+    sender_id: null,
+    sender_name: from,
+    time: Date.parse(envelope.inserted_at) || 0,
+    subject,
+    hash: envelope.hash || null,
+    has_attachments: Boolean(envelope.has_attachments)
+  }
+}
+
+function status(current) {
+  return { cursor: current.cursor, size: current.index.size, persistent: Boolean(indexKey) }
+}
+
+const handlers = {
+  async open(message) {
+    if (message.mailboxId !== mailboxId) {
+      clearTimeout(persistTimer)
+      persistTimer = null
+      state = null
+    }
+
+    mailboxId = message.mailboxId
+    privateKey = message.privateKey
+    indexKey = message.indexKey || null
+
+    return status(await loadState())
+  },
+
+  // Indexes envelopes newer than the cursor. `messageIds`, when given, is
+  // every message still in the mailbox; anything else is dropped.
+  async sync({ envelopes = [], messageIds }) {
+    const current = await loadState()
+    let changed = false
+
+    if (Array.isArray(messageIds)) {
+      const live = new Set(messageIds.map(String))
+      Array.from(current.index.docs.keys())
+        .filter(id => !live.has(id))
+        .forEach(id => {
+          current.index.remove(id)
+          changed = true
+        })
+    }
+
+    for (const envelope of envelopes) {
+      current.cursor = Math.max(current.cursor, Number(envelope.id) || 0)
+      changed = true
+
+      try {
+        const payload = await decryptMessagePayloadWithKey(envelope.payload, privateKey)
+        if (payload) current.index.add(documentFor(envelope, payload))
+      } catch (_error) {
+        // Envelopes for an older key can't be read; skip them.
+      }
+    }
+
+    if (changed) schedulePersist()
+    return status(current)
+  },
+
+  async search({ query, filters }) {
+    const { index } = await loadState()
+    return index.search(query, { filters })
+  },
+
+  // Saves pending changes and forgets keys and plaintext when the mailbox locks.
+  async close() {
+    if (persistTimer) {
+      clearTimeout(persistTimer)
+      await persist()
+    }
+
+    privateKey = null
+    indexKey = null
+    state = null
+  }
+}
+
+self.addEventListener('message', async event => {
+  const { id, type } = event.data || {}
+
+  try {
+    if (!handlers[type]) throw new Error(`unknown_message:${type}`)
+    if (type !== 'open' && type !== 'close' && !privateKey) throw new Error('search_index_closed')
+
+    const result = await handlers[type](event.data)
+    if (id) self.postMessage({ id, ok: true, result })
+  } catch (error) {
+    if (id) self.postMessage({ id, ok: false, error: error?.message || 'search_failed' })
+  }
+})
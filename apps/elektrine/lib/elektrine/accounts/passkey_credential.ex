@@ -27,6 +27,9 @@ defmodule Elektrine.Accounts.PasskeyCredential do
     field :aaguid, :binary
     # Transport hints: ["usb", "nfc", "ble", "internal", "hybrid"]
     field :transports, {:array, :string}, default: []
+    # Whether the authenticator enabled the WebAuthn PRF extension at creation
+    # (nil when registration did not ask); PRF is what lets a passkey unlock the vault
+    field :prf_enabled, :boolean
     field :last_used_at, :utc_datetime
     # Audit information
     field :created_from_ip, :string
@@ -55,6 +58,7 @@ defmodule Elektrine.Accounts.PasskeyCredential do
       :name,
       :aaguid,
       :transports,
+      :prf_enabled,
       :created_from_ip,
       :created_user_agent
     ])
@@ -64,6 +68,10 @@ defmodule Elektrine.Accounts.PasskeyCredential do
     |> foreign_key_constraint(:user_id)
   end
 
+  @doc "Checks if the passkey can unlock the vault; unknown support counts as possible"
+  def prf_capable?(%__MODULE__{prf_enabled: false}), do: false
+  def prf_capable?(%__MODULE__{}), do: true
+
   @doc "Changeset for updating sign count after authentication"
   def update_sign_count_changeset(credential, sign_count) do
     credential
@@ -73,6 +73,7 @@ defmodule Elektrine.Accounts.Passkeys do
         user_handle: user_handle,
         aaguid: aaguid,
         transports: transports,
+        prf_enabled: prf_enabled(attestation_response),
         name: metadata[:name] || generate_passkey_name(user),
         created_from_ip: metadata[:ip],
         created_user_agent: metadata[:user_agent]
@@ -95,6 +96,14 @@ defmodule Elektrine.Accounts.Passkeys do
     end
   end
 
+  # The browser reports `prf.enabled` in the client extension results when
+  # registration requested the PRF extension.
+  defp prf_enabled(%{"client_extension_results" => %{"prf" => %{"enabled" => enabled}}})
+       when is_boolean(enabled),
+       do: enabled
+
+  defp prf_enabled(_attestation_response), do: nil
+
   @doc ~s|Generate an authentication challenge for passkey login.\n\nFor discoverable credentials (passkey login without username):\n- Pass nil for user\n- Browser will prompt user to select a passkey\n\nFor non-discoverable credentials (after username entry):\n- Pass the user struct\n- Challenge will include allowed credentials for that user\n\nOptions:\n  - :host - The request host (e.g., \"example.com\") for multi-domain support\n|
   def generate_authentication_challenge(user \\ nil, opts \\ []) do
     rp_id = get_rp_id(opts[:host])
@@ -296,6 +305,9 @@ defmodule Elektrine.Accounts.Passkeys do
     end
   end
 
+  @doc ~s|The relying party ID passkeys are registered under for a request host.|
+  def rp_id(host), do: get_rp_id(host)
+
   defp get_credential_by_id(credential_id) do
     PasskeyCredential |> where([p], p.credential_id == ^credential_id) |> Repo.one()
   end
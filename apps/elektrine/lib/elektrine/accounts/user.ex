@@ -53,6 +53,8 @@ defmodule Elektrine.Accounts.User do
     field :time_format, :string, default: "12"
     field :theme_mode, :string, default: "system"
     field :theme_overrides, :map, default: %{}
+    field :keymap_preset, :string, default: "gmail"
+    field :keymap_overrides, :map, default: %{}
 
     # Social Identity
     field :handle, :string
@@ -111,6 +113,7 @@ defmodule Elektrine.Accounts.User do
     # Email Settings
     field :email_signature, :string
     field :preferred_email_domain, :string
+    field :email_remote_content, :string, default: "block"
     field :stripe_customer_id, :string
 
     # Email Sending Restrictions (anti-spam)
@@ -148,6 +151,7 @@ defmodule Elektrine.Accounts.User do
     field :pgp_fingerprint, :string
     field :pgp_key_uploaded_at, :utc_datetime
     field :pgp_wkd_hash, :string
+    field :pgp_private_key_wrapped, :map
 
     has_one :profile, Elektrine.Profiles.UserProfile
     has_many :sessions, Elektrine.Accounts.UserSession
@@ -358,8 +362,11 @@ defmodule Elektrine.Accounts.User do
       :time_format,
       :theme_mode,
       :theme_overrides,
+      :keymap_preset,
+      :keymap_overrides,
       :email_signature,
       :preferred_email_domain,
+      :email_remote_content,
       :onboarding_completed,
       :onboarding_completed_at,
       :onboarding_step,
@@ -414,6 +421,7 @@ defmodule Elektrine.Accounts.User do
     |> validate_inclusion(:built_in_subdomain_mode, @built_in_subdomain_modes)
     |> validate_inclusion(:locale, ~w(en zh), message: "is not a supported locale")
     |> validate_inclusion(:time_format, ~w(12 24), message: "must be 12 or 24")
+    |> validate_inclusion(:email_remote_content, ~w(block proxy))
     |> validate_birthday()
     |> normalize_account_migration_metadata()
     |> validate_account_migration_metadata()
@@ -421,6 +429,10 @@ defmodule Elektrine.Accounts.User do
       message: "is not a supported theme mode"
     )
     |> Elektrine.Theme.validate_overrides(:theme_overrides)
+    |> validate_inclusion(:keymap_preset, Elektrine.Keymap.presets(),
+      message: "is not a supported keymap"
+    )
+    |> Elektrine.Keymap.validate_overrides(:keymap_overrides)
     |> validate_preferred_email_domain(user)
     |> validate_bluesky_settings()
   end
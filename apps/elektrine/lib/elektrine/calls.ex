@@ -4,9 +4,11 @@ defmodule Elektrine.Calls do
   """
 
   import Ecto.Query, warn: false
+  alias Elektrine.Accounts.Storage
   alias Elektrine.Calls.Call
+  alias Elektrine.{Constants, Messaging, Notifications}
   alias Elektrine.Messaging.{ChatConversation, ChatConversationMember, ChatMessage}
-  alias Elektrine.Repo
+  alias Elektrine.{Repo, Uploads}
   @terminal_statuses ["ended", "rejected", "missed", "failed"]
   @allowed_previous_statuses %{
     "ringing" => ["initiated"],
@@ -16,6 +18,11 @@ defmodule Elektrine.Calls do
     "missed" => ["initiated", "ringing"],
     "failed" => ["initiated", "ringing", "active"]
   }
+  @quality_string_fields ~w(local_candidate remote_candidate protocol relay_protocol
+                            audio_codec video_codec)
+  @quality_number_fields ~w(avg_rtt_ms max_rtt_ms avg_jitter_ms avg_receive_loss
+                            max_receive_loss avg_send_loss avg_send_kbps avg_receive_kbps)
+  @quality_integer_fields ~w(duration_seconds samples downgrades)
 
   @doc """
   Initiates a new call between two users.
@@ -170,6 +177,10 @@ defmodule Elektrine.Calls do
             if updated_call.conversation_id do
               create_call_log_message(updated_call)
             end
+
+            if status == "missed" do
+              notify_missed_call(updated_call)
+            end
           end
 
           {:ok, updated_call}
@@ -256,6 +267,14 @@ defmodule Elektrine.Calls do
     end
   end
 
+  # The call log message is inserted directly, so it raises no chat
+  # notification; the callee gets a dedicated one (and its push) instead.
+  defp notify_missed_call(%Call{caller: %{} = caller} = call) do
+    Elektrine.Async.run(fn ->
+      Notifications.notify_missed_call(call.callee_id, caller, call)
+    end)
+  end
+
   defp format_call_log_message(call) do
     call_type = if call.call_type == "video", do: "Video call", else: "Audio call"
 
@@ -338,6 +357,227 @@ defmodule Elektrine.Calls do
     |> Repo.all()
   end
 
+  @doc """
+  Stores the end-of-call connection summary one participant's browser
+  reported for a call, under its role ("caller" or "callee"). Unknown keys
+  and malformed values are dropped. The call is flagged as relayed once
+  either side reports a TURN relayed candidate pair.
+  """
+  def record_quality_report(call_id, user_id, report) when is_map(report) do
+    case Repo.get(Call, call_id) do
+      nil ->
+        {:error, :not_found}
+
+      %Call{} = call ->
+        case participant_role(call, user_id) do
+          nil ->
+            {:error, :not_participant}
+
+          role ->
+            report = normalize_quality_report(report)
+            relayed = report["relayed"] == true
+
+            # Both sides report at hang-up, so merge into the stored map in
+            # the database instead of writing back a copy read here.
+            from(c in Call,
+              where: c.id == ^call.id,
+              update: [
+                set: [
+                  quality_reports:
+                    fragment(
+                      "? || jsonb_build_object(?::text, ?)",
+                      c.quality_reports,
+                      ^role,
+                      type(^report, :map)
+                    ),
+                  relayed: fragment("? OR ?", c.relayed, ^relayed),
+                  updated_at: ^Elektrine.Time.utc_now()
+                ]
+              ]
+            )
+            |> Repo.update_all([])
+
+            {:ok, Repo.get!(Call, call.id)}
+        end
+    end
+  end
+
+  def record_quality_report(_call_id, _user_id, _report), do: {:error, :invalid_report}
+
+  defp participant_role(%Call{caller_id: user_id}, user_id), do: "caller"
+  defp participant_role(%Call{callee_id: user_id}, user_id), do: "callee"
+  defp participant_role(_call, _user_id), do: nil
+
+  defp normalize_quality_report(report) do
+    strings =
+      for field <- @quality_string_fields,
+          value = report[field],
+          is_binary(value) and value =~ ~r/\A[\w\/.+-]{1,32}\z/,
+          into: %{},
+          do: {field, value}
+
+    numbers =
+      for field <- @quality_number_fields,
+          value = report[field],
+          is_number(value) and value >= 0 and value < 10_000_000,
+          into: %{},
+          do: {field, Float.round(value / 1, 2)}
+
+    integers =
+      for field <- @quality_integer_fields,
+          value = report[field],
+          is_integer(value) and value >= 0 and value < 10_000_000,
+          into: %{},
+          do: {field, value}
+
+    strings
+    |> Map.merge(numbers)
+    |> Map.merge(integers)
+    |> Map.put("relayed", report["relayed"] == true)
+  end
+
+  @doc """
+  Lists calls with connection quality reports, newest first, for the admin
+  call quality page.
+
+  ## Options
+
+    * `:relayed_only` - only calls that went through a TURN relay
+    * `:limit` / `:offset` - pagination (defaults 25 / 0)
+  """
+  def list_quality_reports(opts \\ []) do
+    opts
+    |> quality_reports_query()
+    |> order_by([c], desc: c.inserted_at)
+    |> limit(^Keyword.get(opts, :limit, 25))
+    |> offset(^Keyword.get(opts, :offset, 0))
+    |> preload([:caller, :callee])
+    |> Repo.all()
+  end
+
+  @doc """
+  Counts calls with quality reports, honouring `:relayed_only`.
+  """
+  def count_quality_reports(opts \\ []) do
+    opts
+    |> quality_reports_query()
+    |> Repo.aggregate(:count)
+  end
+
+  defp quality_reports_query(opts) do
+    query = where(Call, [c], c.quality_reports != ^%{})
+
+    if Keyword.get(opts, :relayed_only, false) do
+      where(query, [c], c.relayed == true)
+    else
+      query
+    end
+  end
+
+  @doc """
+  Returns the call if the user took part in it, for features that act on a
+  call after it ended, such as saving a recording.
+  """
+  def fetch_participant_call(call_id, user_id) do
+    case Repo.get(Call, call_id) do
+      nil ->
+        {:error, :not_found}
+
+      %Call{} = call ->
+        if participant_role(call, user_id), do: {:ok, call}, else: {:error, :not_participant}
+    end
+  end
+
+  defp recording_duration(duration) when is_integer(duration) and duration in 0..86_400,
+    do: duration
+
+  defp recording_duration(duration) when is_binary(duration) do
+    case Integer.parse(duration) do
+      {seconds, ""} -> recording_duration(seconds)
+      _ -> nil
+    end
+  end
+
+  defp recording_duration(_duration), do: nil
+
+  @doc """
+  Posts a message the caller recorded after their call went unanswered to the
+  call's conversation, as a playable voice (or video) message.
+
+  Only the caller can leave one, once per call, for a missed call and within
+  `Constants.voicemail_window_seconds/0` of it being missed. `duration` is in
+  seconds and is capped at `Constants.voicemail_max_seconds/0`. The recording
+  is stored as uploaded, so it is refused in end-to-end encrypted DMs.
+  """
+  def leave_voicemail(call_id, user_id, media, mime_type, duration)
+      when is_binary(media) and is_binary(mime_type) do
+    with {:ok, call} <- fetch_participant_call(call_id, user_id),
+         :ok <- voicemail_allowed(call, user_id),
+         seconds when is_integer(seconds) <- recording_duration(duration),
+         {:ok, upload} <-
+           Uploads.upload_voicemail(media, voicemail_filename(mime_type), mime_type, user_id) do
+      seconds = min(seconds, Constants.voicemail_max_seconds())
+      metadata = %{"call_id" => call.id, "call_type" => call.call_type}
+
+      case Messaging.create_chat_voicemail_message(
+             call.conversation_id,
+             user_id,
+             upload.key,
+             seconds,
+             mime_type,
+             metadata
+           ) do
+        {:ok, message} ->
+          Storage.update_user_storage(user_id)
+          {:ok, message}
+
+        error ->
+          Uploads.delete_uploaded_file(upload.key)
+          error
+      end
+    else
+      nil -> {:error, :invalid_duration}
+      error -> error
+    end
+  end
+
+  def leave_voicemail(_call_id, _user_id, _media, _mime_type, _duration),
+    do: {:error, :invalid_voicemail}
+
+  defp voicemail_allowed(%Call{caller_id: user_id} = call, user_id) do
+    cond do
+      call.status != "missed" -> {:error, :not_missed}
+      is_nil(call.conversation_id) -> {:error, :no_conversation}
+      Messaging.client_encrypted_conversation?(call.conversation_id) -> {:error, :encrypted}
+      voicemail_window_closed?(call) -> {:error, :voicemail_expired}
+      voicemail_left?(call) -> {:error, :voicemail_exists}
+      true -> :ok
+    end
+  end
+
+  defp voicemail_allowed(_call, _user_id), do: {:error, :not_caller}
+
+  defp voicemail_window_closed?(%Call{ended_at: nil}), do: false
+
+  defp voicemail_window_closed?(%Call{ended_at: ended_at}) do
+    DateTime.diff(DateTime.utc_now(), ended_at) > Constants.voicemail_window_seconds()
+  end
+
+  defp voicemail_left?(%Call{id: call_id, conversation_id: conversation_id}) do
+    from(m in ChatMessage,
+      where:
+        m.conversation_id == ^conversation_id and m.message_type == "voice" and
+          fragment("?->>'call_id' = ?", m.media_metadata, ^to_string(call_id)) and
+          fragment("?->>'voicemail' = 'true'", m.media_metadata)
+    )
+    |> Repo.exists?()
+  end
+
+  defp voicemail_filename("video/mp4"), do: "voicemail.mp4"
+  defp voicemail_filename("audio/mp4"), do: "voicemail.m4a"
+  defp voicemail_filename("audio/ogg"), do: "voicemail.ogg"
+  defp voicemail_filename(_mime_type), do: "voicemail.webm"
+
   @doc """
   Finds an active call for a user.
   Returns the most recent active call if multiple exist.
@@ -15,6 +15,10 @@ defmodule Elektrine.Calls.Call do
     field :started_at, :utc_datetime
     field :ended_at, :utc_datetime
     field :duration_seconds, :integer
+    # End-of-call connection summaries from each side's browser, keyed by
+    # "caller" / "callee" (see Elektrine.Calls.record_quality_report/3).
+    field :quality_reports, :map, default: %{}
+    field :relayed, :boolean, default: false
 
     timestamps(type: :utc_datetime)
   end
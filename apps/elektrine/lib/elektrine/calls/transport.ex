@@ -17,6 +17,17 @@ defmodule Elektrine.Calls.Transport do
     }
   end
 
+  def mode do
+    :elektrine
+    |> Application.get_env(:webrtc, [])
+    |> transport_mode()
+  end
+
+  def sfu_configured? do
+    config = Application.get_env(:elektrine, :webrtc, [])
+    Elektrine.Strings.present?(Keyword.get(config, :sfu_endpoint))
+  end
+
   def ice_servers_for_user(user_id, call_id, opts \\ [])
       when is_integer(user_id) and is_integer(call_id) and is_list(opts) do
     config = Application.get_env(:elektrine, :webrtc, [])
@@ -54,13 +65,24 @@ defmodule Elektrine.Calls.Transport do
           "exp" => System.system_time(:second) + @default_turn_ttl_seconds
         }
 
-        %{
-          "endpoint" => endpoint,
-          "token" => Phoenix.Token.sign(ElektrineWeb.Endpoint, "webrtc_sfu", claims)
-        }
+        %{"endpoint" => endpoint, "token" => sfu_token(token_secret, claims)}
     end
   end
 
+  # An HS256 JWT keyed on WEBRTC_SFU_TOKEN_SECRET, so the SFU's auth hook can
+  # verify it with the same secret and any JWT library.
+  defp sfu_token(secret, claims) do
+    signing_input =
+      [%{"alg" => "HS256", "typ" => "JWT"}, claims]
+      |> Enum.map_join(".", &(&1 |> Jason.encode!() |> Base.url_encode64(padding: false)))
+
+    signature =
+      :crypto.mac(:hmac, :sha256, secret, signing_input)
+      |> Base.url_encode64(padding: false)
+
+    signing_input <> "." <> signature
+  end
+
   defp build_dynamic_turn_servers(config, user_id, call_id, opts) do
     secret = Keyword.get(config, :turn_shared_secret)
     uris = normalize_turn_uris(Keyword.get(config, :turn_uris, []))
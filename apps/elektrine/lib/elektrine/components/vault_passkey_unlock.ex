@@ -0,0 +1,37 @@
+defmodule Elektrine.Components.VaultPasskeyUnlock do
+  @moduledoc false
+
+  use Phoenix.Component
+
+  @doc """
+  Renders the "Unlock with passkey" control for an encrypted-data unlock panel.
+
+  `options` comes from `Elektrine.Vault.passkey_unlock_options/2`; nothing is
+  rendered when it is nil. The `VaultPasskeyUnlock` hook keeps the control
+  hidden while the vault is unlocked or the browser has no WebAuthn support.
+  """
+  attr :id, :string, required: true
+  attr :options, :map, default: nil
+  attr :label, :string, default: "Unlock with passkey"
+  attr :class, :any, default: nil
+  attr :button_class, :any, default: "btn btn-outline btn-sm"
+
+  def vault_passkey_unlock(assigns) do
+    ~H"""
+    <div
+      :if={@options}
+      id={@id}
+      phx-hook="VaultPasskeyUnlock"
+      class={["hidden", @class]}
+      data-vault-passkey-rp-id={@options.rp_id}
+      data-vault-passkey-unlockers={Jason.encode!(@options.unlockers)}
+    >
+      <button type="button" class={["gap-2", @button_class]} data-vault-passkey-unlock>
+        <span class="hero-finger-print h-4 w-4" aria-hidden="true"></span>
+        {@label}
+      </button>
+      <p class="mt-1 text-xs text-error" data-vault-passkey-error></p>
+    </div>
+    """
+  end
+end
@@ -129,6 +129,14 @@ defmodule Elektrine.Constants do
 
   def call_ring_timeout_ms, do: @call_ring_timeout_ms
 
+  # Voicemail left after an unanswered call: at most 60 seconds, recorded
+  # within 10 minutes of the call being missed.
+  @voicemail_max_seconds 60
+  @voicemail_window_seconds 600
+
+  def voicemail_max_seconds, do: @voicemail_max_seconds
+  def voicemail_window_seconds, do: @voicemail_window_seconds
+
   # User Limits
   @max_profile_links 50
   @max_profile_widgets 5
@@ -318,6 +318,9 @@ defmodule Elektrine.Developer.Exports.AccountExporter do
       time_format: user.time_format,
       preferred_email_domain: user.preferred_email_domain,
       email_signature: user.email_signature,
+      email_remote_content: user.email_remote_content,
+      keymap_preset: user.keymap_preset,
+      keymap_overrides: user.keymap_overrides,
       two_factor_enabled: user.two_factor_enabled
     }
   end
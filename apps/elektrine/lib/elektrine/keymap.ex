@@ -0,0 +1,107 @@
+defmodule Elektrine.Keymap do
+  @moduledoc """
+  Keyboard shortcut preferences.
+
+  The action catalog and the preset bindings live in the client
+  (`assets/js/keymap_presets.js`); the server stores which preset a user
+  picked and their per-action overrides, and only checks that overrides are
+  well-formed bindings.
+
+  Overrides map an action id such as `"mail.list.archive"` to a list of
+  bindings. A binding is one to three chords separated by spaces (`"g i"`),
+  and a chord is optional `mod+`, `alt+` and `shift+` prefixes followed by a
+  key (`"mod+enter"`, `"shift+r"`, `"#"`). An empty list unbinds the action.
+  """
+
+  import Ecto.Changeset
+
+  @presets ~w(gmail outlook vim none)
+  @default_preset "gmail"
+
+  @max_overrides 100
+  @max_bindings_per_action 4
+  @action_regex ~r/^[a-z][a-z_]*(?:\.[a-z][a-z_]*)+$/
+  @chord_regex ~r/^(?:(?:mod|alt|shift)\+){0,3}(?:[a-z][a-z0-9]*|[^\s+]|\+)$/u
+
+  @doc "The keymap presets a user can choose from."
+  def presets, do: @presets
+
+  def default_preset, do: @default_preset
+
+  @doc """
+  The preset and overrides the client keymap starts from, as rendered into
+  the root layout.
+  """
+  def client_config(%{keymap_preset: preset, keymap_overrides: overrides}) do
+    %{
+      preset: if(preset in @presets, do: preset, else: @default_preset),
+      overrides: if(is_map(overrides), do: overrides, else: %{})
+    }
+  end
+
+  def client_config(_), do: %{preset: @default_preset, overrides: %{}}
+
+  def validate_overrides(changeset, field \\ :keymap_overrides) do
+    overrides = get_field(changeset, field) || %{}
+
+    cond do
+      not is_map(overrides) ->
+        add_error(changeset, field, "must be a map")
+
+      map_size(overrides) > @max_overrides ->
+        add_error(changeset, field, "has too many shortcuts")
+
+      true ->
+        case normalize_overrides(overrides) do
+          {:ok, normalized} -> put_change(changeset, field, normalized)
+          {:error, message} -> add_error(changeset, field, message)
+        end
+    end
+  end
+
+  defp normalize_overrides(overrides) do
+    Enum.reduce_while(overrides, {:ok, %{}}, fn {action, bindings}, {:ok, acc} ->
+      action = to_string(action)
+
+      if Regex.match?(@action_regex, action) do
+        case normalize_bindings(bindings) do
+          {:ok, bindings} -> {:cont, {:ok, Map.put(acc, action, bindings)}}
+          {:error, message} -> {:halt, {:error, message}}
+        end
+      else
+        {:halt, {:error, "contains unsupported actions"}}
+      end
+    end)
+  end
+
+  defp normalize_bindings(binding) when is_binary(binding), do: normalize_bindings([binding])
+
+  defp normalize_bindings(bindings) when is_list(bindings) do
+    bindings =
+      bindings
+      |> Enum.map(&normalize_binding/1)
+      |> Enum.reject(&(&1 == ""))
+      |> Enum.uniq()
+
+    cond do
+      Enum.any?(bindings, &is_nil/1) -> {:error, "contains invalid shortcuts"}
+      length(bindings) > @max_bindings_per_action -> {:error, "has too many shortcuts"}
+      true -> {:ok, bindings}
+    end
+  end
+
+  defp normalize_bindings(_bindings), do: {:error, "contains invalid shortcuts"}
+
+  defp normalize_binding(binding) when is_binary(binding) do
+    chords = String.split(binding, " ", trim: true)
+
+    cond do
+      chords == [] -> ""
+      length(chords) > 3 -> nil
+      Enum.all?(chords, &Regex.match?(@chord_regex, &1)) -> Enum.join(chords, " ")
+      true -> nil
+    end
+  end
+
+  defp normalize_binding(_binding), do: nil
+end
@@ -4,13 +4,22 @@ defmodule Elektrine.Markdown do
   Converts markdown to HTML while sanitizing dangerous content.
   """
 
+  # GFM extensions on top of CommonMark. The client-side preview renderer
+  # (assets/js/markdown.js) supports the same set, so keep the two in step.
+  @extensions [strikethrough: true, table: true, autolink: true, tasklist: true, footnotes: true]
+
+  @doc """
+  MDEx extension options for every markdown renderer in the app.
+  """
+  def extensions, do: @extensions
+
   @doc """
   Converts markdown text to safe HTML.
   Strips all images and dangerous content.
   """
   def to_html(markdown_text) when is_binary(markdown_text) do
     markdown_text
-    |> MDEx.to_html!()
+    |> MDEx.to_html!(extension: @extensions)
     |> HtmlSanitizeEx.markdown_html()
     |> strip_images()
   end
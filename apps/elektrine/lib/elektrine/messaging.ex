@@ -945,6 +945,14 @@ defmodule Elektrine.Messaging do
 
   defdelegate get_wrapped_chat_key(conversation_id, user_id, device_id, key_uid), to: ChatMessages
 
+  defdelegate client_encrypted_conversation?(conversation_id), to: ChatMessages
+
+  defdelegate get_chat_key_backup(user_id), to: ChatMessages
+
+  defdelegate put_chat_key_backup(user_id, attrs), to: ChatMessages
+
+  defdelegate delete_chat_key_backup(user_id), to: ChatMessages
+
   @doc """
   Creates a media chat message.
   """
@@ -967,6 +975,18 @@ defmodule Elektrine.Messaging do
                 mime_type
               ), to: ChatMessages, as: :create_voice_message
 
+  @doc """
+  Creates a voicemail chat message for an unanswered call.
+  """
+  defdelegate create_chat_voicemail_message(
+                conversation_id,
+                sender_id,
+                media_url,
+                duration,
+                mime_type,
+                metadata
+              ), to: ChatMessages, as: :create_voicemail_message
+
   @doc """
   Creates a system chat message.
   """
@@ -3,6 +3,8 @@ defmodule Elektrine.Messaging.ChatConversationKeyRecipient do
   use Ecto.Schema
   import Ecto.Changeset
 
+  @prekey_wrap_algorithms ["X25519-HKDF-SHA256", "ECDH-P256-HKDF-SHA256"]
+
   schema "chat_conversation_key_recipients" do
     field :device_id, :string
     field :wrapped_key, :map
@@ -25,31 +27,57 @@ defmodule Elektrine.Messaging.ChatConversationKeyRecipient do
   end
 
   defp validate_wrapped_key(changeset) do
-    case get_field(changeset, :wrapped_key) do
-      %{} = wrapped_key ->
-        version = payload_value(wrapped_key, "version", :version)
-        key_algorithm = payload_value(wrapped_key, "key_algorithm", :key_algorithm)
-        encrypted_key = payload_value(wrapped_key, "encrypted_key", :encrypted_key)
-
-        if version in [1, "1"] and key_algorithm == "RSA-OAEP-SHA256" and
-             valid_base64?(encrypted_key) do
-          changeset
-        else
-          add_error(changeset, :wrapped_key, "must be a valid wrapped chat key")
-        end
-
-      _ ->
-        add_error(changeset, :wrapped_key, "must be a valid wrapped chat key")
+    if valid_wrapped_key?(get_field(changeset, :wrapped_key)) do
+      changeset
+    else
+      add_error(changeset, :wrapped_key, "must be a valid wrapped chat key")
+    end
+  end
+
+  @doc """
+  Returns true for a conversation key wrapped to a device.
+
+  Version 1 wraps to the device's long-lived RSA-OAEP key. Version 2 wraps to
+  the device's current signed prekey with an ephemeral ECDH key, so the key
+  package stops being decryptable once that prekey is retired.
+  """
+  def valid_wrapped_key?(%{} = wrapped_key) do
+    version = payload_value(wrapped_key, "version", :version)
+    key_algorithm = payload_value(wrapped_key, "key_algorithm", :key_algorithm)
+    encrypted_key = payload_value(wrapped_key, "encrypted_key", :encrypted_key)
+    ephemeral_key = payload_value(wrapped_key, "ephemeral_public_key", :ephemeral_public_key)
+
+    cond do
+      version in [1, "1"] ->
+        key_algorithm == "RSA-OAEP-SHA256" and valid_base64?(encrypted_key)
+
+      version in [2, "2"] ->
+        key_algorithm in @prekey_wrap_algorithms and valid_base64?(encrypted_key) and
+          valid_prekey_id?(payload_value(wrapped_key, "prekey_id", :prekey_id)) and
+          valid_base64?(ephemeral_key, 32) and
+          valid_base64?(payload_value(wrapped_key, "iv", :iv), 12)
+
+      true ->
+        false
     end
   end
 
+  def valid_wrapped_key?(_), do: false
+
+  defp valid_prekey_id?(value) when is_binary(value),
+    do: byte_size(value) >= 8 and byte_size(value) <= 128
+
+  defp valid_prekey_id?(_), do: false
+
   defp payload_value(payload, string_key, atom_key) do
     Map.get(payload, string_key) || Map.get(payload, atom_key)
   end
 
-  defp valid_base64?(value) when is_binary(value) do
-    match?({:ok, decoded} when byte_size(decoded) > 16, Base.decode64(value))
+  defp valid_base64?(value, min_size \\ 17)
+
+  defp valid_base64?(value, min_size) when is_binary(value) do
+    match?({:ok, decoded} when byte_size(decoded) >= min_size, Base.decode64(value))
   end
 
-  defp valid_base64?(_), do: false
+  defp valid_base64?(_, _), do: false
 end
@@ -3,6 +3,8 @@ defmodule Elektrine.Messaging.ChatEncryptionDevice do
   use Ecto.Schema
   import Ecto.Changeset
 
+  @prekey_algorithms ["X25519", "ECDH-P256"]
+
   schema "chat_encryption_devices" do
     field :device_id, :string
     field :public_key, :map
@@ -10,6 +12,7 @@ defmodule Elektrine.Messaging.ChatEncryptionDevice do
     field :fingerprint, :string
     field :signing_public_key, :map
     field :device_signature, :map
+    field :prekey, :map
     field :label, :string
     field :last_seen_at, :utc_datetime
     field :revoked_at, :utc_datetime
@@ -29,6 +32,7 @@ defmodule Elektrine.Messaging.ChatEncryptionDevice do
       :fingerprint,
       :signing_public_key,
       :device_signature,
+      :prekey,
       :label,
       :last_seen_at,
       :revoked_at
@@ -39,6 +43,7 @@ defmodule Elektrine.Messaging.ChatEncryptionDevice do
     |> validate_length(:label, max: 120)
     |> validate_inclusion(:key_algorithm, ["RSA-OAEP-SHA256"])
     |> validate_public_key()
+    |> validate_prekey()
     |> foreign_key_constraint(:user_id)
     |> unique_constraint([:user_id, :device_id])
   end
@@ -61,13 +66,47 @@ defmodule Elektrine.Messaging.ChatEncryptionDevice do
     end
   end
 
+  # The prekey is the device's current signed ECDH key for forward-secret key
+  # packages. Browsers rotate it and keep the previous private half only for a
+  # grace period, so it is optional and replaced on every registration.
+  defp validate_prekey(changeset) do
+    case get_field(changeset, :prekey) do
+      nil ->
+        changeset
+
+      %{} = prekey ->
+        version = payload_value(prekey, "version", :version)
+        algorithm = payload_value(prekey, "algorithm", :algorithm)
+        key_id = payload_value(prekey, "key_id", :key_id)
+        key = payload_value(prekey, "key", :key)
+        signature = payload_value(prekey, "signature", :signature)
+
+        if version in [1, "1"] and algorithm in @prekey_algorithms and valid_key_id?(key_id) and
+             valid_base64?(key, 32) and valid_base64?(signature, 32) do
+          changeset
+        else
+          add_error(changeset, :prekey, "must be a valid signed prekey")
+        end
+
+      _ ->
+        add_error(changeset, :prekey, "must be a valid signed prekey")
+    end
+  end
+
+  defp valid_key_id?(value) when is_binary(value),
+    do: byte_size(value) >= 8 and byte_size(value) <= 128
+
+  defp valid_key_id?(_), do: false
+
   defp payload_value(payload, string_key, atom_key) do
     Map.get(payload, string_key) || Map.get(payload, atom_key)
   end
 
-  defp valid_base64?(value) when is_binary(value) do
-    match?({:ok, decoded} when byte_size(decoded) > 32, Base.decode64(value))
+  defp valid_base64?(value, min_size \\ 33)
+
+  defp valid_base64?(value, min_size) when is_binary(value) do
+    match?({:ok, decoded} when byte_size(decoded) >= min_size, Base.decode64(value))
   end
 
-  defp valid_base64?(_), do: false
+  defp valid_base64?(_, _), do: false
 end
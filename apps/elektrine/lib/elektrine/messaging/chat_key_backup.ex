@@ -0,0 +1,55 @@
+defmodule Elektrine.Messaging.ChatKeyBackup do
+  @moduledoc """
+  A user's opt-in backup of encrypted chat keys.
+
+  The browser exports the conversation keys it holds, encrypts them under the
+  vault's `"chat"` feature key and uploads the result; a newly registered
+  browser downloads and decrypts it after the vault is unlocked so earlier
+  encrypted history stays readable. One backup per user, replaced on upload.
+  """
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  alias Elektrine.Accounts.User
+
+  # Roughly 20k conversation keys; anything larger is not a key backup.
+  @max_ciphertext_bytes 2_000_000
+
+  schema "chat_key_backups" do
+    field :payload, :map
+    field :key_count, :integer, default: 0
+
+    belongs_to :user, User
+
+    timestamps(type: :utc_datetime)
+  end
+
+  def changeset(backup, attrs) do
+    backup
+    |> cast(attrs, [:user_id, :payload, :key_count])
+    |> validate_required([:user_id, :payload, :key_count])
+    |> validate_number(:key_count, greater_than_or_equal_to: 0)
+    |> validate_change(:payload, fn :payload, payload ->
+      if valid_payload?(payload), do: [], else: [payload: "must be a valid encrypted backup"]
+    end)
+    |> foreign_key_constraint(:user_id)
+    |> unique_constraint(:user_id)
+  end
+
+  defp valid_payload?(%{} = payload) do
+    is_integer(payload["version"]) and payload["version"] >= 1 and
+      payload["algorithm"] == "AES-GCM" and base64_size(payload["iv"]) == 12 and
+      base64_size(payload["ciphertext"]) in 1..@max_ciphertext_bytes
+  end
+
+  defp valid_payload?(_payload), do: false
+
+  defp base64_size(value) when is_binary(value) do
+    case Base.decode64(value) do
+      {:ok, bytes} -> byte_size(bytes)
+      :error -> 0
+    end
+  end
+
+  defp base64_size(_value), do: 0
+end
@@ -157,8 +157,32 @@ defmodule Elektrine.Messaging.ChatMessage do
     })
   end
 
+  @doc """
+  Creates a changeset for a voicemail: a voice message, or a short video, the
+  caller left after an unanswered call. `metadata` names the call it belongs to.
+  """
+  def voicemail_changeset(conversation_id, sender_id, media_url, duration, mime_type, metadata) do
+    %__MODULE__{}
+    |> changeset(%{
+      conversation_id: conversation_id,
+      sender_id: sender_id,
+      content: voicemail_label(mime_type),
+      message_type: "voice",
+      media_urls: [media_url],
+      media_metadata: Map.merge(metadata, %{"voicemail" => true, "duration" => duration}),
+      audio_duration: duration,
+      audio_mime_type: mime_type
+    })
+  end
+
+  defp voicemail_label("video/" <> _subtype), do: "Left a video message"
+  defp voicemail_label(_mime_type), do: "Left a voice message"
+
   @doc """
   Creates a changeset for a browser-encrypted text message.
+
+  `media_urls` lists the opaque attachment blobs the encrypted payload refers to,
+  so members keep access to them and they count against the sender's storage.
   """
   def client_encrypted_text_changeset(
         conversation_id,
@@ -166,7 +190,8 @@ defmodule Elektrine.Messaging.ChatMessage do
         encrypted_payload,
         client_encryption_key_id,
         search_index \\ [],
-        reply_to_id \\ nil
+        reply_to_id \\ nil,
+        media_urls \\ []
       ) do
     %__MODULE__{}
     |> changeset(%{
@@ -176,7 +201,8 @@ defmodule Elektrine.Messaging.ChatMessage do
       client_encryption_key_id: client_encryption_key_id,
       search_index: search_index,
       message_type: "text",
-      reply_to_id: reply_to_id
+      reply_to_id: reply_to_id,
+      media_urls: media_urls
     })
   end
 
@@ -227,6 +253,22 @@ defmodule Elektrine.Messaging.ChatMessage do
   def edited?(%__MODULE__{edited_at: nil}), do: false
   def edited?(%__MODULE__{}), do: true
 
+  @doc """
+  Checks if a storage key is a content-addressed chat attachment uploaded by `sender_id`.
+
+  Browser-encrypted messages may only reference these; other uploads (Kairo sources,
+  another member's attachments) would become downloadable by the conversation.
+  """
+  def owned_chat_attachment_key?("/uploads/chat-attachments/" <> path, sender_id)
+      when is_integer(sender_id),
+      do: content_addressed_chat_media_key?(path, sender_id)
+
+  def owned_chat_attachment_key?("chat-attachments/" <> path, sender_id)
+      when is_integer(sender_id),
+      do: content_addressed_chat_media_key?(path, sender_id)
+
+  def owned_chat_attachment_key?(_key, _sender_id), do: false
+
   defp truncate_utc_datetimes(changeset, fields) do
     Enum.reduce(fields, changeset, fn field, changeset ->
       update_change(changeset, field, &Elektrine.Time.truncate/1)
@@ -369,7 +411,7 @@ defmodule Elektrine.Messaging.ChatMessage do
         iv = payload_value(payload, "iv", :iv)
         ciphertext = payload_value(payload, "ciphertext", :ciphertext)
 
-        if version in [1, "1"] and content_algorithm == "AES-256-GCM" and
+        if version in [1, 2, "1", "2"] and content_algorithm == "AES-256-GCM" and
              is_binary(key_uid) and byte_size(key_uid) <= 128 and valid_base64_bytes?(iv, 12) and
              valid_base64_bytes?(ciphertext, 1) do
           changeset
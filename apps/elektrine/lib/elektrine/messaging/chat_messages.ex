@@ -18,6 +18,7 @@ defmodule Elektrine.Messaging.ChatMessages do
     ChatConversationKeyRecipient,
     ChatConversationMember,
     ChatEncryptionDevice,
+    ChatKeyBackup,
     ChatMessage,
     ChatMessagePins,
     ChatMessageReaction,
@@ -31,6 +32,7 @@ defmodule Elektrine.Messaging.ChatMessages do
 
   alias Elektrine.PubSubTopics
 
+  @max_client_encrypted_attachments 5
   @mention_pattern ~r/(?:^|[^A-Za-z0-9_])@([A-Za-z0-9_]{1,30})/
 
   # Message fetching
@@ -306,6 +308,7 @@ defmodule Elektrine.Messaging.ChatMessages do
       signing_public_key:
         Map.get(attrs, "signing_public_key") || Map.get(attrs, :signing_public_key),
       device_signature: Map.get(attrs, "device_signature") || Map.get(attrs, :device_signature),
+      prekey: Map.get(attrs, "prekey") || Map.get(attrs, :prekey),
       label: Map.get(attrs, "label") || Map.get(attrs, :label),
       last_seen_at: now,
       revoked_at: nil
@@ -321,6 +324,7 @@ defmodule Elektrine.Messaging.ChatMessages do
           fingerprint: device_attrs.fingerprint,
           signing_public_key: device_attrs.signing_public_key,
           device_signature: device_attrs.device_signature,
+          prekey: device_attrs.prekey,
           label: device_attrs.label,
           last_seen_at: now,
           revoked_at: nil,
@@ -350,7 +354,8 @@ defmodule Elektrine.Messaging.ChatMessages do
           key_algorithm: d.key_algorithm,
           fingerprint: d.fingerprint,
           signing_public_key: d.signing_public_key,
-          device_signature: d.device_signature
+          device_signature: d.device_signature,
+          prekey: d.prekey
         }
       )
       |> Repo.all()
@@ -374,6 +379,7 @@ defmodule Elektrine.Messaging.ChatMessages do
         fingerprint: d.fingerprint,
         signing_public_key: d.signing_public_key,
         device_signature: d.device_signature,
+        prekey: d.prekey,
         label: d.label
       }
     )
@@ -445,10 +451,13 @@ defmodule Elektrine.Messaging.ChatMessages do
 
   The server stores only the encrypted payload and client-generated search tokens.
   Conversation keys are stored once per recipient device instead of once per message.
+  Browser-encrypted attachments are referenced by their storage keys in
+  `"attachment_keys"`; their names, types and file keys stay inside the payload.
   """
   def create_client_encrypted_text_message(conversation_id, sender_id, attrs, opts \\ [])
       when is_integer(conversation_id) and is_integer(sender_id) and is_map(attrs) do
-    with :ok <- ensure_writable_conversation(conversation_id, sender_id) do
+    with :ok <- ensure_writable_conversation(conversation_id, sender_id),
+         {:ok, attachment_keys} <- attachment_keys(attrs, sender_id) do
       reply_to_id = Keyword.get(opts, :reply_to_id)
 
       Repo.transaction(fn ->
@@ -462,7 +471,8 @@ defmodule Elektrine.Messaging.ChatMessages do
                  encrypted_payload(attrs),
                  encryption_key.id,
                  search_index(attrs),
-                 reply_to_id
+                 reply_to_id,
+                 attachment_keys
                )
                |> Repo.insert() do
           message
@@ -477,6 +487,19 @@ defmodule Elektrine.Messaging.ChatMessages do
     end
   end
 
+  @doc """
+  Checks if members have sent browser-encrypted messages in the conversation.
+
+  Content posted to such a conversation should be encrypted in the browser too,
+  so server-side features that would store plaintext there refuse instead.
+  """
+  def client_encrypted_conversation?(conversation_id) when is_integer(conversation_id) do
+    from(k in ChatConversationEncryptionKey, where: k.conversation_id == ^conversation_id)
+    |> Repo.exists?()
+  end
+
+  def client_encrypted_conversation?(_conversation_id), do: false
+
   @doc """
   Returns the wrapped conversation key for a user's device.
   """
@@ -503,6 +526,42 @@ defmodule Elektrine.Messaging.ChatMessages do
     end
   end
 
+  @doc """
+  Returns the user's encrypted chat key backup, or nil when they have not opted in.
+  """
+  def get_chat_key_backup(user_id) when is_integer(user_id) do
+    Repo.get_by(ChatKeyBackup, user_id: user_id)
+  end
+
+  def get_chat_key_backup(_), do: nil
+
+  @doc """
+  Stores the user's encrypted chat key backup, replacing any previous one.
+  """
+  def put_chat_key_backup(user_id, attrs) when is_integer(user_id) and is_map(attrs) do
+    backup_attrs = %{
+      user_id: user_id,
+      payload: Map.get(attrs, "payload") || Map.get(attrs, :payload),
+      key_count: Map.get(attrs, "key_count") || Map.get(attrs, :key_count) || 0
+    }
+
+    %ChatKeyBackup{}
+    |> ChatKeyBackup.changeset(backup_attrs)
+    |> Repo.insert(
+      on_conflict: {:replace, [:payload, :key_count, :updated_at]},
+      conflict_target: [:user_id],
+      returning: true
+    )
+  end
+
+  @doc """
+  Deletes the user's encrypted chat key backup.
+  """
+  def delete_chat_key_backup(user_id) when is_integer(user_id) do
+    {count, _} = from(b in ChatKeyBackup, where: b.user_id == ^user_id) |> Repo.delete_all()
+    {:ok, count > 0}
+  end
+
   @doc """
   Creates a media message (image or file).
   """
@@ -540,6 +599,25 @@ defmodule Elektrine.Messaging.ChatMessages do
     end
   end
 
+  @doc """
+  Creates a voicemail left by the caller after an unanswered call.
+  """
+  def create_voicemail_message(
+        conversation_id,
+        sender_id,
+        media_url,
+        duration,
+        mime_type,
+        metadata
+      ) do
+    with :ok <- ensure_writable_conversation(conversation_id, sender_id) do
+      conversation_id
+      |> ChatMessage.voicemail_changeset(sender_id, media_url, duration, mime_type, metadata)
+      |> Repo.insert()
+      |> handle_message_created(conversation_id)
+    end
+  end
+
   @doc """
   Creates a text message authored by an incoming webhook.
 
@@ -1356,7 +1434,8 @@ defmodule Elektrine.Messaging.ChatMessages do
     wrapped_key = Map.get(package, "wrapped_key") || Map.get(package, :wrapped_key)
     now = Elektrine.Time.utc_now() |> DateTime.to_naive()
 
-    if is_integer(user_id) and is_binary(device_id) and valid_wrapped_key?(wrapped_key) do
+    if is_integer(user_id) and is_binary(device_id) and
+         ChatConversationKeyRecipient.valid_wrapped_key?(wrapped_key) do
       %{
         conversation_key_id: conversation_key_id,
         user_id: user_id,
@@ -1370,26 +1449,6 @@ defmodule Elektrine.Messaging.ChatMessages do
 
   defp normalize_key_package(_, _), do: nil
 
-  defp valid_wrapped_key?(%{} = wrapped_key) do
-    version = Map.get(wrapped_key, "version") || Map.get(wrapped_key, :version)
-    key_algorithm = Map.get(wrapped_key, "key_algorithm") || Map.get(wrapped_key, :key_algorithm)
-    encrypted_key = Map.get(wrapped_key, "encrypted_key") || Map.get(wrapped_key, :encrypted_key)
-
-    version in [1, "1"] and key_algorithm == "RSA-OAEP-SHA256" and
-      valid_base64_size?(encrypted_key, 17)
-  end
-
-  defp valid_wrapped_key?(_), do: false
-
-  defp valid_base64_size?(value, min_size) when is_binary(value) do
-    case Base.decode64(value) do
-      {:ok, decoded} -> byte_size(decoded) >= min_size
-      :error -> false
-    end
-  end
-
-  defp valid_base64_size?(_, _), do: false
-
   defp encrypted_payload(attrs) do
     Map.get(attrs, "encrypted_payload") || Map.get(attrs, :encrypted_payload) ||
       Map.get(attrs, "client_encrypted_payload") || Map.get(attrs, :client_encrypted_payload)
@@ -1417,6 +1476,25 @@ defmodule Elektrine.Messaging.ChatMessages do
     |> Enum.take(128)
   end
 
+  defp attachment_keys(attrs, sender_id) do
+    keys =
+      attrs
+      |> Map.get("attachment_keys", Map.get(attrs, :attachment_keys, []))
+      |> List.wrap()
+      |> Enum.uniq()
+
+    cond do
+      not Enum.all?(keys, &ChatMessage.owned_chat_attachment_key?(&1, sender_id)) ->
+        {:error, :invalid_attachment}
+
+      length(keys) > @max_client_encrypted_attachments ->
+        {:error, :too_many_attachments}
+
+      true ->
+        {:ok, keys}
+    end
+  end
+
   defp handle_message_created({:ok, message}, conversation_id) do
     # Preload associations
     message =
@@ -224,6 +224,16 @@ defmodule Elektrine.Messaging.RoomACL do
        ),
        do: action in [:participate, :send_voice_signaling]
 
+  # Group conversations host group calls over the same signaling path.
+  defp allowed?(
+         %ChatConversation{type: "group"},
+         _base_role,
+         _actor_uri,
+         :send_voice_signaling,
+         _options
+       ),
+       do: true
+
   defp allowed?(%ChatConversation{type: type}, _base_role, _actor_uri, action, _options)
        when type != "channel" and action in [:participate, :write, :send_messages],
        do: true
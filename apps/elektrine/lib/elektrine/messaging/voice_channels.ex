@@ -1,22 +1,31 @@
 defmodule Elektrine.Messaging.VoiceChannels do
   @moduledoc """
-  Domain rules for persistent voice channels inside community servers.
+  Domain rules for persistent voice channels inside community servers and for
+  group calls in group conversations.
 
   Voice channels are `chat_conversations` rows with `type: "voice_channel"`.
   They carry no message timeline; occupancy is tracked at the transport layer
   (Phoenix Presence on the `voice:<conversation_id>` topic) and is therefore
-  not persisted here. This module owns join authorization and the mesh
-  occupancy cap.
+  not persisted here. Group conversations (`type: "group"`) reuse the same
+  topic and rules for their calls. This module owns join authorization, the
+  media topology choice and the occupancy cap for each topology.
+
+  Small rooms use a full mesh. When a self-hosted SFU is configured (see
+  `Elektrine.Calls.Transport`), rooms with more members than the mesh cap, or
+  every room when `transport_mode: :sfu`, are routed through it instead.
 
   Voice channels are local-only in this iteration: they are excluded from
   federation bootstrap payloads (which only export `type == "channel"` rows)
   and joins on federated mirrors are rejected.
   """
 
+  alias Elektrine.Calls.Transport, as: CallTransport
   alias Elektrine.Messaging.{ChatConversation, RoomACL}
   alias Elektrine.Repo
 
   @default_max_occupants 8
+  @default_sfu_max_occupants 50
+  @call_room_types ["voice_channel", "group"]
 
   @doc """
   Maximum number of concurrent occupants in a voice channel (mesh topology).
@@ -29,6 +38,40 @@ defmodule Elektrine.Messaging.VoiceChannels do
     |> Keyword.get(:max_occupants, @default_max_occupants)
   end
 
+  @doc """
+  Maximum number of concurrent occupants in a room routed through the SFU.
+
+  Configurable via `config :elektrine, :voice_channels, sfu_max_occupants: n`.
+  """
+  def sfu_max_occupants do
+    :elektrine
+    |> Application.get_env(:voice_channels, [])
+    |> Keyword.get(:sfu_max_occupants, @default_sfu_max_occupants)
+  end
+
+  @doc """
+  Occupancy cap for a topology (`"mesh"` or `"sfu"`).
+  """
+  def capacity("sfu"), do: sfu_max_occupants()
+  def capacity(_topology), do: max_occupants()
+
+  @doc """
+  Picks the media topology for a new session in a call room.
+
+  Returns `"sfu"` when an SFU is configured and either every room is routed
+  through it or the room has more members than the mesh cap, otherwise
+  `"mesh"`. Once a session is running, joiners adopt its topology instead
+  (see `ElektrineWeb.VoiceChannel`).
+  """
+  def topology(conversation_id) do
+    cond do
+      not CallTransport.sfu_configured?() -> "mesh"
+      CallTransport.mode() == "sfu" -> "sfu"
+      member_count(conversation_id) > max_occupants() -> "sfu"
+      true -> "mesh"
+    end
+  end
+
   @doc """
   Fetches a conversation only when it is a voice channel.
   """
@@ -42,9 +85,30 @@ defmodule Elektrine.Messaging.VoiceChannels do
   def get_voice_channel(_conversation_id), do: nil
 
   @doc """
-  Authorizes a local user to join a voice channel.
+  Fetches a conversation that can host a call room: a voice channel or a
+  group conversation.
+  """
+  def get_call_room(conversation_id) when is_integer(conversation_id) do
+    case Repo.get(ChatConversation, conversation_id) do
+      %ChatConversation{type: type} = conversation when type in @call_room_types ->
+        conversation
+
+      _ ->
+        nil
+    end
+  end
+
+  def get_call_room(_conversation_id), do: nil
+
+  @doc """
+  True for conversation types that host a call room.
+  """
+  def call_room_type?(type), do: type in @call_room_types
+
+  @doc """
+  Authorizes a local user to join a voice channel or group call.
 
-  Requires the conversation to be a local (non-mirror) voice channel and the
+  Requires the conversation to be a local (non-mirror) call room and the
   user to be an active member of it; the membership check goes through
   `RoomACL` with the `:send_voice_signaling` action.
 
@@ -53,7 +117,7 @@ defmodule Elektrine.Messaging.VoiceChannels do
   """
   def authorize_join(conversation_id, user_id)
       when is_integer(conversation_id) and is_integer(user_id) do
-    case get_voice_channel(conversation_id) do
+    case get_call_room(conversation_id) do
       nil ->
         {:error, :not_found}
 
@@ -68,29 +132,40 @@ defmodule Elektrine.Messaging.VoiceChannels do
   def authorize_join(_conversation_id, _user_id), do: {:error, :unauthorized}
 
   @doc """
-  Checks the mesh occupancy cap against the currently connected occupants.
+  Checks an occupancy cap (the mesh cap by default) against the currently
+  connected occupants.
 
   `occupant_user_ids` is the list of user ids currently tracked in the
   channel's presence. Returns `:ok`, `{:error, :already_joined}` when the
   user is already connected, or `{:error, :channel_full}` when the cap is
   reached.
   """
-  def check_capacity(occupant_user_ids, user_id) when is_list(occupant_user_ids) do
+  def check_capacity(occupant_user_ids, user_id, limit \\ max_occupants())
+      when is_list(occupant_user_ids) do
     distinct = Enum.uniq(occupant_user_ids)
 
     cond do
       user_id in distinct -> {:error, :already_joined}
-      length(distinct) >= max_occupants() -> {:error, :channel_full}
+      length(distinct) >= limit -> {:error, :channel_full}
       true -> :ok
     end
   end
 
   @doc """
-  Combined join check: authorization plus occupancy cap.
+  Combined join check: authorization plus the occupancy cap of the room's
+  topology (`topology/1` unless a running session already fixed it).
   """
-  def authorize_join(conversation_id, user_id, occupant_user_ids) do
+  def authorize_join(conversation_id, user_id, occupant_user_ids, topology \\ nil) do
     with :ok <- authorize_join(conversation_id, user_id) do
-      check_capacity(occupant_user_ids, user_id)
+      limit = capacity(topology || topology(conversation_id))
+      check_capacity(occupant_user_ids, user_id, limit)
+    end
+  end
+
+  defp member_count(conversation_id) do
+    case get_call_room(conversation_id) do
+      %ChatConversation{member_count: count} when is_integer(count) -> count
+      _ -> 0
     end
   end
 end
@@ -14,6 +14,9 @@ defmodule Elektrine.Notifications do
   alias Elektrine.Social.Message
   alias Elektrine.Telemetry.Events
 
+  # Base64 ciphertext of browser-encrypted chat messages included in pushes.
+  @max_push_ciphertext_bytes 1_500
+
   @doc """
   Creates a notification.
   """
@@ -544,7 +547,8 @@ defmodule Elektrine.Notifications do
         where(
           query,
           [n],
-          n.type == "new_message" or (n.type == "reply" and n.source_type == "message")
+          n.type in ["new_message", "missed_call"] or
+            (n.type == "reply" and n.source_type == "message")
         )
 
       "email" ->
@@ -1119,6 +1123,29 @@ defmodule Elektrine.Notifications do
     end
   end
 
+  def notify_missed_call(callee_id, caller, call) do
+    user = Elektrine.Accounts.get_user!(callee_id)
+
+    if notification_preference_enabled?(user, :notify_on_direct_message) do
+      kind = if call.call_type == "video", do: "video", else: "audio"
+
+      create_notification(%{
+        type: "missed_call",
+        title: "Missed #{kind} call from @#{caller.handle || caller.username}",
+        body: nil,
+        url: missed_call_url(call),
+        icon: "hero-phone-x-mark",
+        user_id: callee_id,
+        actor_id: caller.id,
+        source_type: "call",
+        source_id: call.id,
+        priority: "high"
+      })
+    else
+      {:ok, :notification_disabled}
+    end
+  end
+
   def notify_mention(mentioned_user_id, actor, source_type, source_id, context) do
     # Check if user wants to be notified about mentions
     user = Elektrine.Accounts.get_user!(mentioned_user_id)
@@ -1230,6 +1257,14 @@ defmodule Elektrine.Notifications do
 
   defp build_content_url(_, _), do: "/"
 
+  defp missed_call_url(%{conversation: %Messaging.ChatConversation{} = conversation}),
+    do: Elektrine.Paths.chat_path(conversation)
+
+  defp missed_call_url(%{conversation_id: conversation_id}) when is_integer(conversation_id),
+    do: Elektrine.Paths.chat_path(conversation_id)
+
+  defp missed_call_url(_call), do: "/chat"
+
   defp resolve_message_notification_urls(notifications) when is_list(notifications) do
     source_ids =
       notifications
@@ -1391,6 +1426,8 @@ defmodule Elektrine.Notifications do
   defp notification_webhook_event(_), do: nil
 
   defp push_payload(%Notification{} = notif, badge) do
+    chat = push_chat_context(notif)
+
     %{
       title: notif.title,
       body: notif.body,
@@ -1398,16 +1435,110 @@ defmodule Elektrine.Notifications do
       icon: notif.icon,
       type: notif.type,
       actor_id: notif.actor_id,
+      actions: push_actions(notif, chat),
+      encrypted: push_encrypted(notif, chat),
       data: %{
         type: notif.type,
         url: notif.url,
         source_type: notif.source_type,
         source_id: notif.source_id,
-        notification_id: notif.id
+        notification_id: notif.id,
+        group: push_group(notif, chat)
       }
     }
   end
 
+  # The conversation behind a chat message notification, so browser pushes
+  # can collapse per conversation, offer a reply for DMs and carry the
+  # ciphertext of browser-encrypted messages.
+  defp push_chat_context(%Notification{type: "new_message", source_type: "message"} = notif)
+       when is_integer(notif.source_id) do
+    message_id = notif.source_id
+
+    from(m in Messaging.ChatMessage,
+      join: c in Messaging.ChatConversation,
+      on: c.id == m.conversation_id,
+      where: m.id == ^message_id,
+      select: %{
+        conversation_id: c.id,
+        type: c.type,
+        client_encrypted: not is_nil(m.client_encrypted_payload),
+        payload: m.client_encrypted_payload
+      }
+    )
+    |> Repo.one()
+  end
+
+  defp push_chat_context(_notif), do: nil
+
+  # The service worker decrypts this with the browser's chat keys and shows
+  # the text in place of the "Encrypted message" body. Long messages stay
+  # out so the push fits the Web Push size limit.
+  defp push_encrypted(%Notification{} = notif, %{payload: %{"ciphertext" => ciphertext}} = chat)
+       when is_binary(ciphertext) and byte_size(ciphertext) <= @max_push_ciphertext_bytes do
+    %{
+      conversation_id: chat.conversation_id,
+      user_id: notif.user_id,
+      key_uid: chat.payload["key_uid"],
+      version: chat.payload["version"],
+      iv: chat.payload["iv"],
+      ciphertext: ciphertext
+    }
+  end
+
+  defp push_encrypted(_notif, _chat), do: nil
+
+  @doc """
+  Lists the buttons a browser push for this notification offers, as Web
+  Notification actions. The service worker posts the chosen one back to
+  `/api/notifications/:id/actions/:action`.
+  """
+  def push_actions(%Notification{} = notif), do: push_actions(notif, push_chat_context(notif))
+
+  # A plain-text reply would skip the browser encryption an E2EE DM uses, so
+  # it is only offered in DMs nobody has sent an encrypted message in.
+  defp push_actions(
+         %Notification{type: "new_message"},
+         %{type: "dm", client_encrypted: false, conversation_id: conversation_id}
+       ) do
+    if Messaging.client_encrypted_conversation?(conversation_id) do
+      [%{action: "mark_read", title: "Mark read"}]
+    else
+      [
+        %{action: "reply", title: "Reply", type: "text", placeholder: "Reply..."},
+        %{action: "mark_read", title: "Mark read"}
+      ]
+    end
+  end
+
+  defp push_actions(%Notification{type: type}, _chat)
+       when type in ["new_message", "missed_call"] do
+    [%{action: "mark_read", title: "Mark read"}]
+  end
+
+  defp push_actions(%Notification{type: "email_received", source_type: "email"}, _chat) do
+    [%{action: "mark_read", title: "Mark read"}, %{action: "archive", title: "Archive"}]
+  end
+
+  defp push_actions(%Notification{type: "mention", source_type: source_type} = notif, _chat)
+       when source_type in ["message", "post"] do
+    if chat_mention?(notif) do
+      []
+    else
+      [%{action: "like", title: "Like"}, %{action: "boost", title: "Boost"}]
+    end
+  end
+
+  defp push_actions(_notification, _chat), do: []
+
+  # Chat mentions share the "message" source type with timeline posts; only
+  # their URL tells them apart.
+  defp chat_mention?(%Notification{source_type: "message", url: "/chat" <> _rest}), do: true
+  defp chat_mention?(_notif), do: false
+
+  defp push_group(_notif, %{conversation_id: conversation_id}), do: "chat:#{conversation_id}"
+  defp push_group(%Notification{group_key: group_key}, _chat), do: group_key
+
   @doc """
   Redacts notification delivery payload content when the recipient has enabled
   private notification previews.
@@ -1424,6 +1555,7 @@ defmodule Elektrine.Notifications do
         payload
         |> Map.put(:title, "New notification")
         |> Map.put(:body, "Open Elektrine to view it.")
+        |> Map.delete(:encrypted)
 
       false ->
         payload
@@ -54,6 +54,7 @@ defmodule Elektrine.Notifications.Notification do
     |> validate_required([:type, :title, :user_id])
     |> validate_inclusion(:type, [
       "new_message",
+      "missed_call",
       "mention",
       "reply",
       "follow",
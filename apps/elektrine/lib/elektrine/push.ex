@@ -7,6 +7,7 @@ defmodule Elektrine.Push do
   import Ecto.Query, warn: false
   require Logger
 
+  alias Elektrine.Messaging
   alias Elektrine.Profiles
   alias Elektrine.Push.DeviceToken
   alias Elektrine.Push.WebSubscription
@@ -268,6 +269,33 @@ defmodule Elektrine.Push do
 
   def delete_web_subscription_by_endpoint(_user_id, _endpoint), do: {:error, :not_found}
 
+  @doc """
+  Records which encrypted chat device the browser behind a subscription holds,
+  so pushes for browser-encrypted chats can carry the conversation key wrapped
+  for it. `nil` clears it.
+  """
+  def put_web_subscription_chat_device(user_id, endpoint, device_id)
+      when is_integer(user_id) and is_binary(endpoint) do
+    case Repo.get_by(WebSubscription,
+           user_id: user_id,
+           endpoint_hash: web_push_endpoint_hash(endpoint)
+         ) do
+      nil ->
+        {:error, :not_found}
+
+      %WebSubscription{chat_device_id: ^device_id} = subscription ->
+        {:ok, subscription}
+
+      %WebSubscription{} = subscription ->
+        subscription
+        |> WebSubscription.update_changeset(%{chat_device_id: device_id})
+        |> Repo.update()
+    end
+  end
+
+  def put_web_subscription_chat_device(_user_id, _endpoint, _device_id),
+    do: {:error, :not_found}
+
   @doc """
   Lists enabled browser Web Push subscriptions for a user.
   """
@@ -305,7 +333,7 @@ defmodule Elektrine.Push do
   """
   def send_to_web_subscription(%WebSubscription{} = subscription, notification)
       when is_map(notification) do
-    payload = build_web_push_payload(notification)
+    payload = build_web_push_payload(notification, subscription)
 
     case deliver_web_push(subscription, payload) do
       {:ok, _result} ->
@@ -553,16 +581,34 @@ defmodule Elektrine.Push do
     }
   end
 
-  defp build_web_push_payload(notification) do
+  defp build_web_push_payload(notification, subscription) do
     %{
       title: notification[:title] || notification["title"],
       body: notification[:body] || notification["body"],
       badge: notification[:badge] || notification["badge"],
       icon: notification[:icon] || notification["icon"],
-      data: notification[:data] || notification["data"] || %{}
+      actions: notification[:actions] || notification["actions"] || [],
+      data: notification[:data] || notification["data"] || %{},
+      encrypted: web_push_encrypted(notification[:encrypted], subscription)
     }
   end
 
+  # Browser-encrypted chat pushes carry ciphertext only. The conversation key
+  # wrapped for this browser's chat device rides along, so the service worker
+  # can read messages under keys the page has not fetched yet.
+  defp web_push_encrypted(
+         %{conversation_id: conversation_id, key_uid: key_uid} = encrypted,
+         %WebSubscription{chat_device_id: device_id, user_id: user_id}
+       )
+       when is_binary(device_id) and is_binary(key_uid) do
+    case Messaging.get_wrapped_chat_key(conversation_id, user_id, device_id, key_uid) do
+      {:ok, wrapped_key} -> Map.put(encrypted, :wrapped_key, wrapped_key)
+      {:error, _reason} -> encrypted
+    end
+  end
+
+  defp web_push_encrypted(encrypted, _subscription), do: encrypted
+
   defp deliver_web_push(%WebSubscription{} = subscription, payload) do
     case web_push_client() do
       {module, opts} when is_atom(module) -> module.deliver(subscription, payload, opts)
@@ -629,6 +675,7 @@ defmodule Elektrine.Push do
       endpoint_hash: web_push_endpoint_hash(endpoint),
       p256dh: Map.get(keys, "p256dh") || Map.get(keys, :p256dh),
       auth: Map.get(keys, "auth") || Map.get(keys, :auth),
+      chat_device_id: Map.get(attrs, "chat_device_id") || Map.get(attrs, :chat_device_id),
       alerts: normalize_web_alerts(Map.get(data, "alerts") || Map.get(data, :alerts)),
       policy: normalize_web_policy(Map.get(data, "policy") || Map.get(data, :policy)),
       enabled: true,
@@ -694,6 +741,7 @@ defmodule Elektrine.Push do
       "boost" -> ["boost", "reblog"]
       "share" -> ["share", "reblog"]
       "new_message" -> ["new_message", "direct", "chat"]
+      "missed_call" -> ["missed_call", "direct", "chat"]
       type -> [type]
     end
   end
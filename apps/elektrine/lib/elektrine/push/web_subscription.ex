@@ -23,6 +23,8 @@ defmodule Elektrine.Push.WebSubscription do
     field :last_used_at, :utc_datetime
     field :failed_count, :integer, default: 0
     field :last_error, :string
+    # The browser's encrypted chat device, see Elektrine.Messaging.ChatEncryptionDevice.
+    field :chat_device_id, :string
 
     belongs_to :user, Elektrine.Accounts.User
 
@@ -42,11 +44,13 @@ defmodule Elektrine.Push.WebSubscription do
       :last_used_at,
       :failed_count,
       :last_error,
+      :chat_device_id,
       :user_id
     ])
     |> validate_required([:endpoint, :endpoint_hash, :p256dh, :auth, :user_id])
     |> validate_endpoint()
     |> validate_length(:endpoint_hash, is: 64)
+    |> validate_length(:chat_device_id, min: 8, max: 128)
     |> validate_inclusion(:policy, @policies)
     |> validate_alerts()
     |> unique_constraint(:endpoint_hash)
@@ -70,8 +74,17 @@ defmodule Elektrine.Push.WebSubscription do
 
   def update_changeset(subscription, attrs) do
     subscription
-    |> cast(attrs, [:alerts, :policy, :enabled, :last_used_at, :failed_count, :last_error])
+    |> cast(attrs, [
+      :alerts,
+      :policy,
+      :enabled,
+      :last_used_at,
+      :failed_count,
+      :last_error,
+      :chat_device_id
+    ])
     |> validate_inclusion(:policy, @policies)
+    |> validate_length(:chat_device_id, min: 8, max: 128)
     |> validate_alerts()
   end
 
@@ -62,6 +62,8 @@ defmodule Elektrine.Uploads do
     audio/mp4
     audio/ogg
   ]
+  @voicemail_mime_types @voice_message_mime_types ++ ~w[video/webm video/mp4]
+  @voicemail_max_size 20 * 1024 * 1024
   @background_mime_types ~w[
     image/jpeg
     image/jpg
@@ -277,7 +279,14 @@ defmodule Elektrine.Uploads do
     max_size = 10 * 1024 * 1024
 
     result =
-      with :ok <- validate_voice_message(audio_binary, mime_type, max_size, user_id) do
+      with :ok <-
+             validate_voice_message(
+               audio_binary,
+               mime_type,
+               max_size,
+               user_id,
+               @voice_message_mime_types
+             ) do
         store_voice_message(audio_binary, filename, mime_type, user_id)
       end
 
@@ -285,7 +294,90 @@ defmodule Elektrine.Uploads do
     result
   end
 
-  defp validate_voice_message(audio_binary, mime_type, max_size, user_id) do
+  @doc "Uploads a voicemail left after an unanswered call: a voice message or a short video.\nReturns {:ok, metadata} on success or {:error, reason} on failure.\n"
+  def upload_voicemail(media_binary, filename, mime_type, user_id) when is_binary(media_binary) do
+    result =
+      with :ok <-
+             validate_voice_message(
+               media_binary,
+               mime_type,
+               @voicemail_max_size,
+               user_id,
+               @voicemail_mime_types
+             ) do
+        store_voice_message(media_binary, filename, mime_type, user_id)
+      end
+
+    emit_upload_result(:voicemail, result)
+    result
+  end
+
+  @doc "Stores a chat attachment that was encrypted in the browser.\n\nThe binary is opaque ciphertext, so only size and quota are checked; its name, type and key live inside the encrypted message payload.\n"
+  def upload_encrypted_chat_attachment(ciphertext, user_id) when is_binary(ciphertext) do
+    file_size = byte_size(ciphertext)
+
+    result =
+      cond do
+        file_size == 0 ->
+          {:error, {:empty_file, "File is empty"}}
+
+        file_size > max_file_size_for_upload_type(:chat_attachment) ->
+          {:error, :file_too_large}
+
+        true ->
+          with :ok <- check_user_storage_limit(user_id, file_size) do
+            store_encrypted_upload(ciphertext, user_id, "chat-attachments")
+          end
+      end
+
+    emit_upload_result(:encrypted_chat_attachment, result)
+    result
+  end
+
+  @doc "Stores a Kairo source file that was encrypted in the browser.\n\nLike `upload_encrypted_chat_attachment/2`, the binary is opaque ciphertext; the source row carries the encrypted manifest needed to open it.\n"
+  def upload_encrypted_kairo_source(ciphertext, user_id) when is_binary(ciphertext) do
+    file_size = byte_size(ciphertext)
+
+    result =
+      cond do
+        file_size == 0 ->
+          {:error, {:empty_file, "File is empty"}}
+
+        file_size > max_file_size_for_upload_type(:kairo_source) ->
+          {:error, :file_too_large}
+
+        true ->
+          with :ok <- check_user_storage_limit(user_id, file_size) do
+            store_encrypted_upload(ciphertext, user_id, "kairo-sources")
+          end
+      end
+
+    emit_upload_result(:encrypted_kairo_source, result)
+    result
+  end
+
+  defp store_encrypted_upload(ciphertext, user_id, folder) do
+    content_type = "application/octet-stream"
+    filename = "attachment.bin"
+
+    upload_result =
+      case get_config(:adapter) do
+        :local -> upload_binary_local(ciphertext, filename, user_id, folder)
+        :s3 -> upload_binary_s3(ciphertext, filename, content_type, user_id, folder)
+      end
+
+    with {:ok, key} <- upload_result do
+      {:ok,
+       %{
+         key: key,
+         content_type: content_type,
+         size: byte_size(ciphertext),
+         sha256: sha256_hex(ciphertext)
+       }}
+    end
+  end
+
+  defp validate_voice_message(audio_binary, mime_type, max_size, user_id, allowed_types) do
     file_size = byte_size(audio_binary)
 
     cond do
@@ -295,10 +387,10 @@ defmodule Elektrine.Uploads do
       file_size > max_size ->
         {:error, :file_too_large}
 
-      mime_type not in @voice_message_mime_types ->
+      mime_type not in allowed_types ->
         {:error,
          {:invalid_file_type,
-          "File type #{mime_type} not allowed. Allowed types: #{Enum.join(@voice_message_mime_types, ", ")}"}}
+          "File type #{mime_type} not allowed. Allowed types: #{Enum.join(allowed_types, ", ")}"}}
 
       true ->
         with :ok <- check_user_storage_limit(user_id, file_size),
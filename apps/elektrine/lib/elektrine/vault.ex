@@ -7,12 +7,16 @@ defmodule Elektrine.Vault do
   the MDK in the browser via HKDF. The server only ever stores and returns the
   wrapped MDK blobs - it never sees the passphrase, the recovery code, or the
   MDK. Unlock, rotation, and recovery all happen client-side.
+
+  Passkeys that support the WebAuthn `prf` extension can be enrolled as extra
+  unlockers: each holds its own wrap of the same MDK (see `PasskeyUnlocker`).
   """
   import Ecto.Query, warn: false
 
-  alias Elektrine.Accounts.User
+  alias Elektrine.Accounts.{PasskeyCredential, Passkeys, User}
+  alias Elektrine.Messaging.ChatKeyBackup
   alias Elektrine.Repo
-  alias Elektrine.Vault.MasterKey
+  alias Elektrine.Vault.{MasterKey, PasskeyUnlocker}
 
   @doc "Whether the user has set up encrypted data."
   def configured?(%User{id: user_id}), do: configured?(user_id)
@@ -67,17 +71,112 @@ defmodule Elektrine.Vault do
   end
 
   @doc """
-  Deletes the user's master key. This permanently loses access to everything
-  encrypted under it; intended only for a deliberate "start over" / lost-secret
-  reset by the user.
+  Deletes the user's master key, along with the chat key backup and the wrapped
+  OpenPGP private key encrypted under it. This permanently loses access to
+  everything encrypted under it; intended only for a deliberate "start over" /
+  lost-secret reset by the user.
   """
   def reset(%User{id: user_id}), do: reset(user_id)
 
   def reset(user_id) when is_integer(user_id) do
+    from(pu in PasskeyUnlocker, where: pu.user_id == ^user_id) |> Repo.delete_all()
+    from(b in ChatKeyBackup, where: b.user_id == ^user_id) |> Repo.delete_all()
+
+    from(u in User, where: u.id == ^user_id)
+    |> Repo.update_all(set: [pgp_private_key_wrapped: nil])
+
     {count, _} = from(mk in MasterKey, where: mk.user_id == ^user_id) |> Repo.delete_all()
     {:ok, count > 0}
   end
 
+  @doc "Lists the passkeys enrolled as vault unlockers, with their credentials preloaded."
+  def list_passkey_unlockers(%User{id: user_id}), do: list_passkey_unlockers(user_id)
+
+  def list_passkey_unlockers(user_id) when is_integer(user_id) do
+    from(pu in PasskeyUnlocker,
+      where: pu.user_id == ^user_id,
+      order_by: [asc: pu.inserted_at],
+      preload: [:passkey_credential]
+    )
+    |> Repo.all()
+  end
+
+  @doc """
+  Everything a browser needs to unlock with a passkey tap: the relying party ID
+  the passkeys were registered under and, per unlocker, the base64url
+  credential ID with its wrapped MDK. Returns nil when no passkey is enrolled.
+  `host` is the request host, or a LiveView's `host_uri`.
+  """
+  def passkey_unlock_options(user_id, host \\ nil)
+
+  def passkey_unlock_options(user_id, %URI{host: host}),
+    do: passkey_unlock_options(user_id, host)
+
+  def passkey_unlock_options(user_id, host) when is_integer(user_id) do
+    case list_passkey_unlockers(user_id) do
+      [] ->
+        nil
+
+      unlockers ->
+        %{
+          rp_id: Passkeys.rp_id(host),
+          unlockers:
+            Enum.map(unlockers, fn unlocker ->
+              %{
+                credential_id:
+                  Base.url_encode64(unlocker.passkey_credential.credential_id, padding: false),
+                wrapped_dek: unlocker.wrapped_dek
+              }
+            end)
+        }
+    end
+  end
+
+  @doc """
+  Enrolls one of the user's passkeys as a vault unlocker, replacing any earlier
+  wrap for the same passkey. Requires encrypted data to be set up already, and
+  refuses passkeys whose authenticator reported no PRF support at registration.
+  """
+  def enroll_passkey_unlocker(user_id, passkey_id, wrapped_dek) when is_integer(user_id) do
+    with :ok <- ensure_configured(user_id),
+         {:ok, passkey} <- fetch_user_passkey(user_id, passkey_id),
+         true <- PasskeyCredential.prf_capable?(passkey) || {:error, :prf_unsupported} do
+      %PasskeyUnlocker{}
+      |> PasskeyUnlocker.changeset(%{
+        user_id: user_id,
+        passkey_credential_id: passkey.id,
+        wrapped_dek: wrapped_dek
+      })
+      |> Repo.insert(
+        on_conflict: {:replace, [:wrapped_dek, :updated_at]},
+        conflict_target: :passkey_credential_id,
+        returning: true
+      )
+    end
+  end
+
+  @doc "Removes a passkey's vault unlocker. The passkey itself stays registered for sign-in."
+  def remove_passkey_unlocker(user_id, passkey_id) when is_integer(user_id) do
+    {count, _} =
+      from(pu in PasskeyUnlocker,
+        where: pu.user_id == ^user_id and pu.passkey_credential_id == ^passkey_id
+      )
+      |> Repo.delete_all()
+
+    if count > 0, do: :ok, else: {:error, :not_found}
+  end
+
+  defp ensure_configured(user_id) do
+    if configured?(user_id), do: :ok, else: {:error, :not_configured}
+  end
+
+  defp fetch_user_passkey(user_id, passkey_id) do
+    case Repo.get_by(PasskeyCredential, id: passkey_id, user_id: user_id) do
+      nil -> {:error, :passkey_not_found}
+      passkey -> {:ok, passkey}
+    end
+  end
+
   defp normalize(attrs, user_id) do
     attrs
     |> Map.new(fn {k, v} -> {to_string(k), v} end)
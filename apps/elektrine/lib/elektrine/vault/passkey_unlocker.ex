@@ -0,0 +1,61 @@
+defmodule Elektrine.Vault.PasskeyUnlocker do
+  @moduledoc """
+  An additional wrap of the user's Master Data Key, unlocked by a passkey.
+
+  The browser evaluates the WebAuthn `prf` extension over a random salt,
+  stretches the output with HKDF and wraps the MDK under it. The server stores
+  only the wrapped payload (salt included) next to the passkey it belongs to,
+  so deleting the passkey deletes the unlocker with it.
+  """
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  alias Elektrine.Accounts.{PasskeyCredential, User}
+
+  @kdf "WebAuthn-PRF-HKDF-SHA256"
+
+  schema "account_master_key_passkeys" do
+    field :wrapped_dek, :map
+
+    belongs_to :user, User
+    belongs_to :passkey_credential, PasskeyCredential
+
+    timestamps(type: :utc_datetime)
+  end
+
+  @doc "The `kdf` a passkey-wrapped payload must declare."
+  def kdf, do: @kdf
+
+  @doc "Changeset for enrolling (or re-enrolling) a passkey as a vault unlocker."
+  def changeset(unlocker, attrs) do
+    unlocker
+    |> cast(attrs, [:wrapped_dek, :user_id, :passkey_credential_id])
+    |> validate_required([:wrapped_dek, :user_id, :passkey_credential_id])
+    |> validate_change(:wrapped_dek, fn :wrapped_dek, payload ->
+      if valid_payload?(payload),
+        do: [],
+        else: [wrapped_dek: "must be a valid passkey-wrapped payload"]
+    end)
+    |> foreign_key_constraint(:user_id)
+    |> foreign_key_constraint(:passkey_credential_id)
+    |> unique_constraint(:passkey_credential_id)
+  end
+
+  defp valid_payload?(%{} = payload) do
+    is_integer(payload["version"]) and payload["version"] >= 1 and
+      payload["algorithm"] == "AES-GCM" and payload["kdf"] == @kdf and
+      base64_size(payload["salt"]) >= 32 and base64_size(payload["iv"]) == 12 and
+      base64_size(payload["ciphertext"]) > 0
+  end
+
+  defp valid_payload?(_payload), do: false
+
+  defp base64_size(value) when is_binary(value) do
+    case Base.decode64(value) do
+      {:ok, bytes} -> byte_size(bytes)
+      :error -> 0
+    end
+  end
+
+  defp base64_size(_value), do: 0
+end
@@ -0,0 +1,9 @@
+defmodule Elektrine.Repo.Migrations.AddEncryptedTotpToNerveEntries do
+  use Ecto.Migration
+
+  def change do
+    alter table(:nerve_entries) do
+      add :encrypted_totp, :map
+    end
+  end
+end
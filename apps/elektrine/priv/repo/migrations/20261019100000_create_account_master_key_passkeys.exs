@@ -0,0 +1,22 @@
+defmodule Elektrine.Repo.Migrations.CreateAccountMasterKeyPasskeys do
+  use Ecto.Migration
+
+  def change do
+    create table(:account_master_key_passkeys) do
+      add :user_id, references(:users, on_delete: :delete_all), null: false
+
+      add :passkey_credential_id, references(:passkey_credentials, on_delete: :delete_all),
+        null: false
+
+      # The Master Data Key wrapped under a key the browser derives from the
+      # passkey's WebAuthn PRF output. The PRF salt travels inside the payload;
+      # the PRF output itself never leaves the authenticator's browser.
+      add :wrapped_dek, :map, null: false
+
+      timestamps(type: :utc_datetime)
+    end
+
+    create index(:account_master_key_passkeys, [:user_id])
+    create unique_index(:account_master_key_passkeys, [:passkey_credential_id])
+  end
+end
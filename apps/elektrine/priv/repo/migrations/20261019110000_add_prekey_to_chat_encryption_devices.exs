@@ -0,0 +1,9 @@
+defmodule Elektrine.Repo.Migrations.AddPrekeyToChatEncryptionDevices do
+  use Ecto.Migration
+
+  def change do
+    alter table(:chat_encryption_devices) do
+      add :prekey, :map
+    end
+  end
+end
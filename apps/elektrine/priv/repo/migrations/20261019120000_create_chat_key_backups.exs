@@ -0,0 +1,18 @@
+defmodule Elektrine.Repo.Migrations.CreateChatKeyBackups do
+  use Ecto.Migration
+
+  def change do
+    create table(:chat_key_backups) do
+      add :user_id, references(:users, on_delete: :delete_all), null: false
+
+      # Encrypted chat conversation keys and verification records, encrypted in
+      # the browser under the vault's "chat" feature key. Opaque to the server.
+      add :payload, :map, null: false
+      add :key_count, :integer, null: false, default: 0
+
+      timestamps(type: :utc_datetime)
+    end
+
+    create unique_index(:chat_key_backups, [:user_id])
+  end
+end
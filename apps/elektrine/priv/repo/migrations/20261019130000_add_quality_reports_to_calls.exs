@@ -0,0 +1,15 @@
+defmodule Elektrine.Repo.Migrations.AddQualityReportsToCalls do
+  use Ecto.Migration
+
+  def change do
+    alter table(:calls) do
+      # End-of-call connection summaries reported by each side's browser,
+      # keyed by "caller" / "callee".
+      add :quality_reports, :map, null: false, default: %{}
+      # True once either side reported a TURN relayed candidate pair.
+      add :relayed, :boolean, null: false, default: false
+    end
+
+    create index(:calls, [:relayed])
+  end
+end
@@ -0,0 +1,9 @@
+defmodule Elektrine.Repo.Migrations.AddChatDeviceToWebPushSubscriptions do
+  use Ecto.Migration
+
+  def change do
+    alter table(:web_push_subscriptions) do
+      add :chat_device_id, :string
+    end
+  end
+end
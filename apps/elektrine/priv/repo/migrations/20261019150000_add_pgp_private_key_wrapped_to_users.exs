@@ -0,0 +1,11 @@
+defmodule Elektrine.Repo.Migrations.AddPgpPrivateKeyWrappedToUsers do
+  use Ecto.Migration
+
+  def change do
+    alter table(:users) do
+      # The user's OpenPGP private key, encrypted in the browser under the
+      # vault's "pgp" feature key. Opaque to the server.
+      add :pgp_private_key_wrapped, :map
+    end
+  end
+end
@@ -0,0 +1,20 @@
+defmodule Elektrine.Repo.Migrations.AddEmailRemoteContentPreferences do
+  use Ecto.Migration
+
+  def change do
+    alter table(:users) do
+      # "block" keeps remote images and styles out of rendered mail; "proxy"
+      # loads images through the media proxy instead.
+      add :email_remote_content, :string, null: false, default: "block"
+    end
+
+    create table(:email_remote_content_senders) do
+      add :email, :string, null: false
+      add :user_id, references(:users, on_delete: :delete_all), null: false
+
+      timestamps()
+    end
+
+    create unique_index(:email_remote_content_senders, [:user_id, :email])
+  end
+end
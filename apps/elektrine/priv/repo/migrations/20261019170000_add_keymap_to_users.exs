@@ -0,0 +1,10 @@
+defmodule Elektrine.Repo.Migrations.AddKeymapToUsers do
+  use Ecto.Migration
+
+  def change do
+    alter table(:users) do
+      add :keymap_preset, :string, null: false, default: "gmail"
+      add :keymap_overrides, :map, null: false, default: %{}
+    end
+  end
+end
@@ -0,0 +1,10 @@
+defmodule Elektrine.Repo.Migrations.AddPrfEnabledToPasskeyCredentials do
+  use Ecto.Migration
+
+  def change do
+    alter table(:passkey_credentials) do
+      # nil for passkeys registered before the PRF extension was requested.
+      add :prf_enabled, :boolean
+    end
+  end
+end
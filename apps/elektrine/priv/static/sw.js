@@ -1,16 +1,384 @@
-// Elektrine service worker: browser Web Push notifications.
+// Elektrine service worker: browser Web Push notifications, the offline app
+// shell and the offline outbox.
 // Served undigested at /sw.js so its scope covers the whole origin.
+//
+// Offline support has three parts:
+// - Static assets (/assets, /images, /fonts) are cached as they are fetched,
+//   and the page posts its digested app.js/app.css URLs to precache them.
+// - The page posts a rendered copy of mailbox, timeline and chat pages once
+//   their LiveView has loaded (see js/offline.js). Those copies are served,
+//   read-only, when a navigation fails; everything else falls back to
+//   /offline.html.
+// - Actions taken while disconnected are queued in IndexedDB and replayed
+//   against /api/offline/actions on Background Sync, or when the page's
+//   LiveSocket reconnects. Pages post them here rather than writing to
+//   IndexedDB themselves, so the outbox has a single writer.
+//
+// Push notifications carry action buttons (reply, mark read, archive, like,
+// boost) that run against /api/notifications/:id/actions/:action with the
+// signed-in session, without opening a tab. Pushes for the same conversation
+// collapse into one notification, and the unread count feeds the app badge.
+//
+// Pushes for browser-encrypted chats carry the message ciphertext instead of
+// its text. The worker opens it with the chat keys the page keeps in
+// IndexedDB (js/hooks/chat_e2ee_crypto.js) and shows the preview; the server
+// never sees it.
+//
+// Saved pages, queued actions and the badge belong to one account: they are
+// cleared when the page reports a different user, or none (after logging out).
 
 const DEFAULT_ICON = "/images/android-chrome-192x192.png"
 
-self.addEventListener("install", () => {
-  self.skipWaiting()
+const SHELL_CACHE = "elektrine-shell-v1"
+const STATIC_CACHE = "elektrine-static-v1"
+const PAGES_CACHE = "elektrine-pages-v1"
+const CACHES = [SHELL_CACHE, STATIC_CACHE, PAGES_CACHE]
+
+const OFFLINE_URL = "/offline.html"
+const SHELL_URLS = [OFFLINE_URL, "/manifest.webmanifest", DEFAULT_ICON, "/images/logo.svg"]
+const STATIC_PREFIXES = ["/assets/", "/images/", "/fonts/"]
+const OFFLINE_PAGE_PATTERN = /^\/(email|timeline|chat)(\/|$)/
+const MAX_SAVED_PAGES = 30
+const MAX_STATIC_ENTRIES = 200
+
+// Saved pages drop the original nonce-based policy, so only same-origin
+// scripts (the app bundle) may run in them.
+const SNAPSHOT_CSP = "script-src 'self'; object-src 'none'; base-uri 'self'"
+
+const DB_NAME = "elektrine-offline"
+const DB_VERSION = 1
+const OUTBOX_STORE = "outbox"
+const SESSION_STORE = "session"
+const OUTBOX_SYNC_TAG = "elektrine-outbox"
+const OUTBOX_ENDPOINT = "/api/offline/actions"
+const OUTBOX_KINDS = ["chat_message", "email_draft", "like_post"]
+
+// Written by js/hooks/chat_e2ee_crypto.js and chat_e2ee_keys.js; read only here.
+const CHAT_KEYS_DB_NAME = "elektrine-chat-e2ee"
+const CHAT_KEYS_DB_VERSION = 1
+const CHAT_KEYS_STORE = "secrets"
+const CHAT_KEYS_PREFIX = "elektrine:chat-e2ee:v1"
+// What the server puts in the body of an encrypted chat message's push.
+const ENCRYPTED_PLACEHOLDER = "Encrypted message"
+const ENCRYPTED_BODY_VERSION = 2
+const PREVIEW_LENGTH = 100
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .catch(() => {})
+      .then(() => self.skipWaiting())
+  )
 })
 
 self.addEventListener("activate", (event) => {
-  event.waitUntil(self.clients.claim())
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith("elektrine-") && !CACHES.includes(name))
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  )
+})
+
+// MARK: - Caching
+
+function isStaticAsset(url) {
+  return STATIC_PREFIXES.some((prefix) => url.pathname.startsWith(prefix))
+}
+
+async function trimCache(name, maxEntries) {
+  const cache = await caches.open(name)
+  const keys = await cache.keys()
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)))
+}
+
+// Digested assets never change under the same URL, so a cached copy is
+// served straight away and only refreshed in the background.
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(STATIC_CACHE)
+  const cached = await cache.match(event.request)
+
+  const refresh = fetch(event.request).then((response) => {
+    if (response.ok && response.type === "basic") {
+      return cache
+        .put(event.request, response.clone())
+        .then(() => trimCache(STATIC_CACHE, MAX_STATIC_ENTRIES))
+        .then(() => response)
+    }
+
+    return response
+  })
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}))
+    return cached
+  }
+
+  return refresh
+}
+
+async function savedPage(request) {
+  const cache = await caches.open(PAGES_CACHE)
+  return (await cache.match(request.url)) || cache.match(request.url, { ignoreSearch: true })
+}
+
+async function offlineNavigation(request) {
+  try {
+    return await fetch(request)
+  } catch (error) {
+    const url = new URL(request.url)
+    const page = OFFLINE_PAGE_PATTERN.test(url.pathname) ? await savedPage(request) : null
+    const fallback = page || (await caches.match(OFFLINE_URL))
+
+    if (fallback) return fallback
+    throw error
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request
+  if (request.method !== "GET") return
+
+  const url = new URL(request.url)
+  if (url.origin !== self.location.origin) return
+
+  if (request.mode === "navigate") {
+    event.respondWith(offlineNavigation(request))
+  } else if (isStaticAsset(url)) {
+    event.respondWith(staleWhileRevalidate(event))
+  }
 })
 
+async function savePage(url, html, savedAt) {
+  const pageUrl = new URL(url, self.location.origin)
+  if (pageUrl.origin !== self.location.origin || !OFFLINE_PAGE_PATTERN.test(pageUrl.pathname)) return
+
+  const cache = await caches.open(PAGES_CACHE)
+  const response = new Response(html, {
+    headers: {
+      "content-type": "text/html; charset=utf-8",
+      "content-security-policy": SNAPSHOT_CSP,
+      "x-elektrine-saved-at": savedAt,
+    },
+  })
+
+  // Re-inserting moves the page to the end, so trimming drops the oldest.
+  await cache.delete(pageUrl.href)
+  await cache.put(pageUrl.href, response)
+  await trimCache(PAGES_CACHE, MAX_SAVED_PAGES)
+}
+
+async function precache(urls) {
+  const cache = await caches.open(STATIC_CACHE)
+  const sameOrigin = urls
+    .map((url) => new URL(url, self.location.origin))
+    .filter((url) => url.origin === self.location.origin && isStaticAsset(url))
+
+  await Promise.all(
+    sameOrigin.map(async (url) => {
+      if (!(await cache.match(url.href))) await cache.add(url.href)
+    })
+  )
+}
+
+// MARK: - Outbox
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        db.createObjectStore(OUTBOX_STORE, { keyPath: "id", autoIncrement: true })
+      }
+      if (!db.objectStoreNames.contains(SESSION_STORE)) {
+        db.createObjectStore(SESSION_STORE)
+      }
+    }
+
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Runs `work` against one object store and resolves with its request's
+// result once the transaction has committed.
+async function withStore(storeName, mode, work) {
+  const db = await openDatabase()
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode)
+      const request = work(transaction.objectStore(storeName))
+
+      transaction.oncomplete = () => resolve(request?.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  } finally {
+    db.close()
+  }
+}
+
+function readSession() {
+  return withStore(SESSION_STORE, "readonly", (store) => store.get("current"))
+}
+
+function queuedActions() {
+  return withStore(OUTBOX_STORE, "readonly", (store) => store.getAll())
+}
+
+function enqueue(action) {
+  return withStore(OUTBOX_STORE, "readwrite", (store) => store.add(action))
+}
+
+function dequeue(id) {
+  return withStore(OUTBOX_STORE, "readwrite", (store) => store.delete(id))
+}
+
+async function clearAccountData() {
+  await caches.delete(PAGES_CACHE)
+  await updateAppBadge(0)
+  await withStore(OUTBOX_STORE, "readwrite", (store) => store.clear())
+}
+
+async function updateSession({ userId, csrfToken }) {
+  const current = await readSession()
+
+  if (current && current.userId !== userId) {
+    await clearAccountData()
+  }
+
+  await withStore(SESSION_STORE, "readwrite", (store) =>
+    store.put({ userId, csrfToken }, "current")
+  )
+}
+
+async function postToClients(message) {
+  const windowClients = await self.clients.matchAll({ type: "window" })
+  windowClients.forEach((client) => client.postMessage(message))
+}
+
+// Resolves to "sent", "dropped" (the server refused it for good, e.g. the
+// conversation is gone) or "retry" (offline, signed out or a server error).
+async function sendAction(action, session) {
+  let response
+
+  try {
+    response = await fetch(OUTBOX_ENDPOINT, {
+      method: "POST",
+      credentials: "same-origin",
+      headers: {
+        "content-type": "application/json",
+        "x-csrf-token": session.csrfToken || "",
+      },
+      body: JSON.stringify({ kind: action.kind, payload: action.payload }),
+    })
+  } catch (_error) {
+    return "retry"
+  }
+
+  if (response.ok) return "sent"
+  if (response.status === 401 || response.status === 403 || response.status >= 500) return "retry"
+  return "dropped"
+}
+
+async function replayOutbox() {
+  const session = await readSession()
+  if (!session?.userId) return
+
+  const actions = await queuedActions()
+  const results = { sent: 0, dropped: 0, pending: 0 }
+
+  for (const action of actions) {
+    const result = await sendAction(action, session)
+
+    if (result === "retry") {
+      results.pending = actions.length - results.sent - results.dropped
+      break
+    }
+
+    await dequeue(action.id)
+    results[result] += 1
+  }
+
+  if (actions.length > 0) {
+    await postToClients({ type: "outbox-replayed", ...results })
+  }
+
+  // A rejected sync is retried later by the browser.
+  if (results.pending > 0) throw new Error("outbox-pending")
+}
+
+// Background Sync and a reconnecting page can ask for a replay at the same
+// time; sharing one run keeps an action from being sent twice.
+let replaying = null
+
+function replayOnce() {
+  if (!replaying) {
+    replaying = replayOutbox().finally(() => {
+      replaying = null
+    })
+  }
+
+  return replaying
+}
+
+async function queueAction({ kind, payload }) {
+  const session = await readSession()
+  if (!session?.userId || !OUTBOX_KINDS.includes(kind)) return
+
+  await enqueue({ kind, payload, queuedAt: new Date().toISOString() })
+  await postToClients({ type: "outbox-queued", kind })
+
+  // Without Background Sync the queue is replayed when a page reconnects.
+  await self.registration.sync?.register(OUTBOX_SYNC_TAG).catch(() => {})
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(replayOnce())
+  }
+})
+
+self.addEventListener("message", (event) => {
+  if (event.origin && event.origin !== self.location.origin) return
+
+  const data = event.data || {}
+  let work = null
+
+  switch (data.type) {
+    case "session":
+      work = updateSession(data)
+      break
+    case "precache":
+      work = precache(Array.isArray(data.urls) ? data.urls : [])
+      break
+    case "save-page":
+      work = savePage(data.url, data.html, data.savedAt)
+      break
+    case "queue-action":
+      work = queueAction(data)
+      break
+    case "replay-outbox":
+      work = replayOnce()
+      break
+  }
+
+  if (work) event.waitUntil(work.catch(() => {}))
+})
+
+// MARK: - Push
+
 function parsePayload(event) {
   if (!event.data) return {}
 
@@ -30,45 +398,261 @@ function iconUrl(icon) {
   return DEFAULT_ICON
 }
 
-self.addEventListener("push", (event) => {
-  const payload = parsePayload(event)
+function updateAppBadge(count) {
+  if (typeof count !== "number" || !self.navigator.setAppBadge) return Promise.resolve()
+
+  const update = count > 0 ? self.navigator.setAppBadge(count) : self.navigator.clearAppBadge()
+  return update.catch(() => {})
+}
+
+function notificationTag(data) {
+  if (data.group) return `elektrine-${data.group}`
+  if (data.notification_id) return `elektrine-notification-${data.notification_id}`
+  return undefined
+}
+
+// Pushes that share a group (e.g. one chat conversation) replace each other
+// instead of stacking; the newest one says how many it stands for.
+async function collapsedContent(tag, title, body) {
+  if (!tag) return { title, body, count: 1 }
+
+  const existing = await self.registration.getNotifications({ tag })
+  const count = existing.reduce((total, notification) => total + (notification.data?.count || 1), 1)
+
+  if (count === 1) return { title, body, count }
+  return { title: `${title} (${count})`, body, count }
+}
+
+// MARK: - Encrypted chat previews
+
+function base64ToBytes(value) {
+  return Uint8Array.from(atob(value), (char) => char.charCodeAt(0))
+}
+
+function readChatSecret(key) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(CHAT_KEYS_DB_NAME, CHAT_KEYS_DB_VERSION)
+
+    // Same schema as the page, in case the worker gets here first.
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(CHAT_KEYS_STORE)) {
+        request.result.createObjectStore(CHAT_KEYS_STORE)
+      }
+    }
+
+    request.onerror = () => reject(request.error)
+    request.onsuccess = () => {
+      const db = request.result
+      const read = db.transaction(CHAT_KEYS_STORE, "readonly").objectStore(CHAT_KEYS_STORE).get(key)
+
+      read.onsuccess = () => {
+        db.close()
+        resolve(read.result ?? null)
+      }
+      read.onerror = () => {
+        db.close()
+        reject(read.error)
+      }
+    }
+  })
+}
+
+function aesDecrypt(key, iv, ciphertext) {
+  return crypto.subtle.decrypt({ name: "AES-GCM", iv: base64ToBytes(iv) }, key, base64ToBytes(ciphertext))
+}
+
+function ecdhParams(algorithm) {
+  return algorithm === "X25519" ? { name: "X25519" } : { name: "ECDH", namedCurve: "P-256" }
+}
+
+// Mirrors unwrapConversationKey in js/hooks/chat_e2ee_keys.js.
+async function unwrapChatKey(device, wrappedKey) {
+  if (Number(wrappedKey.version) === 2) {
+    const prekey = (device.prekeys || []).find((candidate) => candidate.key_id === wrappedKey.prekey_id)
+    if (!prekey?.private_key_crypto) return null
+
+    const ephemeralPublicKey = base64ToBytes(wrappedKey.ephemeral_public_key)
+    const params = ecdhParams(prekey.algorithm)
+    const senderKey = await crypto.subtle.importKey("raw", ephemeralPublicKey, params, false, [])
+    const sharedSecret = await crypto.subtle.deriveBits(
+      { name: params.name, public: senderKey },
+      prekey.private_key_crypto,
+      256
+    )
+    const baseKey = await crypto.subtle.importKey("raw", sharedSecret, "HKDF", false, ["deriveKey"])
+    const wrappingKey = await crypto.subtle.deriveKey(
+      {
+        name: "HKDF",
+        hash: "SHA-256",
+        salt: ephemeralPublicKey,
+        info: new TextEncoder().encode(
+          `elektrine-chat-e2ee:prekey-wrap:v2:${device.device_id}:${prekey.key_id}`
+        ),
+      },
+      baseKey,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["decrypt"]
+    )
+
+    return aesDecrypt(wrappingKey, wrappedKey.iv, wrappedKey.encrypted_key)
+  }
+
+  if (!device.private_key_crypto) return null
+
+  return crypto.subtle.decrypt(
+    { name: "RSA-OAEP" },
+    device.private_key_crypto,
+    base64ToBytes(wrappedKey.encrypted_key)
+  )
+}
+
+// A key the page already unwrapped and sealed, else the one the push carries
+// wrapped for this browser's device.
+async function chatConversationKey(encrypted) {
+  const prefix = `${CHAT_KEYS_PREFIX}:user:${encrypted.user_id}`
+  const sealed = await readChatSecret(
+    `${prefix}:conversation:${encrypted.conversation_id}:sealed-key:${encrypted.key_uid}`
+  )
+
+  let rawKey = null
+
+  if (sealed) {
+    const sealingKey = await readChatSecret(`${prefix}:key-seal`)
+    if (sealingKey) rawKey = await aesDecrypt(sealingKey, sealed.iv, sealed.ciphertext)
+  }
+
+  if (!rawKey && encrypted.wrapped_key) {
+    const device = await readChatSecret(`${prefix}:device`)
+    if (device) rawKey = await unwrapChatKey(device, encrypted.wrapped_key)
+  }
+
+  if (!rawKey) return null
+  return crypto.subtle.importKey("raw", rawKey, "AES-GCM", false, ["decrypt"])
+}
+
+function previewText(plaintext, version) {
+  if (Number(version) !== ENCRYPTED_BODY_VERSION) return plaintext
+
+  const body = JSON.parse(plaintext)
+  if (typeof body?.text === "string" && body.text.trim()) return body.text
+
+  const count = Array.isArray(body?.attachments) ? body.attachments.length : 0
+  return `Sent ${count === 1 ? "an attachment" : `${count} attachments`}`
+}
+
+// The push body with the decrypted text in place of the placeholder, or null
+// when this browser cannot open the message (other account, no key).
+async function decryptedBody(payload) {
+  const encrypted = payload.encrypted
+  const body = payload.body || ""
+  if (!encrypted?.ciphertext || !body.includes(ENCRYPTED_PLACEHOLDER)) return null
+
+  // Only for the account signed in here, as with saved pages.
+  const session = await readSession()
+  if (!session?.userId || String(session.userId) !== String(encrypted.user_id)) return null
+
+  const key = await chatConversationKey(encrypted)
+  if (!key) return null
+
+  const plaintext = new TextDecoder().decode(await aesDecrypt(key, encrypted.iv, encrypted.ciphertext))
+  const text = previewText(plaintext, encrypted.version).replace(/\s+/g, " ").trim()
+  const preview = text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}...` : text
+
+  return body.replace(ENCRYPTED_PLACEHOLDER, preview)
+}
+
+async function showPush(payload) {
   const data = payload.data || {}
-  const title = payload.title || "Elektrine"
+  const tag = notificationTag(data)
+  const maxActions = self.Notification?.maxActions ?? 2
+  const body = (await decryptedBody(payload).catch(() => null)) ?? payload.body ?? ""
+  const content = await collapsedContent(tag, payload.title || "Elektrine", body)
+
+  await updateAppBadge(payload.badge)
 
-  const options = {
-    body: payload.body || "",
+  await self.registration.showNotification(content.title, {
+    body: content.body,
     icon: iconUrl(payload.icon),
     badge: DEFAULT_ICON,
-    data,
-    tag: data.notification_id ? `elektrine-notification-${data.notification_id}` : undefined,
-  }
+    data: { ...data, count: content.count },
+    tag,
+    renotify: Boolean(tag),
+    actions: (payload.actions || []).slice(0, maxActions),
+  })
+}
 
-  event.waitUntil(self.registration.showNotification(title, options))
+self.addEventListener("push", (event) => {
+  event.waitUntil(showPush(parsePayload(event)))
 })
 
-self.addEventListener("notificationclick", (event) => {
-  event.notification.close()
+// Runs a notification button against the signed-in session, without a tab.
+// Resolves to false when it could not, so the caller can open the page.
+async function runNotificationAction(data, action, reply) {
+  if (!data.notification_id) return false
 
-  const data = event.notification.data || {}
+  const session = await readSession().catch(() => null)
+  if (!session?.userId) return false
+
+  try {
+    const response = await fetch(
+      `/api/notifications/${encodeURIComponent(data.notification_id)}/actions/${encodeURIComponent(action)}`,
+      {
+        method: "POST",
+        credentials: "same-origin",
+        headers: {
+          "content-type": "application/json",
+          "x-csrf-token": session.csrfToken || "",
+        },
+        body: JSON.stringify(reply ? { reply } : {}),
+      }
+    )
+
+    if (!response.ok) return false
+
+    const result = await response.json().catch(() => ({}))
+    await updateAppBadge(result.unread_count)
+    return true
+  } catch (_error) {
+    return false
+  }
+}
+
+function openNotificationTarget(data) {
   const target = new URL(data.url || "/notifications", self.location.origin).href
 
-  event.waitUntil(
-    self.clients
-      .matchAll({ type: "window", includeUncontrolled: true })
-      .then((windowClients) => {
-        for (const client of windowClients) {
-          if (client.url === target && "focus" in client) {
-            return client.focus()
-          }
+  return self.clients
+    .matchAll({ type: "window", includeUncontrolled: true })
+    .then((windowClients) => {
+      for (const client of windowClients) {
+        if (client.url === target && "focus" in client) {
+          return client.focus()
         }
+      }
 
-        for (const client of windowClients) {
-          if ("focus" in client && "navigate" in client) {
-            return client.focus().then((focused) => focused.navigate(target))
-          }
+      for (const client of windowClients) {
+        if ("focus" in client && "navigate" in client) {
+          return client.focus().then((focused) => focused.navigate(target))
         }
+      }
+
+      return self.clients.openWindow(target)
+    })
+}
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close()
 
-        return self.clients.openWindow(target)
-      })
+  const data = event.notification.data || {}
+
+  if (!event.action) {
+    event.waitUntil(openNotificationTarget(data))
+    return
+  }
+
+  event.waitUntil(
+    runNotificationAction(data, event.action, event.reply).then((done) => {
+      if (!done) return openNotificationTarget(data)
+    })
   )
 })
@@ -41,4 +41,38 @@ defmodule Elektrine.Calls.TransportTest do
     assert username == "1700000600:7:11"
     assert is_binary(credential) and credential != ""
   end
+
+  test "descriptor_for_user/2 signs the SFU token with the configured secret" do
+    original = Application.get_env(:elektrine, :webrtc, [])
+
+    Application.put_env(
+      :elektrine,
+      :webrtc,
+      Keyword.merge(original,
+        sfu_endpoint: "wss://sfu.example.com/ws",
+        sfu_token_secret: "sfu-secret"
+      )
+    )
+
+    on_exit(fn -> Application.put_env(:elektrine, :webrtc, original) end)
+
+    assert %{"endpoint" => "wss://sfu.example.com/ws", "token" => token} =
+             Transport.descriptor_for_user(7, 11)["sfu"]
+
+    [header, claims, signature] = String.split(token, ".")
+
+    expected_signature =
+      :crypto.mac(:hmac, :sha256, "sfu-secret", header <> "." <> claims)
+      |> Base.url_encode64(padding: false)
+
+    assert signature == expected_signature
+
+    assert %{"alg" => "HS256", "typ" => "JWT"} =
+             header |> Base.url_decode64!(padding: false) |> Jason.decode!()
+
+    assert %{"user_id" => 7, "call_id" => 11, "exp" => exp} =
+             claims |> Base.url_decode64!(padding: false) |> Jason.decode!()
+
+    assert exp > System.system_time(:second)
+  end
 end
@@ -6,7 +6,8 @@ defmodule Elektrine.CallsTest do
   alias Elektrine.Calls.Call
   alias Elektrine.Friends
   alias Elektrine.Messaging
-  alias Elektrine.Messaging.ChatMessage
+  alias Elektrine.Messaging.{ChatConversationEncryptionKey, ChatMessage}
+  alias Elektrine.Notifications.Notification
 
   describe "initiate_call/4" do
     test "accepts the shared DM conversation between caller and callee" do
@@ -122,8 +123,157 @@ defmodule Elektrine.CallsTest do
       assert_receive {:call_ended, %Call{id: ^call_id, status: "ended"}}
       assert_receive {:call_ended, %Call{id: ^call_id, status: "ended"}}
     end
+
+    test "notifies the callee about a missed call" do
+      caller = AccountsFixtures.user_fixture()
+      callee = AccountsFixtures.user_fixture()
+      {:ok, conversation} = Messaging.create_dm_conversation(caller.id, callee.id)
+      call = insert_call(caller.id, callee.id, conversation.id, "ringing")
+
+      assert {:ok, %Call{status: "missed"}} = Calls.miss_call(call.id)
+
+      assert %Notification{actor_id: actor_id, source_id: source_id, url: url} =
+               Repo.get_by(Notification, user_id: callee.id, type: "missed_call")
+
+      assert actor_id == caller.id
+      assert source_id == call.id
+      assert url =~ "/chat/"
+      refute Repo.get_by(Notification, user_id: caller.id, type: "missed_call")
+    end
+  end
+
+  describe "record_quality_report/3" do
+    test "stores each side's sanitized report and flags relayed calls" do
+      caller = AccountsFixtures.user_fixture()
+      callee = AccountsFixtures.user_fixture()
+      {:ok, conversation} = Messaging.create_dm_conversation(caller.id, callee.id)
+      call = insert_call(caller.id, callee.id, conversation.id, "ended")
+
+      assert {:ok, %Call{relayed: false}} =
+               Calls.record_quality_report(call.id, caller.id, %{
+                 "call_id" => call.id,
+                 "relayed" => false,
+                 "local_candidate" => "host",
+                 "avg_rtt_ms" => 42.123,
+                 "samples" => 12,
+                 "audio_codec" => "<script>",
+                 "extra" => "dropped"
+               })
+
+      assert {:ok, %Call{relayed: true} = updated} =
+               Calls.record_quality_report(call.id, callee.id, %{
+                 "relayed" => true,
+                 "local_candidate" => "relay",
+                 "relay_protocol" => "tls"
+               })
+
+      assert updated.quality_reports["caller"] == %{
+               "relayed" => false,
+               "local_candidate" => "host",
+               "avg_rtt_ms" => 42.12,
+               "samples" => 12
+             }
+
+      assert updated.quality_reports["callee"]["relay_protocol"] == "tls"
+      assert [%Call{id: call_id}] = Calls.list_quality_reports(relayed_only: true)
+      assert call_id == call.id
+    end
+
+    test "rejects users who were not on the call" do
+      caller = AccountsFixtures.user_fixture()
+      callee = AccountsFixtures.user_fixture()
+      outsider = AccountsFixtures.user_fixture()
+      {:ok, conversation} = Messaging.create_dm_conversation(caller.id, callee.id)
+      call = insert_call(caller.id, callee.id, conversation.id, "ended")
+
+      assert {:error, :not_participant} =
+               Calls.record_quality_report(call.id, outsider.id, %{"relayed" => true})
+
+      assert Calls.count_quality_reports() == 0
+    end
   end
 
+  describe "leave_voicemail/5" do
+    test "posts the caller's message to the conversation as a voice message" do
+      caller = AccountsFixtures.user_fixture()
+      callee = AccountsFixtures.user_fixture()
+      {:ok, conversation} = Messaging.create_dm_conversation(caller.id, callee.id)
+      call = insert_call(caller.id, callee.id, conversation.id, "missed", missed_now())
+
+      assert {:ok, %ChatMessage{} = message} =
+               Calls.leave_voicemail(call.id, caller.id, webm(), "video/webm", "75")
+
+      assert message.message_type == "voice"
+      assert message.sender_id == caller.id
+      assert message.audio_mime_type == "video/webm"
+      assert message.audio_duration == 60
+      assert [key] = message.media_urls
+      assert key =~ "voice-messages/"
+
+      assert %{"voicemail" => true, "call_id" => call_id, "duration" => 60} =
+               message.media_metadata
+
+      assert call_id == call.id
+
+      assert {:error, :voicemail_exists} =
+               Calls.leave_voicemail(call.id, caller.id, webm(), "audio/webm", 5)
+    end
+
+    test "only lets the caller leave one for a recently missed call" do
+      caller = AccountsFixtures.user_fixture()
+      callee = AccountsFixtures.user_fixture()
+      {:ok, conversation} = Messaging.create_dm_conversation(caller.id, callee.id)
+      missed = insert_call(caller.id, callee.id, conversation.id, "missed", missed_now())
+      answered = insert_call(caller.id, callee.id, conversation.id, "ended")
+
+      stale =
+        insert_call(caller.id, callee.id, conversation.id, "missed", %{
+          ended_at: DateTime.add(DateTime.utc_now(), -3600, :second)
+        })
+
+      assert {:error, :not_caller} =
+               Calls.leave_voicemail(missed.id, callee.id, webm(), "audio/webm", 5)
+
+      assert {:error, :not_missed} =
+               Calls.leave_voicemail(answered.id, caller.id, webm(), "audio/webm", 5)
+
+      assert {:error, :voicemail_expired} =
+               Calls.leave_voicemail(stale.id, caller.id, webm(), "audio/webm", 5)
+
+      assert {:error, {:invalid_file_type, _}} =
+               Calls.leave_voicemail(missed.id, caller.id, webm(), "text/html", 5)
+    end
+
+    test "is refused in end-to-end encrypted DMs" do
+      caller = AccountsFixtures.user_fixture()
+      callee = AccountsFixtures.user_fixture()
+      {:ok, conversation} = Messaging.create_dm_conversation(caller.id, callee.id)
+      call = insert_call(caller.id, callee.id, conversation.id, "missed", missed_now())
+
+      %ChatConversationEncryptionKey{}
+      |> ChatConversationEncryptionKey.changeset(%{
+        conversation_id: conversation.id,
+        key_uid: "key-test-123456",
+        created_by_id: caller.id,
+        algorithm: "AES-256-GCM",
+        metadata: %{"source" => "browser"}
+      })
+      |> Repo.insert!()
+
+      assert {:error, :encrypted} =
+               Calls.leave_voicemail(call.id, caller.id, webm(), "audio/webm", 5)
+
+      refute Repo.exists?(
+               from m in ChatMessage,
+                 where: m.conversation_id == ^conversation.id and m.message_type == "voice"
+             )
+    end
+  end
+
+  defp webm, do: <<26, 69, 223, 163, "voicemail">>
+
+  defp missed_now, do: %{ended_at: DateTime.utc_now() |> DateTime.truncate(:second)}
+
   defp insert_call(caller_id, callee_id, conversation_id, status, extra_attrs \\ %{}) do
     attrs =
       Map.merge(
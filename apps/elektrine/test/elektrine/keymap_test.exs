@@ -0,0 +1,59 @@
+defmodule Elektrine.KeymapTest do
+  use ExUnit.Case, async: true
+
+  alias Elektrine.Keymap
+
+  defp validate(overrides) do
+    {%{}, %{keymap_overrides: :map}}
+    |> Ecto.Changeset.cast(%{keymap_overrides: overrides}, [:keymap_overrides])
+    |> Keymap.validate_overrides()
+  end
+
+  describe "validate_overrides/2" do
+    test "keeps well-formed bindings and sequences" do
+      changeset =
+        validate(%{
+          "mail.list.archive" => ["e", "shift+e"],
+          "mail.goto_inbox" => "g  i",
+          "mail.composer.send" => ["mod+enter"],
+          "mail.list.delete" => ["#", "mod++"]
+        })
+
+      assert changeset.valid?
+
+      assert Ecto.Changeset.get_change(changeset, :keymap_overrides) == %{
+               "mail.list.archive" => ["e", "shift+e"],
+               "mail.goto_inbox" => ["g i"],
+               "mail.composer.send" => ["mod+enter"],
+               "mail.list.delete" => ["#", "mod++"]
+             }
+    end
+
+    test "keeps empty bindings so an action can be unbound" do
+      changeset = validate(%{"mail.list.spam" => []})
+
+      assert changeset.valid?
+      assert Ecto.Changeset.get_change(changeset, :keymap_overrides) == %{"mail.list.spam" => []}
+    end
+
+    test "rejects malformed actions and bindings" do
+      refute validate(%{"help" => ["?"]}).valid?
+      refute validate(%{"mail.list.next" => ["hyper+j"]}).valid?
+      refute validate(%{"mail.list.next" => ["a b c d"]}).valid?
+      refute validate(%{"mail.list.next" => [1]}).valid?
+      refute validate(%{"mail.list.next" => ["a", "b", "c", "d", "e"]}).valid?
+    end
+  end
+
+  describe "client_config/1" do
+    test "falls back to the default preset" do
+      assert Keymap.client_config(%{keymap_preset: "vim", keymap_overrides: %{}}) ==
+               %{preset: "vim", overrides: %{}}
+
+      assert Keymap.client_config(%{keymap_preset: "emacs", keymap_overrides: nil}) ==
+               %{preset: "gmail", overrides: %{}}
+
+      assert Keymap.client_config(nil) == %{preset: "gmail", overrides: %{}}
+    end
+  end
+end
@@ -0,0 +1,28 @@
+defmodule Elektrine.MarkdownTest do
+  use ExUnit.Case, async: true
+
+  alias Elektrine.Markdown
+
+  describe "to_html/1" do
+    test "renders the GFM extensions the client preview supports" do
+      html = Markdown.to_html("~~gone~~ see www.example.com\n\n| a | b |\n|---|---|\n| 1 | 2 |")
+
+      assert html =~ "<del>gone</del>"
+      assert html =~ ~s(href="http://www.example.com")
+      assert html =~ "<td>1</td>"
+    end
+
+    test "strips images" do
+      refute Markdown.to_html("![alt](https://example.com/a.png)") =~ "<img"
+    end
+
+    test "drops task list checkboxes and footnote wrappers" do
+      html = Markdown.to_html("- [x] done\n\nNote[^1]\n\n[^1]: Footnote text.")
+
+      refute html =~ "<input"
+      refute html =~ "<section"
+      refute html =~ "<sup"
+      assert html =~ "Footnote text."
+    end
+  end
+end
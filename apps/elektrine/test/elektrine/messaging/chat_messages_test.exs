@@ -11,6 +11,7 @@ defmodule Elektrine.Messaging.ChatMessagesTest do
     ChatConversationKeyRecipient,
     ChatConversationMember,
     ChatEncryptionDevice,
+    ChatKeyBackup,
     ChatMessage,
     ChatMessages,
     Federation,
@@ -122,6 +123,174 @@ defmodule Elektrine.Messaging.ChatMessagesTest do
                })
     end
 
+    test "publishes a signed prekey with the device and replaces it on re-registration" do
+      alice = AccountsFixtures.user_fixture()
+      bob = AccountsFixtures.user_fixture()
+
+      {:ok, conversation} = Messaging.create_dm_conversation(alice.id, bob.id)
+      first_prekey = prekey_attrs()
+      rotated_prekey = prekey_attrs()
+
+      assert {:ok, _} =
+               Messaging.register_chat_encryption_device(
+                 alice.id,
+                 Map.put(device_attrs("alice-device"), "prekey", first_prekey)
+               )
+
+      assert [%{prekey: ^first_prekey}] =
+               Messaging.list_chat_encryption_devices_for_conversation(conversation.id)
+
+      assert {:ok, _} =
+               Messaging.register_chat_encryption_device(
+                 alice.id,
+                 Map.put(device_attrs("alice-device"), "prekey", rotated_prekey)
+               )
+
+      assert [%{prekey: ^rotated_prekey}] =
+               Messaging.list_chat_encryption_devices_for_user(alice.id)
+    end
+
+    test "rejects malformed device prekeys" do
+      alice = AccountsFixtures.user_fixture()
+      prekey = Map.put(prekey_attrs(), "algorithm", "RSA-OAEP-SHA256")
+
+      assert {:error, %Ecto.Changeset{} = changeset} =
+               Messaging.register_chat_encryption_device(
+                 alice.id,
+                 Map.put(device_attrs("alice-device"), "prekey", prekey)
+               )
+
+      assert %{prekey: ["must be a valid signed prekey"]} = errors_on(changeset)
+    end
+
+    test "stores forward-secret key packages wrapped to a device prekey" do
+      alice = AccountsFixtures.user_fixture()
+      bob = AccountsFixtures.user_fixture()
+
+      {:ok, conversation} = Messaging.create_dm_conversation(alice.id, bob.id)
+      {:ok, _} = Messaging.register_chat_encryption_device(alice.id, device_attrs("alice-device"))
+      {:ok, _} = Messaging.register_chat_encryption_device(bob.id, device_attrs("bob-device"))
+
+      key_uid = "key-test-123456"
+      bob_package = prekey_package(bob.id, "bob-device")
+      bob_wrapped_key = bob_package.wrapped_key
+
+      assert {:ok, _message} =
+               Messaging.create_client_encrypted_chat_text_message(conversation.id, alice.id, %{
+                 "encrypted_payload" => encrypted_payload(key_uid),
+                 "key_packages" => [key_package(alice.id, "alice-device"), bob_package]
+               })
+
+      assert {:ok, ^bob_wrapped_key} =
+               Messaging.get_wrapped_chat_key(conversation.id, bob.id, "bob-device", key_uid)
+    end
+
+    test "only accepts prekey-wrapped keys with an ephemeral key and nonce" do
+      wrapped_key = prekey_package(1, "bob-device").wrapped_key
+
+      assert ChatConversationKeyRecipient.valid_wrapped_key?(wrapped_key)
+
+      refute ChatConversationKeyRecipient.valid_wrapped_key?(
+               Map.delete(wrapped_key, "ephemeral_public_key")
+             )
+
+      refute ChatConversationKeyRecipient.valid_wrapped_key?(
+               Map.put(wrapped_key, "iv", Base.encode64("short"))
+             )
+
+      refute ChatConversationKeyRecipient.valid_wrapped_key?(
+               Map.put(wrapped_key, "key_algorithm", "RSA-OAEP-SHA256")
+             )
+    end
+
+    test "references browser-encrypted attachments from the message" do
+      alice = AccountsFixtures.user_fixture()
+      bob = AccountsFixtures.user_fixture()
+
+      {:ok, conversation} = Messaging.create_dm_conversation(alice.id, bob.id)
+      {:ok, _} = Messaging.register_chat_encryption_device(alice.id, device_attrs("alice-device"))
+      {:ok, _} = Messaging.register_chat_encryption_device(bob.id, device_attrs("bob-device"))
+
+      attachment_key = encrypted_attachment_key(alice.id)
+      payload = Map.put(encrypted_payload("key-test-123456"), "version", 2)
+
+      assert {:ok, message} =
+               Messaging.create_client_encrypted_chat_text_message(conversation.id, alice.id, %{
+                 "encrypted_payload" => payload,
+                 "key_packages" => [
+                   key_package(alice.id, "alice-device"),
+                   key_package(bob.id, "bob-device")
+                 ],
+                 "attachment_keys" => [attachment_key]
+               })
+
+      db_message = Repo.get!(ChatMessage, message.id)
+      assert db_message.media_urls == [attachment_key]
+      assert db_message.client_encrypted_payload == payload
+      assert db_message.media_metadata == %{}
+
+      assert Elektrine.Uploads.private_attachment_accessible_by_user?(
+               String.trim_leading(attachment_key, "/uploads/"),
+               bob.id
+             )
+    end
+
+    test "rejects encrypted attachments owned by another user" do
+      alice = AccountsFixtures.user_fixture()
+      bob = AccountsFixtures.user_fixture()
+
+      {:ok, conversation} = Messaging.create_dm_conversation(alice.id, bob.id)
+      {:ok, _} = Messaging.register_chat_encryption_device(alice.id, device_attrs("alice-device"))
+      {:ok, _} = Messaging.register_chat_encryption_device(bob.id, device_attrs("bob-device"))
+
+      assert {:error, :invalid_attachment} =
+               Messaging.create_client_encrypted_chat_text_message(conversation.id, alice.id, %{
+                 "encrypted_payload" => encrypted_payload("key-test-123456"),
+                 "key_packages" => [key_package(alice.id, "alice-device")],
+                 "attachment_keys" => [encrypted_attachment_key(bob.id)]
+               })
+    end
+
+    test "rejects attachment keys outside the sender's chat attachments" do
+      alice = AccountsFixtures.user_fixture()
+      bob = AccountsFixtures.user_fixture()
+
+      {:ok, conversation} = Messaging.create_dm_conversation(alice.id, bob.id)
+      {:ok, _} = Messaging.register_chat_encryption_device(alice.id, device_attrs("alice-device"))
+
+      kairo_key =
+        String.replace(encrypted_attachment_key(alice.id), "/chat-attachments/", "/kairo-sources/")
+
+      for foreign_key <- [
+            kairo_key,
+            "/uploads/chat-attachments/#{alice.id}/../#{bob.id}/secret.bin",
+            "https://i.imgur.com/abc.png"
+          ] do
+        assert {:error, :invalid_attachment} =
+                 Messaging.create_client_encrypted_chat_text_message(conversation.id, alice.id, %{
+                   "encrypted_payload" => encrypted_payload("key-test-123456"),
+                   "key_packages" => [key_package(alice.id, "alice-device")],
+                   "attachment_keys" => [foreign_key]
+                 })
+      end
+    end
+
+    test "limits how many encrypted attachments a message can reference" do
+      alice = AccountsFixtures.user_fixture()
+      bob = AccountsFixtures.user_fixture()
+
+      {:ok, conversation} = Messaging.create_dm_conversation(alice.id, bob.id)
+      {:ok, _} = Messaging.register_chat_encryption_device(alice.id, device_attrs("alice-device"))
+      attachment_keys = Enum.map(1..6, fn _ -> encrypted_attachment_key(alice.id) end)
+
+      assert {:error, :too_many_attachments} =
+               Messaging.create_client_encrypted_chat_text_message(conversation.id, alice.id, %{
+                 "encrypted_payload" => encrypted_payload("key-test-123456"),
+                 "key_packages" => [key_package(alice.id, "alice-device")],
+                 "attachment_keys" => attachment_keys
+               })
+    end
+
     test "does not return wrapped keys for revoked devices" do
       alice = AccountsFixtures.user_fixture()
       bob = AccountsFixtures.user_fixture()
@@ -500,6 +669,40 @@ defmodule Elektrine.Messaging.ChatMessagesTest do
     end
   end
 
+  describe "chat key backups" do
+    test "stores one backup per user and replaces it on upload" do
+      user = AccountsFixtures.user_fixture()
+      first = key_backup_payload()
+      second = key_backup_payload()
+
+      assert Messaging.get_chat_key_backup(user.id) == nil
+
+      assert {:ok, _} =
+               Messaging.put_chat_key_backup(user.id, %{"payload" => first, "key_count" => 2})
+
+      assert {:ok, _} =
+               Messaging.put_chat_key_backup(user.id, %{"payload" => second, "key_count" => 5})
+
+      assert %{payload: ^second, key_count: 5} = Messaging.get_chat_key_backup(user.id)
+      assert Repo.aggregate(ChatKeyBackup, :count) == 1
+
+      assert {:ok, true} = Messaging.delete_chat_key_backup(user.id)
+      assert Messaging.get_chat_key_backup(user.id) == nil
+    end
+
+    test "rejects backups that are not encrypted payloads" do
+      user = AccountsFixtures.user_fixture()
+
+      assert {:error, %Ecto.Changeset{} = changeset} =
+               Messaging.put_chat_key_backup(user.id, %{
+                 "payload" => %{"keys" => %{"1" => "raw-key"}},
+                 "key_count" => 1
+               })
+
+      assert %{payload: ["must be a valid encrypted backup"]} = errors_on(changeset)
+    end
+  end
+
   defp device_attrs(device_id) do
     %{
       "device_id" => device_id,
@@ -513,6 +716,26 @@ defmodule Elektrine.Messaging.ChatMessagesTest do
     }
   end
 
+  defp prekey_attrs do
+    %{
+      "version" => 1,
+      "key_id" => "prekey-#{System.unique_integer([:positive])}",
+      "algorithm" => "X25519",
+      "key" => Base.encode64(:crypto.strong_rand_bytes(32)),
+      "signature" => Base.encode64(:crypto.strong_rand_bytes(64)),
+      "created_at" => "2026-10-19T10:00:00Z"
+    }
+  end
+
+  defp key_backup_payload do
+    %{
+      "version" => 2,
+      "algorithm" => "AES-GCM",
+      "iv" => Base.encode64(:crypto.strong_rand_bytes(12)),
+      "ciphertext" => Base.encode64(:crypto.strong_rand_bytes(96))
+    }
+  end
+
   defp encrypted_payload(key_uid) do
     %{
       "version" => 1,
@@ -523,6 +746,19 @@ defmodule Elektrine.Messaging.ChatMessagesTest do
     }
   end
 
+  defp encrypted_attachment_key(user_id) do
+    hash = :crypto.strong_rand_bytes(32) |> Base.encode16(case: :lower)
+
+    Path.join([
+      "/uploads/chat-attachments",
+      to_string(user_id),
+      binary_part(hash, 0, 2),
+      binary_part(hash, 2, 2),
+      binary_part(hash, 4, 2),
+      "#{hash}.bin"
+    ])
+  end
+
   defp key_package(user_id, device_id) do
     %{
       user_id: user_id,
@@ -535,6 +771,21 @@ defmodule Elektrine.Messaging.ChatMessagesTest do
     }
   end
 
+  defp prekey_package(user_id, device_id) do
+    %{
+      user_id: user_id,
+      device_id: device_id,
+      wrapped_key: %{
+        "version" => 2,
+        "key_algorithm" => "X25519-HKDF-SHA256",
+        "prekey_id" => "prekey-test-123456",
+        "ephemeral_public_key" => Base.encode64(:crypto.strong_rand_bytes(32)),
+        "iv" => Base.encode64(:crypto.strong_rand_bytes(12)),
+        "encrypted_key" => Base.encode64(:crypto.strong_rand_bytes(48))
+      }
+    }
+  end
+
   defp mirrored_channel_fixture do
     suffix = System.unique_integer([:positive])
 
@@ -162,6 +162,48 @@ defmodule Elektrine.Messaging.VoiceChannelsTest do
     end
   end
 
+  describe "group calls" do
+    setup do
+      owner = AccountsFixtures.user_fixture()
+      member = AccountsFixtures.user_fixture()
+
+      group =
+        case Messaging.create_group_conversation(
+               owner.id,
+               %{name: "call-group-#{System.unique_integer([:positive])}"},
+               [member.id]
+             ) do
+          {:ok, conversation} -> conversation
+          {:ok, conversation, _failed_count} -> conversation
+        end
+
+      %{owner: owner, member: member, group: group}
+    end
+
+    test "group members may join the group call", %{owner: owner, member: member, group: group} do
+      assert VoiceChannels.get_call_room(group.id).id == group.id
+      assert :ok = VoiceChannels.authorize_join(group.id, owner.id)
+      assert :ok = VoiceChannels.authorize_join(group.id, member.id)
+    end
+
+    test "outsiders cannot join the group call", %{group: group} do
+      outsider = AccountsFixtures.user_fixture()
+
+      assert {:error, :unauthorized} = VoiceChannels.authorize_join(group.id, outsider.id)
+    end
+
+    test "direct messages are not call rooms", %{owner: owner, member: member} do
+      {:ok, dm} = Messaging.create_dm_conversation(owner.id, member.id)
+
+      assert VoiceChannels.get_call_room(dm.id) == nil
+      assert {:error, :not_found} = VoiceChannels.authorize_join(dm.id, owner.id)
+    end
+
+    test "groups stay on the mesh without a configured SFU", %{group: group} do
+      assert VoiceChannels.topology(group.id) == "mesh"
+    end
+  end
+
   describe "check_capacity/2" do
     test "allows joins below the cap" do
       assert :ok = VoiceChannels.check_capacity([1, 2, 3], 4)
@@ -184,6 +226,16 @@ defmodule Elektrine.Messaging.VoiceChannelsTest do
     test "defaults to eight occupants" do
       assert VoiceChannels.max_occupants() == 8
     end
+
+    test "uses the cap of the room's topology" do
+      occupants = Enum.to_list(1..VoiceChannels.max_occupants())
+      limit = VoiceChannels.capacity("sfu")
+      newcomer = VoiceChannels.max_occupants() + 1
+
+      assert limit > VoiceChannels.max_occupants()
+      assert VoiceChannels.capacity("mesh") == VoiceChannels.max_occupants()
+      assert :ok = VoiceChannels.check_capacity(occupants, newcomer, limit)
+    end
   end
 
   describe "federation exclusion" do
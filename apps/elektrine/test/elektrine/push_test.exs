@@ -2,6 +2,7 @@ defmodule Elektrine.PushTest do
   use Elektrine.DataCase, async: false
 
   alias Elektrine.{AccountsFixtures, Push, Repo}
+  alias Elektrine.Notifications.Notification
   alias Elektrine.Push.{DeviceToken, WebSubscription}
   alias Elektrine.Secrets.EncryptedString
 
@@ -416,6 +417,175 @@ defmodule Elektrine.PushTest do
     assert payload.data.url == "/timeline/1"
   end
 
+  test "created chat notifications offer push actions and group by conversation" do
+    user = AccountsFixtures.user_fixture()
+    sender = AccountsFixtures.user_fixture()
+    {:ok, conversation} = Elektrine.Messaging.create_dm_conversation(sender.id, user.id)
+    {:ok, message} = Elektrine.Messaging.create_text_message(conversation.id, sender.id, "hi")
+
+    Application.put_env(:elektrine, :web_push_client, {WebPushClient, self()})
+    on_exit(fn -> Application.delete_env(:elektrine, :web_push_client) end)
+
+    assert {:ok, _subscription} =
+             Push.upsert_web_subscription(
+               user.id,
+               web_subscription_attrs("https://push.example/subscriptions/chat", "all")
+             )
+
+    assert {:ok, notification} =
+             Elektrine.Notifications.create_notification(%{
+               type: "new_message",
+               title: "Message from sender",
+               body: "hi",
+               url: "/chat",
+               source_type: "message",
+               source_id: message.id,
+               actor_id: sender.id,
+               user_id: user.id
+             })
+
+    assert_receive {:web_push_delivered, _id,
+                    %{data: %{notification_id: notification_id}} = payload}
+                   when notification_id == notification.id
+
+    assert [%{action: "reply", type: "text"}, %{action: "mark_read"}] = payload.actions
+    assert payload.data.group == "chat:#{conversation.id}"
+  end
+
+  test "push actions follow the notification type" do
+    assert [%{action: "mark_read"}, %{action: "archive"}] =
+             Elektrine.Notifications.push_actions(%Notification{
+               type: "email_received",
+               source_type: "email"
+             })
+
+    assert [%{action: "like"}, %{action: "boost"}] =
+             Elektrine.Notifications.push_actions(%Notification{
+               type: "mention",
+               source_type: "message",
+               url: "/timeline#post-1"
+             })
+
+    assert [] =
+             Elektrine.Notifications.push_actions(%Notification{
+               type: "mention",
+               source_type: "message",
+               url: "/chat#post-1"
+             })
+  end
+
+  test "encrypted chat pushes carry ciphertext and the key wrapped for the browser's device" do
+    user = AccountsFixtures.user_fixture()
+    sender = AccountsFixtures.user_fixture()
+    {:ok, conversation} = Elektrine.Messaging.create_dm_conversation(sender.id, user.id)
+
+    for {owner, device_id} <- [{sender, "sender-device"}, {user, "user-device"}] do
+      {:ok, _device} =
+        Elektrine.Messaging.register_chat_encryption_device(owner.id, %{
+          "device_id" => device_id,
+          "public_key" => %{
+            "version" => 1,
+            "algorithm" => "RSA-OAEP-SHA256",
+            "key" => Base.encode64(:crypto.strong_rand_bytes(64))
+          },
+          "key_algorithm" => "RSA-OAEP-SHA256"
+        })
+    end
+
+    encrypted_payload = %{
+      "version" => 1,
+      "content_algorithm" => "AES-256-GCM",
+      "key_uid" => "key-push-123456",
+      "iv" => Base.encode64(:crypto.strong_rand_bytes(12)),
+      "ciphertext" => Base.encode64(:crypto.strong_rand_bytes(48))
+    }
+
+    wrapped_key = %{
+      "version" => 1,
+      "key_algorithm" => "RSA-OAEP-SHA256",
+      "encrypted_key" => Base.encode64(:crypto.strong_rand_bytes(48))
+    }
+
+    {:ok, message} =
+      Elektrine.Messaging.create_client_encrypted_chat_text_message(conversation.id, sender.id, %{
+        "encrypted_payload" => encrypted_payload,
+        "key_packages" => [
+          %{user_id: sender.id, device_id: "sender-device", wrapped_key: wrapped_key},
+          %{user_id: user.id, device_id: "user-device", wrapped_key: wrapped_key}
+        ]
+      })
+
+    Application.put_env(:elektrine, :web_push_client, {WebPushClient, self()})
+    on_exit(fn -> Application.delete_env(:elektrine, :web_push_client) end)
+
+    endpoint = "https://push.example/subscriptions/encrypted-chat"
+
+    assert {:ok, subscription} =
+             Push.upsert_web_subscription(user.id, web_subscription_attrs(endpoint, "all"))
+
+    refute subscription.chat_device_id
+
+    assert {:ok, %WebSubscription{chat_device_id: "user-device"}} =
+             Push.put_web_subscription_chat_device(user.id, endpoint, "user-device")
+
+    assert {:ok, notification} =
+             Elektrine.Notifications.create_notification(%{
+               type: "new_message",
+               title: "Message from sender",
+               body: "Encrypted message",
+               url: "/chat",
+               source_type: "message",
+               source_id: message.id,
+               actor_id: sender.id,
+               user_id: user.id
+             })
+
+    assert_receive {:web_push_delivered, _id,
+                    %{data: %{notification_id: notification_id}} = payload}
+                   when notification_id == notification.id
+
+    assert payload.body == "Encrypted message"
+    assert payload.encrypted.conversation_id == conversation.id
+    assert payload.encrypted.user_id == user.id
+    assert payload.encrypted.ciphertext == encrypted_payload["ciphertext"]
+    assert payload.encrypted.key_uid == "key-push-123456"
+    assert payload.encrypted.wrapped_key == wrapped_key
+  end
+
+  test "plain chat pushes carry no ciphertext" do
+    user = AccountsFixtures.user_fixture()
+    sender = AccountsFixtures.user_fixture()
+    {:ok, conversation} = Elektrine.Messaging.create_dm_conversation(sender.id, user.id)
+    {:ok, message} = Elektrine.Messaging.create_text_message(conversation.id, sender.id, "hi")
+
+    Application.put_env(:elektrine, :web_push_client, {WebPushClient, self()})
+    on_exit(fn -> Application.delete_env(:elektrine, :web_push_client) end)
+
+    assert {:ok, _subscription} =
+             Push.upsert_web_subscription(
+               user.id,
+               web_subscription_attrs("https://push.example/subscriptions/plain-chat", "all")
+               |> Map.put("chat_device_id", "user-device")
+             )
+
+    assert {:ok, notification} =
+             Elektrine.Notifications.create_notification(%{
+               type: "new_message",
+               title: "Message from sender",
+               body: "hi",
+               url: "/chat",
+               source_type: "message",
+               source_id: message.id,
+               user_id: user.id
+             })
+
+    assert_receive {:web_push_delivered, _id,
+                    %{data: %{notification_id: notification_id}} = payload}
+                   when notification_id == notification.id
+
+    assert payload.encrypted == nil
+  end
+
   defp web_subscription_attrs(endpoint, policy) do
     %{
       "subscription" => %{
@@ -197,6 +197,16 @@ defmodule Elektrine.UploadsTest do
     refute File.exists?(Path.join(tmp_dir, "voice-messages"))
   end
 
+  test "accepts video only for voicemail", %{user: user} do
+    video = <<26, 69, 223, 163, "video">>
+
+    assert {:error, {:invalid_file_type, _}} =
+             Uploads.upload_voice_message(video, "clip.webm", "video/webm", user.id)
+
+    assert {:ok, %{key: "/uploads/voice-messages/" <> _path, content_type: "video/webm"}} =
+             Uploads.upload_voicemail(video, "voicemail.webm", "video/webm", user.id)
+  end
+
   test "rejects voice messages whose bytes do not match the declared type", %{
     tmp_dir: tmp_dir,
     user: user
@@ -207,6 +217,47 @@ defmodule Elektrine.UploadsTest do
     refute File.exists?(Path.join(tmp_dir, "voice-messages"))
   end
 
+  test "stores browser-encrypted chat attachments as opaque blobs", %{
+    tmp_dir: tmp_dir,
+    user: user
+  } do
+    ciphertext = :crypto.strong_rand_bytes(64)
+    expected_hash = :crypto.hash(:sha256, ciphertext) |> Base.encode16(case: :lower)
+    user_prefix = "#{user.id}/"
+
+    assert {:ok,
+            %{
+              key: "/uploads/chat-attachments/" <> stored_path,
+              content_type: "application/octet-stream",
+              size: 64,
+              sha256: ^expected_hash
+            }} = Uploads.upload_encrypted_chat_attachment(ciphertext, user.id)
+
+    assert String.starts_with?(stored_path, user_prefix)
+    assert String.ends_with?(stored_path, "#{expected_hash}.bin")
+
+    assert File.read!(Path.join([tmp_dir, "chat-attachments", stored_path])) == ciphertext
+  end
+
+  test "stores browser-encrypted Kairo sources under the user's Kairo folder", %{
+    tmp_dir: tmp_dir,
+    user: user
+  } do
+    ciphertext = :crypto.strong_rand_bytes(64)
+
+    assert {:ok, %{key: "/uploads/kairo-sources/" <> stored_path, size: 64}} =
+             Uploads.upload_encrypted_kairo_source(ciphertext, user.id)
+
+    assert String.starts_with?(stored_path, "#{user.id}/")
+    assert File.read!(Path.join([tmp_dir, "kairo-sources", stored_path])) == ciphertext
+    assert {:error, {:empty_file, _}} = Uploads.upload_encrypted_kairo_source("", user.id)
+  end
+
+  test "rejects empty browser-encrypted chat attachments", %{tmp_dir: tmp_dir, user: user} do
+    assert {:error, {:empty_file, _}} = Uploads.upload_encrypted_chat_attachment("", user.id)
+    refute File.exists?(Path.join(tmp_dir, "chat-attachments"))
+  end
+
   test "malformed local delete keys do not normalize into deletable upload paths", %{
     tmp_dir: tmp_dir
   } do
@@ -3,6 +3,7 @@ defmodule Elektrine.VaultTest do
 
   import Elektrine.AccountsFixtures
 
+  alias Elektrine.Accounts.{PasskeyCredential, Passkeys}
   alias Elektrine.Vault
 
   defp wrapped(opts \\ []) do
@@ -76,4 +77,120 @@ defmodule Elektrine.VaultTest do
     refute Vault.configured?(user.id)
     assert {:ok, false} = Vault.reset(user.id)
   end
+
+  test "reset discards the chat key backup encrypted under the master key" do
+    user = user_fixture()
+    {:ok, _} = Vault.setup(user.id, setup_attrs())
+
+    {:ok, _} =
+      Elektrine.Messaging.put_chat_key_backup(user.id, %{
+        "payload" => Map.take(wrapped(), ["version", "algorithm", "iv", "ciphertext"]),
+        "key_count" => 1
+      })
+
+    assert {:ok, true} = Vault.reset(user)
+    assert Elektrine.Messaging.get_chat_key_backup(user.id) == nil
+  end
+
+  test "reset drops the OpenPGP private key wrapped under the master key" do
+    user = user_fixture()
+    {:ok, _} = Vault.setup(user.id, setup_attrs())
+
+    user
+    |> Ecto.Changeset.change(%{
+      pgp_private_key_wrapped: Map.take(wrapped(), ["version", "algorithm", "iv", "ciphertext"])
+    })
+    |> Elektrine.Repo.update!()
+
+    assert {:ok, true} = Vault.reset(user)
+    assert Elektrine.Repo.reload!(user).pgp_private_key_wrapped == nil
+  end
+
+  defp passkey_wrapped do
+    %{
+      "version" => 2,
+      "algorithm" => "AES-GCM",
+      "kdf" => "WebAuthn-PRF-HKDF-SHA256",
+      "salt" => Base.encode64(:crypto.strong_rand_bytes(32)),
+      "iv" => Base.encode64(:crypto.strong_rand_bytes(12)),
+      "ciphertext" => Base.encode64(:crypto.strong_rand_bytes(48))
+    }
+  end
+
+  defp passkey_fixture(user) do
+    %PasskeyCredential{}
+    |> PasskeyCredential.create_changeset(%{
+      user_id: user.id,
+      credential_id: :crypto.strong_rand_bytes(32),
+      public_key: :erlang.term_to_binary(%{test: true}),
+      user_handle: PasskeyCredential.generate_user_handle(),
+      name: "Laptop"
+    })
+    |> Repo.insert!()
+  end
+
+  describe "passkey unlockers" do
+    test "enrolling requires encrypted data and one of the user's own passkeys" do
+      user = user_fixture()
+      passkey = passkey_fixture(user)
+
+      assert {:error, :not_configured} =
+               Vault.enroll_passkey_unlocker(user.id, passkey.id, passkey_wrapped())
+
+      {:ok, _} = Vault.setup(user.id, setup_attrs())
+      other_passkey = passkey_fixture(user_fixture())
+
+      assert {:error, :passkey_not_found} =
+               Vault.enroll_passkey_unlocker(user.id, other_passkey.id, passkey_wrapped())
+
+      assert {:error, changeset} =
+               Vault.enroll_passkey_unlocker(user.id, passkey.id, wrapped())
+
+      assert %{wrapped_dek: _} = errors_on(changeset)
+
+      assert {:ok, unlocker} =
+               Vault.enroll_passkey_unlocker(user.id, passkey.id, passkey_wrapped())
+
+      assert unlocker.passkey_credential_id == passkey.id
+    end
+
+    test "re-enrolling a passkey replaces its wrap and unlock options expose it" do
+      user = user_fixture()
+      passkey = passkey_fixture(user)
+      {:ok, _} = Vault.setup(user.id, setup_attrs())
+
+      assert Vault.passkey_unlock_options(user.id) == nil
+
+      {:ok, _} = Vault.enroll_passkey_unlocker(user.id, passkey.id, passkey_wrapped())
+      replacement = passkey_wrapped()
+      {:ok, _} = Vault.enroll_passkey_unlocker(user.id, passkey.id, replacement)
+
+      assert [%{wrapped_dek: stored}] = Vault.list_passkey_unlockers(user)
+      assert stored["salt"] == replacement["salt"]
+
+      assert %{rp_id: _, unlockers: [option]} = Vault.passkey_unlock_options(user.id)
+      assert option.credential_id == Base.url_encode64(passkey.credential_id, padding: false)
+      assert option.wrapped_dek["salt"] == replacement["salt"]
+    end
+
+    test "unlockers disappear with their passkey, on removal, and on reset" do
+      user = user_fixture()
+      {:ok, _} = Vault.setup(user.id, setup_attrs())
+      [first, second, third] = for _ <- 1..3, do: passkey_fixture(user)
+
+      for passkey <- [first, second, third] do
+        {:ok, _} = Vault.enroll_passkey_unlocker(user.id, passkey.id, passkey_wrapped())
+      end
+
+      assert :ok = Vault.remove_passkey_unlocker(user.id, first.id)
+      assert {:error, :not_found} = Vault.remove_passkey_unlocker(user.id, first.id)
+
+      {:ok, _} = Passkeys.delete_passkey(user, second.id)
+      assert [%{passkey_credential_id: third_id}] = Vault.list_passkey_unlockers(user.id)
+      assert third_id == third.id
+
+      {:ok, true} = Vault.reset(user.id)
+      assert Vault.list_passkey_unlockers(user.id) == []
+    end
+  end
 end
@@ -310,6 +310,11 @@ defmodule Elektrine.Email do
   defdelegate search_messages(mailbox_id, query, page \\ 1, per_page \\ 20),
     to: Elektrine.Email.Search
 
+  defdelegate list_private_envelopes(mailbox_id, after_id \\ 0, limit \\ 100),
+    to: Elektrine.Email.Search
+
+  defdelegate list_private_message_ids(mailbox_id), to: Elektrine.Email.Search
+
   defdelegate get_unique_recipient_domains(), to: Elektrine.Email.Search
 
   defdelegate get_unique_recipient_domains_paginated(page \\ 1, per_page \\ 50),
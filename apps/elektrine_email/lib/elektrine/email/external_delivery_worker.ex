@@ -31,7 +31,8 @@ defmodule Elektrine.Email.ExternalDeliveryWorker do
     "priority" => :priority,
     "content_type" => :content_type,
     "charset" => :charset,
-    "list_id" => :list_id
+    "list_id" => :list_id,
+    "pgp_mime" => :pgp_mime
   }
 
   @impl Oban.Worker
@@ -10,6 +10,7 @@ defmodule Elektrine.Email.HarakaClient do
   require Logger
 
   alias Elektrine.Email.InternalOrigin
+  alias Elektrine.Email.PGPMime
   alias Elektrine.EmailConfig
 
   @api_path "/api/v1/send"
@@ -249,6 +250,15 @@ defmodule Elektrine.Email.HarakaClient do
 
   @doc false
   # Public so HarakaAdapter can share the exact wire format used for user mail.
+  # PGP/MIME messages are rendered here, per recipient, so the trace and origin
+  # headers added on the way end up in the raw message.
+  def build_api_body(%{pgp_mime: pgp_mime} = params) when is_map(pgp_mime) do
+    params
+    |> Map.delete(:pgp_mime)
+    |> Map.put(:raw_email, PGPMime.render(params))
+    |> build_api_body()
+  end
+
   def build_api_body(params) do
     # If raw email data is provided, use that directly (preserves attachments and MIME structure)
     if params[:raw_email] do
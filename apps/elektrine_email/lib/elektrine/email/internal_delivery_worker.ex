@@ -35,7 +35,8 @@ defmodule Elektrine.Email.InternalDeliveryWorker do
     "metadata" => :metadata,
     "is_newsletter" => :is_newsletter,
     "is_receipt" => :is_receipt,
-    "is_notification" => :is_notification
+    "is_notification" => :is_notification,
+    "raw_source" => :raw_source
   }
 
   @impl Oban.Worker
@@ -12,6 +12,8 @@ defmodule Elektrine.Email.PGP do
   @cache_ttl_found_hours 24
   @cache_ttl_not_found_hours 1
   @wkd_timeout 10_000
+  # Armored secret keys with a few subkeys stay well under this.
+  @max_wrapped_private_key_bytes 64_000
   @pgp_public_key_begin "-----BEGIN PGP PUBLIC KEY BLOCK-----"
   @pgp_public_key_end "-----END PGP PUBLIC KEY BLOCK-----"
   @pgp_message_begin "-----BEGIN PGP MESSAGE-----"
@@ -26,6 +28,26 @@ defmodule Elektrine.Email.PGP do
   end
 
   def store_user_key(user_id, public_key_armor) when is_binary(public_key_armor) do
+    put_user_key(user_id, public_key_armor, nil)
+  end
+
+  @doc "Stores a key pair generated or imported in the browser.\nThe private key arrives encrypted under the vault's \"pgp\" feature key and stays\nopaque to the server; the public key is published like an uploaded one.\n"
+  def store_user_key_pair(%User{id: user_id}, public_key_armor, wrapped_private_key) do
+    store_user_key_pair(user_id, public_key_armor, wrapped_private_key)
+  end
+
+  def store_user_key_pair(user_id, public_key_armor, wrapped_private_key)
+      when is_binary(public_key_armor) do
+    if valid_wrapped_private_key?(wrapped_private_key) do
+      put_user_key(user_id, public_key_armor, wrapped_private_key)
+    else
+      {:error, :invalid_private_key_payload}
+    end
+  end
+
+  # A new public key always replaces the stored private key, so an upload of a
+  # key generated elsewhere never leaves a mismatched private half behind.
+  defp put_user_key(user_id, public_key_armor, wrapped_private_key) do
     case parse_public_key(public_key_armor) do
       {:ok, key_info} ->
         user = Repo.get!(User, user_id)
@@ -37,7 +59,8 @@ defmodule Elektrine.Email.PGP do
           pgp_fingerprint: key_info.fingerprint,
           pgp_key_id: key_info.key_id,
           pgp_key_uploaded_at: DateTime.utc_now() |> DateTime.truncate(:second),
-          pgp_wkd_hash: wkd_hash_value
+          pgp_wkd_hash: wkd_hash_value,
+          pgp_private_key_wrapped: wrapped_private_key
         })
         |> Repo.update()
 
@@ -46,6 +69,23 @@ defmodule Elektrine.Email.PGP do
     end
   end
 
+  defp valid_wrapped_private_key?(%{} = payload) do
+    is_integer(payload["version"]) and payload["version"] >= 1 and
+      payload["algorithm"] == "AES-GCM" and base64_size(payload["iv"]) == 12 and
+      base64_size(payload["ciphertext"]) in 1..@max_wrapped_private_key_bytes
+  end
+
+  defp valid_wrapped_private_key?(_payload), do: false
+
+  defp base64_size(value) when is_binary(value) do
+    case Base.decode64(value) do
+      {:ok, bytes} -> byte_size(bytes)
+      :error -> 0
+    end
+  end
+
+  defp base64_size(_value), do: 0
+
   @doc "Removes a user's PGP public key.\nAccepts either a user struct or user_id.\n"
   def delete_user_key(%User{id: user_id}) do
     delete_user_key(user_id)
@@ -64,7 +104,8 @@ defmodule Elektrine.Email.PGP do
       pgp_fingerprint: nil,
       pgp_key_id: nil,
       pgp_key_uploaded_at: nil,
-      pgp_wkd_hash: nil
+      pgp_wkd_hash: nil,
+      pgp_private_key_wrapped: nil
     })
     |> Repo.update()
   end
@@ -0,0 +1,205 @@
+defmodule Elektrine.Email.PGPMime do
+  @moduledoc """
+  RFC 3156 PGP/MIME messages built from OpenPGP output produced in the browser.
+
+  Private keys never reach the server. Compose asks for `entity/2` - the MIME
+  body the browser encrypts or signs - and sends back either an armored
+  encrypted message or a detached signature over that exact entity, as
+  `params[:pgp_mime]`. `prepare/1` checks that payload when the message is sent
+  and `render/1` produces the complete message handed to the MTA and kept as
+  the sent copy's raw source.
+  """
+
+  alias Elektrine.Email.HarakaClient
+
+  @message_begin "-----BEGIN PGP MESSAGE-----"
+  @message_end "-----END PGP MESSAGE-----"
+  @signature_begin "-----BEGIN PGP SIGNATURE-----"
+  @signature_end "-----END PGP SIGNATURE-----"
+  @micalgs ~w(pgp-sha256 pgp-sha384 pgp-sha512 pgp-sha224)
+  @max_part_bytes 25_000_000
+
+  @doc """
+  Returns the MIME entity for a message body, with CRLF line endings.
+
+  Bodies are base64 encoded so the entity is 7-bit clean and survives relays
+  byte for byte, which a detached signature over it requires.
+  """
+  def entity(text_body, html_body \\ nil) do
+    text_part = leaf_part("text/plain; charset=utf-8", text_body || "")
+
+    if Elektrine.Strings.present?(html_body) do
+      html_part = leaf_part("text/html; charset=utf-8", html_body)
+      multipart("multipart/alternative", "", [text_part, html_part])
+    else
+      text_part
+    end
+  end
+
+  @doc """
+  Validates `params[:pgp_mime]` and shapes the params for a PGP/MIME send.
+
+  An encrypted message keeps only the armored ciphertext as its body, like the
+  server-side encryption path does. Returns `{:error, :invalid_pgp_mime}` when
+  the payload is not browser OpenPGP output in the expected shape.
+  """
+  def prepare(params) when is_map(params) do
+    case normalize(params[:pgp_mime]) do
+      {:ok, %{"type" => "encrypted", "armor" => armor} = pgp_mime} ->
+        {:ok,
+         params
+         |> Map.put(:pgp_mime, pgp_mime)
+         |> Map.put(:text_body, armor)
+         |> Map.put(:html_body, nil)
+         |> Map.put(:pgp_encrypted, true)
+         |> put_message_id()}
+
+      {:ok, pgp_mime} ->
+        {:ok, params |> Map.put(:pgp_mime, pgp_mime) |> put_message_id()}
+
+      :error ->
+        {:error, :invalid_pgp_mime}
+    end
+  end
+
+  @doc "Renders the complete RFC 5322 message for prepared PGP/MIME params."
+  def render(%{pgp_mime: pgp_mime} = params) do
+    header_block =
+      params
+      |> headers()
+      |> Enum.filter(fn {_name, value} -> Elektrine.Strings.present?(value) end)
+      |> Enum.map_join(fn {name, value} -> "#{name}: #{header_value(value)}\r\n" end)
+
+    header_block <> body(pgp_mime)
+  end
+
+  defp normalize(%{"type" => "encrypted", "armor" => armor}) when is_binary(armor) do
+    if armored?(armor, @message_begin, @message_end) do
+      {:ok, %{"type" => "encrypted", "armor" => crlf(String.trim(armor))}}
+    else
+      :error
+    end
+  end
+
+  defp normalize(%{"type" => "signed"} = pgp_mime) do
+    with entity when is_binary(entity) <- pgp_mime["entity"],
+         signature when is_binary(signature) <- pgp_mime["signature"],
+         micalg when micalg in @micalgs <- pgp_mime["micalg"],
+         true <- String.starts_with?(entity, "Content-Type: "),
+         true <- byte_size(entity) <= @max_part_bytes,
+         true <- armored?(signature, @signature_begin, @signature_end) do
+      {:ok,
+       %{
+         "type" => "signed",
+         "entity" => entity,
+         "signature" => crlf(String.trim(signature)),
+         "micalg" => micalg
+       }}
+    else
+      _ -> :error
+    end
+  end
+
+  defp normalize(_pgp_mime), do: :error
+
+  defp armored?(armor, first_line, last_line) do
+    armor = String.trim(armor)
+
+    byte_size(armor) <= @max_part_bytes and String.starts_with?(armor, first_line) and
+      String.ends_with?(armor, last_line)
+  end
+
+  defp put_message_id(params) do
+    if Elektrine.Strings.present?(params[:message_id]) do
+      params
+    else
+      Map.put(params, :message_id, "<#{Ecto.UUID.generate()}@#{sender_domain(params[:from])}>")
+    end
+  end
+
+  defp sender_domain(from) when is_binary(from) do
+    case Regex.run(~r/@([A-Za-z0-9.-]+)>?\s*$/, from) do
+      [_, domain] -> domain
+      _ -> "localhost"
+    end
+  end
+
+  defp sender_domain(_from), do: "localhost"
+
+  # Per-recipient delivery params carry a single envelope recipient; the
+  # original To/Cc lines travel in the trace headers added by the sender.
+  defp headers(params) do
+    custom_headers = params[:headers] || %{}
+
+    [
+      {"From", encode_address(params[:from])},
+      {"To", custom_headers["X-Elektrine-Original-To"] || params[:to]},
+      {"Cc", custom_headers["X-Elektrine-Original-Cc"] || params[:cc]},
+      {"Reply-To", params[:reply_to]},
+      {"Subject", HarakaClient.encode_mime_header(params[:subject] || "")},
+      {"Date", Calendar.strftime(DateTime.utc_now(), "%a, %d %b %Y %H:%M:%S +0000")},
+      {"Message-ID", params[:message_id]},
+      {"In-Reply-To", params[:in_reply_to]},
+      {"References", params[:references]}
+    ] ++ Enum.sort(custom_headers) ++ [{"MIME-Version", "1.0"}]
+  end
+
+  defp encode_address(address) when is_binary(address) do
+    case Regex.run(~r/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/, address) do
+      [_, name, email] when name != "" -> "#{HarakaClient.encode_mime_header(name)} <#{email}>"
+      _ -> address
+    end
+  end
+
+  defp encode_address(address), do: address
+
+  # Header values come from form input; folding them onto one line keeps a
+  # stray CR or LF from starting a header of its own.
+  defp header_value(value), do: value |> to_string() |> String.replace(~r/[\r\n]+/, " ")
+
+  defp body(%{"type" => "encrypted", "armor" => armor}) do
+    multipart("multipart/encrypted", "; protocol=\"application/pgp-encrypted\"", [
+      "Content-Type: application/pgp-encrypted\r\n" <>
+        "Content-Description: PGP/MIME version identification\r\n\r\nVersion: 1\r\n",
+      "Content-Type: application/octet-stream; name=\"encrypted.asc\"\r\n" <>
+        "Content-Description: OpenPGP encrypted message\r\n" <>
+        "Content-Disposition: inline; filename=\"encrypted.asc\"\r\n\r\n" <> armor <> "\r\n"
+    ])
+  end
+
+  defp body(%{"type" => "signed", "entity" => entity} = pgp_mime) do
+    params = "; micalg=#{pgp_mime["micalg"]}; protocol=\"application/pgp-signature\""
+
+    multipart("multipart/signed", params, [
+      entity,
+      "Content-Type: application/pgp-signature; name=\"signature.asc\"\r\n" <>
+        "Content-Description: OpenPGP digital signature\r\n" <>
+        "Content-Disposition: attachment; filename=\"signature.asc\"\r\n\r\n" <>
+        pgp_mime["signature"] <> "\r\n"
+    ])
+  end
+
+  # Boundaries start with "=_", which never occurs in base64 or armor, so they
+  # cannot collide with part content.
+  defp multipart(content_type, params, parts) do
+    boundary = "=_elektrine_" <> Base.encode16(:crypto.strong_rand_bytes(12), case: :lower)
+
+    "Content-Type: #{content_type}#{params}; boundary=\"#{boundary}\"\r\n\r\n" <>
+      Enum.map_join(parts, fn part -> "--#{boundary}\r\n#{part}\r\n" end) <>
+      "--#{boundary}--\r\n"
+  end
+
+  defp leaf_part(content_type, content) do
+    "Content-Type: #{content_type}\r\nContent-Transfer-Encoding: base64\r\n\r\n" <>
+      wrap_lines(Base.encode64(content), [])
+  end
+
+  defp wrap_lines(<<line::binary-size(76), rest::binary>>, acc) do
+    wrap_lines(rest, [acc, line, "\r\n"])
+  end
+
+  defp wrap_lines("", acc), do: IO.iodata_to_binary(acc)
+  defp wrap_lines(rest, acc), do: IO.iodata_to_binary([acc, rest, "\r\n"])
+
+  defp crlf(text), do: String.replace(text, ~r/\r?\n/, "\r\n")
+end
@@ -0,0 +1,287 @@
+defmodule Elektrine.Email.RemoteContent do
+  @moduledoc """
+  Remote content handling for rendered email HTML.
+
+  Loading a remote image or stylesheet tells the sender when, where and on what
+  device a message was opened, so remote references are blocked by default.
+  Known tracking pixels are removed in every mode, links that bounce through
+  click-tracking redirectors are labeled, and a user can either opt a sender in
+  to direct loading or route images through `Elektrine.MediaProxy`.
+
+  The iframe CSP is the hard enforcement; rewriting here keeps blocked content
+  from rendering as broken images and is what makes proxying possible.
+  """
+
+  import Ecto.Query
+
+  alias Elektrine.Email.RemoteContentSender
+  alias Elektrine.MediaProxy
+  alias Elektrine.Repo
+
+  @modes ~w(block proxy)
+
+  # 1x1 transparent GIF so blocked remote images don't render as broken icons.
+  @placeholder "data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7"
+
+  @tracker_hosts ~w(
+    mailtrack.io mailsuite.com getnotify.com bananatag.com yesware.com mixmax.com
+    superhuman.com cirrusinsight.com streak.com mailfoogae.appspot.com
+  )
+  # Paths used by bulk mail platforms for open tracking. Generic names such as
+  # "open.png" are left alone; size and visibility catch the rest.
+  @tracker_path ~r{/(?:track/open|wf/open|e/o/|open\.(?:php|aspx)|pixel\.(?:gif|png))}i
+
+  @hidden_style ~r/display\s*:\s*none|visibility\s*:\s*hidden|opacity\s*:\s*0(?:\D|$)/
+
+  @redirector_hosts ~w(
+    ct.sendgrid.net safelinks.protection.outlook.com urldefense.proofpoint.com urldefense.com
+    l.facebook.com lnkd.in t.co hubspotlinks.com awstrack.me
+  )
+  @redirector_prefixes ~w(click. clicks. links. trk. track. tracking.)
+  @redirector_path ~r{/(?:track/click|ls/click|wf/click)}i
+
+  @remote_attribute ~r/(\b(?:src|poster|background)\s*=\s*["'])\s*(https?:[^"']*)(["'])/i
+  @remote_srcset ~r/\bsrcset\s*=\s*["'][^"']*https?:[^"']*["']/i
+  @remote_css_url ~r/url\(\s*(?:&quot;|["'])?\s*(https?:[^"')\s]*?)\s*(?:&quot;|["'])?\s*\)/i
+  @remote_css_import ~r/@import\s+(?:url\()?\s*["']?https?:[^;]*;?/i
+  @remote_stylesheet ~r/<link\b[^>]*\bhref\s*=\s*["']?\s*https?:[^>]*>/i
+
+  @doc "Returns the remote content modes a user can choose from."
+  def modes, do: @modes
+
+  @doc """
+  Counts what `render/2` would act on: remote references, tracking pixels and
+  links through click-tracking redirectors.
+  """
+  def analyze(html) when is_binary(html) do
+    images = Regex.scan(~r/<img\b[^>]*>/i, html) |> List.flatten()
+    trackers = Enum.count(images, &tracking_pixel?/1)
+
+    remote =
+      Enum.sum([
+        length(Regex.scan(@remote_attribute, html)),
+        length(Regex.scan(@remote_srcset, html)),
+        length(Regex.scan(@remote_css_url, html)),
+        length(Regex.scan(@remote_stylesheet, html))
+      ])
+
+    tracked_links =
+      ~r/<a\b[^>]*>/i
+      |> Regex.scan(html)
+      |> List.flatten()
+      |> Enum.count(&tracked_link?(attribute(&1, "href")))
+
+    %{remote: max(remote - trackers, 0), trackers: trackers, tracked_links: tracked_links}
+  end
+
+  def analyze(_html), do: %{remote: 0, trackers: 0, tracked_links: 0}
+
+  @doc """
+  Rewrites email HTML for display. `mode` is `:allow` (load directly),
+  `:proxy` (images through the media proxy, everything else blocked) or
+  `:block`.
+  """
+  def render(html, mode) when is_binary(html) and mode in [:allow, :block, :proxy] do
+    html
+    |> remove_tracking_pixels()
+    |> label_tracked_links()
+    |> rewrite_remote(mode)
+  end
+
+  def render(html, _mode), do: html
+
+  @doc """
+  Picks the render mode for a viewer: a one-off opt-in or an allowed sender
+  loads directly, otherwise the user's preference applies.
+  """
+  def mode_for(user, from_header, allow_once? \\ false)
+
+  def mode_for(_user, _from_header, true), do: :allow
+
+  def mode_for(user, from_header, false) do
+    cond do
+      sender_allowed?(user.id, from_header) -> :allow
+      Map.get(user, :email_remote_content) == "proxy" -> :proxy
+      true -> :block
+    end
+  end
+
+  @doc """
+  Origin to add to the iframe CSP so proxied images can load, or nil when the
+  proxy is served from the app itself.
+  """
+  def proxy_origin do
+    case URI.parse(MediaProxy.base_url()) do
+      %URI{scheme: scheme, host: host, port: port} when is_binary(host) ->
+        "#{scheme}://#{host}#{port_suffix(scheme, port)}"
+
+      _ ->
+        nil
+    end
+  end
+
+  defp port_suffix("https", 443), do: ""
+  defp port_suffix("http", 80), do: ""
+  defp port_suffix(_scheme, nil), do: ""
+  defp port_suffix(_scheme, port), do: ":#{port}"
+
+  @doc "Lists the senders a user loads remote content from."
+  def list_senders(user_id) do
+    RemoteContentSender
+    |> where(user_id: ^user_id)
+    |> order_by(asc: :email)
+    |> Repo.all()
+  end
+
+  @doc "Checks whether remote content from `from` loads directly for a user."
+  def sender_allowed?(user_id, from_header) when is_integer(user_id) and is_binary(from_header) do
+    email = sender_email(from_header)
+
+    RemoteContentSender
+    |> where(user_id: ^user_id, email: ^email)
+    |> Repo.exists?()
+  end
+
+  def sender_allowed?(_user_id, _from), do: false
+
+  @doc "Always load remote content from the sender of `from`."
+  def allow_sender(user_id, from_header) when is_binary(from_header) do
+    %RemoteContentSender{}
+    |> RemoteContentSender.changeset(%{user_id: user_id, email: sender_email(from_header)})
+    |> Repo.insert(on_conflict: :nothing, conflict_target: [:user_id, :email])
+  end
+
+  @doc "Stops loading remote content directly from a sender."
+  def remove_sender(user_id, email) when is_binary(email) do
+    email = sender_email(email)
+
+    RemoteContentSender
+    |> where(user_id: ^user_id, email: ^email)
+    |> Repo.delete_all()
+  end
+
+  @doc "Extracts the lowercased address from a `Name <address>` header value."
+  def sender_email(from_header) do
+    case Regex.run(~r/<([^>]+)>/, from_header) do
+      [_, email] -> email |> String.trim() |> String.downcase()
+      nil -> from_header |> String.trim() |> String.downcase()
+    end
+  end
+
+  @doc "Checks whether an `<img>` tag is a known or likely tracking pixel."
+  def tracking_pixel?(tag) do
+    src = attribute(tag, "src")
+
+    remote_url?(src) and
+      (tiny?(tag) or hidden?(tag) or tracker_url?(src))
+  end
+
+  @doc "Checks whether a link goes through a click-tracking redirector."
+  def tracked_link?(href) when is_binary(href) do
+    case URI.parse(unescape(href)) do
+      %URI{scheme: scheme, host: host, path: path} when scheme in ["http", "https"] ->
+        host = String.downcase(host || "")
+
+        host_in?(host, @redirector_hosts) or
+          Enum.any?(@redirector_prefixes, &String.starts_with?(host, &1)) or
+          Regex.match?(@redirector_path, path || "") or
+          (String.match?(host, ~r/(^|\.)google\.[a-z.]+$/) and path == "/url")
+
+      _ ->
+        false
+    end
+  end
+
+  def tracked_link?(_href), do: false
+
+  defp remove_tracking_pixels(html) do
+    Regex.replace(~r/<img\b[^>]*>/i, html, fn tag ->
+      if tracking_pixel?(tag), do: "", else: tag
+    end)
+  end
+
+  defp label_tracked_links(html) do
+    Regex.replace(~r/<a\b[^>]*>/i, html, fn tag ->
+      href = attribute(tag, "href")
+
+      if tracked_link?(href) do
+        host = href |> unescape() |> URI.parse() |> Map.get(:host) |> Plug.HTML.html_escape()
+        title = if attribute(tag, "title"), do: "", else: ~s( title="Tracked link via #{host}")
+
+        String.replace_suffix(tag, ">", ~s( data-elektrine-tracked-link="#{host}"#{title}>))
+      else
+        tag
+      end
+    end)
+  end
+
+  defp rewrite_remote(html, :allow), do: html
+
+  defp rewrite_remote(html, mode) do
+    html
+    |> then(&Regex.replace(@remote_stylesheet, &1, ""))
+    |> then(&Regex.replace(@remote_css_import, &1, ""))
+    |> then(&Regex.replace(@remote_srcset, &1, ""))
+    |> then(
+      &Regex.replace(@remote_attribute, &1, fn _match, prefix, url, suffix ->
+        prefix <> image_url(url, mode) <> suffix
+      end)
+    )
+    |> then(
+      &Regex.replace(@remote_css_url, &1, fn _match, url ->
+        if mode == :proxy, do: "url(#{image_url(url, mode)})", else: "none"
+      end)
+    )
+  end
+
+  defp image_url(url, :proxy), do: MediaProxy.signed_url(unescape(url)) || @placeholder
+  defp image_url(_url, :block), do: @placeholder
+
+  defp tiny?(tag) do
+    dimension(attribute(tag, "width")) in [0, 1] and dimension(attribute(tag, "height")) in [0, 1]
+  end
+
+  defp hidden?(tag) do
+    style = String.downcase(attribute(tag, "style") || "")
+
+    String.match?(style, @hidden_style) or
+      (String.match?(style, ~r/(?:^|[;\s])width\s*:\s*[01]px/) and
+         String.match?(style, ~r/(?:^|[;\s])height\s*:\s*[01]px/))
+  end
+
+  defp tracker_url?(src) do
+    case URI.parse(unescape(src)) do
+      %URI{host: host, path: path} when is_binary(host) ->
+        host_in?(String.downcase(host), @tracker_hosts) or Regex.match?(@tracker_path, path || "")
+
+      _ ->
+        false
+    end
+  end
+
+  defp host_in?(host, hosts) do
+    Enum.any?(hosts, fn known -> host == known or String.ends_with?(host, "." <> known) end)
+  end
+
+  defp dimension(nil), do: nil
+
+  defp dimension(value) do
+    case Integer.parse(String.trim(value)) do
+      {number, _rest} -> number
+      :error -> nil
+    end
+  end
+
+  defp attribute(tag, name) do
+    case Regex.run(~r/\s#{name}\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i, tag,
+           capture: :all_but_first
+         ) do
+      nil -> nil
+      captures -> Enum.find(captures, "", &(&1 != ""))
+    end
+  end
+
+  defp remote_url?(url), do: is_binary(url) and String.match?(url, ~r/^\s*(?:https?:)?\/\//i)
+
+  defp unescape(url), do: url |> String.trim() |> String.replace("&amp;", "&")
+end
@@ -0,0 +1,28 @@
+defmodule Elektrine.Email.RemoteContentSender do
+  @moduledoc """
+  Schema for senders whose mail may load remote content directly.
+  """
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  schema "email_remote_content_senders" do
+    field :email, :string
+
+    belongs_to :user, Elektrine.Accounts.User
+
+    timestamps()
+  end
+
+  @doc false
+  def changeset(sender, attrs) do
+    sender
+    |> cast(attrs, [:email, :user_id])
+    |> validate_required([:email, :user_id])
+    |> update_change(:email, &String.downcase(String.trim(&1)))
+    |> validate_format(:email, ~r/^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+      message: "must be a valid email format"
+    )
+    |> foreign_key_constraint(:user_id)
+    |> unique_constraint([:user_id, :email])
+  end
+end
@@ -128,6 +128,46 @@ defmodule Elektrine.Email.Search do
     end
   end
 
+  @doc """
+  Lists the browser-encrypted envelopes of a private mailbox with ids above
+  `after_id`, oldest first, for the search index the browser builds once the
+  mailbox is unlocked. Drafts and deleted messages are left out.
+  """
+  def list_private_envelopes(mailbox_id, after_id \\ 0, limit \\ 100) do
+    mailbox_id
+    |> private_messages_query()
+    |> where([m], m.id > ^after_id)
+    |> order_by(asc: :id)
+    |> limit(^limit)
+    |> select([m], %{
+      id: m.id,
+      hash: m.hash,
+      inserted_at: m.inserted_at,
+      has_attachments: m.has_attachments,
+      payload: m.client_encrypted_payload
+    })
+    |> Repo.all()
+  end
+
+  @doc """
+  Returns the ids of every message `list_private_envelopes/3` can return, so
+  the browser can drop messages that have since been deleted.
+  """
+  def list_private_message_ids(mailbox_id) do
+    mailbox_id
+    |> private_messages_query()
+    |> select([m], m.id)
+    |> Repo.all()
+  end
+
+  defp private_messages_query(mailbox_id) do
+    Message
+    |> where(mailbox_id: ^mailbox_id)
+    |> where([m], not is_nil(m.client_encrypted_payload))
+    |> where([m], not m.deleted)
+    |> where([m], m.status != "draft" or is_nil(m.status))
+  end
+
   @doc """
   Gets all unique recipient domains from sent messages across all users.
   Returns a list of %{domain: domain, count: message_count} maps.
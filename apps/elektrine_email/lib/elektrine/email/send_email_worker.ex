@@ -116,7 +116,8 @@ defmodule Elektrine.Email.SendEmailWorker do
     "user_id" => :user_id,
     "scheduled_at" => :scheduled_at,
     "expires_at" => :expires_at,
-    "list_id" => :list_id
+    "list_id" => :list_id,
+    "pgp_mime" => :pgp_mime
   }
 
   defp atomize_keys(nil), do: nil
@@ -30,6 +30,7 @@ defmodule Elektrine.Email.Sender do
   alias Elektrine.Email.Mailbox
   alias Elektrine.Email.MimeBodyExtractor
   alias Elektrine.Email.PGP
+  alias Elektrine.Email.PGPMime
   alias Elektrine.Email.RateLimiter
   alias Elektrine.Email.Sanitizer
   alias Elektrine.Email.Suppressions
@@ -253,7 +254,7 @@ defmodule Elektrine.Email.Sender do
                  {:ok, pgp_params} <- maybe_pgp_encrypt(formatted_params, user_id),
                  external_params <-
                    put_filtered_recipients(
-                     pgp_params,
+                     Map.delete(pgp_params, :raw_source),
                      delivery_plan.external.to,
                      delivery_plan.external.cc,
                      delivery_plan.external.bcc
@@ -1677,9 +1678,17 @@ defmodule Elektrine.Email.Sender do
       status: "received",
       metadata: enrich_metadata_for_pgp(metadata, email_params)
     }
+    |> maybe_put_pgp_mime_raw_source(email_params)
     |> maybe_put_self_email_attrs(self_email?)
   end
 
+  defp maybe_put_pgp_mime_raw_source(attrs, %{pgp_mime: pgp_mime} = email_params)
+       when is_map(pgp_mime) do
+    Map.put(attrs, :raw_source, email_params[:raw_source])
+  end
+
+  defp maybe_put_pgp_mime_raw_source(attrs, _email_params), do: attrs
+
   defp maybe_put_self_email_attrs(attrs, true) do
     attrs
     |> Map.put(:read, true)
@@ -1925,6 +1934,15 @@ defmodule Elektrine.Email.Sender do
     recipients = extract_all_recipients(params)
 
     cond do
+      # Encrypted or signed in the browser; PGPMime only checks and wraps the result.
+      params[:pgp_mime] && attachments_present?(params) ->
+        {:error, :pgp_attachments_unsupported}
+
+      params[:pgp_mime] ->
+        with {:ok, prepared} <- PGPMime.prepare(params) do
+          {:ok, Map.put(prepared, :raw_source, PGPMime.render(prepared))}
+        end
+
       params[:pgp_encrypted] ->
         {:ok, params}
 
@@ -2010,8 +2028,21 @@ defmodule Elektrine.Email.Sender do
     |> Map.put(:text_body, pgp_params[:text_body])
     |> Map.put(:html_body, pgp_params[:html_body])
     |> maybe_put_pgp_flag(pgp_params[:pgp_encrypted])
+    |> maybe_put_pgp_mime_source(pgp_params)
+  end
+
+  # The sent copy keeps the rendered PGP/MIME message: the signature and the
+  # encrypted part only exist there.
+  defp maybe_put_pgp_mime_source(params, %{pgp_mime: pgp_mime} = pgp_params)
+       when is_map(pgp_mime) do
+    params
+    |> Map.put(:pgp_mime, pgp_mime)
+    |> Map.put(:message_id, pgp_params[:message_id])
+    |> Map.put(:raw_source, pgp_params[:raw_source])
   end
 
+  defp maybe_put_pgp_mime_source(params, _pgp_params), do: params
+
   defp maybe_put_pgp_flag(params, true), do: Map.put(params, :pgp_encrypted, true)
   defp maybe_put_pgp_flag(params, _value), do: Map.delete(params, :pgp_encrypted)
 
@@ -2059,10 +2090,16 @@ defmodule Elektrine.Email.Sender do
   defp pgp_protected_attachment?(_), do: false
 
   defp enrich_metadata_for_pgp(metadata, email_params) do
-    if email_params[:pgp_encrypted] do
-      Map.put(metadata, :pgp_encrypted, true)
-    else
-      metadata
+    metadata =
+      if email_params[:pgp_encrypted] do
+        Map.put(metadata, :pgp_encrypted, true)
+      else
+        metadata
+      end
+
+    case email_params[:pgp_mime] do
+      %{"type" => type} -> Map.put(metadata, :pgp_mime, type)
+      _ -> metadata
     end
   end
 
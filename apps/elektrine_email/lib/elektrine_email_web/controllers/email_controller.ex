@@ -2,6 +2,9 @@ defmodule ElektrineEmailWeb.EmailController do
   use ElektrineEmailWeb, :controller
 
   alias Elektrine.Email
+  alias Elektrine.Email.Message
+  alias Elektrine.Email.PGP
+  alias Elektrine.Email.RemoteContent
   alias Elektrine.EmailAddresses
 
   import ElektrineEmailWeb.Components.Email.Display
@@ -181,21 +184,60 @@ defmodule ElektrineEmailWeb.EmailController do
     end
   end
 
-  def iframe_content(conn, %{"id" => id} = params) do
+  # The raw view and browser OpenPGP need the exact stored bytes: a detached
+  # PGP/MIME signature only verifies against the signed part as it arrived.
+  # Messages stored without their source get a rebuilt one, flagged as such.
+  def raw_source(conn, %{"id" => id}) do
+    user = conn.assigns.current_user
+
+    with {:ok, message_id} <- SafeConvert.parse_id(id),
+         {:ok, message} <- Email.get_user_message(message_id, user.id) do
+      {source, origin} =
+        case Message.decrypt_raw_source(message, user.id) do
+          {:ok, raw_source} -> {raw_source, "original"}
+          {:error, _reason} -> {generate_eml_content(message), "reconstructed"}
+        end
+
+      conn
+      |> put_resp_content_type("text/plain")
+      |> put_resp_header("x-elektrine-source", origin)
+      |> put_resp_header("x-content-type-options", "nosniff")
+      |> put_resp_header("cache-control", "no-store")
+      |> send_resp(200, source)
+    else
+      {:error, :message_not_found} -> send_resp(conn, 404, "Message not found")
+      {:error, _reason} -> send_resp(conn, 403, "Access denied")
+    end
+  end
+
+  def pgp_keys(conn, params) do
     user = conn.assigns.current_user
 
-    # Remote images are blocked by default so tracking pixels don't fire on
-    # open; the viewer opts in per message with ?images=1.
-    allow_remote_images = params["images"] == "1"
+    emails =
+      (params["emails"] || "")
+      |> String.split(",", trim: true)
+      |> Enum.take(50)
+
+    %{available: keys} = PGP.lookup_recipient_keys(emails, user.id)
+
+    json(conn, %{keys: keys})
+  end
+
+  def iframe_content(conn, %{"id" => id} = params) do
+    user = conn.assigns.current_user
 
     case SafeConvert.parse_id(id) do
       {:ok, message_id} ->
         case Email.get_user_message(message_id, user.id) do
           {:ok, message} ->
+            # Remote content is blocked by default so tracking pixels don't
+            # fire on open; the viewer opts in per message with ?images=1.
+            mode = RemoteContent.mode_for(user, message.from || "", params["images"] == "1")
+
             content =
               conn
               |> iframe_email_content(message)
-              |> maybe_block_remote_images(allow_remote_images)
+              |> RemoteContent.render(mode)
 
             # Set security headers with relaxed CSP for email content
             # Emails often include external fonts, styles, and images from newsletters
@@ -203,7 +245,7 @@ defmodule ElektrineEmailWeb.EmailController do
             |> put_resp_header("x-frame-options", "SAMEORIGIN")
             |> put_resp_header(
               "content-security-policy",
-              build_email_iframe_csp(allow_remote_images)
+              build_email_iframe_csp(mode)
             )
             |> put_resp_header("cache-control", "no-transform")
             |> put_resp_content_type("text/html")
@@ -290,16 +332,18 @@ defmodule ElektrineEmailWeb.EmailController do
   # With remote images allowed, styles/images/fonts/media may load from any
   # HTTPS source since newsletters use assorted CDNs. With them blocked
   # (the default), the CSP is the hard enforcement that keeps tracking
-  # pixels, CSS background images, and remote fonts from phoning home.
-  defp build_email_iframe_csp(allow_remote) do
-    remote = if allow_remote, do: " https:", else: ""
+  # pixels, CSS background images, and remote fonts from phoning home. In
+  # proxy mode only images load, and only from the media proxy.
+  defp build_email_iframe_csp(mode) do
+    remote = if mode == :allow, do: " https:", else: ""
+    images = if mode == :proxy, do: " #{RemoteContent.proxy_origin()}", else: remote
 
     directives = [
       "default-src 'self'",
       # Scripts: block all scripts in emails for security
       "script-src 'none'",
       "style-src 'self' 'unsafe-inline'#{remote}",
-      "img-src 'self' data: cid:#{remote}",
+      "img-src 'self' data: cid:#{images}",
       "font-src 'self' data:#{remote}",
       # Connect: block external connections
       "connect-src 'self'",
@@ -317,27 +361,6 @@ defmodule ElektrineEmailWeb.EmailController do
     Enum.join(directives, "; ")
   end
 
-  # 1x1 transparent GIF so blocked remote images don't render as broken icons.
-  # The tightened CSP is the actual enforcement; this is cosmetic.
-  @remote_image_placeholder "data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7"
-
-  defp maybe_block_remote_images(content, true), do: content
-  defp maybe_block_remote_images(content, false) when not is_binary(content), do: content
-
-  defp maybe_block_remote_images(content, false) do
-    content
-    |> then(
-      &Regex.replace(
-        ~r/(<img\b[^>]*?\bsrc\s*=\s*["'])\s*https?:[^"']*(["'])/i,
-        &1,
-        "\\1#{@remote_image_placeholder}\\2"
-      )
-    )
-    |> then(
-      &Regex.replace(~r/(<(?:img|source)\b[^>]*?)\bsrcset\s*=\s*["'][^"']*["']/i, &1, "\\1")
-    )
-  end
-
   defp build_iframe_html(content) do
     {head_content, body_attributes, body_content} = split_email_document_content(content)
 
@@ -357,6 +380,12 @@ defmodule ElektrineEmailWeb.EmailController do
         img {
           border: 0;
         }
+        a[data-elektrine-tracked-link]::after {
+          content: " tracked";
+          font: 600 10px/1 sans-serif;
+          color: #b45309;
+          vertical-align: super;
+        }
       </style>
       #{head_content}
       <base target="_blank">
@@ -9,7 +9,9 @@ defmodule ElektrineEmailWeb.EmailLive.Compose do
   alias Elektrine.Email.AttachmentStorage
   alias Elektrine.Email.MailboxEncryption
   alias Elektrine.Email.PGP
+  alias Elektrine.Email.PGPMime
   alias Elektrine.Email.RateLimiter
+  alias Elektrine.Email.Sanitizer
   alias Elektrine.Email.SendEmailWorker
   alias Elektrine.Email.Sender
   alias ElektrineEmailWeb.UserErrorHelpers
@@ -123,6 +125,10 @@ defmodule ElektrineEmailWeb.EmailLive.Compose do
       |> assign(:templates, templates)
       |> assign(:mailbox, mailbox)
       |> assign(:master_vault, Elektrine.Vault.get(fresh_user.id))
+      |> assign(
+        :vault_passkey,
+        Elektrine.Vault.passkey_unlock_options(fresh_user.id, socket.host_uri)
+      )
       |> assign(:mailbox_addresses, mailbox_addresses(mailbox, fresh_user))
       |> assign(:from_address, from_address)
       |> assign(:available_from_addresses, available_from_addresses)
@@ -254,6 +260,62 @@ defmodule ElektrineEmailWeb.EmailLive.Compose do
     {:noreply, assign_encryption_state(socket, mode)}
   end
 
+  # The EmailPgpCompose hook encrypts or signs in the browser. It asks for the
+  # MIME entity of the message as it would be sent, plus the public keys to
+  # encrypt to - the sender's own included, so the sent copy stays readable.
+  @impl true
+  def handle_event("pgp_prepare", %{"form" => form} = params, socket) do
+    email_params =
+      form
+      |> Plug.Conn.Query.decode()
+      |> Map.get("email", %{})
+      |> put_body_format(socket.assigns.body_format)
+
+    body_format = body_format(email_params, socket.assigns.body_format)
+    encrypt? = params["encrypt"] == true
+    user = Elektrine.Accounts.get_user!(socket.assigns.current_user.id)
+    recipients = socket.assigns.to_tags ++ socket.assigns.cc_tags ++ socket.assigns.bcc_tags
+
+    %{available: available, missing: missing} =
+      if encrypt? do
+        PGP.lookup_recipient_keys(recipients, user.id)
+      else
+        %{available: %{}, missing: []}
+      end
+
+    own_keys = if encrypt? and user.pgp_public_key, do: [user.pgp_public_key], else: []
+
+    reply =
+      cond do
+        pgp_unprotected_attachments?(socket, email_params) ->
+          %{error: "Encrypted and signed messages can't include attachments yet."}
+
+        recipients == [] ->
+          %{error: "Add a recipient first."}
+
+        missing != [] ->
+          %{error: missing_pgp_keys_message(missing)}
+
+        params["sign"] == true and is_nil(user.pgp_private_key_wrapped) ->
+          %{error: "Set up an OpenPGP key in email settings to sign messages."}
+
+        true ->
+          {text_body, html_body} = compose_bodies(email_params, body_format, socket)
+
+          bodies = %{text_body: text_body, html_body: html_body}
+          sanitized = Sanitizer.sanitize_body_content(bodies)
+
+          %{
+            entity: PGPMime.entity(sanitized.text_body, sanitized.html_body),
+            keys: Map.values(available) ++ own_keys,
+            private_key: user.pgp_private_key_wrapped,
+            user_id: user.id
+          }
+      end
+
+    {:reply, reply, socket}
+  end
+
   @impl true
   def handle_event("clear_form", _params, socket) do
     {:noreply,
@@ -619,81 +681,7 @@ defmodule ElektrineEmailWeb.EmailLive.Compose do
        |> assign(:form, to_form(email_params))
        |> notify_error("Type a reply before sending.")}
     else
-      {text_body, html_body} =
-        if mode in ["reply", "reply_all", "forward"] && email_params["new_message"] do
-          new_message = normalize_message_body(email_params["new_message"])
-          combined_text = combine_reply_text(new_message, email_params["body"])
-
-          combined_html =
-            if body_format == "plaintext" do
-              nil
-            else
-              if original_message && Elektrine.Strings.present?(original_message.html_body) do
-                new_message_html = markdown_to_html(new_message)
-
-                if mode == "reply" do
-                  date_str = format_date_for_quote(original_message.inserted_at)
-
-                  sender_text =
-                    if original_message.status == "sent" do
-                      "you"
-                    else
-                      original_message.from
-                    end
-
-                  new_message_html <> "<br><br>
-<div style=\"color: #666; border-left: 2px solid #ccc; padding-left: 10px; margin-left: 5px;\">
-  On #{date_str}, #{sender_text} wrote:<br>
-  #{original_message.html_body}
-</div>
-"
-                else
-                  date_str = format_date_for_quote(original_message.inserted_at)
-
-                  attachment_html =
-                    if original_message.attachments && is_map(original_message.attachments) &&
-                         map_size(original_message.attachments) > 0 do
-                      attachment_list =
-                        original_message.attachments
-                        |> Enum.map(fn {_key, attachment} ->
-                          filename = Map.get(attachment, "filename", "unknown")
-                          size = Map.get(attachment, "size", "unknown")
-                          "<li>#{filename} (#{size} bytes)</li>"
-                        end)
-                        |> Enum.map_join("", & &1)
-
-                      "<br><strong>Attachments:</strong><ul style='margin: 5px 0 10px 20px;'>#{attachment_list}</ul>"
-                    else
-                      ""
-                    end
-
-                  new_message_html <> "<br><br>
-<div style=\"border: 1px solid #ccc; padding: 15px; margin: 10px 0; background-color: #f9f9f9;\">
-  <div style=\"color: #666; margin-bottom: 10px;\">
-    ---------- Forwarded message ----------<br>
-    <strong>From:</strong> #{original_message.from}<br>
-    <strong>To:</strong> #{original_message.to}<br>
-    <strong>Date:</strong> #{date_str}<br>
-    <strong>Subject:</strong> #{original_message.subject}#{attachment_html}
-  </div>
-  <div style=\"margin-top: 15px;\">
-    #{original_message.html_body}
-  </div>
-</div>
-"
-                end
-              else
-                markdown_to_html(combined_text)
-              end
-            end
-
-          {combined_text, combined_html}
-        else
-          text = email_params["body"] || ""
-          text_with_signature = append_signature(text, socket.assigns.current_user)
-          html = html_body_for_format(text_with_signature, body_format)
-          {text_with_signature, html}
-        end
+      {text_body, html_body} = compose_bodies(email_params, body_format, socket)
 
       email_attrs = %{
         from: socket.assigns.from_address,
@@ -706,6 +694,8 @@ defmodule ElektrineEmailWeb.EmailLive.Compose do
         encryption_mode: email_params["encryption_mode"] || socket.assigns.encryption_mode
       }
 
+      email_attrs = maybe_put_pgp_mime(email_attrs, email_params["pgp_mime"])
+
       temp_message_id = "temp_#{System.system_time(:millisecond)}"
       mailbox_id = socket.assigns.mailbox.id
 
@@ -995,6 +985,13 @@ defmodule ElektrineEmailWeb.EmailLive.Compose do
            )
            |> assign(:form, to_form(email_params))}
 
+        {:error, :invalid_pgp_mime} ->
+          {:noreply,
+           socket
+           |> assign(:sending, false)
+           |> notify_error("The encrypted or signed message was incomplete. Please try again.")
+           |> assign(:form, to_form(email_params))}
+
         {:error, :gpg_unavailable} ->
           {:noreply,
            socket
@@ -1603,9 +1600,9 @@ Subject: #{message.subject}#{attachment_info}
 
   defp markdown_to_html(markdown) do
     markdown
-    |> MDEx.to_html!(render: [hardbreaks: true])
+    |> MDEx.to_html!(extension: Elektrine.Markdown.extensions(), render: [hardbreaks: true])
     |> style_block_elements()
-    |> Elektrine.Email.Sanitizer.sanitize_html_content()
+    |> Sanitizer.sanitize_html_content()
   end
 
   # MDEx emits bare block tags (<p>, <ul>, ...). Bare tags rely on the viewing
@@ -1626,6 +1623,89 @@ Subject: #{message.subject}#{attachment_info}
     |> String.replace("<pre>", ~s(<pre style="margin:0 0 1em 0;">))
   end
 
+  # Plain text and HTML bodies for the send, with the quoted original for
+  # replies and forwards. Shared by "save" and "pgp_prepare", so the browser
+  # signs or encrypts exactly what would otherwise be sent.
+  defp compose_bodies(email_params, body_format, socket) do
+    mode = socket.assigns.mode
+    original_message = Map.get(socket.assigns, :original_message)
+
+    if mode in ["reply", "reply_all", "forward"] && email_params["new_message"] do
+      new_message = normalize_message_body(email_params["new_message"])
+      combined_text = combine_reply_text(new_message, email_params["body"])
+
+      combined_html =
+        if body_format == "plaintext" do
+          nil
+        else
+          if original_message && Elektrine.Strings.present?(original_message.html_body) do
+            new_message_html = markdown_to_html(new_message)
+
+            if mode == "reply" do
+              date_str = format_date_for_quote(original_message.inserted_at)
+
+              sender_text =
+                if original_message.status == "sent" do
+                  "you"
+                else
+                  original_message.from
+                end
+
+              new_message_html <> "<br><br>
+<div style=\"color: #666; border-left: 2px solid #ccc; padding-left: 10px; margin-left: 5px;\">
+  On #{date_str}, #{sender_text} wrote:<br>
+  #{original_message.html_body}
+</div>
+"
+            else
+              date_str = format_date_for_quote(original_message.inserted_at)
+
+              attachment_html =
+                if original_message.attachments && is_map(original_message.attachments) &&
+                     map_size(original_message.attachments) > 0 do
+                  attachment_list =
+                    original_message.attachments
+                    |> Enum.map(fn {_key, attachment} ->
+                      filename = Map.get(attachment, "filename", "unknown")
+                      size = Map.get(attachment, "size", "unknown")
+                      "<li>#{filename} (#{size} bytes)</li>"
+                    end)
+                    |> Enum.map_join("", & &1)
+
+                  "<br><strong>Attachments:</strong><ul style='margin: 5px 0 10px 20px;'>#{attachment_list}</ul>"
+                else
+                  ""
+                end
+
+              new_message_html <> "<br><br>
+<div style=\"border: 1px solid #ccc; padding: 15px; margin: 10px 0; background-color: #f9f9f9;\">
+  <div style=\"color: #666; margin-bottom: 10px;\">
+    ---------- Forwarded message ----------<br>
+    <strong>From:</strong> #{original_message.from}<br>
+    <strong>To:</strong> #{original_message.to}<br>
+    <strong>Date:</strong> #{date_str}<br>
+    <strong>Subject:</strong> #{original_message.subject}#{attachment_html}
+  </div>
+  <div style=\"margin-top: 15px;\">
+    #{original_message.html_body}
+  </div>
+</div>
+"
+            end
+          else
+            markdown_to_html(combined_text)
+          end
+        end
+
+      {combined_text, combined_html}
+    else
+      text = email_params["body"] || ""
+      text_with_signature = append_signature(text, socket.assigns.current_user)
+      html = html_body_for_format(text_with_signature, body_format)
+      {text_with_signature, html}
+    end
+  end
+
   defp html_body_for_format(_body, "plaintext"), do: nil
 
   defp html_body_for_format(body, _format), do: markdown_to_html(body || "")
@@ -2082,6 +2162,30 @@ Subject: #{message.subject}#{attachment_info}
     |> assign(:encryption_status, status)
   end
 
+  defp maybe_put_pgp_mime(email_attrs, pgp_mime) when is_binary(pgp_mime) and pgp_mime != "" do
+    # A payload that does not decode is still passed on, so the sender rejects
+    # it instead of quietly sending the message in the clear.
+    case Jason.decode(pgp_mime) do
+      {:ok, %{} = decoded} -> Map.put(email_attrs, :pgp_mime, decoded)
+      _ -> Map.put(email_attrs, :pgp_mime, pgp_mime)
+    end
+  end
+
+  defp maybe_put_pgp_mime(email_attrs, _pgp_mime), do: email_attrs
+
+  defp pgp_unprotected_attachments?(socket, email_params) do
+    forwarding? = socket.assigns.mode == "forward"
+
+    socket.assigns.uploads.attachments.entries != [] or
+      Elektrine.Strings.present?(email_params["private_forward_attachments"]) or
+      (forwarding? and original_attachments?(socket.assigns.original_message))
+  end
+
+  defp original_attachments?(%{attachments: attachments}) when is_map(attachments),
+    do: map_size(attachments) > 0
+
+  defp original_attachments?(_message), do: false
+
   defp missing_pgp_keys_message([]) do
     "Encryption is required, but no recipient public keys are available."
   end
@@ -360,6 +360,21 @@ defmodule ElektrineEmailWeb.EmailLive.EmailHelpers do
     is_map(payload) and map_size(payload) > 0
   end
 
+  @pgp_armor_markers ["-----BEGIN PGP MESSAGE-----", "-----BEGIN PGP SIGNED MESSAGE-----"]
+
+  @doc """
+  Whether a message is OpenPGP encrypted or signed - PGP/MIME or inline - and
+  should get the browser-side decrypt and signature check.
+  """
+  def pgp_message?(message) do
+    metadata = Map.get(message, :metadata) || %{}
+    pgp = metadata["pgp"] || %{}
+
+    pgp["encrypted"] == true or pgp["signed"] == true or pgp["pgp_mime"] == true or
+      metadata["pgp_encrypted"] == true or is_binary(metadata["pgp_mime"]) or
+      String.contains?(Map.get(message, :text_body) || "", @pgp_armor_markers)
+  end
+
   def private_attachment?(attachment) when is_map(attachment) do
     payload =
       Map.get(attachment, "private_encrypted_payload") ||
@@ -90,6 +90,7 @@ defmodule ElektrineEmailWeb.EmailLive.Index do
      |> assign(:page_title, "Email")
      |> assign(:mailbox, mailbox)
      |> assign(:master_vault, Elektrine.Vault.get(user.id))
+     |> assign(:vault_passkey, Elektrine.Vault.passkey_unlock_options(user.id, socket.host_uri))
      |> assign(:mailbox_addresses, mailbox_addresses(mailbox, user))
      |> assign(:digest_filter_enabled, Elektrine.Email.Mailbox.digest_filter_enabled?(mailbox))
      |> assign(:ledger_filter_enabled, Elektrine.Email.Mailbox.ledger_filter_enabled?(mailbox))
@@ -349,6 +350,9 @@ defmodule ElektrineEmailWeb.EmailLive.Index do
           socket
       end
 
+    socket =
+      if private_message?(message), do: push_private_mailbox_changed(socket), else: socket
+
     {:noreply, socket}
   end
 
@@ -386,6 +390,7 @@ defmodule ElektrineEmailWeb.EmailLive.Index do
       |> assign(:stack_unread_count, Cached.unread_stack_count(mailbox.id))
       |> assign(:boomerang_unread_count, Cached.unread_reply_later_count(mailbox.id))
       |> load_tab_content(socket.assigns.current_tab, current_tab_params(socket))
+      |> push_private_mailbox_changed()
 
     {:noreply, socket}
   end
@@ -397,6 +402,15 @@ defmodule ElektrineEmailWeb.EmailLive.Index do
     {:noreply, socket}
   end
 
+  # Tells the private mailbox search hook to index new mail and drop deleted mail.
+  defp push_private_mailbox_changed(socket) do
+    if socket.assigns.mailbox.private_storage_wrapped_private_key do
+      push_event(socket, "private-mailbox-changed", %{})
+    else
+      socket
+    end
+  end
+
   defp get_or_create_mailbox(user) do
     case Email.get_user_mailbox(user.id) do
       nil ->
@@ -5,8 +5,11 @@ defmodule ElektrineEmailWeb.EmailLive.Operations.SearchOperations do
 
   import Phoenix.Component
 
+  alias Elektrine.Email
   alias Elektrine.Email.Cached
 
+  @envelope_batch_size 100
+
   def handle_event("search", %{"search" => %{"query" => query}}, socket) do
     if Elektrine.Strings.present?(query) do
       mailbox = socket.assigns.mailbox
@@ -30,6 +33,29 @@ defmodule ElektrineEmailWeb.EmailLive.Operations.SearchOperations do
     end
   end
 
+  # Feeds the browser-side search index of a private mailbox, whose messages
+  # the server can't read. Replies with the next batch of envelopes after the
+  # client's cursor and, when asked, the ids of all messages still present.
+  def handle_event("private_search_envelopes", params, socket) do
+    mailbox = socket.assigns.mailbox
+
+    if mailbox.private_storage_wrapped_private_key do
+      envelopes =
+        Email.list_private_envelopes(mailbox.id, cursor(params["after"]), @envelope_batch_size)
+
+      reply = %{envelopes: envelopes, more: length(envelopes) == @envelope_batch_size}
+
+      reply =
+        if params["ids"] == true,
+          do: Map.put(reply, :message_ids, Email.list_private_message_ids(mailbox.id)),
+          else: reply
+
+      {:reply, reply, socket}
+    else
+      {:reply, %{envelopes: [], more: false}, socket}
+    end
+  end
+
   def handle_event("clear_search", _params, socket) do
     {:noreply,
      socket
@@ -38,4 +64,15 @@ defmodule ElektrineEmailWeb.EmailLive.Operations.SearchOperations do
      |> assign(:messages, [])
      |> assign(:searching, false)}
   end
+
+  defp cursor(value) when is_integer(value) and value > 0, do: value
+
+  defp cursor(value) when is_binary(value) do
+    case Integer.parse(value) do
+      {id, ""} when id > 0 -> id
+      _ -> 0
+    end
+  end
+
+  defp cursor(_value), do: 0
 end
@@ -39,6 +39,9 @@ defmodule ElektrineEmailWeb.EmailLive.Router do
       "clear_search" ->
         SearchOperations.handle_event(event_name, params, socket)
 
+      "private_search_envelopes" ->
+        SearchOperations.handle_event(event_name, params, socket)
+
       # Selection operations
       "toggle_message_selection" ->
         SelectionOperations.handle_event(event_name, params, socket)
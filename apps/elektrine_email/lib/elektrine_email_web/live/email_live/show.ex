@@ -7,6 +7,7 @@ defmodule ElektrineEmailWeb.EmailLive.Show do
 
   alias Elektrine.Email
   alias Elektrine.Email.Cached
+  alias Elektrine.Email.RemoteContent
   alias Elektrine.Utils.SafeConvert
 
   @impl true
@@ -89,6 +90,7 @@ defmodule ElektrineEmailWeb.EmailLive.Show do
      |> assign(:page_title, message.subject)
      |> assign(:mailbox, mailbox)
      |> assign(:master_vault, Elektrine.Vault.get(user.id))
+     |> assign(:vault_passkey, Elektrine.Vault.passkey_unlock_options(user.id, socket.host_uri))
      |> assign(:mailbox_addresses, mailbox_addresses(mailbox, user))
      |> assign(:message, message)
      |> assign(:thread_messages, thread_messages)
@@ -101,7 +103,10 @@ defmodule ElektrineEmailWeb.EmailLive.Show do
      |> assign(:return_query, return_context.return_query)
      |> assign(:show_reply_later_modal, false)
      |> assign(:remote_images_allowed, false)
-     |> assign(:has_remote_images, has_remote_images?(message))}
+     |> assign(:remote_content, remote_content_summary(message))
+     |> assign(:remote_content_mode, fresh_user.email_remote_content)
+     |> assign(:remote_content_senders, remote_content_senders(message, user.id))
+     |> assign(:remote_sender_allowed, RemoteContent.sender_allowed?(user.id, message.from))}
   end
 
   @impl true
@@ -316,6 +321,24 @@ defmodule ElektrineEmailWeb.EmailLive.Show do
     {:noreply, assign(socket, :remote_images_allowed, true)}
   end
 
+  # Private messages send their decrypted sender; the server never saw it.
+  def handle_event("always_load_remote_content", params, socket) do
+    user = socket.assigns.current_user
+    sender = params["sender"] || socket.assigns.message.from
+
+    case RemoteContent.allow_sender(user.id, sender || "") do
+      {:ok, _sender} ->
+        {:noreply,
+         socket
+         |> assign(:remote_images_allowed, true)
+         |> assign(:remote_sender_allowed, true)
+         |> notify_info("Remote content from this sender will always load")}
+
+      {:error, _changeset} ->
+        {:noreply, notify_error(socket, "Could not remember this sender")}
+    end
+  end
+
   def handle_event("download_attachment", %{"attachment-id" => attachment_id}, socket) do
     message = socket.assigns.message
     attachment = get_in(message.attachments, [attachment_id])
@@ -494,15 +517,31 @@ defmodule ElektrineEmailWeb.EmailLive.Show do
     end
   end
 
-  # Detects remote (tracking-capable) image references so the viewer only
-  # shows the "load images" prompt when there is something to load.
-  defp has_remote_images?(message) do
-    html = message.html_body
+  # Counts remote references, tracking pixels and tracked links so the viewer
+  # only shows the remote content bar when there is something to report.
+  # Private messages are analyzed in the browser after decryption.
+  defp remote_content_summary(message) do
+    if private_message?(message) do
+      RemoteContent.analyze(nil)
+    else
+      RemoteContent.analyze(message.html_body)
+    end
+  end
+
+  defp remote_content_loaded?(assigns) do
+    assigns.remote_images_allowed or assigns.remote_sender_allowed
+  end
+
+  defp show_remote_content_bar?(%{remote_content: summary} = assigns) do
+    summary.trackers > 0 or summary.tracked_links > 0 or
+      (summary.remote > 0 and not remote_content_loaded?(assigns))
+  end
 
-    not private_message?(message) and is_binary(html) and
-      (Regex.match?(
-         ~r/<(?:img|source|video)\b[^>]*\b(?:src|srcset|poster)\s*=\s*["']\s*https?:/i,
-         html
-       ) or Regex.match?(~r/url\(\s*["']?https?:/i, html))
+  defp remote_content_senders(message, user_id) do
+    if private_message?(message) do
+      user_id |> RemoteContent.list_senders() |> Enum.map(& &1.email)
+    else
+      []
+    end
   end
 end
@@ -377,6 +377,44 @@ defmodule Elektrine.Email.MailboxPrivateStorageTest do
     assert is_nil(mailbox.private_storage_verifier)
   end
 
+  test "list_private_envelopes pages through encrypted messages for the browser search index" do
+    user = AccountsFixtures.user_fixture()
+    mailbox = private_mailbox_fixture(user)
+
+    [first, second, deleted, draft] =
+      for {subject, status} <- [
+            {"First", "received"},
+            {"Second", "received"},
+            {"Deleted", "received"},
+            {"Draft", "draft"}
+          ] do
+        {:ok, message} =
+          Email.create_message(%{
+            mailbox_id: mailbox.id,
+            from: "sender@example.com",
+            to: mailbox.email,
+            subject: subject,
+            text_body: "Private body",
+            status: status,
+            message_id: "<private-search-#{System.unique_integer([:positive])}@example.com>"
+          })
+
+        message
+      end
+
+    deleted |> Ecto.Changeset.change(deleted: true) |> Repo.update!()
+
+    assert [envelope] = Email.list_private_envelopes(mailbox.id, 0, 1)
+    assert envelope.id == first.id
+    assert envelope.hash == first.hash
+    assert envelope.payload["ciphertext"]
+    refute inspect(envelope) =~ "Private body"
+
+    assert Enum.map(Email.list_private_envelopes(mailbox.id, first.id), & &1.id) == [second.id]
+    assert Email.list_private_message_ids(mailbox.id) |> Enum.sort() == [first.id, second.id]
+    refute draft.id in Email.list_private_message_ids(mailbox.id)
+  end
+
   defp private_mailbox_fixture(user) do
     mailbox =
       Email.get_user_mailbox(user.id) ||
@@ -0,0 +1,166 @@
+defmodule Elektrine.Email.PGPMimeTest do
+  use ExUnit.Case, async: true
+
+  alias Elektrine.Email.HarakaClient
+  alias Elektrine.Email.PGPMime
+
+  @armor "-----BEGIN PGP MESSAGE-----\n\nwV4DAAAAAAAAAAASAQdA\n=abcd\n-----END PGP MESSAGE-----\n"
+  @signature "-----BEGIN PGP SIGNATURE-----\n\nwnUEARYKAB0WIQ\n=abcd\n-----END PGP SIGNATURE-----"
+
+  defp params(pgp_mime) do
+    %{
+      from: "Alice Example <alice@example.com>",
+      to: "bob@example.net",
+      subject: "Quarterly numbers",
+      text_body: "Hello Bob",
+      html_body: "<p>Hello Bob</p>",
+      pgp_mime: pgp_mime
+    }
+  end
+
+  describe "entity/2" do
+    test "wraps a text body as a single base64 part" do
+      entity = PGPMime.entity("Hello\nworld")
+
+      assert entity ==
+               "Content-Type: text/plain; charset=utf-8\r\n" <>
+                 "Content-Transfer-Encoding: base64\r\n\r\n" <>
+                 Base.encode64("Hello\nworld") <> "\r\n"
+    end
+
+    test "uses multipart/alternative when there is an html body" do
+      entity = PGPMime.entity("Hello", "<p>Hello</p>")
+
+      assert entity =~ ~r/\AContent-Type: multipart\/alternative; boundary="=_elektrine_/
+      assert entity =~ "Content-Type: text/plain; charset=utf-8"
+      assert entity =~ "Content-Type: text/html; charset=utf-8"
+      assert entity =~ Base.encode64("<p>Hello</p>")
+    end
+
+    test "keeps base64 lines within 76 characters" do
+      entity = PGPMime.entity(String.duplicate("long line ", 40))
+
+      entity
+      |> String.split("\r\n")
+      |> Enum.each(&assert(byte_size(&1) <= 76))
+    end
+  end
+
+  describe "prepare/1" do
+    test "replaces the body with the armor for encrypted messages" do
+      assert {:ok, prepared} =
+               PGPMime.prepare(params(%{"type" => "encrypted", "armor" => @armor}))
+
+      assert prepared.text_body == String.replace(String.trim(@armor), "\n", "\r\n")
+      assert prepared.html_body == nil
+      assert prepared.pgp_encrypted
+      assert prepared.message_id =~ ~r/\A<[0-9a-f-]+@example\.com>\z/
+    end
+
+    test "keeps the bodies of signed messages" do
+      entity = PGPMime.entity("Hello Bob")
+
+      assert {:ok, prepared} =
+               PGPMime.prepare(
+                 params(%{
+                   "type" => "signed",
+                   "entity" => entity,
+                   "signature" => @signature,
+                   "micalg" => "pgp-sha512"
+                 })
+               )
+
+      assert prepared.text_body == "Hello Bob"
+      assert prepared.pgp_mime["entity"] == entity
+    end
+
+    test "rejects payloads that are not OpenPGP output" do
+      for pgp_mime <- [
+            nil,
+            %{"type" => "encrypted", "armor" => "plain text"},
+            %{"type" => "signed", "entity" => "Subject: hi", "signature" => @signature},
+            %{
+              "type" => "signed",
+              "entity" => PGPMime.entity("Hi"),
+              "signature" => @signature,
+              "micalg" => "pgp-md5"
+            },
+            %{"type" => "cleartext"}
+          ] do
+        assert {:error, :invalid_pgp_mime} = PGPMime.prepare(params(pgp_mime))
+      end
+    end
+  end
+
+  describe "render/1" do
+    test "renders an RFC 3156 encrypted message" do
+      {:ok, prepared} = PGPMime.prepare(params(%{"type" => "encrypted", "armor" => @armor}))
+      raw = PGPMime.render(prepared)
+
+      assert raw =~ "From: Alice Example <alice@example.com>\r\n"
+      assert raw =~ "To: bob@example.net\r\n"
+      assert raw =~ "MIME-Version: 1.0\r\n"
+
+      assert raw =~ ~s(Content-Type: multipart/encrypted; protocol="application/pgp-encrypted")
+      assert raw =~ ~r/; boundary="=_elektrine_[0-9a-f]{24}"\r\n/
+
+      assert raw =~ "Content-Type: application/pgp-encrypted\r\n"
+      assert raw =~ "\r\n\r\nVersion: 1\r\n"
+      assert raw =~ "-----BEGIN PGP MESSAGE-----\r\n"
+      refute raw =~ "Hello Bob"
+      refute raw =~ ~r/[^\r]\n/
+    end
+
+    test "keeps the signed entity byte for byte" do
+      entity = PGPMime.entity("Hello Bob", "<p>Hello Bob</p>")
+
+      {:ok, prepared} =
+        PGPMime.prepare(
+          params(%{
+            "type" => "signed",
+            "entity" => entity,
+            "signature" => @signature,
+            "micalg" => "pgp-sha256"
+          })
+        )
+
+      raw = PGPMime.render(prepared)
+      [_, boundary] = Regex.run(~r/micalg=pgp-sha256; [^;]+; boundary="([^"]+)"/, raw)
+
+      assert String.contains?(raw, "--#{boundary}\r\n" <> entity <> "\r\n--#{boundary}\r\n")
+      assert raw =~ "Content-Type: application/pgp-signature; name=\"signature.asc\"\r\n"
+      assert String.ends_with?(raw, "--#{boundary}--\r\n")
+    end
+
+    test "uses the original recipient lines and folds injected header breaks" do
+      {:ok, prepared} =
+        params(%{"type" => "encrypted", "armor" => @armor})
+        |> Map.merge(%{
+          to: "bob@example.net",
+          subject: "Hi\r\nBcc: eve@example.org",
+          headers: %{
+            "X-Elektrine-Original-To" => "bob@example.net, carol@example.org",
+            "X-Elektrine-Original-Cc" => "dave@example.org"
+          }
+        })
+        |> PGPMime.prepare()
+
+      raw = PGPMime.render(prepared)
+
+      assert raw =~ "To: bob@example.net, carol@example.org\r\n"
+      assert raw =~ "Cc: dave@example.org\r\n"
+      refute raw =~ "\r\nBcc:"
+    end
+  end
+
+  describe "HarakaClient.build_api_body/1" do
+    test "sends PGP/MIME messages as a raw message" do
+      {:ok, prepared} = PGPMime.prepare(params(%{"type" => "encrypted", "armor" => @armor}))
+      body = HarakaClient.build_api_body(prepared)
+
+      assert {:ok, raw} = Base.decode64(body["raw_base64"])
+      assert raw =~ "multipart/encrypted"
+      refute raw =~ "Hello Bob"
+    end
+  end
+end
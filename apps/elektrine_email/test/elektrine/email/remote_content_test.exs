@@ -0,0 +1,147 @@
+defmodule Elektrine.Email.RemoteContentTest do
+  use Elektrine.DataCase, async: true
+
+  import Elektrine.AccountsFixtures
+
+  alias Elektrine.Email.RemoteContent
+
+  @html """
+  <p>Hello</p>
+  <img src="https://cdn.example.com/logo.png" width="120" height="40">
+  <img src="https://example.com/t.gif" width="1" height="1">
+  <img src="https://mailtrack.io/trace/mail/abc.png">
+  <img src="https://example.com/p.gif" style="display:none">
+  <div style="background-image: url('https://example.com/bg.png')">Body</div>
+  <a href="https://ct.sendgrid.net/ls/click?upn=abc">Read more</a>
+  <a href="https://example.com/article">Article</a>
+  """
+
+  describe "analyze/1" do
+    test "counts remote references, tracking pixels and tracked links" do
+      assert RemoteContent.analyze(@html) == %{remote: 2, trackers: 3, tracked_links: 1}
+    end
+
+    test "returns zeroes for messages without html" do
+      assert RemoteContent.analyze(nil) == %{remote: 0, trackers: 0, tracked_links: 0}
+    end
+  end
+
+  describe "render/2" do
+    test "removes tracking pixels and labels tracked links in every mode" do
+      for mode <- [:allow, :block, :proxy] do
+        html = RemoteContent.render(@html, mode)
+
+        refute html =~ "t.gif"
+        refute html =~ "mailtrack.io"
+        refute html =~ "p.gif"
+        assert html =~ ~s(data-elektrine-tracked-link="ct.sendgrid.net")
+        assert html =~ ~s(title="Tracked link via ct.sendgrid.net")
+        refute html =~ ~s(href="https://example.com/article" data-elektrine-tracked-link)
+      end
+    end
+
+    test "keeps remote content when allowed" do
+      html = RemoteContent.render(@html, :allow)
+
+      assert html =~ ~s(src="https://cdn.example.com/logo.png")
+      assert html =~ "url('https://example.com/bg.png')"
+    end
+
+    test "replaces remote content when blocked" do
+      html = RemoteContent.render(@html, :block)
+
+      refute html =~ "https://cdn.example.com/logo.png"
+      refute html =~ "https://example.com/bg.png"
+      assert html =~ "data:image/gif;base64"
+      assert html =~ "background-image: none"
+    end
+
+    test "drops remote stylesheets and imports when blocked" do
+      html =
+        RemoteContent.render(
+          """
+          <link rel="stylesheet" href="https://cdn.example.com/email.css">
+          <style>@import url("https://cdn.example.com/fonts.css"); p { color: red; }</style>
+          """,
+          :block
+        )
+
+      refute html =~ "email.css"
+      refute html =~ "fonts.css"
+      assert html =~ "p { color: red; }"
+    end
+
+    test "routes images through the media proxy in proxy mode" do
+      html = RemoteContent.render(@html, :proxy)
+
+      refute html =~ ~s(src="https://cdn.example.com/logo.png")
+      assert html =~ Elektrine.MediaProxy.base_url()
+    end
+  end
+
+  describe "tracking_pixel?/1" do
+    test "detects tiny, hidden and known tracker images" do
+      assert RemoteContent.tracking_pixel?(~s(<img src="https://a.example/x" width="1" height=1>))
+      assert RemoteContent.tracking_pixel?(~s(<img src="https://a.example/x" width=0 height=0>))
+
+      assert RemoteContent.tracking_pixel?(
+               ~s(<img src="https://a.example/x" style="width:1px;height:1px">)
+             )
+
+      assert RemoteContent.tracking_pixel?(~s(<img src="https://a.example/wf/open?upn=1">))
+    end
+
+    test "leaves regular and inline images alone" do
+      refute RemoteContent.tracking_pixel?(~s(<img src="https://a.example/hero.jpg">))
+      refute RemoteContent.tracking_pixel?(~s(<img src="cid:logo" width="1" height="1">))
+      refute RemoteContent.tracking_pixel?(~s(<img src="https://a.example/open.png">))
+    end
+  end
+
+  describe "tracked_link?/1" do
+    test "detects click-tracking redirectors" do
+      assert RemoteContent.tracked_link?("https://ct.sendgrid.net/ls/click?upn=1")
+      assert RemoteContent.tracked_link?("https://click.news.example.com/abc")
+      assert RemoteContent.tracked_link?("https://www.google.com/url?q=https://example.com")
+      assert RemoteContent.tracked_link?("https://example.com/track/click?id=1")
+    end
+
+    test "leaves direct links alone" do
+      refute RemoteContent.tracked_link?("https://example.com/article")
+      refute RemoteContent.tracked_link?("mailto:someone@example.com")
+      refute RemoteContent.tracked_link?(nil)
+    end
+  end
+
+  describe "sender allowlist" do
+    setup do
+      {:ok, user: user_fixture()}
+    end
+
+    test "allows a sender by address", %{user: user} do
+      refute RemoteContent.sender_allowed?(user.id, "News <news@example.com>")
+
+      assert {:ok, _sender} = RemoteContent.allow_sender(user.id, "News <News@Example.com>")
+      assert {:ok, _sender} = RemoteContent.allow_sender(user.id, "news@example.com")
+
+      assert RemoteContent.sender_allowed?(user.id, "news@example.com")
+      assert [%{email: "news@example.com"}] = RemoteContent.list_senders(user.id)
+    end
+
+    test "removes a sender", %{user: user} do
+      {:ok, _sender} = RemoteContent.allow_sender(user.id, "news@example.com")
+      RemoteContent.remove_sender(user.id, "news@example.com")
+
+      refute RemoteContent.sender_allowed?(user.id, "news@example.com")
+    end
+
+    test "picks the render mode for a viewer", %{user: user} do
+      assert RemoteContent.mode_for(user, "news@example.com") == :block
+      assert RemoteContent.mode_for(user, "news@example.com", true) == :allow
+      assert RemoteContent.mode_for(%{user | email_remote_content: "proxy"}, "a@b.co") == :proxy
+
+      {:ok, _sender} = RemoteContent.allow_sender(user.id, "news@example.com")
+      assert RemoteContent.mode_for(user, "News <news@example.com>") == :allow
+    end
+  end
+end
@@ -6,9 +6,12 @@ defmodule Elektrine.Nerve do
   server-side. The server stores and returns ciphertext envelopes only.
   """
   import Ecto.Query, warn: false
+  alias Ecto.Multi
   alias Elektrine.Nerve.{NerveEntry, NerveSettings}
   alias Elektrine.Repo
 
+  @import_batch_limit 50
+
   @doc """
   Creates or updates per-user Nerve setup metadata.
   """
@@ -55,6 +58,36 @@ defmodule Elektrine.Nerve do
     |> Repo.insert()
   end
 
+  @doc "Maximum number of entries accepted by `import_entries/2` in one call."
+  def import_batch_limit, do: @import_batch_limit
+
+  @doc """
+  Imports a batch of client-encrypted entries for a user.
+
+  The batch is inserted in one transaction. On failure nothing is stored and
+  `{:error, index, changeset}` points at the first rejected entry.
+  """
+  def import_entries(user_id, entries) when is_integer(user_id) and is_list(entries) do
+    if length(entries) > @import_batch_limit do
+      {:error, :batch_too_large}
+    else
+      entries
+      |> Enum.with_index()
+      |> Enum.reduce(Multi.new(), fn {attrs, index}, multi ->
+        attrs = attrs |> normalize_params() |> Map.put("user_id", user_id)
+        Multi.insert(multi, index, NerveEntry.create_changeset(%NerveEntry{}, attrs))
+      end)
+      |> Repo.transaction()
+      |> case do
+        {:ok, inserted} ->
+          {:ok, inserted |> Enum.sort_by(&elem(&1, 0)) |> Enum.map(&elem(&1, 1))}
+
+        {:error, index, changeset, _changes} ->
+          {:error, index, changeset}
+      end
+    end
+  end
+
   @doc """
   Updates a nerve entry for a user.
   """
@@ -118,7 +151,8 @@ defmodule Elektrine.Nerve do
       :encrypted_metadata,
       :inserted_at,
       :encrypted_password,
-      :encrypted_notes
+      :encrypted_notes,
+      :encrypted_totp
     ]
   end
 end
@@ -15,6 +15,7 @@ defmodule Elektrine.Nerve.NerveEntry do
     field :encrypted_metadata, :map
     field :encrypted_password, :map
     field :encrypted_notes, :map
+    field :encrypted_totp, :map
 
     # Virtual fields used when revealing decrypted entry data.
     field :password, :string, virtual: true
@@ -55,6 +56,7 @@ defmodule Elektrine.Nerve.NerveEntry do
       :encrypted_metadata,
       :encrypted_password,
       :encrypted_notes,
+      :encrypted_totp,
       :user_id
     ])
     |> normalize_string(:title)
@@ -70,6 +72,7 @@ defmodule Elektrine.Nerve.NerveEntry do
     |> validate_encrypted_payload(:encrypted_metadata, required: true)
     |> validate_encrypted_payload(:encrypted_password, required: true)
     |> validate_encrypted_payload(:encrypted_notes, required: false)
+    |> validate_encrypted_payload(:encrypted_totp, required: false)
     |> validate_website()
     |> foreign_key_constraint(:user_id)
   end
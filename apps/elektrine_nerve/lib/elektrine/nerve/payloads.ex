@@ -10,23 +10,31 @@ defmodule Elektrine.Nerve.Payloads do
   def decode_setup_params(_params), do: {:error, :invalid_payload}
 
   def decode_encrypted_entry_params(params) when is_map(params) do
-    case decode_payload_field(params, "encrypted_metadata", required: true) do
-      {:ok, decoded_params} ->
-        case decode_payload_field(decoded_params, "encrypted_password", required: true) do
-          {:ok, decoded_params} ->
-            decode_payload_field(decoded_params, "encrypted_notes", required: false)
-
-          error ->
-            error
-        end
-
-      error ->
-        error
+    with {:ok, params} <- decode_payload_field(params, "encrypted_metadata", required: true),
+         {:ok, params} <- decode_payload_field(params, "encrypted_password", required: true),
+         {:ok, params} <- decode_payload_field(params, "encrypted_notes", required: false) do
+      decode_payload_field(params, "encrypted_totp", required: false)
     end
   end
 
   def decode_encrypted_entry_params(_params), do: {:error, :invalid_payload}
 
+  def decode_encrypted_entry_batch(entries) when is_list(entries) do
+    entries
+    |> Enum.reduce_while({:ok, []}, fn entry, {:ok, decoded} ->
+      case decode_encrypted_entry_params(entry) do
+        {:ok, params} -> {:cont, {:ok, [params | decoded]}}
+        {:error, _reason} = error -> {:halt, error}
+      end
+    end)
+    |> case do
+      {:ok, decoded} -> {:ok, Enum.reverse(decoded)}
+      error -> error
+    end
+  end
+
+  def decode_encrypted_entry_batch(_entries), do: {:error, :invalid_payload}
+
   def encode_payload(nil), do: ""
   def encode_payload(payload) when is_map(payload), do: Jason.encode!(payload)
 
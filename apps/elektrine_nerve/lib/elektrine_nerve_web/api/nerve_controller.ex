@@ -13,13 +13,16 @@ defmodule ElektrineNerveWeb.API.NerveController do
 
   @doc """
   GET /api/ext/v1/nerve/entries
+
+  Pass `include_ciphertext=true` to receive every encrypted field, as exports need.
   """
   def index(conn, params) do
     user = conn.assigns.current_user
     limit = parse_positive_int(params["limit"], 50) |> min(100)
     offset = parse_non_negative_int(params["offset"], 0)
+    include_ciphertext? = params["include_ciphertext"] == "true"
 
-    all_entries = Nerve.list_entries(user.id)
+    all_entries = Nerve.list_entries(user.id, include_secrets: include_ciphertext?)
     entries = all_entries |> Enum.drop(offset) |> Enum.take(limit)
     master = Vault.get(user.id)
 
@@ -69,6 +72,37 @@ defmodule ElektrineNerveWeb.API.NerveController do
     end
   end
 
+  @doc """
+  POST /api/ext/v1/nerve/entries/batch
+
+  Imports up to `Nerve.import_batch_limit/0` client-encrypted entries at once.
+  """
+  def create_batch(conn, params) do
+    user = conn.assigns.current_user
+
+    with {:ok, entries} <- Payloads.decode_encrypted_entry_batch(Map.get(params, "entries")),
+         {:ok, imported} <- Nerve.import_entries(user.id, entries) do
+      Response.created(conn, %{entries: Enum.map(imported, &format_entry/1)})
+    else
+      {:error, :invalid_payload} ->
+        Response.error(conn, :bad_request, "invalid_payload", "Invalid entry payload")
+
+      {:error, :batch_too_large} ->
+        Response.error(
+          conn,
+          :unprocessable_entity,
+          "batch_too_large",
+          "Import at most #{Nerve.import_batch_limit()} entries per batch"
+        )
+
+      {:error, index, changeset} ->
+        Response.error(conn, :unprocessable_entity, "validation_failed", "Invalid entry", %{
+          index: index,
+          errors: errors_on(changeset)
+        })
+    end
+  end
+
   @doc """
   PUT /api/ext/v1/nerve/entries/:id
   """
@@ -177,6 +211,7 @@ defmodule ElektrineNerveWeb.API.NerveController do
       encrypted_metadata: entry.encrypted_metadata,
       encrypted_password: if(include_ciphertext?, do: entry.encrypted_password, else: nil),
       encrypted_notes: if(include_ciphertext?, do: entry.encrypted_notes, else: nil),
+      encrypted_totp: if(include_ciphertext?, do: entry.encrypted_totp, else: nil),
       inserted_at: entry.inserted_at,
       updated_at: entry.updated_at
     }
@@ -22,6 +22,7 @@ defmodule ElektrineNerveWeb.NerveLive do
      |> assign(:active_announcements, active_announcements)
      |> assign(:vault_configured, not is_nil(master))
      |> assign(:wrapped_dek, master && master.wrapped_dek)
+     |> assign(:vault_passkey, Elektrine.Vault.passkey_unlock_options(user.id, socket.host_uri))
      |> assign(:entries, Nerve.list_entries(user.id))
      |> assign(:form, entry_form(user.id))}
   end
@@ -84,7 +85,8 @@ defmodule ElektrineNerveWeb.NerveLive do
        %{
          status: "ok",
          encrypted_password: Payloads.encode_payload(entry.encrypted_password),
-         encrypted_notes: Payloads.encode_payload(entry.encrypted_notes)
+         encrypted_notes: Payloads.encode_payload(entry.encrypted_notes),
+         encrypted_totp: Payloads.encode_payload(entry.encrypted_totp)
        }, socket}
     else
       _ ->
@@ -92,6 +94,48 @@ defmodule ElektrineNerveWeb.NerveLive do
     end
   end
 
+  @impl true
+  def handle_event("import_batch", %{"entries" => entries}, socket) do
+    user = socket.assigns.current_user
+
+    with {:ok, entries} <- Payloads.decode_encrypted_entry_batch(entries),
+         {:ok, imported} <- Nerve.import_entries(user.id, entries) do
+      {:reply, %{status: "ok", imported: length(imported)},
+       assign(socket, :entries, Nerve.list_entries(user.id))}
+    else
+      {:error, :batch_too_large} ->
+        {:reply, %{status: "error", error: "This import batch is too large."}, socket}
+
+      {:error, :invalid_payload} ->
+        {:reply, %{status: "error", error: "Nerve payload is invalid. Unlock Nerve and try again."},
+         socket}
+
+      {:error, index, _changeset} ->
+        {:reply, %{status: "error", error: "Entry #{index + 1} of this batch was rejected."},
+         socket}
+    end
+  end
+
+  @impl true
+  def handle_event("export_entries", _params, socket) do
+    user = socket.assigns.current_user
+
+    entries =
+      user.id
+      |> Nerve.list_entries(include_secrets: true)
+      |> Enum.map(fn entry ->
+        %{
+          id: entry.id,
+          encrypted_metadata: Payloads.encode_payload(entry.encrypted_metadata),
+          encrypted_password: Payloads.encode_payload(entry.encrypted_password),
+          encrypted_notes: Payloads.encode_payload(entry.encrypted_notes),
+          encrypted_totp: Payloads.encode_payload(entry.encrypted_totp)
+        }
+      end)
+
+    {:reply, %{status: "ok", entries: entries, batch_limit: Nerve.import_batch_limit()}, socket}
+  end
+
   @impl true
   def render(assigns) do
     ~H"""
@@ -136,6 +180,12 @@ defmodule ElektrineNerveWeb.NerveLive do
                       </button>
                     </div>
 
+                    <Elektrine.Components.VaultPasskeyUnlock.vault_passkey_unlock
+                      id="nerve-passkey-unlock"
+                      options={@vault_passkey}
+                      button_class="btn btn-surface btn-sm w-full"
+                    />
+
                     <p
                       class="text-xs text-base-content/70"
                       data-vault-status
@@ -313,6 +363,42 @@ defmodule ElektrineNerveWeb.NerveLive do
                       </p>
                     </div>
 
+                    <div
+                      id="nerve-entry-match-rule"
+                      class="grid gap-4 sm:grid-cols-2"
+                      phx-update="ignore"
+                    >
+                      <div class="form-control">
+                        <label class="label" for="entry-match-mode">
+                          <span class="label-text">Autofill on</span>
+                        </label>
+                        <select
+                          id="entry-match-mode"
+                          class="select select-bordered w-full"
+                          data-nerve-match-mode-input
+                        >
+                          <option value="domain" selected>Same site (registrable domain)</option>
+                          <option value="host">Exact host</option>
+                          <option value="starts_with">URL starts with</option>
+                          <option value="regex">Regular expression</option>
+                          <option value="never">Never autofill</option>
+                        </select>
+                      </div>
+
+                      <div class="form-control hidden" data-nerve-match-pattern-field>
+                        <label class="label" for="entry-match-pattern">
+                          <span class="label-text">Match</span>
+                        </label>
+                        <input
+                          id="entry-match-pattern"
+                          type="text"
+                          class="input input-bordered w-full font-mono"
+                          placeholder="Defaults to the website URL"
+                          data-nerve-match-pattern-input
+                        />
+                      </div>
+                    </div>
+
                     <div class="form-control">
                       <div class="label py-0 mb-1">
                         <span class="label-text">Password</span>
@@ -352,6 +438,21 @@ defmodule ElektrineNerveWeb.NerveLive do
                       ></textarea>
                     </div>
 
+                    <div class="form-control">
+                      <label class="label" for="nerve-totp-input">
+                        <span class="label-text">Authenticator key (TOTP)</span>
+                      </label>
+                      <input
+                        id="nerve-totp-input"
+                        type="text"
+                        class="input input-bordered w-full font-mono"
+                        placeholder="otpauth://totp/... or base32 secret"
+                        autocomplete="off"
+                        spellcheck="false"
+                        data-nerve-totp-input
+                      />
+                    </div>
+
                     <input
                       type="hidden"
                       name="entry[encrypted_metadata]"
@@ -363,6 +464,7 @@ defmodule ElektrineNerveWeb.NerveLive do
                       data-nerve-encrypted-password
                     />
                     <input type="hidden" name="entry[encrypted_notes]" data-nerve-encrypted-notes />
+                    <input type="hidden" name="entry[encrypted_totp]" data-nerve-encrypted-totp />
 
                     <button
                       type="button"
@@ -381,6 +483,97 @@ defmodule ElektrineNerveWeb.NerveLive do
             </div>
           </div>
 
+          <div
+            :if={@vault_configured}
+            id="nerve-transfer"
+            class="card panel-card"
+            phx-hook="NerveTransfer"
+            phx-update="ignore"
+          >
+            <div class="card-body p-4 sm:p-6">
+              <h2 class="card-title mb-2 text-lg">Import &amp; Export</h2>
+              <p class="mb-4 text-sm text-base-content/70">
+                Files are read and encrypted in this browser. The server only receives ciphertext.
+              </p>
+
+              <div class="grid gap-6 lg:grid-cols-2">
+                <div class="space-y-3">
+                  <h3 class="font-medium">Import</h3>
+                  <p class="text-xs text-base-content/60">
+                    Bitwarden JSON, 1Password 1PUX or CSV, KeePass XML, Chrome or Firefox CSV,
+                    and encrypted Nerve exports.
+                  </p>
+                  <input
+                    id="nerve-import-file"
+                    type="file"
+                    class="file-input file-input-bordered file-input-sm w-full"
+                    accept=".json,.csv,.xml,.1pux"
+                    data-nerve-import-file
+                  />
+                  <label class="flex cursor-pointer items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      class="checkbox checkbox-sm"
+                      checked
+                      data-nerve-import-skip-duplicates
+                    /> Skip entries already in Nerve
+                  </label>
+                  <div class="flex gap-2">
+                    <button type="button" class="btn btn-surface btn-sm" data-nerve-import-preview>
+                      Preview
+                    </button>
+                    <button
+                      type="button"
+                      class="btn btn-primary btn-sm"
+                      disabled
+                      data-nerve-import-run
+                    >
+                      Import
+                    </button>
+                  </div>
+                  <p class="text-xs text-base-content/70" data-nerve-import-status></p>
+                  <div
+                    class="hidden max-h-72 overflow-auto rounded-lg border border-base-content/10"
+                    data-nerve-import-preview-list
+                  >
+                  </div>
+                </div>
+
+                <div class="space-y-3">
+                  <h3 class="font-medium">Export</h3>
+                  <select
+                    id="nerve-export-format"
+                    class="select select-bordered select-sm w-full"
+                    data-nerve-export-format
+                  >
+                    <option value="bitwarden_json">Bitwarden (JSON)</option>
+                    <option value="onepassword_1pux">1Password (1PUX)</option>
+                    <option value="onepassword_csv">1Password (CSV)</option>
+                    <option value="keepass_xml">KeePass (XML)</option>
+                    <option value="chrome_csv">Chrome (CSV)</option>
+                    <option value="firefox_csv">Firefox (CSV)</option>
+                  </select>
+                  <label class="flex cursor-pointer items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      class="checkbox checkbox-sm"
+                      checked
+                      data-nerve-export-encrypted
+                    /> Encrypt the file with my Nerve key
+                  </label>
+                  <p class="hidden text-xs text-warning" data-nerve-export-warning>
+                    A plaintext export contains every password unencrypted. Keep it off shared
+                    drives and delete it once it has been imported elsewhere.
+                  </p>
+                  <button type="button" class="btn btn-surface btn-sm" data-nerve-export-run>
+                    Export
+                  </button>
+                  <p class="text-xs text-base-content/70" data-nerve-export-status></p>
+                </div>
+              </div>
+            </div>
+          </div>
+
           <div class="card panel-card">
             <div class="card-body p-4 sm:p-6">
               <h2 class="card-title mb-4 text-lg">Saved Entries</h2>
@@ -488,6 +681,25 @@ defmodule ElektrineNerveWeb.NerveLive do
                                   </code>
                                 </div>
 
+                                <div data-nerve-totp-wrapper class="hidden">
+                                  <p class="mb-1 text-xs uppercase tracking-wide text-base-content/60">
+                                    One-time code
+                                  </p>
+                                  <div class="flex items-baseline gap-3">
+                                    <code
+                                      id={"totp-#{entry.id}"}
+                                      data-nerve-totp-output
+                                      class="font-mono text-lg tracking-widest"
+                                    >
+                                    </code>
+                                    <span
+                                      class="text-xs text-base-content/60"
+                                      data-nerve-totp-countdown
+                                    >
+                                    </span>
+                                  </div>
+                                </div>
+
                                 <div data-nerve-notes-wrapper class="hidden">
                                   <p class="mb-1 text-xs uppercase tracking-wide text-base-content/60">
                                     Notes
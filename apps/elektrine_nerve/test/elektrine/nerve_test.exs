@@ -39,6 +39,38 @@ defmodule Elektrine.NerveTest do
       assert stored_entry.encrypted_notes["ciphertext"] == attrs["encrypted_notes"]["ciphertext"]
     end
 
+    test "create_entry/2 stores an optional encrypted TOTP secret", %{user: user} do
+      attrs = %{
+        "title" => "GitHub",
+        "encrypted_metadata" => encrypted_payload("metadata"),
+        "encrypted_password" => encrypted_payload("SuperSecret123!"),
+        "encrypted_totp" => encrypted_payload("otpauth://totp/GitHub?secret=JBSWY3DPEHPK3PXP")
+      }
+
+      assert {:ok, entry} = Nerve.create_entry(user.id, attrs)
+
+      [listed] = Nerve.list_entries(user.id, include_secrets: true)
+      assert listed.encrypted_totp["ciphertext"] == attrs["encrypted_totp"]["ciphertext"]
+      refute Map.has_key?(hd(Nerve.list_entries(user.id)), :encrypted_totp)
+
+      assert {:ok, stored_entry} = Nerve.get_entry_ciphertext(user.id, entry.id)
+      assert stored_entry.encrypted_totp["algorithm"] == "AES-GCM"
+    end
+
+    test "create_entry/2 validates the encrypted TOTP payload shape", %{user: user} do
+      attrs = %{
+        "title" => "GitHub",
+        "encrypted_metadata" => encrypted_payload("metadata"),
+        "encrypted_password" => encrypted_payload("SuperSecret123!"),
+        "encrypted_totp" => %{"secret" => "JBSWY3DPEHPK3PXP"}
+      }
+
+      assert {:error, changeset} = Nerve.create_entry(user.id, attrs)
+
+      assert {"must be a valid client-encrypted payload", _opts} =
+               changeset.errors[:encrypted_totp]
+    end
+
     test "create_entry/2 stores encrypted metadata without plaintext metadata", %{user: user} do
       attrs = %{
         "title" => "GitHub",
@@ -226,6 +258,52 @@ defmodule Elektrine.NerveTest do
                })
     end
 
+    test "import_entries/2 stores a batch of encrypted entries", %{user: user} do
+      entries =
+        for index <- 1..3 do
+          %{
+            "title" => "Imported #{index}",
+            "encrypted_metadata" => encrypted_payload("metadata-#{index}"),
+            "encrypted_password" => encrypted_payload("password-#{index}")
+          }
+        end
+
+      assert {:ok, imported} = Nerve.import_entries(user.id, entries)
+      assert length(imported) == 3
+      assert Enum.all?(imported, &(&1.title == "Encrypted entry"))
+
+      assert Enum.map(imported, & &1.encrypted_password["ciphertext"]) ==
+               Enum.map(entries, & &1["encrypted_password"]["ciphertext"])
+
+      assert length(Nerve.list_entries(user.id)) == 3
+    end
+
+    test "import_entries/2 stores nothing when an entry is invalid", %{user: user} do
+      entries = [
+        %{
+          "encrypted_metadata" => encrypted_payload("metadata"),
+          "encrypted_password" => encrypted_payload("password")
+        },
+        %{"encrypted_metadata" => encrypted_payload("metadata")}
+      ]
+
+      assert {:error, 1, changeset} = Nerve.import_entries(user.id, entries)
+      assert {"can't be blank", _opts} = changeset.errors[:encrypted_password]
+      assert Nerve.list_entries(user.id) == []
+    end
+
+    test "import_entries/2 rejects batches over the limit", %{user: user} do
+      entry = %{
+        "encrypted_metadata" => encrypted_payload("metadata"),
+        "encrypted_password" => encrypted_payload("password")
+      }
+
+      entries = List.duplicate(entry, Nerve.import_batch_limit() + 1)
+
+      assert {:error, :batch_too_large} = Nerve.import_entries(user.id, entries)
+      assert Nerve.list_entries(user.id) == []
+    end
+
     test "delete_entry/2 only deletes user-owned entries", %{user: user, other_user: other_user} do
       assert {:ok, entry} =
                Nerve.create_entry(user.id, %{
@@ -158,6 +158,8 @@ defmodule ElektrineSocialWeb.Components.Social.PostActions do
             {@value_name == "message_id" && [{"phx-value-message_id", @post_id}] || [{"phx-value-post_id", @post_id}]}
             id={action_button_id(@dom_id_prefix, "like")}
             data-action-lock-key={action_lock_key(@dom_id_prefix, "like")}
+            data-offline-action={if !@is_liked, do: "like_post"}
+            data-offline-post-id={@post_id}
             class={[
               @btn_class,
               "cursor-pointer transition-colors phx-click-loading:scale-95 phx-click-loading:opacity-80 phx-click-loading:pointer-events-none phx-click-loading:cursor-wait",
@@ -415,6 +417,8 @@ defmodule ElektrineSocialWeb.Components.Social.PostActions do
             {@value_name == "message_id" && [{"phx-value-message_id", @post_id}] || [{"phx-value-post_id", @post_id}]}
             id={action_button_id(@dom_id_prefix, "like")}
             data-action-lock-key={action_lock_key(@dom_id_prefix, "like")}
+            data-offline-action={if !@is_liked, do: "like_post"}
+            data-offline-post-id={@post_id}
             class={[
               "flex items-center gap-1.5 transition-all duration-150 cursor-pointer phx-click-loading:scale-95 phx-click-loading:opacity-80 phx-click-loading:pointer-events-none phx-click-loading:cursor-wait",
               if(@is_liked,
@@ -9,6 +9,8 @@ defmodule ElektrineWeb.CallChannel do
     "offer",
     "answer",
     "ice_candidate",
+    "media_key",
+    "recording",
     "call_rejected",
     "call_ended",
     "call_missed"
@@ -125,6 +127,8 @@ defmodule ElektrineWeb.CallChannel do
              "offer",
              "answer",
              "ice_candidate",
+             "media_key",
+             "recording",
              "call_rejected",
              "call_ended",
              "call_missed"
@@ -241,6 +245,40 @@ defmodule ElektrineWeb.CallChannel do
     end
   end
 
+  # End-to-end media encryption announcement: which of the sender's chat keys
+  # its frames are encrypted under. Federated peers cannot fetch local chat
+  # keys, so remote calls stay on transport encryption.
+  @impl true
+  def handle_in("media_key", params, socket) when is_map(params) do
+    with :local <- socket.assigns.call_source,
+         {:ok, announcement} <- validate_media_key(params) do
+      broadcast_from!(socket, "media_key", signal_payload(socket, announcement))
+      {:reply, :ok, socket}
+    else
+      :federated -> {:reply, {:error, %{reason: "unsupported"}}, socket}
+      {:error, reason} -> {:reply, {:error, %{reason: reason}}, socket}
+    end
+  end
+
+  # Recording notice: a participant started or stopped recording the call in
+  # their browser. Federated peers have no way to show the notice, so calls
+  # with them cannot be recorded.
+  @impl true
+  def handle_in("recording", %{"recording" => recording}, socket) when is_boolean(recording) do
+    case socket.assigns.call_source do
+      :local ->
+        broadcast_from!(socket, "recording", signal_payload(socket, %{recording: recording}))
+        {:reply, :ok, socket}
+
+      :federated ->
+        {:reply, {:error, %{reason: "unsupported"}}, socket}
+    end
+  end
+
+  def handle_in("recording", _params, socket) do
+    {:reply, {:error, %{reason: "invalid_recording"}}, socket}
+  end
+
   @impl true
   def handle_in("reject_call", _params, socket) do
     case socket.assigns.call_source do
@@ -385,6 +423,21 @@ defmodule ElektrineWeb.CallChannel do
 
   defp self_signal?(_payload, _socket), do: false
 
+  defp validate_media_key(%{"supported" => supported} = params) when is_boolean(supported) do
+    case params["key_uid"] do
+      nil ->
+        {:ok, %{supported: supported, key_uid: nil}}
+
+      key_uid when supported and is_binary(key_uid) and byte_size(key_uid) in 1..128 ->
+        {:ok, %{supported: true, key_uid: key_uid}}
+
+      _ ->
+        {:error, "invalid_media_key"}
+    end
+  end
+
+  defp validate_media_key(_params), do: {:error, "invalid_media_key"}
+
   defp validate_sdp(sdp, expected_type) when is_map(sdp) do
     sdp_string = sdp["sdp"]
     sdp_type = sdp["type"]
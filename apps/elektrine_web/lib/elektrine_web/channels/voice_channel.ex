@@ -1,6 +1,7 @@
 defmodule ElektrineWeb.VoiceChannel do
   @moduledoc """
-  Signaling and occupancy channel for community voice channels.
+  Signaling and occupancy channel for community voice channels and group
+  conversation calls.
 
   Topic: `voice:<conversation_id>`.
 
@@ -17,6 +18,21 @@ defmodule ElektrineWeb.VoiceChannel do
   Initiator rule: the joining peer offers to every occupant that was already
   present (ties across concurrent joins are broken client-side by comparing
   `{joined_at, user_id}` presence metadata).
+
+  Topology: the first joiner fixes the room's topology (`"mesh"` or `"sfu"`,
+  see `Elektrine.Messaging.VoiceChannels.topology/1`) and it is kept in
+  presence metadata, so later joiners adopt it and are checked against its
+  cap. The join reply carries it to the client. In SFU rooms media goes to
+  the SFU instead; presence `stream_id` maps each participant to the stream
+  the SFU forwards, and `video` tells tiles whether a camera is on.
+
+  Screen sharing: `screen_stream_id` in presence names the stream carrying a
+  participant's screen share (nil when not sharing), in either topology.
+
+  End-to-end media encryption: `e2ee_supported` and `media_key_uid` say
+  whether a participant's browser can encrypt frames and under which of its
+  chat keys (both nil until the client announces itself). Clients only
+  encrypt while every participant has announced a key.
   """
 
   use ElektrineWeb, :channel
@@ -27,21 +43,28 @@ defmodule ElektrineWeb.VoiceChannel do
   alias ElektrineWeb.Presence
 
   @impl true
-  def join("voice:" <> conversation_id_param, _params, socket) do
+  def join("voice:" <> conversation_id_param, params, socket) do
     user_id = socket.assigns.user_id
 
     with {:ok, conversation_id} <- parse_conversation_id(conversation_id_param),
+         topology = room_topology(conversation_id),
          :ok <-
            VoiceChannels.authorize_join(
              conversation_id,
              user_id,
-             occupant_user_ids(conversation_id)
+             occupant_user_ids(conversation_id),
+             topology
            ) do
       Phoenix.PubSub.subscribe(Elektrine.PubSub, signal_topic(conversation_id))
 
-      socket = assign(socket, :conversation_id, conversation_id)
+      socket =
+        socket
+        |> assign(:conversation_id, conversation_id)
+        |> assign(:topology, topology)
+        |> assign(:video, is_map(params) and params["video"] == true)
+
       send(self(), :after_join)
-      {:ok, socket}
+      {:ok, %{topology: topology}, socket}
     else
       {:error, reason} -> {:error, %{reason: to_string(reason)}}
     end
@@ -58,6 +81,12 @@ defmodule ElektrineWeb.VoiceChannel do
         display_name: user.display_name || user.username,
         avatar: user.avatar,
         muted: false,
+        video: socket.assigns.video,
+        stream_id: nil,
+        screen_stream_id: nil,
+        e2ee_supported: nil,
+        media_key_uid: nil,
+        topology: socket.assigns.topology,
         joined_at: System.system_time(:millisecond)
       })
 
@@ -110,6 +139,52 @@ defmodule ElektrineWeb.VoiceChannel do
     end
   end
 
+  def handle_in("set_media", %{"video" => video} = params, socket) when is_boolean(video) do
+    key = to_string(socket.assigns.user_id)
+
+    with {:ok, stream_id} <- parse_stream_id(params["stream_id"]),
+         {:ok, _ref} <-
+           Presence.update(self(), socket.topic, key, fn meta ->
+             %{meta | video: video, stream_id: stream_id || meta.stream_id}
+           end) do
+      {:reply, :ok, socket}
+    else
+      {:error, :invalid_stream_id} -> {:reply, {:error, %{reason: "invalid_stream_id"}}, socket}
+      {:error, _reason} -> {:reply, {:error, %{reason: "not_joined"}}, socket}
+    end
+  end
+
+  def handle_in("set_screen", params, socket) when is_map(params) do
+    key = to_string(socket.assigns.user_id)
+
+    with {:ok, stream_id} <- parse_stream_id(params["stream_id"]),
+         {:ok, _ref} <-
+           Presence.update(self(), socket.topic, key, fn meta ->
+             Map.put(meta, :screen_stream_id, stream_id)
+           end) do
+      {:reply, :ok, socket}
+    else
+      {:error, :invalid_stream_id} -> {:reply, {:error, %{reason: "invalid_stream_id"}}, socket}
+      {:error, _reason} -> {:reply, {:error, %{reason: "not_joined"}}, socket}
+    end
+  end
+
+  def handle_in("set_e2ee", %{"supported" => supported} = params, socket)
+      when is_boolean(supported) do
+    key = to_string(socket.assigns.user_id)
+
+    with {:ok, key_uid} <- parse_media_key_uid(supported, params["key_uid"]),
+         {:ok, _ref} <-
+           Presence.update(self(), socket.topic, key, fn meta ->
+             Map.merge(meta, %{e2ee_supported: supported, media_key_uid: key_uid})
+           end) do
+      {:reply, :ok, socket}
+    else
+      {:error, :invalid_key_uid} -> {:reply, {:error, %{reason: "invalid_media_key"}}, socket}
+      {:error, _reason} -> {:reply, {:error, %{reason: "not_joined"}}, socket}
+    end
+  end
+
   def handle_in(_event, _params, socket) do
     {:reply, {:error, %{reason: "unknown_event"}}, socket}
   end
@@ -121,6 +196,34 @@ defmodule ElektrineWeb.VoiceChannel do
     |> Enum.uniq()
   end
 
+  # A running session keeps its topology even if configuration or the member
+  # count changed since it started.
+  defp room_topology(conversation_id) do
+    "voice:#{conversation_id}"
+    |> Presence.list()
+    |> Enum.find_value(fn {_key, %{metas: metas}} ->
+      Enum.find_value(metas, &Map.get(&1, :topology))
+    end)
+    |> case do
+      nil -> VoiceChannels.topology(conversation_id)
+      topology -> topology
+    end
+  end
+
+  defp parse_stream_id(nil), do: {:ok, nil}
+
+  defp parse_stream_id(value) when is_binary(value) and byte_size(value) in 1..128,
+    do: {:ok, value}
+
+  defp parse_stream_id(_value), do: {:error, :invalid_stream_id}
+
+  defp parse_media_key_uid(_supported, nil), do: {:ok, nil}
+
+  defp parse_media_key_uid(true, value) when is_binary(value) and byte_size(value) in 1..128,
+    do: {:ok, value}
+
+  defp parse_media_key_uid(_supported, _value), do: {:error, :invalid_key_uid}
+
   defp signal_topic(conversation_id), do: "voice_signal:#{conversation_id}"
 
   defp parse_conversation_id(value) when is_binary(value) do
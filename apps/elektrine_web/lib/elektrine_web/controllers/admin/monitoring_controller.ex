@@ -1,7 +1,7 @@
 defmodule ElektrineWeb.Admin.MonitoringController do
   @moduledoc "Controller for admin monitoring functions including active users,\nIMAP/POP3 access tracking, and 2FA status management.\n"
   use ElektrineWeb, :controller
-  alias Elektrine.{Accounts, Repo}
+  alias Elektrine.{Accounts, Calls, Repo}
   alias ElektrineWeb.AdminSecurity
   import Ecto.Query
   plug(:put_layout, html: {ElektrineWeb.Layouts, :admin})
@@ -248,6 +248,31 @@ defmodule ElektrineWeb.Admin.MonitoringController do
     )
   end
 
+  @doc "Lists end-of-call connection reports, optionally only calls relayed through TURN.\n"
+  def call_quality(conn, params) do
+    page = SafeConvert.parse_page(params)
+    per_page = 25
+    relayed_only = params["filter"] == "relayed"
+    filter_opts = [relayed_only: relayed_only]
+
+    total_count = Calls.count_quality_reports(filter_opts)
+    relayed_count = Calls.count_quality_reports(relayed_only: true)
+
+    calls =
+      Calls.list_quality_reports(
+        filter_opts ++ [limit: per_page, offset: (page - 1) * per_page]
+      )
+
+    render(conn, :call_quality,
+      calls: calls,
+      filter: if(relayed_only, do: "relayed", else: "all"),
+      page: page,
+      total_pages: ceil(total_count / per_page),
+      total_count: total_count,
+      relayed_count: relayed_count
+    )
+  end
+
   def operations(conn, _params) do
     snapshot = operational_snapshot()
 
@@ -11,4 +11,5 @@ defmodule ElektrineWeb.Admin.MonitoringHTML do
   defdelegate imap_users(assigns), to: ElektrineWeb.AdminHTML
   defdelegate pop3_users(assigns), to: ElektrineWeb.AdminHTML
   defdelegate two_factor_status(assigns), to: ElektrineWeb.AdminHTML
+  defdelegate call_quality(assigns), to: ElektrineWeb.AdminHTML
 end
@@ -104,6 +104,27 @@ defmodule ElektrineWeb.AdminHTML do
   def activity_source_label(:pop3), do: "POP3"
   def activity_source_label(_), do: "Unknown"
 
+  # Call quality helper functions
+  def call_quality_route(report) when is_map(report) do
+    route = "#{report["local_candidate"] || "?"} / #{report["remote_candidate"] || "?"}"
+
+    case report["relay_protocol"] || report["protocol"] do
+      nil -> route
+      protocol -> "#{route} (#{protocol})"
+    end
+  end
+
+  def call_quality_route(_), do: "-"
+
+  def call_quality_value(report, key, unit) when is_map(report) do
+    case report[key] do
+      value when is_number(value) -> "#{value} #{unit}"
+      _ -> "-"
+    end
+  end
+
+  def call_quality_value(_report, _key, _unit), do: "-"
+
   # Content moderation helper functions
   def truncate_content(nil), do: ""
 
@@ -320,6 +341,11 @@ defmodule ElektrineWeb.AdminHTML do
             path: "/pripyat/operations",
             icon: "hero-chart-bar-square"
           },
+          %{
+            label: "Call Quality",
+            path: "/pripyat/call-quality",
+            icon: "hero-phone"
+          },
           %{
             label: "Audit Log",
             path: "/pripyat/audit-logs",
@@ -0,0 +1,87 @@
+defmodule ElektrineWeb.API.CallRecordingController do
+  use ElektrineWeb, :controller
+
+  alias Elektrine.Calls
+
+  @destinations ~w(kairo)
+
+  @doc """
+  Saves a call recording the browser has already encrypted under the user's
+  vault key as a Kairo source ("kairo"). Recordings are not posted to the
+  call's conversation: the other participants could not open a file sealed
+  under the recorder's vault key. The body is multipart with the ciphertext
+  as `file` and the encrypted manifest as JSON in `manifest`.
+  """
+  def create(
+        conn,
+        %{"call_id" => call_id, "destination" => destination, "file" => %Plug.Upload{} = file} =
+          params
+      )
+      when destination in @destinations do
+    user_id = conn.assigns.current_user.id
+
+    with {:ok, call_id} <- parse_call_id(call_id),
+         {:ok, call} <- Calls.fetch_participant_call(call_id, user_id),
+         {:ok, manifest} <- decode_manifest(params["manifest"]),
+         {:ok, ciphertext} <- File.read(file.path),
+         {:ok, saved} <- save(destination, call, user_id, ciphertext, manifest) do
+      conn
+      |> put_status(:created)
+      |> json(%{destination: destination, id: saved.id})
+    else
+      {:error, reason} -> error(conn, reason)
+    end
+  end
+
+  def create(conn, _params) do
+    conn
+    |> put_status(:bad_request)
+    |> json(%{error: "missing recording, manifest or destination"})
+  end
+
+  defp save("kairo", call, user_id, ciphertext, manifest) do
+    Kairo.create_sealed_upload_source(user_id, ciphertext, %{
+      "title" => "Call recording",
+      "tags" => ["call-recording"],
+      "encrypted_content" => manifest,
+      "metadata" => %{"call_recording" => true, "call_id" => call.id}
+    })
+  end
+
+  defp parse_call_id(call_id) do
+    case Integer.parse(call_id) do
+      {parsed, ""} -> {:ok, parsed}
+      _ -> {:error, :not_found}
+    end
+  end
+
+  defp decode_manifest(manifest) when is_binary(manifest) do
+    case Jason.decode(manifest) do
+      {:ok, %{} = manifest} -> {:ok, manifest}
+      _ -> {:error, :invalid_manifest}
+    end
+  end
+
+  defp decode_manifest(_manifest), do: {:error, :invalid_manifest}
+
+  defp error(conn, reason) when reason in [:not_found, :not_participant] do
+    conn
+    |> put_status(:not_found)
+    |> json(%{error: "call not found"})
+  end
+
+  defp error(conn, reason) when reason in [:file_too_large, :storage_limit_exceeded] do
+    conn
+    |> put_status(:request_entity_too_large)
+    |> json(%{error: upload_error_message(reason)})
+  end
+
+  defp error(conn, _reason) do
+    conn
+    |> put_status(:unprocessable_entity)
+    |> json(%{error: "could not save the recording"})
+  end
+
+  defp upload_error_message(:file_too_large), do: "the recording is too large to save"
+  defp upload_error_message(:storage_limit_exceeded), do: "not enough storage left"
+end
@@ -0,0 +1,93 @@
+defmodule ElektrineWeb.API.CallVoicemailController do
+  use ElektrineWeb, :controller
+
+  alias Elektrine.Calls
+
+  @conflict_reasons [
+    :not_missed,
+    :no_conversation,
+    :encrypted,
+    :voicemail_expired,
+    :voicemail_exists
+  ]
+
+  @doc """
+  Posts the message a caller recorded after their call went unanswered to
+  the call's conversation. The body is multipart with the recording as
+  `file` and its length in seconds as `duration`; the upload's content type
+  says whether it is audio or video.
+  """
+  def create(conn, %{"call_id" => call_id, "file" => %Plug.Upload{} = file} = params) do
+    user_id = conn.assigns.current_user.id
+    mime_type = base_content_type(file.content_type)
+
+    with {:ok, call_id} <- parse_call_id(call_id),
+         {:ok, media} <- File.read(file.path),
+         {:ok, message} <-
+           Calls.leave_voicemail(call_id, user_id, media, mime_type, params["duration"]) do
+      conn
+      |> put_status(:created)
+      |> json(%{id: message.id})
+    else
+      {:error, reason} -> error(conn, reason)
+    end
+  end
+
+  def create(conn, _params) do
+    conn
+    |> put_status(:bad_request)
+    |> json(%{error: "missing recording"})
+  end
+
+  # MediaRecorder reports codecs too, e.g. "audio/webm;codecs=opus".
+  defp base_content_type(content_type) when is_binary(content_type) do
+    content_type
+    |> String.split(";", parts: 2)
+    |> hd()
+    |> String.trim()
+    |> String.downcase()
+  end
+
+  defp base_content_type(_content_type), do: ""
+
+  defp parse_call_id(call_id) do
+    case Integer.parse(call_id) do
+      {parsed, ""} -> {:ok, parsed}
+      _ -> {:error, :not_found}
+    end
+  end
+
+  defp error(conn, reason) when reason in [:not_found, :not_participant, :not_caller] do
+    conn
+    |> put_status(:not_found)
+    |> json(%{error: "call not found"})
+  end
+
+  defp error(conn, reason)
+       when reason in @conflict_reasons do
+    conn
+    |> put_status(:conflict)
+    |> json(%{error: voicemail_error_message(reason)})
+  end
+
+  defp error(conn, reason) when reason in [:file_too_large, :storage_limit_exceeded] do
+    conn
+    |> put_status(:request_entity_too_large)
+    |> json(%{error: upload_error_message(reason)})
+  end
+
+  defp error(conn, _reason) do
+    conn
+    |> put_status(:unprocessable_entity)
+    |> json(%{error: "could not send the message"})
+  end
+
+  defp voicemail_error_message(:not_missed), do: "this call was not missed"
+  defp voicemail_error_message(:no_conversation), do: "this call has no conversation"
+  defp voicemail_error_message(:encrypted), do: "messages cannot be left in encrypted chats"
+  defp voicemail_error_message(:voicemail_expired), do: "it is too late to leave a message"
+  defp voicemail_error_message(:voicemail_exists), do: "a message was already left for this call"
+
+  defp upload_error_message(:file_too_large), do: "the message is too large to send"
+  defp upload_error_message(:storage_limit_exceeded), do: "not enough storage left"
+end
@@ -0,0 +1,157 @@
+defmodule ElektrineWeb.API.NotificationActionController do
+  use ElektrineWeb, :controller
+
+  alias Elektrine.Messaging
+  alias Elektrine.Notifications
+  alias Elektrine.Repo
+  alias Elektrine.Social.Message
+
+  @doc """
+  Runs a button pressed on a browser push notification, from the service
+  worker and without opening a tab. Only the actions
+  `Notifications.push_actions/1` offers for the notification are accepted;
+  `"reply"` takes the typed text as `reply`.
+
+  Every action also marks the notification read; `"mark_read"` marks the
+  email or chat conversation it is about read as well. Replies with the
+  unread count so the worker can update the app badge.
+  """
+  def create(conn, %{"id" => id, "action" => action} = params) do
+    user = conn.assigns.current_user
+
+    with {:ok, notification_id} <- parse_id(id),
+         %{} = notification <- Notifications.get_notification(notification_id, user.id),
+         :ok <- ensure_plaintext_allowed(action, notification),
+         true <- offered?(notification, action),
+         :ok <- run(action, notification, user, params) do
+      Notifications.mark_as_read(notification.id, user.id)
+      json(conn, %{unread_count: Notifications.get_visible_unread_count(user.id)})
+    else
+      {:error, reason} -> error(conn, reason)
+      _ -> error(conn, :not_found)
+    end
+  end
+
+  # Checked before the offered actions so a push shown before the DM turned
+  # encrypted cannot post a reply the server would store as plaintext.
+  defp ensure_plaintext_allowed("reply", %{type: "new_message"} = notification) do
+    case Messaging.get_chat_message(notification.source_id) do
+      %{conversation_id: conversation_id} ->
+        if Messaging.client_encrypted_conversation?(conversation_id),
+          do: {:error, :encrypted},
+          else: :ok
+
+      _ ->
+        {:error, :not_found}
+    end
+  end
+
+  defp ensure_plaintext_allowed(_action, _notification), do: :ok
+
+  defp offered?(notification, action) do
+    notification
+    |> Notifications.push_actions()
+    |> Enum.any?(&(&1.action == action))
+  end
+
+  # Marks what the notification is about read too: the email itself, or the
+  # chat conversation up to its latest message.
+  defp run("mark_read", %{type: "email_received"} = notification, user, _params) do
+    with %{id: mailbox_id} <- email().get_user_mailbox(user.id),
+         %{mailbox_id: ^mailbox_id} = message <-
+           email().get_message_internal(notification.source_id),
+         {:ok, _message} <- email().mark_as_read(message) do
+      :ok
+    else
+      {:error, reason} -> {:error, reason}
+      _ -> {:error, :not_found}
+    end
+  end
+
+  defp run("mark_read", %{type: "new_message"} = notification, user, _params) do
+    with %{conversation_id: conversation_id} <-
+           Messaging.get_chat_message(notification.source_id),
+         {:ok, _read} <- Messaging.mark_as_read(conversation_id, user.id) do
+      :ok
+    else
+      {:error, reason} -> {:error, reason}
+      _ -> {:error, :not_found}
+    end
+  end
+
+  defp run("mark_read", _notification, _user, _params), do: :ok
+
+  defp run("reply", notification, user, %{"reply" => reply}) when is_binary(reply) do
+    with content when content != "" <- String.trim(reply),
+         %{conversation_id: conversation_id} <-
+           Messaging.get_chat_message(notification.source_id),
+         {:ok, _message} <- Messaging.create_text_message(conversation_id, user.id, content) do
+      :ok
+    else
+      "" -> {:error, :empty_reply}
+      {:error, reason} -> {:error, reason}
+      _ -> {:error, :not_found}
+    end
+  end
+
+  defp run("reply", _notification, _user, _params), do: {:error, :empty_reply}
+
+  defp run("archive", notification, user, _params) do
+    with %{id: mailbox_id} <- email().get_user_mailbox(user.id),
+         %{mailbox_id: ^mailbox_id} = message <-
+           email().get_message_internal(notification.source_id),
+         {:ok, _message} <- email().archive_message(message) do
+      :ok
+    else
+      {:error, reason} -> {:error, reason}
+      _ -> {:error, :not_found}
+    end
+  end
+
+  defp run(action, notification, user, _params) when action in ["like", "boost"] do
+    with %Message{} = post <- Repo.get(Message, notification.source_id),
+         {:ok, _result} <- social_action(action, user.id, post.id) do
+      :ok
+    else
+      {:error, reason} -> {:error, reason}
+      _ -> {:error, :not_found}
+    end
+  end
+
+  defp social_action("like", user_id, post_id), do: social().like_post(user_id, post_id)
+  defp social_action("boost", user_id, post_id), do: social().boost_post(user_id, post_id)
+
+  defp parse_id(id) do
+    case Integer.parse(id) do
+      {parsed, ""} -> {:ok, parsed}
+      _ -> {:error, :not_found}
+    end
+  end
+
+  defp error(conn, reason) when reason in [:not_found, :not_authorized, :unauthorized] do
+    conn
+    |> put_status(:not_found)
+    |> json(%{error: "not found"})
+  end
+
+  defp error(conn, :empty_reply) do
+    conn
+    |> put_status(:bad_request)
+    |> json(%{error: "reply is empty"})
+  end
+
+  defp error(conn, :encrypted) do
+    conn
+    |> put_status(:conflict)
+    |> json(%{error: "open the conversation to reply to an encrypted chat"})
+  end
+
+  defp error(conn, _reason) do
+    conn
+    |> put_status(:unprocessable_entity)
+    |> json(%{error: "could not run the action"})
+  end
+
+  defp email, do: Module.concat([Elektrine, Email])
+  defp social, do: Module.concat([Elektrine, Social])
+end
@@ -0,0 +1,137 @@
+defmodule ElektrineWeb.API.OfflineActionController do
+  use ElektrineWeb, :controller
+
+  alias Elektrine.Messaging
+  alias Elektrine.Repo
+  alias Elektrine.Social.Message
+
+  @doc """
+  Replays an action the service worker queued while the browser was offline
+  (see priv/static/sw.js). The body is JSON with a `kind` and its `payload`:
+
+    * `"chat_message"` - `conversation_id` and `content`
+    * `"email_draft"` - `to`, `cc`, `bcc`, `subject` and `body`; saved as a
+      new draft in the user's mailbox
+    * `"like_post"` - `post_id`
+
+  4xx replies tell the worker to drop the action; anything else is retried.
+  """
+  def create(conn, %{"kind" => kind, "payload" => %{} = payload}) do
+    user = conn.assigns.current_user
+
+    case replay(kind, payload, user) do
+      {:ok, id} ->
+        conn
+        |> put_status(:created)
+        |> json(%{id: id})
+
+      {:error, reason} ->
+        error(conn, reason)
+    end
+  end
+
+  def create(conn, _params) do
+    conn
+    |> put_status(:bad_request)
+    |> json(%{error: "missing action"})
+  end
+
+  defp replay("chat_message", %{"conversation_id" => id, "content" => content}, user)
+       when is_binary(content) do
+    with {:ok, conversation_id} <- parse_id(id),
+         content when content != "" <- String.trim(content),
+         {:ok, message} <- Messaging.create_text_message(conversation_id, user.id, content) do
+      {:ok, message.id}
+    else
+      "" -> {:error, :invalid_action}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  defp replay("email_draft", payload, user) do
+    case email().get_user_mailbox(user.id) do
+      nil ->
+        {:error, :not_found}
+
+      mailbox ->
+        payload
+        |> draft_attrs(mailbox)
+        |> email().save_draft()
+        |> case do
+          {:ok, draft} -> {:ok, draft.id}
+          {:error, reason} -> {:error, reason}
+        end
+    end
+  end
+
+  defp replay("like_post", %{"post_id" => id}, user) do
+    with {:ok, post_id} <- parse_id(id),
+         %Message{} = post <- Repo.get(Message, post_id),
+         true <- post_visible?(user.id, post),
+         {:ok, _like} <- social().like_post(user.id, post.id) do
+      {:ok, post.id}
+    else
+      {:error, reason} -> {:error, reason}
+      _ -> {:error, :not_found}
+    end
+  end
+
+  defp replay(_kind, _payload, _user), do: {:error, :invalid_action}
+
+  defp draft_attrs(payload, mailbox) do
+    %{
+      mailbox_id: mailbox.id,
+      from: mailbox.email,
+      to: string_param(payload, "to"),
+      cc: string_param(payload, "cc"),
+      bcc: string_param(payload, "bcc"),
+      subject: string_param(payload, "subject"),
+      text_body: string_param(payload, "body"),
+      status: "draft"
+    }
+  end
+
+  defp string_param(payload, key) do
+    case payload[key] do
+      value when is_binary(value) -> value
+      _ -> ""
+    end
+  end
+
+  defp parse_id(id) when is_integer(id), do: {:ok, id}
+
+  defp parse_id(id) when is_binary(id) do
+    case Integer.parse(id) do
+      {parsed, ""} -> {:ok, parsed}
+      _ -> {:error, :not_found}
+    end
+  end
+
+  defp parse_id(_id), do: {:error, :not_found}
+
+  defp post_visible?(user_id, post) do
+    policy = Module.concat([Elektrine, Social, MessagePolicy])
+    Code.ensure_loaded?(policy) and policy.visible?(user_id, post)
+  end
+
+  defp error(conn, reason) when reason in [:not_found, :not_authorized, :unauthorized] do
+    conn
+    |> put_status(:not_found)
+    |> json(%{error: "not found"})
+  end
+
+  defp error(conn, :invalid_action) do
+    conn
+    |> put_status(:bad_request)
+    |> json(%{error: "invalid action"})
+  end
+
+  defp error(conn, _reason) do
+    conn
+    |> put_status(:unprocessable_entity)
+    |> json(%{error: "could not replay the action"})
+  end
+
+  defp email, do: Module.concat([Elektrine, Email])
+  defp social, do: Module.concat([Elektrine, Social])
+end
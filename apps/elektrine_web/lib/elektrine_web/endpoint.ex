@@ -56,12 +56,13 @@ defmodule ElektrineWeb.Endpoint do
     only: ElektrineWeb.static_paths()
 
   # Service worker must be served undigested at a stable root path so its
-  # scope covers the whole origin and browsers can detect updates.
+  # scope covers the whole origin and browsers can detect updates. The web app
+  # manifest and the offline fallback page it precaches sit alongside it.
   plug Plug.Static,
     at: "/",
     from: :elektrine,
     gzip: false,
-    only: ~w(sw.js),
+    only: ~w(sw.js manifest.webmanifest offline.html),
     headers: %{"cache-control" => "no-cache"}
 
   # Code reloading can be explicitly enabled under the
@@ -499,6 +499,7 @@ defmodule ElektrineWeb.KairoLive.Index do
       socket.assigns.source_limit >= @max_sources and sources_total > length(sources)
     )
     |> assign(:master_vault, Elektrine.Vault.get(user.id))
+    |> assign(:vault_passkey, Elektrine.Vault.passkey_unlock_options(user.id, socket.host_uri))
     |> assign(:project_form, to_form(%{"name" => "", "description" => ""}, as: :project))
     |> assign_view()
   end
@@ -731,6 +732,19 @@ defmodule ElektrineWeb.KairoLive.Index do
     end
   end
 
+  # Sealed call recordings are ciphertext on disk; only the vault hook can
+  # open them, so they get no plain file link.
+  defp call_recording?(%{encrypted: true, metadata: %{"call_recording" => true}}), do: true
+  defp call_recording?(_source), do: false
+
+  defp sealed_recording_url(source) do
+    if call_recording?(source), do: source_file_url(source)
+  end
+
+  defp plain_source_file_url(source) do
+    unless call_recording?(source), do: source_file_url(source)
+  end
+
   defp source_file_key(%{metadata: metadata}) when is_map(metadata) do
     metadata["storage_key"] || metadata[:storage_key] || metadata["key"] || metadata[:key]
   end
@@ -985,6 +999,11 @@ defmodule ElektrineWeb.KairoLive.Index do
                     >
                       Unlock vault
                     </.button>
+                    <Elektrine.Components.VaultPasskeyUnlock.vault_passkey_unlock
+                      id="kairo-passkey-unlock"
+                      options={@vault_passkey}
+                      button_class="btn btn-outline btn-xs w-full"
+                    />
                   <% else %>
                     <span class="text-xs text-warning">
                       <.link navigate={~p"/account/encrypted-data"} class="link">
@@ -1595,6 +1614,7 @@ defmodule ElektrineWeb.KairoLive.Index do
                       size="sm"
                       data-kairo-decrypt
                       data-kairo-payload={Jason.encode!(@selected.encrypted_content)}
+                      data-kairo-recording-url={sealed_recording_url(@selected)}
                     >
                       <.icon name="hero-lock-open" class="h-4 w-4" /> Decrypt content
                     </.button>
@@ -1604,7 +1624,7 @@ defmodule ElektrineWeb.KairoLive.Index do
                     ></pre>
                   </div>
 
-                  <%= if file_url = source_file_url(@selected) do %>
+                  <%= if file_url = plain_source_file_url(@selected) do %>
                     <div class="space-y-3 rounded-lg border border-base-300 bg-base-200/30 p-3">
                       <div class="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
                         <div class="flex min-w-0 items-center gap-2 text-sm">
@@ -225,14 +225,25 @@ defmodule ElektrineWeb.NotificationsLive do
   end
 
   def handle_event("web_push_state", params, socket) do
+    # Keeps the subscription's chat device current when encrypted chat was set
+    # up in this browser after push was enabled.
+    if params["subscribed"] == true do
+      Push.put_web_subscription_chat_device(
+        socket.assigns.current_user.id,
+        params["endpoint"],
+        params["chat_device_id"]
+      )
+    end
+
     {:noreply, assign(socket, :web_push_state, web_push_state_from_report(socket, params))}
   end
 
-  def handle_event("web_push_subscribed", %{"subscription" => subscription}, socket) do
+  def handle_event("web_push_subscribed", %{"subscription" => _subscription} = params, socket) do
     user = socket.assigns.current_user
+    attrs = Map.take(params, ["subscription", "chat_device_id"])
 
     socket =
-      case Push.upsert_web_subscription(user.id, %{"subscription" => subscription}) do
+      case Push.upsert_web_subscription(user.id, attrs) do
         {:ok, _subscription} ->
           socket
           |> assign(:web_push_state, :enabled)
@@ -507,6 +518,7 @@ defmodule ElektrineWeb.NotificationsLive do
   defp notification_source_for_group(%{type: :single, notification: notification}) do
     case {notification.type, notification.source_type} do
       {"new_message", _} -> "chat"
+      {"missed_call", _} -> "chat"
       {"reply", "message"} -> "chat"
       {"email_received", _} -> "email"
       {"follow", _} -> "requests"
@@ -761,6 +773,7 @@ defmodule ElektrineWeb.NotificationsLive do
   defp notification_icon(type) do
     case type do
       "new_message" -> "hero-chat-bubble-left-right"
+      "missed_call" -> "hero-phone-x-mark"
       "mention" -> "hero-at-symbol"
       "reply" -> "hero-chat-bubble-left-right"
       "follow" -> "hero-user-plus"
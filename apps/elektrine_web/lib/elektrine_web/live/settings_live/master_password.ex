@@ -7,12 +7,18 @@ defmodule ElektrineWeb.SettingsLive.MasterPassword do
   never sees the recovery code or the key itself. It verifies the account
   password before accepting a new account-password wrapper so a typo cannot
   create an unlock secret that differs from the user's login password.
+
+  Registered passkeys that support the WebAuthn PRF extension can be enrolled
+  here as extra unlockers; the browser wraps the key for them, so this page
+  only stores and removes those wraps too.
   """
   use ElektrineWeb, :live_view
 
   on_mount {ElektrineWeb.Live.AuthHooks, :require_authenticated_user}
 
   alias Elektrine.Accounts
+  alias Elektrine.Accounts.{PasskeyCredential, Passkeys}
+  alias Elektrine.Utils.SafeConvert
   alias Elektrine.Vault
   alias ElektrineWeb.Platform.Integrations
 
@@ -21,13 +27,29 @@ defmodule ElektrineWeb.SettingsLive.MasterPassword do
   end
 
   defp assign_vault(socket) do
-    master = Vault.get(socket.assigns.current_user.id)
+    user = socket.assigns.current_user
+    master = Vault.get(user.id)
+    host = request_host(socket)
 
     socket
     |> assign(:page_title, "Encrypted Data")
     |> assign(:vault_configured, not is_nil(master))
     |> assign(:wrapped_dek, master && master.wrapped_dek)
     |> assign(:wrapped_dek_recovery, master && master.wrapped_dek_recovery)
+    |> assign(:passkeys, Passkeys.list_user_passkeys(user))
+    |> assign(:passkey_rp_id, Passkeys.rp_id(host))
+    |> assign(
+      :passkey_unlocker_ids,
+      user.id |> Vault.list_passkey_unlockers() |> MapSet.new(& &1.passkey_credential_id)
+    )
+    |> assign(:vault_passkey, Vault.passkey_unlock_options(user.id, host))
+  end
+
+  defp request_host(socket) do
+    case socket.host_uri do
+      %URI{host: host} when is_binary(host) -> host
+      _ -> nil
+    end
   end
 
   def handle_event("setup_master", %{"master" => params}, socket) do
@@ -96,6 +118,40 @@ defmodule ElektrineWeb.SettingsLive.MasterPassword do
     end
   end
 
+  def handle_event(
+        "enroll_passkey_unlocker",
+        %{"passkey_id" => passkey_id, "wrapped_dek" => wrapped_dek},
+        socket
+      ) do
+    with {:ok, passkey_id} <- SafeConvert.parse_id(passkey_id),
+         {:ok, payload} <- decode(wrapped_dek),
+         {:ok, _} <-
+           Vault.enroll_passkey_unlocker(socket.assigns.current_user.id, passkey_id, payload) do
+      {:noreply,
+       socket
+       |> assign_vault()
+       |> put_flash(:info, "This passkey now unlocks encrypted data.")}
+    else
+      {:error, :not_configured} ->
+        {:noreply, put_flash(socket, :error, "Set up encrypted data before adding a passkey.")}
+
+      _ ->
+        {:noreply, put_flash(socket, :error, "Could not set up passkey unlock. Try again.")}
+    end
+  end
+
+  def handle_event("remove_passkey_unlocker", %{"id" => passkey_id}, socket) do
+    with {:ok, passkey_id} <- SafeConvert.parse_id(passkey_id),
+         :ok <- Vault.remove_passkey_unlocker(socket.assigns.current_user.id, passkey_id) do
+      {:noreply,
+       socket
+       |> assign_vault()
+       |> put_flash(:info, "This passkey no longer unlocks encrypted data.")}
+    else
+      _ -> {:noreply, put_flash(socket, :error, "Could not remove passkey unlock.")}
+    end
+  end
+
   def handle_event("reset_master", _params, socket) do
     user_id = socket.assigns.current_user.id
     {:ok, _} = Vault.reset(user_id)
@@ -146,6 +202,7 @@ defmodule ElektrineWeb.SettingsLive.MasterPassword do
           @wrapped_dek_recovery && Jason.encode!(@wrapped_dek_recovery)
         }
         data-vault-secret-mode="account_password"
+        data-vault-passkey-rp-id={@passkey_rp_id}
         class="space-y-6"
       >
         <%= if @vault_configured do %>
@@ -200,6 +257,10 @@ defmodule ElektrineWeb.SettingsLive.MasterPassword do
                 <.button type="button" size="sm" data-vault-unlock>
                   Unlock
                 </.button>
+                <Elektrine.Components.VaultPasskeyUnlock.vault_passkey_unlock
+                  id="vault-passkey-unlock"
+                  options={@vault_passkey}
+                />
                 <p class="text-xs text-base-content/60">
                   Reset your account password or lost access? Use the recovery section below to re-link encrypted data.
                 </p>
@@ -214,6 +275,74 @@ defmodule ElektrineWeb.SettingsLive.MasterPassword do
             </:body>
           </.card>
 
+          <.card body_class="p-4 sm:p-6">
+            <:body>
+              <.section_header
+                title="Unlock with a passkey"
+                description="Let a passkey unlock encrypted data with one tap instead of your password. It needs a passkey that supports the WebAuthn PRF extension, and encrypted data must be unlocked in this browser while you add it."
+              />
+
+              <%= if @passkeys == [] do %>
+                <p class="mt-4 text-sm text-base-content/70">
+                  You have no passkeys yet.
+                  <.link navigate={~p"/account/passkeys"} class="link link-primary">
+                    Add a passkey
+                  </.link>
+                  first.
+                </p>
+              <% else %>
+                <ul class="mt-4 space-y-2" id="vault-passkey-unlockers">
+                  <li
+                    :for={passkey <- @passkeys}
+                    id={"vault-passkey-#{passkey.id}"}
+                    class="flex items-center justify-between gap-3 rounded-lg bg-base-200 p-3"
+                  >
+                    <div>
+                      <p class="font-medium">{passkey.name}</p>
+                      <p class="text-xs text-base-content/60">
+                        <%= cond do %>
+                          <% MapSet.member?(@passkey_unlocker_ids, passkey.id) -> %>
+                            Unlocks encrypted data
+                          <% PasskeyCredential.prf_capable?(passkey) -> %>
+                            Sign-in only
+                          <% true -> %>
+                            Sign-in only: this passkey does not support the PRF extension
+                        <% end %>
+                      </p>
+                    </div>
+                    <%= if MapSet.member?(@passkey_unlocker_ids, passkey.id) do %>
+                      <.button
+                        type="button"
+                        variant="default"
+                        outline
+                        size="sm"
+                        phx-click="remove_passkey_unlocker"
+                        phx-value-id={passkey.id}
+                        data-confirm="Stop using this passkey to unlock encrypted data?"
+                      >
+                        Stop using
+                      </.button>
+                    <% else %>
+                      <.button
+                        :if={PasskeyCredential.prf_capable?(passkey)}
+                        type="button"
+                        size="sm"
+                        data-vault-passkey-enroll
+                        data-passkey-id={passkey.id}
+                        data-credential-id={
+                          Base.url_encode64(passkey.credential_id, padding: false)
+                        }
+                      >
+                        Use to unlock
+                      </.button>
+                    <% end %>
+                  </li>
+                </ul>
+                <p class="mt-2 text-xs text-error" data-vault-passkey-enroll-error></p>
+              <% end %>
+            </:body>
+          </.card>
+
           <.card body_class="p-4 sm:p-6">
             <:body>
               <.section_header
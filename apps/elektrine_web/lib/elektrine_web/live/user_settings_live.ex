@@ -5,6 +5,7 @@ defmodule ElektrineWeb.UserSettingsLive do
   alias Elektrine.Bluesky.Managed, as: BlueskyManaged
   alias Elektrine.Developer
   alias Elektrine.Developer.ApiToken
+  alias Elektrine.Keymap
   alias Elektrine.Platform.Modules
   alias Elektrine.Profiles
   alias Elektrine.RSS
@@ -56,6 +57,7 @@ defmodule ElektrineWeb.UserSettingsLive do
     "theme_mode",
     "theme_overrides",
     "email_signature",
+    "email_remote_content",
     "activitypub_manually_approve_followers"
   ]
   @impl true
@@ -327,6 +329,28 @@ defmodule ElektrineWeb.UserSettingsLive do
     end
   end
 
+  @impl true
+  def handle_event("save_keymap", %{"preset" => preset} = params, socket) do
+    attrs = %{
+      "keymap_preset" => preset,
+      "keymap_overrides" => Map.get(params, "overrides") || %{}
+    }
+
+    case Accounts.update_user(socket.assigns.user, attrs) do
+      {:ok, updated_user} ->
+        {:noreply,
+         socket
+         |> assign(:current_user, updated_user)
+         |> assign(:user, updated_user)
+         |> assign(:changeset, Accounts.change_user(updated_user))
+         |> push_event("apply-keymap", Keymap.client_config(updated_user))
+         |> notify_info("Keyboard shortcuts saved")}
+
+      {:error, %Ecto.Changeset{}} ->
+        {:noreply, notify_error(socket, "Those keyboard shortcuts could not be saved")}
+    end
+  end
+
   @impl true
   def handle_event("save", %{"user" => user_params}, socket) do
     {completed, in_progress} = uploaded_entries(socket, :avatar)
@@ -601,10 +625,18 @@ defmodule ElektrineWeb.UserSettingsLive do
   def handle_event("upload_pgp_key", params, socket),
     do: {:noreply, handle_email_settings_event("upload_pgp_key", params, socket)}
 
+  @impl true
+  def handle_event("store_pgp_key_pair", params, socket),
+    do: {:noreply, handle_email_settings_event("store_pgp_key_pair", params, socket)}
+
   @impl true
   def handle_event("delete_pgp_key", params, socket),
     do: {:noreply, handle_email_settings_event("delete_pgp_key", params, socket)}
 
+  @impl true
+  def handle_event("remove_remote_content_sender", params, socket),
+    do: {:noreply, handle_email_settings_event("remove_remote_content_sender", params, socket)}
+
   @impl true
   def handle_event("private_mailbox_setup", params, socket),
     do: {:noreply, handle_email_settings_event("private_mailbox_setup", params, socket)}
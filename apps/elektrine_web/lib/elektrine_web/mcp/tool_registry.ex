@@ -279,7 +279,8 @@ defmodule ElektrineWeb.MCP.ToolRegistry do
           "website" => %{"type" => "string"},
           "encrypted_metadata" => %{"type" => "object"},
           "encrypted_password" => %{"type" => "object"},
-          "encrypted_notes" => %{"type" => "object"}
+          "encrypted_notes" => %{"type" => "object"},
+          "encrypted_totp" => %{"type" => "object"}
         },
         "additionalProperties" => true
       },
@@ -289,6 +289,7 @@ defmodule ElektrineWeb.MCP.Tools do
       encrypted_password:
         if(include_ciphertext?, do: Map.get(entry, :encrypted_password), else: nil),
       encrypted_notes: if(include_ciphertext?, do: Map.get(entry, :encrypted_notes), else: nil),
+      encrypted_totp: if(include_ciphertext?, do: Map.get(entry, :encrypted_totp), else: nil),
       inserted_at: entry.inserted_at,
       updated_at: Map.get(entry, :updated_at)
     }
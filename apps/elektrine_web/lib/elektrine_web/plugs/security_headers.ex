@@ -80,7 +80,7 @@ defmodule ElektrineWeb.Plugs.SecurityHeaders do
       # Fonts: allow self and data URIs
       "font-src 'self' data:",
       # Connect: allow self and the explicit third-party endpoints used by the app
-      "connect-src 'self' ws://#{host} wss://#{host}",
+      Enum.join(["connect-src 'self' ws://#{host} wss://#{host}" | sfu_connect_sources()], " "),
       # Media: allow self, HTTPS (video backgrounds from S3-compatible storage),
       # blob URLs, and data URIs (inline audio/video)
       "media-src 'self' https: data: blob:",
@@ -112,6 +112,24 @@ defmodule ElektrineWeb.Plugs.SecurityHeaders do
     put_resp_header(conn, "content-security-policy", csp)
   end
 
+  # Group calls connect to a self-hosted SFU, usually on its own origin.
+  defp sfu_connect_sources do
+    with endpoint when is_binary(endpoint) <-
+           Keyword.get(Application.get_env(:elektrine, :webrtc, []), :sfu_endpoint),
+         %URI{scheme: scheme, host: host, port: port} when scheme in ["ws", "wss"] <-
+           URI.parse(String.trim(endpoint)),
+         true <- is_binary(host) and host != "" do
+      ["#{scheme}://#{host}#{sfu_port(scheme, port)}"]
+    else
+      _ -> []
+    end
+  end
+
+  defp sfu_port("ws", 80), do: ""
+  defp sfu_port("wss", 443), do: ""
+  defp sfu_port(_scheme, port) when is_integer(port), do: ":#{port}"
+  defp sfu_port(_scheme, _port), do: ""
+
   defp nonce do
     16
     |> :crypto.strong_rand_bytes()
@@ -436,9 +436,12 @@ defmodule ElektrineWeb.Router do
     pipe_through([:browser_api, :require_authenticated_user])
 
     ElektrineWeb.Routes.Chat.private_attachment_routes()
+    ElektrineWeb.Routes.Chat.call_routes()
     post("/atomine/account/pow/receipts", API.AtomineAttestationController, :pow_receipt)
     post("/atomine/passkey-receipts", API.AtomineAttestationController, :passkey_receipt)
     put("/preferences/theme", API.PreferencesController, :update_theme)
+    post("/offline/actions", API.OfflineActionController, :create)
+    post("/notifications/:id/actions/:action", API.NotificationActionController, :create)
   end
 
   # Lightweight signed messaging federation endpoints (instance-to-instance)
@@ -779,6 +782,7 @@ defmodule ElektrineWeb.Router do
     get("/imap-users", Admin.MonitoringController, :imap_users)
     get("/pop3-users", Admin.MonitoringController, :pop3_users)
     get("/2fa-status", Admin.MonitoringController, :two_factor_status)
+    get("/call-quality", Admin.MonitoringController, :call_quality)
     get("/system-health", Admin.MonitoringController, :system_health)
     get("/job-queue-stats", Admin.MonitoringController, :job_queue_stats)
     get("/media-proxy-cache", Admin.MonitoringController, :media_proxy_cache)
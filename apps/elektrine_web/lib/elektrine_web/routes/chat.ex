@@ -7,6 +7,13 @@ defmodule ElektrineWeb.Routes.Chat do
     end
   end
 
+  defmacro call_routes do
+    quote do
+      post("/chat/calls/:call_id/recordings", API.CallRecordingController, :create)
+      post("/chat/calls/:call_id/voicemail", API.CallVoicemailController, :create)
+    end
+  end
+
   defmacro messaging_federation_routes do
     quote do
       post("/events", MessagingFederationController, :event)
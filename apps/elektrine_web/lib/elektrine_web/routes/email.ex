@@ -86,12 +86,14 @@ defmodule ElektrineWeb.Routes.Email do
           :download
         )
 
+        get("/email/pgp/keys", ElektrineEmailWeb.EmailController, :pgp_keys)
         get("/email/:id/delivery_status", ElektrineEmailWeb.EmailController, :delivery_status)
         delete("/email/:id", ElektrineEmailWeb.EmailController, :delete)
         get("/email/:id/print", ElektrineEmailWeb.EmailController, :print)
         get("/email/:id/original_html", ElektrineEmailWeb.EmailController, :original_html)
         get("/email/:id/download_eml", ElektrineEmailWeb.EmailController, :download_eml)
         get("/email/:id/iframe_content", ElektrineEmailWeb.EmailController, :iframe_content)
+        get("/email/:id/raw_source", ElektrineEmailWeb.EmailController, :raw_source)
         get("/email/export/download/:id", ElektrineEmailWeb.EmailController, :download_export)
       end
     end
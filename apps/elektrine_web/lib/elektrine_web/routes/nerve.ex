@@ -22,6 +22,7 @@ defmodule ElektrineWeb.Routes.Nerve do
     quote do
       scope "/", alias: false do
         post("/entries", ElektrineNerveWeb.API.NerveController, :create)
+        post("/entries/batch", ElektrineNerveWeb.API.NerveController, :create_batch)
         put("/entries/:id", ElektrineNerveWeb.API.NerveController, :update)
         delete("/entries/:id", ElektrineNerveWeb.API.NerveController, :delete)
       end
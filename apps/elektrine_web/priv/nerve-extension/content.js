@@ -9,6 +9,8 @@
     STAGE_ENTRY_FILL: "nerve:stage-entry-fill",
     RESOLVE_STAGED_FILL: "nerve:resolve-staged-fill",
     CLEAR_STAGED_FILL: "nerve:clear-staged-fill",
+    STAGE_ONE_TIME_CODE: "nerve:stage-one-time-code",
+    RESOLVE_ONE_TIME_CODE: "nerve:resolve-one-time-code",
     RECORD_SUBMISSION: "nerve:record-submission",
     RESOLVE_PENDING_SAVE: "nerve:resolve-pending-save",
     SAVE_PENDING: "nerve:save-pending",
@@ -47,6 +49,10 @@
   }
 
   const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i
+  const ONE_TIME_CODE_FIELD_PATTERN =
+    /(one.?time|otp|totp|2fa|mfa|two.?factor|verification.?code|auth(entication)?.?code|security.?code|passcode)/
+  const SPLIT_CODE_MIN_BOXES = 4
+  const SPLIT_CODE_MAX_BOXES = 8
 
   const state = {
     activeField: null,
@@ -54,7 +60,8 @@
     suggestionsContext: null,
     pendingBanner: null,
     lastFilled: null,
-    stagedFillTimer: null
+    stagedFillTimer: null,
+    oneTimeCodeTimer: null
   }
 
   const ui = {}
@@ -72,6 +79,7 @@
     bindPageEvents()
     refreshLoginBindings()
     scheduleStagedFillCheck(0)
+    scheduleOneTimeCodeCheck(0)
     maybeShowPendingSavePrompt()
   }
 
@@ -128,6 +136,7 @@
 
           if (result.filled.password) {
             rememberFilledCredentials(payload)
+            await stageOneTimeCode(payload.entryId)
           }
 
           sendResponse({
@@ -193,6 +202,7 @@
     }
 
     scheduleStagedFillCheck(0)
+    scheduleOneTimeCodeCheck(0)
     await maybeShowPendingSavePrompt()
 
     if (ui.popover.style.display === "block" && state.suggestionsContext) {
@@ -211,6 +221,7 @@
     window.addEventListener("pageshow", () => {
       refreshLoginBindings()
       scheduleStagedFillCheck(150)
+      scheduleOneTimeCodeCheck(150)
       maybeShowPendingSavePrompt()
     })
 
@@ -220,6 +231,7 @@
       refreshLoginBindings()
       updateInlineUiPosition()
       scheduleStagedFillCheck(180)
+      scheduleOneTimeCodeCheck(180)
     })
 
     mutationObserver.observe(document.documentElement, {
@@ -856,6 +868,7 @@
 
       if (result.filled.password) {
         rememberFilledCredentials(response.credentials)
+        await stageOneTimeCode(entryId)
       }
 
       hidePopover()
@@ -961,9 +974,129 @@
     if (result.filled.password) {
       rememberFilledCredentials(response.credentials)
       showBannerStatus(successMessageForFill(result, false))
+      await stageOneTimeCode(response.entryId)
     }
   }
 
+  async function stageOneTimeCode(entryId) {
+    if (!entryId) return
+
+    const response = await runtimeMessage({
+      type: MESSAGE_TYPES.STAGE_ONE_TIME_CODE,
+      payload: {
+        entryId,
+        pageUrl: location.href
+      }
+    }).catch(() => ({ ok: false }))
+
+    if (response.ok && response.staged) {
+      scheduleOneTimeCodeCheck(0)
+    }
+  }
+
+  async function maybeFillOneTimeCode() {
+    const target = findOneTimeCodeTarget()
+
+    if (!target) {
+      return
+    }
+
+    const response = await runtimeMessage({
+      type: MESSAGE_TYPES.RESOLVE_ONE_TIME_CODE,
+      page: {
+        url: location.href
+      }
+    })
+
+    if (!response.ok || response.status === "none") {
+      return
+    }
+
+    if (response.status !== "ready") {
+      showBannerStatus(stagedFillBlockedMessage(response.status))
+      return
+    }
+
+    fillOneTimeCode(target, response.code)
+    showBannerStatus("One-time code filled from Elektrine.")
+  }
+
+  // Finds the code input of a two-step sign-in: an explicit one-time-code field, a
+  // row of single-digit boxes, or a text field whose name reads like an OTP prompt.
+  function findOneTimeCodeTarget() {
+    const explicit = visibleFields(document, 'input[autocomplete="one-time-code"]')
+      .filter((field) => !field.value)
+
+    if (explicit.length >= SPLIT_CODE_MIN_BOXES && explicit.every(isSingleCharacterField)) {
+      return { fields: explicit.slice(0, SPLIT_CODE_MAX_BOXES) }
+    }
+
+    if (explicit.length) {
+      return { fields: [explicit[0]] }
+    }
+
+    const splitBoxes = findSplitCodeBoxes()
+
+    if (splitBoxes) {
+      return { fields: splitBoxes }
+    }
+
+    const named = visibleFields(document, "input")
+      .filter((field) => isCodeInputType(field) && !field.value)
+      .find((field) => ONE_TIME_CODE_FIELD_PATTERN.test(loginFieldKey(field)))
+
+    return named ? { fields: [named] } : null
+  }
+
+  function findSplitCodeBoxes() {
+    const groups = new Map()
+
+    visibleFields(document, "input")
+      .filter((field) => isCodeInputType(field) && isSingleCharacterField(field))
+      .forEach((field) => {
+        const container = field.form || field.parentElement?.parentElement || document.body
+        const group = groups.get(container) || []
+        group.push(field)
+        groups.set(container, group)
+      })
+
+    for (const fields of groups.values()) {
+      if (
+        fields.length >= SPLIT_CODE_MIN_BOXES &&
+        fields.length <= SPLIT_CODE_MAX_BOXES &&
+        fields.every((field) => !field.value)
+      ) {
+        return fields
+      }
+    }
+
+    return null
+  }
+
+  function isCodeInputType(field) {
+    return ["text", "tel", "number"].includes(normalizedFieldType(field))
+  }
+
+  function isSingleCharacterField(field) {
+    return field.maxLength === 1
+  }
+
+  function fillOneTimeCode(target, code) {
+    const digits = String(code || "")
+
+    if (target.fields.length === 1) {
+      setFieldValue(target.fields[0], digits)
+      target.fields[0].focus()
+      return
+    }
+
+    target.fields.forEach((field, index) => {
+      setFieldValue(field, digits[index] || "")
+    })
+
+    target.fields[Math.min(digits.length, target.fields.length) - 1]?.focus()
+  }
+
   async function maybeShowPendingSavePrompt() {
     const response = await runtimeMessage({
       type: MESSAGE_TYPES.RESOLVE_PENDING_SAVE,
@@ -1645,6 +1778,7 @@
 
     window.addEventListener("elektrine-location-change", () => {
       scheduleStagedFillCheck(150)
+      scheduleOneTimeCodeCheck(150)
       schedulePendingSaveCheck()
     })
   }
@@ -1656,6 +1790,13 @@
     }, delayMs)
   }
 
+  function scheduleOneTimeCodeCheck(delayMs = 120) {
+    window.clearTimeout(state.oneTimeCodeTimer)
+    state.oneTimeCodeTimer = window.setTimeout(() => {
+      maybeFillOneTimeCode().catch(() => {})
+    }, delayMs)
+  }
+
   function schedulePendingSaveCheck() {
     window.setTimeout(() => {
       maybeShowPendingSavePrompt()
@@ -1775,7 +1916,7 @@
   }
 
   function hostsRelated(left, right) {
-    return left === right
+    return globalThis.NervePublicSuffix?.hostsRelated(left, right) ?? left === right
   }
 
   function escapeHtml(value) {
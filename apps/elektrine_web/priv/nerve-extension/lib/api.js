@@ -1,3 +1,5 @@
+const ENTRY_PAGE_SIZE = 100
+
 function isLoopbackHostname(hostname) {
   return hostname === "localhost" || hostname === "127.0.0.1" || hostname === "[::1]"
 }
@@ -117,6 +119,26 @@ export function listEntries(settings) {
   return request(settings, "/api/ext/v1/nerve/entries?limit=100")
 }
 
+// Pages through the whole vault. With `includeCiphertext` every encrypted field
+// is returned, which exports need.
+export async function listAllEntries(settings, { includeCiphertext = false } = {}) {
+  const entries = []
+  const ciphertext = includeCiphertext ? "&include_ciphertext=true" : ""
+
+  for (let offset = 0; ; offset += ENTRY_PAGE_SIZE) {
+    const data = await request(
+      settings,
+      `/api/ext/v1/nerve/entries?limit=${ENTRY_PAGE_SIZE}&offset=${offset}${ciphertext}`
+    )
+    const page = data?.entries || []
+    entries.push(...page)
+
+    if (page.length < ENTRY_PAGE_SIZE) {
+      return entries
+    }
+  }
+}
+
 export function getEntry(settings, entryId) {
   return request(settings, `/api/ext/v1/nerve/entries/${entryId}`)
 }
@@ -130,6 +152,15 @@ export function createEntry(settings, attrs) {
   })
 }
 
+export function createEntries(settings, entries) {
+  return request(settings, "/api/ext/v1/nerve/entries/batch", {
+    method: "POST",
+    body: {
+      entries
+    }
+  })
+}
+
 export function updateEntry(settings, entryId, attrs) {
   return request(settings, `/api/ext/v1/nerve/entries/${entryId}`, {
     method: "PUT",
@@ -0,0 +1,134 @@
+import "./public_suffix_list.js"
+import "./public_suffix.js"
+
+const { hostsRelated: registrableHostsRelated, registrableDomain } = globalThis.NervePublicSuffix
+
+export const MATCH_MODES = Object.freeze({
+  DOMAIN: "domain",
+  HOST: "host",
+  STARTS_WITH: "starts_with",
+  REGEX: "regex",
+  NEVER: "never"
+})
+
+export const DEFAULT_MATCH_MODE = MATCH_MODES.DOMAIN
+
+export const MATCH_MODE_LABELS = Object.freeze({
+  [MATCH_MODES.DOMAIN]: "Same site (registrable domain)",
+  [MATCH_MODES.HOST]: "Exact host",
+  [MATCH_MODES.STARTS_WITH]: "URL starts with",
+  [MATCH_MODES.REGEX]: "Regular expression",
+  [MATCH_MODES.NEVER]: "Never autofill"
+})
+
+export function normalizeMatchMode(value) {
+  return Object.values(MATCH_MODES).includes(value) ? value : DEFAULT_MATCH_MODE
+}
+
+export function safeHost(url) {
+  try {
+    return new URL(url).hostname
+  } catch (_error) {
+    return ""
+  }
+}
+
+export function hostsRelated(left, right) {
+  return registrableHostsRelated(left, right)
+}
+
+export { registrableDomain }
+
+// Decides how an entry relates to a page. Returns "exact" when the entry's match rule
+// is satisfied precisely (same host, URL prefix or regex), "related" when only the
+// registrable domains agree under the default mode, and "none" otherwise. Ranking
+// and the fill gate both read this, so an entry is only suggested where it can fill.
+export function entryPageMatch(entry, pageUrl) {
+  const mode = normalizeMatchMode(entry?.match_mode)
+  const pattern = (entry?.match_pattern || "").trim()
+  const pageHost = safeHost(pageUrl)
+
+  if (!pageHost || mode === MATCH_MODES.NEVER) {
+    return "none"
+  }
+
+  switch (mode) {
+    case MATCH_MODES.STARTS_WITH:
+      return urlStartsWith(pageUrl, pattern || entry?.website) ? "exact" : "none"
+
+    case MATCH_MODES.REGEX:
+      return urlMatchesPattern(pageUrl, pattern) ? "exact" : "none"
+
+    case MATCH_MODES.HOST: {
+      const entryHost = safeHost(entry?.website)
+      return entryHost && entryHost === pageHost ? "exact" : "none"
+    }
+
+    default: {
+      const entryHost = safeHost(entry?.website)
+
+      if (!entryHost) return "none"
+      if (entryHost === pageHost) return "exact"
+
+      return hostsRelated(pageHost, entryHost) ? "related" : "none"
+    }
+  }
+}
+
+export function entryAllowedForPage(entry, pageUrl) {
+  return entryPageMatch(entry, pageUrl) !== "none"
+}
+
+function urlStartsWith(pageUrl, prefix) {
+  const value = (prefix || "").trim()
+
+  if (!value) return false
+
+  try {
+    const normalizedPrefix = new URL(value).toString()
+    return new URL(pageUrl).toString().startsWith(normalizedPrefix)
+  } catch (_error) {
+    return false
+  }
+}
+
+// The pattern must match the whole origin and path, so "example\.com" cannot
+// match a query string or another host that merely contains it.
+function urlMatchesPattern(pageUrl, pattern) {
+  if (!pattern) return false
+
+  try {
+    const url = new URL(pageUrl)
+    return new RegExp(`^(?:${pattern})$`, "i").test(url.origin + url.pathname)
+  } catch (_error) {
+    return false
+  }
+}
+
+export function validMatchPattern(mode, pattern) {
+  const value = (pattern || "").trim()
+
+  switch (normalizeMatchMode(mode)) {
+    case MATCH_MODES.REGEX:
+      if (!value) return false
+
+      try {
+        new RegExp(value, "i")
+        return true
+      } catch (_error) {
+        return false
+      }
+
+    case MATCH_MODES.STARTS_WITH:
+      if (!value) return true
+
+      try {
+        return ["http:", "https:"].includes(new URL(value).protocol)
+      } catch (_error) {
+        return false
+      }
+
+    default:
+      return true
+  }
+}
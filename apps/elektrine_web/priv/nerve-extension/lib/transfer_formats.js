@@ -0,0 +1,649 @@
+// Import and export formats for Nerve vaults. Mirrors the web app's
+// hooks/nerve_transfer_formats.js so files move between both clients unchanged.
+// Parsers yield plain {title, login_username, website, password, notes, totp}
+// entries; callers encrypt them before anything reaches the server.
+
+import { encryptValue, decryptValue } from "./crypto.js"
+import { parseTotp, totpUri } from "./totp.js"
+import { isZip, readZip, writeZip } from "./zip.js"
+
+export const FORMATS = {
+  bitwarden_json: { label: "Bitwarden (JSON)", extension: "json", mime: "application/json" },
+  onepassword_1pux: { label: "1Password (1PUX)", extension: "1pux", mime: "application/zip" },
+  onepassword_csv: { label: "1Password (CSV)", extension: "csv", mime: "text/csv" },
+  keepass_xml: { label: "KeePass (XML)", extension: "xml", mime: "application/xml" },
+  chrome_csv: { label: "Chrome (CSV)", extension: "csv", mime: "text/csv" },
+  firefox_csv: { label: "Firefox (CSV)", extension: "csv", mime: "text/csv" }
+}
+
+const ENVELOPE_TYPE = "elektrine-nerve-export"
+const ONEPASSWORD_LOGIN = "001"
+const ONEPASSWORD_PASSWORD = "005"
+const BITWARDEN_LOGIN = 1
+const CSV_COLUMNS = {
+  title: ["title", "name"],
+  website: ["url", "website", "login_uri"],
+  login_username: ["username", "login_username", "login"],
+  password: ["password", "login_password"],
+  notes: ["notes", "note", "extra"],
+  totp: ["otpauth", "totp", "login_totp"]
+}
+const FIREFOX_COLUMNS = [
+  "url",
+  "username",
+  "password",
+  "httpRealm",
+  "formActionOrigin",
+  "guid",
+  "timeCreated",
+  "timeLastUsed",
+  "timePasswordChanged"
+]
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+const exportAad = (format) => ({ purpose: "elektrine-nerve-export", format })
+
+// --- shared helpers ---
+
+function clean(value) {
+  return typeof value === "string" ? value.trim() : ""
+}
+
+function parseJson(text, message) {
+  try {
+    return JSON.parse(text)
+  } catch (_error) {
+    throw new Error(message)
+  }
+}
+
+function bytesToBase64(bytes) {
+  let binary = ""
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000))
+  }
+  return btoa(binary)
+}
+
+function base64ToBytes(value) {
+  return Uint8Array.from(atob(value), (char) => char.charCodeAt(0))
+}
+
+function websiteHost(website) {
+  try {
+    return new URL(website).hostname.replace(/^www\./, "").toLowerCase()
+  } catch (_error) {
+    return ""
+  }
+}
+
+function websiteOrigin(website) {
+  try {
+    return new URL(website).origin
+  } catch (_error) {
+    return ""
+  }
+}
+
+function normalizeWebsite(value) {
+  const raw = clean(value)
+  if (!raw) return ""
+
+  const candidate = /^[a-z][a-z\d+.-]*:/i.test(raw) ? raw : `https://${raw}`
+  try {
+    const url = new URL(candidate)
+    return ["http:", "https:"].includes(url.protocol) && url.hostname ? candidate : ""
+  } catch (_error) {
+    return ""
+  }
+}
+
+function appendNote(notes, line) {
+  return [notes, line].filter(Boolean).join("\n\n")
+}
+
+// Trims fields, fills in a title and canonicalizes authenticator keys. Keys
+// Nerve cannot compute codes for are kept in the notes instead of dropped.
+function normalizeEntry(raw) {
+  const website = normalizeWebsite(raw.website)
+  const entry = {
+    title: clean(raw.title),
+    login_username: clean(raw.login_username),
+    website,
+    password: typeof raw.password === "string" ? raw.password : "",
+    notes: clean(raw.notes),
+    totp: ""
+  }
+
+  if (!website && clean(raw.website)) {
+    entry.notes = appendNote(entry.notes, `Website: ${clean(raw.website)}`)
+  }
+
+  const totp = clean(raw.totp)
+  if (totp) {
+    try {
+      entry.totp = totpUri(parseTotp(totp))
+    } catch (_error) {
+      entry.notes = appendNote(entry.notes, `Authenticator key: ${totp}`)
+    }
+  }
+
+  entry.title = entry.title || websiteHost(website) || entry.login_username || "Imported entry"
+  return entry
+}
+
+function finish(format, rawEntries) {
+  const entries = []
+  let skipped = 0
+
+  for (const raw of rawEntries) {
+    if (raw && typeof raw.password === "string" && raw.password !== "") {
+      entries.push(normalizeEntry(raw))
+    } else {
+      skipped += 1
+    }
+  }
+
+  return { format, entries, skipped }
+}
+
+// Duplicate key: the site (or title when there is none) plus the login.
+export function entryFingerprint(entry) {
+  const site = websiteHost(entry.website || "") || clean(entry.title).toLowerCase()
+  return `${site}\u0000${clean(entry.login_username).toLowerCase()}`
+}
+
+// Flags entries that already exist in the vault or earlier in the same file.
+export function markDuplicates(entries, existing) {
+  const seen = new Set(existing.map(entryFingerprint))
+
+  return entries.map((entry) => {
+    const fingerprint = entryFingerprint(entry)
+    const duplicate = seen.has(fingerprint)
+    seen.add(fingerprint)
+    return { ...entry, duplicate }
+  })
+}
+
+// --- CSV ---
+
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ""
+  let quoted = false
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index]
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"'
+        index += 1
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") index += 1
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()))
+}
+
+function csvFormat(header) {
+  if (header.includes("httprealm") || header.includes("formactionorigin")) return "firefox_csv"
+  if (header.includes("otpauth") || header.includes("title")) return "onepassword_csv"
+  if (header.includes("name") && header.includes("url")) return "chrome_csv"
+
+  throw new Error("Unrecognized CSV export. Use a Chrome, Firefox or 1Password CSV file.")
+}
+
+function parseCsvExport(text) {
+  const [headerRow, ...rows] = parseCsv(text)
+  if (!headerRow) throw new Error("That CSV file is empty.")
+
+  const header = headerRow.map((cell) => cell.trim().toLowerCase())
+  const format = csvFormat(header)
+  const columns = Object.fromEntries(
+    Object.entries(CSV_COLUMNS).map(([field, names]) => [
+      field,
+      header.findIndex((name) => names.includes(name))
+    ])
+  )
+
+  if (columns.password === -1) throw new Error("That CSV file has no password column.")
+
+  const entries = rows.map((cells) =>
+    Object.fromEntries(
+      Object.entries(columns).map(([field, index]) => [field, index === -1 ? "" : cells[index]])
+    )
+  )
+
+  return finish(format, entries)
+}
+
+function csvCell(value) {
+  const text = String(value ?? "")
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function writeCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n"
+}
+
+// --- Bitwarden ---
+
+function parseBitwarden(json) {
+  if (json.encrypted) {
+    throw new Error("Password-protected Bitwarden exports cannot be read. Export unencrypted JSON.")
+  }
+  if (!Array.isArray(json.items)) throw new Error("That JSON file is not a Bitwarden export.")
+
+  return finish(
+    "bitwarden_json",
+    json.items.map((item) =>
+      item.type === BITWARDEN_LOGIN && item.login
+        ? {
+            title: item.name,
+            login_username: item.login.username,
+            website: item.login.uris?.[0]?.uri,
+            password: item.login.password,
+            notes: item.notes,
+            totp: item.login.totp
+          }
+        : null
+    )
+  )
+}
+
+function writeBitwarden(entries) {
+  const items = entries.map((entry) => ({
+    id: crypto.randomUUID(),
+    folderId: null,
+    type: BITWARDEN_LOGIN,
+    reprompt: 0,
+    name: entry.title,
+    notes: entry.notes || null,
+    favorite: false,
+    login: {
+      uris: entry.website ? [{ match: null, uri: entry.website }] : [],
+      username: entry.login_username || null,
+      password: entry.password,
+      totp: entry.totp || null
+    },
+    collectionIds: null
+  }))
+
+  return JSON.stringify({ encrypted: false, folders: [], items }, null, 2)
+}
+
+// --- 1Password ---
+
+function onePasswordUuid() {
+  const alphabet = "abcdefghijklmnopqrstuvwxyz234567"
+  const bytes = crypto.getRandomValues(new Uint8Array(26))
+  return Array.from(bytes, (byte) => alphabet[byte % 32]).join("")
+}
+
+function parseOnePasswordItem(item) {
+  if (item.state === "trashed") return null
+  if (![ONEPASSWORD_LOGIN, ONEPASSWORD_PASSWORD].includes(item.categoryUuid)) return null
+
+  const details = item.details || {}
+  const overview = item.overview || {}
+  const loginFields = details.loginFields || []
+  const designated = (name) => loginFields.find((field) => field.designation === name)?.value
+  const totp = (details.sections || [])
+    .flatMap((section) => section.fields || [])
+    .map((field) => field.value?.totp)
+    .find(Boolean)
+
+  return {
+    title: overview.title,
+    login_username: designated("username"),
+    website: overview.url || overview.urls?.[0]?.url,
+    password: designated("password") || details.password,
+    notes: details.notesPlain,
+    totp
+  }
+}
+
+async function parseOnePassword1pux(bytes) {
+  const read = readZip(bytes).get("export.data")
+  if (!read) throw new Error("That archive is not a 1Password 1PUX export.")
+
+  const data = parseJson(decoder.decode(await read()), "That 1PUX export is damaged.")
+  const items = (data.accounts || [])
+    .flatMap((account) => account.vaults || [])
+    .flatMap((vault) => vault.items || [])
+
+  return finish("onepassword_1pux", items.map(parseOnePasswordItem))
+}
+
+function loginField(designation, fieldType, value) {
+  return { value, id: "", name: designation, fieldType, designation }
+}
+
+function onePasswordItem(entry, now) {
+  const sections = entry.totp
+    ? [
+        {
+          title: "",
+          name: "",
+          fields: [
+            {
+              title: "one-time password",
+              id: `TOTP_${onePasswordUuid()}`,
+              value: { totp: entry.totp },
+              guarded: false,
+              multiline: false,
+              dontGenerate: false,
+              inputTraits: { keyboard: "default", correction: "default", capitalization: "default" }
+            }
+          ]
+        }
+      ]
+    : []
+
+  return {
+    uuid: onePasswordUuid(),
+    favIndex: 0,
+    createdAt: now,
+    updatedAt: now,
+    state: "active",
+    categoryUuid: ONEPASSWORD_LOGIN,
+    details: {
+      loginFields: [
+        loginField("username", "T", entry.login_username),
+        loginField("password", "P", entry.password)
+      ],
+      notesPlain: entry.notes,
+      sections,
+      passwordHistory: []
+    },
+    overview: {
+      subtitle: entry.login_username,
+      urls: entry.website ? [{ label: "website", url: entry.website }] : [],
+      title: entry.title,
+      url: entry.website,
+      ps: 0,
+      pbe: 0,
+      pgrng: false,
+      tags: []
+    }
+  }
+}
+
+function writeOnePassword1pux(entries) {
+  const now = Math.floor(Date.now() / 1000)
+  const attributes = { version: 3, description: "1Password Unencrypted Export", createdAt: now }
+  const data = {
+    accounts: [
+      {
+        attrs: {
+          accountName: "Elektrine Nerve",
+          name: "Elektrine Nerve",
+          avatar: "",
+          email: "",
+          uuid: onePasswordUuid(),
+          domain: ""
+        },
+        vaults: [
+          {
+            attrs: { uuid: onePasswordUuid(), desc: "", avatar: "", name: "Nerve", type: "P" },
+            items: entries.map((entry) => onePasswordItem(entry, now))
+          }
+        ]
+      }
+    ]
+  }
+
+  return writeZip([
+    { name: "export.attributes", data: encoder.encode(JSON.stringify(attributes)) },
+    { name: "export.data", data: encoder.encode(JSON.stringify(data)) }
+  ])
+}
+
+// --- KeePass ---
+
+function childText(element, name) {
+  return Array.from(element.children).find((child) => child.tagName === name)?.textContent || ""
+}
+
+function parseKeepass(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml")
+  if (doc.querySelector("parsererror") || !doc.querySelector("KeePassFile")) {
+    throw new Error("That XML file is not a KeePass 2 export.")
+  }
+
+  const binUuid = doc.querySelector("Meta > RecycleBinUUID")?.textContent
+  const bin = Array.from(doc.querySelectorAll("Group")).find(
+    (group) => binUuid && childText(group, "UUID") === binUuid
+  )
+
+  const entries = Array.from(doc.querySelectorAll("Entry"))
+    .filter((entry) => entry.parentElement?.tagName !== "History" && !bin?.contains(entry))
+    .map((entry) => {
+      const strings = {}
+      for (const string of entry.children) {
+        if (string.tagName !== "String") continue
+        strings[childText(string, "Key")] = childText(string, "Value")
+      }
+
+      return {
+        title: strings.Title,
+        login_username: strings.UserName,
+        website: strings.URL,
+        password: strings.Password,
+        notes: strings.Notes,
+        totp: strings.otp || strings["TOTP Seed"]
+      }
+    })
+
+  return finish("keepass_xml", entries)
+}
+
+function xmlEscape(value) {
+  return String(value ?? "")
+    .replace(/[^\t\n\r\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+}
+
+function keepassUuid() {
+  return bytesToBase64(crypto.getRandomValues(new Uint8Array(16)))
+}
+
+function writeKeepass(entries) {
+  const field = (key, value, protect = false) => {
+    const attributes = protect ? ' ProtectInMemory="True"' : ""
+    return `\t\t\t\t<String><Key>${key}</Key><Value${attributes}>${xmlEscape(value)}</Value></String>`
+  }
+
+  const body = entries.map((entry) =>
+    [
+      "\t\t\t<Entry>",
+      `\t\t\t\t<UUID>${keepassUuid()}</UUID>`,
+      field("Title", entry.title),
+      field("UserName", entry.login_username),
+      field("Password", entry.password, true),
+      field("URL", entry.website),
+      field("Notes", entry.notes),
+      entry.totp ? field("otp", entry.totp, true) : null,
+      "\t\t\t</Entry>"
+    ]
+      .filter(Boolean)
+      .join("\n")
+  )
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    "<KeePassFile>",
+    "\t<Meta><Generator>Elektrine Nerve</Generator></Meta>",
+    "\t<Root>",
+    "\t\t<Group>",
+    `\t\t\t<UUID>${keepassUuid()}</UUID>`,
+    "\t\t\t<Name>Nerve</Name>",
+    ...body,
+    "\t\t</Group>",
+    "\t</Root>",
+    "</KeePassFile>",
+    ""
+  ].join("\n")
+}
+
+// --- CSV flavours ---
+
+function writeChromeCsv(entries) {
+  return writeCsv(
+    ["name", "url", "username", "password", "note"],
+    entries.map((entry) => [
+      entry.title,
+      entry.website,
+      entry.login_username,
+      entry.password,
+      entry.notes
+    ])
+  )
+}
+
+function writeFirefoxCsv(entries) {
+  const now = String(Date.now())
+
+  return writeCsv(
+    FIREFOX_COLUMNS,
+    entries.map((entry) => [
+      entry.website,
+      entry.login_username,
+      entry.password,
+      "",
+      websiteOrigin(entry.website),
+      `{${crypto.randomUUID()}}`,
+      now,
+      now,
+      now
+    ])
+  )
+}
+
+function writeOnePasswordCsv(entries) {
+  return writeCsv(
+    ["Title", "Url", "Username", "Password", "OTPAuth", "Favorite", "Archived", "Tags", "Notes"],
+    entries.map((entry) => [
+      entry.title,
+      entry.website,
+      entry.login_username,
+      entry.password,
+      entry.totp,
+      "false",
+      "false",
+      "",
+      entry.notes
+    ])
+  )
+}
+
+// --- entry points ---
+
+async function openEnvelope(envelope, key) {
+  if (!FORMATS[envelope.format] || !envelope.payload) {
+    throw new Error("That encrypted Nerve export is damaged.")
+  }
+  if (!key) throw new Error("Unlock Nerve to import an encrypted Nerve export.")
+
+  try {
+    return base64ToBytes(await decryptValue(envelope.payload, key, exportAad(envelope.format)))
+  } catch (_error) {
+    throw new Error("That export was encrypted by a different account and cannot be opened here.")
+  }
+}
+
+async function parseImportBytes(bytes, key) {
+  if (isZip(bytes)) return parseOnePassword1pux(bytes)
+
+  const text = decoder.decode(bytes).replace(/^\uFEFF/, "")
+  const trimmed = text.trim()
+
+  if (trimmed.startsWith("{")) {
+    const json = parseJson(trimmed, "That JSON file could not be read.")
+    if (json.type === ENVELOPE_TYPE) return parseImportBytes(await openEnvelope(json, key), key)
+    return parseBitwarden(json)
+  }
+
+  if (trimmed.startsWith("<")) return parseKeepass(trimmed)
+
+  return parseCsvExport(text)
+}
+
+// Reads an export file, detecting its format. Resolves to
+// `{format, entries, skipped}` where `skipped` counts items without a password
+// or of a kind Nerve does not store. Pass the Nerve `key` to open encrypted
+// Nerve exports.
+export async function parseImportFile(file, { key = null } = {}) {
+  return parseImportBytes(new Uint8Array(await file.arrayBuffer()), key)
+}
+
+const WRITERS = {
+  bitwarden_json: writeBitwarden,
+  onepassword_1pux: writeOnePassword1pux,
+  onepassword_csv: writeOnePasswordCsv,
+  keepass_xml: writeKeepass,
+  chrome_csv: writeChromeCsv,
+  firefox_csv: writeFirefoxCsv
+}
+
+// Serializes plaintext entries into `{format, filename, mime, bytes}`.
+export function serializeExport(format, entries) {
+  const writer = WRITERS[format]
+  if (!writer) throw new Error("Choose an export format.")
+
+  const output = writer(entries)
+  const date = new Date().toISOString().slice(0, 10)
+
+  return {
+    format,
+    filename: `nerve-${format.replace(/_/g, "-")}-${date}.${FORMATS[format].extension}`,
+    mime: FORMATS[format].mime,
+    bytes: typeof output === "string" ? encoder.encode(output) : output
+  }
+}
+
+// Seals a serialized export with the Nerve key into a JSON envelope file.
+export async function encryptExport(file, key) {
+  const envelope = {
+    type: ENVELOPE_TYPE,
+    version: 1,
+    format: file.format,
+    filename: file.filename,
+    payload: await encryptValue(bytesToBase64(file.bytes), key, exportAad(file.format))
+  }
+
+  return {
+    format: file.format,
+    filename: `${file.filename}.nerve.json`,
+    mime: "application/json",
+    bytes: encoder.encode(JSON.stringify(envelope, null, 2))
+  }
+}
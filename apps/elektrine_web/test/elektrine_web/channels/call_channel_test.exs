@@ -134,6 +134,72 @@ defmodule ElektrineWeb.CallChannelTest do
     assert is_integer(ice_signal_id)
   end
 
+  test "relays media key announcements to the other participant", %{
+    socket: caller_socket,
+    call: call,
+    callee: callee
+  } do
+    token = Phoenix.Token.sign(ElektrineWeb.Endpoint, "user socket", user_socket_claims(callee))
+    {:ok, callee_socket} = connect(UserSocket, %{"token" => token})
+
+    {:ok, _join_payload, callee_socket} =
+      subscribe_and_join(callee_socket, ElektrineWeb.CallChannel, "call:#{call.id}", %{
+        "client_session_id" => "callee-session"
+      })
+
+    ref = push(callee_socket, "media_key", %{"supported" => true, "key_uid" => "key-abc"})
+    assert_reply ref, :ok
+
+    assert_push "media_key", %{
+      supported: true,
+      key_uid: "key-abc",
+      from_user_id: callee_id,
+      from_client_session_id: "callee-session"
+    }
+
+    assert callee_id == callee.id
+    refute_push "media_key", %{from_client_session_id: "callee-session"}
+
+    ref = push(caller_socket, "media_key", %{"supported" => false, "key_uid" => nil})
+    assert_reply ref, :ok
+  end
+
+  test "rejects malformed media key announcements", %{socket: socket} do
+    ref = push(socket, "media_key", %{"supported" => false, "key_uid" => "key-abc"})
+    assert_reply ref, :error, %{reason: "invalid_media_key"}
+
+    long_uid = String.duplicate("k", 200)
+    ref = push(socket, "media_key", %{"supported" => true, "key_uid" => long_uid})
+    assert_reply ref, :error, %{reason: "invalid_media_key"}
+
+    ref = push(socket, "media_key", %{"key_uid" => "key-abc"})
+    assert_reply ref, :error, %{reason: "invalid_media_key"}
+  end
+
+  test "relays recording notices to the other participant", %{call: call, callee: callee} do
+    token = Phoenix.Token.sign(ElektrineWeb.Endpoint, "user socket", user_socket_claims(callee))
+    {:ok, callee_socket} = connect(UserSocket, %{"token" => token})
+
+    {:ok, _join_payload, callee_socket} =
+      subscribe_and_join(callee_socket, ElektrineWeb.CallChannel, "call:#{call.id}", %{
+        "client_session_id" => "callee-session"
+      })
+
+    ref = push(callee_socket, "recording", %{"recording" => true})
+    assert_reply ref, :ok
+
+    assert_push "recording", %{
+      recording: true,
+      from_user_id: callee_id,
+      from_client_session_id: "callee-session"
+    }
+
+    assert callee_id == callee.id
+
+    ref = push(callee_socket, "recording", %{"recording" => "yes"})
+    assert_reply ref, :error, %{reason: "invalid_recording"}
+  end
+
   test "accepts valid ICE candidates", %{socket: socket} do
     ref = push(socket, "ice_candidate", %{"candidate" => valid_candidate()})
     assert_reply ref, :ok
@@ -209,6 +275,12 @@ defmodule ElektrineWeb.CallChannelTest do
     })
 
     assert_push "offer", %{sdp: ^offer}
+
+    ref = push(joined_socket, "media_key", %{"supported" => true, "key_uid" => "key-abc"})
+    assert_reply ref, :error, %{reason: "unsupported"}
+
+    ref = push(joined_socket, "recording", %{"recording" => true})
+    assert_reply ref, :error, %{reason: "unsupported"}
     assert joined_socket.topic == "call:#{session.id}"
   end
 
@@ -126,6 +126,125 @@ defmodule ElektrineWeb.VoiceChannelTest do
     assert {:error, %{reason: "already_joined"}} = join_voice(owner, voice)
   end
 
+  test "set_media updates video state and the stream id", %{owner: owner, voice: voice} do
+    {:ok, _payload, socket} = join_voice(owner, voice)
+
+    ref = push(socket, "set_media", %{"video" => true, "stream_id" => "stream-abc"})
+    assert_reply ref, :ok
+
+    assert %{metas: [%{video: true, stream_id: "stream-abc"} | _rest]} =
+             ElektrineWeb.Presence.list("voice:#{voice.id}")[to_string(owner.id)]
+
+    long_id = String.duplicate("a", 200)
+    ref = push(socket, "set_media", %{"video" => false, "stream_id" => long_id})
+    assert_reply ref, :error, %{reason: "invalid_stream_id"}
+  end
+
+  test "set_screen publishes and clears the screen share stream", %{owner: owner, voice: voice} do
+    {:ok, _payload, socket} = join_voice(owner, voice)
+    key = to_string(owner.id)
+
+    assert %{metas: [%{screen_stream_id: nil} | _rest]} =
+             ElektrineWeb.Presence.list("voice:#{voice.id}")[key]
+
+    ref = push(socket, "set_screen", %{"stream_id" => "screen-abc"})
+    assert_reply ref, :ok
+
+    assert %{metas: [%{screen_stream_id: "screen-abc"} | _rest]} =
+             ElektrineWeb.Presence.list("voice:#{voice.id}")[key]
+
+    ref = push(socket, "set_screen", %{"stream_id" => nil})
+    assert_reply ref, :ok
+
+    assert %{metas: [%{screen_stream_id: nil} | _rest]} =
+             ElektrineWeb.Presence.list("voice:#{voice.id}")[key]
+
+    ref = push(socket, "set_screen", %{"stream_id" => 42})
+    assert_reply ref, :error, %{reason: "invalid_stream_id"}
+  end
+
+  test "set_e2ee announces the media key in presence", %{owner: owner, voice: voice} do
+    {:ok, _payload, socket} = join_voice(owner, voice)
+    key = to_string(owner.id)
+
+    assert %{metas: [%{e2ee_supported: nil, media_key_uid: nil} | _rest]} =
+             ElektrineWeb.Presence.list("voice:#{voice.id}")[key]
+
+    ref = push(socket, "set_e2ee", %{"supported" => true, "key_uid" => "key-abc"})
+    assert_reply ref, :ok
+
+    assert %{metas: [%{e2ee_supported: true, media_key_uid: "key-abc"} | _rest]} =
+             ElektrineWeb.Presence.list("voice:#{voice.id}")[key]
+
+    ref = push(socket, "set_e2ee", %{"supported" => false, "key_uid" => "key-abc"})
+    assert_reply ref, :error, %{reason: "invalid_media_key"}
+
+    ref = push(socket, "set_e2ee", %{"supported" => false, "key_uid" => nil})
+    assert_reply ref, :ok
+
+    assert %{metas: [%{e2ee_supported: false, media_key_uid: nil} | _rest]} =
+             ElektrineWeb.Presence.list("voice:#{voice.id}")[key]
+  end
+
+  test "group members join the group call", %{owner: owner, member: member} do
+    group = group_fixture(owner, [member])
+
+    assert {:ok, %{topology: "mesh"}, _socket} =
+             owner
+             |> connect_user()
+             |> subscribe_and_join(VoiceChannel, "voice:#{group.id}", %{"video" => true})
+
+    assert %{metas: [%{video: true, topology: "mesh"} | _rest]} =
+             ElektrineWeb.Presence.list("voice:#{group.id}")[to_string(owner.id)]
+
+    outsider = AccountsFixtures.user_fixture()
+    assert {:error, %{reason: "unauthorized"}} = join_voice(outsider, group)
+  end
+
+  test "large rooms use the SFU and its cap when one is configured", %{
+    owner: owner,
+    member: member
+  } do
+    original_webrtc = Application.get_env(:elektrine, :webrtc, [])
+    original_voice = Application.get_env(:elektrine, :voice_channels)
+
+    Application.put_env(
+      :elektrine,
+      :webrtc,
+      Keyword.put(original_webrtc, :sfu_endpoint, "wss://sfu.example.com/ws")
+    )
+
+    Application.put_env(:elektrine, :voice_channels, max_occupants: 1, sfu_max_occupants: 2)
+
+    on_exit(fn ->
+      Application.put_env(:elektrine, :webrtc, original_webrtc)
+
+      if original_voice do
+        Application.put_env(:elektrine, :voice_channels, original_voice)
+      else
+        Application.delete_env(:elektrine, :voice_channels)
+      end
+    end)
+
+    third = AccountsFixtures.user_fixture()
+    group = group_fixture(owner, [member, third])
+
+    assert {:ok, %{topology: "sfu"}, _socket} = join_voice(owner, group)
+    assert {:ok, %{topology: "sfu"}, _socket} = join_voice(member, group)
+    assert {:error, %{reason: "channel_full"}} = join_voice(third, group)
+  end
+
+  defp group_fixture(owner, members) do
+    case Messaging.create_group_conversation(
+           owner.id,
+           %{name: "call-group-#{System.unique_integer([:positive])}"},
+           Enum.map(members, & &1.id)
+         ) do
+      {:ok, conversation} -> conversation
+      {:ok, conversation, _failed_count} -> conversation
+    end
+  end
+
   defp user_socket_claims(user) do
     %{
       "user_id" => user.id,
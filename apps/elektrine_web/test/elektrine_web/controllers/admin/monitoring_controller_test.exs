@@ -6,6 +6,8 @@ defmodule ElektrineWeb.Admin.MonitoringControllerTest do
   alias Elektrine.Accounts
   alias Elektrine.Accounts.User
   alias Elektrine.AccountsFixtures
+  alias Elektrine.Calls
+  alias Elektrine.Calls.Call
   alias Elektrine.Repo
   alias ElektrineWeb.AdminSecurity
 
@@ -118,6 +120,44 @@ defmodule ElektrineWeb.Admin.MonitoringControllerTest do
     end
   end
 
+  describe "GET /pripyat/call-quality" do
+    test "lists reported calls and filters to relayed ones", %{conn: conn} do
+      admin = admin_user_fixture()
+      caller = AccountsFixtures.user_fixture()
+      callee = AccountsFixtures.user_fixture()
+      direct_caller = AccountsFixtures.user_fixture()
+
+      relayed_call = insert_ended_call(caller, callee)
+      direct_call = insert_ended_call(direct_caller, callee)
+
+      {:ok, _} =
+        Calls.record_quality_report(relayed_call.id, caller.id, %{
+          "relayed" => true,
+          "local_candidate" => "relay",
+          "remote_candidate" => "srflx",
+          "relay_protocol" => "tcp"
+        })
+
+      {:ok, _} =
+        Calls.record_quality_report(direct_call.id, direct_caller.id, %{
+          "relayed" => false,
+          "local_candidate" => "host"
+        })
+
+      html =
+        conn
+        |> with_elektrine_host()
+        |> log_in_as(admin)
+        |> get("/pripyat/call-quality?filter=relayed")
+        |> html_response(200)
+
+      assert html =~ "Call Quality"
+      assert html =~ caller.username
+      assert html =~ "relay / srflx (tcp)"
+      refute html =~ direct_caller.username
+    end
+  end
+
   describe "GET /pripyat/job-queue-stats" do
     test "includes live operational telemetry counters", %{conn: conn} do
       admin = admin_user_fixture()
@@ -228,6 +268,17 @@ defmodule ElektrineWeb.Admin.MonitoringControllerTest do
     admin_user
   end
 
+  defp insert_ended_call(caller, callee) do
+    %Call{}
+    |> Call.changeset(%{
+      caller_id: caller.id,
+      callee_id: callee.id,
+      call_type: "audio",
+      status: "ended"
+    })
+    |> Repo.insert!()
+  end
+
   defp with_elektrine_host(conn) do
     Map.put(conn, :host, "example.com")
   end
@@ -0,0 +1,119 @@
+defmodule ElektrineWeb.API.CallRecordingControllerTest do
+  use ElektrineWeb.ConnCase, async: true
+
+  import Ecto.Query
+  import Elektrine.AccountsFixtures
+
+  alias Elektrine.Calls.Call
+  alias Elektrine.Messaging
+  alias Elektrine.Messaging.ChatMessage
+  alias Elektrine.Repo
+
+  defp log_in_user(conn, user) do
+    token =
+      Phoenix.Token.sign(ElektrineWeb.Endpoint, "user auth", %{
+        "user_id" => user.id,
+        "password_changed_at" =>
+          user.last_password_change && DateTime.to_unix(user.last_password_change),
+        "auth_valid_after" => user.auth_valid_after && DateTime.to_unix(user.auth_valid_after)
+      })
+
+    conn
+    |> Phoenix.ConnTest.init_test_session(%{})
+    |> Plug.Conn.put_session(:user_token, token)
+  end
+
+  setup do
+    caller = user_fixture()
+    callee = user_fixture()
+    {:ok, conversation} = Messaging.create_dm_conversation(caller.id, callee.id)
+
+    call =
+      %Call{}
+      |> Call.changeset(%{
+        caller_id: caller.id,
+        callee_id: callee.id,
+        conversation_id: conversation.id,
+        call_type: "video",
+        status: "ended"
+      })
+      |> Repo.insert!()
+
+    %{caller: caller, call: call}
+  end
+
+  describe "POST /api/chat/calls/:call_id/recordings" do
+    test "saves a sealed recording as a Kairo source", %{
+      conn: conn,
+      caller: caller,
+      call: call
+    } do
+      conn =
+        conn
+        |> log_in_user(caller)
+        |> post(~p"/api/chat/calls/#{call.id}/recordings", recording_params("kairo"))
+
+      assert %{"destination" => "kairo", "id" => source_id} = json_response(conn, 201)
+      assert %Kairo.Source{} = source = Kairo.get_source(caller.id, source_id)
+      assert source.encrypted
+      assert source.metadata["call_recording"]
+    end
+
+    test "rejects users who were not on the call", %{conn: conn, call: call} do
+      conn =
+        conn
+        |> log_in_user(user_fixture())
+        |> post(~p"/api/chat/calls/#{call.id}/recordings", recording_params("kairo"))
+
+      assert json_response(conn, 404)["error"]
+    end
+
+    test "rejects unknown destinations", %{conn: conn, caller: caller, call: call} do
+      conn =
+        conn
+        |> log_in_user(caller)
+        |> post(~p"/api/chat/calls/#{call.id}/recordings", recording_params("email"))
+
+      assert json_response(conn, 400)["error"]
+    end
+
+    test "does not post recordings to the call's conversation", %{
+      conn: conn,
+      caller: caller,
+      call: call
+    } do
+      conn =
+        conn
+        |> log_in_user(caller)
+        |> post(~p"/api/chat/calls/#{call.id}/recordings", recording_params("chat"))
+
+      assert json_response(conn, 400)["error"]
+      refute Repo.exists?(
+               from(m in ChatMessage, where: m.conversation_id == ^call.conversation_id)
+             )
+    end
+  end
+
+  defp recording_params(destination) do
+    path = Path.join(System.tmp_dir!(), "recording-#{System.unique_integer([:positive])}.enc")
+    File.write!(path, :crypto.strong_rand_bytes(256))
+
+    manifest = %{
+      "version" => 2,
+      "algorithm" => "AES-GCM",
+      "iv" => Base.encode64(:crypto.strong_rand_bytes(12)),
+      "ciphertext" => Base.encode64(:crypto.strong_rand_bytes(64))
+    }
+
+    %{
+      "destination" => destination,
+      "duration" => "12",
+      "manifest" => Jason.encode!(manifest),
+      "file" => %Plug.Upload{
+        path: path,
+        filename: "call-recording.enc",
+        content_type: "application/octet-stream"
+      }
+    }
+  end
+end
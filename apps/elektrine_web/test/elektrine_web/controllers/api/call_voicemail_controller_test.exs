@@ -0,0 +1,105 @@
+defmodule ElektrineWeb.API.CallVoicemailControllerTest do
+  use ElektrineWeb.ConnCase, async: true
+
+  import Elektrine.AccountsFixtures
+
+  alias Elektrine.Calls.Call
+  alias Elektrine.Messaging
+  alias Elektrine.Messaging.ChatMessage
+  alias Elektrine.Repo
+
+  defp log_in_user(conn, user) do
+    token =
+      Phoenix.Token.sign(ElektrineWeb.Endpoint, "user auth", %{
+        "user_id" => user.id,
+        "password_changed_at" =>
+          user.last_password_change && DateTime.to_unix(user.last_password_change),
+        "auth_valid_after" => user.auth_valid_after && DateTime.to_unix(user.auth_valid_after)
+      })
+
+    conn
+    |> Phoenix.ConnTest.init_test_session(%{})
+    |> Plug.Conn.put_session(:user_token, token)
+  end
+
+  setup do
+    caller = user_fixture()
+    callee = user_fixture()
+    {:ok, conversation} = Messaging.create_dm_conversation(caller.id, callee.id)
+
+    call =
+      %Call{}
+      |> Call.changeset(%{
+        caller_id: caller.id,
+        callee_id: callee.id,
+        conversation_id: conversation.id,
+        call_type: "audio",
+        status: "missed",
+        ended_at: DateTime.utc_now() |> DateTime.truncate(:second)
+      })
+      |> Repo.insert!()
+
+    %{caller: caller, callee: callee, call: call}
+  end
+
+  describe "POST /api/chat/calls/:call_id/voicemail" do
+    test "posts the caller's message to the call's conversation", %{
+      conn: conn,
+      caller: caller,
+      call: call
+    } do
+      conn =
+        conn
+        |> log_in_user(caller)
+        |> post(~p"/api/chat/calls/#{call.id}/voicemail", voicemail_params())
+
+      assert %{"id" => message_id} = json_response(conn, 201)
+
+      assert %ChatMessage{message_type: "voice", audio_mime_type: "audio/webm"} =
+               Repo.get(ChatMessage, message_id)
+    end
+
+    test "only the caller can leave a message", %{conn: conn, callee: callee, call: call} do
+      conn =
+        conn
+        |> log_in_user(callee)
+        |> post(~p"/api/chat/calls/#{call.id}/voicemail", voicemail_params())
+
+      assert json_response(conn, 404)["error"]
+    end
+
+    test "rejects a second message for the same call", %{
+      conn: conn,
+      caller: caller,
+      call: call
+    } do
+      first =
+        conn
+        |> log_in_user(caller)
+        |> post(~p"/api/chat/calls/#{call.id}/voicemail", voicemail_params())
+
+      assert json_response(first, 201)
+
+      second =
+        build_conn()
+        |> log_in_user(caller)
+        |> post(~p"/api/chat/calls/#{call.id}/voicemail", voicemail_params())
+
+      assert json_response(second, 409)["error"] =~ "already"
+    end
+  end
+
+  defp voicemail_params do
+    path = Path.join(System.tmp_dir!(), "voicemail-#{System.unique_integer([:positive])}.webm")
+    File.write!(path, <<26, 69, 223, 163, "voicemail">>)
+
+    %{
+      "duration" => "8",
+      "file" => %Plug.Upload{
+        path: path,
+        filename: "voicemail.webm",
+        content_type: "audio/webm;codecs=opus"
+      }
+    }
+  end
+end
@@ -757,6 +757,63 @@ defmodule ElektrineWeb.API.ExtV1ControllerTest do
       assert [_entry] = list_data["entries"]
     end
 
+    test "Nerve batch endpoint imports encrypted entries", %{conn: conn} do
+      user = user_fixture()
+      conn = with_pat(conn, user.id, ["write:nerve"])
+
+      entry = %{
+        "encrypted_metadata" => valid_client_payload(),
+        "encrypted_password" => valid_client_payload()
+      }
+
+      conn = post(conn, "/api/ext/v1/nerve/entries/batch", %{"entries" => [entry, entry]})
+
+      assert %{"data" => %{"entries" => [_first, _second]}} = json_response(conn, 201)
+      assert length(Nerve.list_entries(user.id)) == 2
+    end
+
+    test "Nerve list includes ciphertext only when asked", %{conn: conn} do
+      user = user_fixture()
+
+      assert {:ok, _entry} =
+               Nerve.create_entry(user.id, %{
+                 encrypted_metadata: valid_client_payload(),
+                 encrypted_password: valid_client_payload()
+               })
+
+      list_conn = conn |> with_pat(user.id, ["read:nerve"]) |> get("/api/ext/v1/nerve/entries")
+      assert %{"data" => %{"entries" => [entry]}} = json_response(list_conn, 200)
+      refute Map.has_key?(entry, "encrypted_password")
+
+      export_conn =
+        build_conn()
+        |> with_pat(user.id, ["read:nerve"])
+        |> get("/api/ext/v1/nerve/entries?include_ciphertext=true")
+
+      assert %{"data" => %{"entries" => [entry]}} = json_response(export_conn, 200)
+      assert entry["encrypted_password"]["algorithm"] == "AES-GCM"
+    end
+
+    test "Nerve batch endpoint rejects invalid entries without storing any", %{conn: conn} do
+      user = user_fixture()
+      conn = with_pat(conn, user.id, ["write:nerve"])
+
+      conn =
+        post(conn, "/api/ext/v1/nerve/entries/batch", %{
+          "entries" => [
+            %{
+              "encrypted_metadata" => valid_client_payload(),
+              "encrypted_password" => valid_client_payload()
+            },
+            %{"encrypted_metadata" => valid_client_payload(), "encrypted_password" => "nope"}
+          ]
+        })
+
+      assert %{"error" => error} = json_response(conn, 400)
+      assert error["code"] == "invalid_payload"
+      assert Nerve.list_entries(user.id) == []
+    end
+
     test "Nerve endpoints reject account scopes without nerve scopes", %{conn: conn} do
       user = user_fixture()
       conn = with_pat(conn, user.id, ["read:account"])
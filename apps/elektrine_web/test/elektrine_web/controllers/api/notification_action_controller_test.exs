@@ -0,0 +1,206 @@
+defmodule ElektrineWeb.API.NotificationActionControllerTest do
+  use ElektrineWeb.ConnCase, async: true
+
+  import Ecto.Query
+  import Elektrine.AccountsFixtures
+
+  alias Elektrine.Email
+  alias Elektrine.Messaging
+  alias Elektrine.Messaging.{ChatConversationEncryptionKey, ChatMessage}
+  alias Elektrine.Notifications
+  alias Elektrine.Notifications.Notification
+  alias Elektrine.Repo
+
+  defp log_in_user(conn, user) do
+    token =
+      Phoenix.Token.sign(ElektrineWeb.Endpoint, "user auth", %{
+        "user_id" => user.id,
+        "password_changed_at" =>
+          user.last_password_change && DateTime.to_unix(user.last_password_change),
+        "auth_valid_after" => user.auth_valid_after && DateTime.to_unix(user.auth_valid_after)
+      })
+
+    conn
+    |> Phoenix.ConnTest.init_test_session(%{})
+    |> Plug.Conn.put_session(:user_token, token)
+  end
+
+  setup do
+    user = user_fixture()
+    sender = user_fixture()
+    {:ok, conversation} = Messaging.create_dm_conversation(sender.id, user.id)
+    {:ok, message} = Messaging.create_text_message(conversation.id, sender.id, "lunch?")
+
+    {:ok, notification} =
+      Notifications.create_notification(%{
+        type: "new_message",
+        title: "Message from sender",
+        body: "lunch?",
+        url: "/chat",
+        source_type: "message",
+        source_id: message.id,
+        actor_id: sender.id,
+        user_id: user.id
+      })
+
+    %{user: user, conversation: conversation, message: message, notification: notification}
+  end
+
+  describe "POST /api/notifications/:id/actions/:action" do
+    test "replies inline to a DM and marks the notification read", %{
+      conn: conn,
+      user: user,
+      conversation: conversation,
+      notification: notification
+    } do
+      conn =
+        conn
+        |> log_in_user(user)
+        |> post(~p"/api/notifications/#{notification.id}/actions/reply", %{reply: "on my way"})
+
+      assert %{"unread_count" => _count} = json_response(conn, 200)
+
+      assert Repo.exists?(
+               from(m in ChatMessage,
+                 where: m.conversation_id == ^conversation.id and m.sender_id == ^user.id
+               )
+             )
+
+      assert Repo.get(Notification, notification.id).read_at
+    end
+
+    test "refuses plaintext replies in an end-to-end encrypted DM", %{
+      conn: conn,
+      user: user,
+      conversation: conversation,
+      notification: notification
+    } do
+      %ChatConversationEncryptionKey{}
+      |> ChatConversationEncryptionKey.changeset(%{
+        conversation_id: conversation.id,
+        key_uid: "key-test-123456",
+        algorithm: "AES-256-GCM",
+        metadata: %{"source" => "browser"}
+      })
+      |> Repo.insert!()
+
+      refute Enum.any?(Notifications.push_actions(notification), &(&1.action == "reply"))
+
+      conn =
+        conn
+        |> log_in_user(user)
+        |> post(~p"/api/notifications/#{notification.id}/actions/reply", %{reply: "on my way"})
+
+      assert json_response(conn, 409)["error"]
+
+      refute Repo.exists?(
+               from(m in ChatMessage,
+                 where: m.conversation_id == ^conversation.id and m.sender_id == ^user.id
+               )
+             )
+
+      refute Repo.get(Notification, notification.id).read_at
+    end
+
+    test "mark read marks the chat conversation read", %{
+      conn: conn,
+      user: user,
+      conversation: conversation,
+      message: message,
+      notification: notification
+    } do
+      refute Messaging.get_last_read_message_id(conversation.id, user.id) == message.id
+
+      conn =
+        conn
+        |> log_in_user(user)
+        |> post(~p"/api/notifications/#{notification.id}/actions/mark_read")
+
+      assert %{"unread_count" => _count} = json_response(conn, 200)
+      assert Messaging.get_last_read_message_id(conversation.id, user.id) == message.id
+      assert Repo.get(Notification, notification.id).read_at
+    end
+
+    test "mark read marks the email itself read", %{conn: conn, user: user} do
+      {:ok, mailbox} = Email.ensure_user_has_mailbox(user)
+      {:ok, email} = create_email(mailbox)
+      notification = email_notification(user, email)
+
+      conn =
+        conn
+        |> log_in_user(user)
+        |> post(~p"/api/notifications/#{notification.id}/actions/mark_read")
+
+      assert json_response(conn, 200)
+      assert Email.get_message_internal(email.id).read
+      assert Repo.get(Notification, notification.id).read_at
+    end
+
+    test "mark read leaves emails outside the user's mailbox alone", %{conn: conn, user: user} do
+      {:ok, other_mailbox} = Email.ensure_user_has_mailbox(user_fixture())
+      {:ok, email} = create_email(other_mailbox)
+      notification = email_notification(user, email)
+
+      conn =
+        conn
+        |> log_in_user(user)
+        |> post(~p"/api/notifications/#{notification.id}/actions/mark_read")
+
+      assert json_response(conn, 404)
+      refute Email.get_message_internal(email.id).read
+      refute Repo.get(Notification, notification.id).read_at
+    end
+
+    test "refuses actions the notification does not offer", %{
+      conn: conn,
+      user: user,
+      notification: notification
+    } do
+      conn =
+        conn
+        |> log_in_user(user)
+        |> post(~p"/api/notifications/#{notification.id}/actions/archive")
+
+      assert json_response(conn, 404)
+      refute Repo.get(Notification, notification.id).read_at
+    end
+
+    test "does not run actions on other users' notifications", %{
+      conn: conn,
+      notification: notification
+    } do
+      conn =
+        conn
+        |> log_in_user(user_fixture())
+        |> post(~p"/api/notifications/#{notification.id}/actions/mark_read")
+
+      assert json_response(conn, 404)
+    end
+  end
+
+  defp create_email(mailbox) do
+    Email.create_message(%{
+      from: "sender@example.com",
+      to: mailbox.email,
+      subject: "Quarterly report",
+      text_body: "Attached.",
+      message_id: "push-action-#{System.unique_integer([:positive])}@example.com",
+      mailbox_id: mailbox.id
+    })
+  end
+
+  defp email_notification(user, email) do
+    {:ok, notification} =
+      Notifications.create_notification(%{
+        type: "email_received",
+        title: "New email from sender@example.com",
+        body: "Quarterly report",
+        url: "/email/view/#{email.id}",
+        source_type: "email",
+        source_id: email.id,
+        user_id: user.id
+      })
+
+    notification
+  end
+end
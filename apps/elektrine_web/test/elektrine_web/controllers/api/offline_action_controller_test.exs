@@ -0,0 +1,102 @@
+defmodule ElektrineWeb.API.OfflineActionControllerTest do
+  use ElektrineWeb.ConnCase, async: true
+
+  import Elektrine.AccountsFixtures
+  import Elektrine.SocialFixtures
+
+  alias Elektrine.Email
+  alias Elektrine.Messaging
+  alias Elektrine.Messaging.ChatMessage
+  alias Elektrine.Repo
+  alias Elektrine.Social
+
+  defp log_in_user(conn, user) do
+    token =
+      Phoenix.Token.sign(ElektrineWeb.Endpoint, "user auth", %{
+        "user_id" => user.id,
+        "password_changed_at" =>
+          user.last_password_change && DateTime.to_unix(user.last_password_change),
+        "auth_valid_after" => user.auth_valid_after && DateTime.to_unix(user.auth_valid_after)
+      })
+
+    conn
+    |> Phoenix.ConnTest.init_test_session(%{})
+    |> Plug.Conn.put_session(:user_token, token)
+  end
+
+  defp replay(conn, user, kind, payload) do
+    conn
+    |> log_in_user(user)
+    |> post(~p"/api/offline/actions", %{kind: kind, payload: payload})
+  end
+
+  describe "POST /api/offline/actions" do
+    test "sends a queued chat message", %{conn: conn} do
+      user = user_fixture()
+      other = user_fixture()
+      {:ok, conversation} = Messaging.create_dm_conversation(user.id, other.id)
+
+      conn =
+        replay(conn, user, "chat_message", %{
+          conversation_id: to_string(conversation.id),
+          content: "written on the train"
+        })
+
+      assert %{"id" => message_id} = json_response(conn, 201)
+
+      assert %ChatMessage{sender_id: sender_id, conversation_id: conversation_id} =
+               Repo.get(ChatMessage, message_id)
+
+      assert sender_id == user.id
+      assert conversation_id == conversation.id
+    end
+
+    test "refuses chat messages to conversations the user is not in", %{conn: conn} do
+      [member, other, outsider] = [user_fixture(), user_fixture(), user_fixture()]
+      {:ok, conversation} = Messaging.create_dm_conversation(member.id, other.id)
+
+      conn =
+        replay(conn, outsider, "chat_message", %{
+          conversation_id: conversation.id,
+          content: "hello"
+        })
+
+      assert conn.status in [404, 422]
+    end
+
+    test "saves a queued email draft", %{conn: conn} do
+      user = user_fixture()
+
+      conn =
+        replay(conn, user, "email_draft", %{
+          to: "friend@example.com",
+          subject: "Offline draft",
+          body: "Started this without a connection."
+        })
+
+      assert %{"id" => draft_id} = json_response(conn, 201)
+
+      draft = Repo.get(Email.Message, draft_id)
+      assert draft.status == "draft"
+      assert draft.mailbox_id == Email.get_user_mailbox(user.id).id
+    end
+
+    test "likes a queued post", %{conn: conn} do
+      user = user_fixture()
+      post = post_fixture()
+
+      conn = replay(conn, user, "like_post", %{post_id: to_string(post.id)})
+
+      assert json_response(conn, 201)
+      assert Social.user_liked_post?(user.id, post.id)
+    end
+
+    test "rejects unknown actions", %{conn: conn} do
+      user = user_fixture()
+
+      conn = replay(conn, user, "delete_account", %{})
+
+      assert json_response(conn, 400)
+    end
+  end
+end
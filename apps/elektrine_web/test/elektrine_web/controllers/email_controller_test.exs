@@ -135,6 +135,120 @@ defmodule ElektrineEmailWeb.EmailControllerTest do
     assert html =~ ~s(src="/email/message/#{message.id}/attachment/attachment_0/download")
   end
 
+  test "iframe content removes tracking pixels and loads allowed senders", %{conn: conn} do
+    user = AccountsFixtures.user_fixture()
+    mailbox = ensure_mailbox(user)
+    {:ok, _sender} = Email.RemoteContent.allow_sender(user.id, "news@example.com")
+
+    {:ok, message} =
+      Email.create_message(%{
+        mailbox_id: mailbox.id,
+        from: "News <news@example.com>",
+        to: mailbox.email,
+        subject: "Allowed sender",
+        html_body: """
+        <img src="https://example.com/hero.jpg">
+        <img src="https://example.com/o.gif" width="1" height="1">
+        <a href="https://ct.sendgrid.net/ls/click?upn=abc">Read</a>
+        """,
+        message_id: "<allowed-sender-#{System.unique_integer([:positive])}@example.com>"
+      })
+
+    conn =
+      conn
+      |> log_in_user(user)
+      |> get(~p"/email/#{message.id}/iframe_content")
+
+    html = html_response(conn, 200)
+    [csp] = get_resp_header(conn, "content-security-policy")
+
+    assert csp =~ "img-src 'self' data: cid: https:"
+    assert html =~ ~s(src="https://example.com/hero.jpg")
+    refute html =~ "o.gif"
+    assert html =~ ~s(data-elektrine-tracked-link="ct.sendgrid.net")
+  end
+
+  test "raw source returns the stored original message", %{conn: conn} do
+    user = AccountsFixtures.user_fixture()
+    mailbox = ensure_mailbox(user)
+
+    raw_source =
+      "Received: from mx.example.com by mail.example.net; Mon, 19 Oct 2026 10:00:00 +0000\r\n" <>
+        "Authentication-Results: mail.example.net; dkim=pass header.d=example.com\r\n" <>
+        "From: sender@example.com\r\n" <>
+        "To: #{mailbox.email}\r\n" <>
+        "Subject: Raw source\r\n\r\n" <>
+        "Hello"
+
+    {:ok, message} =
+      Email.create_message(%{
+        mailbox_id: mailbox.id,
+        from: "sender@example.com",
+        to: mailbox.email,
+        subject: "Raw source",
+        text_body: "Hello",
+        raw_source: raw_source,
+        message_id: "<raw-source-#{System.unique_integer([:positive])}@example.com>"
+      })
+
+    conn =
+      conn
+      |> log_in_user(user)
+      |> get(~p"/email/#{message.id}/raw_source")
+
+    assert response(conn, 200) == raw_source
+    assert get_resp_header(conn, "x-elektrine-source") == ["original"]
+    assert get_resp_header(conn, "cache-control") == ["no-store"]
+  end
+
+  test "raw source rebuilds messages stored without their source", %{conn: conn} do
+    user = AccountsFixtures.user_fixture()
+    mailbox = ensure_mailbox(user)
+
+    {:ok, message} =
+      Email.create_message(%{
+        mailbox_id: mailbox.id,
+        from: "sender@example.com",
+        to: mailbox.email,
+        subject: "No source",
+        text_body: "Hello",
+        message_id: "<no-source-#{System.unique_integer([:positive])}@example.com>"
+      })
+
+    conn =
+      conn
+      |> log_in_user(user)
+      |> get(~p"/email/#{message.id}/raw_source")
+
+    body = response(conn, 200)
+
+    assert get_resp_header(conn, "x-elektrine-source") == ["reconstructed"]
+    assert body =~ "Subject: No source"
+    assert body =~ "Hello"
+  end
+
+  test "raw source is not served for other users' messages", %{conn: conn} do
+    owner = AccountsFixtures.user_fixture()
+    mailbox = ensure_mailbox(owner)
+
+    {:ok, message} =
+      Email.create_message(%{
+        mailbox_id: mailbox.id,
+        from: "sender@example.com",
+        to: mailbox.email,
+        subject: "Private",
+        text_body: "Hello",
+        message_id: "<raw-private-#{System.unique_integer([:positive])}@example.com>"
+      })
+
+    conn =
+      conn
+      |> log_in_user(AccountsFixtures.user_fixture())
+      |> get(~p"/email/#{message.id}/raw_source")
+
+    assert conn.status in [403, 404]
+  end
+
   test "attachment download falls back when stored content type is unsafe", %{conn: conn} do
     user = AccountsFixtures.user_fixture()
     mailbox = ensure_mailbox(user)
@@ -114,6 +114,49 @@ defmodule ElektrineWeb.ChatLiveIndexTest do
     assert updated_socket.assigns.conversation.unread_counts[conversation.id] == 0
   end
 
+  test "encrypted attachment uploads store opaque blobs for the sender" do
+    previous_uploads = Application.get_env(:elektrine, :uploads)
+    tmp_dir = Path.join(System.tmp_dir!(), "chat-e2ee-#{System.unique_integer([:positive])}")
+    Application.put_env(:elektrine, :uploads, adapter: :local, uploads_dir: tmp_dir)
+
+    on_exit(fn ->
+      Application.put_env(:elektrine, :uploads, previous_uploads)
+      File.rm_rf(tmp_dir)
+    end)
+
+    user = AccountsFixtures.user_fixture()
+
+    {:ok, group} =
+      Messaging.create_chat_group_conversation(user.id, %{name: "Encrypted Files"}, [])
+
+    socket = message_operations_socket(user, group)
+    ciphertext = :crypto.strong_rand_bytes(48)
+
+    assert {:reply, %{ok: true, key: "/uploads/chat-attachments/" <> stored_path}, _socket} =
+             MessageOperations.handle_event(
+               "upload_client_encrypted_attachment",
+               %{"data" => Base.encode64(ciphertext)},
+               socket
+             )
+
+    assert String.starts_with?(stored_path, "#{user.id}/")
+    assert File.read!(Path.join([tmp_dir, "chat-attachments", stored_path])) == ciphertext
+
+    assert {:reply, %{ok: false, error: "invalid_attachment"}, _socket} =
+             MessageOperations.handle_event(
+               "upload_client_encrypted_attachment",
+               %{"data" => "not base64!"},
+               socket
+             )
+
+    assert {:reply, %{ok: false, error: "no_conversation"}, _socket} =
+             MessageOperations.handle_event(
+               "upload_client_encrypted_attachment",
+               %{"data" => Base.encode64(ciphertext)},
+               message_operations_socket(user, nil)
+             )
+  end
+
   test "incoming messages in an open chat notify senders that they were read" do
     alice = AccountsFixtures.user_fixture()
     bob = AccountsFixtures.user_fixture()
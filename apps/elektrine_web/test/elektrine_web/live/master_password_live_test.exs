@@ -123,6 +123,112 @@ defmodule ElektrineWeb.MasterPasswordLiveTest do
              wrapped_payload("new-dek")["ciphertext"]
   end
 
+  test "enrolls a passkey as an unlocker and removes it again", %{conn: conn} do
+    user = AccountsFixtures.user_fixture()
+
+    assert {:ok, _master_key} =
+             Vault.setup(user.id, %{
+               "wrapped_dek" => wrapped_payload("dek"),
+               "wrapped_dek_recovery" => wrapped_payload("recovery")
+             })
+
+    passkey =
+      %Elektrine.Accounts.PasskeyCredential{}
+      |> Elektrine.Accounts.PasskeyCredential.create_changeset(%{
+        user_id: user.id,
+        credential_id: :crypto.strong_rand_bytes(32),
+        public_key: :erlang.term_to_binary(%{test: true}),
+        user_handle: Elektrine.Accounts.PasskeyCredential.generate_user_handle(),
+        name: "Work laptop"
+      })
+      |> Elektrine.Repo.insert!()
+
+    {:ok, view, html} =
+      conn
+      |> log_in_user(user)
+      |> live(~p"/account/encrypted-data")
+
+    assert html =~ "Work laptop"
+    assert html =~ "Sign-in only"
+    refute has_element?(view, "#vault-passkey-unlock")
+
+    render_hook(view, "enroll_passkey_unlocker", %{
+      "passkey_id" => to_string(passkey.id),
+      "wrapped_dek" => Jason.encode!(%{"algorithm" => "AES-GCM"})
+    })
+
+    assert render(view) =~ "Could not set up passkey unlock."
+    assert Vault.list_passkey_unlockers(user.id) == []
+
+    render_hook(view, "enroll_passkey_unlocker", %{
+      "passkey_id" => to_string(passkey.id),
+      "wrapped_dek" => Jason.encode!(passkey_wrapped_payload())
+    })
+
+    html = render(view)
+    assert html =~ "This passkey now unlocks encrypted data."
+    assert html =~ "Unlocks encrypted data"
+    assert has_element?(view, "#vault-passkey-unlock[phx-hook=VaultPasskeyUnlock]")
+    assert [_unlocker] = Vault.list_passkey_unlockers(user.id)
+
+    view
+    |> element("#vault-passkey-#{passkey.id} button", "Stop using")
+    |> render_click()
+
+    assert render(view) =~ "This passkey no longer unlocks encrypted data."
+    assert Vault.list_passkey_unlockers(user.id) == []
+    refute has_element?(view, "#vault-passkey-unlock")
+  end
+
+  test "does not offer vault unlock for passkeys without PRF support", %{conn: conn} do
+    user = AccountsFixtures.user_fixture()
+
+    assert {:ok, _master_key} =
+             Vault.setup(user.id, %{
+               "wrapped_dek" => wrapped_payload("dek"),
+               "wrapped_dek_recovery" => wrapped_payload("recovery")
+             })
+
+    passkey =
+      %Elektrine.Accounts.PasskeyCredential{}
+      |> Elektrine.Accounts.PasskeyCredential.create_changeset(%{
+        user_id: user.id,
+        credential_id: :crypto.strong_rand_bytes(32),
+        public_key: :erlang.term_to_binary(%{test: true}),
+        user_handle: Elektrine.Accounts.PasskeyCredential.generate_user_handle(),
+        name: "Old security key",
+        prf_enabled: false
+      })
+      |> Elektrine.Repo.insert!()
+
+    {:ok, view, html} =
+      conn
+      |> log_in_user(user)
+      |> live(~p"/account/encrypted-data")
+
+    assert html =~ "this passkey does not support the PRF extension"
+    refute has_element?(view, "#vault-passkey-#{passkey.id} [data-vault-passkey-enroll]")
+
+    render_hook(view, "enroll_passkey_unlocker", %{
+      "passkey_id" => to_string(passkey.id),
+      "wrapped_dek" => Jason.encode!(passkey_wrapped_payload())
+    })
+
+    assert render(view) =~ "Could not set up passkey unlock."
+    assert Vault.list_passkey_unlockers(user.id) == []
+  end
+
+  defp passkey_wrapped_payload do
+    %{
+      "version" => 2,
+      "algorithm" => "AES-GCM",
+      "kdf" => "WebAuthn-PRF-HKDF-SHA256",
+      "salt" => Base.encode64(:crypto.strong_rand_bytes(32)),
+      "iv" => Base.encode64("123456789012"),
+      "ciphertext" => Base.encode64("ciphertext:passkey")
+    }
+  end
+
   defp wrapped_payload(value) do
     %{
       "version" => 1,
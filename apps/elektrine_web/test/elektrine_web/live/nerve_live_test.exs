@@ -101,6 +101,81 @@ defmodule ElektrineWeb.NerveLiveTest do
     assert entry.encrypted_notes["ciphertext"] != ""
   end
 
+  test "stores an encrypted TOTP secret and returns it with the entry secrets", %{conn: conn} do
+    user = AccountsFixtures.user_fixture()
+
+    assert {:ok, _master_key} = setup_master_vault(user)
+
+    {:ok, view, _html} =
+      conn
+      |> log_in_user(user)
+      |> live(~p"/account/nerve")
+
+    assert has_element?(view, "[data-nerve-totp-input]:not([name])")
+
+    render_submit(view, "create", %{
+      "entry" => %{
+        "title" => "GitHub",
+        "encrypted_metadata" => Jason.encode!(encrypted_payload("metadata")),
+        "encrypted_password" => Jason.encode!(encrypted_payload("SuperSecret123!")),
+        "encrypted_notes" => "",
+        "encrypted_totp" => Jason.encode!(encrypted_payload("otpauth://totp/GitHub"))
+      }
+    })
+
+    [entry] = Nerve.list_entries(user.id, include_secrets: true)
+    assert entry.encrypted_totp["algorithm"] == "AES-GCM"
+
+    render_hook(view, "load_secret", %{"id" => to_string(entry.id)})
+    assert_reply(view, %{status: "ok", encrypted_totp: encrypted_totp})
+    assert Jason.decode!(encrypted_totp)["ciphertext"] == entry.encrypted_totp["ciphertext"]
+  end
+
+  test "imports encrypted entry batches and exports their ciphertext", %{conn: conn} do
+    user = AccountsFixtures.user_fixture()
+
+    assert {:ok, _master_key} = setup_master_vault(user)
+
+    {:ok, view, _html} =
+      conn
+      |> log_in_user(user)
+      |> live(~p"/account/nerve")
+
+    assert has_element?(view, "#nerve-transfer[phx-hook=NerveTransfer]")
+
+    entries =
+      for index <- 1..2 do
+        %{
+          "title" => "Encrypted entry",
+          "encrypted_metadata" => encrypted_payload("metadata-#{index}"),
+          "encrypted_password" => encrypted_payload("password-#{index}"),
+          "encrypted_notes" => nil,
+          "encrypted_totp" => nil
+        }
+      end
+
+    render_hook(view, "import_batch", %{"entries" => entries})
+    assert_reply(view, %{status: "ok", imported: 2})
+    assert length(Nerve.list_entries(user.id)) == 2
+
+    render_hook(view, "import_batch", %{
+      "entries" => [%{"encrypted_metadata" => encrypted_payload("metadata")}]
+    })
+
+    assert_reply(view, %{status: "error"})
+    assert length(Nerve.list_entries(user.id)) == 2
+
+    render_hook(view, "export_entries", %{})
+    assert_reply(view, %{status: "ok", entries: exported})
+
+    assert exported
+           |> Enum.map(&Jason.decode!(&1.encrypted_password)["ciphertext"])
+           |> Enum.sort() ==
+             entries
+             |> Enum.map(& &1["encrypted_password"]["ciphertext"])
+             |> Enum.sort()
+  end
+
   test "can delete a nerve entry", %{conn: conn} do
     user = AccountsFixtures.user_fixture()
 
@@ -1,5 +1,5 @@
 defmodule ElektrineWeb.Plugs.SecurityHeadersTest do
-  use ExUnit.Case, async: true
+  use ExUnit.Case, async: false
 
   import Plug.Test
 
@@ -25,4 +25,25 @@ defmodule ElektrineWeb.Plugs.SecurityHeadersTest do
 
     refute csp =~ ~r/connect-src[^;]*https:;/
   end
+
+  test "allows the configured SFU origin in connect-src" do
+    original = Application.get_env(:elektrine, :webrtc, [])
+
+    Application.put_env(
+      :elektrine,
+      :webrtc,
+      Keyword.put(original, :sfu_endpoint, "wss://sfu.example.com:8443/ws")
+    )
+
+    on_exit(fn -> Application.put_env(:elektrine, :webrtc, original) end)
+
+    conn =
+      conn(:get, "/")
+      |> Map.update!(:req_headers, fn headers -> [{"host", "example.com"} | headers] end)
+      |> SecurityHeaders.call([])
+
+    [csp] = Plug.Conn.get_resp_header(conn, "content-security-policy")
+
+    assert csp =~ ~r/connect-src 'self' [^;]* wss:\/\/sfu\.example\.com:8443(;|$)/
+  end
 end
@@ -247,6 +247,62 @@ defmodule Kairo do
 
   def create_upload_source(_user_id, _upload, _attrs), do: {:error, :invalid_upload}
 
+  # Stores a file the browser already encrypted under the user's Kairo vault
+  # key (e.g. a call recording). The server only sees ciphertext, so the row
+  # is a zero-knowledge source whose `encrypted_content` is the encrypted
+  # manifest the client needs to decrypt the file.
+  def create_sealed_upload_source(user_id, ciphertext, attrs)
+      when is_integer(user_id) and is_binary(ciphertext) do
+    attrs = normalize_attrs(attrs)
+
+    with {:ok, upload_metadata} <- Uploads.upload_encrypted_kairo_source(ciphertext, user_id) do
+      private_key = normalize_private_upload_key(upload_metadata.key)
+
+      metadata =
+        attrs
+        |> Map.get("metadata")
+        |> normalize_metadata()
+        |> Map.merge(%{
+          "key" => private_key,
+          "storage_key" => private_key,
+          "url" => upload_metadata.key,
+          "size" => upload_metadata.size,
+          "sha256" => upload_metadata.sha256,
+          "content_type" => upload_metadata.content_type
+        })
+
+      source_attrs =
+        attrs
+        |> Map.take(["title", "project_id", "tags", "encrypted_content"])
+        |> Map.merge(%{
+          "user_id" => user_id,
+          "source_type" => "file",
+          "encrypted" => true,
+          "status" => "stored",
+          "metadata" => metadata
+        })
+
+      result =
+        with {:ok, source_attrs} <- resolve_project_id(user_id, source_attrs) do
+          %Source{}
+          |> Source.changeset(source_attrs)
+          |> Repo.insert()
+          |> tap_storage_update(user_id)
+        end
+
+      case result do
+        {:ok, source} ->
+          {:ok, Repo.preload(source, :project)}
+
+        error ->
+          delete_uploaded_source_file(upload_metadata, user_id)
+          error
+      end
+    end
+  end
+
+  def create_sealed_upload_source(_user_id, _ciphertext, _attrs), do: {:error, :invalid_upload}
+
   defp upload_source_attrs(%Plug.Upload{} = upload, upload_metadata, attrs) do
     extracted = extract_upload_content(upload)
 
@@ -413,6 +413,39 @@ defmodule KairoTest do
              )
     end
 
+    test "create_sealed_upload_source/3 stores browser-encrypted files zero-knowledge" do
+      user = user_fixture()
+      ciphertext = :crypto.strong_rand_bytes(256)
+
+      manifest = %{
+        "version" => 2,
+        "algorithm" => "AES-GCM",
+        "iv" => Base.encode64(:crypto.strong_rand_bytes(12)),
+        "ciphertext" => Base.encode64(:crypto.strong_rand_bytes(96))
+      }
+
+      assert {:ok, source} =
+               Kairo.create_sealed_upload_source(user.id, ciphertext, %{
+                 "title" => "Call recording",
+                 "encrypted_content" => manifest,
+                 "metadata" => %{"call_recording" => true, "key" => "kairo-sources/other"}
+               })
+
+      assert source.encrypted
+      assert source.source_type == "file"
+      assert source.status == "stored"
+      assert source.encrypted_content == manifest
+      assert source.metadata["call_recording"]
+      assert source.metadata["size"] == byte_size(ciphertext)
+      assert source.metadata["key"] =~ "kairo-sources/#{user.id}/"
+      assert source.metadata["storage_key"] == source.metadata["key"]
+
+      assert {:error, %Ecto.Changeset{}} =
+               Kairo.create_sealed_upload_source(user.id, ciphertext, %{
+                 "encrypted_content" => %{"version" => 2}
+               })
+    end
+
     test "create_upload_source/3 includes stored blob bytes in storage accounting" do
       user = user_fixture()
       bytes = <<208, 207, 17, 224, 161, 177, 26, 225>> <> :binary.copy(<<0>>, 4_096)
@@ -19,16 +19,27 @@ import {
   clearPendingSave,
   clearSessionPassphrase as clearStoredSessionPassphrase,
   clearStagedFill,
+  clearStagedOneTimeCode,
   getPendingSave,
   getStagedFill,
+  getStagedOneTimeCode,
   getSettings,
   setPendingSave,
-  setStagedFill
+  setStagedFill,
+  setStagedOneTimeCode
 } from "./lib/storage.js"
 import { kairoErrorMessage, kairoSourceAttrs } from "./lib/kairo_capture.js"
+import {
+  entryAllowedForPage,
+  entryPageMatch,
+  hostsRelated,
+  safeHost
+} from "./lib/site_match.js"
+import { parseTotp, totpCode } from "./lib/totp.js"
 
 const PENDING_SAVE_EXPIRY_MS = 5 * 60 * 1000
 const STAGED_FILL_EXPIRY_MS = 3 * 60 * 1000
+const STAGED_ONE_TIME_CODE_EXPIRY_MS = 5 * 60 * 1000
 const VAULT_SESSION_IDLE_TIMEOUT_MS = 15 * 60 * 1000
 const KAIRO_CAPTURE_MAX_FILE_BYTES = 25 * 1024 * 1024
 const FEATURE = "nerve"
@@ -57,6 +68,8 @@ const MESSAGE_TYPES = {
   STAGE_ENTRY_FILL: "nerve:stage-entry-fill",
   RESOLVE_STAGED_FILL: "nerve:resolve-staged-fill",
   CLEAR_STAGED_FILL: "nerve:clear-staged-fill",
+  STAGE_ONE_TIME_CODE: "nerve:stage-one-time-code",
+  RESOLVE_ONE_TIME_CODE: "nerve:resolve-one-time-code",
   RECORD_SUBMISSION: "nerve:record-submission",
   RESOLVE_PENDING_SAVE: "nerve:resolve-pending-save",
   SAVE_PENDING: "nerve:save-pending",
@@ -144,6 +157,14 @@ async function handleMessage(message, sender) {
       await clearStagedFill(sender.tab?.id)
       return { cleared: true }
 
+    case MESSAGE_TYPES.STAGE_ONE_TIME_CODE:
+      assertContentScriptSender(sender)
+      return stageOneTimeCode(sender.tab?.id, message.payload || {})
+
+    case MESSAGE_TYPES.RESOLVE_ONE_TIME_CODE:
+      assertContentScriptSender(sender)
+      return resolveOneTimeCode(sender.tab?.id, message.page)
+
     case MESSAGE_TYPES.RECORD_SUBMISSION:
       assertContentScriptSender(sender)
       return recordSubmission(sender.tab?.id, message.payload)
@@ -585,6 +606,13 @@ async function resolveStagedFill(tabId, page) {
     return { status: session.status }
   }
 
+  const entry = session.entries.find((candidate) => candidate.id === staged.entryId)
+
+  if (!entry || !entryAllowedForPage(entry, page.url)) {
+    await clearStagedFill(tabId)
+    return { status: "none" }
+  }
+
   try {
     const credentials = await loadEntryCredentials(session, staged.entryId)
     await clearStagedFill(tabId)
@@ -600,6 +628,91 @@ async function resolveStagedFill(tabId, page) {
   }
 }
 
+async function stageOneTimeCode(tabId, payload) {
+  if (!tabId || !payload?.entryId) {
+    return { staged: false }
+  }
+
+  const session = await getNerveSession()
+
+  if (session.status !== "ready") {
+    return { staged: false }
+  }
+
+  const entry = session.entries.find((candidate) => candidate.id === payload.entryId)
+
+  if (!entry?.has_totp || !entryAllowedForPage(entry, payload.pageUrl)) {
+    await clearStagedOneTimeCode(tabId)
+    return { staged: false }
+  }
+
+  await setStagedOneTimeCode(tabId, {
+    entryId: entry.id,
+    pageUrl: payload.pageUrl || "",
+    stagedAt: Date.now()
+  })
+
+  return { staged: true }
+}
+
+// Completes the one-time-code step that follows a password fill. Only the current
+// code crosses into the page; the TOTP secret stays in the extension.
+async function resolveOneTimeCode(tabId, page) {
+  const staged = await getStagedOneTimeCode(tabId)
+
+  if (!staged || !page?.url) {
+    return { status: "none" }
+  }
+
+  if (Date.now() - staged.stagedAt > STAGED_ONE_TIME_CODE_EXPIRY_MS) {
+    await clearStagedOneTimeCode(tabId)
+    return { status: "none" }
+  }
+
+  const currentHost = safeHost(page.url)
+  const stagedHost = safeHost(staged.pageUrl)
+
+  if (currentHost && stagedHost && !hostsRelated(currentHost, stagedHost)) {
+    await clearStagedOneTimeCode(tabId)
+    return { status: "none" }
+  }
+
+  const session = await getNerveSession()
+
+  if (session.status !== "ready") {
+    return { status: session.status }
+  }
+
+  const entry = session.entries.find((candidate) => candidate.id === staged.entryId)
+
+  if (!entry || !entryAllowedForPage(entry, page.url)) {
+    await clearStagedOneTimeCode(tabId)
+    return { status: "none" }
+  }
+
+  const { code } = await loadEntryOneTimeCode(session, staged.entryId)
+  await clearStagedOneTimeCode(tabId)
+
+  return { status: "ready", code }
+}
+
+async function loadEntryOneTimeCode(session, entryId) {
+  const data = await getEntry(session.settings, entryId)
+  const entry = await hydrateEntryMetadata(data.entry, session.key)
+
+  if (!isClientPayload(entry?.encrypted_totp)) {
+    throw new Error("This entry does not have an authenticator key.")
+  }
+
+  const uri = await decryptValue(
+    entry.encrypted_totp,
+    session.key,
+    nerveEntryAssociatedData(entry, "totp")
+  )
+
+  return totpCode(parseTotp(uri))
+}
+
 async function resolvePendingSave(tabId, page) {
   const pending = await getPendingSave(tabId)
 
@@ -702,7 +815,8 @@ async function loadEntryCredentials(session, entryId) {
 async function cleanupTabState(tabId) {
   await Promise.allSettled([
     clearPendingSave(tabId),
-    clearStagedFill(tabId)
+    clearStagedFill(tabId),
+    clearStagedOneTimeCode(tabId)
   ])
 }
 
@@ -807,7 +921,10 @@ async function hydrateEntryMetadata(entry, key) {
       ...entry,
       title: metadata.title || entry.title || "Encrypted entry",
       login_username: metadata.login_username || "",
-      website: metadata.website || ""
+      website: metadata.website || "",
+      match_mode: metadata.match_mode || "",
+      match_pattern: metadata.match_pattern || "",
+      has_totp: Boolean(metadata.has_totp)
     }
   } catch (_error) {
     return entry
@@ -952,20 +1069,21 @@ function findExistingEntry(entries, pending) {
 }
 
 function rankEntries(entries, pageUrl, query) {
-  const host = safeHost(pageUrl)
   const queryText = (query || "").trim().toLowerCase()
 
   return entries
     .map((entry) => {
-      const entryHost = safeHost(entry.website)
+      const match = entryPageMatch(entry, pageUrl)
       let score = 0
 
-      if (host && entryHost) {
-        if (host === entryHost) {
-          score += 40
-        } else if (hostsRelated(host, entryHost)) {
-          score += 24
-        }
+      if (match === "none") {
+        return { entry, score: -1 }
+      }
+
+      if (match === "exact") {
+        score += 40
+      } else if (match === "related") {
+        score += 24
       }
 
       const haystack = [entry.title, entry.login_username, entry.website]
@@ -993,13 +1111,6 @@ function rankEntries(entries, pageUrl, query) {
     })
 }
 
-function entryAllowedForPage(entry, pageUrl) {
-  const pageHost = safeHost(pageUrl)
-  const entryHost = safeHost(entry.website)
-
-  return Boolean(pageHost && entryHost && hostsRelated(pageHost, entryHost))
-}
-
 function fillBlockedMessage(status) {
   switch (status) {
     case "disconnected":
@@ -1041,18 +1152,6 @@ function originFromUrl(url) {
   }
 }
 
-function safeHost(url) {
-  try {
-    return new URL(url).hostname
-  } catch (_error) {
-    return ""
-  }
-}
-
-function hostsRelated(left, right) {
-  return left === right
-}
-
 function looksLikeLoginUrl(url) {
   try {
     const value = new URL(url)
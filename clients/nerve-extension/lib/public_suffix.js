@@ -0,0 +1,104 @@
+// Registrable-domain lookup over the bundled Public Suffix List snapshot.
+//
+// Shared by the content script (loaded as a classic script) and the extension pages
+// (imported for its side effect by lib/site_match.js), so it only assigns a global.
+;(function publicSuffix() {
+  if (globalThis.NervePublicSuffix) return
+
+  let index = null
+
+  function rulesIndex() {
+    if (index) return index
+
+    index = { rules: new Set(), wildcards: new Set(), exceptions: new Set() }
+
+    String(globalThis.NERVE_PUBLIC_SUFFIX_RULES || "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .forEach((rule) => {
+        if (rule.startsWith("!")) {
+          index.exceptions.add(rule.slice(1))
+        } else if (rule.startsWith("*.")) {
+          index.wildcards.add(rule.slice(2))
+        } else {
+          index.rules.add(rule)
+        }
+      })
+
+    return index
+  }
+
+  function normalizeHost(host) {
+    return String(host || "").trim().toLowerCase().replace(/\.+$/, "")
+  }
+
+  function isIpAddress(host) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(":") || host.startsWith("[")
+  }
+
+  // Number of labels in the public suffix of `labels`, following the PSL algorithm:
+  // exception rules win, then the longest matching normal or wildcard rule, and the
+  // implicit "*" rule when nothing matches.
+  function publicSuffixLength(labels) {
+    const { rules, wildcards, exceptions } = rulesIndex()
+    let longest = 1
+
+    for (let start = 0; start < labels.length; start += 1) {
+      const candidate = labels.slice(start).join(".")
+      const length = labels.length - start
+
+      if (exceptions.has(candidate)) {
+        return length - 1
+      }
+
+      if (rules.has(candidate)) {
+        longest = Math.max(longest, length)
+      }
+
+      if (start > 0 && wildcards.has(candidate)) {
+        longest = Math.max(longest, length + 1)
+      }
+    }
+
+    return longest
+  }
+
+  function publicSuffix(host) {
+    const normalized = normalizeHost(host)
+    if (!normalized || isIpAddress(normalized)) return ""
+
+    const labels = normalized.split(".")
+    return labels.slice(labels.length - publicSuffixLength(labels)).join(".")
+  }
+
+  // Returns the registrable domain ("eTLD+1") for a hostname, or "" for IP addresses,
+  // single-label hosts such as localhost, and hosts that are themselves public suffixes.
+  function registrableDomain(host) {
+    const normalized = normalizeHost(host)
+    if (!normalized || isIpAddress(normalized)) return ""
+
+    const labels = normalized.split(".")
+    const suffixLength = publicSuffixLength(labels)
+
+    if (labels.length <= suffixLength) return ""
+
+    return labels.slice(labels.length - suffixLength - 1).join(".")
+  }
+
+  function hostsRelated(left, right) {
+    const leftHost = normalizeHost(left)
+    const rightHost = normalizeHost(right)
+
+    if (!leftHost || !rightHost) return false
+    if (leftHost === rightHost) return true
+
+    const leftDomain = registrableDomain(leftHost)
+    return Boolean(leftDomain) && leftDomain === registrableDomain(rightHost)
+  }
+
+  globalThis.NervePublicSuffix = Object.freeze({
+    publicSuffix,
+    registrableDomain,
+    hostsRelated
+  })
+})()
@@ -3,6 +3,7 @@ const TOKEN_KEY = "apiToken"
 const THEME_KEY = "theme"
 const PASSPHRASE_KEY = "vaultPassphrase"
 const STAGED_FILLS_KEY = "stagedEntryFills"
+const STAGED_ONE_TIME_CODES_KEY = "stagedOneTimeCodes"
 const PENDING_SAVE_MEMORY_TTL_MS = 5 * 60 * 1000
 const pendingLoginSaves = new Map()
 
@@ -177,3 +178,15 @@ export async function setStagedFill(tabId, value) {
 export async function clearStagedFill(tabId) {
   await clearSessionMapEntry(STAGED_FILLS_KEY, tabId)
 }
+
+export async function getStagedOneTimeCode(tabId) {
+  return getSessionMapEntry(STAGED_ONE_TIME_CODES_KEY, tabId)
+}
+
+export async function setStagedOneTimeCode(tabId, value) {
+  await setSessionMapEntry(STAGED_ONE_TIME_CODES_KEY, tabId, value)
+}
+
+export async function clearStagedOneTimeCode(tabId) {
+  await clearSessionMapEntry(STAGED_ONE_TIME_CODES_KEY, tabId)
+}
@@ -11,6 +11,17 @@ import {
   nerveMetadataAssociatedData,
   unwrapWithSecret
 } from "./lib/crypto.js"
+import {
+  DEFAULT_MATCH_MODE,
+  MATCH_MODE_LABELS,
+  MATCH_MODES,
+  entryPageMatch,
+  normalizeMatchMode,
+  safeHost,
+  validMatchPattern
+} from "./lib/site_match.js"
+import { parseTotp, totpCode, totpUri } from "./lib/totp.js"
+import { bindTransferPanel } from "./transfer.js"
 
 const FEATURE = "nerve"
 
@@ -74,6 +85,10 @@ function captureRefs() {
   refs.entryWebsite = document.querySelector("#entryWebsite")
   refs.entryPassword = document.querySelector("#entryPassword")
   refs.entryNotes = document.querySelector("#entryNotes")
+  refs.entryTotp = document.querySelector("#entryTotp")
+  refs.entryMatchMode = document.querySelector("#entryMatchMode")
+  refs.entryMatchPattern = document.querySelector("#entryMatchPattern")
+  refs.entryMatchPatternField = document.querySelector("#entryMatchPatternField")
   refs.generatePasswordButton = document.querySelector("#generatePasswordButton")
   refs.createEntrySubmitButton = document.querySelector("#createEntrySubmitButton")
   refs.entriesList = document.querySelector("#entriesList")
@@ -89,7 +104,16 @@ function bindEvents() {
   refs.searchInput.addEventListener("input", renderEntries)
   refs.generatePasswordButton.addEventListener("click", handleGeneratePassword)
   refs.createEntryForm.addEventListener("submit", handleCreateEntrySubmit)
+  refs.entryMatchMode.addEventListener("change", renderMatchPatternField)
   refs.entriesList.addEventListener("click", handleEntryAction)
+  bindTransferPanel({
+    settings: () => state.settings,
+    nerveKey,
+    ensureUnlocked,
+    setBusy,
+    setFeedback,
+    refresh: refreshNerveIndex
+  })
 }
 
 function isConfigured() {
@@ -265,6 +289,9 @@ async function handleCreateEntrySubmit(event) {
     const website = (refs.entryWebsite.value.trim() || suggestedWebsiteUrl() || "").trim()
     const password = refs.entryPassword.value
     const notes = refs.entryNotes.value.trim()
+    const matchMode = normalizeMatchMode(refs.entryMatchMode.value)
+    const matchPattern = refs.entryMatchPattern.value.trim()
+    const totpInput = refs.entryTotp.value.trim()
 
     if (!title) {
       throw new Error("Title is required.")
@@ -274,9 +301,32 @@ async function handleCreateEntrySubmit(event) {
       throw new Error("Password is required.")
     }
 
+    if (!validMatchPattern(matchMode, matchPattern)) {
+      throw new Error(
+        matchMode === MATCH_MODES.REGEX
+          ? "Enter a valid regular expression to match."
+          : "Enter a valid http:// or https:// URL prefix."
+      )
+    }
+
+    const totp = totpInput ? totpUri(parseTotp(totpInput)) : ""
+
     setBusy(refs.createEntrySubmitButton, true)
 
     const metadata = { title, login_username: loginUsername, website }
+
+    if (totp) {
+      metadata.has_totp = true
+    }
+
+    if (matchMode !== DEFAULT_MATCH_MODE) {
+      metadata.match_mode = matchMode
+    }
+
+    if (matchPattern && [MATCH_MODES.STARTS_WITH, MATCH_MODES.REGEX].includes(matchMode)) {
+      metadata.match_pattern = matchPattern
+    }
+
     const key = await nerveKey()
     const encryptedMetadata = await encryptValue(
       JSON.stringify(metadata),
@@ -291,6 +341,9 @@ async function handleCreateEntrySubmit(event) {
     const encryptedNotes = notes
       ? await encryptValue(notes, key, nerveEntryAssociatedData(metadata, "notes"))
       : null
+    const encryptedTotp = totp
+      ? await encryptValue(totp, key, nerveEntryAssociatedData(metadata, "totp"))
+      : null
 
     await createEntry(state.settings, {
       title: "Encrypted entry",
@@ -298,10 +351,12 @@ async function handleCreateEntrySubmit(event) {
       website: "",
       encrypted_metadata: encryptedMetadata,
       encrypted_password: encryptedPassword,
-      encrypted_notes: encryptedNotes
+      encrypted_notes: encryptedNotes,
+      encrypted_totp: encryptedTotp
     })
 
     refs.createEntryForm.reset()
+    renderMatchPatternField()
     prefillSuggestedWebsite()
     await refreshNerveIndex()
     setFeedback("Nerve entry saved.", "success")
@@ -340,6 +395,9 @@ async function handleEntryAction(event) {
       case "copy-username":
         await copyUsername(entry)
         break
+      case "copy-code":
+        await copyOneTimeCode(entry)
+        break
       default:
         break
     }
@@ -396,17 +454,25 @@ function confirmEntryOrigin(entry) {
   const currentHost = safeHost(state.currentTab?.url)
   const entryHost = safeHost(entry.website)
 
-  if (!currentHost || !entryHost) {
-    throw new Error("This entry does not have a website that can be matched to the current tab.")
+  if (normalizeMatchMode(entry.match_mode) === MATCH_MODES.NEVER) {
+    throw new Error("This entry is set to never autofill.")
   }
 
-  if (currentHost === entryHost) {
+  const match = entryPageMatch(entry, state.currentTab?.url)
+
+  if (match === "exact") {
     return
   }
 
-  const related = currentHost.endsWith(`.${entryHost}`) || entryHost.endsWith(`.${currentHost}`)
+  if (match === "none") {
+    throw new Error(
+      entryHost
+        ? "This entry's site rule does not match the current tab."
+        : "This entry does not have a website that can be matched to the current tab."
+    )
+  }
 
-  if (!related || !window.confirm(`Fill ${entryHost} credentials on ${currentHost}?`)) {
+  if (!window.confirm(`Fill ${entryHost} credentials on ${currentHost}?`)) {
     throw new Error("Autofill cancelled for this site.")
   }
 }
@@ -427,6 +493,19 @@ async function copyUsername(entry) {
   setFeedback("Username copied to clipboard.", "success")
 }
 
+async function copyOneTimeCode(entry) {
+  ensureUnlocked()
+  const { totp } = await loadDecryptedEntry(entry.id)
+
+  if (!totp) {
+    throw new Error("This entry does not have an authenticator key.")
+  }
+
+  const { code, remaining } = await totpCode(parseTotp(totp))
+  await navigator.clipboard.writeText(code)
+  setFeedback(`One-time code copied. It expires in ${remaining}s.`, "success")
+}
+
 async function loadDecryptedEntry(entryId) {
   const data = await getEntry(state.settings, entryId)
   const key = await nerveKey()
@@ -450,6 +529,10 @@ async function loadDecryptedEntry(entryId) {
             key,
             nerveEntryAssociatedData(entry, "notes")
           )
+        : "",
+    totp:
+      entry.encrypted_totp && isClientPayload(entry.encrypted_totp)
+        ? await decryptValue(entry.encrypted_totp, key, nerveEntryAssociatedData(entry, "totp"))
         : ""
   }
 }
@@ -477,7 +560,10 @@ async function hydrateEntryMetadataValue(entry, key = null) {
       ...entry,
       title: metadata.title || entry.title || "Encrypted entry",
       login_username: metadata.login_username || "",
-      website: metadata.website || ""
+      website: metadata.website || "",
+      match_mode: metadata.match_mode || "",
+      match_pattern: metadata.match_pattern || "",
+      has_totp: Boolean(metadata.has_totp)
     }
   } catch (_error) {
     return entry
@@ -496,13 +582,12 @@ function renderEntries() {
     return
   }
 
-  const currentHost = safeHost(state.currentTab?.url)
   const query = refs.searchInput.value.trim().toLowerCase()
 
   const filteredEntries = state.entries
     .map((entry) => ({
       entry,
-      matchScore: matchScore(entry, currentHost)
+      matchScore: matchScore(entry, state.currentTab?.url)
     }))
     .filter(({ entry }) => matchesQuery(entry, query))
     .sort((left, right) => {
@@ -529,10 +614,17 @@ function renderEntryCard({ entry, matchScore: entryMatchScore }) {
   const websiteHost = safeHost(entry.website)
   const fillDisabled = canFillCurrentTab() ? "" : "disabled"
   const badge = entryMatchScore > 0 ? '<span class="badge">Suggested</span>' : ""
+  const matchMode = normalizeMatchMode(entry.match_mode)
+  const matchRule = matchMode === DEFAULT_MATCH_MODE
+    ? ""
+    : `<span class="subtle">${escapeHtml(MATCH_MODE_LABELS[matchMode])}</span>`
   const websiteUrl = safeWebsiteUrl(entry.website)
   const website = websiteUrl
     ? `<a class="subtle" href="${escapeAttribute(websiteUrl)}" target="_blank" rel="noreferrer">${escapeHtml(websiteHost || websiteUrl)}</a>`
     : '<span class="subtle">No website saved</span>'
+  const copyCode = entry.has_totp
+    ? `<button class="button secondary" type="button" data-action="copy-code" data-entry-id="${entry.id}">Copy code</button>`
+    : ""
   const username = entry.login_username
     ? `<p class="entry-meta">${escapeHtml(entry.login_username)}</p>`
     : '<p class="entry-meta">No username saved</p>'
@@ -548,11 +640,13 @@ function renderEntryCard({ entry, matchScore: entryMatchScore }) {
       </div>
       <div class="entry-top">
         ${website}
+        ${matchRule}
       </div>
       <div class="entry-actions">
         <button class="button" type="button" data-action="fill" data-entry-id="${entry.id}" ${fillDisabled}>Fill</button>
         <button class="button secondary" type="button" data-action="copy-password" data-entry-id="${entry.id}">Copy password</button>
         <button class="button secondary" type="button" data-action="copy-username" data-entry-id="${entry.id}">Copy username</button>
+        ${copyCode}
       </div>
     </article>
   `
@@ -571,26 +665,25 @@ function matchesQuery(entry, query) {
   return haystack.includes(query)
 }
 
-function matchScore(entry, currentHost) {
-  const entryHost = safeHost(entry.website)
-
-  if (!currentHost || !entryHost) {
-    return 0
-  }
-
-  if (currentHost === entryHost) {
-    return 3
-  }
-
-  if (currentHost.endsWith(`.${entryHost}`) || entryHost.endsWith(`.${currentHost}`)) {
-    return 2
+function matchScore(entry, pageUrl) {
+  switch (entryPageMatch(entry, pageUrl)) {
+    case "exact":
+      return 2
+    case "related":
+      return 1
+    default:
+      return 0
   }
+}
 
-  if (currentHost.includes(entryHost) || entryHost.includes(currentHost)) {
-    return 1
-  }
+function renderMatchPatternField() {
+  const mode = normalizeMatchMode(refs.entryMatchMode.value)
+  const needsPattern = [MATCH_MODES.STARTS_WITH, MATCH_MODES.REGEX].includes(mode)
 
-  return 0
+  refs.entryMatchPatternField.classList.toggle("hidden", !needsPattern)
+  refs.entryMatchPattern.required = mode === MATCH_MODES.REGEX
+  refs.entryMatchPattern.placeholder =
+    mode === MATCH_MODES.REGEX ? "https://login\\.example\\.com/.*" : "Defaults to the website URL"
 }
 
 function suggestedWebsiteUrl() {
@@ -607,15 +700,6 @@ function suggestedWebsiteUrl() {
   }
 }
 
-function safeHost(value) {
-  try {
-    const url = new URL(value)
-    return url.hostname
-  } catch (_error) {
-    return ""
-  }
-}
-
 function safeWebsiteUrl(value) {
   try {
     const url = new URL(value)
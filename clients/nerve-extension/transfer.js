@@ -0,0 +1,279 @@
+// Import/export panel for manager.html. Files are parsed and every entry is
+// encrypted in the extension before the batch endpoint sees it; exports are
+// decrypted locally and sealed with the Nerve key unless plaintext is chosen.
+
+import { createEntries, listAllEntries } from "./lib/api.js"
+import {
+  decryptValue,
+  encryptValue,
+  isClientPayload,
+  nerveEntryAssociatedData,
+  nerveMetadataAssociatedData
+} from "./lib/crypto.js"
+import {
+  FORMATS,
+  encryptExport,
+  markDuplicates,
+  parseImportFile,
+  serializeExport
+} from "./lib/transfer_formats.js"
+
+const BATCH_SIZE = 25
+const PREVIEW_ROWS = 100
+const PLAINTEXT_WARNING =
+  "This export will contain every password in plain text. Anyone who gets the file can read them. Continue?"
+
+const refs = {}
+let context = null
+let preview = null
+
+export function bindTransferPanel(options) {
+  context = options
+  refs.importFile = document.querySelector("#importFile")
+  refs.importSkipDuplicates = document.querySelector("#importSkipDuplicates")
+  refs.importPreviewButton = document.querySelector("#importPreviewButton")
+  refs.importRunButton = document.querySelector("#importRunButton")
+  refs.importPreview = document.querySelector("#importPreview")
+  refs.exportFormat = document.querySelector("#exportFormat")
+  refs.exportEncrypted = document.querySelector("#exportEncrypted")
+  refs.exportWarning = document.querySelector("#exportWarning")
+  refs.exportButton = document.querySelector("#exportButton")
+
+  refs.importFile.addEventListener("change", resetPreview)
+  refs.importSkipDuplicates.addEventListener("change", syncImportButton)
+  refs.importPreviewButton.addEventListener("click", () => run(refs.importPreviewButton, previewImport))
+  refs.importRunButton.addEventListener("click", () => run(refs.importRunButton, runImport))
+  refs.exportEncrypted.addEventListener("change", () => {
+    refs.exportWarning.classList.toggle("hidden", refs.exportEncrypted.checked)
+  })
+  refs.exportButton.addEventListener("click", () => run(refs.exportButton, runExport))
+}
+
+async function run(button, action) {
+  try {
+    context.ensureUnlocked()
+    context.setBusy(button, true)
+    await action()
+  } catch (error) {
+    context.setFeedback(error.message, "error")
+  } finally {
+    context.setBusy(button, false)
+    syncImportButton()
+  }
+}
+
+async function previewImport() {
+  const file = refs.importFile.files?.[0]
+
+  if (!file) {
+    throw new Error("Choose an export file first.")
+  }
+
+  resetPreview()
+
+  const key = await context.nerveKey()
+  const parsed = await parseImportFile(file, { key })
+  const existing = await loadVault(key, { secrets: false })
+
+  preview = { ...parsed, entries: markDuplicates(parsed.entries, existing.entries) }
+  renderPreview()
+}
+
+async function runImport() {
+  const entries = importableEntries()
+
+  if (!entries.length) {
+    throw new Error("Nothing to import.")
+  }
+
+  const key = await context.nerveKey()
+  let imported = 0
+
+  try {
+    for (let index = 0; index < entries.length; index += BATCH_SIZE) {
+      const batch = await Promise.all(
+        entries.slice(index, index + BATCH_SIZE).map((entry) => encryptEntry(entry, key))
+      )
+      const data = await createEntries(context.settings(), batch)
+
+      imported += data?.entries?.length || 0
+      context.setFeedback(`Imported ${imported} of ${entries.length} entries...`, "info")
+    }
+  } catch (error) {
+    // Entries already stored show up as duplicates if the file is previewed again.
+    resetPreview()
+    await context.refresh()
+    throw new Error(
+      `${error.message} ${imported} of ${entries.length} entries were imported before it stopped.`
+    )
+  }
+
+  resetPreview()
+  refs.importFile.value = ""
+  await context.refresh()
+  context.setFeedback(`Imported ${imported} ${imported === 1 ? "entry" : "entries"}.`, "success")
+}
+
+async function runExport() {
+  const encrypted = refs.exportEncrypted.checked
+
+  if (!encrypted && !window.confirm(PLAINTEXT_WARNING)) {
+    return
+  }
+
+  const key = await context.nerveKey()
+  const { entries, failed } = await loadVault(key, { secrets: true })
+  const plain = serializeExport(refs.exportFormat.value, entries)
+  const file = encrypted ? await encryptExport(plain, key) : plain
+
+  download(file)
+  context.setFeedback(
+    `Exported ${entries.length} ${entries.length === 1 ? "entry" : "entries"}` +
+      (failed ? `; ${failed} could not be decrypted and were left out.` : "."),
+    failed ? "warning" : "success"
+  )
+}
+
+function importableEntries() {
+  if (!preview) {
+    return []
+  }
+
+  return preview.entries
+    .filter((entry) => !(refs.importSkipDuplicates.checked && entry.duplicate))
+    .map(({ duplicate: _duplicate, ...entry }) => entry)
+}
+
+function syncImportButton() {
+  refs.importRunButton.disabled = importableEntries().length === 0
+}
+
+function resetPreview() {
+  preview = null
+  refs.importPreview.replaceChildren()
+  refs.importPreview.classList.add("hidden")
+  syncImportButton()
+}
+
+function renderPreview() {
+  const { format, entries, skipped } = preview
+  const duplicates = entries.filter((entry) => entry.duplicate).length
+  const summary = [
+    `${FORMATS[format].label}: ${entries.length} ${entries.length === 1 ? "entry" : "entries"} found`,
+    duplicates ? `${duplicates} already in Nerve` : null,
+    skipped ? `${skipped} skipped without a password` : null
+  ]
+
+  context.setFeedback(`${summary.filter(Boolean).join(", ")}. Nothing is saved until you import.`, "info")
+
+  const table = document.createElement("table")
+  table.append(previewRow("th", ["Title", "Login", "Website", "Status"]))
+  entries.slice(0, PREVIEW_ROWS).forEach((entry) => {
+    const status = entry.duplicate ? "Duplicate" : entry.totp ? "New, with one-time codes" : "New"
+    table.append(previewRow("td", [entry.title, entry.login_username, entry.website, status]))
+  })
+
+  refs.importPreview.replaceChildren(table)
+
+  if (entries.length > PREVIEW_ROWS) {
+    const more = document.createElement("p")
+    more.className = "subtle"
+    more.textContent = `And ${entries.length - PREVIEW_ROWS} more.`
+    refs.importPreview.append(more)
+  }
+
+  refs.importPreview.classList.toggle("hidden", entries.length === 0)
+  syncImportButton()
+}
+
+function previewRow(cellTag, values) {
+  const row = document.createElement("tr")
+
+  values.forEach((value) => {
+    const cell = document.createElement(cellTag)
+    cell.textContent = value || "-"
+    row.append(cell)
+  })
+
+  return row
+}
+
+async function encryptEntry(entry, key) {
+  const { password, notes, totp, ...metadata } = entry
+
+  if (totp) {
+    metadata.has_totp = true
+  }
+
+  return {
+    title: "Encrypted entry",
+    encrypted_metadata: await encryptValue(
+      JSON.stringify(metadata),
+      key,
+      nerveMetadataAssociatedData()
+    ),
+    encrypted_password: await encryptValue(
+      password,
+      key,
+      nerveEntryAssociatedData(metadata, "password")
+    ),
+    encrypted_notes: notes
+      ? await encryptValue(notes, key, nerveEntryAssociatedData(metadata, "notes"))
+      : null,
+    encrypted_totp: totp
+      ? await encryptValue(totp, key, nerveEntryAssociatedData(metadata, "totp"))
+      : null
+  }
+}
+
+async function decryptEntry(record, key, secrets) {
+  const metadata = JSON.parse(
+    await decryptValue(record.encrypted_metadata, key, nerveMetadataAssociatedData())
+  )
+
+  if (!secrets) {
+    return metadata
+  }
+
+  const field = (name) => {
+    const payload = record[`encrypted_${name}`]
+
+    return isClientPayload(payload)
+      ? decryptValue(payload, key, nerveEntryAssociatedData(metadata, name))
+      : ""
+  }
+
+  return {
+    ...metadata,
+    password: await field("password"),
+    notes: await field("notes"),
+    totp: await field("totp")
+  }
+}
+
+async function loadVault(key, { secrets }) {
+  const records = await listAllEntries(context.settings(), { includeCiphertext: secrets })
+  const entries = []
+  let failed = 0
+
+  for (const record of records) {
+    try {
+      entries.push(await decryptEntry(record, key, secrets))
+    } catch (_error) {
+      failed += 1
+    }
+  }
+
+  return { entries, failed }
+}
+
+function download(file) {
+  const url = URL.createObjectURL(new Blob([file.bytes], { type: file.mime }))
+  const link = document.createElement("a")
+  link.href = url
+  link.download = file.filename
+  document.body.append(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
@@ -16,6 +16,7 @@ config :paige,
 
 config :mime, :types, %{
   "application/gzip" => ["gz", "tgz"],
+  "application/manifest+json" => ["webmanifest"],
   "application/x-xz" => ["xz"],
   "audio/flac" => ["flac"],
   "audio/mp4" => ["m4a"],
@@ -419,7 +420,7 @@ config :esbuild,
   version: "0.17.11",
   elektrine: [
     args:
-      ~w(js/app.js js/error_page.js --bundle --target=es2017 --outdir=../priv/static/assets --external:/fonts/* --external:/images/*),
+      ~w(js/app.js js/error_page.js js/workers/chat_search_worker.js js/workers/call_media_worker.js js/workers/mailbox_search_worker.js --bundle --target=es2017 --outdir=../priv/static/assets --external:/fonts/* --external:/images/*),
     cd: Path.expand("../apps/elektrine/assets", __DIR__),
     env: %{"NODE_PATH" => Path.expand("../deps", __DIR__)}
   ]
@@ -109,3 +109,16 @@ if turn_enabled or stun_uris != [] or turn_uris != [] do
            turn_realm: turn_realm
          )
 end
+
+sfu_endpoint = first_present_env.(["WEBRTC_SFU_ENDPOINT"])
+
+if sfu_endpoint do
+  config :elektrine,
+         :webrtc,
+         Application.get_env(:elektrine, :webrtc, [])
+         |> Keyword.merge(
+           sfu_endpoint: sfu_endpoint,
+           sfu_token_secret: first_present_env.(["WEBRTC_SFU_TOKEN_SECRET"]),
+           transport_mode: if(parse_bool_env.("WEBRTC_SFU_ONLY", false), do: :sfu, else: :mesh)
+         )
+end
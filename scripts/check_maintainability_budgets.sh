@@ -140,7 +140,6 @@ check_max_lines apps/elektrine/assets/js/hooks/clipboard_hooks.js 150
 check_max_lines apps/elektrine/assets/js/hooks/email_compose_shortcuts_hook.js 300
 check_max_lines apps/elektrine/assets/js/hooks/email_hooks.js 825
 check_max_lines apps/elektrine/assets/js/hooks/email_iframe_resize_hook.js 150
-check_max_lines apps/elektrine/assets/js/hooks/email_shortcut_helpers.js 75
 check_max_lines apps/elektrine/assets/js/hooks/file_explorer_hook.js 400
 check_max_lines apps/elektrine/assets/js/hooks/mailbox_private_auth_forms.js 150
 check_max_lines apps/elektrine/assets/js/hooks/mailbox_private_compose_hook.js 250